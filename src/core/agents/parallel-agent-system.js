@@ -8,6 +8,8 @@ const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
 const { getInstance: getAPILogger } = require('../logging/api-call-logger');
 const { getInstance: getFreeTierManager } = require('./free-tier-manager');
+const { ContextBudgetManager } = require('../context/context-budget');
+const { countTokens } = require('../context/tokenizer');
 
 class ParallelAgentSystem extends EventEmitter {
   constructor(config = {}) {
@@ -34,6 +36,9 @@ class ParallelAgentSystem extends EventEmitter {
     this.timeout = config.timeout || 60000; // 60 seconds
     this.retryAttempts = config.retryAttempts || 2;
     
+    // Packs task.context into each agent's prompt within the model's window
+    this.contextBudget = config.contextBudget || new ContextBudgetManager({ reserveTokens: 4000 });
+    
     // Cost tracking
     this.totalCost = 0;
     this.apiCalls = 0;
@@ -274,7 +279,8 @@ class ParallelAgentSystem extends EventEmitter {
    * Execute a single agent task with free tier optimization
    */
   async executeSingleAgent(task) {
-    const { agent, prompt, model, systemPrompt } = task;
+    const { agent, model, systemPrompt } = task;
+    let { prompt } = task;
     
     logger.info(`🟢 Agent ${agent} executing: ${prompt.substring(0, 50)}...`);
     
@@ -287,7 +293,7 @@ class ParallelAgentSystem extends EventEmitter {
     
     if (this.prioritizeFreeModels && (!model || model === 'auto')) {
       try {
-        const estimatedTokens = Math.ceil(prompt.length / 4) + 2000; // Estimate tokens
+        const estimatedTokens = countTokens(prompt) + 2000;
         const bestModel = await this.freeTierManager.getBestAvailableModel({
           tokens: estimatedTokens,
           taskType: this.identifyTaskType(agent, prompt),
@@ -308,6 +314,18 @@ class ParallelAgentSystem extends EventEmitter {
       }
     }
     
+    // Fit files, memory and earlier results around the prompt
+    let contextReport = null;
+    if (task.context && task.context.length > 0) {
+      const { prompt: packed, ...report } = this.contextBudget.pack(
+        [this.contextBudget.taskItem(prompt), ...task.context],
+        { model: selectedModel, reserveTokens: 4000 + countTokens(systemPrompt) }
+      );
+      prompt = packed;
+      contextReport = report;
+      this.emit('context:packed', { agent, executionId: task.executionId, ...report });
+    }
+    
     try {
       // Route to appropriate executor based on selected model
       if (selectedModel === 'gemini-pro' || (selectedModel === 'gemini' && this.apiKeys.google)) {
@@ -359,7 +377,8 @@ class ParallelAgentSystem extends EventEmitter {
         model,
         executionTime,
         tokens: result.tokens || 0,
-        cost: result.cost || 0
+        cost: result.cost || 0,
+        context: contextReport
       };
       
     } catch (error) {
@@ -7,6 +7,7 @@
 const { EventEmitter } = require('events');
 const SequentialExecutor = require('./executors/sequential');
 const ParallelExecutor = require('./executors/parallel');
+const runtime = require('./chain-runtime');
 const { logger } = require('../logging/bumba-logger');
 
 class ChainExecutor extends EventEmitter {
@@ -98,6 +99,9 @@ class ChainExecutor extends EventEmitter {
         depth: this.currentDepth
       });
       
+      // Variables captured with `as` are shared across the whole run
+      runtime.getVariables(context);
+      
       // Execute with timeout
       const result = await this.executeWithTimeout(rootNode, context);
       
@@ -131,15 +135,7 @@ class ChainExecutor extends EventEmitter {
    * Execute with timeout
    */
   async executeWithTimeout(node, context) {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Chain execution timeout after ${this.options.timeout}ms`));
-      }, this.options.timeout);
-    });
-    
-    const executionPromise = this.executeNode(node, context);
-    
-    return await Promise.race([executionPromise, timeoutPromise]);
+    return await runtime.withTimeout(this.executeNode(node, context), this.options.timeout, 'Chain execution');
   }
   
   /**
@@ -154,6 +150,14 @@ class ChainExecutor extends EventEmitter {
       depth: this.currentDepth
     };
     
+    return await runtime.runWithModifiers(node, chainContext, signal =>
+      this.dispatchNode(node, runtime.withSignal(chainContext, signal)));
+  }
+  
+  /**
+   * Dispatch a node to its handler
+   */
+  async dispatchNode(node, chainContext) {
     switch (node.type) {
       case 'command':
         return await this.executeCommand(node, chainContext);
@@ -173,6 +177,12 @@ class ChainExecutor extends EventEmitter {
       case 'background':
         return await this.executeBackground(node, chainContext);
         
+      case 'catch':
+        return await runtime.runCatch(node, chainContext, (child, ctx) => this.executeNode(child, ctx));
+        
+      case 'variable':
+        return runtime.resolveVariableNode(node, chainContext);
+        
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -182,7 +192,10 @@ class ChainExecutor extends EventEmitter {
    * Execute a command node
    */
   async executeCommand(node, context) {
-    const { name, args } = node;
+    runtime.throwIfAborted(context);
+    
+    const { name } = node;
+    const args = runtime.resolveArgs(node.args, context);
     
     logger.debug(`Executing command: ${name} ${args.join(' ')}`);
     
@@ -283,21 +296,7 @@ class ChainExecutor extends EventEmitter {
    * Evaluate condition result
    */
   evaluateCondition(result) {
-    if (result && typeof result === 'object') {
-      if ('success' in result) return result.success;
-      if ('error' in result) return false;
-      if ('output' in result) {
-        const output = result.output;
-        if (typeof output === 'boolean') return output;
-        if (typeof output === 'string') {
-          return output.includes('success') || 
-                 output.includes('complete') ||
-                 output.includes('passed');
-        }
-      }
-    }
-    
-    return !!result;
+    return runtime.evaluateCondition(result);
   }
   
   /**
@@ -0,0 +1,396 @@
+/**
+ * BUMBA Chain Journal
+ * Persists chain runs to disk (AST, per-node status, outputs, variables)
+ * so interrupted chains can be resumed from the last completed node
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logging/bumba-logger');
+
+const CHILD_KEYS = ['nodes', 'condition', 'trueBranch', 'falseBranch', 'from', 'to', 'background', 'foreground', 'body', 'handler'];
+
+/**
+ * Visit every AST node depth-first
+ */
+function walkNodes(node, visit) {
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+
+  visit(node);
+
+  for (const key of CHILD_KEYS) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkNodes(item, visit));
+    } else if (child) {
+      walkNodes(child, visit);
+    }
+  }
+}
+
+// Journal entries are written synchronously: a checkpoint must be on disk
+// before the next node starts, even if the process is killed mid-chain
+class ChainJournal {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || path.join(process.cwd(), '.bumba', 'chain-runs'),
+      maxEntries: options.maxEntries || 200,
+      ...options
+    };
+
+    this.directory = this.options.directory;
+  }
+
+  /**
+   * Assign stable ids to every AST node (depth-first order)
+   * Ids are stored with the AST, so a resumed run sees the same ids
+   */
+  assignNodeIds(root) {
+    let counter = 0;
+
+    walkNodes(root, node => {
+      if (!node.id) {
+        node.id = `n${counter}`;
+      }
+      counter++;
+    });
+
+    return root;
+  }
+
+  /**
+   * Start journaling a new chain run
+   */
+  create(id, { input, ast, context = {} }) {
+    this.assignNodeIds(ast.root);
+
+    const entry = {
+      id,
+      input,
+      ast,
+      status: 'running',
+      pid: process.pid,
+      variables: context.chainVariables || {},
+      nodes: {},
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      attempts: 1
+    };
+
+    this.write(entry);
+    this.prune();
+
+    return entry;
+  }
+
+  /**
+   * Load a journal entry
+   */
+  load(id) {
+    const file = this.getPath(id);
+
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return this.withLiveStatus(entry);
+    } catch (error) {
+      logger.warn(`Corrupt chain journal ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List journaled runs, newest first
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const entries = fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.load(path.basename(file, '.json')))
+      .filter(Boolean)
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return filter.limit ? entries.slice(0, filter.limit) : entries;
+  }
+
+  /**
+   * Runs that can be resumed (failed, stopped or interrupted)
+   */
+  getResumable() {
+    return this.list().filter(entry => this.isResumable(entry));
+  }
+
+  /**
+   * Whether a run can be resumed
+   */
+  isResumable(entry) {
+    return ['failed', 'stopped', 'interrupted'].includes(entry.status);
+  }
+
+  /**
+   * Record a node status change
+   */
+  recordNode(id, nodeId, status, data = {}) {
+    const entry = this.read(id);
+    if (!entry) {
+      return;
+    }
+
+    entry.nodes[nodeId] = {
+      ...(entry.nodes[nodeId] || {}),
+      status,
+      ...data,
+      updatedAt: Date.now()
+    };
+
+    if (data.variables) {
+      entry.variables = data.variables;
+      delete entry.nodes[nodeId].variables;
+    }
+
+    entry.updatedAt = Date.now();
+    this.write(entry);
+  }
+
+  /**
+   * Mark a run as finished (completed, failed or stopped)
+   */
+  finish(id, status, details = {}) {
+    const entry = this.read(id);
+    if (!entry) {
+      return;
+    }
+
+    entry.status = status;
+    entry.updatedAt = Date.now();
+    entry.endTime = Date.now();
+
+    if (details.error) {
+      entry.error = details.error;
+    }
+    if (details.result !== undefined) {
+      entry.result = this.serialize(details.result, details.checkpoint);
+    }
+
+    this.write(entry);
+  }
+
+  /**
+   * Reopen a run for resumption by the current process
+   */
+  reopen(id) {
+    const entry = this.load(id);
+
+    if (!entry) {
+      throw new Error(`Chain run '${id}' not found`);
+    }
+
+    if (entry.status === 'completed') {
+      throw new Error(`Chain run '${id}' already completed`);
+    }
+
+    if (entry.status === 'running') {
+      throw new Error(`Chain run '${id}' is still running (pid ${entry.pid})`);
+    }
+
+    entry.status = 'running';
+    entry.pid = process.pid;
+    entry.attempts = (entry.attempts || 1) + 1;
+    entry.updatedAt = Date.now();
+    delete entry.error;
+
+    // Nodes that were in flight when the run stopped start over
+    for (const node of Object.values(entry.nodes)) {
+      if (node.status === 'running') {
+        node.status = 'pending';
+      }
+    }
+
+    this.write(entry);
+    return entry;
+  }
+
+  /**
+   * Build the checkpoint handle the executors consult for every node
+   */
+  checkpoint(id, ast = null) {
+    const journal = this;
+    const entry = this.read(id);
+    const astNodes = new WeakSet();
+    walkNodes(ast ? ast.root : null, node => astNodes.add(node));
+    const completed = new Map(
+      Object.entries(entry ? entry.nodes : {})
+        .filter(([, node]) => node.status === 'completed')
+        .map(([nodeId, node]) => [nodeId, node.result])
+    );
+
+    const handle = {
+      id,
+
+      /**
+       * Whether a value is one of this run's AST nodes or execution contexts
+       */
+      owns(value) {
+        return astNodes.has(value) || value.chainCheckpoint === handle;
+      },
+
+      getCompleted(nodeId) {
+        return completed.has(nodeId) ? { result: completed.get(nodeId) } : null;
+      },
+
+      start(nodeId) {
+        journal.recordNode(id, nodeId, 'running', { startedAt: Date.now() });
+      },
+
+      complete(nodeId, result, variables) {
+        const stored = journal.serialize(result, handle);
+        completed.set(nodeId, stored);
+        journal.recordNode(id, nodeId, 'completed', {
+          result: stored,
+          completedAt: Date.now(),
+          variables: journal.serialize(variables, handle)
+        });
+      },
+
+      fail(nodeId, error) {
+        journal.recordNode(id, nodeId, 'failed', {
+          error: error.message,
+          completedAt: Date.now()
+        });
+      }
+    };
+
+    return handle;
+  }
+
+  /**
+   * Delete a journal entry
+   */
+  remove(id) {
+    const file = this.getPath(id);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Keep only the newest entries
+   */
+  prune() {
+    const entries = this.list();
+
+    for (const entry of entries.slice(this.options.maxEntries)) {
+      if (entry.status !== 'running') {
+        this.remove(entry.id);
+      }
+    }
+  }
+
+  /**
+   * Convert a result into JSON-safe data
+   * Drops the run's own AST nodes and execution contexts (when given its
+   * checkpoint), functions, promises and circular references
+   */
+  serialize(value, checkpoint = null) {
+    if (value === undefined) {
+      return null;
+    }
+
+    // Objects on the path from the root to the current value: only a
+    // reference back to one of them is circular, repeated ones are kept
+    const ancestors = [];
+
+    try {
+      return JSON.parse(JSON.stringify(value, function(key, val) {
+        if (typeof val === 'function') {
+          return undefined;
+        }
+        if (checkpoint && val && typeof val === 'object' && checkpoint.owns(val)) {
+          return undefined;
+        }
+        if (val instanceof Promise) {
+          return undefined;
+        }
+        if (val instanceof Error) {
+          val = { message: val.message };
+        }
+        if (val && typeof val === 'object') {
+          // `this` holds `val`; anything above it on the stack has been left
+          while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+            ancestors.pop();
+          }
+          if (ancestors.includes(val)) {
+            return undefined;
+          }
+          ancestors.push(val);
+        }
+        return val;
+      }));
+    } catch {
+      return { unserializable: true, summary: String(value) };
+    }
+  }
+
+  /**
+   * Report runs left "running" by a dead process as interrupted
+   */
+  withLiveStatus(entry) {
+    if (entry.status === 'running' && entry.pid !== process.pid && !this.isProcessAlive(entry.pid)) {
+      return { ...entry, status: 'interrupted' };
+    }
+    return entry;
+  }
+
+  isProcessAlive(pid) {
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  read(id) {
+    const file = this.getPath(id);
+
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  write(entry) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const file = this.getPath(entry.id);
+    const temp = `${file}.${process.pid}.tmp`;
+
+    fs.writeFileSync(temp, JSON.stringify(entry, null, 2));
+    fs.renameSync(temp, file);
+  }
+
+  getPath(id) {
+    if (!/^[\w.-]+$/.test(id)) {
+      throw new Error(`Invalid chain run id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = ChainJournal;
@@ -1,13 +1,55 @@
 /**
  * BUMBA Chain Parser
- * Parses command chains into executable AST
- * Supports: >> (sequential), || (parallel), ?: (conditional), |> (pipe), & (background)
+ * The single parser for command chains, shared by /bumba:chain and the
+ * command-intelligence router. Parses chains into an operator-precedence AST.
+ * Supports: >> (sequential), || (parallel), ?: (conditional), |> (pipe), & (background),
+ * catch (error handler), and step modifiers: `as name`, `retry(n)`, `timeout(30s)`.
+ * Captured outputs are referenced later as `$name` or `$name.path`.
+ * After argument text `as` is a plain word: capture such a step by grouping
+ * it, `(/bumba:api users) as spec`.
+ * Also accepts `&&` (sequential), `|` (pipe), quoted arguments and bare command
+ * names (`api` for `/bumba:api`); `format` prints the canonical form.
  */
 
+// Operators the old command-intelligence syntax used that have no equivalent
+const UNSUPPORTED_OPERATORS = {
+  ';': 'use \'>>\' to run in sequence or \'||\' to run in parallel',
+  '->': 'use \'|>\' to pipe output into the next command',
+  '=>': 'use \'>>\' to express a dependency'
+};
+
+// Alternate spellings normalized to canonical operators
+const OPERATOR_ALIASES = {
+  '&&': '>>',
+  '|': '|>'
+};
+
+/**
+ * Syntax error pointing at the offending position in the chain
+ */
+class ChainSyntaxError extends Error {
+  constructor(reason, input, position) {
+    const text = typeof input === 'string' ? input : '';
+    const before = text.slice(0, position).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    const where = text.includes('\n') ? `line ${line}, column ${column}` : `column ${column}`;
+    
+    super(`${reason} at ${where}`);
+    this.name = 'ChainSyntaxError';
+    this.reason = reason;
+    this.position = position;
+    this.line = line;
+    this.column = column;
+    this.snippet = `${text.split('\n')[line - 1]}\n${' '.repeat(column - 1)}^`;
+  }
+}
+
 class ChainParser {
   constructor() {
     // Operator precedence (higher = tighter binding)
     this.precedence = {
+      'catch': 0, // Error handler (guards everything to its left)
       '&': 1,    // Background (loosest)
       '>>': 2,   // Sequential
       '||': 3,   // Parallel
@@ -19,8 +61,15 @@ class ChainParser {
     // Token patterns
     this.patterns = {
       command: /^\/bumba:[a-z\-]+/i,
-      operator: /^(>>|\|\||&|\|>|\?|:)/,
-      argument: /^[^\s>>|&?:]+/,
+      bareCommand: /^(?!catch(?:\s|$))[a-z][a-z-]*(?![\w:(])/i,
+      // 'catch' and the step modifiers are syntax only as whole words ('catch-all' is an argument)
+      operator: /^(>>|\|\||&&|\|>|\||&|\?|:|catch(?=\s))/,
+      unsupported: /^(;|->|=>)/,
+      modifier: /^(?:as\s+([A-Za-z_]\w*)|retry\((\d+)\)|timeout\((\d+)(ms|s|m)?\))(?=\s|\)|$)/,
+      variable: /^\$([A-Za-z_]\w*)((?:\.[\w-]+)*)/,
+      quoted: /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')/,
+      // ':', '?' and '&' are operators only as separate words (URLs, "fix bug: crash")
+      argument: /^[^\s>|;)]+/,
       whitespace: /^\s+/,
       groupStart: /^\(/,
       groupEnd: /^\)/
@@ -43,7 +92,7 @@ class ChainParser {
     }
     
     // Build AST
-    const ast = this.buildAST(tokens);
+    const ast = this.buildAST(tokens, input);
     
     // Validate AST
     this.validateAST(ast);
@@ -53,129 +102,229 @@ class ChainParser {
   
   /**
    * Tokenize input string
+   * Every token records its offset in the input for error reporting
    */
   tokenize(input) {
     const tokens = [];
-    let remaining = input.trim();
     let position = 0;
     
-    while (remaining.length > 0) {
-      let matched = false;
+    // Bare command names are only recognized where an operand is expected
+    const expectsOperand = () => {
+      const last = tokens[tokens.length - 1];
+      return !last || last.type === 'operator' || last.type === 'group_start';
+    };
+    
+    while (position < input.length) {
+      const remaining = input.substring(position);
       
       // Skip whitespace
       const whitespace = remaining.match(this.patterns.whitespace);
       if (whitespace) {
         position += whitespace[0].length;
-        remaining = remaining.substring(whitespace[0].length);
         continue;
       }
       
       // Check for command
-      const command = remaining.match(this.patterns.command);
+      const command = remaining.match(this.patterns.command) ||
+        (expectsOperand() ? remaining.match(this.patterns.bareCommand) : null);
       if (command) {
-        tokens.push({
+        const token = {
           type: 'command',
-          value: command[0],
+          value: command[0].startsWith('/') ? command[0] : `/bumba:${command[0]}`,
+          args: [],
           position
-        });
+        };
+        tokens.push(token);
         position += command[0].length;
-        remaining = remaining.substring(command[0].length);
         
         // Collect arguments until next operator or command
-        while (remaining.length > 0) {
-          // Skip whitespace
-          const ws = remaining.match(this.patterns.whitespace);
-          if (ws) {
-            position += ws[0].length;
-            remaining = remaining.substring(ws[0].length);
-            continue;
-          }
-          
-          // Check if next is operator or command
-          if (remaining.match(this.patterns.operator) || 
-              remaining.match(this.patterns.command) ||
-              remaining.match(this.patterns.groupStart) ||
-              remaining.match(this.patterns.groupEnd)) {
-            break;
-          }
-          
-          // Get argument
-          const arg = remaining.match(this.patterns.argument);
-          if (arg) {
-            // Add argument to last command token
-            const lastToken = tokens[tokens.length - 1];
-            if (!lastToken.args) {
-              lastToken.args = [];
-            }
-            lastToken.args.push(arg[0]);
-            position += arg[0].length;
-            remaining = remaining.substring(arg[0].length);
-          } else {
-            break;
-          }
-        }
-        
-        matched = true;
+        position = this.readArguments(input, position, token);
+        continue;
+      }
+      
+      // Check for step modifier (as / retry / timeout)
+      const modifier = remaining.match(this.patterns.modifier);
+      if (modifier) {
+        tokens.push({
+          type: 'modifier',
+          value: modifier[0],
+          modifier: this.readModifier(modifier),
+          position
+        });
+        position += modifier[0].length;
+        continue;
+      }
+      
+      // Check for variable reference
+      const variable = remaining.match(this.patterns.variable);
+      if (variable) {
+        tokens.push({
+          type: 'variable',
+          value: variable[0],
+          name: variable[1],
+          path: variable[2].slice(1),
+          position
+        });
+        position += variable[0].length;
+        continue;
+      }
+      
+      // Operators that were dropped when the parsers were unified
+      const unsupported = remaining.match(this.patterns.unsupported);
+      if (unsupported) {
+        throw new ChainSyntaxError(
+          `Unsupported operator '${unsupported[0]}' (${UNSUPPORTED_OPERATORS[unsupported[0]]})`,
+          input,
+          position
+        );
       }
       
       // Check for operator
-      if (!matched) {
-        const operator = remaining.match(this.patterns.operator);
-        if (operator) {
-          tokens.push({
-            type: 'operator',
-            value: operator[0],
-            position
-          });
-          position += operator[0].length;
-          remaining = remaining.substring(operator[0].length);
-          matched = true;
-        }
+      const operator = remaining.match(this.patterns.operator);
+      if (operator) {
+        tokens.push({
+          type: 'operator',
+          value: OPERATOR_ALIASES[operator[0]] || operator[0],
+          raw: operator[0],
+          position
+        });
+        position += operator[0].length;
+        continue;
       }
       
       // Check for grouping
-      if (!matched) {
-        const groupStart = remaining.match(this.patterns.groupStart);
-        if (groupStart) {
-          tokens.push({
-            type: 'group_start',
-            value: '(',
-            position
-          });
-          position++;
-          remaining = remaining.substring(1);
-          matched = true;
-        }
-        
-        const groupEnd = remaining.match(this.patterns.groupEnd);
-        if (groupEnd) {
-          tokens.push({
-            type: 'group_end',
-            value: ')',
-            position
-          });
-          position++;
-          remaining = remaining.substring(1);
-          matched = true;
-        }
+      if (remaining.match(this.patterns.groupStart)) {
+        tokens.push({ type: 'group_start', value: '(', position });
+        position++;
+        continue;
       }
       
-      // If nothing matched, skip character
-      if (!matched) {
+      if (remaining.match(this.patterns.groupEnd)) {
+        tokens.push({ type: 'group_end', value: ')', position });
         position++;
-        remaining = remaining.substring(1);
+        continue;
       }
+      
+      throw new ChainSyntaxError(`Unexpected character '${remaining[0]}'`, input, position);
     }
     
     return tokens;
   }
   
+  /**
+   * Read a command's arguments, returning the position after the last one
+   * Quoted arguments may contain spaces and operator characters
+   */
+  readArguments(input, position, token) {
+    // Whether the last argument was plain text rather than a $variable
+    let afterText = false;
+    
+    while (position < input.length) {
+      const remaining = input.substring(position);
+      
+      // Skip whitespace
+      const ws = remaining.match(this.patterns.whitespace);
+      if (ws) {
+        position += ws[0].length;
+        continue;
+      }
+      
+      // Modifiers, operators, commands and groups end the argument list
+      const operator = remaining.match(this.patterns.operator);
+      if ((operator && operator[0] !== 'catch') ||
+          this.startsStepSyntax(remaining, afterText) ||
+          remaining.match(this.patterns.unsupported) ||
+          remaining.match(this.patterns.command) ||
+          remaining.match(this.patterns.groupStart) ||
+          remaining.match(this.patterns.groupEnd)) {
+        break;
+      }
+      
+      const quoted = remaining.match(this.patterns.quoted);
+      if (quoted) {
+        const value = quoted[1] !== undefined ? quoted[1] : quoted[2];
+        token.args.push(value.replace(/\\(.)/g, '$1'));
+        position += quoted[0].length;
+        afterText = true;
+        continue;
+      }
+      
+      if (remaining[0] === '"' || remaining[0] === '\'') {
+        throw new ChainSyntaxError('Unterminated quoted argument', input, position);
+      }
+      
+      const arg = remaining.match(this.patterns.argument);
+      if (!arg) {
+        break;
+      }
+      
+      token.args.push(arg[0]);
+      position += arg[0].length;
+      afterText = !this.isVariableArg(arg[0]);
+    }
+    
+    return position;
+  }
+  
+  /**
+   * Whether a step modifier or 'catch' ends a command's arguments here
+   * After plain argument text 'as' is an ordinary word ("login as admin") and
+   * 'catch' only counts before an explicit /bumba: command or a group
+   */
+  startsStepSyntax(remaining, afterText) {
+    const modifier = remaining.match(this.patterns.modifier);
+    if (modifier) {
+      return !afterText || !modifier[1];
+    }
+    
+    if (/^catch\s/.test(remaining)) {
+      return !afterText || /^catch\s+(?:\/bumba:|\()/i.test(remaining);
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Whether an unquoted argument is a whole $name or $name.path reference
+   */
+  isVariableArg(arg) {
+    const variable = arg.match(this.patterns.variable);
+    return Boolean(variable) && variable[0] === arg;
+  }
+  
+  /**
+   * Convert a modifier match into a { key, value } pair
+   */
+  readModifier(match) {
+    if (match[1]) {
+      return { key: 'as', value: match[1] };
+    }
+    
+    if (match[2]) {
+      return { key: 'retry', value: parseInt(match[2], 10) };
+    }
+    
+    const units = { ms: 1, s: 1000, m: 60000 };
+    return { key: 'timeout', value: parseInt(match[3], 10) * units[match[4] || 'ms'] };
+  }
+  
   /**
    * Build AST from tokens
    */
-  buildAST(tokens) {
+  buildAST(tokens, input = '') {
     let index = 0;
     
+    const fail = (reason, token) => {
+      throw new ChainSyntaxError(reason, input, token ? token.position : input.length);
+    };
+    
+    const describe = (token) => {
+      if (!token) {
+        return 'end of input';
+      }
+      return token.type === 'command' ? `command ${token.value}` : `'${token.raw || token.value}'`;
+    };
+    
     const parseExpression = (minPrecedence = 0) => {
       let left = parsePrimary();
       
@@ -195,13 +344,17 @@ class ChainParser {
         index++; // Consume operator
         
         // Handle special operators
+        if (operator === ':') {
+          fail('Unexpected \':\' without a matching \'?\'', token);
+        }
+        
         if (operator === '?') {
           // Conditional: left ? true_branch : false_branch
           const trueBranch = parseExpression(precedence + 1);
           
           // Expect ':'
           if (index >= tokens.length || tokens[index].value !== ':') {
-            throw new Error(`Expected ':' after '?' at position ${index}`);
+            fail(`Expected ':' after '?' but found ${describe(tokens[index])}`, tokens[index]);
           }
           index++; // Consume ':'
           
@@ -239,6 +392,12 @@ class ChainParser {
               background: left,
               foreground: right
             };
+          } else if (operator === 'catch') {
+            left = {
+              type: 'catch',
+              body: left,
+              handler: right
+            };
           }
         }
       }
@@ -246,9 +405,39 @@ class ChainParser {
       return left;
     };
     
-    const parsePrimary = () => {
+    const parsePrimary = () => withModifiers(parseOperand());
+    
+    // Attach trailing modifiers (as/retry/timeout) to a node
+    const withModifiers = (node) => {
+      while (index < tokens.length && tokens[index].type === 'modifier') {
+        const token = tokens[index];
+        const { key, value } = token.modifier;
+        
+        if (node.type === 'variable') {
+          fail(`Modifier '${token.value}' cannot apply to a variable`, token);
+        }
+        
+        node.modifiers = node.modifiers || {};
+        if (key in node.modifiers) {
+          fail(`Duplicate modifier '${key}'`, token);
+        }
+        
+        try {
+          this.validateModifiers({ modifiers: { [key]: value } });
+        } catch (error) {
+          fail(error.message, token);
+        }
+        
+        node.modifiers[key] = value;
+        index++;
+      }
+      
+      return node;
+    };
+    
+    const parseOperand = () => {
       if (index >= tokens.length) {
-        throw new Error('Unexpected end of input');
+        fail('Unexpected end of input, expected a command');
       }
       
       const token = tokens[index];
@@ -258,7 +447,7 @@ class ChainParser {
         const expr = parseExpression(0);
         
         if (index >= tokens.length || tokens[index].type !== 'group_end') {
-          throw new Error(`Expected ')' at position ${index}`);
+          fail(`Expected ')' to close the group opened at column ${token.position + 1} but found ${describe(tokens[index])}`, tokens[index]);
         }
         index++; // Consume ')'
         
@@ -274,20 +463,29 @@ class ChainParser {
         };
       }
       
-      throw new Error(`Unexpected token: ${token.value} at position ${token.position}`);
+      if (token.type === 'variable') {
+        index++;
+        return {
+          type: 'variable',
+          name: token.name,
+          path: token.path
+        };
+      }
+      
+      return fail(`Unexpected ${describe(token)}, expected a command`, token);
     };
     
     // Helper to flatten sequential nodes
     const flattenSequential = (left, right) => {
       const nodes = [];
       
-      if (left.type === 'sequential') {
+      if (left.type === 'sequential' && !left.modifiers) {
         nodes.push(...left.nodes);
       } else {
         nodes.push(left);
       }
       
-      if (right.type === 'sequential') {
+      if (right.type === 'sequential' && !right.modifiers) {
         nodes.push(...right.nodes);
       } else {
         nodes.push(right);
@@ -300,13 +498,13 @@ class ChainParser {
     const flattenParallel = (left, right) => {
       const nodes = [];
       
-      if (left.type === 'parallel') {
+      if (left.type === 'parallel' && !left.modifiers) {
         nodes.push(...left.nodes);
       } else {
         nodes.push(left);
       }
       
-      if (right.type === 'parallel') {
+      if (right.type === 'parallel' && !right.modifiers) {
         nodes.push(...right.nodes);
       } else {
         nodes.push(right);
@@ -318,7 +516,10 @@ class ChainParser {
     const ast = parseExpression(0);
     
     if (index < tokens.length) {
-      throw new Error(`Unexpected tokens after position ${index}`);
+      const token = tokens[index];
+      fail(token.type === 'group_end'
+        ? 'Unmatched \')\''
+        : `Unexpected ${describe(token)} (missing an operator before it?)`, token);
     }
     
     return {
@@ -336,6 +537,10 @@ class ChainParser {
         throw new Error('Invalid AST node: missing type');
       }
       
+      if (node.modifiers) {
+        this.validateModifiers(node);
+      }
+      
       switch (node.type) {
         case 'chain':
           if (!node.root) {
@@ -383,6 +588,20 @@ class ChainParser {
           validate(node.foreground);
           break;
           
+        case 'catch':
+          if (!node.body || !node.handler) {
+            throw new Error('Catch node missing body/handler');
+          }
+          validate(node.body);
+          validate(node.handler);
+          break;
+          
+        case 'variable':
+          if (!node.name) {
+            throw new Error('Variable node missing name');
+          }
+          break;
+          
         default:
           throw new Error(`Unknown node type: ${node.type}`);
       }
@@ -392,42 +611,177 @@ class ChainParser {
   }
   
   /**
-   * Convert AST to readable string (for debugging)
+   * Validate step modifiers
    */
-  toString(ast) {
-    const nodeToString = (node, indent = 0) => {
-      const prefix = '  '.repeat(indent);
+  validateModifiers(node) {
+    const { as, retry, timeout } = node.modifiers;
+    
+    if (as !== undefined && !/^[A-Za-z_]\w*$/.test(as)) {
+      throw new Error(`Invalid variable name: ${as}`);
+    }
+    
+    if (as === 'error') {
+      throw new Error('Variable name \'error\' is reserved for catch handlers');
+    }
+    
+    if (retry !== undefined && (!Number.isInteger(retry) || retry < 0 || retry > 10)) {
+      throw new Error(`Invalid retry count: ${retry} (expected 0-10)`);
+    }
+    
+    if (timeout !== undefined && (!Number.isFinite(timeout) || timeout <= 0)) {
+      throw new Error(`Invalid timeout: ${timeout}`);
+    }
+  }
+  
+  /**
+   * Render node modifiers back into chain syntax
+   */
+  modifiersToString(node) {
+    if (!node.modifiers) {
+      return '';
+    }
+    
+    const parts = [];
+    const { as, retry, timeout } = node.modifiers;
+    
+    if (retry !== undefined) {
+      parts.push(`retry(${retry})`);
+    }
+    if (timeout !== undefined) {
+      parts.push(timeout % 1000 === 0 ? `timeout(${timeout / 1000}s)` : `timeout(${timeout}ms)`);
+    }
+    if (as !== undefined) {
+      parts.push(`as ${as}`);
+    }
+    
+    return ` ${parts.join(' ')}`;
+  }
+  
+  /**
+   * Format an AST back into canonical chain syntax
+   * Parentheses are only added where precedence or modifiers require
+   * them, so parse(format(ast)) yields the same AST
+   */
+  format(ast) {
+    const ATOM = 6;
+    const levels = { catch: 0, background: 1, sequential: 2, parallel: 3, pipe: 4, conditional: 5 };
+    
+    // Render an operand, grouping it when it binds looser than its position allows
+    const operand = (node, minLevel) => {
+      const { text, level } = render(node);
+      return level >= minLevel ? text : `(${text})`;
+    };
+    
+    const render = (node) => {
+      let text;
+      let level = levels[node.type];
       
       switch (node.type) {
         case 'chain':
-          return nodeToString(node.root, indent);
+          return render(node.root);
           
         case 'command':
-          const args = node.args.length > 0 ? ` ${node.args.join(' ')}` : '';
-          return `${prefix}${node.name}${args}`;
+          text = [node.name, ...node.args.map(arg => this.formatArg(arg))].join(' ');
+          level = ATOM;
+          break;
+          
+        case 'variable':
+          text = `$${node.name}${node.path ? `.${node.path}` : ''}`;
+          level = ATOM;
+          break;
           
         case 'sequential':
-          return node.nodes.map(n => nodeToString(n, indent)).join(' >> ');
+          text = node.nodes.map(n => operand(n, levels.sequential + 1)).join(' >> ');
+          break;
           
         case 'parallel':
-          return node.nodes.map(n => nodeToString(n, indent)).join(' || ');
-          
-        case 'conditional':
-          return `(${nodeToString(node.condition, 0)} ? ${nodeToString(node.trueBranch, 0)} : ${nodeToString(node.falseBranch, 0)})`;
+          text = node.nodes.map(n => operand(n, levels.parallel + 1)).join(' || ');
+          break;
           
         case 'pipe':
-          return `${nodeToString(node.from, indent)} |> ${nodeToString(node.to, indent)}`;
+          text = `${operand(node.from, levels.pipe)} |> ${operand(node.to, levels.pipe + 1)}`;
+          break;
           
         case 'background':
-          return `${nodeToString(node.background, indent)} & ${nodeToString(node.foreground, indent)}`;
+          text = `${operand(node.background, levels.background)} & ${operand(node.foreground, levels.background + 1)}`;
+          break;
+          
+        case 'catch':
+          text = `${operand(node.body, levels.catch)} catch ${operand(node.handler, levels.catch + 1)}`;
+          break;
+          
+        case 'conditional':
+          text = `${operand(node.condition, levels.conditional)} ? ` +
+            `${operand(node.trueBranch, ATOM)} : ${operand(node.falseBranch, ATOM)}`;
+          break;
           
         default:
-          return `${prefix}[${node.type}]`;
+          throw new Error(`Unknown node type: ${node.type}`);
+      }
+      
+      // Modifiers bind to a single operand: group composite nodes first
+      if (node.modifiers) {
+        text = `${level < ATOM ? `(${text})` : text}${this.modifiersToString(node)}`;
+        level = ATOM;
+      }
+      
+      return { text, level };
+    };
+    
+    return render(ast).text;
+  }
+  
+  /**
+   * Quote an argument when it would otherwise be read as syntax
+   */
+  formatArg(arg) {
+    const text = typeof arg === 'string' ? arg : JSON.stringify(arg);
+    
+    const plain = text !== '' &&
+      !/[\s>|;()"']/.test(text) &&
+      !/^[&?:]/.test(text) &&
+      !this.patterns.modifier.test(text) &&
+      !this.patterns.command.test(text) &&
+      !/^(?:as|catch)$/.test(text);
+    
+    return plain ? text : `"${text.replace(/["\\]/g, '\\$&')}"`;
+  }
+  
+  /**
+   * Convert AST to readable string
+   */
+  toString(ast) {
+    return this.format(ast);
+  }
+  
+  /**
+   * Command nodes of a chain in execution (depth-first) order
+   */
+  collectCommands(ast) {
+    const commands = [];
+    
+    const visit = (node) => {
+      if (!node) {
+        return;
+      }
+      if (node.type === 'command') {
+        commands.push(node);
+        return;
+      }
+      for (const key of ['root', 'nodes', 'condition', 'trueBranch', 'falseBranch', 'from', 'to', 'background', 'foreground', 'body', 'handler']) {
+        const child = node[key];
+        if (Array.isArray(child)) {
+          child.forEach(visit);
+        } else if (child) {
+          visit(child);
+        }
       }
     };
     
-    return nodeToString(ast);
+    visit(ast);
+    return commands;
   }
 }
 
-module.exports = ChainParser;
\ No newline at end of file
+module.exports = ChainParser;
+module.exports.ChainSyntaxError = ChainSyntaxError;
@@ -0,0 +1,409 @@
+/**
+ * BUMBA Chain Planner
+ * Dry-run planning for command chains: resolves the departments and
+ * specialists every node would reach and estimates tokens, cost and
+ * wall-clock time before anything executes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getInstance: getRouter } = require('../command-intelligence/command-router');
+const { getInstance: getClassifier } = require('../command-intelligence/command-classifier');
+const { getCollaborationDepartments } = require('../command-intelligence/department-constants');
+const { CostOptimizedOrchestrator } = require('../agents/cost-optimized-orchestrator');
+const { PerformancePredictor } = require('../routing/performance-predictor');
+const { logger } = require('../logging/bumba-logger');
+
+// CostOptimizedOrchestrator.estimateTokens adds this response buffer to every prompt
+const RESPONSE_TOKENS = 2000;
+
+// Fallback pricing ($ per token) when the API config is unavailable
+const DEFAULT_PRICING = {
+  anthropic: { input: 0.000015, output: 0.000075 },
+  openai: { input: 0.00001, output: 0.00003 },
+  google: { input: 0, output: 0 }
+};
+
+// Classifier actions mapped onto PerformancePredictor task types
+const ACTION_TASK_TYPES = {
+  create: 'generation',
+  implement: 'generation',
+  document: 'generation',
+  analyze: 'computation',
+  improve: 'optimization',
+  monitor: 'query'
+};
+
+class ChainPlanner {
+  constructor(options = {}) {
+    this.options = {
+      provider: options.provider || 'anthropic',
+      // Learned durations are per user, not per project: keep them in the BUMBA home directory
+      historyFile: options.historyFile || path.join(process.env.BUMBA_HOME || path.join(os.homedir(), '.bumba'), 'chain-performance.json'),
+      persistHistory: options.persistHistory !== false,
+      ...options
+    };
+
+    this.router = options.router || getRouter();
+    this.classifier = options.classifier || getClassifier();
+    this.pricing = options.pricing || this.loadPricing();
+    this.predictor = options.predictor || null;
+  }
+
+  /**
+   * Build a dry-run plan for a parsed chain
+   */
+  async plan(ast, context = {}) {
+    const steps = [];
+    const estimate = await this.estimateNode(ast.root, steps, context);
+
+    const departments = [...new Set(steps.flatMap(s => s.departments))];
+    const specialists = [...new Set(steps.flatMap(s => s.specialists))];
+
+    return {
+      provider: this.options.provider,
+      steps,
+      departments,
+      specialists,
+      totals: {
+        commands: steps.length,
+        tokens: estimate.tokens,
+        cost: this.round(estimate.cost),
+        duration: Math.round(estimate.duration),
+        maxTokens: estimate.maxTokens,
+        maxCost: this.round(estimate.maxCost),
+        maxDuration: Math.round(estimate.maxDuration)
+      },
+      warnings: this.collectWarnings(steps)
+    };
+  }
+
+  /**
+   * Estimate a node recursively
+   * Expected values assume the happy path, max values include every
+   * retry and catch handler (worst case)
+   */
+  async estimateNode(node, steps, context) {
+    let estimate;
+
+    switch (node.type) {
+      case 'command':
+        estimate = await this.estimateCommand(node, steps, context);
+        break;
+
+      case 'sequential':
+      case 'pipe': {
+        const children = node.type === 'pipe' ? [node.from, node.to] : node.nodes;
+        const parts = [];
+        for (const child of children) {
+          parts.push(await this.estimateNode(child, steps, context));
+        }
+        estimate = this.combine(parts, 'sum');
+        break;
+      }
+
+      case 'parallel': {
+        const parts = await Promise.all(node.nodes.map(child => this.estimateNode(child, steps, context)));
+        estimate = this.combine(parts, 'max');
+        break;
+      }
+
+      case 'background': {
+        const parts = [
+          await this.estimateNode(node.background, steps, context),
+          await this.estimateNode(node.foreground, steps, context)
+        ];
+        estimate = this.combine(parts, 'max');
+        break;
+      }
+
+      case 'conditional': {
+        const condition = await this.estimateNode(node.condition, steps, context);
+        const whenTrue = await this.estimateNode(node.trueBranch, steps, { ...context, branch: 'true' });
+        const whenFalse = await this.estimateNode(node.falseBranch, steps, { ...context, branch: 'false' });
+        // Only one branch runs, but we cannot know which: plan for the costlier one
+        const branch = {};
+        for (const key of Object.keys(whenTrue)) {
+          branch[key] = Math.max(whenTrue[key], whenFalse[key]);
+        }
+        estimate = this.combine([condition, branch], 'sum');
+        break;
+      }
+
+      case 'catch': {
+        const body = await this.estimateNode(node.body, steps, context);
+        const handler = await this.estimateNode(node.handler, steps, { ...context, branch: 'catch' });
+        estimate = {
+          ...body,
+          maxTokens: body.maxTokens + handler.maxTokens,
+          maxCost: body.maxCost + handler.maxCost,
+          maxDuration: body.maxDuration + handler.maxDuration
+        };
+        break;
+      }
+
+      case 'variable':
+        estimate = this.emptyEstimate();
+        break;
+
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+
+    return this.applyModifiers(node, estimate);
+  }
+
+  /**
+   * Estimate a single command via the classifier, router and predictor
+   */
+  async estimateCommand(node, steps, context) {
+    const command = node.name.replace(/^\/bumba:/, '');
+    const args = node.args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg)));
+
+    const classification = await this.classifier.classify(command, args, {});
+    const departments = this.router.requiresCollaboration(command)
+      ? getCollaborationDepartments(command)
+      : [this.router.getDepartmentForCommand(command)];
+    const specialists = classification.specialists.length > 0
+      ? classification.specialists
+      : [`${departments[0]}-generalist`];
+
+    // Every engaged specialist receives the prompt and produces a response
+    const perCall = CostOptimizedOrchestrator.prototype.estimateTokens(`${node.name} ${args.join(' ')}`);
+    const outputTokens = RESPONSE_TOKENS * specialists.length;
+    const inputTokens = (perCall - RESPONSE_TOKENS) * specialists.length;
+    const tokens = inputTokens + outputTokens;
+    const cost = this.calculateCost(inputTokens, outputTokens);
+
+    const task = {
+      type: ACTION_TASK_TYPES[classification.action] || 'computation',
+      complexity: classification.complexity
+    };
+    const prediction = await this.getPredictor().predictCompletion(task, {
+      id: specialists[0],
+      type: specialists[0]
+    });
+
+    const step = {
+      id: node.id,
+      command: node.name,
+      args,
+      action: classification.action,
+      complexity: classification.complexity,
+      departments,
+      specialists,
+      tokens,
+      cost: this.round(cost),
+      duration: prediction.estimatedDuration,
+      confidence: prediction.confidence,
+      basis: prediction.factors?.model || 'heuristic',
+      conditional: context.branch || null,
+      modifiers: node.modifiers || null
+    };
+    steps.push(step);
+
+    return {
+      tokens,
+      cost,
+      duration: prediction.estimatedDuration,
+      maxTokens: tokens,
+      maxCost: cost,
+      maxDuration: prediction.estimatedDuration
+    };
+  }
+
+  /**
+   * Apply retry/timeout modifiers to an estimate
+   */
+  applyModifiers(node, estimate) {
+    const modifiers = node.modifiers;
+    if (!modifiers) {
+      return estimate;
+    }
+
+    const attempts = (modifiers.retry || 0) + 1;
+    const result = {
+      ...estimate,
+      maxTokens: estimate.maxTokens * attempts,
+      maxCost: estimate.maxCost * attempts,
+      maxDuration: estimate.maxDuration * attempts
+    };
+
+    if (modifiers.timeout) {
+      result.duration = Math.min(result.duration, modifiers.timeout);
+      result.maxDuration = Math.min(result.maxDuration, modifiers.timeout * attempts);
+    }
+
+    return result;
+  }
+
+  /**
+   * Combine child estimates (sum for sequential work, max for concurrent work)
+   */
+  combine(parts, mode) {
+    const total = this.emptyEstimate();
+
+    for (const part of parts) {
+      total.tokens += part.tokens;
+      total.cost += part.cost;
+      total.maxTokens += part.maxTokens;
+      total.maxCost += part.maxCost;
+
+      if (mode === 'sum') {
+        total.duration += part.duration;
+        total.maxDuration += part.maxDuration;
+      } else {
+        total.duration = Math.max(total.duration, part.duration);
+        total.maxDuration = Math.max(total.maxDuration, part.maxDuration);
+      }
+    }
+
+    return total;
+  }
+
+  emptyEstimate() {
+    return { tokens: 0, cost: 0, duration: 0, maxTokens: 0, maxCost: 0, maxDuration: 0 };
+  }
+
+  /**
+   * Price tokens for the configured provider
+   */
+  calculateCost(inputTokens, outputTokens) {
+    const rates = this.pricing[this.options.provider] || DEFAULT_PRICING.anthropic;
+    return inputTokens * rates.input + outputTokens * rates.output;
+  }
+
+  /**
+   * Flag estimates the user should look at before approving
+   */
+  collectWarnings(steps) {
+    const warnings = [];
+
+    for (const step of steps) {
+      if (step.basis !== 'statistical') {
+        warnings.push(`${step.command}: no run history, duration is a heuristic guess`);
+      }
+      if (step.specialists.length > 4) {
+        warnings.push(`${step.command}: engages ${step.specialists.length} specialists`);
+      }
+    }
+
+    return [...new Set(warnings)];
+  }
+
+  /**
+   * Record an actual command duration so future plans use real history
+   */
+  async recordExecution(node, duration, success = true) {
+    if (!node || node.type !== 'command') {
+      return;
+    }
+
+    const command = node.name.replace(/^\/bumba:/, '');
+    const classification = await this.classifier.classify(command, node.args.map(String), {});
+    const specialist = classification.specialists[0] || `${classification.department}-generalist`;
+
+    this.getPredictor().recordPerformance({
+      type: ACTION_TASK_TYPES[classification.action] || 'computation',
+      complexity: classification.complexity
+    }, { id: specialist, type: specialist }, duration, success);
+  }
+
+  /**
+   * Persist predictor history for later sessions
+   */
+  saveHistory() {
+    if (!this.options.persistHistory || !this.predictor) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.options.historyFile), { recursive: true });
+      fs.writeFileSync(this.options.historyFile, JSON.stringify(this.predictor.exportModels()));
+    } catch (error) {
+      logger.warn(`Could not save chain performance history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lazily create the predictor, seeded with persisted history
+   */
+  getPredictor() {
+    if (this.predictor) {
+      return this.predictor;
+    }
+
+    this.predictor = new PerformancePredictor({ loadImpactEnabled: false, enableCache: false });
+    // Planning only needs the models; periodic refresh would keep the CLI alive
+    this.predictor.stopBackgroundProcesses();
+
+    if (this.options.persistHistory && fs.existsSync(this.options.historyFile)) {
+      try {
+        this.predictor.importModels(JSON.parse(fs.readFileSync(this.options.historyFile, 'utf8')));
+      } catch (error) {
+        logger.warn(`Ignoring unreadable chain performance history: ${error.message}`);
+      }
+    }
+
+    return this.predictor;
+  }
+
+  /**
+   * Load model pricing from the API configuration
+   */
+  loadPricing() {
+    try {
+      const { getInstance } = require('../../config/api-config');
+      return { ...DEFAULT_PRICING, ...getInstance().config.pricing };
+    } catch (error) {
+      logger.debug(`Using default pricing: ${error.message}`);
+      return DEFAULT_PRICING;
+    }
+  }
+
+  /**
+   * Render a plan as readable text
+   */
+  format(plan) {
+    const lines = [];
+    const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+    const dollars = value => `$${value.toFixed(4)}`;
+
+    for (const step of plan.steps) {
+      const branch = step.conditional ? ` [${step.conditional}]` : '';
+      lines.push(
+        `${step.command}${branch} → ${step.departments.join(', ')} ` +
+        `(${step.specialists.length} specialist(s)) ~${step.tokens} tokens, ` +
+        `${dollars(step.cost)}, ${seconds(step.duration)}`
+      );
+    }
+
+    lines.push('');
+    lines.push(`Departments: ${plan.departments.join(', ') || 'none'}`);
+    lines.push(`Estimated tokens: ${plan.totals.tokens} (worst case ${plan.totals.maxTokens})`);
+    lines.push(`Estimated cost (${plan.provider}): ${dollars(plan.totals.cost)} (worst case ${dollars(plan.totals.maxCost)})`);
+    lines.push(`Estimated time: ${seconds(plan.totals.duration)} (worst case ${seconds(plan.totals.maxDuration)})`);
+
+    for (const warning of plan.warnings) {
+      lines.push(`🟡 ${warning}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Release predictor resources
+   */
+  shutdown() {
+    if (this.predictor) {
+      this.predictor.shutdown();
+    }
+  }
+}
+
+module.exports = ChainPlanner;
@@ -0,0 +1,329 @@
+/**
+ * BUMBA Chain Runtime
+ * Shared runtime semantics for chain nodes: named variables,
+ * retry/timeout modifiers and failure detection
+ * Used by the chain, sequential and parallel executors alike
+ */
+
+const { logger } = require('../logging/bumba-logger');
+
+const { AbortController } = globalThis;
+
+// $name or $name.path.to.value
+const VARIABLE_REFERENCE = /\$([A-Za-z_][\w]*)((?:\.[\w-]+)*)/g;
+
+/**
+ * Get (or create) the variable scope shared by every node of a chain run
+ */
+function getVariables(context) {
+  if (!context.chainVariables) {
+    context.chainVariables = {};
+  }
+  return context.chainVariables;
+}
+
+/**
+ * Look up a variable and walk a dotted path into it
+ */
+function lookupVariable(variables, name, path = '') {
+  if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+    throw new Error(`Undefined chain variable: $${name}`);
+  }
+
+  let value = variables[name];
+  const segments = path.split('.').filter(Boolean);
+
+  for (const segment of segments) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+
+  return value;
+}
+
+/**
+ * Replace $variable references in command arguments.
+ * An argument that is exactly one reference receives the raw value,
+ * references embedded in a larger string are stringified.
+ */
+function resolveArgs(args, context) {
+  if (!context.chainVariables || !args.some(arg => typeof arg === 'string' && arg.includes('$'))) {
+    return args;
+  }
+
+  const variables = context.chainVariables;
+
+  return args.map(arg => {
+    if (typeof arg !== 'string') {
+      return arg;
+    }
+
+    const whole = arg.match(/^\$([A-Za-z_][\w]*)((?:\.[\w-]+)*)$/);
+    if (whole && Object.prototype.hasOwnProperty.call(variables, whole[1])) {
+      return lookupVariable(variables, whole[1], whole[2]);
+    }
+
+    return arg.replace(VARIABLE_REFERENCE, (match, name, path) => {
+      if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+        // Leave unknown references untouched (e.g. shell-style args)
+        return match;
+      }
+      const value = lookupVariable(variables, name, path);
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  });
+}
+
+/**
+ * Value stored when a node result is captured with `as <name>`
+ */
+function captureValue(result) {
+  if (result && typeof result === 'object' && 'output' in result && 'command' in result) {
+    return result.output;
+  }
+  return result;
+}
+
+/**
+ * Whether a node result represents a failed subgraph
+ */
+function isFailedResult(result) {
+  return !!(result && typeof result === 'object' && result.success === false);
+}
+
+/**
+ * Evaluate a condition result (shared by all executors)
+ */
+function evaluateCondition(result) {
+  if (result && typeof result === 'object') {
+    if ('success' in result) {
+      return result.success;
+    }
+    if ('error' in result) {
+      return false;
+    }
+    if ('output' in result) {
+      const output = result.output;
+      if (typeof output === 'boolean') {
+        return output;
+      }
+      if (typeof output === 'string') {
+        return output.includes('success') ||
+               output.includes('complete') ||
+               output.includes('passed');
+      }
+      if (Array.isArray(output)) {
+        return output.length > 0;
+      }
+      return !!output;
+    }
+  }
+
+  return !!result;
+}
+
+/**
+ * Race a promise against a node-level timeout
+ * When the timeout wins, `controller` (if given) is aborted with the timeout error
+ */
+function withTimeout(promise, ms, label, controller = null) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      if (controller) {
+        controller.abort(error);
+      }
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Give a node the abort signal of the timed attempt running it
+ * Commands receive it as context.chainSignal; nested nodes inherit it
+ */
+function withSignal(context, signal) {
+  if (!signal) {
+    return context;
+  }
+
+  // Create the variable scope first so the copy shares it
+  getVariables(context);
+  return { ...context, chainSignal: signal };
+}
+
+/**
+ * Refuse to start a command once its timed attempt has been aborted
+ */
+function throwIfAborted(context) {
+  if (context.chainSignal && context.chainSignal.aborted) {
+    throw context.chainSignal.reason;
+  }
+}
+
+/**
+ * Run a node applying checkpoints and its modifiers (timeout, retry, as)
+ * `run` performs the actual node execution. When the run is journaled,
+ * nodes completed by a previous attempt return their recorded result.
+ */
+async function runWithModifiers(node, context, run) {
+  const checkpoint = context.chainCheckpoint;
+
+  if (!checkpoint || !node.id) {
+    return await applyModifiers(node, context, run);
+  }
+
+  const completed = checkpoint.getCompleted(node.id);
+  if (completed) {
+    logger.debug(`Skipping ${node.id}: completed in a previous run`);
+    return completed.result;
+  }
+
+  checkpoint.start(node.id);
+
+  try {
+    const result = await applyModifiers(node, context, run);
+    checkpoint.complete(node.id, result, context.chainVariables);
+    return result;
+  } catch (error) {
+    checkpoint.fail(node.id, error);
+    throw error;
+  }
+}
+
+/**
+ * Apply timeout/retry/as modifiers around a node execution
+ * `run` receives the abort signal of a timed attempt. A timed-out attempt is
+ * aborted, and the next retry waits for it to settle, so a step never runs
+ * twice at once. A step that ignores the signal still runs to completion,
+ * so retried steps run at least once, not exactly once.
+ */
+async function applyModifiers(node, context, run) {
+  const modifiers = node.modifiers;
+
+  if (!modifiers) {
+    return await run();
+  }
+
+  const label = node.type === 'command' ? node.name : `${node.type} node`;
+  const attempts = (modifiers.retry || 0) + 1;
+  let lastError = null;
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const controller = modifiers.timeout ? new AbortController() : null;
+    const execution = run(controller ? controller.signal : undefined);
+
+    try {
+      result = controller
+        ? await withTimeout(execution, modifiers.timeout, label, controller)
+        : await execution;
+
+      if (!isFailedResult(result) || attempt === attempts) {
+        lastError = null;
+        break;
+      }
+
+      lastError = new Error(`${label} reported failure`);
+    } catch (error) {
+      lastError = error;
+
+      if (controller && controller.signal.aborted && attempt < attempts) {
+        // Let the abandoned attempt finish before starting another
+        await execution.catch(() => null);
+      }
+    }
+
+    if (attempt < attempts) {
+      logger.warn(`Retrying ${label} (attempt ${attempt + 1}/${attempts}): ${lastError.message}`);
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+
+  if (modifiers.as) {
+    getVariables(context)[modifiers.as] = captureValue(result);
+    logger.debug(`Captured ${label} as $${modifiers.as}`);
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a variable node (used as a condition operand)
+ */
+function resolveVariableNode(node, context) {
+  const value = lookupVariable(getVariables(context), node.name, node.path);
+
+  return {
+    variable: node.name,
+    output: value,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Execute a catch node: run the guarded subgraph and, if it fails,
+ * run the handler with the error bound to $error
+ */
+async function runCatch(node, context, executeNode) {
+  let failure = null;
+  let result;
+
+  try {
+    result = await executeNode(node.body, context);
+    if (isFailedResult(result)) {
+      failure = new Error(`${node.body.type} subgraph failed`);
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  if (!failure) {
+    return result;
+  }
+
+  logger.warn(`Chain subgraph failed, running catch handler: ${failure.message}`);
+
+  getVariables(context).error = {
+    message: failure.message,
+    result: result || null
+  };
+
+  const handlerResult = await executeNode(node.handler, {
+    ...context,
+    chainError: failure,
+    previousResult: result
+  });
+
+  return {
+    type: 'catch',
+    success: !isFailedResult(handlerResult),
+    recovered: true,
+    error: failure.message,
+    failedResult: result || null,
+    result: handlerResult
+  };
+}
+
+module.exports = {
+  getVariables,
+  lookupVariable,
+  resolveArgs,
+  captureValue,
+  isFailedResult,
+  evaluateCondition,
+  withTimeout,
+  withSignal,
+  throwIfAborted,
+  runWithModifiers,
+  resolveVariableNode,
+  runCatch
+};
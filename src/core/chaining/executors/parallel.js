@@ -6,6 +6,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../../logging/bumba-logger');
+const runtime = require('../chain-runtime');
 
 class ParallelExecutor extends EventEmitter {
   constructor(commandHandler, options = {}) {
@@ -207,6 +208,14 @@ class ParallelExecutor extends EventEmitter {
    * Internal node execution
    */
   async executeNodeInternal(node, context) {
+    return await runtime.runWithModifiers(node, context, signal =>
+      this.dispatchNode(node, runtime.withSignal(context, signal)));
+  }
+  
+  /**
+   * Dispatch a node to its handler
+   */
+  async dispatchNode(node, context) {
     switch (node.type) {
       case 'command':
         return await this.executeCommand(node, context);
@@ -231,6 +240,12 @@ class ParallelExecutor extends EventEmitter {
       case 'background':
         return await this.executeBackground(node, context);
         
+      case 'catch':
+        return await runtime.runCatch(node, context, (child, ctx) => this.executeNodeInternal(child, ctx));
+        
+      case 'variable':
+        return runtime.resolveVariableNode(node, context);
+        
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -240,7 +255,10 @@ class ParallelExecutor extends EventEmitter {
    * Execute a command node
    */
   async executeCommand(node, context) {
-    const { name, args } = node;
+    runtime.throwIfAborted(context);
+    
+    const { name } = node;
+    const args = runtime.resolveArgs(node.args, context);
     
     logger.debug(`[Parallel] Executing command: ${name} ${args.join(' ')}`);
     
@@ -333,20 +351,7 @@ class ParallelExecutor extends EventEmitter {
    * Evaluate condition result
    */
   evaluateCondition(result) {
-    if (result && typeof result === 'object') {
-      if ('success' in result) return result.success;
-      if ('error' in result) return false;
-      if ('output' in result) {
-        const output = result.output;
-        if (typeof output === 'boolean') return output;
-        if (typeof output === 'string') {
-          return output.includes('success') || 
-                 output.includes('complete') ||
-                 output.includes('passed');
-        }
-      }
-    }
-    return !!result;
+    return runtime.evaluateCondition(result);
   }
   
   /**
@@ -6,6 +6,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../../logging/bumba-logger');
+const runtime = require('../chain-runtime');
 
 class SequentialExecutor extends EventEmitter {
   constructor(commandHandler) {
@@ -128,6 +129,14 @@ class SequentialExecutor extends EventEmitter {
    * Execute a single node
    */
   async executeNode(node, context) {
+    return await runtime.runWithModifiers(node, context, signal =>
+      this.dispatchNode(node, runtime.withSignal(context, signal)));
+  }
+  
+  /**
+   * Dispatch a node to its handler
+   */
+  async dispatchNode(node, context) {
     switch (node.type) {
       case 'command':
         return await this.executeCommand(node, context);
@@ -152,6 +161,12 @@ class SequentialExecutor extends EventEmitter {
       case 'background':
         return await this.executeBackground(node, context);
         
+      case 'catch':
+        return await runtime.runCatch(node, context, (child, ctx) => this.executeNode(child, ctx));
+        
+      case 'variable':
+        return runtime.resolveVariableNode(node, context);
+        
       default:
         throw new Error(`Unknown node type: ${node.type}`);
     }
@@ -161,7 +176,10 @@ class SequentialExecutor extends EventEmitter {
    * Execute a command node
    */
   async executeCommand(node, context) {
-    const { name, args } = node;
+    runtime.throwIfAborted(context);
+    
+    const { name } = node;
+    const args = runtime.resolveArgs(node.args, context);
     
     logger.debug(`Executing command: ${name} ${args.join(' ')}`);
     
@@ -265,25 +283,7 @@ class SequentialExecutor extends EventEmitter {
    * Evaluate condition result
    */
   evaluateCondition(result) {
-    // Check for explicit success/failure
-    if (result && typeof result === 'object') {
-      if ('success' in result) return result.success;
-      if ('error' in result) return false;
-      if ('output' in result) {
-        // Check command output
-        const output = result.output;
-        if (typeof output === 'boolean') return output;
-        if (typeof output === 'string') {
-          // Check for success indicators
-          return output.includes('success') || 
-                 output.includes('complete') ||
-                 output.includes('passed');
-        }
-      }
-    }
-    
-    // Default to truthy evaluation
-    return !!result;
+    return runtime.evaluateCondition(result);
   }
   
   /**
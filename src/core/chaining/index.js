@@ -7,6 +7,8 @@
 const ChainParser = require('./chain-parser');
 const ChainExecutor = require('./chain-executor');
 const TemplateExecutor = require('./template-executor');
+const ChainJournal = require('./chain-journal');
+const ChainPlanner = require('./chain-planner');
 const { getTemplates } = require('./templates/chain-templates');
 const { logger } = require('../logging/bumba-logger');
 
@@ -17,6 +19,9 @@ class CommandChaining {
       enabled: options.enabled !== undefined ? options.enabled : true,
       maxDepth: options.maxDepth || 10,
       timeout: options.timeout || 600000, // 10 minutes
+      journal: options.journal !== undefined ? options.journal : true,
+      learnDurations: options.learnDurations || false, // Opt in: writes the planner's history file
+      maxCost: options.maxCost || null, // Chains estimated above this need approval
       ...options
     };
     
@@ -25,10 +30,20 @@ class CommandChaining {
     this.executor = new ChainExecutor(commandHandler, this.options);
     this.templateExecutor = new TemplateExecutor(commandHandler, this.options);
     this.templates = getTemplates();
+    this.journal = this.options.journal
+      ? new ChainJournal({ directory: this.options.journalDir })
+      : null;
+    
+    this.planner = null; // Created on first use
     
     // Connect template executor to chain executor
     this.templateExecutor.setChainExecutor(this.executor);
     
+    // Feed actual command durations back into the planner's predictor
+    if (this.options.learnDurations) {
+      this.trackDurations();
+    }
+    
     // State
     this.history = [];
     this.activeChains = new Map();
@@ -42,22 +57,130 @@ class CommandChaining {
       throw new Error('Command chaining is disabled');
     }
     
-    const chainId = `chain-${Date.now()}`;
-    const startTime = Date.now();
+    // Check if input is a template
+    if (input.startsWith('@')) {
+      const templateKey = input.slice(1);
+      return await this.executeTemplate(templateKey, context);
+    }
     
-    try {
-      // Check if input is a template
-      if (input.startsWith('@')) {
-        const templateKey = input.slice(1);
-        return await this.executeTemplate(templateKey, context);
+    // Dry run: plan only
+    if (context.dryRun) {
+      return await this.plan(input, context);
+    }
+    
+    // Parse and execute as chain
+    logger.info('🏁 Parsing command chain...');
+    const ast = this.parser.parse(input);
+    
+    await this.checkApproval(input, ast, context);
+    
+    return await this.runChain(this.createChainId(), input, ast, context);
+  }
+  
+  /**
+   * Dry-run a chain or template: resolve departments and specialists
+   * and estimate tokens, cost and time without executing anything
+   */
+  async plan(input, context = {}) {
+    let chain = input;
+    
+    if (input.startsWith('@')) {
+      chain = this.templateExecutor.prepareTemplate(input.slice(1), context.variables || {}).chain;
+    }
+    
+    const ast = this.parser.parse(chain);
+    const plan = await this.getPlanner().plan(ast, context);
+    
+    return {
+      input,
+      ast,
+      readable: this.parser.toString(ast),
+      plan,
+      summary: this.getPlanner().format(plan),
+      dryRun: true
+    };
+  }
+  
+  /**
+   * Refuse chains estimated above maxCost unless explicitly approved
+   */
+  async checkApproval(input, ast, context) {
+    if (!this.options.maxCost || context.approved) {
+      return;
+    }
+    
+    const plan = await this.getPlanner().plan(ast, context);
+    
+    if (plan.totals.cost > this.options.maxCost) {
+      const error = new Error(
+        `Chain estimated at $${plan.totals.cost.toFixed(4)} exceeds the $${this.options.maxCost} limit; ` +
+        'review it with /bumba:chain plan and re-run with approval'
+      );
+      error.plan = plan;
+      throw error;
+    }
+  }
+  
+  /**
+   * Get (or create) the chain planner
+   */
+  getPlanner() {
+    if (!this.planner) {
+      this.planner = new ChainPlanner(this.options.planner || {});
+    }
+    return this.planner;
+  }
+  
+  /**
+   * Record command durations reported by the executor
+   */
+  trackDurations() {
+    const starts = new WeakMap();
+    
+    const record = (data, success) => {
+      const node = data.node;
+      if (!node || node.type !== 'command' || !starts.has(node)) {
+        return;
       }
       
-      // Parse and execute as chain
-      logger.info('🏁 Parsing command chain...');
-      const ast = this.parser.parse(input);
+      const duration = data.duration || Date.now() - starts.get(node);
+      starts.delete(node);
       
+      this.getPlanner().recordExecution(node, duration, success).catch(error => {
+        logger.debug(`Could not record chain duration: ${error.message}`);
+      });
+    };
+    
+    this.executor.on('node-start', data => {
+      if (data.node) {
+        starts.set(data.node, Date.now());
+      }
+    });
+    this.executor.on('node-complete', data => record(data, true));
+    this.executor.on('node-error', data => record(data, false));
+  }
+  
+  /**
+   * Run a parsed chain, journaling every node when persistence is enabled
+   */
+  async runChain(chainId, input, ast, context = {}, journalEntry = null) {
+    const startTime = Date.now();
+    const runContext = { ...context };
+    
+    if (this.journal) {
+      const entry = journalEntry || this.journal.create(chainId, {
+        input,
+        ast,
+        context: runContext
+      });
+      runContext.chainVariables = { ...entry.variables };
+      runContext.chainCheckpoint = this.journal.checkpoint(chainId, ast);
+    }
+    
+    try {
       // Store active chain
       this.activeChains.set(chainId, {
+        id: chainId,
         input,
         ast,
         startTime,
@@ -65,7 +188,7 @@ class CommandChaining {
       });
       
       // Execute chain
-      const result = await this.executor.execute(ast.root, context);
+      const result = await this.executor.execute(ast.root, runContext);
       
       // Update chain status
       this.activeChains.set(chainId, {
@@ -75,10 +198,19 @@ class CommandChaining {
         result
       });
       
+      if (this.journal) {
+        this.journal.finish(chainId, 'completed', { result, checkpoint: runContext.chainCheckpoint });
+      }
+      
+      if (this.planner) {
+        this.planner.saveHistory();
+      }
+      
       // Add to history
       this.addToHistory({
         id: chainId,
         input,
+        template: context.template ? context.template.key : undefined,
         result,
         duration: Date.now() - startTime,
         timestamp: startTime
@@ -87,16 +219,23 @@ class CommandChaining {
       return result;
       
     } catch (error) {
+      const stopped = this.activeChains.get(chainId)?.status === 'stopped';
+      
       // Update chain status
       if (this.activeChains.has(chainId)) {
         this.activeChains.set(chainId, {
           ...this.activeChains.get(chainId),
-          status: 'failed',
+          status: stopped ? 'stopped' : 'failed',
           endTime: Date.now(),
           error: error.message
         });
       }
       
+      if (this.journal) {
+        this.journal.finish(chainId, stopped ? 'stopped' : 'failed', { error: error.message });
+        logger.info(`🏁 Resume with: bumba chain resume ${chainId}`);
+      }
+      
       logger.error('Chain execution failed:', error);
       throw error;
       
@@ -106,23 +245,67 @@ class CommandChaining {
     }
   }
   
+  /**
+   * Resume a journaled chain run from its last completed node
+   */
+  async resume(chainId, context = {}) {
+    if (!this.journal) {
+      throw new Error('Chain journaling is disabled');
+    }
+    
+    const entry = this.journal.reopen(chainId);
+    const completed = Object.values(entry.nodes).filter(n => n.status === 'completed').length;
+    
+    logger.info(`🏁 Resuming chain ${chainId} (${completed} node(s) already completed)`);
+    
+    return await this.runChain(chainId, entry.input, entry.ast, {
+      ...context,
+      resumed: true
+    }, entry);
+  }
+  
+  /**
+   * List journaled chain runs
+   */
+  getRuns(filter = {}) {
+    return this.journal ? this.journal.list(filter) : [];
+  }
+  
+  /**
+   * Generate a chain run id
+   */
+  createChainId() {
+    return `chain-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+  
   /**
    * Execute a template
    */
   async executeTemplate(key, context = {}) {
-    const template = this.templates.get(key);
+    let templateKey = key;
     
-    if (!template) {
+    if (!this.templates.get(key)) {
       // Try to find by emoji
       const byEmoji = this.templates.getByEmoji(key);
-      if (byEmoji) {
-        return this.templateExecutor.executeTemplate(byEmoji.key, {}, context);
+      if (!byEmoji) {
+        throw new Error(`Template '${key}' not found`);
       }
-      
-      throw new Error(`Template '${key}' not found`);
+      templateKey = byEmoji.key;
     }
     
-    return this.templateExecutor.executeTemplate(key, {}, context);
+    const { template, chain, context: templateContext } =
+      this.templateExecutor.prepareTemplate(templateKey, context.variables || {}, context);
+    
+    logger.info(`🏁 Executing template: ${template.emoji} ${template.name}`);
+    
+    const ast = this.parser.parse(chain);
+    await this.checkApproval(`@${templateKey}`, ast, context);
+    const result = await this.runChain(this.createChainId(), `@${templateKey}`, ast, templateContext);
+    
+    result.template = template.key;
+    result.templateName = template.name;
+    
+    return result;
   }
   
   /**
@@ -195,6 +378,9 @@ class CommandChaining {
     for (const [id, chain] of this.activeChains.entries()) {
       if (chain.status === 'running') {
         chain.status = 'stopped';
+        if (this.journal) {
+          this.journal.finish(id, 'stopped');
+        }
         logger.warn(`Stopped chain ${id}`);
       }
     }
@@ -289,35 +475,48 @@ function integrateChaining(framework, options = {}) {
     switch (action) {
       case 'execute':
       case 'run':
+      case 'approve': {
         const chain = args.slice(1).join(' ');
         if (!chain) {
-          return 'Usage: /bumba:chain run <chain>';
+          return `Usage: /bumba:chain ${action} <chain>`;
         }
-        const result = await chainingInstance.execute(chain, context);
+        const result = await chainingInstance.execute(chain, {
+          ...context,
+          approved: action === 'approve' || context.approved
+        });
         return `Chain executed: ${result.summary ? 
           `${result.summary.successful}/${result.summary.total} successful` : 
           'completed'}`;
+      }
         
       case 'preview':
+      case 'plan': {
         const previewChain = args.slice(1).join(' ');
         if (!previewChain) {
-          return 'Usage: /bumba:chain preview <chain>';
+          return `Usage: /bumba:chain ${action} <chain>`;
         }
-        const preview = chainingInstance.preview(previewChain);
-        return `Chain preview:\n${preview.readable}`;
+        const preview = await chainingInstance.plan(previewChain, context);
+        return `Chain preview:\n${preview.readable}\n\nDry-run plan:\n${preview.summary}`;
+      }
         
       case 'templates':
       case 'list':
         const templates = chainingInstance.templates.list();
         return `Available templates:\n${templates}`;
         
-      case 'template':
+      case 'template': {
         const templateKey = args[1];
         if (!templateKey) {
-          return 'Usage: /bumba:chain template <key>';
+          return 'Usage: /bumba:chain template <key> [name=value ...]';
         }
-        const templateResult = await chainingInstance.executeTemplate(templateKey, context);
+        const variables = { ...context.variables };
+        for (const pair of args.slice(2)) {
+          const [name, ...value] = pair.split('=');
+          variables[name] = value.join('=');
+        }
+        await chainingInstance.executeTemplate(templateKey, { ...context, variables });
         return `Template ${templateKey} executed`;
+      }
         
       case 'history':
         const limit = parseInt(args[1]) || 5;
@@ -339,6 +538,25 @@ function integrateChaining(framework, options = {}) {
         chainingInstance.stopAll();
         return '🔴 All chains stopped';
         
+      case 'runs': {
+        const runs = chainingInstance.getRuns({ limit: parseInt(args[1]) || 10 });
+        if (runs.length === 0) {
+          return 'No journaled chain runs';
+        }
+        return runs.map(r => `${r.id} [${r.status}] ${r.input}`).join('\n');
+      }
+        
+      case 'resume': {
+        const resumeId = args[1];
+        if (!resumeId) {
+          return 'Usage: /bumba:chain resume <id>';
+        }
+        const resumed = await chainingInstance.resume(resumeId, context);
+        return `Chain ${resumeId} resumed: ${resumed.summary ? 
+          `${resumed.summary.successful}/${resumed.summary.total} successful` : 
+          'completed'}`;
+      }
+        
       case 'recommend':
         const recommendations = chainingInstance.getRecommendations(context);
         if (recommendations.length === 0) {
@@ -352,12 +570,15 @@ function integrateChaining(framework, options = {}) {
           'Usage: /bumba:chain [action] [options]',
           'Actions:',
           '  run <chain> - Execute a command chain',
-          '  preview <chain> - Preview chain execution',
+          '  preview <chain> - Dry-run plan with cost/time estimate',
+          '  approve <chain> - Execute a chain above the cost limit',
           '  templates - List available templates',
-          '  template <key> - Execute a template',
+          '  template <key> [name=value ...] - Execute a template with parameters',
           '  history [limit] - Show execution history',
           '  stats - Show chain statistics',
           '  stop - Stop all active chains',
+          '  runs [limit] - List journaled chain runs',
+          '  resume <id> - Resume an interrupted or failed chain',
           '  recommend - Get template recommendations'
         ].join('\n');
     }
@@ -386,5 +607,7 @@ module.exports = {
   integrateChaining,
   ChainParser,
   ChainExecutor,
+  ChainJournal,
+  ChainPlanner,
   TemplateExecutor
 };
\ No newline at end of file
@@ -7,6 +7,7 @@
 const ChainParser = require('./chain-parser');
 const ChainExecutor = require('./chain-executor');
 const { getTemplates } = require('./templates/chain-templates');
+const { formatValue } = require('./templates/template-parameters');
 const { logger } = require('../logging/bumba-logger');
 
 class TemplateExecutor {
@@ -31,37 +32,18 @@ class TemplateExecutor {
    * Execute a template by key
    */
   async executeTemplate(key, variables = {}, context = {}) {
-    // Get template
-    const template = this.templates.get(key);
-    
-    if (!template) {
-      throw new Error(`Template '${key}' not found`);
-    }
+    const { template, chain, context: templateContext } = this.prepareTemplate(key, variables, context);
     
     logger.info(`🏁 Executing template: ${template.emoji} ${template.name}`);
     
-    // Substitute variables in chain
-    const chain = this.substituteVariables(template.chain, variables);
-    
-    // Add template metadata to context
-    const templateContext = {
-      ...context,
-      template: {
-        key: template.key,
-        name: template.name,
-        emoji: template.emoji,
-        gradient: template.gradient
-      },
-      variables
-    };
-    
     // Execute chain
     if (!this.executor) {
       throw new Error('Chain executor not available');
     }
     
     try {
-      const result = await this.executor.execute(chain, templateContext);
+      const ast = this.parser.parse(chain);
+      const result = await this.executor.execute(ast.root, templateContext);
       
       // Add template info to result
       result.template = template.key;
@@ -78,24 +60,56 @@ class TemplateExecutor {
   }
   
   /**
-   * Substitute variables in chain string
+   * Resolve a template into the chain string and context it runs with
+   * Parameters are validated against the template schema first
    */
-  substituteVariables(chain, variables) {
-    let substituted = chain;
+  prepareTemplate(key, variables = {}, context = {}) {
+    const template = this.templates.get(key);
     
-    // Replace ${var} patterns
-    for (const [key, value] of Object.entries(variables)) {
-      const pattern = new RegExp(`\\$\\{${key}\\}`, 'g');
-      substituted = substituted.replace(pattern, value);
+    if (!template) {
+      throw new Error(`Template '${key}' not found`);
     }
     
-    // Replace $var patterns (simpler syntax)
-    for (const [key, value] of Object.entries(variables)) {
-      const pattern = new RegExp(`\\$${key}\\b`, 'g');
-      substituted = substituted.replace(pattern, value);
+    const { values, errors } = this.templates.resolveParameters(key, variables);
+    
+    if (errors.length > 0) {
+      const error = new Error(`Invalid parameters for template '${key}':\n  - ${errors.join('\n  - ')}`);
+      error.errors = errors;
+      throw error;
     }
     
-    return substituted;
+    // Substitute variables in chain (omitted optional parameters become empty)
+    const optional = Object.fromEntries(Object.keys(template.parameters).map(name => [name, '']));
+    const chain = this.substituteVariables(template.chain, { ...optional, ...values });
+    
+    // Add template metadata to context
+    const templateContext = {
+      ...context,
+      template: {
+        key: template.key,
+        name: template.name,
+        emoji: template.emoji,
+        gradient: template.gradient
+      },
+      variables: values
+    };
+    
+    return { template, chain, context: templateContext };
+  }
+  
+  /**
+   * Substitute variables in chain string
+   * ${var} and $var are replaced in one pass, so a substituted value is
+   * never searched for further placeholders
+   */
+  substituteVariables(chain, variables) {
+    return chain.replace(/\$\{(\w+)\}|\$(\w+)\b/g, (match, braced, bare) => {
+      const key = braced || bare;
+      if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+        return match;
+      }
+      return formatValue(variables[key], arg => this.parser.formatArg(arg));
+    });
   }
   
   /**
@@ -108,7 +122,9 @@ class TemplateExecutor {
       throw new Error(`Template '${key}' not found`);
     }
     
-    const chain = this.substituteVariables(template.chain, variables);
+    // Previews fill defaults but still show placeholders for missing values
+    const { values, errors } = this.templates.resolveParameters(key, variables);
+    const chain = this.substituteVariables(template.chain, values);
     
     // Parse to get structure
     const ast = this.parser.parse(chain);
@@ -118,10 +134,13 @@ class TemplateExecutor {
         key: template.key,
         name: template.name,
         description: template.description,
-        emoji: template.emoji
+        emoji: template.emoji,
+        parameters: template.parameters,
+        source: template.source
       },
       original: template.chain,
       substituted: chain,
+      errors,
       ast: ast,
       readable: this.parser.toString(ast)
     };
@@ -137,8 +156,11 @@ class TemplateExecutor {
       throw new Error(`Template '${key}' not found`);
     }
     
-    // Extract variables from template chain
-    const variables = this.extractVariables(template.chain);
+    // Typed templates declare their parameters, others are inferred from the chain
+    const schema = Object.keys(template.parameters).length > 0
+      ? template.parameters
+      : Object.fromEntries(this.extractVariables(template.chain).map(name => [name, {}]));
+    const variables = Object.keys(schema);
     const values = {};
     
     // Prompt for each variable
@@ -146,9 +168,16 @@ class TemplateExecutor {
       logger.info(`Template ${template.name} needs ${variables.length} variable(s)`);
       
       for (const variable of variables) {
+        const parameter = schema[variable];
         const value = await promptCallback({
           name: variable,
-          message: `Enter value for ${variable}:`,
+          message: parameter.description
+            ? `${parameter.description} (${variable}):`
+            : `Enter value for ${variable}:`,
+          type: parameter.type,
+          choices: parameter.enum,
+          default: parameter.default,
+          required: parameter.required,
           template: template.name
         });
         
@@ -180,6 +209,10 @@ class TemplateExecutor {
       variables.add(name);
     });
     
+    // Names bound at runtime (`as name`, catch's $error) are not template inputs
+    const bound = (chain.match(/\bas\s+([A-Za-z_]\w*)/g) || []).map(m => m.split(/\s+/)[1]);
+    ['error', ...bound].forEach(name => variables.delete(name));
+    
     return Array.from(variables);
   }
   
@@ -298,6 +331,19 @@ class TemplateExecutor {
       // Check for variables
       const variables = this.extractVariables(template.chain);
       
+      // Typed templates must declare every placeholder they use
+      const declared = Object.keys(template.parameters);
+      const undeclared = declared.length > 0
+        ? variables.filter(name => !declared.includes(name))
+        : [];
+      if (undeclared.length > 0) {
+        return {
+          valid: false,
+          template: template.key,
+          error: `Undeclared parameter(s): ${undeclared.join(', ')}`
+        };
+      }
+      
       return {
         valid: true,
         template: template.key,
@@ -4,15 +4,24 @@
  * Minimal, powerful, gradient-themed
  */
 
+const TemplateLoader = require('./template-loader');
+const { normalizeSchema, resolveParameters } = require('./template-parameters');
 const { logger } = require('../../logging/bumba-logger');
 
 class ChainTemplates {
-  constructor() {
+  constructor(options = {}) {
     // Built-in templates
     this.templates = new Map();
+    this.loader = new TemplateLoader(options);
+    this.loadErrors = [];
     
     // Register default templates
     this.registerDefaults();
+    
+    // Project and user templates override built-ins with the same key
+    if (options.loadUserTemplates !== false) {
+      this.loadUserTemplates();
+    }
   }
   
   /**
@@ -131,6 +140,8 @@ class ChainTemplates {
       gradient: template.gradient || ['green', 'yellow', 'orange', 'red'],
       emoji: template.emoji || '🏁',
       tags: template.tags || [],
+      parameters: normalizeSchema(template.parameters, key),
+      source: template.source || 'builtin',
       created: Date.now()
     };
     
@@ -140,6 +151,50 @@ class ChainTemplates {
     return validated;
   }
   
+  /**
+   * Load templates from .bumba/chains in the project and the BUMBA home directory
+   */
+  loadUserTemplates() {
+    const { templates, errors } = this.loader.discover();
+    
+    for (const template of templates) {
+      if (this.templates.has(template.key)) {
+        logger.debug(`Chain template ${template.key} overridden by ${template.source}`);
+      }
+      this.register(template.key, template);
+    }
+    
+    this.loadErrors = errors;
+    return templates.length;
+  }
+  
+  /**
+   * Drop file-based templates and discover them again
+   */
+  reload() {
+    this.templates.clear();
+    this.registerDefaults();
+    return this.loadUserTemplates();
+  }
+  
+  /**
+   * Validate and coerce parameter values for a template
+   * Templates without a schema accept any variables untyped
+   */
+  resolveParameters(key, values = {}) {
+    const template = this.get(key);
+    
+    if (!template) {
+      throw new Error(`Template '${key}' not found`);
+    }
+    
+    if (Object.keys(template.parameters).length === 0) {
+      return { values: { ...values }, errors: [] };
+    }
+    
+    return resolveParameters(template.parameters, values, key);
+  }
+  
   /**
    * Get a template by key
    */
@@ -170,6 +225,7 @@ class ChainTemplates {
           `${t.emoji} ${t.name} (${t.key})`,
           `  ${t.description}`,
           `  Chain: ${t.chain}`,
+          ...this.formatParameters(t).map(line => `  ${line}`),
           `  Gradient: ${t.gradient.join(' → ')}`
         ].join('\n');
       }).join('\n\n');
@@ -181,6 +237,23 @@ class ChainTemplates {
     }).join('\n');
   }
   
+  /**
+   * Describe a template's parameters, one line each
+   */
+  formatParameters(template) {
+    return Object.entries(template.parameters || {}).map(([name, parameter]) => {
+      const details = [parameter.enum ? parameter.enum.join('|') : parameter.type];
+      if (parameter.required) {
+        details.push('required');
+      }
+      if (parameter.default !== undefined) {
+        details.push(`default: ${parameter.default}`);
+      }
+      const description = parameter.description ? ` - ${parameter.description}` : '';
+      return `\${${name}} (${details.join(', ')})${description}`;
+    });
+  }
+  
   /**
    * Search templates by tags or description
    */
@@ -0,0 +1,150 @@
+/**
+ * BUMBA Template Loader
+ * Discovers user-defined chain templates from YAML/JSON files in the
+ * project (.bumba/chains) and the BUMBA home directory ($BUMBA_HOME/chains,
+ * ~/.bumba/chains by default)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { normalizeSchema } = require('./template-parameters');
+const { logger } = require('../../logging/bumba-logger');
+
+const TEMPLATE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+class TemplateLoader {
+  constructor(options = {}) {
+    this.options = {
+      projectDir: options.projectDir || path.join(process.cwd(), '.bumba', 'chains'),
+      userDir: options.userDir || path.join(process.env.BUMBA_HOME || path.join(os.homedir(), '.bumba'), 'chains'),
+      ...options
+    };
+  }
+
+  /**
+   * Template directories, lowest precedence first
+   * Project templates override user templates with the same key
+   */
+  getDirectories() {
+    return [
+      { scope: 'user', directory: this.options.userDir },
+      { scope: 'project', directory: this.options.projectDir }
+    ];
+  }
+
+  /**
+   * Load every template file from the template directories
+   * Invalid files are reported and skipped so one bad file
+   * does not hide the rest
+   */
+  discover() {
+    const templates = [];
+    const errors = [];
+
+    for (const { scope, directory } of this.getDirectories()) {
+      if (!fs.existsSync(directory)) {
+        continue;
+      }
+
+      const files = fs.readdirSync(directory)
+        .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+
+      for (const file of files) {
+        const filePath = path.join(directory, file);
+        try {
+          templates.push({ ...this.loadFile(filePath), scope });
+        } catch (error) {
+          logger.warn(`Skipping chain template ${filePath}: ${error.message}`);
+          errors.push({ file: filePath, error: error.message });
+        }
+      }
+    }
+
+    return { templates, errors };
+  }
+
+  /**
+   * Read and validate a single template file
+   */
+  loadFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const definition = extension === '.json' ? JSON.parse(content) : yaml.safeLoad(content);
+
+    return this.normalize(definition, filePath);
+  }
+
+  /**
+   * Validate a template definition and resolve its key
+   */
+  normalize(definition, filePath) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('template must be a mapping');
+    }
+
+    const key = definition.key || path.basename(filePath, path.extname(filePath));
+
+    if (!/^[\w-]+$/.test(key)) {
+      throw new Error(`invalid template key '${key}'`);
+    }
+
+    if (typeof definition.chain !== 'string' || !definition.chain.trim()) {
+      throw new Error(`${key}: template must have a chain string`);
+    }
+
+    return {
+      ...definition,
+      key,
+      parameters: normalizeSchema(definition.parameters, key),
+      tags: Array.isArray(definition.tags) ? definition.tags.map(String) : [],
+      source: filePath
+    };
+  }
+
+  /**
+   * Write a starter template file and return its path
+   */
+  scaffold(key, options = {}) {
+    if (!/^[\w-]+$/.test(key)) {
+      throw new Error(`Invalid template key '${key}' (use letters, digits, - and _)`);
+    }
+
+    const directory = options.global ? this.options.userDir : this.options.projectDir;
+    const filePath = path.join(directory, `${key}.yaml`);
+
+    if (fs.existsSync(filePath)) {
+      throw new Error(`Template file already exists: ${filePath}`);
+    }
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(filePath, [
+      `name: ${key}`,
+      'description: Describe what this chain does',
+      'emoji: 🏁',
+      'tags: []',
+      '',
+      '# Typed parameters, referenced in the chain as ${name}',
+      '# type: string | number | integer | boolean | list',
+      'parameters:',
+      '  environment:',
+      '    type: string',
+      '    description: Deployment target',
+      '    enum: [staging, production]',
+      '    default: staging',
+      '  version:',
+      '    type: string',
+      '    description: Version to release',
+      '    required: true',
+      '',
+      'chain: /bumba:build >> /bumba:test >> /bumba:deploy ${environment} ${version}',
+      ''
+    ].join('\n'));
+
+    return filePath;
+  }
+}
+
+module.exports = TemplateLoader;
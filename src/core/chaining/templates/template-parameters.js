@@ -0,0 +1,213 @@
+/**
+ * BUMBA Template Parameters
+ * Typed parameter schemas for chain templates: declared types,
+ * required flags, enums and defaults, validated before execution
+ */
+
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'list'];
+
+// Parameter names double as ${name} placeholders in the chain
+const PARAMETER_NAME = /^[A-Za-z_]\w*$/;
+
+/**
+ * Normalize a parameter schema from a template definition
+ * Accepts `name: type` shorthand or full `{ type, required, enum, default }` objects
+ */
+function normalizeSchema(parameters, templateKey = 'template') {
+  if (!parameters) {
+    return {};
+  }
+
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new Error(`${templateKey}: parameters must be a map of name to definition`);
+  }
+
+  const schema = {};
+
+  for (const [name, raw] of Object.entries(parameters)) {
+    if (!PARAMETER_NAME.test(name)) {
+      throw new Error(`${templateKey}: invalid parameter name '${name}'`);
+    }
+
+    const definition = typeof raw === 'string' ? { type: raw } : { ...(raw || {}) };
+    const type = definition.type || 'string';
+
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new Error(`${templateKey}: parameter '${name}' has unknown type '${type}' (expected ${PARAMETER_TYPES.join(', ')})`);
+    }
+
+    const parameter = {
+      type,
+      description: definition.description || '',
+      required: definition.required === true
+    };
+
+    if (definition.enum !== undefined) {
+      if (!Array.isArray(definition.enum) || definition.enum.length === 0) {
+        throw new Error(`${templateKey}: parameter '${name}' enum must be a non-empty list`);
+      }
+      // List parameters are constrained item by item
+      const itemType = type === 'list' ? 'string' : type;
+      parameter.enum = definition.enum.map(value => coerce(value, itemType, name, templateKey));
+    }
+
+    if (definition.pattern !== undefined) {
+      if (type !== 'string') {
+        throw new Error(`${templateKey}: parameter '${name}' pattern only applies to strings`);
+      }
+      parameter.pattern = String(definition.pattern);
+    }
+
+    if (definition.default !== undefined) {
+      const value = coerce(definition.default, type, name, templateKey);
+      const problem = checkConstraints(name, value, parameter);
+      if (problem) {
+        throw new Error(`${templateKey}: default for ${problem}`);
+      }
+      parameter.default = value;
+    }
+
+    schema[name] = parameter;
+  }
+
+  return schema;
+}
+
+/**
+ * Validate supplied values against a schema
+ * Coerces strings (CLI/slash command input) to the declared types and fills defaults
+ * Returns { values, errors } - callers decide whether errors are fatal
+ */
+function resolveParameters(schema, supplied = {}, templateKey = 'template') {
+  const values = {};
+  const errors = [];
+
+  for (const name of Object.keys(supplied)) {
+    if (!schema[name]) {
+      errors.push(`unknown parameter '${name}'`);
+    }
+  }
+
+  for (const [name, parameter] of Object.entries(schema)) {
+    let value = supplied[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (parameter.default !== undefined) {
+        values[name] = parameter.default;
+      } else if (parameter.required) {
+        errors.push(`missing required parameter '${name}'${parameter.enum ? ` (one of: ${parameter.enum.join(', ')})` : ''}`);
+      }
+      continue;
+    }
+
+    try {
+      value = coerce(value, parameter.type, name, templateKey);
+    } catch (error) {
+      errors.push(error.message.replace(`${templateKey}: `, ''));
+      continue;
+    }
+
+    const problem = checkConstraints(name, value, parameter);
+    if (problem) {
+      errors.push(problem);
+      continue;
+    }
+
+    values[name] = value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Coerce a value to a parameter type
+ */
+function coerce(value, type, name, templateKey) {
+  const fail = () => {
+    throw new Error(`${templateKey}: parameter '${name}' expects ${type}, got ${JSON.stringify(value)}`);
+  };
+
+  switch (type) {
+    case 'string':
+      if (typeof value === 'object') {
+        fail();
+      }
+      return String(value);
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        fail();
+      }
+      if (type === 'integer' && !Number.isInteger(number)) {
+        fail();
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (['true', 'yes', '1'].includes(String(value).toLowerCase())) {
+        return true;
+      }
+      if (['false', 'no', '0'].includes(String(value).toLowerCase())) {
+        return false;
+      }
+      return fail();
+
+    case 'list':
+      if (Array.isArray(value)) {
+        return value.map(String);
+      }
+      if (typeof value === 'object') {
+        fail();
+      }
+      return String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    default:
+      return fail();
+  }
+}
+
+/**
+ * Check enum/pattern constraints, returning a problem description or null
+ */
+function checkConstraints(name, value, parameter) {
+  if (parameter.enum) {
+    const values = Array.isArray(value) ? value : [value];
+    const invalid = values.find(item => !parameter.enum.includes(item));
+    if (invalid !== undefined) {
+      return `parameter '${name}' must be one of: ${parameter.enum.join(', ')} (got ${JSON.stringify(invalid)})`;
+    }
+  }
+
+  if (parameter.pattern && !new RegExp(parameter.pattern).test(value)) {
+    return `parameter '${name}' must match /${parameter.pattern}/ (got ${JSON.stringify(value)})`;
+  }
+
+  return null;
+}
+
+/**
+ * Render a typed value for substitution into a chain string
+ * Each item goes through formatArg (the parser's quoting) so a value is
+ * always read back as plain arguments, never as chain syntax
+ */
+function formatValue(value, formatArg = String) {
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .map(String)
+    .filter(item => item !== '')
+    .map(item => formatArg(item))
+    .join(' ');
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  normalizeSchema,
+  resolveParameters,
+  formatValue
+};
@@ -334,6 +334,8 @@ class WebSocketManager extends EventEmitter {
     this.clients.delete(clientId);
     this.clientMetadata.delete(clientId);
 
+    this.emit('client_disconnected', { clientId, code, reason });
+
     if (metadata && metadata.agentId) {
       this.emit('agent_disconnected', metadata.agentId);
     }
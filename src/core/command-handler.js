@@ -6,10 +6,14 @@
 const chalk = require('chalk');
 const { logger } = require('./logging/bumba-logger');
 const { BumbaError } = require('./error-handling/bumba-error-system');
+const { runWithMemoryProvenance } = require('./memory/memory-provenance');
 const { getInstance: getAgentIdentity } = require('./coordination/agent-identity');
 const { getInstance: getSafeFileOps } = require('./coordination/safe-file-operations');
 const { getInstance: getTerritoryManager } = require('./coordination/territory-manager');
 
+// Commands that work on local state and go straight to their handler, not a department
+const LOCAL_COMMANDS = new Set(['memory']);
+
 class BumbaCommandHandler {
   constructor() {
     this.handlers = new Map();
@@ -116,7 +120,7 @@ class BumbaCommandHandler {
     this.registerCommand('help', this.handleSystemCommand.bind(this));
     this.registerCommand('settings', this.handleSystemCommand.bind(this));
     this.registerCommand('orchestrate', this.handleSystemCommand.bind(this));
-    this.registerCommand('memory', this.handleSystemCommand.bind(this));
+    this.registerCommand('memory', this.handleMemoryCommand.bind(this));
 
     // Monitoring Commands
     this.registerCommand('health', this.handleMonitoringCommand.bind(this));
@@ -170,8 +174,8 @@ class BumbaCommandHandler {
     // ENHANCED: Store original goal for completeness validation
     const originalGoal = `${command} ${args.join(' ')}`.trim();
 
-    // Use intelligent command router for all commands
-    if (this.commandRouter) {
+    // Use intelligent command router for all other commands
+    if (this.commandRouter && !LOCAL_COMMANDS.has(command)) {
       try {
         logger.info(`🚀 Using intelligent command router for: ${command}`);
         
@@ -180,7 +184,10 @@ class BumbaCommandHandler {
           await this.commandRouter.initialize();
         }
         
-        const routerResult = await this.commandRouter.route(command, args, context);
+        const routerResult = await runWithMemoryProvenance(
+          { writer: context.agentId, source: `command:${command}` },
+          () => this.commandRouter.route(command, args, context)
+        );
         
         // Format result for consistency with existing system
         return {
@@ -224,7 +231,11 @@ class BumbaCommandHandler {
       }
 
       try {
-        const result = await handler(args, context);
+        // Memory written while the command runs records this agent and command
+        const result = await runWithMemoryProvenance(
+          { writer: commandAgentId, source: `command:${command}` },
+          () => handler(args, context)
+        );
 
         // ENHANCED: Run testing validation on command results
         if (this.testingFramework && this.testingEnabled) {
@@ -623,6 +634,32 @@ class BumbaCommandHandler {
     return await implementations.handleSystemCommand(args, context);
   }
 
+  /**
+   * Memory console: memory <action> [args...], as `bumba memory`
+   */
+  async handleMemoryCommand(args, _context) {
+    logger.info('🟢 Executing Memory command');
+
+    const { MemoryConsole } = require('./memory/memory-console');
+    const [action = 'stats', ...rest] = Array.isArray(args) ? args : (args._ || []);
+
+    try {
+      return {
+        type: 'memory',
+        ...new MemoryConsole().run(action, rest),
+        success: true
+      };
+    } catch (error) {
+      logger.error(`Memory command failed: ${error.message}`);
+      return {
+        type: 'memory',
+        action,
+        error: error.message,
+        success: false
+      };
+    }
+  }
+
   async handleDevOpsCommand(args, context) {
     logger.info('🟢 Executing DevOps command');
 
@@ -1,114 +1,191 @@
 /**
  * BUMBA Sequential Executor
  * Executes commands in sequence with context passing
+ * Consumes the unified chain AST, so any chain accepted by /bumba:chain
+ * runs here with the same operator, variable and modifier semantics
  */
 
 const { logger } = require('../logging/bumba-logger');
 const { getInstance: getCommandRouter } = require('./command-router');
+const { getInstance: getChainParser } = require('./chain-parser');
+const runtime = require('../chaining/chain-runtime');
 
 class SequentialExecutor {
   constructor() {
     this.router = getCommandRouter();
+    this.parser = getChainParser();
     this.executionHistory = [];
     this.contextChain = new Map();
   }
 
   /**
-   * Execute commands sequentially
+   * Execute a chain (string or unified AST) one command at a time
    */
   async executeSequence(chain, initialContext = {}) {
-    logger.info(`📝 Executing ${chain.commands.length} commands sequentially`);
+    const ast = typeof chain === 'string' ? this.parser.parseChain(chain) : chain;
+    const totalCommands = this.parser.getCommands(ast).length;
+    
+    logger.info(`📝 Executing ${totalCommands} commands sequentially`);
     
     const executionId = `seq_${Date.now()}`;
-    const results = [];
-    let currentContext = { ...initialContext, executionId };
-    let previousResult = null;
+    const state = {
+      executionId,
+      totalCommands,
+      results: [],
+      context: { ...initialContext, executionId }
+    };
+    runtime.getVariables(state.context);
     
-    // Get execution order
-    const executionOrder = chain.executionOrder || 
-      this.getExecutionOrder(chain);
+    let outcome;
+    try {
+      outcome = await this.executeNode(ast.root, state);
+    } catch (error) {
+      logger.error('❌ Chain execution failed:', error);
+      outcome = { success: false, error: error.message };
+    }
     
-    for (const index of executionOrder) {
-      const command = chain.commands[index];
-      
-      try {
-        logger.info(`▶️ Executing command ${index + 1}/${chain.commands.length}: ${command.command}`);
-        
-        // Build command context
-        const commandContext = await this.buildCommandContext(
-          command,
-          previousResult,
-          currentContext,
-          chain
-        );
-        
-        // Execute command
-        const result = await this.executeCommand(
-          command,
-          commandContext
-        );
+    // Save execution history
+    this.saveExecutionHistory(executionId, ast, state.results);
+    
+    return {
+      executionId,
+      totalCommands,
+      executedCommands: state.results.length,
+      results: state.results,
+      finalContext: state.context,
+      success: !runtime.isFailedResult(outcome) && state.results.every(r => r.success)
+    };
+  }
+
+  /**
+   * Execute an AST node, applying its modifiers (as/retry/timeout)
+   */
+  async executeNode(node, state, options = {}) {
+    return runtime.runWithModifiers(node, state.context, signal =>
+      this.dispatchNode(node, state, signal ? { ...options, chainSignal: signal } : options));
+  }
+
+  /**
+   * Execute a node by type
+   */
+  async dispatchNode(node, state, options) {
+    switch (node.type) {
+      case 'command':
+        return this.runCommand(node, state, options);
         
-        // Store result
-        results.push({
-          index,
-          command: command.command,
-          args: command.args,
-          success: result.success,
-          result
-        });
+      case 'sequential': {
+        // Like &&: stop at the first failing step
+        const results = [];
+        for (const child of node.nodes) {
+          const result = await this.executeNode(child, state);
+          results.push(result);
+          if (runtime.isFailedResult(result)) {
+            logger.info(`⏹️ Stopping sequence after failed step ${results.length}/${node.nodes.length}`);
+            return { type: 'sequential', success: false, results };
+          }
+        }
+        return { type: 'sequential', success: true, results };
+      }
         
-        // Update context for next command
-        currentContext = this.updateContext(currentContext, result);
-        previousResult = result;
+      case 'parallel': {
+        // Independent branches: run each in turn, regardless of failures
+        const results = [];
+        for (const child of node.nodes) {
+          results.push(await this.executeNode(child, state));
+        }
+        return { type: 'parallel', success: !results.some(runtime.isFailedResult), results };
+      }
         
-        // Check if we should continue based on operation
-        if (!this.shouldContinue(command, result, chain)) {
-          logger.info(`⏹️ Stopping chain execution at command ${index}`);
-          break;
+      case 'pipe': {
+        const from = await this.executeNode(node.from, state);
+        if (runtime.isFailedResult(from)) {
+          return from;
         }
+        return this.executeNode(node.to, state, { pipedInput: from });
+      }
         
-      } catch (error) {
-        logger.error(`❌ Command ${index} failed:`, error);
+      case 'background': {
+        const background = this.executeNode(node.background, state);
+        const foreground = await this.executeNode(node.foreground, state);
+        await background;
+        return foreground;
+      }
         
-        results.push({
-          index,
-          command: command.command,
-          args: command.args,
-          success: false,
-          error: error.message
-        });
+      case 'conditional': {
+        const condition = await this.executeNode(node.condition, state);
+        const branch = runtime.evaluateCondition(condition) ? node.trueBranch : node.falseBranch;
+        return this.executeNode(branch, state);
+      }
         
-        // Check if we should continue after error
-        if (!this.shouldContinueAfterError(command, chain)) {
-          break;
-        }
+      case 'catch':
+        return runtime.runCatch(node, state.context, (child, context) =>
+          this.executeNode(child, state, { chainError: context.chainError }));
         
-        previousResult = { success: false, error: error.message };
-      }
+      case 'variable':
+        return runtime.resolveVariableNode(node, state.context);
+        
+      default:
+        throw new Error(`Unknown node type: ${node.type}`);
     }
-    
-    // Save execution history
-    this.saveExecutionHistory(executionId, chain, results);
-    
-    return {
-      executionId,
-      totalCommands: chain.commands.length,
-      executedCommands: results.length,
-      results,
-      finalContext: currentContext,
-      success: results.every(r => r.success)
+  }
+
+  /**
+   * Route a command node and record its result
+   */
+  async runCommand(node, state, options) {
+    const command = {
+      command: node.name.replace(/^\/bumba:/, ''),
+      args: runtime.resolveArgs(node.args, state.context),
+      index: state.results.length
     };
+    
+    try {
+      logger.info(`▶️ Executing command ${command.index + 1}/${state.totalCommands}: ${command.command}`);
+      
+      // Build command context
+      const commandContext = await this.buildCommandContext(command, state, options);
+      
+      // Execute command
+      const result = await this.executeCommand(command, commandContext);
+      
+      // Store result
+      state.results.push({
+        index: command.index,
+        command: command.command,
+        args: command.args,
+        success: result.success,
+        result
+      });
+      
+      // Update context for next command
+      state.context = this.updateContext(state.context, result);
+      
+      return result;
+      
+    } catch (error) {
+      logger.error(`❌ Command ${command.index} failed:`, error);
+      
+      state.results.push({
+        index: command.index,
+        command: command.command,
+        args: command.args,
+        success: false,
+        error: error.message
+      });
+      
+      return { success: false, error: error.message };
+    }
   }
 
   /**
    * Build context for command execution
    */
-  async buildCommandContext(command, previousResult, baseContext, chain) {
-    const context = { ...baseContext };
+  async buildCommandContext(command, state, options = {}) {
+    const context = { ...state.context };
     
     // Add previous result if piping
-    if (command.pipeFrom !== undefined && previousResult) {
-      context.pipedInput = previousResult.result || previousResult;
+    if (options.pipedInput) {
+      context.pipedInput = options.pipedInput.result || options.pipedInput;
       
       // Transform args if piping
       if (!command.args || command.args.length === 0) {
@@ -121,23 +198,20 @@ class SequentialExecutor {
       }
     }
     
-    // Add dependency results
-    if (command.dependencies && command.dependencies.length > 0) {
-      context.dependencies = {};
-      
-      for (const depIndex of command.dependencies) {
-        const depCommand = chain.commands[depIndex];
-        if (this.contextChain.has(depIndex)) {
-          context.dependencies[depCommand.command] = 
-            this.contextChain.get(depIndex);
-        }
-      }
+    // Error that triggered a catch handler
+    if (options.chainError) {
+      context.chainError = options.chainError;
+    }
+    
+    // Abort signal of a timed (timeout modifier) attempt
+    if (options.chainSignal) {
+      context.chainSignal = options.chainSignal;
     }
     
     // Add chain metadata
     context.chainExecution = true;
     context.commandIndex = command.index;
-    context.totalCommands = chain.commands.length;
+    context.totalCommands = state.totalCommands;
     
     return context;
   }
@@ -202,94 +276,16 @@ class SequentialExecutor {
     return newContext;
   }
 
-  /**
-   * Determine if chain should continue
-   */
-  shouldContinue(command, result, chain) {
-    // Check sequential operator (&&)
-    if (command.requiresSuccess !== undefined) {
-      return result.success;
-    }
-    
-    // Check fallback operator (||)
-    if (command.requiresFailure !== undefined) {
-      return !result.success;
-    }
-    
-    // Default: continue
-    return true;
-  }
-
-  /**
-   * Determine if chain should continue after error
-   */
-  shouldContinueAfterError(command, chain) {
-    // If next command has fallback operator, continue
-    const nextIndex = command.index + 1;
-    if (nextIndex < chain.commands.length) {
-      const nextCommand = chain.commands[nextIndex];
-      if (nextCommand.requiresFailure !== undefined) {
-        return true;
-      }
-    }
-    
-    // Otherwise stop on error
-    return false;
-  }
-
-  /**
-   * Get execution order for chain
-   */
-  getExecutionOrder(chain) {
-    const order = [];
-    const executed = new Set();
-    
-    // Helper to check if dependencies are met
-    const canExecute = (command) => {
-      if (!command.dependencies || command.dependencies.length === 0) {
-        return true;
-      }
-      
-      return command.dependencies.every(dep => executed.has(dep));
-    };
-    
-    // Process commands in dependency order
-    while (order.length < chain.commands.length) {
-      let progress = false;
-      
-      for (let i = 0; i < chain.commands.length; i++) {
-        if (!executed.has(i) && canExecute(chain.commands[i])) {
-          order.push(i);
-          executed.add(i);
-          progress = true;
-        }
-      }
-      
-      if (!progress) {
-        // Add remaining commands (might have issues)
-        for (let i = 0; i < chain.commands.length; i++) {
-          if (!executed.has(i)) {
-            order.push(i);
-            executed.add(i);
-          }
-        }
-        break;
-      }
-    }
-    
-    return order;
-  }
-
   /**
    * Save execution history
    */
-  saveExecutionHistory(executionId, chain, results) {
+  saveExecutionHistory(executionId, ast, results) {
     const history = {
       executionId,
       timestamp: new Date().toISOString(),
       chain: {
-        commands: chain.commands.map(c => `${c.command} ${c.args.join(' ')}`),
-        operations: chain.operations
+        input: this.parser.format(ast),
+        commands: this.parser.getCommands(ast).map(c => [c.name, ...c.args].join(' '))
       },
       results: results.map(r => ({
         command: r.command,
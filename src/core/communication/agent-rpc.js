@@ -0,0 +1,590 @@
+/**
+ * BUMBA Agent RPC
+ * Request/response calls between agents with typed method definitions,
+ * deadlines, cancellation that follows a call down to the calls it makes,
+ * and streamed partial results. Frames travel over a pluggable transport
+ * (see rpc-transports.js); a transport only has to deliver frames by agent id.
+ */
+
+const EventEmitter = require('events');
+const { logger } = require('../logging/bumba-logger');
+const { validatePayload } = require('../events/event-hub');
+
+const { AbortController } = globalThis;
+
+/**
+ * Frame kinds exchanged by two RPC endpoints
+ */
+const RpcFrame = {
+  REQUEST: 'request',
+  ITEM: 'item',
+  RESULT: 'result',
+  ERROR: 'error',
+  CANCEL: 'cancel'
+};
+
+/**
+ * Error codes callers can branch on
+ */
+const RpcErrorCode = {
+  METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  INVALID_RESULT: 'INVALID_RESULT',
+  DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED',
+  CANCELLED: 'CANCELLED',
+  UNAVAILABLE: 'UNAVAILABLE',
+  HANDLER_ERROR: 'HANDLER_ERROR'
+};
+
+class RpcError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, details: this.details };
+  }
+}
+
+class AgentRpc extends EventEmitter {
+  /**
+   * @param {string} agentId - Address other agents call this endpoint by
+   * @param {Object} options
+   * @param {Object} options.transport - Delivers frames between agents
+   * @param {number} options.defaultTimeout - Deadline for calls that set none, in ms
+   */
+  constructor(agentId, options = {}) {
+    super();
+
+    if (!options.transport) {
+      throw new Error('AgentRpc requires a transport');
+    }
+
+    this.agentId = agentId;
+    this.transport = options.transport;
+    this.defaultTimeout = options.defaultTimeout || 30000;
+
+    this.methods = new Map(); // name -> definition
+    this.outgoing = new Map(); // call id -> caller side of an open call
+    this.serving = new Map(); // call id -> { controller, timer }
+    this.nextId = 0;
+    this.closed = false;
+
+    this.metrics = {
+      callsSent: 0,
+      callsServed: 0,
+      itemsStreamed: 0,
+      cancelled: 0,
+      deadlinesExceeded: 0,
+      failed: 0
+    };
+
+    this.onUnreachable = agentId => this.failCallsTo(agentId);
+    this.transport.attach(agentId, frame => this.handleFrame(frame));
+    this.transport.on('unreachable', this.onUnreachable);
+
+    this.define({
+      'rpc.describe': {
+        description: 'Methods this agent serves',
+        handler: () => this.describe()
+      }
+    });
+  }
+
+  /**
+   * Serve methods to other agents:
+   *
+   *   rpc.define({
+   *     'review.findings': {
+   *       stream: true,
+   *       params: { required: ['files'], properties: { files: { type: 'array' } } },
+   *       item: { required: ['file', 'severity'], properties: { severity: { type: 'string' } } },
+   *       handler: async function* ({ files }, context) { ... yield finding ... }
+   *     }
+   *   });
+   *
+   * Handlers get (params, context). Streaming handlers either yield items or
+   * call context.emit(item); what they return becomes the final result.
+   */
+  define(methods) {
+    for (const [name, definition] of Object.entries(methods)) {
+      if (typeof definition.handler !== 'function') {
+        throw new Error(`RPC method ${name} needs a handler`);
+      }
+      this.methods.set(name, { stream: false, ...definition, name });
+    }
+    return this;
+  }
+
+  /**
+   * Method names and schemas, as served by rpc.describe
+   */
+  describe() {
+    return Array.from(this.methods.values()).map(({ name, description, stream, params, result, item }) => ({
+      name,
+      description: description || null,
+      stream,
+      params: params || null,
+      result: result || null,
+      item: item || null
+    }));
+  }
+
+  /**
+   * Call a method on another agent and wait for its result
+   * @param {Object} options
+   * @param {number} options.timeout - Milliseconds until the deadline
+   * @param {number} options.deadline - Absolute deadline (epoch ms); wins over timeout
+   * @param {AbortSignal} options.signal - Aborting cancels the call on the callee too
+   */
+  call(target, method, params = {}, options = {}) {
+    const call = this.open(target, method, params, options, false);
+    return call.promise;
+  }
+
+  /**
+   * Call a streaming method; iterate the returned stream for partial
+   * results and await stream.result for the final value
+   */
+  stream(target, method, params = {}, options = {}) {
+    return this.open(target, method, params, options, true).stream;
+  }
+
+  open(target, method, params, options, streaming) {
+    if (this.closed) {
+      throw new RpcError(RpcErrorCode.UNAVAILABLE, `RPC endpoint ${this.agentId} is closed`);
+    }
+
+    const id = `${this.agentId}:${++this.nextId}`;
+    const deadline = options.deadline || Date.now() + (options.timeout || this.defaultTimeout);
+    const call = { id, target, method, stream: streaming ? new RpcStream(() => this.cancel(id)) : null };
+
+    call.promise = new Promise((resolve, reject) => {
+      call.resolve = resolve;
+      call.reject = reject;
+    });
+    if (call.stream) {
+      call.stream.bind(call.promise);
+    }
+
+    const refuse = error => {
+      call.reject(error);
+      if (call.stream) {
+        call.stream.fail(error);
+      }
+      return call;
+    };
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      this.metrics.deadlinesExceeded++;
+      return refuse(new RpcError(RpcErrorCode.DEADLINE_EXCEEDED, `${method} on ${target}: deadline already passed`));
+    }
+
+    call.timer = setTimeout(() => {
+      this.abandon(id, new RpcError(RpcErrorCode.DEADLINE_EXCEEDED, `${method} on ${target} exceeded its deadline of ${remaining}ms`));
+    }, remaining);
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        clearTimeout(call.timer);
+        this.metrics.cancelled++;
+        return refuse(cancelled(method, target, options.signal));
+      }
+      call.signal = options.signal;
+      call.onAbort = () => this.cancel(id, options.signal);
+      options.signal.addEventListener('abort', call.onAbort, { once: true });
+    }
+
+    this.outgoing.set(id, call);
+    this.metrics.callsSent++;
+
+    this.transport.send({
+      kind: RpcFrame.REQUEST,
+      id,
+      from: this.agentId,
+      to: target,
+      method,
+      params,
+      deadline,
+      stream: streaming
+    }).catch(error => {
+      this.settle(id, null, error instanceof RpcError
+        ? error
+        : new RpcError(RpcErrorCode.UNAVAILABLE, `${method} on ${target}: ${error.message}`));
+    });
+
+    return call;
+  }
+
+  /**
+   * Cancel an open call here and on the agent serving it
+   */
+  cancel(id, signal = null) {
+    const call = this.outgoing.get(id);
+    if (!call) {
+      return false;
+    }
+    this.metrics.cancelled++;
+    this.abandon(id, cancelled(call.method, call.target, signal));
+    return true;
+  }
+
+  /**
+   * Fail a call locally and tell the callee to stop working on it
+   */
+  abandon(id, error) {
+    const call = this.outgoing.get(id);
+    if (!call) {
+      return;
+    }
+    this.settle(id, null, error);
+    this.transport.send({ kind: RpcFrame.CANCEL, id, from: this.agentId, to: call.target, reason: error.code })
+      .catch(sendError => logger.debug(`RPC cancel for ${id} not delivered: ${sendError.message}`));
+  }
+
+  /**
+   * Fail every open call to an agent the transport lost
+   */
+  failCallsTo(agentId) {
+    for (const call of Array.from(this.outgoing.values())) {
+      if (call.target === agentId) {
+        this.settle(call.id, null, new RpcError(RpcErrorCode.UNAVAILABLE, `${call.method} on ${agentId}: agent disconnected`));
+      }
+    }
+  }
+
+  settle(id, value, error) {
+    const call = this.outgoing.get(id);
+    if (!call) {
+      return;
+    }
+    this.outgoing.delete(id);
+    clearTimeout(call.timer);
+    if (call.signal) {
+      call.signal.removeEventListener('abort', call.onAbort);
+    }
+
+    if (error) {
+      // The callee may notice the deadline before the caller's timer does
+      if (error.code === RpcErrorCode.DEADLINE_EXCEEDED) {
+        this.metrics.deadlinesExceeded++;
+      }
+      this.metrics.failed++;
+      call.reject(error);
+      if (call.stream) {
+        call.stream.fail(error);
+      }
+    } else {
+      call.resolve(value);
+      if (call.stream) {
+        call.stream.end();
+      }
+    }
+  }
+
+  /**
+   * Entry point for frames the transport delivers to this agent
+   */
+  handleFrame(frame) {
+    switch (frame.kind) {
+      case RpcFrame.REQUEST:
+        this.serve(frame);
+        break;
+
+      case RpcFrame.CANCEL:
+        this.stopServing(frame.id, new RpcError(RpcErrorCode.CANCELLED, `Cancelled by ${frame.from}`));
+        break;
+
+      case RpcFrame.ITEM: {
+        const call = this.outgoing.get(frame.id);
+        if (call && call.stream) {
+          call.stream.push(frame.value);
+        }
+        break;
+      }
+
+      case RpcFrame.RESULT:
+        this.settle(frame.id, frame.value, null);
+        break;
+
+      case RpcFrame.ERROR:
+        this.settle(frame.id, null, new RpcError(frame.error.code, frame.error.message, frame.error.details));
+        break;
+
+      default:
+        logger.warn(`Unknown RPC frame kind: ${frame.kind}`);
+    }
+  }
+
+  /**
+   * Run a method for a caller and send back items, the result or the error
+   */
+  async serve(frame) {
+    const controller = new AbortController();
+    const reply = (kind, body) => this.transport.send({ kind, id: frame.id, from: this.agentId, to: frame.from, ...body })
+      .catch(error => logger.debug(`RPC ${kind} for ${frame.id} not delivered: ${error.message}`));
+
+    const timer = setTimeout(() => {
+      controller.abort(new RpcError(RpcErrorCode.DEADLINE_EXCEEDED, `${frame.method} exceeded its deadline`));
+    }, Math.max(0, frame.deadline - Date.now()));
+    this.serving.set(frame.id, { controller, timer });
+    this.metrics.callsServed++;
+
+    try {
+      const method = this.methods.get(frame.method);
+      if (!method) {
+        throw new RpcError(RpcErrorCode.METHOD_NOT_FOUND, `${this.agentId} has no method ${frame.method}`);
+      }
+      if (method.stream !== Boolean(frame.stream)) {
+        throw new RpcError(RpcErrorCode.METHOD_NOT_FOUND,
+          `${frame.method} on ${this.agentId} is ${method.stream ? 'a streaming' : 'not a streaming'} method`);
+      }
+      checkSchema(method.params, frame.params, RpcErrorCode.INVALID_PARAMS, `${frame.method} params`);
+
+      let seq = 0;
+      const emit = async item => {
+        if (!method.stream) {
+          throw new Error(`${frame.method} is not a streaming method`);
+        }
+        if (controller.signal.aborted) {
+          throw controller.signal.reason;
+        }
+        checkSchema(method.item, item, RpcErrorCode.INVALID_RESULT, `${frame.method} item`);
+        this.metrics.itemsStreamed++;
+        await reply(RpcFrame.ITEM, { seq: seq++, value: item });
+      };
+
+      const context = this.createContext(frame, controller.signal, emit);
+      let value = await method.handler(frame.params, context);
+
+      if (method.stream && value && typeof value[Symbol.asyncIterator] === 'function') {
+        value = await drain(value, emit, controller.signal);
+      }
+
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      checkSchema(method.result, value, RpcErrorCode.INVALID_RESULT, `${frame.method} result`);
+      await reply(RpcFrame.RESULT, { value: value === undefined ? null : value });
+
+    } catch (error) {
+      const failure = controller.signal.aborted ? controller.signal.reason : error;
+      // A cancelled caller is no longer listening
+      if (failure.code !== RpcErrorCode.CANCELLED) {
+        if (!(failure instanceof RpcError)) {
+          logger.warn(`RPC ${frame.method} from ${frame.from} failed: ${failure.message}`);
+        }
+        await reply(RpcFrame.ERROR, {
+          error: failure instanceof RpcError
+            ? failure.toJSON()
+            : { code: RpcErrorCode.HANDLER_ERROR, message: failure.message, details: null }
+        });
+      }
+
+    } finally {
+      clearTimeout(timer);
+      this.serving.delete(frame.id);
+    }
+  }
+
+  /**
+   * What a handler sees of the call it is serving. Calls it makes through the
+   * context share its deadline and are cancelled with it.
+   */
+  createContext(frame, signal, emit) {
+    const inherit = (options = {}) => ({
+      ...options,
+      deadline: Math.min(options.deadline || Infinity, options.timeout ? Date.now() + options.timeout : Infinity, frame.deadline),
+      signal: options.signal ? anySignal([options.signal, signal]) : signal
+    });
+
+    return {
+      caller: frame.from,
+      method: frame.method,
+      callId: frame.id,
+      deadline: frame.deadline,
+      signal,
+      emit,
+      call: (target, method, params, options) => this.call(target, method, params, inherit(options)),
+      stream: (target, method, params, options) => this.stream(target, method, params, inherit(options))
+    };
+  }
+
+  stopServing(id, reason) {
+    const serving = this.serving.get(id);
+    if (serving) {
+      serving.controller.abort(reason);
+    }
+  }
+
+  /**
+   * Cancel open calls, stop serving and leave the transport
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    for (const id of Array.from(this.outgoing.keys())) {
+      this.abandon(id, new RpcError(RpcErrorCode.CANCELLED, `RPC endpoint ${this.agentId} closed`));
+    }
+    for (const id of Array.from(this.serving.keys())) {
+      this.stopServing(id, new RpcError(RpcErrorCode.CANCELLED, `RPC endpoint ${this.agentId} closed`));
+    }
+
+    this.transport.removeListener('unreachable', this.onUnreachable);
+    this.transport.detach(this.agentId);
+  }
+
+  getStats() {
+    return {
+      agentId: this.agentId,
+      methods: this.methods.size,
+      openCalls: this.outgoing.size,
+      serving: this.serving.size,
+      ...this.metrics
+    };
+  }
+}
+
+/**
+ * Caller side of a streaming call: an async iterable of partial results
+ * with the final value in `result`
+ */
+class RpcStream {
+  constructor(cancel) {
+    this.cancelCall = cancel;
+    this.items = [];
+    this.waiting = [];
+    this.done = false;
+    this.error = null;
+    this.result = null;
+  }
+
+  bind(promise) {
+    this.result = promise;
+    // Iterating alone is a valid way to consume a stream
+    promise.catch(() => null);
+  }
+
+  push(item) {
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve({ value: item, done: false });
+    } else {
+      this.items.push(item);
+    }
+  }
+
+  end() {
+    this.done = true;
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.resolve({ value: undefined, done: true });
+    }
+  }
+
+  fail(error) {
+    this.done = true;
+    this.error = error;
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Stop the call; the callee's handler sees its signal abort
+   */
+  cancel() {
+    return this.cancelCall();
+  }
+
+  next() {
+    if (this.items.length > 0) {
+      return Promise.resolve({ value: this.items.shift(), done: false });
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Leaving a for await loop early cancels the call
+   */
+  return() {
+    if (!this.done) {
+      this.cancel();
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+/**
+ * Send everything an async iterator yields; its return value is the result
+ */
+async function drain(iterable, emit, signal) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  try {
+    for (;;) {
+      const step = await iterator.next();
+      if (step.done) {
+        return step.value;
+      }
+      await emit(step.value);
+    }
+  } finally {
+    if (signal.aborted && typeof iterator.return === 'function') {
+      await iterator.return();
+    }
+  }
+}
+
+function checkSchema(schema, value, code, what) {
+  if (!schema) {
+    return;
+  }
+  const errors = validatePayload(schema, value, '');
+  if (errors.length > 0) {
+    throw new RpcError(code, `${what} invalid: ${errors.join('; ')}`, { errors });
+  }
+}
+
+function cancelled(method, target, signal) {
+  const reason = signal && signal.reason instanceof Error ? `: ${signal.reason.message}` : '';
+  return new RpcError(RpcErrorCode.CANCELLED, `${method} on ${target} was cancelled${reason}`);
+}
+
+/**
+ * A signal that aborts when any of the given ones does
+ */
+function anySignal(signals) {
+  const controller = new AbortController();
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
+
+module.exports = {
+  AgentRpc,
+  RpcStream,
+  RpcError,
+  RpcErrorCode,
+  RpcFrame
+};
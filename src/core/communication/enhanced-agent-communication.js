@@ -5,6 +5,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { IdempotencyStore } = require('./idempotency');
 
 class EnhancedAgentCommunication extends EventEmitter {
   constructor() {
@@ -36,9 +37,14 @@ class EnhancedAgentCommunication extends EventEmitter {
       received: 0,
       failed: 0,
       retried: 0,
-      outOfOrder: 0
+      outOfOrder: 0,
+      duplicates: 0
     };
     
+    // Idempotency keys already handed to a recipient, so a retry or resend
+    // never queues the same message twice
+    this.delivered = new IdempotencyStore('enhanced-agent-communication.delivered');
+    
     // Active conversations
     this.conversations = new Map();
     
@@ -53,12 +59,26 @@ class EnhancedAgentCommunication extends EventEmitter {
     const priority = options.priority || 'normal';
     const conversationId = options.conversationId || this.generateConversationId();
     
+    // A resend of a message the recipient already has is acknowledged as is
+    const original = options.idempotencyKey && this.delivered.get(`${to}:${options.idempotencyKey}`);
+    if (original) {
+      this.stats.duplicates++;
+      return {
+        success: true,
+        messageId: original.messageId,
+        attempts: 0,
+        duplicate: true
+      };
+    }
+    
     // Generate sequence number
     const fromSeq = (this.sequenceNumbers.get(from) || 0) + 1;
     this.sequenceNumbers.set(from, fromSeq);
     
+    const id = this.generateMessageId();
     const envelope = {
-      id: this.generateMessageId(),
+      id: id,
+      idempotencyKey: options.idempotencyKey || id,
       from: from,
       to: to,
       message: message,
@@ -88,6 +108,9 @@ class EnhancedAgentCommunication extends EventEmitter {
   async deliverWithRetry(envelope) {
     const maxAttempts = this.retryConfig.maxAttempts;
     
+    // Claimed here so the priority processor does not deliver it a second time
+    envelope.status = 'delivering';
+    
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         envelope.attempts = attempt;
@@ -141,6 +164,12 @@ class EnhancedAgentCommunication extends EventEmitter {
    * Attempt message delivery
    */
   async attemptDelivery(envelope) {
+    // An earlier attempt got through even though it reported failure
+    const deliveryKey = `${envelope.to}:${envelope.idempotencyKey}`;
+    if (this.delivered.has(deliveryKey)) {
+      return true;
+    }
+    
     // Check if recipient is available
     const recipientAvailable = await this.checkRecipientAvailability(envelope.to);
     
@@ -155,6 +184,7 @@ class EnhancedAgentCommunication extends EventEmitter {
     
     const queue = this.messageQueue.get(envelope.to);
     queue.push(envelope);
+    this.delivered.set(deliveryKey, { messageId: envelope.id });
     
     // Sort by sequence number for ordering
     queue.sort((a, b) => a.sequence - b.sequence);
@@ -181,6 +211,13 @@ class EnhancedAgentCommunication extends EventEmitter {
     // Check sequence ordering
     const lastSeq = this.getLastProcessedSequence(agentId, message.from);
     
+    // Already processed: a redelivery, dropped rather than handled twice
+    if (message.sequence <= lastSeq) {
+      this.stats.duplicates++;
+      logger.debug(`Dropping duplicate message ${message.id} (sequence ${message.sequence})`);
+      return await this.receiveMessage(agentId);
+    }
+    
     if (message.sequence !== lastSeq + 1) {
       // Out of order message
       this.stats.outOfOrder++;
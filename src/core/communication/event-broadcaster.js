@@ -5,6 +5,7 @@
 
 const EventEmitter = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { currentCorrelationId } = require('../events/correlation-context');
 
 /**
  * Event Types for different broadcasting scenarios
@@ -216,6 +217,7 @@ class EventBroadcaster extends EventEmitter {
         timestamp: Date.now(),
         source: 'event-broadcaster',
         ttl,
+        correlationId: currentCorrelationId(),
         ...metadata
       },
       deliveryGuarantee,
@@ -236,6 +238,9 @@ class EventBroadcaster extends EventEmitter {
     // Store in history for replay
     this.storeEventInHistory(topic, broadcastEvent);
     
+    // Announce every valid event, whether or not anyone is subscribed
+    this.emit('event:published', broadcastEvent);
+    
     // Find matching subscribers
     const targetSubscribers = this.findTargetSubscribers(broadcastEvent);
     broadcastEvent.deliveryStatus.totalTargets = targetSubscribers.length;
@@ -4,6 +4,7 @@
  */
 
 const fs = require('fs').promises;
+const { mkdirSync } = require('fs');
 const path = require('path');
 const { logger } = require('../logging/bumba-logger');
 
@@ -49,6 +50,7 @@ class EventPersistenceManager {
       enableEncryption: false,
       batchSize: 1000,
       flushInterval: 5000, // 5 seconds
+      databasePath: null, // SQLite file for the database backend, defaults to <baseDirectory>/events.db
       maxFileSize: 100 * 1024 * 1024, // 100MB
       retentionPolicies: {
         default: {
@@ -67,6 +69,7 @@ class EventPersistenceManager {
     this.vectorClocks = new Map(); // node -> clock value
     this.pendingWrites = new Map(); // topic -> pending events
     this.flushTimers = new Map(); // topic -> timer
+    this.database = null; // SQLite connection shared by database-backed stores
     
     // Metrics and monitoring
     this.metrics = {
@@ -512,7 +515,7 @@ class EventPersistenceManager {
         break;
         
       case StorageBackend.DATABASE:
-        store = new DatabaseEventStore(topic, this.config);
+        store = new DatabaseEventStore(topic, this.getEventDatabase(), this.config);
         break;
         
       default:
@@ -535,9 +538,56 @@ class EventPersistenceManager {
     logger.info('🧠 Memory storage initialized');
   }
 
+  /**
+   * Initialize SQLite storage, loading every topic already in the database
+   */
   async initializeDatabaseStorage() {
-    // Placeholder for database initialization
-    logger.info('🗄️ Database storage initialized (placeholder)');
+    try {
+      const db = this.getEventDatabase();
+      const topics = db.prepare('SELECT DISTINCT topic FROM events ORDER BY topic').all();
+      
+      for (const { topic } of topics) {
+        const store = new DatabaseEventStore(topic, db, this.config);
+        await store.initialize();
+        this.eventStores.set(topic, store);
+        
+        // Resume sequence numbers and vector clocks where the last session stopped
+        const lastSequence = await store.getLastSequence();
+        this.sequenceGenerators.set(topic, lastSequence + 1);
+        
+        for (const [node, clock] of Object.entries(store.getLastVectorClock())) {
+          this.vectorClocks.set(node, Math.max(this.vectorClocks.get(node) || 0, clock));
+        }
+      }
+      
+      logger.info(`🗄️ Database storage initialized: ${this.eventStores.size} topics loaded`);
+    } catch (error) {
+      logger.error('🔴 Failed to initialize database storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the SQLite database shared by all topics
+   */
+  getEventDatabase() {
+    if (this.database) {
+      return this.database;
+    }
+    
+    // Loaded on use so the file and memory backends work without the native module
+    const Database = require('better-sqlite3');
+    const dbPath = this.config.databasePath || path.join(this.config.baseDirectory, 'events.db');
+    
+    if (dbPath !== ':memory:') {
+      mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    
+    this.database = new Database(dbPath);
+    this.database.pragma('journal_mode = WAL');
+    DatabaseEventStore.initializeTables(this.database);
+    
+    return this.database;
   }
 
   /**
@@ -565,6 +615,11 @@ class EventPersistenceManager {
     
     await Promise.all(shutdownPromises);
     
+    if (this.database) {
+      this.database.close();
+      this.database = null;
+    }
+    
     logger.info('🏁 Event Persistence Manager shutdown complete');
   }
 }
@@ -909,11 +964,360 @@ class MemoryEventStore {
   }
 }
 
+/**
+ * SQLite Event Store Implementation
+ * One row per event in a database shared by all topics, with ordering and
+ * lookup fields in indexed columns so replays never scan the whole log
+ */
+class DatabaseEventStore {
+  constructor(topic, db, config) {
+    this.topic = topic;
+    this.db = db;
+    this.config = config;
+    
+    this.statements = {
+      insert: db.prepare(`
+        INSERT INTO events (topic, id, sequence, type, correlation_id, importance, timestamp, vector_clock, event)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      byId: db.prepare('SELECT event FROM events WHERE topic = ? AND id = ? ORDER BY rowid DESC LIMIT 1'),
+      lastSequence: db.prepare('SELECT MAX(sequence) AS sequence FROM events WHERE topic = ?')
+    };
+  }
+
+  /**
+   * Create the tables and indexes shared by all database-backed topics
+   */
+  static initializeTables(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        topic TEXT NOT NULL,
+        id TEXT,
+        sequence INTEGER,
+        type TEXT,
+        correlation_id TEXT,
+        importance REAL,
+        timestamp INTEGER,
+        vector_clock TEXT,
+        event TEXT NOT NULL
+      )
+    `);
+    
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_events_sequence ON events(topic, sequence);
+      CREATE INDEX IF NOT EXISTS idx_events_id ON events(topic, id);
+      CREATE INDEX IF NOT EXISTS idx_events_type ON events(topic, type, sequence);
+      CREATE INDEX IF NOT EXISTS idx_events_correlation ON events(topic, correlation_id, sequence);
+      CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(topic, timestamp)
+    `);
+    
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS event_snapshots (
+        topic TEXT NOT NULL,
+        sequence INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        event_count INTEGER NOT NULL,
+        vector_clock TEXT,
+        summary TEXT NOT NULL
+      )
+    `);
+    
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_event_snapshots_topic ON event_snapshots(topic, sequence)
+    `);
+  }
+
+  async initialize() {
+    // Tables are created when the shared database is opened
+  }
+
+  async storeEvent(event) {
+    await this.storeBatch([event]);
+  }
+
+  async storeBatch(events) {
+    const insertAll = this.db.transaction(batch => {
+      for (const event of batch) {
+        const importance = event.importance ?? event.metadata?.importance;
+        
+        this.statements.insert.run(
+          this.topic,
+          event.id === undefined ? null : String(event.id),
+          event.ordering?.sequence ?? null,
+          event.type ?? null,
+          event.correlationId ?? event.metadata?.correlationId ?? null,
+          typeof importance === 'number' ? importance : null,
+          event.ordering?.timestamp ?? event.timestamp ?? null,
+          event.ordering?.vectorClock ? JSON.stringify(event.ordering.vectorClock) : null,
+          JSON.stringify(event)
+        );
+      }
+    });
+    
+    insertAll(events);
+  }
+
+  /**
+   * Replay events, filtering by sequence and time range plus
+   * `filters.type` and `filters.correlationId` (a value or a list of values)
+   */
+  async replayEvents(options) {
+    const conditions = ['topic = ?'];
+    const params = [this.topic];
+    
+    if (options.fromSequence) {
+      conditions.push('sequence >= ?');
+      params.push(options.fromSequence);
+    }
+    
+    if (options.toSequence) {
+      conditions.push('sequence <= ?');
+      params.push(options.toSequence);
+    }
+    
+    if (options.fromTimestamp) {
+      conditions.push('timestamp >= ?');
+      params.push(options.fromTimestamp);
+    }
+    
+    if (options.toTimestamp) {
+      conditions.push('timestamp <= ?');
+      params.push(options.toTimestamp);
+    }
+    
+    const filters = options.filters || {};
+    for (const [column, value] of [['type', filters.type], ['correlation_id', filters.correlationId]]) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const values = Array.isArray(value) ? value : [value];
+      conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+    
+    const direction = options.ordering === 'descending' ? 'DESC' : 'ASC';
+    let sql = `SELECT event FROM events WHERE ${conditions.join(' AND ')} ORDER BY sequence ${direction}, rowid ${direction}`;
+    
+    if (options.limit) {
+      sql += ' LIMIT ?';
+      params.push(options.limit);
+    }
+    
+    const events = this.db.prepare(sql).all(...params).map(row => JSON.parse(row.event));
+    
+    return {
+      topic: this.topic,
+      events,
+      totalCount: events.length,
+      fromSequence: events.length > 0 ? events[0].ordering?.sequence || 0 : 0,
+      toSequence: events.length > 0 ? events[events.length - 1].ordering?.sequence || 0 : 0
+    };
+  }
+
+  async getEventById(eventId) {
+    const row = this.statements.byId.get(this.topic, String(eventId));
+    return row ? JSON.parse(row.event) : null;
+  }
+
+  async getLastSequence() {
+    const row = this.statements.lastSequence.get(this.topic);
+    return row && row.sequence !== null ? row.sequence : 0;
+  }
+
+  /**
+   * Vector clock of the newest event that carries one
+   */
+  getLastVectorClock() {
+    const row = this.db.prepare(`
+      SELECT vector_clock FROM events
+      WHERE topic = ? AND vector_clock IS NOT NULL
+      ORDER BY sequence DESC, rowid DESC LIMIT 1
+    `).get(this.topic);
+    
+    return row ? JSON.parse(row.vector_clock) : {};
+  }
+
+  /**
+   * Record a snapshot of the topic up to a sequence number: how many events
+   * of each type it holds and the vector clock reached at that point
+   */
+  async createSnapshot(sequenceNumber) {
+    const sequence = sequenceNumber || await this.getLastSequence();
+    const timestamp = Date.now();
+    
+    const typeCounts = {};
+    let eventCount = 0;
+    const rows = this.db.prepare(`
+      SELECT type, COUNT(*) AS count FROM events
+      WHERE topic = ? AND sequence <= ?
+      GROUP BY type
+    `).all(this.topic, sequence);
+    
+    for (const row of rows) {
+      typeCounts[row.type ?? 'untyped'] = row.count;
+      eventCount += row.count;
+    }
+    
+    const clockRow = this.db.prepare(`
+      SELECT vector_clock FROM events
+      WHERE topic = ? AND sequence <= ? AND vector_clock IS NOT NULL
+      ORDER BY sequence DESC, rowid DESC LIMIT 1
+    `).get(this.topic, sequence);
+    const vectorClock = clockRow ? JSON.parse(clockRow.vector_clock) : null;
+    
+    this.db.prepare(`
+      INSERT INTO event_snapshots (topic, sequence, created_at, event_count, vector_clock, summary)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(this.topic, sequence, timestamp, eventCount, vectorClock ? JSON.stringify(vectorClock) : null, JSON.stringify({ typeCounts }));
+    
+    return {
+      topic: this.topic,
+      sequenceNumber: sequence,
+      timestamp,
+      eventCount,
+      typeCounts,
+      vectorClock
+    };
+  }
+
+  /**
+   * Latest snapshot taken for this topic, or null
+   */
+  async getLatestSnapshot() {
+    const row = this.db.prepare(`
+      SELECT * FROM event_snapshots WHERE topic = ? ORDER BY sequence DESC, rowid DESC LIMIT 1
+    `).get(this.topic);
+    
+    if (!row) {
+      return null;
+    }
+    
+    return {
+      topic: this.topic,
+      sequenceNumber: row.sequence,
+      timestamp: row.created_at,
+      eventCount: row.event_count,
+      typeCounts: JSON.parse(row.summary).typeCounts,
+      vectorClock: row.vector_clock ? JSON.parse(row.vector_clock) : null
+    };
+  }
+
+  /**
+   * Delete events outside the policy:
+   *   time_based        older than `maxAge` ms
+   *   count_based       all but the newest `maxCount`
+   *   size_based        oldest first until the topic fits in `maxSize` bytes
+   *   importance_based  below `minImportance` (and older than `maxAge`, when set)
+   */
+  async applyRetentionPolicy(policy = {}) {
+    let where;
+    let params;
+    
+    switch (policy.type) {
+      case RetentionPolicy.TIME_BASED:
+        if (!policy.maxAge) {
+          return { eventsRemoved: 0, spaceSaved: 0 };
+        }
+        where = 'topic = ? AND timestamp < ?';
+        params = [this.topic, Date.now() - policy.maxAge];
+        break;
+      
+      case RetentionPolicy.COUNT_BASED:
+        if (policy.maxCount === undefined) {
+          return { eventsRemoved: 0, spaceSaved: 0 };
+        }
+        where = `topic = ? AND rowid NOT IN (
+          SELECT rowid FROM events WHERE topic = ? ORDER BY sequence DESC, rowid DESC LIMIT ?
+        )`;
+        params = [this.topic, this.topic, policy.maxCount];
+        break;
+      
+      case RetentionPolicy.SIZE_BASED:
+        if (policy.maxSize === undefined) {
+          return { eventsRemoved: 0, spaceSaved: 0 };
+        }
+        where = `topic = ? AND rowid IN (
+          SELECT rowid FROM (
+            SELECT rowid, SUM(LENGTH(event)) OVER (ORDER BY sequence DESC, rowid DESC) AS retained
+            FROM events WHERE topic = ?
+          ) WHERE retained > ?
+        )`;
+        params = [this.topic, this.topic, policy.maxSize];
+        break;
+      
+      case RetentionPolicy.IMPORTANCE_BASED:
+        where = 'topic = ? AND COALESCE(importance, 0) < ?';
+        params = [this.topic, policy.minImportance ?? 0];
+        if (policy.maxAge) {
+          where += ' AND timestamp < ?';
+          params.push(Date.now() - policy.maxAge);
+        }
+        break;
+      
+      default:
+        throw new Error(`Unsupported retention policy: ${policy.type}`);
+    }
+    
+    const removed = this.db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(event)), 0) AS size FROM events WHERE ${where}
+    `).get(...params);
+    
+    if (removed.count > 0) {
+      this.db.prepare(`DELETE FROM events WHERE ${where}`).run(...params);
+    }
+    
+    return {
+      eventsRemoved: removed.count,
+      spaceSaved: removed.size
+    };
+  }
+
+  /**
+   * Return pages freed by deleted events to the filesystem. The database is
+   * shared, so the first topic compacted reclaims the space for all of them.
+   */
+  async compact() {
+    const freePages = this.db.pragma('freelist_count', { simple: true });
+    const pageSize = this.db.pragma('page_size', { simple: true });
+    
+    if (freePages > 0) {
+      this.db.pragma('wal_checkpoint(TRUNCATE)');
+      this.db.exec('VACUUM');
+    }
+    
+    return {
+      spaceSaved: freePages * pageSize
+    };
+  }
+
+  async getStats() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(event)), 0) AS size,
+        MIN(timestamp) AS oldest, MAX(timestamp) AS newest
+      FROM events WHERE topic = ?
+    `).get(this.topic);
+    
+    return {
+      eventCount: row.count,
+      size: row.size,
+      fileCount: 1,
+      oldestEvent: row.oldest,
+      newestEvent: row.newest
+    };
+  }
+
+  async shutdown() {
+    // The shared connection is closed by the manager
+    this.statements = null;
+  }
+}
+
 module.exports = {
   EventPersistenceManager,
   StorageBackend,
   OrderingStrategy,
   RetentionPolicy,
   FileEventStore,
-  MemoryEventStore
+  MemoryEventStore,
+  DatabaseEventStore
 };
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * BUMBA Idempotency
+ * Retries and redeliveries can hand the same task to a specialist twice. An
+ * idempotency key names the task rather than the delivery, so both ends can
+ * recognise a repeat:
+ *
+ *   - IdempotencyStore: keys seen within a window, optionally persisted through
+ *     a queue persistence backend. MessageQueue keeps one as its
+ *     deduplication window, so enqueuing a key twice yields one message.
+ *   - ProcessedLedger: a consumer's record of the keys it finished, with
+ *     their results. A redelivered task is answered from the ledger instead
+ *     of running again, and a repeat that arrives while the first run is
+ *     still going waits for it.
+ */
+
+const { logger } = require('../logging/bumba-logger');
+const { createQueueBackend } = require('./queue-persistence');
+
+const DEFAULT_TTL = 10 * 60 * 1000;
+
+// Expired keys are swept from storage after this many writes
+const PRUNE_EVERY = 500;
+
+class IdempotencyStore {
+  /**
+   * @param {string} namespace - Separates stores sharing a backend
+   * @param {Object} options
+   * @param {number} options.ttl - How long a key is remembered, in ms
+   * @param {Object} options.persistence - Queue backend options ({ backend: 'file' | 'sqlite' | instance, ... }); in memory when omitted
+   */
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.entries = new Map(); // key -> entry
+    this.writes = 0;
+
+    this.backend = null;
+    this.ownsBackend = false;
+    if (options.persistence) {
+      const backend = options.persistence.backend;
+      this.ownsBackend = !(backend && typeof backend === 'object');
+      this.backend = createQueueBackend(options.persistence);
+      for (const entry of this.backend.loadKeys(namespace)) {
+        this.entries.set(entry.key, entry);
+      }
+    }
+  }
+
+  /**
+   * The entry stored for a key, or null once it has expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  has(key) {
+    return this.get(key) !== null;
+  }
+
+  /**
+   * Remember a key with some data for the store's ttl
+   */
+  set(key, data = {}) {
+    const entry = { ...data, key, storedAt: Date.now(), expiresAt: Date.now() + this.ttl };
+    this.entries.set(key, entry);
+    if (this.backend) {
+      this.backend.putKey(this.namespace, entry);
+    }
+
+    if (++this.writes % PRUNE_EVERY === 0) {
+      this.prune();
+    }
+    return entry;
+  }
+
+  delete(key) {
+    if (!this.entries.delete(key)) {
+      return false;
+    }
+    if (this.backend) {
+      this.backend.deleteKey(this.namespace, key);
+    }
+    return true;
+  }
+
+  /**
+   * Forget expired keys, here and in storage
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    if (this.backend) {
+      this.backend.compactKeys(this.namespace, Array.from(this.entries.values()));
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  close() {
+    if (this.backend && this.ownsBackend) {
+      this.backend.close();
+    }
+  }
+}
+
+class ProcessedLedger {
+  /**
+   * @param {string} consumerId - The consumer whose work this records
+   * @param {Object} options - As for IdempotencyStore; ttl is how long a finished key is remembered
+   */
+  constructor(consumerId, options = {}) {
+    this.consumerId = consumerId;
+    this.store = new IdempotencyStore(`${consumerId}.processed`, options);
+    this.inFlight = new Map(); // key -> promise of the running execution
+    this.stats = {
+      executed: 0,
+      duplicates: 0
+    };
+  }
+
+  /**
+   * Run work once per key. Resolves to { result, duplicate }: duplicate is
+   * true when the result comes from an earlier or concurrent run. Failed
+   * runs are not recorded, so the work can be retried.
+   */
+  async run(key, work) {
+    const recorded = this.store.get(key);
+    if (recorded) {
+      this.stats.duplicates++;
+      logger.debug(`♻️ ${this.consumerId} already processed ${key}; skipping`);
+      return { result: recorded.result, duplicate: true };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.duplicates++;
+      const result = await this.inFlight.get(key);
+      return { result, duplicate: true };
+    }
+
+    const execution = Promise.resolve().then(work);
+    this.inFlight.set(key, execution);
+    try {
+      const result = await execution;
+      this.store.set(key, { result: result === undefined ? null : result, processedAt: Date.now() });
+      this.stats.executed++;
+      return { result, duplicate: false };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Whether a key's work has finished
+   */
+  isProcessed(key) {
+    return this.store.has(key);
+  }
+
+  /**
+   * Forget a key so its work runs again on the next delivery
+   */
+  forget(key) {
+    return this.store.delete(key);
+  }
+
+  getStats() {
+    return {
+      consumerId: this.consumerId,
+      recorded: this.store.size,
+      inFlight: this.inFlight.size,
+      ...this.stats
+    };
+  }
+
+  close() {
+    this.store.close();
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  ProcessedLedger
+};
@@ -6,6 +6,7 @@
 const EventEmitter = require('events');
 const crypto = require('crypto');
 const { logger } = require('../logging/bumba-logger');
+const { AgentRpc } = require('./agent-rpc');
 
 /**
  * Message types for inter-agent communication
@@ -82,6 +83,7 @@ class InterAgentProtocol extends EventEmitter {
     this.lastHeartbeat = Date.now();
     this.discoveryBeacon = null;
     this.heartbeatTimer = null;
+    this.rpc = null;
     
     // Performance metrics
     this.metrics = {
@@ -739,6 +741,22 @@ class InterAgentProtocol extends EventEmitter {
     }
   }
 
+  /**
+   * Typed calls with deadlines, cancellation and streamed results to other
+   * agents on the same transport; see AgentRpc
+   */
+  createRpc(transport, options = {}) {
+    if (this.rpc) {
+      this.rpc.close();
+    }
+    this.rpc = new AgentRpc(this.agentId, {
+      transport,
+      defaultTimeout: this.config.requestTimeout,
+      ...options
+    });
+    return this.rpc;
+  }
+
   /**
    * Get protocol statistics
    */
@@ -782,6 +800,11 @@ class InterAgentProtocol extends EventEmitter {
       agentInfo: { id: this.agentId }
     });
     
+    if (this.rpc) {
+      this.rpc.close();
+      this.rpc = null;
+    }
+    
     // Close all connections
     this.connections.clear();
     this.sessionKeys.clear();
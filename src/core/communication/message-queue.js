@@ -5,6 +5,8 @@
 
 const EventEmitter = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { QueuePersistenceManager } = require('./queue-persistence');
+const { IdempotencyStore } = require('./idempotency');
 
 /**
  * Priority levels for message queuing
@@ -45,6 +47,8 @@ class MessageQueue extends EventEmitter {
       batchSize: config.batchSize || 100,
       processingTimeout: config.processingTimeout || 30000,
       deadLetterQueueEnabled: config.deadLetterQueueEnabled || true,
+      persistence: config.persistence || {}, // QueuePersistenceManager options ({ backend: 'file' | 'sqlite', ... })
+      deduplicationWindow: config.deduplicationWindow || 600000, // How long an idempotency key suppresses repeats
       ...config
     };
     
@@ -61,6 +65,7 @@ class MessageQueue extends EventEmitter {
     this.messages = new Map(); // messageId -> message details
     this.processingMessages = new Map(); // messageId -> processing info
     this.deadLetterQueue = [];
+    this.retryTimers = new Map(); // messageId -> pending requeue after a nack
     
     // Queue statistics
     this.stats = {
@@ -71,6 +76,9 @@ class MessageQueue extends EventEmitter {
       currentSize: 0,
       averageProcessingTime: 0,
       throughputPerSecond: 0,
+      duplicatesSuppressed: 0,
+      redeliveriesAcked: 0,
+      lateAcks: 0,
       lastThroughputCalculation: Date.now()
     };
     
@@ -79,11 +87,18 @@ class MessageQueue extends EventEmitter {
     this.isProcessing = false;
     this.processingInterval = null;
     
-    // Initialize persistence if enabled
+    // Initialize persistence if enabled, picking up messages from a previous run
     if (this.config.enablePersistence) {
-      this.persistenceManager = new QueuePersistenceManager(this.name);
+      this.persistenceManager = new QueuePersistenceManager(this.name, this.config.persistence);
+      this.restorePersistedMessages();
     }
     
+    // Idempotency keys seen recently, stored alongside the messages
+    this.deduplication = new IdempotencyStore(`${this.name}.dedup`, {
+      ttl: this.config.deduplicationWindow,
+      persistence: this.config.enablePersistence ? { backend: this.persistenceManager.backend } : null
+    });
+    
     this.startPerformanceMonitoring();
     
     logger.info(`📬 Message queue '${this.name}' initialized`, {
@@ -94,10 +109,21 @@ class MessageQueue extends EventEmitter {
 
   /**
    * Enqueue a message with priority and metadata
+   * A message carrying an idempotency key already seen within the
+   * deduplication window is not queued again; the original id is returned
    */
   async enqueue(payload, options = {}) {
+    const duplicateOf = this.findDuplicate(options.idempotencyKey);
+    if (duplicateOf) {
+      this.stats.duplicatesSuppressed++;
+      this.emit('message:duplicate', { messageId: duplicateOf, idempotencyKey: options.idempotencyKey });
+      logger.debug(`♻️ Duplicate message suppressed: ${options.idempotencyKey} (original ${duplicateOf})`);
+      return duplicateOf;
+    }
+    
     const message = {
       id: this.generateMessageId(),
+      idempotencyKey: options.idempotencyKey || null,
       payload,
       priority: options.priority || MessagePriority.NORMAL,
       timestamp: Date.now(),
@@ -134,6 +160,9 @@ class MessageQueue extends EventEmitter {
 
     priorityQueue.push(message);
     this.messages.set(message.id, message);
+    if (message.idempotencyKey) {
+      this.deduplication.set(message.idempotencyKey, { messageId: message.id });
+    }
     
     // Update statistics
     this.stats.totalEnqueued++;
@@ -167,6 +196,9 @@ class MessageQueue extends EventEmitter {
           logger.debug(`🗑️ Skipping expired message: ${message.id}`);
           this.messages.delete(message.id);
           this.stats.currentSize--;
+          if (this.config.enablePersistence) {
+            await this.removePersistedMessage(message.id);
+          }
           continue; // Try next message
         }
         
@@ -186,6 +218,11 @@ class MessageQueue extends EventEmitter {
         this.stats.totalDequeued++;
         this.stats.currentSize--;
         
+        // Record it as in flight, so a restart before the ack redelivers it
+        if (this.config.enablePersistence) {
+          await this.persistMessage(message);
+        }
+        
         // Emit event
         this.emit('message:dequeued', { message, remainingSize: this.getTotalSize() });
         
@@ -212,19 +249,29 @@ class MessageQueue extends EventEmitter {
 
   /**
    * Mark message as successfully processed
+   * A late ack, arriving after the processing timeout already scheduled a
+   * retry, still completes the message and cancels the retry
    */
   async ackMessage(messageId, result = null) {
     const message = this.messages.get(messageId);
     const processing = this.processingMessages.get(messageId);
     
-    if (!message || !processing) {
+    const awaitingRetry = message && message.state === MessageState.QUEUED && message.retryCount > 0;
+    
+    if (!message || (!processing && !awaitingRetry)) {
       logger.warn(`🟠️ Cannot ack unknown message: ${messageId}`);
       return false;
     }
     
-    // Clear processing timeout
-    clearTimeout(processing.timeout);
-    this.processingMessages.delete(messageId);
+    if (processing) {
+      // Clear processing timeout
+      clearTimeout(processing.timeout);
+      this.processingMessages.delete(messageId);
+    } else {
+      this.withdrawRetry(message);
+      this.stats.lateAcks++;
+      logger.debug(`⏰ Late ack for ${messageId}; retry cancelled`);
+    }
     
     // Update message
     message.state = MessageState.COMPLETED;
@@ -288,7 +335,13 @@ class MessageQueue extends EventEmitter {
       // Retry: re-queue with delay
       message.state = MessageState.QUEUED;
       
-      setTimeout(async () => {
+      // Persisted as queued now so a restart during the delay still retries it
+      if (this.config.enablePersistence) {
+        await this.persistMessage(message);
+      }
+      
+      this.retryTimers.set(messageId, setTimeout(async () => {
+        this.retryTimers.delete(messageId);
         try {
           await this.requeueMessage(message);
           logger.debug(`🔄 Message requeued for retry: ${messageId} (attempt ${message.retryCount})`);
@@ -296,7 +349,7 @@ class MessageQueue extends EventEmitter {
           logger.error(`Failed to requeue message ${messageId}:`, requeueError);
           await this.moveToDeadLetterQueue(message, requeueError);
         }
-      }, this.calculateRetryDelay(message.retryCount));
+      }, this.calculateRetryDelay(message.retryCount)));
       
     } else {
       // Move to dead letter queue
@@ -319,6 +372,45 @@ class MessageQueue extends EventEmitter {
     return true;
   }
 
+  /**
+   * Dequeue one message and run a handler on it, acking or nacking by outcome
+   * With a ProcessedLedger, a redelivered message whose idempotency key was
+   * already processed is acked with the recorded result instead of running
+   * the handler again
+   */
+  async processNext(handler, ledger = null) {
+    const message = await this.dequeue();
+    if (!message) {
+      return null;
+    }
+    
+    const key = message.idempotencyKey || message.id;
+    let outcome;
+    try {
+      outcome = ledger
+        ? await ledger.run(key, () => handler(message))
+        : { result: await handler(message), duplicate: false };
+    } catch (error) {
+      if (this.messages.has(message.id)) {
+        await this.nackMessage(message.id, error);
+      }
+      return { messageId: message.id, error };
+    }
+    
+    if (outcome.duplicate) {
+      this.stats.redeliveriesAcked++;
+      this.emit('message:redelivered', { messageId: message.id, idempotencyKey: key });
+      logger.debug(`♻️ Redelivered message acked without reprocessing: ${message.id}`);
+    }
+    
+    // An earlier attempt finishing late may already have completed it
+    if (this.messages.has(message.id)) {
+      await this.ackMessage(message.id, outcome.result);
+    }
+    
+    return { messageId: message.id, result: outcome.result, duplicate: outcome.duplicate };
+  }
+
   /**
    * Get dead letter queue messages with filtering options
    */
@@ -426,11 +518,18 @@ class MessageQueue extends EventEmitter {
   async cleanupDeadLetterQueue(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days default
     const cutoffTime = Date.now() - maxAge;
     const initialCount = this.deadLetterQueue.length;
+    const expired = this.deadLetterQueue.filter(msg => msg.deadLetterAt <= cutoffTime);
     
     this.deadLetterQueue = this.deadLetterQueue.filter(msg => 
       msg.deadLetterAt > cutoffTime
     );
     
+    if (this.config.enablePersistence) {
+      for (const message of expired) {
+        await this.removePersistedMessage(message.id);
+      }
+    }
+    
     const removedCount = initialCount - this.deadLetterQueue.length;
     
     if (removedCount > 0) {
@@ -492,8 +591,9 @@ class MessageQueue extends EventEmitter {
           ...messageData.options
         };
         
+        const duplicate = Boolean(this.findDuplicate(messageOptions.idempotencyKey));
         const messageId = await this.enqueue(messageData.payload, messageOptions);
-        results.push({ index: i, messageId, success: true });
+        results.push({ index: i, messageId, success: true, duplicate });
       }
       
       this.emit('batch:enqueued', { 
@@ -516,7 +616,8 @@ class MessageQueue extends EventEmitter {
       if (transactional) {
         // Rollback: remove any messages that were successfully enqueued
         for (const result of results) {
-          if (result.success && result.messageId) {
+          // Duplicates belong to an earlier enqueue, not this batch
+          if (result.success && result.messageId && !result.duplicate) {
             await this.removeMessage(result.messageId);
           }
         }
@@ -704,6 +805,7 @@ class MessageQueue extends EventEmitter {
       clearTimeout(processing.timeout);
     }
     this.processingMessages.clear();
+    this.clearRetryTimers();
     
     // Clear tracking
     this.messages.clear();
@@ -736,10 +838,13 @@ class MessageQueue extends EventEmitter {
     for (const processing of this.processingMessages.values()) {
       clearTimeout(processing.timeout);
     }
+    this.clearRetryTimers();
     
     // Persist remaining messages if enabled
+    this.deduplication.close();
     if (this.config.enablePersistence) {
       await this.persistAllMessages();
+      this.persistenceManager.close();
     }
     
     this.emit('queue:shutdown', { queue: this.name });
@@ -752,6 +857,44 @@ class MessageQueue extends EventEmitter {
     return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * The id of the message enqueued under this idempotency key, while the
+   * key is inside the deduplication window
+   */
+  findDuplicate(idempotencyKey) {
+    if (!idempotencyKey) {
+      return null;
+    }
+    const entry = this.deduplication.get(idempotencyKey);
+    return entry ? entry.messageId : null;
+  }
+
+  /**
+   * Take a message awaiting retry off the queue, or cancel its pending requeue
+   */
+  withdrawRetry(message) {
+    const timer = this.retryTimers.get(message.id);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(message.id);
+      return;
+    }
+    
+    const priorityQueue = this.queues.get(message.priority);
+    const index = priorityQueue ? priorityQueue.indexOf(message) : -1;
+    if (index !== -1) {
+      priorityQueue.splice(index, 1);
+      this.stats.currentSize--;
+    }
+  }
+
+  clearRetryTimers() {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+
   getTotalSize() {
     return Array.from(this.queues.values()).reduce((total, queue) => total + queue.length, 0);
   }
@@ -777,6 +920,9 @@ class MessageQueue extends EventEmitter {
   async moveToDeadLetterQueue(message, error) {
     if (!this.config.deadLetterQueueEnabled) {
       this.messages.delete(message.id);
+      if (this.config.enablePersistence) {
+        await this.removePersistedMessage(message.id);
+      }
       return;
     }
     
@@ -789,6 +935,10 @@ class MessageQueue extends EventEmitter {
     // Remove from main tracking
     this.messages.delete(message.id);
     
+    if (this.config.enablePersistence) {
+      await this.persistMessage(message);
+    }
+    
     this.emit('message:dead_letter', { message, reason: error.message });
     logger.error(`💀 Message moved to dead letter queue: ${message.id} - ${error.message}`);
   }
@@ -1128,22 +1278,105 @@ class MessageQueue extends EventEmitter {
     return recommendations;
   }
 
-  // Persistence methods (mock implementation)
+  // Persistence methods
+
+  /**
+   * Write a message's current state, compacting storage when it has grown
+   */
   async persistMessage(message) {
-    // In production, this would write to database/file system
-    logger.debug(`💾 Persisting message: ${message.id}`);
+    this.persistenceManager.save(message);
+    logger.debug(`💾 Persisted message: ${message.id} (${message.state})`);
+    
+    if (this.persistenceManager.needsCompaction(this.messages.size + this.deadLetterQueue.length)) {
+      await this.persistAllMessages();
+    }
   }
 
   async removePersistedMessage(messageId) {
-    logger.debug(`🗑️ Removing persisted message: ${messageId}`);
+    this.persistenceManager.remove(messageId);
+    logger.debug(`🗑️ Removed persisted message: ${messageId}`);
   }
 
+  /**
+   * Rewrite storage with every message still held: queued, in flight,
+   * waiting to retry and dead letters
+   */
   async persistAllMessages() {
-    logger.debug(`💾 Persisting all messages for queue: ${this.name}`);
+    this.persistenceManager.saveAll([...this.messages.values(), ...this.deadLetterQueue]);
+    logger.debug(`💾 Persisted all messages for queue: ${this.name}`);
   }
 
   async clearPersistedMessages() {
-    logger.debug(`🧹 Clearing persisted messages for queue: ${this.name}`);
+    this.persistenceManager.clear();
+    logger.debug(`🧹 Cleared persisted messages for queue: ${this.name}`);
+  }
+
+  /**
+   * Rebuild the queue from persisted messages after a restart
+   * Messages that were in flight were never acked, so like a nack they use
+   * up a retry and are redelivered, or dead-lettered once retries run out
+   */
+  restorePersistedMessages() {
+    const restored = { queued: 0, redelivered: 0, deadLetters: 0, expired: 0 };
+    const now = Date.now();
+    
+    for (const message of this.persistenceManager.load()) {
+      if (message.state === MessageState.DEAD) {
+        this.deadLetterQueue.push(message);
+        restored.deadLetters++;
+        continue;
+      }
+      
+      if (message.metadata?.expiresAt && now > message.metadata.expiresAt) {
+        this.persistenceManager.remove(message.id);
+        restored.expired++;
+        continue;
+      }
+      
+      if (message.state === MessageState.PROCESSING) {
+        const reason = 'Interrupted by a restart before it was acknowledged';
+        message.attempts.push({
+          startTime: message.processingStarted,
+          endTime: now,
+          error: reason,
+          duration: now - message.processingStarted
+        });
+        message.retryCount++;
+        message.lastError = reason;
+        
+        if (message.retryCount >= this.config.maxRetries) {
+          if (this.config.deadLetterQueueEnabled) {
+            message.state = MessageState.DEAD;
+            message.deadLetterReason = reason;
+            message.deadLetterAt = now;
+            this.deadLetterQueue.push(message);
+            this.persistenceManager.save(message);
+            restored.deadLetters++;
+          } else {
+            this.persistenceManager.remove(message.id);
+          }
+          continue;
+        }
+        
+        message.state = MessageState.QUEUED;
+        message.redelivered = true;
+        this.persistenceManager.save(message);
+        restored.redelivered++;
+      } else {
+        restored.queued++;
+      }
+      
+      const priorityQueue = this.queues.get(message.priority) || this.queues.get(MessagePriority.NORMAL);
+      priorityQueue.push(message);
+      this.messages.set(message.id, message);
+      this.stats.currentSize++;
+    }
+    
+    if (restored.queued + restored.redelivered + restored.deadLetters > 0) {
+      logger.info(`💾 Restored queue '${this.name}'`, restored);
+    }
+    
+    return restored;
   }
 
   /**
@@ -1165,8 +1398,11 @@ class MessageQueue extends EventEmitter {
       }
     }
     
-    // Remove from tracking
+    // Remove from tracking; a rolled-back message no longer holds its key
     this.messages.delete(messageId);
+    if (message.idempotencyKey) {
+      this.deduplication.delete(message.idempotencyKey);
+    }
     
     // Clear processing if active
     const processing = this.processingMessages.get(messageId);
@@ -1292,16 +1528,6 @@ class MessageQueue extends EventEmitter {
   }
 }
 
-/**
- * Queue Persistence Manager (placeholder implementation)
- */
-class QueuePersistenceManager {
-  constructor(queueName) {
-    this.queueName = queueName;
-    logger.debug(`💾 Queue persistence manager initialized: ${queueName}`);
-  }
-}
-
 module.exports = {
   MessageQueue,
   MessagePriority,
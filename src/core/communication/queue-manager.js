@@ -5,6 +5,7 @@
 
 const EventEmitter = require('events');
 const { MessageQueue, MessagePriority } = require('./message-queue');
+const { createQueueBackend } = require('./queue-persistence');
 const { logger } = require('../logging/bumba-logger');
 
 /**
@@ -49,9 +50,16 @@ class QueueManager extends EventEmitter {
           warning: 60
         }
       },
+      // Durable queues: false, or queue persistence options ({ backend: 'file' | 'sqlite', ... })
+      persistence: false,
       ...config
     };
     
+    // One backend shared by every queue, so queued handoffs survive restarts
+    this.persistenceBackend = this.config.persistence
+      ? createQueueBackend(this.config.persistence === true ? {} : this.config.persistence)
+      : null;
+    
     // Queue registry
     this.queues = new Map();
     this.queueStats = new Map();
@@ -93,6 +101,10 @@ class QueueManager extends EventEmitter {
     const queueConfig = {
       ...this.config.defaultQueueConfig,
       ...this.getQueueTypeDefaults(type),
+      ...(this.persistenceBackend && {
+        enablePersistence: true,
+        persistence: { backend: this.persistenceBackend }
+      }),
       ...config
     };
     
@@ -590,6 +602,10 @@ class QueueManager extends EventEmitter {
     const shutdownPromises = Array.from(this.queues.values()).map(queue => queue.shutdown());
     await Promise.all(shutdownPromises);
     
+    if (this.persistenceBackend) {
+      this.persistenceBackend.close();
+    }
+    
     this.emit('manager:shutdown');
     logger.info('🏁 Queue Manager shutdown complete');
   }
@@ -0,0 +1,411 @@
+/**
+ * BUMBA Queue Persistence
+ * Durable storage for MessageQueue messages so queued, in-flight and
+ * dead-letter messages survive a restart
+ *
+ * Two backends share one interface (load, put, delete, clear, compact, close):
+ *   - file:   an append-only JSON-lines log per queue, compacted as it grows
+ *   - sqlite: one row per message in a better-sqlite3 database
+ *
+ * Both also keep expiring idempotency keys per namespace (loadKeys, putKey,
+ * deleteKey, compactKeys) for deduplication windows and processed ledgers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logging/bumba-logger');
+
+const DEFAULT_DIR = path.join(process.cwd(), '.bumba', 'queues');
+
+/**
+ * Append-only log backend
+ * Every change appends one line; replaying the log rebuilds the queue
+ */
+class FileQueueBackend {
+  constructor(config = {}) {
+    this.config = {
+      dir: DEFAULT_DIR,
+      // Rewrite a log once it holds this many records and mostly dead ones
+      compactThreshold: 1000,
+      ...config
+    };
+
+    fs.mkdirSync(this.config.dir, { recursive: true });
+
+    // queue -> number of records in its log, for compaction
+    this.recordCounts = new Map();
+  }
+
+  /**
+   * Replay a queue's log, returning its live messages oldest first
+   * A torn final line (crash mid-write) is skipped
+   */
+  load(queueName) {
+    const filePath = this.logPath(queueName);
+    const messages = new Map();
+    let records = 0;
+
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          logger.warn(`🟠 Skipping unreadable record ${index + 1} in queue log ${filePath}`);
+          return;
+        }
+
+        records++;
+        if (record.op === 'put') {
+          messages.set(record.message.id, record.message);
+        } else if (record.op === 'delete') {
+          messages.delete(record.id);
+        }
+      });
+    }
+
+    this.recordCounts.set(queueName, records);
+    return Array.from(messages.values());
+  }
+
+  put(queueName, message) {
+    this.append(queueName, { op: 'put', message });
+  }
+
+  delete(queueName, messageId) {
+    this.append(queueName, { op: 'delete', id: messageId });
+  }
+
+  clear(queueName) {
+    fs.rmSync(this.logPath(queueName), { force: true });
+    this.recordCounts.set(queueName, 0);
+  }
+
+  /**
+   * Replace a queue's log with one record per live message
+   */
+  compact(queueName, messages) {
+    const filePath = this.logPath(queueName);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const lines = messages.map(message => serialize({ op: 'put', message }));
+
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, filePath);
+    this.recordCounts.set(queueName, messages.length);
+  }
+
+  /**
+   * Whether a queue's log is big enough, and mostly superseded records,
+   * to be worth compacting
+   */
+  needsCompaction(queueName, liveCount) {
+    const records = this.recordCounts.get(queueName) || 0;
+    return records >= this.config.compactThreshold && records > liveCount * 2;
+  }
+
+  /**
+   * Replay a namespace's key log, returning the entries not yet expired
+   */
+  loadKeys(namespace) {
+    const filePath = this.keyLogPath(namespace);
+    const entries = new Map();
+    const now = Date.now();
+
+    if (fs.existsSync(filePath)) {
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (record.op === 'put') {
+          entries.set(record.entry.key, record.entry);
+        } else if (record.op === 'delete') {
+          entries.delete(record.key);
+        }
+      }
+    }
+
+    return Array.from(entries.values()).filter(entry => !entry.expiresAt || entry.expiresAt > now);
+  }
+
+  putKey(namespace, entry) {
+    fs.appendFileSync(this.keyLogPath(namespace), `${serialize({ op: 'put', entry })}\n`);
+  }
+
+  deleteKey(namespace, key) {
+    fs.appendFileSync(this.keyLogPath(namespace), `${serialize({ op: 'delete', key })}\n`);
+  }
+
+  /**
+   * Replace a namespace's key log with exactly these entries
+   */
+  compactKeys(namespace, entries) {
+    const filePath = this.keyLogPath(namespace);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const lines = entries.map(entry => serialize({ op: 'put', entry }));
+
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Nothing is held open between writes
+   */
+  close() {
+    this.recordCounts.clear();
+  }
+
+  append(queueName, record) {
+    fs.appendFileSync(this.logPath(queueName), `${serialize(record)}\n`);
+    this.recordCounts.set(queueName, (this.recordCounts.get(queueName) || 0) + 1);
+  }
+
+  logPath(queueName) {
+    return path.join(this.config.dir, `${encodeURIComponent(queueName)}.log`);
+  }
+
+  keyLogPath(namespace) {
+    return path.join(this.config.dir, `${encodeURIComponent(namespace)}.keys.log`);
+  }
+}
+
+/**
+ * SQLite backend: one row per message, keyed by queue and message id
+ */
+class SqliteQueueBackend {
+  constructor(config = {}) {
+    this.config = {
+      dbPath: path.join(process.cwd(), '.bumba', 'message-queues.db'),
+      ...config
+    };
+
+    // Loaded on use so the file backend works without the native module
+    const Database = require('better-sqlite3');
+
+    if (this.config.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.config.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.initializeTables();
+  }
+
+  /**
+   * Initialize database tables
+   */
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS queue_messages (
+        queue TEXT NOT NULL,
+        id TEXT NOT NULL,
+        state TEXT NOT NULL,
+        priority INTEGER,
+        message TEXT NOT NULL,
+        enqueued_at INTEGER,
+        updated_at INTEGER,
+        PRIMARY KEY (queue, id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_queue_messages_state ON queue_messages(queue, state)
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        entry TEXT NOT NULL,
+        expires_at INTEGER,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+  }
+
+  loadKeys(namespace) {
+    return this.db.prepare(`
+      SELECT entry FROM idempotency_keys
+      WHERE namespace = ? AND (expires_at IS NULL OR expires_at > ?)
+    `).all(namespace, Date.now()).map(row => JSON.parse(row.entry));
+  }
+
+  putKey(namespace, entry) {
+    this.db.prepare(`
+      INSERT INTO idempotency_keys (namespace, key, entry, expires_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET
+        entry = excluded.entry,
+        expires_at = excluded.expires_at
+    `).run(namespace, entry.key, serialize(entry), entry.expiresAt || null);
+  }
+
+  deleteKey(namespace, key) {
+    this.db.prepare('DELETE FROM idempotency_keys WHERE namespace = ? AND key = ?').run(namespace, key);
+  }
+
+  /**
+   * Rows are kept per key, so compaction only drops the expired ones
+   */
+  compactKeys(namespace) {
+    this.db.prepare('DELETE FROM idempotency_keys WHERE namespace = ? AND expires_at <= ?').run(namespace, Date.now());
+  }
+
+  load(queueName) {
+    return this.db.prepare(`
+      SELECT message FROM queue_messages WHERE queue = ? ORDER BY enqueued_at, rowid
+    `).all(queueName).map(row => JSON.parse(row.message));
+  }
+
+  put(queueName, message) {
+    this.db.prepare(`
+      INSERT INTO queue_messages (queue, id, state, priority, message, enqueued_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (queue, id) DO UPDATE SET
+        state = excluded.state,
+        priority = excluded.priority,
+        message = excluded.message,
+        updated_at = excluded.updated_at
+    `).run(queueName, message.id, message.state, message.priority, serialize(message), message.timestamp, Date.now());
+  }
+
+  delete(queueName, messageId) {
+    this.db.prepare('DELETE FROM queue_messages WHERE queue = ? AND id = ?').run(queueName, messageId);
+  }
+
+  clear(queueName) {
+    this.db.prepare('DELETE FROM queue_messages WHERE queue = ?').run(queueName);
+  }
+
+  /**
+   * Replace a queue's rows with exactly these messages
+   */
+  compact(queueName, messages) {
+    const replace = this.db.transaction(() => {
+      this.clear(queueName);
+      messages.forEach(message => this.put(queueName, message));
+    });
+    replace();
+  }
+
+  needsCompaction() {
+    return false;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create a backend from persistence options
+ * `backend` may be 'file' (default), 'sqlite' or an existing backend instance
+ */
+function createQueueBackend(options = {}) {
+  const { backend = 'file', ...config } = options;
+
+  if (backend && typeof backend === 'object') {
+    return backend;
+  }
+
+  switch (backend) {
+    case 'file':
+      return new FileQueueBackend(config);
+    case 'sqlite':
+      return new SqliteQueueBackend(config);
+    default:
+      throw new Error(`Unknown queue persistence backend: ${backend} (expected file or sqlite)`);
+  }
+}
+
+/**
+ * Persistence for one queue on top of a (possibly shared) backend
+ */
+class QueuePersistenceManager {
+  constructor(queueName, options = {}) {
+    this.queueName = queueName;
+    this.ownsBackend = !(options.backend && typeof options.backend === 'object');
+    this.backend = createQueueBackend(options);
+    logger.debug(`💾 Queue persistence manager initialized: ${queueName}`);
+  }
+
+  load() {
+    return this.backend.load(this.queueName);
+  }
+
+  save(message) {
+    this.backend.put(this.queueName, message);
+  }
+
+  remove(messageId) {
+    this.backend.delete(this.queueName, messageId);
+  }
+
+  clear() {
+    this.backend.clear(this.queueName);
+  }
+
+  /**
+   * Rewrite storage to hold exactly these messages
+   */
+  saveAll(messages) {
+    this.backend.compact(this.queueName, messages);
+  }
+
+  needsCompaction(liveCount) {
+    return this.backend.needsCompaction(this.queueName, liveCount);
+  }
+
+  /**
+   * Close the backend unless it is shared with other queues
+   */
+  close() {
+    if (this.ownsBackend) {
+      this.backend.close();
+    }
+  }
+}
+
+/**
+ * JSON for one log record - functions and circular references are dropped,
+ * objects referenced more than once are kept
+ */
+function serialize(value) {
+  // Objects on the path from the root to the current item
+  const ancestors = [];
+
+  return JSON.stringify(value, function(key, item) {
+    if (typeof item === 'function') {
+      return undefined;
+    }
+    if (item && typeof item === 'object') {
+      // `this` holds `item`; anything above it on the stack has been left
+      while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+        ancestors.pop();
+      }
+      if (ancestors.includes(item)) {
+        return undefined;
+      }
+      ancestors.push(item);
+    }
+    return item;
+  });
+}
+
+module.exports = {
+  QueuePersistenceManager,
+  FileQueueBackend,
+  SqliteQueueBackend,
+  createQueueBackend
+};
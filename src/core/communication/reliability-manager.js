@@ -5,6 +5,7 @@
 
 const EventEmitter = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { ProcessedLedger } = require('./idempotency');
 
 /**
  * Circuit breaker states
@@ -82,7 +83,13 @@ class CommunicationReliabilityManager extends EventEmitter {
           throughput: 100
         }
       },
-      ...config
+      ...config,
+      // Requests carrying an idempotency key run at most once within the ttl
+      idempotency: {
+        ttl: 600000,
+        persistence: null, // queue persistence options to keep the ledger across restarts
+        ...config.idempotency
+      }
     };
     
     // Core components
@@ -95,6 +102,7 @@ class CommunicationReliabilityManager extends EventEmitter {
     this.serviceRegistry = new Map(); // service -> service info
     this.failoverGroups = new Map(); // group -> services
     this.alertManager = new AlertManager(this.config.performance.alertThresholds);
+    this.processedRequests = new ProcessedLedger('reliability-manager', this.config.idempotency);
     
     // Metrics aggregation
     this.globalMetrics = {
@@ -103,6 +111,8 @@ class CommunicationReliabilityManager extends EventEmitter {
       failedRequests: 0,
       circuitBreakerTrips: 0,
       failovers: 0,
+      duplicateRequests: 0,
+      reusedExecutions: 0,
       averageResponseTime: 0,
       uptime: Date.now()
     };
@@ -171,18 +181,41 @@ class CommunicationReliabilityManager extends EventEmitter {
 
   /**
    * Execute request with reliability guarantees
+   * With options.idempotencyKey the request runs at most once: a repeat of a
+   * completed key returns the recorded result, and a retry after a timeout
+   * waits for the execution still running instead of starting another
    */
   async executeRequest(serviceId, requestFunction, options = {}) {
+    if (!options.idempotencyKey) {
+      return this.executeAttempts(serviceId, requestFunction, options);
+    }
+    
+    const { result, duplicate } = await this.processedRequests.run(options.idempotencyKey, () =>
+      this.executeAttempts(serviceId, requestFunction, options)
+    );
+    if (duplicate) {
+      this.globalMetrics.duplicateRequests++;
+      logger.debug(`♻️ Request ${options.idempotencyKey} already executed; returning recorded result`);
+    }
+    return result;
+  }
+
+  /**
+   * Run a request with circuit breaking, pooling, retries and failover
+   */
+  async executeAttempts(serviceId, requestFunction, options = {}) {
     const startTime = Date.now();
     const {
       timeout = 30000,
       retries = this.config.failover.maxRetries,
       enableFailover = true,
-      enableCircuitBreaker = true
+      enableCircuitBreaker = true,
+      idempotencyKey = null
     } = options;
     
     let lastError = null;
     let currentServiceId = serviceId;
+    let pendingExecution = null; // a keyed execution still running after its attempt timed out
     
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
@@ -199,8 +232,27 @@ class CommunicationReliabilityManager extends EventEmitter {
         const connection = await connectionPool.acquire();
         
         try {
-          // Execute request with timeout
-          const result = await this.executeWithTimeout(requestFunction, timeout, connection);
+          // Execute request with timeout, resuming a keyed one that is still running
+          const context = { idempotencyKey, attempt, serviceId: currentServiceId };
+          let execution = pendingExecution;
+          if (execution) {
+            this.globalMetrics.reusedExecutions++;
+            logger.debug(`⏳ Waiting on the running execution of ${idempotencyKey} instead of retrying it`);
+          } else {
+            execution = Promise.resolve().then(() => requestFunction(connection, context));
+            if (idempotencyKey) {
+              const started = execution;
+              pendingExecution = started;
+              started.catch(() => {
+                if (pendingExecution === started) {
+                  pendingExecution = null;
+                }
+              });
+            }
+          }
+          
+          const result = await this.awaitWithTimeout(execution, timeout);
+          pendingExecution = null;
           
           // Record success
           await this.recordSuccess(currentServiceId, Date.now() - startTime);
@@ -417,13 +469,20 @@ class CommunicationReliabilityManager extends EventEmitter {
   /**
    * Execute function with timeout
    */
-  async executeWithTimeout(func, timeout, connection) {
+  async executeWithTimeout(func, timeout, connection, context = {}) {
+    return this.awaitWithTimeout(Promise.resolve().then(() => func(connection, context)), timeout);
+  }
+
+  /**
+   * Wait for an execution, giving up (without stopping it) after timeout ms
+   */
+  awaitWithTimeout(execution, timeout) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
         reject(new Error(`Request timeout after ${timeout}ms`));
       }, timeout);
       
-      Promise.resolve(func(connection))
+      execution
         .then(result => {
           clearTimeout(timer);
           resolve(result);
@@ -612,6 +671,7 @@ class CommunicationReliabilityManager extends EventEmitter {
     this.connectionPools.clear();
     this.healthCheckers.clear();
     this.performanceMonitors.clear();
+    this.processedRequests.close();
     
     this.emit('reliability:shutdown');
     logger.info('🏁 Communication Reliability Manager shutdown complete');
@@ -0,0 +1,398 @@
+/**
+ * BUMBA RPC Transports
+ * Carry AgentRpc frames between agents. Every transport offers the same
+ * surface: attach(agentId, onFrame), detach(agentId), send(frame) and
+ * close(), and emits 'unreachable' with an agent id when a peer goes away.
+ *
+ * - InProcessTransport: agents in one process
+ * - WebSocketTransport: over the collaboration WebSocketManager, or as a
+ *   client of one
+ * - UnixSocketTransport: a hub process listens on a socket path and the
+ *   other processes of a run connect to it
+ *
+ * Socket transports form a star: the listening side routes frames between
+ * the connected processes, so any agent can call any other.
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { logger } = require('../logging/bumba-logger');
+const { RpcError, RpcErrorCode, RpcFrame } = require('./agent-rpc');
+
+// Envelope types on the wire
+const RPC_MESSAGE = 'rpc';
+const RPC_HELLO = 'rpc_hello';
+
+class InProcessTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.endpoints = new Map(); // agentId -> onFrame
+  }
+
+  attach(agentId, onFrame) {
+    if (this.endpoints.has(agentId)) {
+      throw new Error(`Agent ${agentId} is already attached`);
+    }
+    this.endpoints.set(agentId, onFrame);
+  }
+
+  detach(agentId) {
+    if (this.endpoints.delete(agentId)) {
+      this.emit('unreachable', agentId);
+    }
+  }
+
+  async send(frame) {
+    if (!this.endpoints.has(frame.to)) {
+      throw new RpcError(RpcErrorCode.UNAVAILABLE, `Agent ${frame.to} is not reachable`);
+    }
+    // Copy like a wire would, and deliver on a later turn like a wire would
+    const copy = JSON.parse(JSON.stringify(frame));
+    Promise.resolve().then(() => {
+      const onFrame = this.endpoints.get(copy.to);
+      if (onFrame) {
+        onFrame(copy);
+      }
+    });
+  }
+
+  close() {
+    for (const agentId of Array.from(this.endpoints.keys())) {
+      this.detach(agentId);
+    }
+  }
+}
+
+/**
+ * Routing shared by the socket transports. Connections announce the agents
+ * behind them with a hello; frames go to a local agent, else to the
+ * connection that announced the target.
+ */
+class RoutingTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.endpoints = new Map(); // agentId -> onFrame
+    this.routes = new Map(); // agentId -> connection
+    this.connections = new Set();
+  }
+
+  attach(agentId, onFrame) {
+    if (this.endpoints.has(agentId)) {
+      throw new Error(`Agent ${agentId} is already attached`);
+    }
+    this.endpoints.set(agentId, onFrame);
+    this.announce();
+  }
+
+  detach(agentId) {
+    if (this.endpoints.delete(agentId)) {
+      this.announce();
+      this.emit('unreachable', agentId);
+    }
+  }
+
+  async send(frame) {
+    if (this.endpoints.has(frame.to)) {
+      const onFrame = this.endpoints.get(frame.to);
+      Promise.resolve().then(() => onFrame(frame));
+      return;
+    }
+
+    const connection = this.routes.get(frame.to) || this.upstream();
+    if (!connection) {
+      throw new RpcError(RpcErrorCode.UNAVAILABLE, `Agent ${frame.to} is not reachable`);
+    }
+    this.write(connection, { type: RPC_MESSAGE, frame });
+  }
+
+  /**
+   * Connection frames for unknown agents go to; only clients have one
+   */
+  upstream() {
+    return null;
+  }
+
+  /**
+   * Tell every connection which agents this side can reach
+   */
+  announce() {
+    for (const connection of this.connections) {
+      this.write(connection, { type: RPC_HELLO, agents: this.reachableVia(connection) });
+    }
+  }
+
+  /**
+   * Agents reachable through this side, as seen from one connection
+   */
+  reachableVia(connection) {
+    const agents = Array.from(this.endpoints.keys());
+    for (const [agentId, route] of this.routes) {
+      if (route !== connection) {
+        agents.push(agentId);
+      }
+    }
+    return agents;
+  }
+
+  receive(connection, message) {
+    if (message.type === RPC_HELLO) {
+      this.updateRoutes(connection, message.agents || []);
+      return;
+    }
+    if (message.type !== RPC_MESSAGE || !message.frame) {
+      return;
+    }
+
+    const frame = message.frame;
+    if (this.endpoints.has(frame.to)) {
+      this.endpoints.get(frame.to)(frame);
+      return;
+    }
+
+    // Relay between connections
+    const route = this.routes.get(frame.to);
+    if (route && route !== connection) {
+      this.write(route, message);
+    } else if (frame.kind === RpcFrame.REQUEST) {
+      this.write(connection, {
+        type: RPC_MESSAGE,
+        frame: {
+          kind: RpcFrame.ERROR,
+          id: frame.id,
+          from: frame.to,
+          to: frame.from,
+          error: { code: RpcErrorCode.UNAVAILABLE, message: `Agent ${frame.to} is not reachable`, details: null }
+        }
+      });
+    }
+  }
+
+  updateRoutes(connection, agents) {
+    const lost = [];
+    for (const [agentId, route] of this.routes) {
+      if (route === connection && !agents.includes(agentId)) {
+        this.routes.delete(agentId);
+        lost.push(agentId);
+      }
+    }
+    for (const agentId of agents) {
+      if (!this.endpoints.has(agentId)) {
+        this.routes.set(agentId, connection);
+      }
+    }
+
+    for (const agentId of lost) {
+      this.emit('unreachable', agentId);
+    }
+    // Other connections learn about the change
+    for (const other of this.connections) {
+      if (other !== connection) {
+        this.write(other, { type: RPC_HELLO, agents: this.reachableVia(other) });
+      }
+    }
+  }
+
+  addConnection(connection) {
+    this.connections.add(connection);
+    this.write(connection, { type: RPC_HELLO, agents: this.reachableVia(connection) });
+  }
+
+  removeConnection(connection) {
+    if (!this.connections.delete(connection)) {
+      return;
+    }
+    this.updateRoutes(connection, []);
+  }
+}
+
+class UnixSocketTransport extends RoutingTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Socket path shared by the processes of a run
+   * @param {boolean} options.listen - Be the hub the other processes connect to
+   */
+  constructor(options = {}) {
+    super();
+    this.path = options.path;
+    this.listening = Boolean(options.listen);
+    this.server = null;
+    this.socket = null;
+  }
+
+  /**
+   * Listen on or connect to the socket path
+   */
+  async start() {
+    if (this.listening) {
+      // A socket file left by a crashed hub blocks listen
+      await fs.promises.rm(this.path, { force: true });
+      this.server = net.createServer(socket => this.track(socket));
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject);
+        this.server.listen(this.path, () => {
+          this.server.removeListener('error', reject);
+          resolve();
+        });
+      });
+      logger.info(`🔌 RPC hub listening on ${this.path}`);
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      this.socket = net.connect(this.path, () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      });
+      this.socket.once('error', reject);
+    });
+    this.track(this.socket);
+  }
+
+  track(socket) {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        try {
+          this.receive(socket, JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Dropped malformed RPC message: ${error.message}`);
+        }
+      }
+    });
+    socket.on('close', () => this.removeConnection(socket));
+    socket.on('error', error => logger.debug(`RPC socket error: ${error.message}`));
+    this.addConnection(socket);
+  }
+
+  upstream() {
+    return this.socket;
+  }
+
+  write(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  async close() {
+    for (const socket of this.connections) {
+      socket.destroy();
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    this.socket = null;
+  }
+}
+
+class WebSocketTransport extends RoutingTransport {
+  /**
+   * @param {Object} options
+   * @param {WebSocketManager} options.manager - Serve RPC on a running collaboration server
+   * @param {string} options.url - Or connect to one as a client
+   */
+  constructor(options = {}) {
+    super();
+    this.manager = options.manager || null;
+    this.url = options.url || null;
+    this.socket = null;
+    this.clients = new Map(); // clientId -> connection
+
+    if (!this.manager && !this.url) {
+      throw new Error('WebSocketTransport needs a manager or a url');
+    }
+  }
+
+  async start() {
+    if (this.manager) {
+      this.onEvent = event => this.receiveFromClient(event);
+      this.onDisconnect = ({ clientId }) => this.removeConnection(this.clients.get(clientId));
+      this.manager.on('collaboration_event', this.onEvent);
+      this.manager.on('client_disconnected', this.onDisconnect);
+      return;
+    }
+
+    const socket = new WebSocket(this.url);
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    const connection = { socket };
+    this.socket = connection;
+    socket.on('message', data => {
+      try {
+        this.receive(connection, JSON.parse(data.toString()));
+      } catch (error) {
+        logger.warn(`Dropped malformed RPC message: ${error.message}`);
+      }
+    });
+    socket.on('close', () => this.removeConnection(connection));
+    socket.on('error', error => logger.debug(`RPC WebSocket error: ${error.message}`));
+    this.addConnection(connection);
+  }
+
+  /**
+   * Messages the manager did not handle itself arrive as collaboration events
+   */
+  receiveFromClient(event) {
+    if (event.type !== RPC_MESSAGE && event.type !== RPC_HELLO) {
+      return;
+    }
+    if (!this.clients.has(event.clientId)) {
+      const connection = { clientId: event.clientId };
+      this.clients.set(event.clientId, connection);
+      this.addConnection(connection);
+    }
+    this.receive(this.clients.get(event.clientId), { type: event.type, frame: event.frame, agents: event.agents });
+  }
+
+  removeConnection(connection) {
+    if (connection && connection.clientId) {
+      this.clients.delete(connection.clientId);
+    }
+    if (connection) {
+      super.removeConnection(connection);
+    }
+  }
+
+  upstream() {
+    return this.socket;
+  }
+
+  write(connection, message) {
+    if (connection.clientId) {
+      this.manager.sendToClient(connection.clientId, message);
+    } else if (connection.socket.readyState === WebSocket.OPEN) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  }
+
+  async close() {
+    if (this.manager) {
+      this.manager.removeListener('collaboration_event', this.onEvent);
+      this.manager.removeListener('client_disconnected', this.onDisconnect);
+    }
+    if (this.socket) {
+      this.socket.socket.close();
+      this.socket = null;
+    }
+    for (const connection of Array.from(this.connections)) {
+      super.removeConnection(connection);
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  InProcessTransport,
+  UnixSocketTransport,
+  WebSocketTransport
+};
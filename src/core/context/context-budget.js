@@ -0,0 +1,462 @@
+/**
+ * BUMBA Context Budget
+ * Packs what an agent should see (the task, relevant files, memory hits,
+ * earlier results) into a prompt that fits the model's context window.
+ *
+ * Every item has a priority. When the items do not fit, the lowest-priority
+ * ones are summarized first, then truncated, then dropped. Required items
+ * (the task) can be cut but are never dropped. The report lists each item
+ * with the tokens it had and was cut to, and everything left out with why,
+ * so callers can tell what the agent did not see.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../logging/bumba-logger');
+const { getTokenizer } = require('./tokenizer');
+const { SummarizerFactory } = require('../summarization/base-summarizer');
+
+// Context windows in tokens, matched against the model id by longest prefix
+const MODEL_CONTEXT_LIMITS = {
+  claude: 200000,
+  'gpt-4o': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'gemini-1.5': 1000000,
+  gemini: 32768,
+  deepseek: 128000,
+  qwen: 32768,
+  kimi: 200000
+};
+
+const DEFAULT_CONTEXT_LIMIT = 200000;
+
+const ContextKind = {
+  TASK: 'task',
+  FILE: 'file',
+  MEMORY: 'memory',
+  RESULT: 'result',
+  NOTE: 'note'
+};
+
+const ContextPriority = {
+  REQUIRED: 100,
+  HIGH: 75,
+  NORMAL: 50,
+  LOW: 25
+};
+
+const DEFAULT_PRIORITIES = {
+  [ContextKind.TASK]: ContextPriority.REQUIRED,
+  [ContextKind.RESULT]: ContextPriority.HIGH,
+  [ContextKind.FILE]: ContextPriority.NORMAL,
+  [ContextKind.MEMORY]: ContextPriority.LOW,
+  [ContextKind.NOTE]: ContextPriority.NORMAL
+};
+
+const SECTION_SEPARATOR = '\n\n';
+const TRUNCATION_MARK = '\n[truncated to fit the context budget]';
+
+// Lines kept when a source file is cut down to its outline
+const DECLARATION_PATTERN = /^\s*(import\s|export\s|from\s|class\s|interface\s|type\s|enum\s|def\s|async\s+def\s|func\s|fn\s|pub\s|struct\s|module\.exports|(async\s+)?function[\s*]|const\s+\w+\s*=\s*(async\s*)?(\(|function|require|class))/;
+
+class ContextBudgetError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ContextBudgetError';
+    this.code = 'CONTEXT_BUDGET_EXCEEDED';
+    this.details = details;
+  }
+}
+
+class ContextBudgetManager {
+  /**
+   * @param {Object} options
+   * @param {Tokenizer} options.tokenizer - Defaults to the shared tokenizer
+   * @param {Object} options.limits - Context windows by model id prefix, over MODEL_CONTEXT_LIMITS
+   * @param {number} options.defaultLimit - Window for models that match no prefix
+   * @param {number} options.reserveTokens - Kept free for the model's reply
+   * @param {number} options.minItemTokens - An item that would be cut below this is dropped instead
+   * @param {number} options.maxFileBytes - Larger files are left out when collecting
+   */
+  constructor(options = {}) {
+    this.tokenizer = options.tokenizer || getTokenizer();
+    this.limits = { ...MODEL_CONTEXT_LIMITS, ...(options.limits || {}) };
+    this.defaultLimit = options.defaultLimit || DEFAULT_CONTEXT_LIMIT;
+    this.reserveTokens = options.reserveTokens !== undefined ? options.reserveTokens : 4096;
+    this.minItemTokens = options.minItemTokens || 64;
+    this.maxFileBytes = options.maxFileBytes || 1024 * 1024;
+  }
+
+  /**
+   * Context window for a model id such as claude-3-opus-20240229 or
+   * deepseek/deepseek-r1:free
+   */
+  getContextLimit(model) {
+    if (!model) {
+      return this.defaultLimit;
+    }
+
+    const id = String(model).toLowerCase().split('/').pop();
+    const prefix = Object.keys(this.limits)
+      .filter(candidate => id.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.limits[prefix] : this.defaultLimit;
+  }
+
+  /**
+   * @param {Object} options - model, or an explicit limit, and reserveTokens
+   */
+  getBudget(options = {}) {
+    const limit = options.limit || this.getContextLimit(options.model);
+    const reserved = options.reserveTokens !== undefined ? options.reserveTokens : this.reserveTokens;
+
+    return {
+      model: options.model || null,
+      limit,
+      reserved,
+      available: Math.max(0, limit - reserved)
+    };
+  }
+
+  /**
+   * Fit items into the budget and render them as one prompt
+   * @param {Array<Object>} items - { id, kind, title, content, priority, required, summarize }
+   * @param {Object} options - model, limit and reserveTokens
+   * @returns {Object} { prompt, tokens, budget, items, dropped }
+   */
+  pack(items, options = {}) {
+    const budget = this.getBudget(options);
+    const entries = items.map((item, index) => this.toEntry(item, index));
+    const dropped = [];
+
+    let live = entries.filter(entry => {
+      if (entry.skipReason) {
+        dropped.push(droppedItem(entry, entry.skipReason));
+      }
+      return !entry.skipReason;
+    });
+
+    const separatorTokens = this.tokenizer.count(SECTION_SEPARATOR);
+    const total = () => live.reduce((sum, entry) => sum + entry.tokens, 0) + separatorTokens * Math.max(0, live.length - 1);
+    const cutOrder = [...live].sort(byCutOrder);
+
+    // Summaries first: they keep the gist of every item
+    for (const entry of cutOrder) {
+      const overflow = total() - budget.available;
+      if (overflow <= 0) {
+        break;
+      }
+      this.summarizeEntry(entry, entry.tokens - overflow);
+    }
+
+    // Then cut the least important items down, or leave them out when
+    // what would remain is too small to be useful
+    for (const entry of cutOrder) {
+      const overflow = total() - budget.available;
+      if (overflow <= 0) {
+        break;
+      }
+
+      const target = entry.tokens - overflow;
+      if (entry.required || target >= this.minItemTokens) {
+        this.truncateEntry(entry, target);
+      } else {
+        live = live.filter(other => other !== entry);
+        dropped.push(droppedItem(entry, `only ${Math.max(0, target)} of its ${entry.originalTokens} tokens would fit`));
+      }
+    }
+
+    let prompt = this.render(live);
+    let tokens = this.tokenizer.count(prompt);
+
+    // Sections can count differently once joined; trim the remainder
+    for (const entry of cutOrder) {
+      if (tokens <= budget.available) {
+        break;
+      }
+      if (live.includes(entry) && entry.tokens > tokens - budget.available) {
+        this.truncateEntry(entry, entry.tokens - (tokens - budget.available));
+        prompt = this.render(live);
+        tokens = this.tokenizer.count(prompt);
+      }
+    }
+
+    if (tokens > budget.available) {
+      throw new ContextBudgetError(
+        `Required context needs ${tokens} tokens but ${budget.model || 'the model'} has ${budget.available} available`,
+        { tokens, budget }
+      );
+    }
+
+    const report = {
+      prompt,
+      tokens,
+      budget,
+      tokenizer: this.tokenizer.name,
+      items: live.map(reportItem),
+      dropped
+    };
+
+    const cut = report.items.filter(item => item.action !== 'kept').length;
+    if (cut || dropped.length) {
+      logger.info(`🟢 Context packed into ${tokens}/${budget.available} tokens: ${cut} cut, ${dropped.length} dropped`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Gather the usual context for a task and pack it
+   * @param {Object} options - collect options plus model, limit and reserveTokens
+   */
+  async prepare(options = {}) {
+    return this.pack(await this.collect(options), options);
+  }
+
+  /**
+   * Context items for a task: the task itself, relevant files, memory hits
+   * and earlier results
+   * @param {Object} options
+   * @param {string|Object} options.task
+   * @param {ContextAnalyzer} options.analyzer - Supplies files through findRelevantFiles
+   * @param {string} options.root - Where the analyzer looks; the working directory by default
+   * @param {string[]} options.files - File paths to use instead of asking an analyzer
+   * @param {Array<Object>} options.memory - Memory entries, e.g. from MemoryStore#search
+   * @param {MemoryStore} options.memoryStore - Searched with the task when no memory is given
+   * @param {Array} options.results - Earlier agent results, oldest first
+   */
+  async collect(options = {}) {
+    const items = [];
+    if (options.task !== undefined) {
+      items.push(this.taskItem(options.task));
+    }
+
+    let files = options.files || [];
+    if (!options.files && options.analyzer) {
+      files = await options.analyzer.findRelevantFiles(options.root || process.cwd());
+    }
+    items.push(...await this.fileItems(files, { task: options.task }));
+
+    let memory = options.memory || [];
+    if (!options.memory && options.memoryStore && options.task !== undefined) {
+      memory = options.memoryStore.search(toText(options.task), { limit: 10, via: 'context-budget' });
+    }
+    items.push(...this.memoryItems(memory));
+    items.push(...this.resultItems(options.results || []));
+
+    return items;
+  }
+
+  taskItem(task) {
+    return { id: 'task', kind: ContextKind.TASK, title: 'Task', content: task, required: true };
+  }
+
+  /**
+   * One item per file, read from disk. Files that name the task's words in
+   * their path rank higher; unreadable and oversized files are reported as
+   * dropped when packed
+   */
+  async fileItems(files, options = {}) {
+    const words = new Set(wordsOf(toText(options.task)));
+
+    return Promise.all(files.map(async file => {
+      const item = {
+        id: `file:${file}`,
+        kind: ContextKind.FILE,
+        title: file,
+        priority: ContextPriority.NORMAL + Math.min(20, 10 * wordsOf(file).filter(word => words.has(word)).length)
+      };
+
+      try {
+        const stats = await fs.stat(path.resolve(file));
+        if (stats.size > this.maxFileBytes) {
+          return { ...item, content: '', skipReason: `file is ${stats.size} bytes, over the ${this.maxFileBytes} byte limit` };
+        }
+        return { ...item, content: await fs.readFile(path.resolve(file), 'utf8') };
+      } catch (error) {
+        return { ...item, content: '', skipReason: `could not be read: ${error.message}` };
+      }
+    }));
+  }
+
+  /**
+   * Memory entries in search order; better hits rank higher
+   */
+  memoryItems(entries) {
+    return entries.map((entry, index) => {
+      const ref = `${entry.namespace}/${entry.scope || 'default'}/${entry.key}`;
+      return {
+        id: `memory:${ref}`,
+        kind: ContextKind.MEMORY,
+        title: `Memory ${ref}`,
+        content: entry.value,
+        priority: ContextPriority.LOW + (entries.length - index) / entries.length * 10
+      };
+    });
+  }
+
+  /**
+   * Earlier results, oldest first; the most recent rank highest
+   */
+  resultItems(results) {
+    return results.map((result, index) => {
+      const agent = result && typeof result === 'object' ? result.agent || result.specialist : null;
+      return {
+        id: `result:${index}`,
+        kind: ContextKind.RESULT,
+        title: agent ? `Result from ${agent}` : `Result ${index + 1}`,
+        content: result && typeof result === 'object' && result.result !== undefined ? result.result : result,
+        priority: ContextPriority.HIGH + (index + 1) / results.length * 10
+      };
+    });
+  }
+
+  render(entries) {
+    return entries.map(entry => renderSection(entry.title, entry.text)).join(SECTION_SEPARATOR);
+  }
+
+  toEntry(item, index) {
+    const kind = item.kind || ContextKind.NOTE;
+    const title = item.title || (kind === ContextKind.TASK ? 'Task' : `${kind} ${index + 1}`);
+    const text = toText(item.content);
+    const tokens = this.measure(title, text);
+
+    return {
+      ...item,
+      id: item.id || `${kind}:${index}`,
+      kind,
+      title,
+      text,
+      index,
+      priority: item.priority !== undefined ? item.priority : DEFAULT_PRIORITIES[kind] || ContextPriority.NORMAL,
+      required: item.required !== undefined ? Boolean(item.required) : kind === ContextKind.TASK,
+      tokens,
+      originalTokens: tokens,
+      action: 'kept'
+    };
+  }
+
+  /**
+   * Replace an entry's text with its summary when that is smaller. Files
+   * shrink to their outline unless the item brings its own summarize
+   */
+  summarizeEntry(entry, targetTokens) {
+    const summarize = entry.summarize || (entry.kind === ContextKind.FILE ? outlineSource : null);
+    let summary;
+    try {
+      summary = summarize
+        ? summarize(entry.text, targetTokens)
+        : SummarizerFactory.summarize(entry.content, { maxTokens: Math.max(targetTokens, this.minItemTokens) });
+    } catch (error) {
+      logger.warn(`Could not summarize ${entry.id}: ${error.message}`);
+      return;
+    }
+
+    const text = toText(summary);
+    const tokens = this.measure(entry.title, text);
+    if (text && tokens < entry.tokens) {
+      entry.text = text;
+      entry.tokens = tokens;
+      entry.action = 'summarized';
+    }
+  }
+
+  truncateEntry(entry, targetTokens) {
+    const source = entry.text;
+    let room = targetTokens - this.measure(entry.title, TRUNCATION_MARK);
+
+    // The cut text and the mark can count a little differently once joined
+    for (let attempt = 0; attempt < 3; attempt++) {
+      entry.text = room > 0 ? `${this.tokenizer.truncate(source, room)}${TRUNCATION_MARK}` : TRUNCATION_MARK.trim();
+      entry.tokens = this.measure(entry.title, entry.text);
+      if (entry.tokens <= targetTokens || room <= 0) {
+        break;
+      }
+      room -= entry.tokens - targetTokens;
+    }
+    entry.action = 'truncated';
+  }
+
+  measure(title, text) {
+    return this.tokenizer.count(renderSection(title, text));
+  }
+}
+
+function renderSection(title, text) {
+  return `### ${title}\n${text}`;
+}
+
+/**
+ * Optional items before required ones, lower priority first, and among
+ * equals the later item first
+ */
+function byCutOrder(a, b) {
+  if (a.required !== b.required) {
+    return a.required ? 1 : -1;
+  }
+  return a.priority - b.priority || b.index - a.index;
+}
+
+function reportItem(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: entry.title,
+    priority: entry.priority,
+    action: entry.action,
+    tokens: entry.tokens,
+    originalTokens: entry.originalTokens
+  };
+}
+
+function droppedItem(entry, reason) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    title: entry.title,
+    priority: entry.priority,
+    tokens: entry.originalTokens,
+    reason
+  };
+}
+
+/**
+ * A source file cut down to its imports and declarations
+ */
+function outlineSource(text) {
+  const lines = text.split('\n');
+  const outline = lines.filter(line => DECLARATION_PATTERN.test(line));
+  return `${outline.join('\n')}\n[outline: ${outline.length} of ${lines.length} lines]`;
+}
+
+function wordsOf(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2);
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+}
+
+module.exports = {
+  ContextBudgetManager,
+  ContextBudgetError,
+  ContextKind,
+  ContextPriority,
+  MODEL_CONTEXT_LIMITS
+};
@@ -0,0 +1,165 @@
+/**
+ * BUMBA Tokenizer
+ * The one token count used for prompt budgets, context metrics and pruning.
+ *
+ * Text is split the way BPE tokenizers pre-split it before merging: words
+ * with their leading space, digit runs of up to three, punctuation runs,
+ * newlines and indentation. Each piece is then costed by its length, since
+ * short common words are one token and long identifiers break into several.
+ * That follows what a model sees far more closely than characters / 4, which
+ * undercounts code and overcounts prose. When an exact encoder is available
+ * (anything with encode(text) returning tokens) pass it in and it is used
+ * instead.
+ */
+
+// The cl100k pre-tokenizer pattern
+const PIECE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+// Words up to this many letters are usually a single token
+const WHOLE_WORD_LETTERS = 8;
+const LETTERS_PER_EXTRA_TOKEN = 4;
+
+const PUNCTUATION_PER_TOKEN = 2;
+
+class Tokenizer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.encoder - Exact encoder: encode(text) returns an array of tokens
+   * @param {string} options.name - Shown in budget reports
+   */
+  constructor(options = {}) {
+    this.encoder = options.encoder || null;
+    this.name = options.name || (this.encoder ? 'encoder' : 'bpe-estimate');
+  }
+
+  /**
+   * Tokens in a string, or in the JSON of any other value
+   */
+  count(value) {
+    const text = toText(value);
+    if (!text) {
+      return 0;
+    }
+    if (this.encoder) {
+      return this.encoder.encode(text).length;
+    }
+
+    let tokens = 0;
+    for (const piece of text.match(PIECE_PATTERN) || []) {
+      tokens += pieceCost(piece);
+    }
+    return tokens;
+  }
+
+  /**
+   * The longest prefix of text that fits in maxTokens
+   */
+  truncate(text, maxTokens) {
+    text = toText(text);
+    if (maxTokens <= 0) {
+      return '';
+    }
+    if (this.encoder) {
+      return this.truncateEncoded(text, maxTokens);
+    }
+
+    let tokens = 0;
+    let end = 0;
+    for (const match of text.matchAll(PIECE_PATTERN)) {
+      tokens += pieceCost(match[0]);
+      if (tokens > maxTokens) {
+        return text.slice(0, end);
+      }
+      end = match.index + match[0].length;
+    }
+    return text;
+  }
+
+  /**
+   * Prefix search for encoders that cannot decode a token slice
+   */
+  truncateEncoded(text, maxTokens) {
+    if (this.count(text) <= maxTokens) {
+      return text;
+    }
+
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.count(text.slice(0, middle)) <= maxTokens) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return text.slice(0, low);
+  }
+}
+
+function pieceCost(piece) {
+  const word = piece.match(/\p{L}+/u);
+  if (word) {
+    return wordCost(word[0]);
+  }
+  if (/\p{N}/u.test(piece)) {
+    return 1;
+  }
+
+  // Whitespace runs, newlines included, merge into one token
+  const symbols = piece.replace(/\s/g, '').length;
+  return symbols === 0 ? 1 : Math.ceil(symbols / PUNCTUATION_PER_TOKEN);
+}
+
+function wordCost(word) {
+  // Scripts other than Latin run closer to a token per character
+  const wide = word.replace(/\p{Script=Latin}/gu, '').length;
+  const latin = word.length - wide;
+  if (latin === 0) {
+    return wide;
+  }
+  return 1 + Math.ceil(Math.max(0, latin - WHOLE_WORD_LETTERS) / LETTERS_PER_EXTRA_TOKEN) + wide;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value, null, 2);
+    } catch {
+      // Circular structures
+      return '[Complex Object]';
+    }
+  }
+  return String(value);
+}
+
+let sharedTokenizer = new Tokenizer();
+
+function getTokenizer() {
+  return sharedTokenizer;
+}
+
+/**
+ * Replace the shared tokenizer, e.g. with one backed by an exact encoder
+ */
+function setTokenizer(tokenizer) {
+  sharedTokenizer = tokenizer instanceof Tokenizer ? tokenizer : new Tokenizer(tokenizer);
+  return sharedTokenizer;
+}
+
+function countTokens(value) {
+  return sharedTokenizer.count(value);
+}
+
+module.exports = {
+  Tokenizer,
+  getTokenizer,
+  setTokenizer,
+  countTokens
+};
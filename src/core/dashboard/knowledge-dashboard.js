@@ -8,6 +8,7 @@ const { EventEmitter } = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
+const { URL } = require('url');
 const { logger } = require('../logging/bumba-logger');
 const { UnifiedMemorySystem } = require('../memory/unified-memory-system');
 const { HumanLearningModule } = require('../learning/human-learning-module');
@@ -74,6 +75,7 @@ class KnowledgeDashboard extends EventEmitter {
     this.memory = null;
     this.humanLearning = null;
     this.handoffManager = null;
+    this.knowledgeProtocol = config.knowledgeProtocol || null;
     
     // Web server
     this.server = null;
@@ -541,7 +543,19 @@ class KnowledgeDashboard extends EventEmitter {
    * Handle web requests
    */
   async handleWebRequest(req, res) {
-    if (req.url === '/') {
+    const url = new URL(req.url, 'http://localhost');
+    
+    if (url.pathname === '/knowledge-graph') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(this.renderKnowledgeGraphPage());
+      
+    } else if (url.pathname.startsWith('/api/knowledge-graph')) {
+      const { status, body } = this.queryKnowledgeGraph(url.pathname, Object.fromEntries(url.searchParams));
+      const text = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+      res.end(text);
+      
+    } else if (url.pathname === '/') {
       // Serve dashboard HTML
       const dashboardPath = path.join(this.config.outputPath, 'dashboard.html');
       
@@ -554,12 +568,12 @@ class KnowledgeDashboard extends EventEmitter {
         res.end('Dashboard not found');
       }
       
-    } else if (req.url === '/api/data') {
+    } else if (url.pathname === '/api/data') {
       // Serve dashboard data as JSON
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(this.dashboardData, null, 2));
       
-    } else if (req.url === '/api/metrics') {
+    } else if (url.pathname === '/api/metrics') {
       // Serve metrics only
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(this.dashboardData.metrics, null, 2));
@@ -570,6 +584,67 @@ class KnowledgeDashboard extends EventEmitter {
     }
   }
   
+  /**
+   * Connect the knowledge transfer protocol whose graph the dashboard explores
+   */
+  connectKnowledgeProtocol(protocol) {
+    this.knowledgeProtocol = protocol;
+  }
+  
+  /**
+   * Answer a knowledge graph API request
+   *   /api/knowledge-graph?tag=&focus=&depth=&format=json|mermaid|jsonld
+   *   /api/knowledge-graph/path?from=&to=
+   *   /api/knowledge-graph/dependents?id=
+   *   /api/knowledge-graph/explain?id= (or ?q=&source= to find the decision)
+   * @returns {{status: number, body: Object|string}}
+   */
+  queryKnowledgeGraph(pathname, params = {}) {
+    if (!this.knowledgeProtocol) {
+      return { status: 503, body: { error: 'No knowledge transfer protocol connected' } };
+    }
+    
+    const graph = this.knowledgeProtocol.getKnowledgeGraph();
+    const relations = params.relations ? params.relations.split(',') : undefined;
+    const missing = id => ({ status: 404, body: { error: `Knowledge not found: ${id}` } });
+    
+    try {
+      switch (pathname.replace(/\/+$/, '')) {
+        case '/api/knowledge-graph': {
+          let view = graph;
+          if (params.focus) {
+            view = graph.neighborhood(params.focus, { depth: parseInt(params.depth, 10) || 1, relations });
+          } else if (params.tag || relations) {
+            view = graph.subgraph({ tag: params.tag, relations });
+          }
+          return { status: 200, body: view.export(params.format || 'json') };
+        }
+        
+        case '/api/knowledge-graph/path': {
+          const route = graph.shortestPath(params.from, params.to, { relations });
+          return route ? { status: 200, body: route } : { status: 404, body: { error: `No path from ${params.from} to ${params.to}` } };
+        }
+        
+        case '/api/knowledge-graph/dependents':
+          return graph.getNode(params.id)
+            ? { status: 200, body: graph.dependents(params.id, { relations, type: params.type === 'any' ? null : params.type }) }
+            : missing(params.id);
+        
+        case '/api/knowledge-graph/explain': {
+          const decision = params.id
+            ? graph.getNode(params.id)
+            : graph.find({ type: params.type || 'decision', source: params.source, text: params.q })[0];
+          return decision ? { status: 200, body: graph.explain(decision.id, { relations }) } : missing(params.id || params.q);
+        }
+        
+        default:
+          return { status: 404, body: { error: `Unknown knowledge graph query: ${pathname}` } };
+      }
+    } catch (error) {
+      return { status: 400, body: { error: error.message } };
+    }
+  }
+  
   // Helper methods for data processing
   
   calculateMemoryDistribution(stats) {
@@ -920,6 +995,7 @@ class KnowledgeDashboard extends EventEmitter {
         <div>Nodes: ${stats.totalNodes} | Edges: ${stats.totalEdges}</div>
         <div>Average Connections: ${stats.avgConnections.toFixed(2)}</div>
         <div>Clusters Identified: ${stats.clusters}</div>
+        ${this.knowledgeProtocol ? '<div><a href="/knowledge-graph" style="color: #fff;">Explore the knowledge graph →</a></div>' : ''}
       </div>
     `;
   }
@@ -959,6 +1035,181 @@ class KnowledgeDashboard extends EventEmitter {
     `;
   }
   
+  /**
+   * Interactive knowledge graph explorer, served at /knowledge-graph. It
+   * loads everything from the /api/knowledge-graph endpoints
+   */
+  renderKnowledgeGraphPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>BUMBA Knowledge Graph</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: #fff;
+            padding: 20px;
+        }
+        h1 { text-align: center; margin-bottom: 20px; }
+        a { color: #fff; }
+        .controls, .panel, .graph {
+            background: rgba(255, 255, 255, 0.1);
+            border-radius: 15px;
+            padding: 15px;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            margin-bottom: 15px;
+        }
+        .controls input, .controls select, .controls button { padding: 4px 8px; border-radius: 6px; border: none; margin-right: 6px; }
+        .layout { display: grid; grid-template-columns: 3fr 1fr; gap: 15px; }
+        svg { width: 100%; height: 560px; }
+        svg text { fill: #fff; font-size: 11px; }
+        .edge { stroke: rgba(255, 255, 255, 0.5); stroke-width: 1.5; }
+        .edge.highlight { stroke: #ffeb3b; stroke-width: 4; }
+        .node { cursor: pointer; stroke: #fff; stroke-width: 1.5; }
+        .node.selected { stroke: #ffeb3b; stroke-width: 4; }
+        .panel ul { margin-left: 18px; }
+        .muted { opacity: 0.7; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <h1>🟢 BUMBA Knowledge Graph</h1>
+    <div class="controls">
+        <input id="tag" placeholder="tag">
+        <input id="focus" placeholder="focus on id">
+        <select id="depth"><option>1</option><option>2</option><option>3</option></select>
+        <input id="relations" placeholder="relations, comma separated">
+        <button id="load">Show</button>
+        <input id="from" placeholder="path from id">
+        <input id="to" placeholder="path to id">
+        <button id="path">Find path</button>
+        <a id="mermaid" target="_blank">Mermaid</a> · <a id="jsonld" target="_blank">JSON-LD</a> · <a href="/">Dashboard</a>
+    </div>
+    <div class="layout">
+        <div class="graph"><svg id="graph"></svg></div>
+        <div class="panel" id="details"><span class="muted">Click a node to see why it exists and what depends on it</span></div>
+    </div>
+    <script>
+        const COLORS = { decision: '#42a5f5', context: '#9e9e9e', learning: '#66bb6a', pattern: '#ab47bc',
+            error: '#ef5350', solution: '#26a69a', optimization: '#ffca28', external: '#eeeeee' };
+        const svg = document.getElementById('graph');
+        const details = document.getElementById('details');
+        const value = id => document.getElementById(id).value.trim();
+        let graph = { nodes: [], edges: [] };
+        let selected = null;
+
+        function query(extra) {
+            const params = new URLSearchParams(extra || {});
+            if (value('tag')) { params.set('tag', value('tag')); }
+            if (value('focus')) { params.set('focus', value('focus')); params.set('depth', value('depth')); }
+            if (value('relations')) { params.set('relations', value('relations')); }
+            return params.toString();
+        }
+
+        function element(name, attributes, text) {
+            const node = document.createElementNS('http://www.w3.org/2000/svg', name);
+            Object.entries(attributes).forEach(([key, attribute]) => node.setAttribute(key, attribute));
+            if (text) { node.textContent = text; }
+            return node;
+        }
+
+        function draw(highlight) {
+            svg.innerHTML = '';
+            const box = svg.getBoundingClientRect();
+            const radius = Math.min(box.width, box.height) / 2 - 60;
+            const positions = {};
+            graph.nodes.forEach((node, index) => {
+                const angle = (2 * Math.PI * index) / Math.max(graph.nodes.length, 1);
+                positions[node.id] = { x: box.width / 2 + radius * Math.cos(angle), y: box.height / 2 + radius * Math.sin(angle) };
+            });
+            graph.edges.forEach(edge => {
+                const from = positions[edge.from];
+                const to = positions[edge.to];
+                if (!from || !to) { return; }
+                const lit = (highlight || []).some(step => step.from === edge.from && step.to === edge.to && step.type === edge.type);
+                svg.appendChild(element('line', { x1: from.x, y1: from.y, x2: to.x, y2: to.y, class: lit ? 'edge highlight' : 'edge' }));
+                svg.appendChild(element('text', { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }, edge.type));
+            });
+            graph.nodes.forEach(node => {
+                const at = positions[node.id];
+                const circle = element('circle', { cx: at.x, cy: at.y, r: 12, fill: COLORS[node.type] || '#fff',
+                    class: node.id === selected ? 'node selected' : 'node' });
+                circle.appendChild(element('title', {}, node.id));
+                circle.addEventListener('click', () => select(node));
+                svg.appendChild(circle);
+                svg.appendChild(element('text', { x: at.x + 15, y: at.y + 4 }, node.label.slice(0, 40)));
+            });
+        }
+
+        function renderReasons(reasons) {
+            const list = document.createElement('ul');
+            reasons.forEach(reason => {
+                const item = document.createElement('li');
+                item.textContent = reason.relation + ': ' + reason.node.label + ' (' + reason.node.type + ')';
+                if (reason.reasons.length > 0) { item.appendChild(renderReasons(reason.reasons)); }
+                list.appendChild(item);
+            });
+            return list;
+        }
+
+        function section(title, content) {
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            details.appendChild(heading);
+            details.appendChild(content);
+        }
+
+        async function select(node) {
+            selected = node.id;
+            draw();
+            const id = encodeURIComponent(node.id);
+            const [explanation, dependents] = await Promise.all([
+                fetch('/api/knowledge-graph/explain?id=' + id).then(response => response.json()),
+                fetch('/api/knowledge-graph/dependents?type=any&id=' + id).then(response => response.json())
+            ]);
+            details.innerHTML = '';
+            const summary = document.createElement('div');
+            summary.textContent = node.label + ' — ' + node.type + (node.source ? ', from ' + node.source : '') +
+                (node.tags.length > 0 ? ' [' + node.tags.join(', ') + ']' : '');
+            details.appendChild(summary);
+            const why = explanation.reasons && explanation.reasons.length > 0 ? renderReasons(explanation.reasons) : document.createTextNode('No recorded evidence');
+            section('Why', why);
+            const dependentList = document.createElement('ul');
+            (Array.isArray(dependents) ? dependents : []).forEach(dependent => {
+                const item = document.createElement('li');
+                item.textContent = dependent.node.label + ' (' + dependent.node.type + ')';
+                dependentList.appendChild(item);
+            });
+            section('Depends on this', dependentList.children.length > 0 ? dependentList : document.createTextNode('Nothing'));
+        }
+
+        async function load() {
+            const response = await fetch('/api/knowledge-graph?' + query());
+            graph = response.ok ? await response.json() : { nodes: [], edges: [] };
+            document.getElementById('mermaid').href = '/api/knowledge-graph?' + query({ format: 'mermaid' });
+            document.getElementById('jsonld').href = '/api/knowledge-graph?' + query({ format: 'jsonld' });
+            draw();
+        }
+
+        async function findPath() {
+            const params = new URLSearchParams({ from: value('from'), to: value('to') });
+            const response = await fetch('/api/knowledge-graph/path?' + params.toString());
+            const route = await response.json();
+            details.textContent = response.ok ? route.nodes.map(node => node.label).join(' → ') : route.error;
+            draw(response.ok ? route.edges : []);
+        }
+
+        document.getElementById('load').addEventListener('click', load);
+        document.getElementById('path').addEventListener('click', findPath);
+        load();
+    </script>
+</body>
+</html>`;
+  }
+  
   getStatusClass(value) {
     if (value >= 0.8) {return 'status-good';}
     if (value >= 0.5) {return 'status-warning';}
@@ -0,0 +1,38 @@
+/**
+ * Correlation Context
+ * Carries the correlation ID of the event being handled across async calls,
+ * so events raised while handling it - in any event system - join its chain
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a correlation ID (and the ID of the event that caused it)
+ */
+function runWithCorrelation(correlationId, fn, causationId = null) {
+  return storage.run({ correlationId, causationId }, fn);
+}
+
+/**
+ * Correlation ID of the event being handled, or null outside a handler
+ */
+function currentCorrelationId() {
+  const context = storage.getStore();
+  return context ? context.correlationId : null;
+}
+
+/**
+ * ID of the event being handled, or null outside a handler
+ */
+function currentCausationId() {
+  const context = storage.getStore();
+  return context ? context.causationId : null;
+}
+
+module.exports = {
+  runWithCorrelation,
+  currentCorrelationId,
+  currentCausationId
+};
@@ -7,6 +7,7 @@
 const { EventBus } = require('./event-bus');
 const { logger } = require('../logging/bumba-logger');
 const { stateManager } = require('../state/global-state-manager');
+const { currentCorrelationId } = require('./correlation-context');
 
 class EventAggregator {
   constructor() {
@@ -15,6 +16,7 @@ class EventAggregator {
     this.sagas = new Map();
     this.eventStore = [];
     this.maxEventStoreSize = 10000;
+    this.publishListeners = new Set();
     
     // Statistics
     this.stats = {
@@ -85,7 +87,7 @@ class EventAggregator {
       event,
       data,
       timestamp: Date.now(),
-      correlationId: data?.correlationId || this.generateCorrelationId(),
+      correlationId: data?.correlationId || currentCorrelationId() || this.generateCorrelationId(),
       metadata: {
         version: '1.0',
         source: 'event-aggregator'
@@ -107,12 +109,33 @@ class EventAggregator {
     // Update aggregates
     this.updateAggregates(domain, event, envelope);
     
+    // Notify observers such as the event hub
+    this.notifyPublishListeners(envelope);
+    
     this.stats.eventsAggregated++;
     this.updateState();
     
     return true;
   }
   
+  /**
+   * Observe every published envelope, across all domains
+   */
+  onPublish(listener) {
+    this.publishListeners.add(listener);
+    return () => this.publishListeners.delete(listener);
+  }
+  
+  notifyPublishListeners(envelope) {
+    for (const listener of this.publishListeners) {
+      try {
+        listener(envelope);
+      } catch (error) {
+        logger.error('Error in publish listener:', error);
+      }
+    }
+  }
+  
   /**
    * Subscribe to domain events
    */
@@ -0,0 +1,686 @@
+/**
+ * Event Hub
+ * One event API over BUMBA's event systems: typed event schemas, wildcard
+ * topics and durable subscriptions, with EventBus, EventBroadcaster,
+ * EventAggregator, EventStore and UnifiedBus connected as adapters
+ *
+ * Every event becomes one envelope:
+ *   { id, type, source, sequence, timestamp, correlationId, causationId, payload, metadata }
+ *
+ * Types are dot-delimited ('task.completed'); ':' is accepted and normalized.
+ * Patterns match segment by segment: '*' is one segment, '**' any number,
+ * and '*' or '**' on its own matches every event.
+ *
+ * Handlers run inside the event's correlation context, so events raised
+ * while handling one - through the hub or any connected system - share its
+ * correlation ID and name it as their cause.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../logging/bumba-logger');
+const {
+  runWithCorrelation,
+  currentCorrelationId,
+  currentCausationId
+} = require('./correlation-context');
+
+/**
+ * Raised when a payload does not match its event type's schema
+ */
+class EventSchemaError extends Error {
+  constructor(type, errors) {
+    super(`Invalid ${type} event: ${errors.join(', ')}`);
+    this.name = 'EventSchemaError';
+    this.type = type;
+    this.errors = errors;
+  }
+}
+
+class EventHub extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {number} config.retention - Events kept for replay and durable catch-up
+   * @param {boolean} config.strictSchemas - Reject event types without a schema
+   * @param {Object} config.persistence - `{ dir }` to keep events and durable cursors across restarts
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      retention: 10000,
+      strictSchemas: false,
+      persistence: null,
+      ...config
+    };
+
+    this.schemas = new Map(); // type -> schema
+    this.subscriptions = new Set();
+    this.durables = new Map(); // name -> { name, pattern, lastSequence, subscription }
+    this.connections = new Map(); // connection name -> disconnect function
+    this.log = []; // retained envelopes, oldest first
+    this.sequence = 0;
+    this.journalLines = 0;
+
+    this.metrics = {
+      eventsPublished: 0,
+      eventsRejected: 0,
+      deliveries: 0,
+      handlerErrors: 0
+    };
+
+    if (this.config.persistence) {
+      this.loadPersistedState();
+    }
+
+    logger.info('📡 Event Hub initialized', {
+      retention: this.config.retention,
+      persistent: Boolean(this.config.persistence)
+    });
+  }
+
+  /**
+   * Register the payload schema for an event type
+   * Schemas use the workflow step form: { required: [...], properties: { name: { type } } }
+   */
+  defineEvent(type, schema = {}) {
+    this.schemas.set(normalizeType(type), schema);
+    return this;
+  }
+
+  /**
+   * Publish an event and deliver it to every matching subscription
+   */
+  publish(type, payload = {}, options = {}) {
+    const eventType = normalizeType(type);
+    this.validate(eventType, payload);
+
+    const envelope = {
+      id: generateId('evt'),
+      type: eventType,
+      source: options.source || 'event-hub',
+      sequence: ++this.sequence,
+      timestamp: Date.now(),
+      correlationId: options.correlationId || payload?.correlationId || currentCorrelationId() || generateId('cor'),
+      causationId: options.causationId || currentCausationId() || null,
+      payload,
+      metadata: options.metadata || {}
+    };
+
+    this.retain(envelope);
+    this.metrics.eventsPublished++;
+
+    for (const subscription of this.subscriptions) {
+      if (subscription.matches(envelope)) {
+        this.deliver(subscription, envelope);
+      }
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Publish on behalf of a connected system, which must never see the hub fail
+   */
+  ingest(type, payload, options) {
+    try {
+      return this.publish(type, payload, options);
+    } catch (error) {
+      this.metrics.eventsRejected++;
+      logger.warn(`📡 Event Hub rejected ${type} from ${options.source}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Subscribe to events whose type matches a pattern
+   * Options:
+   *   durable       name of a durable subscription; its position survives
+   *                 unsubscribing (and restarts, with persistence), and events
+   *                 missed in between are delivered when it resubscribes
+   *   filter        envelope => boolean, applied after the pattern
+   *   fromSequence  replay retained events from this sequence first
+   */
+  subscribe(pattern, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error('Event handler must be a function');
+    }
+
+    const subscription = new EventSubscription(this, pattern, handler, options);
+
+    if (options.durable) {
+      let record = this.durables.get(options.durable);
+      if (record && record.subscription) {
+        throw new Error(`Durable subscription already connected: ${options.durable}`);
+      }
+      if (!record) {
+        record = { name: options.durable, pattern: subscription.pattern, lastSequence: this.sequence, subscription: null };
+        this.durables.set(options.durable, record);
+        this.saveCursors();
+      }
+
+      record.pattern = subscription.pattern;
+      record.subscription = subscription;
+      subscription.record = record;
+      this.catchUp(subscription, record.lastSequence + 1);
+    } else if (options.fromSequence) {
+      this.catchUp(subscription, options.fromSequence);
+    }
+
+    this.subscriptions.add(subscription);
+    logger.debug(`📡 Subscribed to ${subscription.pattern}${options.durable ? ` (durable: ${options.durable})` : ''}`);
+
+    return subscription;
+  }
+
+  /**
+   * Subscribe for a single matching event
+   */
+  once(pattern, handler) {
+    const subscription = this.subscribe(pattern, envelope => {
+      subscription.unsubscribe();
+      return handler(envelope);
+    });
+    return subscription;
+  }
+
+  /**
+   * Forget a durable subscription and its position
+   */
+  removeDurableSubscription(name) {
+    const record = this.durables.get(name);
+    if (!record) {
+      return false;
+    }
+
+    if (record.subscription) {
+      record.subscription.unsubscribe();
+    }
+    this.durables.delete(name);
+    this.saveCursors();
+    return true;
+  }
+
+  /**
+   * Retained events, optionally filtered by pattern and sequence range
+   */
+  getEvents(options = {}) {
+    const { pattern = '**', fromSequence = 0, toSequence = Infinity, correlationId = null } = options;
+    const segments = parsePattern(pattern);
+
+    return this.log.filter(envelope =>
+      envelope.sequence >= fromSequence &&
+      envelope.sequence <= toSequence &&
+      (!correlationId || envelope.correlationId === correlationId) &&
+      matchesPattern(segments, envelope.type)
+    );
+  }
+
+  /**
+   * Wait until durable subscriptions have handled everything delivered so far
+   */
+  async drain() {
+    await Promise.all(Array.from(this.subscriptions, subscription => subscription.queue));
+  }
+
+  /**
+   * Deliver pending and retained events to a subscription, oldest first
+   */
+  catchUp(subscription, fromSequence) {
+    const oldest = this.log.length > 0 ? this.log[0].sequence : this.sequence + 1;
+
+    if (subscription.record && fromSequence < oldest && fromSequence <= this.sequence) {
+      logger.warn(`📡 Durable subscription ${subscription.record.name} missed events ${fromSequence}-${oldest - 1}, which are no longer retained`);
+    }
+
+    for (const envelope of this.log) {
+      if (envelope.sequence >= fromSequence && subscription.matches(envelope)) {
+        this.deliver(subscription, envelope);
+      }
+    }
+  }
+
+  deliver(subscription, envelope) {
+    if (!subscription.record) {
+      this.invoke(subscription, envelope).catch(error => this.handlerFailed(subscription, envelope, error));
+      return;
+    }
+
+    // Durable handlers see events one at a time and acknowledge each by returning
+    subscription.queue = subscription.queue.then(async () => {
+      if (subscription.stalled || !subscription.active) {
+        return;
+      }
+      try {
+        await this.invoke(subscription, envelope);
+        subscription.record.lastSequence = envelope.sequence;
+        this.saveCursors();
+      } catch (error) {
+        // The failed event stays unacknowledged and is redelivered on resume
+        subscription.stalled = true;
+        this.handlerFailed(subscription, envelope, error);
+      }
+    });
+  }
+
+  async invoke(subscription, envelope) {
+    this.metrics.deliveries++;
+    await runWithCorrelation(envelope.correlationId, () => subscription.handler(envelope), envelope.id);
+  }
+
+  handlerFailed(subscription, envelope, error) {
+    this.metrics.handlerErrors++;
+    logger.error(`📡 Handler for ${subscription.pattern} failed on ${envelope.type} #${envelope.sequence}:`, error);
+    this.emit('subscription:failed', { subscription, envelope, error });
+  }
+
+  validate(type, payload) {
+    const schema = this.schemas.get(type);
+
+    if (!schema) {
+      if (this.config.strictSchemas) {
+        throw new EventSchemaError(type, ['event type is not defined']);
+      }
+      return;
+    }
+
+    const errors = validatePayload(schema, payload);
+    if (errors.length > 0) {
+      throw new EventSchemaError(type, errors);
+    }
+  }
+
+  retain(envelope) {
+    this.log.push(envelope);
+    if (this.log.length > this.config.retention) {
+      this.log.shift();
+    }
+
+    if (this.config.persistence) {
+      fs.appendFileSync(this.journalPath(), `${serialize(envelope)}\n`);
+      this.journalLines++;
+
+      if (this.journalLines > this.config.retention * 2) {
+        this.compactJournal();
+      }
+    }
+  }
+
+  /**
+   * Connect EventBus instances (including domain buses); every emitted event is published
+   */
+  connectEventBus(bus, options = {}) {
+    const source = options.source || 'event-bus';
+    const listener = (event, ...args) => {
+      if (typeof event !== 'string') {
+        return;
+      }
+      const payload = args.length > 1 ? args : args[0];
+      this.ingest(event, payload, { source, correlationId: correlationOf(payload) });
+    };
+
+    bus.on('*', listener);
+    return this.addConnection(options.name || source, () => bus.off('*', listener));
+  }
+
+  /**
+   * Connect an EventBroadcaster; broadcast topics become event types
+   */
+  connectBroadcaster(broadcaster, options = {}) {
+    const source = options.source || 'event-broadcaster';
+    const listener = event => {
+      this.ingest(event.topic, event.payload, {
+        source,
+        correlationId: event.metadata.correlationId || correlationOf(event.payload),
+        metadata: { originId: event.id, eventType: event.eventType, priority: event.priority }
+      });
+    };
+
+    broadcaster.on('event:published', listener);
+    return this.addConnection(options.name || source, () => broadcaster.off('event:published', listener));
+  }
+
+  /**
+   * Connect an EventAggregator; domain events become '<domain>.<event>'
+   */
+  connectAggregator(aggregator, options = {}) {
+    const source = options.source || 'event-aggregator';
+    const disconnect = aggregator.onPublish(envelope => {
+      this.ingest(`${envelope.domain}.${envelope.event}`, envelope.data, {
+        source,
+        correlationId: envelope.correlationId,
+        metadata: { originId: envelope.id, domain: envelope.domain }
+      });
+    });
+
+    return this.addConnection(options.name || source, disconnect);
+  }
+
+  /**
+   * Connect an event-sourcing EventStore; appended events keep their type
+   */
+  connectEventStore(eventStore, options = {}) {
+    const source = options.source || 'event-store';
+    const disconnect = eventStore.onAppend(envelope => {
+      this.ingest(envelope.type, envelope.data, {
+        source,
+        correlationId: envelope.correlationId,
+        metadata: { originId: envelope.id, aggregateId: envelope.aggregateId, version: envelope.version }
+      });
+    });
+
+    return this.addConnection(options.name || source, disconnect);
+  }
+
+  /**
+   * Connect a UnifiedBus; events from its connected systems are published
+   */
+  connectUnifiedBus(unifiedBus, options = {}) {
+    const source = options.source || 'unified-bus';
+    const listener = event => {
+      this.ingest(event.event, event.data, {
+        source,
+        correlationId: event.correlationId,
+        metadata: { originId: event.id, system: event.source }
+      });
+    };
+
+    unifiedBus.on('unified:event', listener);
+    return this.addConnection(options.name || source, () => unifiedBus.off('unified:event', listener));
+  }
+
+  /**
+   * Connect whichever systems are given:
+   * { eventBus, broadcaster, aggregator, eventStore, unifiedBus }
+   */
+  connectAll(systems = {}) {
+    const connectors = {
+      eventBus: 'connectEventBus',
+      broadcaster: 'connectBroadcaster',
+      aggregator: 'connectAggregator',
+      eventStore: 'connectEventStore',
+      unifiedBus: 'connectUnifiedBus'
+    };
+
+    for (const [key, method] of Object.entries(connectors)) {
+      if (systems[key]) {
+        this[method](systems[key]);
+      }
+    }
+    return this;
+  }
+
+  addConnection(name, disconnect) {
+    if (this.connections.has(name)) {
+      throw new Error(`Event Hub already has a connection named ${name}`);
+    }
+
+    this.connections.set(name, disconnect);
+    logger.info(`🔗 Event Hub connected: ${name}`);
+
+    return () => {
+      if (this.connections.get(name) === disconnect) {
+        disconnect();
+        this.connections.delete(name);
+      }
+    };
+  }
+
+  loadPersistedState() {
+    fs.mkdirSync(this.config.persistence.dir, { recursive: true });
+
+    if (fs.existsSync(this.journalPath())) {
+      const lines = fs.readFileSync(this.journalPath(), 'utf8').split('\n').filter(line => line.trim());
+      this.journalLines = lines.length;
+
+      for (const line of lines) {
+        try {
+          const envelope = JSON.parse(line);
+          this.log.push(envelope);
+          this.sequence = Math.max(this.sequence, envelope.sequence);
+        } catch {
+          logger.warn(`🟠 Skipping unreadable record in event journal ${this.journalPath()}`);
+        }
+      }
+      this.log = this.log.slice(-this.config.retention);
+    }
+
+    if (fs.existsSync(this.cursorsPath())) {
+      const cursors = JSON.parse(fs.readFileSync(this.cursorsPath(), 'utf8'));
+      for (const { name, pattern, lastSequence } of cursors) {
+        this.durables.set(name, { name, pattern, lastSequence, subscription: null });
+      }
+    }
+
+    logger.info(`📡 Event Hub restored ${this.log.length} events and ${this.durables.size} durable subscriptions`);
+  }
+
+  saveCursors() {
+    if (!this.config.persistence) {
+      return;
+    }
+
+    const cursors = Array.from(this.durables.values(), ({ name, pattern, lastSequence }) => ({ name, pattern, lastSequence }));
+    const tmpPath = `${this.cursorsPath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(cursors, null, 2));
+    fs.renameSync(tmpPath, this.cursorsPath());
+  }
+
+  /**
+   * Rewrite the journal to hold only retained events
+   */
+  compactJournal() {
+    const tmpPath = `${this.journalPath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, this.log.map(envelope => `${serialize(envelope)}\n`).join(''));
+    fs.renameSync(tmpPath, this.journalPath());
+    this.journalLines = this.log.length;
+  }
+
+  journalPath() {
+    return path.join(this.config.persistence.dir, 'events.log');
+  }
+
+  cursorsPath() {
+    return path.join(this.config.persistence.dir, 'subscriptions.json');
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      subscriptions: this.subscriptions.size,
+      durableSubscriptions: this.durables.size,
+      connections: Array.from(this.connections.keys()),
+      retainedEvents: this.log.length,
+      lastSequence: this.sequence
+    };
+  }
+
+  /**
+   * Disconnect every system and drop all subscriptions
+   */
+  destroy() {
+    for (const disconnect of this.connections.values()) {
+      disconnect();
+    }
+    this.connections.clear();
+
+    for (const subscription of this.subscriptions) {
+      subscription.active = false;
+    }
+    this.subscriptions.clear();
+
+    for (const record of this.durables.values()) {
+      record.subscription = null;
+    }
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * A handler attached to the hub for one pattern
+ */
+class EventSubscription {
+  constructor(hub, pattern, handler, options) {
+    this.id = generateId('sub');
+    this.hub = hub;
+    this.pattern = normalizeType(pattern);
+    this.segments = parsePattern(this.pattern);
+    this.handler = handler;
+    this.filter = options.filter || null;
+    this.record = null; // durable position, when durable
+    this.queue = Promise.resolve();
+    this.active = true;
+    this.stalled = false;
+  }
+
+  get durable() {
+    return this.record ? this.record.name : null;
+  }
+
+  matches(envelope) {
+    return matchesPattern(this.segments, envelope.type) && (!this.filter || this.filter(envelope));
+  }
+
+  /**
+   * Redeliver from the last acknowledged event after a handler failure
+   */
+  resume() {
+    if (!this.record || !this.stalled) {
+      return;
+    }
+
+    this.queue = this.queue.then(() => {
+      this.stalled = false;
+      this.hub.catchUp(this, this.record.lastSequence + 1);
+    });
+  }
+
+  unsubscribe() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    this.hub.subscriptions.delete(this);
+    if (this.record && this.record.subscription === this) {
+      this.record.subscription = null;
+    }
+  }
+}
+
+/**
+ * Check a payload against a { required, properties } schema, returning the problems found
+ */
+function validatePayload(schema, payload, prefix = '') {
+  const errors = [];
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [`${prefix || 'payload'} must be an object`];
+  }
+
+  for (const field of schema.required || []) {
+    if (payload[field] === undefined || payload[field] === null) {
+      errors.push(`${prefix}${field} is required`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.properties || {})) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (rule.type && typeOf(value) !== rule.type) {
+      errors.push(`${prefix}${field} must be ${rule.type}, got ${typeOf(value)}`);
+      continue;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${prefix}${field} must be one of ${rule.enum.join(', ')}`);
+    }
+
+    if (rule.type === 'object' && (rule.properties || rule.required)) {
+      errors.push(...validatePayload(rule, value, `${prefix}${field}.`));
+    }
+  }
+
+  return errors;
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function normalizeType(type) {
+  return String(type).replace(/:/g, '.');
+}
+
+function parsePattern(pattern) {
+  const normalized = normalizeType(pattern);
+  return normalized === '*' ? ['**'] : normalized.split('.');
+}
+
+function matchesPattern(segments, type, i = 0, j = 0, parts = type.split('.')) {
+  if (i === segments.length) {
+    return j === parts.length;
+  }
+
+  if (segments[i] === '**') {
+    for (let k = j; k <= parts.length; k++) {
+      if (matchesPattern(segments, type, i + 1, k, parts)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  if (j === parts.length || (segments[i] !== '*' && segments[i] !== parts[j])) {
+    return false;
+  }
+  return matchesPattern(segments, type, i + 1, j + 1, parts);
+}
+
+function correlationOf(payload) {
+  return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload.correlationId : undefined;
+}
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function serialize(value) {
+  const seen = new WeakSet();
+
+  return JSON.stringify(value, (key, item) => {
+    if (typeof item === 'function') {
+      return undefined;
+    }
+    if (item && typeof item === 'object') {
+      if (seen.has(item)) {
+        return undefined;
+      }
+      seen.add(item);
+    }
+    return item;
+  });
+}
+
+// Singleton instance
+let instance = null;
+
+function getEventHub(config) {
+  if (!instance) {
+    instance = new EventHub(config);
+  }
+  return instance;
+}
+
+module.exports = {
+  EventHub,
+  EventSubscription,
+  EventSchemaError,
+  validatePayload,
+  getEventHub
+};
@@ -10,6 +10,30 @@ const { logger } = require('../logging/bumba-logger');
 const fs = require('fs');
 const path = require('path');
 
+const REPO_ROOT = path.resolve(__dirname, '../../..');
+const MOCKS_DIR = path.join(REPO_ROOT, 'tests', '__mocks__');
+
+/**
+ * External integrations stubbed in generated tests, with the mock from
+ * tests/__mocks__ that replaces each (and the export used, if not the whole mock)
+ */
+const EXTERNAL_MOCKS = [
+  { module: 'src/core/logging/bumba-logger', mock: 'bumba-logger' },
+  { module: 'src/core/mcp/mcp-resilience-system', mock: 'mcp-resilience-system' },
+  { module: '@notionhq/client', mock: 'notion-api', virtual: true },
+  { module: 'openai', mock: 'llm-api', exportName: 'OpenAI', virtual: true },
+  { module: '@anthropic-ai/sdk', mock: 'llm-api', exportName: 'Anthropic', virtual: true },
+  { module: '@google/generative-ai', mock: 'llm-api', virtual: true }
+];
+
+/**
+ * Fields that differ on every run and are left out of state and event comparisons
+ */
+const VOLATILE_KEYS = [
+  'timestamp', 'createdAt', 'updatedAt', 'startedAt', 'completedAt',
+  'startTime', 'endTime', 'duration', 'lastUpdated', 'addedAt'
+];
+
 class EventReplaySystem {
   constructor() {
     this.eventStore = new EventStore({
@@ -26,6 +50,10 @@ class EventReplaySystem {
     
     this.recordings = new Map();
     this.currentRecording = null;
+    this.components = new Map();
+    this.dispatchDepth = 0;
+    // eventBus's own emit property before recording wrapped it, if it had one
+    this.previousEmit = null;
     
     this.stats = {
       eventsRecorded: 0,
@@ -34,6 +62,31 @@ class EventReplaySystem {
     };
   }
   
+  /**
+   * Register a component whose final state is captured with each recording
+   * and which exported tests rebuild from scratch:
+   *   instance     the live component
+   *   module       its module, relative to the repository root
+   *   exportName   the exported class (omit when the module exports the class)
+   *   args         JSON constructor arguments
+   *   stateMethod  method returning its state (default getState)
+   */
+  registerComponent(name, spec) {
+    if (!spec || !spec.module) {
+      throw new Error(`Component ${name} needs the module it is constructed from`);
+    }
+    
+    this.components.set(name, {
+      instance: spec.instance || null,
+      module: spec.module,
+      exportName: spec.exportName || null,
+      args: spec.args || [],
+      stateMethod: spec.stateMethod || 'getState'
+    });
+    
+    return this;
+  }
+  
   /**
    * Start recording events
    */
@@ -42,23 +95,37 @@ class EventReplaySystem {
       this.stopRecording();
     }
     
+    const components = {};
+    for (const [componentName, { module, exportName, args, stateMethod }] of this.components) {
+      components[componentName] = { module, exportName, args, stateMethod };
+    }
+    
     const recording = {
       id: name,
       events: [],
       startTime: Date.now(),
+      components,
+      finalState: {},
       metadata: {}
     };
     
     this.currentRecording = recording;
     this.recordings.set(name, recording);
     
-    // Subscribe to all events
-    this.recordingHandler = (event, ...args) => {
-      this.recordEvent(event, args);
+    // Record each event before it is dispatched, so a cause always comes
+    // before its reactions, and count nested emits to tell the two apart
+    this.previousEmit = Object.getOwnPropertyDescriptor(eventBus, 'emit') || null;
+    const emit = eventBus.emit;
+    eventBus.emit = (event, ...args) => {
+      this.dispatchDepth++;
+      try {
+        this.recordEvent(event, args);
+        return emit.call(eventBus, event, ...args);
+      } finally {
+        this.dispatchDepth--;
+      }
     };
     
-    eventBus.on('*', this.recordingHandler);
-    
     this.stats.recordingsCreated++;
     logger.info(`Started recording: ${name}`);
     
@@ -71,7 +138,18 @@ class EventReplaySystem {
   stopRecording() {
     if (!this.currentRecording) return null;
     
-    eventBus.off('*', this.recordingHandler);
+    if (this.previousEmit) {
+      Object.defineProperty(eventBus, 'emit', this.previousEmit);
+    } else {
+      delete eventBus.emit;
+    }
+    this.previousEmit = null;
+    
+    for (const [name, component] of this.components) {
+      if (component.instance && typeof component.instance[component.stateMethod] === 'function') {
+        this.currentRecording.finalState[name] = toJSONValue(component.instance[component.stateMethod]());
+      }
+    }
     
     this.currentRecording.endTime = Date.now();
     this.currentRecording.duration = this.currentRecording.endTime - this.currentRecording.startTime;
@@ -93,6 +171,8 @@ class EventReplaySystem {
     const recordedEvent = {
       event,
       args,
+      // Emitted while another event was being handled, rather than fed in
+      cause: this.dispatchDepth > 1 ? 'reaction' : 'input',
       timestamp: Date.now(),
       relativeTime: Date.now() - this.currentRecording.startTime,
       stackTrace: new Error().stack
@@ -232,36 +312,151 @@ class EventReplaySystem {
   }
   
   /**
-   * Export recording as test case
+   * Export a recording as a runnable Jest regression test
+   * The test rebuilds the recorded components, stubs external integrations
+   * with tests/__mocks__, feeds in the recorded input events and expects the
+   * same emitted events and final component state. Options:
+   *   outputPath    where the test will live (default tests/regression/<id>.test.js)
+   *   inputs        event patterns to feed in, overriding the recorded causes
+   *                 (needed when handlers emit after an await)
+   *   volatileKeys  extra fields to leave out of comparisons
    */
-  exportAsTestCase(recordingId, testName) {
+  exportAsTestCase(recordingId, testName = `Recording ${recordingId}`, options = {}) {
     const recording = this.recordings.get(recordingId);
     if (!recording) {
       throw new Error(`Recording not found: ${recordingId}`);
     }
     
-    const testCode = `
-// Auto-generated test from recording: ${recordingId}
-describe('${testName}', () => {
+    const outputPath = path.resolve(REPO_ROOT, options.outputPath || this.getTestCasePath(recordingId));
+    const requirePath = target => {
+      const relative = path.relative(path.dirname(outputPath), path.resolve(REPO_ROOT, target)).split(path.sep).join('/');
+      return relative.startsWith('.') ? relative : `./${relative}`;
+    };
+    
+    const isInput = options.inputs
+      ? event => options.inputs.some(pattern => matchesEventPattern(pattern, event.event))
+      : event => event.cause !== 'reaction';
+    
+    const fixture = {
+      inputs: recording.events.filter(isInput).map(({ event, args }) => ({ event, args })),
+      events: recording.events.map(({ event, args }) => ({ event, args })),
+      components: recording.components || {},
+      finalState: recording.finalState || {}
+    };
+    
+    const mocks = EXTERNAL_MOCKS.map(({ module, mock, exportName, virtual }) => {
+      const target = module.startsWith('src/') ? `'${requirePath(module)}'` : `'${module}'`;
+      const factory = `() => require('${requirePath(path.join(MOCKS_DIR, mock))}')${exportName ? `.${exportName}` : ''}`;
+      return `jest.mock(${target}, ${factory}${virtual ? ', { virtual: true }' : ''});`;
+    });
+    
+    const components = Object.entries(fixture.components).map(([name, component]) => {
+      const exported = `require('${requirePath(component.module)}')${component.exportName ? `.${component.exportName}` : ''}`;
+      return `      ${quote(name)}: new (${exported})(...recording.components[${quote(name)}].args)`;
+    });
+    
+    const stateChecks = Object.entries(fixture.components)
+      .filter(([name]) => Object.prototype.hasOwnProperty.call(fixture.finalState, name))
+      .map(([name, component]) =>
+        `    expect(normalize(components[${quote(name)}].${component.stateMethod}())).toEqual(normalize(recording.finalState[${quote(name)}]));`
+      );
+    
+    const volatileKeys = [...VOLATILE_KEYS, ...(options.volatileKeys || [])];
+    
+    return `/**
+ * Regression test generated from event recording: ${recordingId}
+ * Recorded ${new Date(recording.startTime).toISOString()}: ${fixture.events.length} events, ${fixture.inputs.length} of them inputs
+ */
+
+${mocks.join('\n')}
+
+const recording = ${JSON.stringify(fixture, null, 2)};
+
+// Differ on every run, so left out of comparisons
+const VOLATILE_KEYS = new Set(${JSON.stringify(volatileKeys)});
+
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (!VOLATILE_KEYS.has(key)) {
+        result[key] = normalize(item);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+describe(${quote(testName)}, () => {
   let eventBus;
-  
+  let components;
+
   beforeEach(() => {
-    eventBus = new EventBus();
+    jest.useRealTimers();
+    ({ eventBus } = require('${requirePath('src/core/events/event-bus')}'));
+    components = {${components.length > 0 ? `\n${components.join(',\n')}\n    ` : ''}};
   });
-  
-  it('should replay recorded events', async () => {
-    const events = ${JSON.stringify(recording.events, null, 2)};
-    
-    for (const event of events) {
-      eventBus.emit(event.event, ...event.args);
-      
-      // Add your assertions here
-      expect(eventBus.listenerCount(event.event)).toBeGreaterThan(0);
+
+  afterEach(async () => {
+    for (const component of Object.values(components)) {
+      if (typeof component.destroy === 'function') {
+        await component.destroy();
+      } else if (typeof component.shutdown === 'function') {
+        await component.shutdown();
+      }
+    }
+    eventBus.destroy();
+  });
+
+  it('should emit the recorded events and reach the recorded state', async () => {
+    const emitted = [];
+    const emit = eventBus.emit;
+    // Capture before dispatch so events come out in the order they were emitted
+    eventBus.emit = (event, ...args) => {
+      emitted.push({ event, args });
+      return emit.call(eventBus, event, ...args);
+    };
+
+    try {
+      for (const input of recording.inputs) {
+        eventBus.emit(input.event, ...input.args);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } finally {
+      eventBus.emit = emit;
     }
+
+    expect(normalize(JSON.parse(JSON.stringify(emitted)))).toEqual(normalize(recording.events));
+${stateChecks.join('\n')}
   });
-});`;
+});
+`;
+  }
+  
+  /**
+   * Default location of a recording's generated test
+   */
+  getTestCasePath(recordingId) {
+    const fileName = recordingId.replace(/[^a-zA-Z0-9_-]+/g, '-');
+    return path.join(REPO_ROOT, 'tests', 'regression', `${fileName}.test.js`);
+  }
+  
+  /**
+   * Write a recording's generated test to disk, returning its path
+   */
+  writeTestCase(recordingId, testName, options = {}) {
+    const outputPath = path.resolve(REPO_ROOT, options.outputPath || this.getTestCasePath(recordingId));
+    const code = this.exportAsTestCase(recordingId, testName, { ...options, outputPath });
+    
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, code);
     
-    return testCode;
+    logger.info(`Regression test written to: ${outputPath}`);
+    return outputPath;
   }
   
   /**
@@ -405,6 +600,30 @@ describe('${testName}', () => {
   }
 }
 
+/**
+ * Match an event name against a name, 'prefix.*' or '*'
+ */
+function matchesEventPattern(pattern, event) {
+  if (pattern === '*' || pattern === event) {
+    return true;
+  }
+  return pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Single-quoted JavaScript string literal
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Plain JSON copy of a value, as it would be saved with the recording
+ */
+function toJSONValue(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
 // Singleton instance
 let instance = null;
 
@@ -9,6 +9,7 @@ const path = require('path');
 const { logger } = require('../logging/bumba-logger');
 const { stateManager } = require('../state/global-state-manager');
 const crypto = require('crypto');
+const { currentCorrelationId } = require('./correlation-context');
 
 class EventStore {
   constructor(options = {}) {
@@ -25,6 +26,7 @@ class EventStore {
     this.snapshots = new Map();
     this.projections = new Map();
     this.eventHandlers = new Map();
+    this.appendListeners = new Set();
     
     // Indexes
     this.streamIndex = new Map(); // aggregateId -> events
@@ -80,7 +82,7 @@ class EventStore {
       version: await this.getNextVersion(event.aggregateId),
       timestamp: Date.now(),
       userId: event.userId || 'system',
-      correlationId: event.correlationId || this.generateCorrelationId()
+      correlationId: event.correlationId || currentCorrelationId() || this.generateCorrelationId()
     };
     
     // Store event
@@ -103,6 +105,15 @@ class EventStore {
     // Update projections
     await this.updateProjections(envelope);
     
+    // Notify observers such as the event hub
+    for (const listener of this.appendListeners) {
+      try {
+        listener(envelope);
+      } catch (error) {
+        logger.error('Error in append listener:', error);
+      }
+    }
+    
     // Trim memory if needed
     if (this.events.length > this.options.maxEventsInMemory) {
       await this.trimMemory();
@@ -112,6 +123,14 @@ class EventStore {
     return envelope;
   }
   
+  /**
+   * Observe every appended event envelope
+   */
+  onAppend(listener) {
+    this.appendListeners.add(listener);
+    return () => this.appendListeners.delete(listener);
+  }
+  
   /**
    * Index event for fast retrieval
    */
@@ -1,15 +1,30 @@
 /**
  * BUMBA Universal Hook System
- * Provides 45+ hook points for framework extensibility
+ * Provides 45+ hook points for framework extensibility, each with an
+ * input/output contract and per-handler timeouts
  */
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
 const { performanceMetrics } = require('../monitoring/performance-metrics');
+const {
+  FailurePolicy,
+  ValidationMode,
+  HookContractError,
+  HookTimeoutError,
+  HOOK_CONTRACTS,
+  checkContract
+} = require('./hook-contracts');
 
 class BumbaHookSystem extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.options = {
+      validation: ValidationMode.WARN,
+      defaultTimeout: 5000,
+      failurePolicy: FailurePolicy.SKIP,
+      ...options
+    };
     this.hooks = new Map();
     this.handlers = new Map();
     this.middleware = [];
@@ -80,14 +95,33 @@ class BumbaHookSystem extends EventEmitter {
       name,
       handlers: [],
       options,
+      contract: options.contract || HOOK_CONTRACTS[name] || null,
       created: Date.now(),
-      executionCount: 0
+      executionCount: 0,
+      failureCount: 0,
+      timeoutCount: 0
     });
 
     this.executionCount.set(name, 0);
     return true;
   }
 
+  // Declare the input/output contract of a hook, creating the hook if needed
+  defineContract(hookName, contract) {
+    if (!this.hooks.has(hookName)) {
+      this.registerHook(hookName);
+    }
+
+    this.hooks.get(hookName).contract = contract;
+    return true;
+  }
+
+  // Get the contract of a hook
+  getContract(hookName) {
+    const hook = this.hooks.get(hookName);
+    return hook ? hook.contract : null;
+  }
+
   // Register a handler for a hook
   registerHandler(hookName, handler, options = {}) {
     if (!this.hooks.has(hookName)) {
@@ -95,12 +129,22 @@ class BumbaHookSystem extends EventEmitter {
       this.registerHook(hookName);
     }
 
+    if (options.onFailure && !Object.values(FailurePolicy).includes(options.onFailure)) {
+      throw new Error(`Unknown failure policy '${options.onFailure}' for hook ${hookName}`);
+    }
+    if (options.onFailure === FailurePolicy.FALLBACK && options.fallback === undefined) {
+      throw new Error(`Failure policy 'fallback' for hook ${hookName} needs a fallback`);
+    }
+
     const hook = this.hooks.get(hookName);
     const handlerInfo = {
       handler,
       priority: options.priority || 50,
       name: options.name || 'anonymous',
-      async: options.async !== false
+      async: options.async !== false,
+      timeout: options.timeout,
+      onFailure: options.onFailure,
+      fallback: options.fallback
     };
 
     hook.handlers.push(handlerInfo);
@@ -136,33 +180,57 @@ class BumbaHookSystem extends EventEmitter {
       context = await middleware(hookName, context);
     }
 
+    // Check the context handlers will receive
+    const inputErrors = this.options.validation === ValidationMode.OFF
+      ? []
+      : checkContract(hook.contract && hook.contract.input, context);
+    if (inputErrors.length > 0) {
+      const violation = new HookContractError(hookName, 'input', inputErrors);
+      if (this.options.validation === ValidationMode.ENFORCE) {
+        timer();
+        throw violation;
+      }
+      this.reportViolation(context, violation);
+    }
+
     // Execute hook handlers
     for (const handlerInfo of hook.handlers) {
       try {
-        if (handlerInfo.async) {
-          context = await handlerInfo.handler(context, hookName);
-        } else {
-          context = handlerInfo.handler(context, hookName);
-        }
+        context = await this.runHandler(hook, handlerInfo, context);
+      } catch (error) {
+        const policy = options.throwOnError
+          ? FailurePolicy.ABORT
+          : handlerInfo.onFailure || hook.options.failurePolicy || this.options.failurePolicy;
 
-        // Allow handlers to stop propagation
-        if (context._stopPropagation) {
-          break;
+        hook.failureCount++;
+        if (error instanceof HookTimeoutError) {
+          hook.timeoutCount++;
         }
-      } catch (error) {
+        this.emit('handler-failed', { name: hookName, handler: handlerInfo.name, error, policy });
         logger.error(`Error in hook handler '${handlerInfo.name}' for '${hookName}':`, error);
-        
-        if (options.throwOnError) {
+
+        if (policy === FailurePolicy.ABORT) {
+          timer();
           throw error;
         }
 
+        if (policy === FailurePolicy.FALLBACK) {
+          context = await this.applyFallback(handlerInfo, context, error);
+        }
+
         // Store error in context
         context._errors = context._errors || [];
         context._errors.push({
           handler: handlerInfo.name,
-          error: error.message
+          error: error.message,
+          policy
         });
       }
+
+      // Allow handlers to stop propagation
+      if (context._stopPropagation) {
+        break;
+      }
     }
 
     // Emit event for monitoring
@@ -178,6 +246,64 @@ class BumbaHookSystem extends EventEmitter {
     return context;
   }
 
+  // Run one handler under its timeout and check what it returns
+  async runHandler(hook, handlerInfo, context) {
+    let result;
+    if (handlerInfo.async) {
+      const timeout = handlerInfo.timeout || hook.options.timeout || this.options.defaultTimeout;
+      result = await withTimeout(
+        Promise.resolve().then(() => handlerInfo.handler(context, hook.name)),
+        timeout,
+        () => new HookTimeoutError(hook.name, handlerInfo.name, timeout)
+      );
+    } else {
+      result = handlerInfo.handler(context, hook.name);
+    }
+
+    // Handlers that only read the context may return nothing
+    if (result === undefined) {
+      result = context;
+    }
+
+    const outputErrors = this.options.validation === ValidationMode.OFF
+      ? []
+      : checkContract(hook.contract && hook.contract.output, result);
+    if (outputErrors.length > 0) {
+      const violation = new HookContractError(hook.name, 'output', outputErrors, handlerInfo.name);
+      if (this.options.validation === ValidationMode.ENFORCE) {
+        throw violation;
+      }
+      this.reportViolation(context, violation);
+      if (result === null || typeof result !== 'object') {
+        return context;
+      }
+    }
+
+    return result;
+  }
+
+  // Resolve the context a failed handler leaves behind under the fallback policy
+  async applyFallback(handlerInfo, context, error) {
+    if (typeof handlerInfo.fallback === 'function') {
+      const result = await handlerInfo.fallback(context, error);
+      return result === undefined ? context : result;
+    }
+
+    return Object.assign(context, handlerInfo.fallback);
+  }
+
+  // Record a contract violation that is only warned about
+  reportViolation(context, violation) {
+    logger.warn(violation.message);
+    context._contractViolations = context._contractViolations || [];
+    context._contractViolations.push({
+      direction: violation.direction,
+      handler: violation.handlerName,
+      errors: violation.errors
+    });
+    this.emit('contract-violation', violation);
+  }
+
   // Add global middleware
   addMiddleware(middleware) {
     this.middleware.push(middleware);
@@ -222,9 +348,14 @@ class BumbaHookSystem extends EventEmitter {
       handlers: hook.handlers.map(h => ({
         name: h.name,
         priority: h.priority,
-        async: h.async
+        async: h.async,
+        timeout: h.timeout,
+        onFailure: h.onFailure
       })),
+      contract: hook.contract,
       executionCount: hook.executionCount,
+      failureCount: hook.failureCount,
+      timeoutCount: hook.timeoutCount,
       created: hook.created
     };
   }
@@ -311,6 +442,16 @@ class BumbaHookSystem extends EventEmitter {
   }
 }
 
+// Reject with the error from onTimeout if the promise takes longer than timeout ms
+function withTimeout(promise, timeout, onTimeout) {
+  let timer;
+  const expiry = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(onTimeout()), timeout);
+  });
+
+  return Promise.race([promise, expiry]).finally(() => clearTimeout(timer));
+}
+
 // Singleton instance
 let instance;
 
@@ -323,6 +464,10 @@ function getInstance() {
 
 module.exports = {
   BumbaHookSystem,
+  FailurePolicy,
+  ValidationMode,
+  HookContractError,
+  HookTimeoutError,
   getInstance,
   hookSystem: getInstance()
 };
\ No newline at end of file
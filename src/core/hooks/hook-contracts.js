@@ -0,0 +1,169 @@
+/**
+ * BUMBA Hook Contracts
+ * Input and output schemas for the built-in hook points. The input schema
+ * describes the context a hook is executed with, the output schema the
+ * context every handler must return.
+ */
+
+const { validatePayload } = require('../events/event-hub');
+
+// What happens when a handler throws, times out or breaks the output contract
+const FailurePolicy = {
+  SKIP: 'skip',
+  ABORT: 'abort',
+  FALLBACK: 'fallback'
+};
+
+// How contract violations are treated
+const ValidationMode = {
+  ENFORCE: 'enforce',
+  WARN: 'warn',
+  OFF: 'off'
+};
+
+class HookContractError extends Error {
+  constructor(hookName, direction, errors, handlerName = null) {
+    const source = handlerName ? ` from handler '${handlerName}'` : '';
+    super(`Hook ${hookName} ${direction}${source} violates its contract: ${errors.join('; ')}`);
+    this.name = 'HookContractError';
+    this.hookName = hookName;
+    this.direction = direction;
+    this.handlerName = handlerName;
+    this.errors = errors;
+  }
+}
+
+class HookTimeoutError extends Error {
+  constructor(hookName, handlerName, timeout) {
+    super(`Handler '${handlerName}' for hook ${hookName} timed out after ${timeout}ms`);
+    this.name = 'HookTimeoutError';
+    this.hookName = hookName;
+    this.handlerName = handlerName;
+    this.timeout = timeout;
+  }
+}
+
+const agent = { agentId: { type: 'string' }, type: { type: 'string' }, department: { type: 'string' } };
+const team = { team: { type: 'array' }, task: { type: 'object' } };
+const command = { command: { type: 'string' }, args: { type: 'array' }, context: { type: 'object' } };
+const integration = { integration: { type: 'string' }, config: { type: 'object' } };
+const error = { error: { type: 'object' }, source: { type: 'string' } };
+const department = { from: { type: 'string' }, to: { type: 'string' }, departments: { type: 'array' } };
+const knowledge = { key: { type: 'string' }, knowledge: { type: 'object' } };
+const api = { method: { type: 'string' }, url: { type: 'string' } };
+const cache = { key: { type: 'string' } };
+const test = { name: { type: 'string' } };
+const resource = { resource: { type: 'string' }, amount: { type: 'number' } };
+const workflow = { workflowId: { type: 'string' } };
+const budget = { budget: { type: 'number' }, spent: { type: 'number' }, estimatedCost: { type: 'number' } };
+
+// Built-in hook point contracts
+const HOOK_CONTRACTS = {
+  'agent:spawn': { input: { required: ['type'], properties: agent } },
+  'agent:deprecate': { input: { required: ['agentId'], properties: { ...agent, reason: { type: 'string' } } } },
+  'agent:state-change': {
+    input: { required: ['agentId', 'to'], properties: { ...agent, from: { type: 'string' }, to: { type: 'string' } } }
+  },
+
+  'team:compose': { input: { required: ['task'], properties: team }, output: { properties: team } },
+  'team:validate': { input: { required: ['team'], properties: team }, output: { properties: { valid: { type: 'boolean' } } } },
+  'team:optimize': { input: { required: ['team'], properties: team }, output: { properties: team } },
+
+  'model:select': {
+    input: { properties: { task: { type: 'object' }, candidates: { type: 'array' } } },
+    output: { properties: { model: { type: 'string' } } }
+  },
+  'model:evaluate-cost': {
+    input: { required: ['model'], properties: { model: { type: 'string' }, tokens: { type: 'number' } } },
+    output: { properties: { cost: { type: 'number' } } }
+  },
+  'model:fallback': {
+    input: { required: ['model'], properties: { model: { type: 'string' }, error: { type: 'object' } } },
+    output: { properties: { fallbackModel: { type: 'string' } } }
+  },
+
+  'command:pre-execute': { input: { required: ['command'], properties: command } },
+  'command:execute': { input: { required: ['command'], properties: command } },
+  'command:post-execute': { input: { required: ['command'], properties: command } },
+
+  'integration:connect': { input: { required: ['integration'], properties: integration } },
+  'integration:disconnect': { input: { required: ['integration'], properties: integration } },
+  'integration:error': { input: { required: ['integration', 'error'], properties: { ...integration, ...error } } },
+
+  'performance:threshold': {
+    input: { required: ['metric', 'value'], properties: { metric: { type: 'string' }, value: { type: 'number' }, threshold: { type: 'number' } } }
+  },
+  'performance:optimize': { input: { properties: { target: { type: 'string' } } } },
+  'performance:report': { input: { properties: { metrics: { type: 'object' } } } },
+
+  'security:validate': { input: { properties: { input: { type: 'string' } } }, output: { properties: { valid: { type: 'boolean' } } } },
+  'security:audit': { input: { properties: { scope: { type: 'string' } } } },
+  'security:breach': {
+    input: { required: ['type'], properties: { type: { type: 'string' }, severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] } } }
+  },
+
+  'error:catch': { input: { required: ['error'], properties: error } },
+  'error:recover': { input: { required: ['error'], properties: error }, output: { properties: { recovered: { type: 'boolean' } } } },
+  'error:report': { input: { required: ['error'], properties: error } },
+
+  'department:coordinate': { input: { properties: department } },
+  'department:handoff': { input: { required: ['from', 'to'], properties: department } },
+  'department:conflict': { input: { required: ['departments'], properties: department } },
+
+  'knowledge:transfer': { input: { required: ['knowledge'], properties: knowledge } },
+  'knowledge:persist': { input: { required: ['key'], properties: knowledge } },
+  'knowledge:retrieve': { input: { required: ['key'], properties: knowledge } },
+
+  'framework:init': { input: { properties: { config: { type: 'object' } } } },
+  'framework:ready': { input: { properties: { version: { type: 'string' } } } },
+  'framework:shutdown': { input: { properties: { reason: { type: 'string' } } } },
+
+  'api:request': { input: { required: ['url'], properties: api } },
+  'api:response': { input: { required: ['url'], properties: { ...api, status: { type: 'number' } } } },
+  'api:error': { input: { required: ['error'], properties: { ...api, ...error } } },
+
+  'cache:hit': { input: { required: ['key'], properties: cache } },
+  'cache:miss': { input: { required: ['key'], properties: cache } },
+  'cache:update': { input: { required: ['key'], properties: cache } },
+
+  'test:start': { input: { required: ['name'], properties: test } },
+  'test:pass': { input: { required: ['name'], properties: { ...test, duration: { type: 'number' } } } },
+  'test:fail': { input: { required: ['name'], properties: { ...test, error: { type: 'object' } } } },
+
+  'documentation:generate': { input: { properties: { target: { type: 'string' } } } },
+  'documentation:update': { input: { properties: { path: { type: 'string' } } } },
+
+  'budget:check': {
+    input: { properties: budget },
+    output: { properties: { allowed: { type: 'boolean' } } }
+  },
+  'budget:exceed': { input: { required: ['budget', 'spent'], properties: budget } },
+
+  'resource:allocate': { input: { required: ['resource'], properties: resource } },
+  'resource:release': { input: { required: ['resource'], properties: resource } },
+
+  'workflow:start': { input: { required: ['workflowId'], properties: workflow } },
+  'workflow:complete': { input: { required: ['workflowId'], properties: { ...workflow, result: { type: 'object' } } } }
+};
+
+/**
+ * Check a value against one side of a contract, returning the violations
+ */
+function checkContract(schema, value) {
+  if (!schema) {
+    return [];
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['context must be an object'];
+  }
+  return validatePayload(schema, value);
+}
+
+module.exports = {
+  FailurePolicy,
+  ValidationMode,
+  HookContractError,
+  HookTimeoutError,
+  HOOK_CONTRACTS,
+  checkContract
+};
@@ -5,6 +5,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { countTokens } = require('../context/tokenizer');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -615,9 +616,7 @@ class ContextMCPIntegration extends EventEmitter {
    * Estimate token count
    */
   estimateTokens(content) {
-    // Rough estimation: 1 token per 4 characters
-    const text = typeof content === 'string' ? content : JSON.stringify(content);
-    return Math.ceil(text.length / 4);
+    return countTokens(content);
   }
   
   /**
@@ -3,9 +3,11 @@
  * Provides vector database capabilities for AI-powered search and retrieval
  */
 
+const path = require('path');
 const { logger } = require('../logging/bumba-logger');
 const { mcpServerManager } = require('../mcp/mcp-resilience-system');
 const { BumbaError } = require('../error-handling/bumba-error-system');
+const { VectorIndex, extractText } = require('../knowledge/semantic-index');
 
 class PineconeIntegration {
   constructor() {
@@ -21,6 +23,9 @@ class PineconeIntegration {
       'cascading-search',
       'rerank-documents'
     ];
+    
+    // indexName -> VectorIndex standing in for Pinecone while it is unavailable
+    this.localIndexes = new Map();
   }
 
   /**
@@ -127,6 +132,10 @@ class PineconeIntegration {
   async upsertRecords(indexName, records, namespace = null) {
     await this.ensureInitialized();
     
+    if (this.usingLocalFallback()) {
+      return this.upsertLocal(indexName, records, namespace);
+    }
+    
     try {
       const params = {
         index_name: indexName,
@@ -152,6 +161,10 @@ class PineconeIntegration {
   async searchRecords(indexName, query, options = {}) {
     await this.ensureInitialized();
     
+    if (this.usingLocalFallback()) {
+      return this.fallbackSearch(query, 'records', indexName, options);
+    }
+    
     try {
       const params = {
         index_name: indexName,
@@ -173,7 +186,7 @@ class PineconeIntegration {
       return result.data || [];
     } catch (error) {
       logger.error('Error searching records:', error);
-      return this.fallbackSearch(query, 'records');
+      return this.fallbackSearch(query, 'records', indexName, options);
     }
   }
 
@@ -183,6 +196,10 @@ class PineconeIntegration {
   async cascadingSearch(indexes, query, options = {}) {
     await this.ensureInitialized();
     
+    if (this.usingLocalFallback()) {
+      return this.fallbackSearch(query, 'cascading', indexes, { topK: options.finalTopK });
+    }
+    
     try {
       const params = {
         indexes: indexes,
@@ -195,7 +212,7 @@ class PineconeIntegration {
       return result.data || [];
     } catch (error) {
       logger.error('Error in cascading search:', error);
-      return this.fallbackSearch(query, 'cascading');
+      return this.fallbackSearch(query, 'cascading', indexes, { topK: options.finalTopK });
     }
   }
 
@@ -225,17 +242,61 @@ class PineconeIntegration {
   /**
    * Fallback search when Pinecone is unavailable
    */
-  fallbackSearch(query, searchType) {
-    logger.info(`🟢 Using local text search for ${searchType}`);
+  fallbackSearch(query, searchType, indexNames = [], options = {}) {
+    logger.info(`🟢 Using local vector search for ${searchType}`);
+    
+    // Records upserted while Pinecone was unavailable live in local indexes
+    const text = typeof query === 'string' ? query : extractText(query);
+    const topK = options.topK || 10;
+    const matches = [];
     
-    // Simple keyword-based fallback
+    for (const indexName of [].concat(indexNames)) {
+      const index = this.getLocalIndex(indexName);
+      const found = index.search(text, {
+        limit: topK,
+        filter: metadata => (!options.namespace || metadata.namespace === options.namespace) &&
+          matchesFilter(metadata, options.filter)
+      });
+      matches.push(...found.map(match => ({ ...match, index: indexName })));
+    }
+    
+    matches.sort((a, b) => b.score - a.score);
     return {
-      matches: [],
+      matches: matches.slice(0, topK),
       fallback: true,
-      message: 'Using local search - install Pinecone MCP for vector search capabilities'
+      message: 'Using local search - install Pinecone MCP for hosted vector search'
     };
   }
 
+  /**
+   * Store records in the local index standing in for a Pinecone index
+   */
+  upsertLocal(indexName, records, namespace = null) {
+    const index = this.getLocalIndex(indexName);
+    
+    for (const record of records) {
+      const { id, values: _values, text, chunk_text: chunkText, content, metadata = {}, ...fields } = record;
+      const searchable = text || chunkText || content || extractText({ ...fields, ...metadata });
+      index.upsert(id, searchable, { ...fields, ...metadata, namespace });
+    }
+    
+    logger.info(`🏁 Stored ${records.length} records in local index ${indexName}`);
+    return { upsertedCount: records.length, fallback: true };
+  }
+
+  getLocalIndex(indexName) {
+    if (!this.localIndexes.has(indexName)) {
+      this.localIndexes.set(indexName, new VectorIndex({
+        path: path.join(process.cwd(), '.bumba', 'vector-indexes', `${encodeURIComponent(indexName)}.log`)
+      }));
+    }
+    return this.localIndexes.get(indexName);
+  }
+
+  usingLocalFallback() {
+    return Boolean(this.server && this.server.fallbackType === 'local-vector-search');
+  }
+
   /**
    * Ensure the integration is initialized
    */
@@ -323,6 +384,29 @@ class PineconeIntegration {
   }
 }
 
+/**
+ * Match metadata against a Pinecone-style filter ({ field: value | { $eq } | { $contains } })
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+  
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+    if (condition && typeof condition === 'object') {
+      if ('$eq' in condition) {
+        return value === condition.$eq;
+      }
+      if ('$contains' in condition) {
+        return typeof value === 'string' && value.includes(condition.$contains);
+      }
+      return true;
+    }
+    return value === condition;
+  });
+}
+
 // Export singleton instance
 const pineconeIntegration = new PineconeIntegration();
 
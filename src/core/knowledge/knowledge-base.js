@@ -9,6 +9,7 @@ const { getInstance: getConfig } = require('../config/bumba-config');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { VectorIndex } = require('./semantic-index');
 
 class KnowledgeBase extends EventEmitter {
   constructor(config = {}) {
@@ -21,6 +22,7 @@ class KnowledgeBase extends EventEmitter {
       indexUpdateInterval: config.indexUpdateInterval || 60000, // 1 minute
       autoSave: config.autoSave !== false,
       compression: config.compression !== false,
+      semanticIndex: config.semanticIndex !== false,
       ...this.loadConfigFromEnvironment()
     };
     
@@ -41,6 +43,11 @@ class KnowledgeBase extends EventEmitter {
       fullText: new Map()
     };
     
+    // Local vector index for "find related" queries, saved alongside the entries
+    this.vectorIndex = this.config.semanticIndex ? new VectorIndex({
+      path: this.config.autoSave ? path.join(this.config.basePath, '.index', 'vectors.log') : null
+    }) : null;
+    
     // Statistics
     this.stats = {
       totalEntries: 0,
@@ -153,6 +160,7 @@ class KnowledgeBase extends EventEmitter {
       
       // Update index
       this.indexEntry(entry);
+      this.indexSemantic(entry);
       
       // Update stats
       this.stats.totalEntries = this.entries.size;
@@ -227,6 +235,7 @@ class KnowledgeBase extends EventEmitter {
       // Update indexes
       this.removeFromIndex(entry);
       this.indexEntry(updatedEntry);
+      this.indexSemantic(updatedEntry);
       
       // Clear query cache
       this.queryCache.clear();
@@ -281,6 +290,9 @@ class KnowledgeBase extends EventEmitter {
       
       // Remove from index
       this.removeFromIndex(entry);
+      if (this.vectorIndex) {
+        this.vectorIndex.remove(id);
+      }
       
       // Update stats
       this.stats.totalEntries = this.entries.size;
@@ -375,6 +387,17 @@ class KnowledgeBase extends EventEmitter {
         });
       }
       
+      // Semantic search: keep entries related to the text, most related first
+      if (options.semantic && this.vectorIndex) {
+        const scores = new Map(
+          this.vectorIndex.search(options.semantic, { limit: Infinity, minScore: options.minScore })
+            .map(match => [match.id, match.score])
+        );
+        results = results
+          .filter(entry => scores.has(entry.id))
+          .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+      }
+      
       // Sort results
       if (options.sortBy) {
         results.sort((a, b) => {
@@ -446,6 +469,35 @@ class KnowledgeBase extends EventEmitter {
     return Array.from(related);
   }
   
+  /**
+   * Find entries related to some text, or to an existing entry by id,
+   * ranked by similarity. Works entirely offline
+   * @returns {Array<{entry, score}>}
+   */
+  findSimilar(textOrId, options = {}) {
+    if (!this.vectorIndex) {
+      return [];
+    }
+    
+    const searchOptions = {
+      limit: options.limit || 10,
+      minScore: options.minScore,
+      filter: (metadata, id) => {
+        const entry = this.entries.get(id);
+        return Boolean(entry) &&
+          (!options.category || entry.category === options.category) &&
+          (!options.type || entry.type === options.type);
+      }
+    };
+    
+    const matches = this.vectorIndex.has(textOrId)
+      ? this.vectorIndex.similarTo(textOrId, searchOptions)
+      : this.vectorIndex.search(textOrId, searchOptions);
+    
+    this.stats.queriesExecuted++;
+    return matches.map(match => ({ entry: this.entries.get(match.id), score: match.score }));
+  }
+  
   /**
    * Validate entry structure
    */
@@ -534,6 +586,19 @@ class KnowledgeBase extends EventEmitter {
     }
   }
   
+  /**
+   * Add an entry's text to the semantic index
+   */
+  indexSemantic(entry) {
+    if (!this.vectorIndex) {
+      return;
+    }
+    
+    const content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content || '');
+    const text = [entry.title, entry.description, content, ...(entry.tags || [])].filter(Boolean).join('\n');
+    this.vectorIndex.upsert(entry.id, text, { category: entry.category, type: entry.type });
+  }
+  
   /**
    * Remove entry from index
    */
@@ -685,7 +750,8 @@ class KnowledgeBase extends EventEmitter {
         byTag: this.index.byTag.size,
         byType: this.index.byType.size,
         byAuthor: this.index.byAuthor.size,
-        byDate: this.index.byDate.size
+        byDate: this.index.byDate.size,
+        semantic: this.vectorIndex ? this.vectorIndex.size : 0
       }
     };
   }
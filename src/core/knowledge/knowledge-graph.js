@@ -0,0 +1,414 @@
+/**
+ * BUMBA Knowledge Graph
+ * Queries over the graph KnowledgeTransferProtocol builds from knowledge
+ * relationships: neighbours by relation type, shortest paths, subgraphs by
+ * tag, "which decisions depend on this spec" and "why was this decided"
+ * traversals, with Mermaid and JSON-LD export
+ *
+ * Edges point from the knowledge that holds the relationship to its target:
+ * a decision that depends_on a spec, or is supported_by a piece of evidence.
+ * Targets that are not knowledge (agents a transfer went to) appear as
+ * external nodes
+ */
+
+const RelationType = {
+  DEPENDS_ON: 'depends_on',
+  SUPPORTED_BY: 'supported_by',
+  DERIVED_FROM: 'derived_from',
+  SUPERSEDES: 'supersedes',
+  RELATES_TO: 'relates_to',
+  TRANSFERRED_TO: 'transferred_to'
+};
+
+// Relations followed from a decision to the reasons behind it
+const EVIDENCE_RELATIONS = [RelationType.SUPPORTED_BY, RelationType.DEPENDS_ON, RelationType.DERIVED_FROM];
+
+const FORMATS = ['json', 'mermaid', 'jsonld'];
+
+const EXTERNAL = 'external';
+
+// JSON-LD terms; relation types become properties of the same vocabulary
+const JSONLD_CONTEXT = {
+  '@vocab': 'urn:bumba:knowledge:vocab:',
+  label: 'http://www.w3.org/2000/01/rdf-schema#label',
+  tags: { '@container': '@set' }
+};
+
+const TYPE_STYLES = {
+  decision: { fill: '#e3f2fd', stroke: '#1565c0' },
+  context: { fill: '#f5f5f5', stroke: '#9e9e9e' },
+  learning: { fill: '#e8f5e9', stroke: '#2e7d32' },
+  pattern: { fill: '#f3e5f5', stroke: '#6a1b9a' },
+  error: { fill: '#ffebee', stroke: '#c62828' },
+  solution: { fill: '#e0f2f1', stroke: '#00695c' },
+  optimization: { fill: '#fff8e1', stroke: '#f9a825' },
+  external: { fill: '#ffffff', stroke: '#bdbdbd' }
+};
+
+class KnowledgeGraph {
+  /**
+   * @param {Object} graph - { nodes: Map<id, {id, type, label, metadata}>, edges: [{from, to, type, weight}] },
+   *   as kept by KnowledgeTransferProtocol. Queries read it live
+   */
+  constructor(graph = { nodes: new Map(), edges: [] }) {
+    this.graph = graph;
+  }
+
+  get size() {
+    return this.graph.nodes.size;
+  }
+
+  /**
+   * A knowledge node, an external node for a bare edge target, or null
+   */
+  getNode(id) {
+    if (this.graph.nodes.has(id)) {
+      return this.graph.nodes.get(id);
+    }
+    const referenced = this.graph.edges.some(edge => edge.from === id || edge.to === id);
+    return referenced ? { id, type: EXTERNAL, label: id, metadata: {} } : null;
+  }
+
+  /**
+   * Nodes one edge away
+   * @param {string} id
+   * @param {Object} options
+   * @param {string[]} options.relations - Only edges of these types
+   * @param {string} options.direction - 'out' (default), 'in' or 'both'
+   * @returns {Array<{node: Object, relation: string, direction: string, edge: Object}>}
+   */
+  neighbors(id, options = {}) {
+    return this.edgesOf(id, options).map(({ edge, direction }) => ({
+      node: this.getNode(direction === 'out' ? edge.to : edge.from),
+      relation: edge.type,
+      direction,
+      edge
+    }));
+  }
+
+  /**
+   * Fewest-hop path between two nodes, or null when none connects them
+   * @param {Object} options - relations, and direction (default 'both')
+   * @returns {{nodes: Object[], edges: Object[]}|null}
+   */
+  shortestPath(from, to, options = {}) {
+    if (!this.getNode(from) || !this.getNode(to)) {
+      return null;
+    }
+
+    const direction = options.direction || 'both';
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === to) {
+        break;
+      }
+      for (const neighbor of this.neighbors(id, { ...options, direction })) {
+        if (!previous.has(neighbor.node.id)) {
+          previous.set(neighbor.node.id, { id, edge: neighbor.edge });
+          queue.push(neighbor.node.id);
+        }
+      }
+    }
+
+    if (!previous.has(to)) {
+      return null;
+    }
+
+    const nodes = [];
+    const edges = [];
+    for (let id = to; id !== from; id = previous.get(id).id) {
+      nodes.unshift(this.getNode(id));
+      edges.unshift(previous.get(id).edge);
+    }
+    nodes.unshift(this.getNode(from));
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Breadth-first walk from a node, nearest first; the start is not included
+   * @param {Object} options - relations, direction (default 'out') and maxDepth
+   * @returns {Array<{node: Object, depth: number, relation: string, via: string}>}
+   */
+  traverse(start, options = {}) {
+    const maxDepth = options.maxDepth || Infinity;
+    const seen = new Set([start]);
+    const reached = [];
+    let frontier = [start];
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbor of this.neighbors(id, options)) {
+          if (!seen.has(neighbor.node.id)) {
+            seen.add(neighbor.node.id);
+            reached.push({ node: neighbor.node, depth, relation: neighbor.relation, via: id });
+            next.push(neighbor.node.id);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return reached;
+  }
+
+  /**
+   * Knowledge that depends on a node, directly or through other knowledge;
+   * by default the decisions that depend on a spec
+   * @param {Object} options
+   * @param {string[]} options.relations - Dependency relations (default depends_on)
+   * @param {string} options.type - Only nodes of this type (default decision; null for any)
+   */
+  dependents(id, options = {}) {
+    const type = options.type === undefined ? 'decision' : options.type;
+    return this.traverse(id, {
+      relations: options.relations || [RelationType.DEPENDS_ON],
+      direction: 'in',
+      maxDepth: options.maxDepth
+    }).filter(item => !type || item.node.type === type);
+  }
+
+  /**
+   * Why a decision was made: the tree of what it is supported by, depends
+   * on or was derived from, and in turn what those rest on. Knowledge
+   * already shown higher up the tree is not repeated
+   * @returns {{node: Object, relation: string|null, reasons: Array}|null}
+   */
+  explain(id, options = {}) {
+    const root = this.getNode(id);
+    if (!root) {
+      return null;
+    }
+
+    const relations = options.relations || EVIDENCE_RELATIONS;
+    const maxDepth = options.maxDepth || 5;
+    const seen = new Set([id]);
+
+    const reasonsFor = (nodeId, depth) => {
+      if (depth > maxDepth) {
+        return [];
+      }
+      const reasons = [];
+      for (const neighbor of this.neighbors(nodeId, { relations })) {
+        if (!seen.has(neighbor.node.id)) {
+          seen.add(neighbor.node.id);
+          reasons.push({ node: neighbor.node, relation: neighbor.relation, reasons: reasonsFor(neighbor.node.id, depth + 1) });
+        }
+      }
+      return reasons;
+    };
+
+    return { node: root, relation: null, reasons: reasonsFor(id, 1) };
+  }
+
+  /**
+   * Knowledge nodes matching every given filter
+   * @param {Object} filter
+   * @param {string} filter.type
+   * @param {string} filter.source - Agent that stored it
+   * @param {string} filter.tag
+   * @param {string} filter.text - Case-insensitive match on the label
+   */
+  find(filter = {}) {
+    const text = filter.text ? filter.text.toLowerCase() : null;
+    return Array.from(this.graph.nodes.values()).filter(node =>
+      (!filter.type || node.type === filter.type) &&
+      (!filter.source || (node.metadata && node.metadata.source === filter.source)) &&
+      (!filter.tag || tagsOf(node).includes(filter.tag)) &&
+      (!text || String(node.label || '').toLowerCase().includes(text))
+    );
+  }
+
+  /**
+   * The nodes matching a filter and the edges among them
+   * @param {Object} filter
+   * @param {string} filter.tag - Nodes carrying this tag
+   * @param {string[]} filter.types - Nodes of these types
+   * @param {string[]} filter.ids - These nodes
+   * @param {string[]} filter.relations - Only edges of these types
+   * @returns {KnowledgeGraph}
+   */
+  subgraph(filter = {}) {
+    const nodes = new Map();
+    for (const node of this.graph.nodes.values()) {
+      if ((!filter.tag || tagsOf(node).includes(filter.tag)) &&
+        (!filter.types || filter.types.includes(node.type)) &&
+        (!filter.ids || filter.ids.includes(node.id))) {
+        nodes.set(node.id, node);
+      }
+    }
+
+    const edges = this.graph.edges.filter(edge =>
+      nodes.has(edge.from) && nodes.has(edge.to) && matchesRelation(edge, filter.relations));
+
+    return new KnowledgeGraph({ nodes, edges });
+  }
+
+  /**
+   * A node and everything within some hops of it, in either direction
+   */
+  neighborhood(id, options = {}) {
+    if (!this.getNode(id)) {
+      return new KnowledgeGraph();
+    }
+
+    const ids = [id, ...this.traverse(id, { direction: 'both', maxDepth: options.depth || 1, relations: options.relations })
+      .map(item => item.node.id)];
+    return new KnowledgeGraph({
+      nodes: new Map(ids.map(nodeId => [nodeId, this.getNode(nodeId)])),
+      edges: this.graph.edges.filter(edge =>
+        ids.includes(edge.from) && ids.includes(edge.to) && matchesRelation(edge, options.relations))
+    });
+  }
+
+  /**
+   * Plain nodes and edges, external targets included
+   */
+  toJSON() {
+    const nodes = new Map(this.graph.nodes);
+    for (const edge of this.graph.edges) {
+      for (const id of [edge.from, edge.to]) {
+        if (!nodes.has(id)) {
+          nodes.set(id, this.getNode(id));
+        }
+      }
+    }
+
+    return {
+      nodes: Array.from(nodes.values()).map(node => ({
+        id: node.id,
+        type: node.type,
+        label: node.label || node.id,
+        source: node.metadata ? node.metadata.source : undefined,
+        tags: tagsOf(node)
+      })),
+      edges: this.graph.edges.map(edge => ({ from: edge.from, to: edge.to, type: edge.type, weight: edge.weight }))
+    };
+  }
+
+  /**
+   * Render in one of the supported formats
+   */
+  export(format = 'json', options = {}) {
+    switch (format) {
+      case 'json':
+        return this.toJSON();
+      case 'mermaid':
+        return this.toMermaid(options);
+      case 'jsonld':
+        return this.toJsonLd();
+      default:
+        throw new Error(`Unsupported knowledge graph format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Mermaid flowchart with edges labelled by relation and nodes styled by type
+   */
+  toMermaid({ direction = 'LR' } = {}) {
+    const { nodes, edges } = this.toJSON();
+    const ids = new Map(nodes.map((node, index) => [node.id, `k${index}`]));
+    const lines = [`flowchart ${direction}`];
+
+    for (const node of nodes) {
+      lines.push(`  ${ids.get(node.id)}["${escapeMermaid(truncate(node.label, 60))}<br/><i>${node.type}</i>"]`);
+    }
+    for (const edge of edges) {
+      lines.push(`  ${ids.get(edge.from)} -->|${escapeMermaid(edge.type || 'related')}| ${ids.get(edge.to)}`);
+    }
+    for (const [type, style] of Object.entries(TYPE_STYLES)) {
+      const members = nodes.filter(node => node.type === type).map(node => ids.get(node.id));
+      if (members.length > 0) {
+        lines.push(`  classDef ${type} fill:${style.fill},stroke:${style.stroke}`);
+        lines.push(`  class ${members.join(',')} ${type}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * JSON-LD document: one resource per node, each relation a property
+   * pointing at its targets
+   */
+  toJsonLd() {
+    const { nodes, edges } = this.toJSON();
+    const resources = new Map(nodes.map(node => [node.id, {
+      '@id': toIri(node),
+      '@type': node.type,
+      label: node.label,
+      ...(node.source ? { source: node.source } : {}),
+      ...(node.tags.length > 0 ? { tags: node.tags } : {})
+    }]));
+
+    for (const edge of edges) {
+      const resource = resources.get(edge.from);
+      const relation = edge.type || RelationType.RELATES_TO;
+      resource[relation] = [...(resource[relation] || []), { '@id': resources.get(edge.to)['@id'] }];
+    }
+
+    return { '@context': JSONLD_CONTEXT, '@graph': Array.from(resources.values()) };
+  }
+
+  /**
+   * Edges touching a node, with the side the node is on
+   */
+  edgesOf(id, options = {}) {
+    const direction = options.direction || 'out';
+    const found = [];
+    for (const edge of this.graph.edges) {
+      if (!matchesRelation(edge, options.relations)) {
+        continue;
+      }
+      if (edge.from === id && direction !== 'in') {
+        found.push({ edge, direction: 'out' });
+      } else if (edge.to === id && direction !== 'out') {
+        found.push({ edge, direction: 'in' });
+      }
+    }
+    return found;
+  }
+}
+
+/**
+ * Short label for a knowledge item's content
+ */
+function summarizeContent(content) {
+  if (content && typeof content === 'object') {
+    const named = content.title || content.name || content.summary || content.decision || content.description;
+    return truncate(named ? String(named) : JSON.stringify(content), 120);
+  }
+  return truncate(String(content === undefined ? '' : content), 120);
+}
+
+function matchesRelation(edge, relations) {
+  return !relations || relations.includes(edge.type);
+}
+
+function tagsOf(node) {
+  return (node.metadata && node.metadata.tags) || [];
+}
+
+function toIri(node) {
+  return node.type === EXTERNAL ? `urn:bumba:external:${encodeURIComponent(node.id)}` : `urn:bumba:knowledge:${encodeURIComponent(node.id)}`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function escapeMermaid(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/\|/g, '#124;');
+}
+
+module.exports = {
+  KnowledgeGraph,
+  RelationType,
+  EVIDENCE_RELATIONS,
+  KNOWLEDGE_GRAPH_FORMATS: FORMATS,
+  summarizeContent
+};
@@ -7,6 +7,7 @@
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
 const { UnifiedHookSystem } = require('../unified-hook-system');
+const { KnowledgeGraph, RelationType, summarizeContent } = require('./knowledge-graph');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -633,6 +634,7 @@ class KnowledgeTransferProtocol extends EventEmitter {
     this.knowledgeGraph.nodes.set(knowledge.id, {
       id: knowledge.id,
       type: knowledge.type,
+      label: summarizeContent(knowledge.content),
       metadata: knowledge.metadata
     });
     
@@ -650,15 +652,42 @@ class KnowledgeTransferProtocol extends EventEmitter {
   }
   
   /**
-   * Create relationship
+   * Create relationship. Relationships of stored knowledge are kept with it,
+   * so they are back in the graph after a restart
    */
-  createRelationship(knowledgeId, target, type) {
+  createRelationship(knowledgeId, target, type, options = {}) {
+    const exists = this.knowledgeGraph.edges.some(edge =>
+      edge.from === knowledgeId && edge.to === target && edge.type === type);
+    if (exists) {
+      return;
+    }
+    
+    const weight = options.weight || 1.0;
     this.knowledgeGraph.edges.push({
       from: knowledgeId,
       to: target,
       type,
+      weight,
       timestamp: Date.now()
     });
+    
+    const knowledge = this.knowledgeBase.get(knowledgeId);
+    if (knowledge) {
+      knowledge.relationships = [...(knowledge.relationships || []), { target, type, weight }];
+      if (this.config.persistenceEnabled) {
+        this.persistKnowledge(knowledge).catch(error => {
+          logger.warn(`Failed to persist relationship for ${knowledgeId}: ${error.message}`);
+        });
+      }
+    }
+  }
+  
+  /**
+   * Query view of the knowledge graph: neighbours, paths, subgraphs,
+   * dependents, explanations and export
+   */
+  getKnowledgeGraph() {
+    return new KnowledgeGraph(this.knowledgeGraph);
   }
   
   /**
@@ -817,6 +846,7 @@ class KnowledgeTransferProtocol extends EventEmitter {
       
       // Remove from graph
       this.knowledgeGraph.nodes.delete(id);
+      this.knowledgeGraph.edges = this.knowledgeGraph.edges.filter(edge => edge.from !== id && edge.to !== id);
       
       // Remove file if persisted
       if (this.config.persistenceEnabled) {
@@ -880,5 +910,6 @@ class KnowledgeTransferProtocol extends EventEmitter {
 module.exports = {
   KnowledgeTransferProtocol,
   KnowledgeType,
-  TransferMethod
+  TransferMethod,
+  RelationType
 };
\ No newline at end of file
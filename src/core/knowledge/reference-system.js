@@ -7,6 +7,7 @@ const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
 const { getInstance: getConfig } = require('../config/bumba-config');
 const { KnowledgeBase, getInstance: getKnowledgeBase } = require('./knowledge-base');
+const { VectorIndex, extractText } = require('./semantic-index');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -21,6 +22,7 @@ class ReferenceSystem extends EventEmitter {
       indexInterval: config.indexInterval || 300000, // 5 minutes
       maxReferenceSize: config.maxReferenceSize || 1000000, // 1MB
       supportedFormats: config.supportedFormats || ['md', 'json', 'yaml', 'js', 'ts'],
+      semanticIndex: config.semanticIndex !== false,
       ...this.loadConfigFromEnvironment()
     };
     
@@ -39,6 +41,11 @@ class ReferenceSystem extends EventEmitter {
       fullText: new Map()
     };
     
+    // Local vector index for semantic search, kept with the references
+    this.vectorIndex = this.config.semanticIndex
+      ? new VectorIndex({ path: path.join(this.config.referencePath, '.index', 'vectors.log') })
+      : null;
+    
     // Templates for generating references
     this.templates = {
       api: this.getApiTemplate(),
@@ -420,8 +427,18 @@ class ReferenceSystem extends EventEmitter {
         });
       }
       
+      // Semantic search: rank by similarity to the query instead of substring matching
+      let scores = null;
+      if (query && options.semantic && this.vectorIndex) {
+        scores = new Map(
+          this.vectorIndex.search(query, { limit: Infinity, minScore: options.minScore })
+            .map(match => [match.id, match.score])
+        );
+        results = results.filter(ref => scores.has(ref.id));
+      }
+      
       // Full-text search
-      if (query) {
+      if (query && !scores) {
         const searchTerm = query.toLowerCase();
         results = results.filter(ref => {
           const searchableText = [
@@ -435,8 +452,10 @@ class ReferenceSystem extends EventEmitter {
         });
       }
       
-      // Sort by relevance or date
-      if (options.sortBy === 'relevance' && query) {
+      // Sort by similarity, relevance or date
+      if (scores && options.sortBy !== 'date') {
+        results.sort((a, b) => scores.get(b.id) - scores.get(a.id));
+      } else if (options.sortBy === 'relevance' && query) {
         results.sort((a, b) => {
           const aRelevance = this.calculateRelevance(a, query);
           const bRelevance = this.calculateRelevance(b, query);
@@ -592,6 +611,23 @@ class ReferenceSystem extends EventEmitter {
       this.index.byVersion.get(reference.version).add(reference.id);
     }
     
+    // Semantic index
+    if (this.vectorIndex) {
+      const text = extractText([
+        reference.name,
+        reference.description,
+        reference.documentation,
+        reference.category,
+        reference.sections,
+        reference.requirements,
+        reference.constraints,
+        reference.acceptanceCriteria,
+        (reference.endpoints || []).map(endpoint => [endpoint.path, endpoint.description]),
+        reference.metadata && reference.metadata.tags
+      ]);
+      this.vectorIndex.upsert(reference.id, text, { type: reference.type });
+    }
+    
     this.metrics.referencesIndexed++;
   }
   
@@ -947,7 +983,8 @@ class ReferenceSystem extends EventEmitter {
       apis: this.apis.size,
       specifications: this.specifications.size,
       codeReferences: this.codeReferences.size,
-      cacheSize: this.searchCache.size
+      cacheSize: this.searchCache.size,
+      semanticIndexSize: this.vectorIndex ? this.vectorIndex.size : 0
     };
   }
   
@@ -0,0 +1,363 @@
+/**
+ * BUMBA Semantic Index
+ * Local "find related" search that needs no vector database or network
+ *
+ *   - HashingEmbedder: turns text into a fixed-size vector by hashing words,
+ *     word pairs and character trigrams into buckets. Deterministic, so the
+ *     same text always lands in the same place and nothing has to be trained.
+ *   - VectorIndex: a flat cosine index over those vectors, optionally kept in
+ *     an append-only log on disk and compacted as it grows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../logging/bumba-logger');
+
+const EMBEDDER_VERSION = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which',
+  'will', 'with', 'you', 'our', 'not', 'no', 'can', 'should', 'would', 'all', 'any'
+]);
+
+// Feature weights: whole words dominate, pairs add phrasing, trigrams
+// let "migrate" and "migration" meet
+const WORD_WEIGHT = 1;
+const PAIR_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.2;
+
+/**
+ * Strip common English suffixes so inflections share a feature
+ */
+function stem(word) {
+  if (word.length <= 4) {
+    return word;
+  }
+  if (word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Lowercase, split on anything but letters and digits, drop stop words and stem
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * 32-bit FNV-1a
+ */
+function hash(feature) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    h ^= feature.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+class HashingEmbedder {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Vector size; a power of two keeps buckets even
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 512;
+  }
+
+  /**
+   * Embed text as a unit-length Float32Array (all zeros for empty text)
+   */
+  embed(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      features.set(feature, (features.get(feature) || 0) + weight);
+    };
+
+    const tokens = tokenize(text);
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, WORD_WEIGHT);
+      if (i > 0) {
+        add(`p:${tokens[i - 1]} ${token}`, PAIR_WEIGHT);
+      }
+      const padded = ` ${token} `;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`t:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT);
+      }
+    });
+
+    const vector = new Float32Array(this.dimensions);
+    for (const [feature, weight] of features) {
+      const h = hash(feature);
+      // Sublinear so a repeated word does not drown out the rest
+      vector[h % this.dimensions] += (h & 0x80000000 ? -1 : 1) * Math.log1p(weight);
+    }
+    return normalize(vector);
+  }
+
+  /**
+   * Identifies the vector space; vectors from a different one are not comparable
+   */
+  describe() {
+    return { type: 'hashing', version: EMBEDDER_VERSION, dimensions: this.dimensions };
+  }
+}
+
+class VectorIndex {
+  /**
+   * @param {Object} options
+   * @param {Object} options.embedder - Anything with embed(text) and describe(); a HashingEmbedder by default
+   * @param {number} options.dimensions - For the default embedder
+   * @param {string} options.path - Log file to keep the index in; memory only when omitted
+   * @param {number} options.compactThreshold - Rewrite the log once it holds this many records and mostly dead ones
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder || new HashingEmbedder({ dimensions: options.dimensions });
+    this.path = options.path || null;
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    this.items = new Map(); // id -> { vector, digest, metadata }
+    this.records = 0;
+
+    if (this.path) {
+      this.load();
+    }
+  }
+
+  /**
+   * Add or replace an item. Returns false when the text is unchanged, in
+   * which case nothing is re-embedded or written
+   */
+  upsert(id, text, metadata = {}) {
+    const digest = crypto.createHash('sha1').update(String(text || '')).digest('hex');
+    const existing = this.items.get(id);
+    if (existing && existing.digest === digest) {
+      existing.metadata = metadata;
+      return false;
+    }
+
+    const item = { vector: this.embedder.embed(text), digest, metadata };
+    this.items.set(id, item);
+    this.append({ op: 'put', id, digest, metadata, vector: encodeVector(item.vector) });
+    return true;
+  }
+
+  remove(id) {
+    if (!this.items.delete(id)) {
+      return false;
+    }
+    this.append({ op: 'delete', id });
+    return true;
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  /**
+   * Items most similar to a query, best first
+   * @param {string|Float32Array} query - Text, or a vector from the same embedder
+   * @param {Object} options
+   * @param {number} options.limit - At most this many results (default 10)
+   * @param {number} options.minScore - Drop results less similar than this (default 0.1)
+   * @param {Function} options.filter - (metadata, id) => boolean
+   * @param {string[]} options.exclude - Ids to leave out
+   * @returns {Array<{id, score, metadata}>}
+   */
+  search(query, options = {}) {
+    const { limit = 10, minScore = 0.1, filter = null, exclude = [] } = options;
+    const vector = typeof query === 'string' ? this.embedder.embed(query) : query;
+    const excluded = new Set(exclude);
+    const matches = [];
+
+    for (const [id, item] of this.items) {
+      if (excluded.has(id) || (filter && !filter(item.metadata, id))) {
+        continue;
+      }
+      const score = dot(vector, item.vector);
+      if (score >= minScore) {
+        matches.push({ id, score, metadata: item.metadata });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return matches.slice(0, limit);
+  }
+
+  /**
+   * Items most similar to one already in the index, excluding itself
+   */
+  similarTo(id, options = {}) {
+    const item = this.items.get(id);
+    if (!item) {
+      return [];
+    }
+    return this.search(item.vector, { ...options, exclude: [id, ...(options.exclude || [])] });
+  }
+
+  /**
+   * Forget every item, here and on disk
+   */
+  clear() {
+    this.items.clear();
+    if (this.path) {
+      this.compact();
+    }
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * Replay the log. One written by a different embedder is discarded,
+   * since its vectors are not comparable; callers re-add their items
+   */
+  load() {
+    this.items.clear();
+    this.records = 0;
+    if (!fs.existsSync(this.path)) {
+      return;
+    }
+
+    const expected = JSON.stringify(this.embedder.describe());
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      this.records++;
+      if (record.op === 'header') {
+        if (JSON.stringify(record.embedder) !== expected) {
+          logger.warn(`🟠 Discarding semantic index ${this.path}: built by a different embedder`);
+          this.items.clear();
+          this.compact();
+          return;
+        }
+      } else if (record.op === 'put') {
+        this.items.set(record.id, {
+          vector: decodeVector(record.vector),
+          digest: record.digest,
+          metadata: record.metadata || {}
+        });
+      } else if (record.op === 'delete') {
+        this.items.delete(record.id);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the log with one record per live item
+   */
+  compact() {
+    const lines = [JSON.stringify({ op: 'header', embedder: this.embedder.describe() })];
+    for (const [id, item] of this.items) {
+      lines.push(JSON.stringify({ op: 'put', id, digest: item.digest, metadata: item.metadata, vector: encodeVector(item.vector) }));
+    }
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${lines.join('\n')}\n`);
+    fs.renameSync(tmpPath, this.path);
+    this.records = lines.length;
+  }
+
+  append(record) {
+    if (!this.path) {
+      return;
+    }
+    if (this.records === 0) {
+      // A fresh log is written whole, header first, already holding this change
+      this.compact();
+      return;
+    }
+
+    fs.appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+    this.records++;
+    if (this.records >= this.compactThreshold && this.records > this.items.size * 2) {
+      this.compact();
+    }
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(dot(vector, vector));
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+  }
+  return vector;
+}
+
+function dot(a, b) {
+  const length = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+/**
+ * Flatten the string values of a (possibly nested) object into searchable text
+ */
+function extractText(value, depth = 0) {
+  if (value === null || value === undefined || depth > 5) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => extractText(item, depth + 1)).filter(Boolean).join(' ');
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).map(item => extractText(item, depth + 1)).filter(Boolean).join(' ');
+  }
+  return '';
+}
+
+module.exports = {
+  HashingEmbedder,
+  VectorIndex,
+  tokenize,
+  extractText
+};
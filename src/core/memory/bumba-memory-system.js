@@ -2,12 +2,15 @@
  * BUMBA Memory System
  * Inspired by Claude-Flow's SQLite persistence
  * Provides learning and context retention across sessions
+ *
+ * Shares its database with the memory store: conversation context is kept
+ * in the store's session namespace, the learning tables sit beside it.
  */
 
-const Database = require('better-sqlite3');
 const path = require('path');
-const fs = require('fs');
 const { logger } = require('../logging/bumba-logger');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
+const { extractText } = require('../knowledge/semantic-index');
 const { getValidationMetrics } = require('../validation/validation-metrics');
 
 class BumbaMemorySystem {
@@ -21,15 +24,11 @@ class BumbaMemorySystem {
       ...config
     };
     
-    // Ensure .bumba directory exists
-    const bumbaDir = path.dirname(this.config.dbPath);
-    if (!fs.existsSync(bumbaDir)) {
-      fs.mkdirSync(bumbaDir, { recursive: true });
-    }
-    
     // Initialize database
-    this.db = new Database(this.config.dbPath);
+    this.store = this.config.memoryStore || getMemoryStore({ dbPath: this.config.dbPath });
+    this.db = this.store.db;
     this.initializeTables();
+    this.migrateConversationContext();
     
     // Memory categories
     this.categories = {
@@ -114,19 +113,6 @@ class BumbaMemorySystem {
       )
     `);
     
-    // Conversation context table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS conversation_context (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT,
-        context_type TEXT,
-        key TEXT,
-        value TEXT,
-        importance INTEGER,
-        timestamp INTEGER
-      )
-    `);
-    
     // Error patterns table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS error_patterns (
@@ -145,10 +131,41 @@ class BumbaMemorySystem {
       CREATE INDEX IF NOT EXISTS idx_validation_timestamp ON validation_history(timestamp);
       CREATE INDEX IF NOT EXISTS idx_specialist_performance ON specialist_performance(specialist_id);
       CREATE INDEX IF NOT EXISTS idx_patterns_signature ON learned_patterns(pattern_signature);
-      CREATE INDEX IF NOT EXISTS idx_context_session ON conversation_context(session_id);
     `);
   }
 
+  /**
+   * One-time move of the old conversation_context table into the store. The
+   * table is kept as conversation_context_legacy rather than dropped
+   */
+  migrateConversationContext() {
+    const legacy = this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'conversation_context'
+    `).get();
+    if (!legacy) {
+      return;
+    }
+
+    this.store.migrateOnce('bumba-memory:conversation_context', () => {
+      const rows = this.db.prepare('SELECT * FROM conversation_context ORDER BY timestamp, id').all();
+      for (const row of rows) {
+        this.writeContext(row.session_id, row.key, JSON.parse(row.value), row.importance, row.timestamp);
+      }
+      this.db.exec(`ALTER TABLE conversation_context RENAME TO ${this.legacyBackupName('conversation_context_legacy')}`);
+      return rows.length;
+    });
+  }
+
+  /**
+   * A free table name for a migration backup, suffixed if one is already taken
+   */
+  legacyBackupName(name) {
+    const taken = this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+    `).get(name);
+    return taken ? `${name}_${Date.now()}` : name;
+  }
+
   /**
    * Record a validation event with learning
    */
@@ -391,31 +408,42 @@ class BumbaMemorySystem {
    * Store conversation context
    */
   async storeContext(key, value, importance = 5) {
-    this.db.prepare(`
-      INSERT INTO conversation_context
-      (session_id, context_type, key, value, importance, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(
-      this.getCurrentSessionId(),
-      'conversation',
-      key,
-      JSON.stringify(value),
-      importance,
-      Date.now()
-    );
+    this.writeContext(this.getCurrentSessionId(), key, value, importance, Date.now());
+  }
+
+  writeContext(sessionId, key, value, importance, timestamp) {
+    this.store.set(MemoryNamespace.SESSION, key, { value, importance, contextType: 'conversation' }, {
+      scope: sessionId,
+      ttl: this.config.ttlDays * 24 * 60 * 60 * 1000,
+      tags: ['conversation'],
+      text: extractText(value),
+      timestamp,
+      writer: 'bumba-memory'
+    });
   }
 
   /**
-   * Retrieve conversation context
+   * Retrieve conversation context, in the row shape of the old table
+   * @param {string} sessionId - Defaults to the current session
+   * @param {string} reader - Recorded as having read the context
    */
-  async getContext(sessionId = null) {
+  async getContext(sessionId = null, reader = null) {
     const sid = sessionId || this.getCurrentSessionId();
     
-    return this.db.prepare(`
-      SELECT * FROM conversation_context
-      WHERE session_id = ?
-      ORDER BY importance DESC, timestamp DESC
-    `).all(sid);
+    return this.store.list(MemoryNamespace.SESSION, { scope: sid, tag: 'conversation' })
+      .map(entry => {
+        this.store.recordRead(entry, { reader, via: 'bumba-memory' });
+        return {
+          session_id: entry.scope,
+          context_type: entry.value.contextType,
+          key: entry.key,
+          value: JSON.stringify(entry.value.value),
+          importance: entry.value.importance,
+          version: entry.version,
+          timestamp: entry.updatedAt
+        };
+      })
+      .sort((a, b) => b.importance - a.importance || b.timestamp - a.timestamp);
   }
 
   /**
@@ -445,7 +473,7 @@ class BumbaMemorySystem {
     const cutoffTime = Date.now() - (this.config.ttlDays * 24 * 60 * 60 * 1000);
     
     this.db.prepare('DELETE FROM validation_history WHERE timestamp < ?').run(cutoffTime);
-    this.db.prepare('DELETE FROM conversation_context WHERE timestamp < ?').run(cutoffTime);
+    this.store.purgeExpired();
     this.db.prepare('DELETE FROM learned_patterns WHERE last_seen < ?').run(cutoffTime);
     
     logger.info('🧹 Memory cleanup completed');
@@ -481,9 +509,13 @@ class BumbaMemorySystem {
 
   /**
    * Close database connection
+   * Only this system's hold on a shared store is released, and a store the
+   * caller passed in as config.memoryStore is left open
    */
   close() {
-    this.db.close();
+    if (!this.config.memoryStore) {
+      this.store.close();
+    }
     logger.info('🧠 Memory system closed');
   }
 }
@@ -0,0 +1,383 @@
+/**
+ * BUMBA Memory Console
+ * Inspect and edit the memory store: list and search entries across
+ * namespaces, show where an entry came from and who has read it, diff its
+ * versions, pin or forget it, and move entries in and out as JSONL.
+ * Backs `bumba memory` and the memory command
+ *
+ * Entries are named namespace/scope/key, or namespace/key in the default scope
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
+
+const NAMESPACES = Object.values(MemoryNamespace);
+
+const ACTIONS = ['stats', 'list', 'search', 'show', 'diff', 'pin', 'unpin', 'forget', 'reads', 'export', 'import'];
+
+class MemoryConsole {
+  /**
+   * @param {Object} options
+   * @param {MemoryStore} options.memoryStore - Store to work on (the shared one for dbPath by default)
+   * @param {string} options.dbPath - Database file when no store is passed
+   * @param {string} options.writer - Recorded as the writer of imported entries that name none
+   */
+  constructor(options = {}) {
+    this.memoryStore = options.memoryStore || null;
+    this.dbPath = options.dbPath || null;
+    this.writer = options.writer || process.env.USER || 'user';
+  }
+
+  getStore() {
+    if (!this.memoryStore) {
+      this.memoryStore = getMemoryStore(this.dbPath ? { dbPath: this.dbPath } : {});
+    }
+    return this.memoryStore;
+  }
+
+  /**
+   * Run one action with positional args, as typed after `bumba memory`
+   * @param {string} action - One of stats, list, search, show, diff, pin, unpin, forget, reads, export, import
+   * @param {string[]} args
+   * @param {Object} options - namespace, scope, tag, prefix, pinned and limit filters
+   */
+  run(action = 'stats', args = [], options = {}) {
+    switch (action) {
+      case 'stats':
+        return { action, stats: this.stats() };
+
+      case 'list':
+        return {
+          action,
+          entries: this.list({ ...options, namespace: args[0] || options.namespace, scope: args[1] || options.scope })
+        };
+
+      case 'search':
+        requireArgs(args, 1, 'search <query>');
+        return { action, query: args.join(' '), entries: this.search(args.join(' '), options) };
+
+      case 'show':
+        requireArgs(args, 1, 'show <namespace/scope/key>');
+        return { action, ...this.show(args[0]) };
+
+      case 'diff':
+        requireArgs(args, 1, 'diff <namespace/scope/key> [from] [to]');
+        return { action, ...this.diff(args[0], args[1], args[2]) };
+
+      case 'pin':
+      case 'unpin':
+        requireArgs(args, 1, `${action} <namespace/scope/key>...`);
+        return { action, entries: args.map(ref => this.pin(ref, action === 'pin')) };
+
+      case 'forget':
+        requireArgs(args, 1, 'forget <namespace/scope/key>...');
+        return { action, forgotten: args.map(ref => this.forget(ref)) };
+
+      case 'reads':
+        return { action, reads: this.reads({ ...options, reader: args[0] || options.reader }) };
+
+      case 'export':
+        requireArgs(args, 1, 'export <file.jsonl>');
+        return { action, ...this.exportTo(args[0], options) };
+
+      case 'import':
+        requireArgs(args, 1, 'import <file.jsonl>');
+        return { action, ...this.importFrom(args[0], options) };
+
+      default:
+        throw new Error(`Unknown memory action: ${action} (expected ${ACTIONS.join(', ')})`);
+    }
+  }
+
+  stats() {
+    return this.getStore().getStats();
+  }
+
+  /**
+   * Live entries in one namespace or all of them
+   */
+  list(options = {}) {
+    const store = this.getStore();
+    const namespaces = options.namespace ? [options.namespace] : NAMESPACES;
+    const entries = namespaces.flatMap(namespace => store.list(namespace, {
+      scope: options.scope,
+      prefix: options.prefix,
+      tag: options.tag,
+      pinned: options.pinned
+    }));
+
+    return options.limit ? entries.slice(0, options.limit) : entries;
+  }
+
+  search(query, options = {}) {
+    return this.getStore().search(query, {
+      namespace: options.namespace,
+      scope: options.scope,
+      tag: options.tag,
+      limit: options.limit || 20
+    });
+  }
+
+  /**
+   * An entry with its provenance: every kept version with its writer, and
+   * who has read it
+   */
+  show(ref) {
+    const store = this.getStore();
+    const { namespace, scope, key } = parseRef(ref);
+    const entry = store.get(namespace, key, { scope });
+    if (!entry) {
+      throw new Error(`Memory not found: ${ref}`);
+    }
+
+    return {
+      entry,
+      versions: this.versionsOf(entry),
+      reads: store.getReads({ namespace, scope: entry.scope, key, limit: 20 })
+    };
+  }
+
+  /**
+   * What changed between two versions of an entry. Versions are store
+   * version numbers or the version ids PersistentMemoryManager writes
+   * (v<timestamp>-<hex>); by default the current version is compared with
+   * the one before it
+   */
+  diff(ref, from, to) {
+    const store = this.getStore();
+    const { namespace, scope, key } = parseRef(ref);
+    const entry = store.get(namespace, key, { scope });
+    if (!entry) {
+      throw new Error(`Memory not found: ${ref}`);
+    }
+
+    const versions = this.versionsOf(entry);
+    const after = to !== undefined ? findVersion(versions, to, ref) : versions[0];
+    const before = from !== undefined
+      ? findVersion(versions, from, ref)
+      : versions.find(version => version.version < after.version);
+    if (!before) {
+      throw new Error(`${ref} has no version before ${after.version} to compare with`);
+    }
+
+    return {
+      entry: formatRef(entry),
+      from: withoutValue(before),
+      to: withoutValue(after),
+      changes: diffValues(before.value, after.value)
+    };
+  }
+
+  pin(ref, pinned = true) {
+    const { namespace, scope, key } = parseRef(ref);
+    const entry = this.getStore().pin(namespace, key, { scope, pinned });
+    if (!entry) {
+      throw new Error(`Memory not found: ${ref}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Delete an entry and its kept versions. Returns its name, or throws
+   * when there is nothing to forget
+   */
+  forget(ref) {
+    const { namespace, scope, key } = parseRef(ref);
+    if (!this.getStore().delete(namespace, key, { scope })) {
+      throw new Error(`Memory not found: ${ref}`);
+    }
+    return formatRef({ namespace, scope, key });
+  }
+
+  /**
+   * Recorded reads, newest first; with a reader, what that agent has read
+   */
+  reads(options = {}) {
+    return this.getStore().getReads({
+      reader: options.reader,
+      namespace: options.namespace,
+      scope: options.scope,
+      limit: options.limit || 50
+    });
+  }
+
+  /**
+   * Entries as JSON lines, one per entry with its current value only
+   */
+  exportJsonl(options = {}) {
+    return this.list(options).map(entry => `${JSON.stringify(entry)}\n`).join('');
+  }
+
+  exportTo(filePath, options = {}) {
+    const text = this.exportJsonl(options);
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, text);
+    return { file: filePath, exported: text.split('\n').length - 1 };
+  }
+
+  /**
+   * Write exported entries back. An entry whose value and tags already match
+   * is left at its version; lines that fail are reported, not fatal
+   * @param {string} text - JSON lines
+   * @param {Object} options
+   * @param {string} options.source - Recorded as each written entry's source
+   */
+  importJsonl(text, options = {}) {
+    const store = this.getStore();
+    const result = { imported: 0, unchanged: 0, expired: 0, errors: [] };
+    const now = Date.now();
+
+    const importLines = store.db.transaction(() => {
+      String(text).split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        try {
+          const item = JSON.parse(line);
+          if (!NAMESPACES.includes(item.namespace) || item.key === undefined) {
+            throw new Error('expected an exported entry with a namespace and key');
+          }
+          if (item.expiresAt && item.expiresAt <= now && !item.pinned) {
+            result.expired++;
+            return;
+          }
+
+          const scope = item.scope || undefined;
+          const current = store.get(item.namespace, item.key, { scope });
+          const tags = item.tags || [];
+          if (current && JSON.stringify(current.value) === JSON.stringify(item.value) &&
+            JSON.stringify(current.tags) === JSON.stringify(tags)) {
+            result.unchanged++;
+          } else {
+            store.set(item.namespace, item.key, item.value, {
+              scope,
+              tags,
+              ttl: item.expiresAt && !item.pinned ? item.expiresAt - now : null,
+              writer: item.writer || this.writer,
+              source: options.source || 'import'
+            });
+            result.imported++;
+          }
+
+          if (Boolean(item.pinned) !== Boolean(current && current.pinned)) {
+            store.pin(item.namespace, item.key, { scope, pinned: Boolean(item.pinned) });
+          }
+        } catch (error) {
+          result.errors.push({ line: index + 1, error: error.message });
+        }
+      });
+    });
+
+    importLines();
+    return result;
+  }
+
+  importFrom(filePath, options = {}) {
+    return {
+      file: filePath,
+      ...this.importJsonl(fs.readFileSync(filePath, 'utf8'), { source: `import:${path.basename(filePath)}`, ...options })
+    };
+  }
+
+  /**
+   * The current version and every kept past one, newest first
+   */
+  versionsOf(entry) {
+    const store = this.getStore();
+    const current = {
+      version: entry.version,
+      value: entry.value,
+      writer: entry.writer,
+      writtenAt: entry.updatedAt
+    };
+    const past = store.history(entry.namespace, entry.key, { scope: entry.scope });
+
+    return [current, ...past].map(version => ({ ...version, label: versionLabel(version.value) }));
+  }
+}
+
+/**
+ * Split namespace/scope/key (or namespace/key) into its parts. The key is
+ * everything after the scope, so it may itself contain slashes
+ */
+function parseRef(ref) {
+  const parts = String(ref || '').split('/');
+  if (parts.length < 2 || !NAMESPACES.includes(parts[0]) || !parts[parts.length - 1]) {
+    throw new Error(`Expected namespace/scope/key or namespace/key (namespaces: ${NAMESPACES.join(', ')}), got: ${ref}`);
+  }
+
+  if (parts.length === 2) {
+    return { namespace: parts[0], scope: undefined, key: parts[1] };
+  }
+  return { namespace: parts[0], scope: parts[1], key: parts.slice(2).join('/') };
+}
+
+function formatRef(entry) {
+  return `${entry.namespace}/${entry.scope || 'default'}/${entry.key}`;
+}
+
+/**
+ * Changes from one value to another, one per path that differs
+ * @returns {Array<{path: string, change: string, before: *, after: *}>}
+ */
+function diffValues(before, after, prefix = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  const bothObjects = isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after);
+  if (!bothObjects) {
+    return [{ path: prefix || '(value)', change: 'changed', before, after }];
+  }
+
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  return keys.flatMap(key => {
+    const childPath = Array.isArray(after) ? `${prefix}[${key}]` : (prefix ? `${prefix}.${key}` : key);
+    if (!(key in before)) {
+      return [{ path: childPath, change: 'added', after: after[key] }];
+    }
+    if (!(key in after)) {
+      return [{ path: childPath, change: 'removed', before: before[key] }];
+    }
+    return diffValues(before[key], after[key], childPath);
+  });
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * The version id a PersistentMemoryManager memory carries, if any
+ */
+function versionLabel(value) {
+  return isContainer(value) && typeof value.version === 'string' ? value.version : null;
+}
+
+function findVersion(versions, wanted, ref) {
+  const found = versions.find(version => String(version.version) === String(wanted) || version.label === wanted);
+  if (!found) {
+    throw new Error(`${ref} has no kept version ${wanted}`);
+  }
+  return found;
+}
+
+function withoutValue(version) {
+  const { value: _value, ...rest } = version;
+  return rest;
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) {
+    throw new Error(`Usage: bumba memory ${usage}`);
+  }
+}
+
+module.exports = {
+  MemoryConsole,
+  parseRef,
+  formatRef,
+  diffValues
+};
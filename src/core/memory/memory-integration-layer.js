@@ -6,6 +6,7 @@
 
 const { EventEmitter } = require('events');
 const { BumbaTeamMemory } = require('../../utils/teamMemory');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
 const { logger } = require('../logging/bumba-logger');
 
 /**
@@ -107,7 +108,7 @@ class MemoryIntegrationLayer extends EventEmitter {
     
     // Connect to Team Memory System
     connectionPromises.push(this.safeConnect('BumbaTeamMemory', () => {
-        this.teamMemory = new BumbaTeamMemory();
+        this.teamMemory = new BumbaTeamMemory({ memoryStore: this.config.memoryStore });
         this.integrationStatus.teamMemory = true;
         logger.info('🏁 Connected to Team Memory System');
       })
@@ -203,6 +204,20 @@ class MemoryIntegrationLayer extends EventEmitter {
     }
   }
   
+  /**
+   * An agent's scope of the agent namespace; its reads are recorded against it
+   */
+  agentMemory(agentId) {
+    if (!this.memoryStore) {
+      this.memoryStore = this.config.memoryStore || getMemoryStore();
+    }
+    return this.memoryStore.view(MemoryNamespace.AGENT, agentId, {
+      reader: agentId,
+      via: 'memory-integration-layer',
+      writer: agentId
+    });
+  }
+  
   /**
    * Establish connections between systems with error resilience
    */
@@ -212,43 +227,24 @@ class MemoryIntegrationLayer extends EventEmitter {
       try {
         this.humanLearning.memory = this.unifiedMemory;
       
-      // Extend memory system with learning capabilities
-      this.unifiedMemory.storeAgentContext = async (agentId, _context) => {
-        return await this.unifiedMemory.store({
-          type: 'agent_context',
-          agentId,
-          data: context,
-          importance: 0.7
-        });
+      // Extend memory system with learning capabilities; agent context is
+      // kept in the agent namespace of the memory store
+      this.unifiedMemory.storeAgentContext = async (agentId, context) => {
+        return this.agentMemory(agentId).set('context', context).version;
       };
       
       this.unifiedMemory.retrieveAgentContext = async (agentId) => {
-        const memories = await this.unifiedMemory.retrieve({
-          type: 'agent_context',
-          agentId
-        });
-        return memories[0]?.data || null;
+        return this.agentMemory(agentId).get('context');
       };
       
       this.unifiedMemory.clearAgentContext = async (agentId) => {
-        // Mark as low importance for eventual cleanup
-        const memories = await this.unifiedMemory.retrieve({
-          type: 'agent_context',
-          agentId
-        });
-        
-        for (const memory of memories) {
-          memory.importance = 0.1;
-        }
+        return this.agentMemory(agentId).delete('context');
       };
       
       this.unifiedMemory.getAgentHistory = async (agentId, limit = 10) => {
         try {
-          const memories = await this.unifiedMemory.retrieve({
-            type: 'agent_action',
-            agentId
-          });
-          return memories.slice(0, limit).map(m => m.data);
+          // Earlier versions of the agent's context, newest first
+          return this.agentMemory(agentId).history('context').slice(0, limit).map(version => version.value);
         } catch (error) {
           logger.warn(`Failed to retrieve agent history for ${agentId}:`, error.message);
           return [];
@@ -0,0 +1,36 @@
+/**
+ * Memory Provenance
+ * Carries who is writing memory (an agent) and on behalf of what (a command)
+ * across async calls, so entries written anywhere while a command runs
+ * record where they came from
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a writer and source for memory written inside it
+ * @param {Object} provenance
+ * @param {string} provenance.writer - Agent doing the writing
+ * @param {string} provenance.source - Command or component it is done for
+ */
+function runWithMemoryProvenance(provenance, fn) {
+  return storage.run({ ...currentMemoryProvenance(), ...withoutEmpty(provenance) }, fn);
+}
+
+/**
+ * Writer and source in effect, each omitted when not set
+ */
+function currentMemoryProvenance() {
+  return storage.getStore() || {};
+}
+
+function withoutEmpty(provenance = {}) {
+  return Object.fromEntries(Object.entries(provenance).filter(([, value]) => value));
+}
+
+module.exports = {
+  runWithMemoryProvenance,
+  currentMemoryProvenance
+};
@@ -0,0 +1,776 @@
+/**
+ * BUMBA Memory Store
+ * The one storage engine behind every memory class. Team memory, the unified
+ * memory layer, the persistent memory manager and the rest are views over
+ * this store, so they all read and write the same entries:
+ *
+ *   - Namespaces: session, project, agent and team, each split into scopes
+ *     (a session id, an agent id, a hierarchy name, ...)
+ *   - TTL: expired entries read as missing and are purged as the store is used
+ *   - Versioning: every write bumps the entry's version and keeps the previous
+ *     value; passing expectedVersion turns a lost update into a conflict
+ *   - Full-text search over entry text through FTS5
+ *   - Read audit: reads that name a reader are logged with the version they
+ *     saw, so it is possible to tell which memory a specialist actually read
+ *   - Provenance: each version keeps its writer (an agent) and the entry its
+ *     source (a command), taken from memory-provenance when not passed
+ *   - Pinning: pinned entries never expire
+ *
+ * Older on-disk formats are imported once through migrateOnce(), which
+ * records each source so a migration never runs twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { logger } = require('../logging/bumba-logger');
+const { extractText } = require('../knowledge/semantic-index');
+const { currentMemoryProvenance } = require('./memory-provenance');
+
+const MemoryNamespace = {
+  SESSION: 'session',
+  PROJECT: 'project',
+  AGENT: 'agent',
+  TEAM: 'team'
+};
+
+const NAMESPACES = new Set(Object.values(MemoryNamespace));
+
+const DEFAULT_SCOPE = 'default';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Expired entries and old read records are swept after this many writes
+const PURGE_EVERY = 500;
+
+class MemoryConflictError extends Error {
+  constructor(namespace, scope, key, expected, actual) {
+    super(`Memory ${namespace}/${scope}/${key} is at version ${actual}, expected ${expected}`);
+    this.name = 'MemoryConflictError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+class MemoryStore extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} config.dbPath - SQLite file (default .bumba/memory.db); ':memory:' for a throwaway store
+   * @param {Object} config.ttl - Default TTL in ms per namespace; null keeps entries until deleted
+   * @param {number} config.maxVersions - Previous values kept per entry
+   * @param {number} config.readRetentionDays - How long read records are kept
+   */
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      dbPath: path.join(process.cwd(), '.bumba', 'memory.db'),
+      maxVersions: 10,
+      readRetentionDays: 30,
+      ...config,
+      ttl: {
+        [MemoryNamespace.SESSION]: 30 * DAY,
+        [MemoryNamespace.PROJECT]: null,
+        [MemoryNamespace.AGENT]: null,
+        [MemoryNamespace.TEAM]: null,
+        ...(config.ttl || {})
+      }
+    };
+
+    // Loaded on use so modules that only hold a view can be required without it
+    const Database = require('better-sqlite3');
+
+    if (this.config.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.config.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.initializeTables();
+    this.writes = 0;
+    // Consumers holding the store; getMemoryStore() adds one per caller
+    this.references = 1;
+  }
+
+  /**
+   * Initialize database tables
+   */
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        namespace TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        content TEXT NOT NULL DEFAULT '',
+        tags TEXT NOT NULL DEFAULT '[]',
+        version INTEGER NOT NULL,
+        writer TEXT,
+        source TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        pinned INTEGER NOT NULL DEFAULT 0,
+        UNIQUE (namespace, scope, key)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_versions (
+        namespace TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        value TEXT NOT NULL,
+        writer TEXT,
+        written_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, scope, key, version)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_reads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        namespace TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        reader TEXT NOT NULL,
+        via TEXT NOT NULL,
+        read_at INTEGER NOT NULL
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS memory_migrations (
+        source TEXT PRIMARY KEY,
+        entries INTEGER NOT NULL,
+        migrated_at INTEGER NOT NULL
+      )
+    `);
+
+    // External-content FTS table kept in step with memory_entries by triggers
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5(
+        key, content, tags,
+        content = 'memory_entries', content_rowid = 'id', tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS memory_fts_insert AFTER INSERT ON memory_entries BEGIN
+        INSERT INTO memory_fts (rowid, key, content, tags) VALUES (new.id, new.key, new.content, new.tags);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS memory_fts_delete AFTER DELETE ON memory_entries BEGIN
+        INSERT INTO memory_fts (memory_fts, rowid, key, content, tags) VALUES ('delete', old.id, old.key, old.content, old.tags);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS memory_fts_update AFTER UPDATE ON memory_entries BEGIN
+        INSERT INTO memory_fts (memory_fts, rowid, key, content, tags) VALUES ('delete', old.id, old.key, old.content, old.tags);
+        INSERT INTO memory_fts (rowid, key, content, tags) VALUES (new.id, new.key, new.content, new.tags);
+      END;
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_memory_entries_expiry ON memory_entries(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_memory_reads_reader ON memory_reads(reader, read_at);
+      CREATE INDEX IF NOT EXISTS idx_memory_reads_entry ON memory_reads(namespace, scope, key);
+    `);
+  }
+
+  /**
+   * Write an entry, bumping its version. Returns the stored entry
+   * @param {string} namespace - One of MemoryNamespace
+   * @param {string} key
+   * @param {*} value - Anything JSON can hold
+   * @param {Object} options
+   * @param {string} options.scope - Partition within the namespace (default 'default')
+   * @param {number} options.ttl - Lifetime in ms; the namespace default when omitted, null for none
+   * @param {string[]} options.tags
+   * @param {string} options.text - Text to index for search; taken from the value when omitted
+   * @param {string} options.writer - Who wrote it, kept with each version
+   * @param {string} options.source - What it was written for, such as a command
+   * @param {number} options.expectedVersion - Fail with MemoryConflictError unless the entry is at this version (0 for absent)
+   */
+  set(namespace, key, value, options = {}) {
+    this.assertNamespace(namespace);
+    const scope = options.scope || DEFAULT_SCOPE;
+    const now = options.timestamp || Date.now();
+    const ttl = options.ttl !== undefined ? options.ttl : this.config.ttl[namespace];
+    const provenance = currentMemoryProvenance();
+    const row = {
+      namespace,
+      scope,
+      key: String(key),
+      value: JSON.stringify(value === undefined ? null : value),
+      content: options.text !== undefined ? String(options.text || '') : extractText(value),
+      tags: JSON.stringify(options.tags || []),
+      writer: options.writer || provenance.writer || null,
+      source: options.source || provenance.source || null,
+      now,
+      expires_at: ttl ? now + ttl : null
+    };
+
+    const write = this.db.transaction(() => {
+      let current = this.selectRow(namespace, scope, row.key);
+      if (current && isExpired(current)) {
+        this.removeRow(current);
+        current = null;
+      }
+
+      const actual = current ? current.version : 0;
+      if (current && current.pinned) {
+        row.expires_at = null;
+      }
+      if (options.expectedVersion !== undefined && options.expectedVersion !== actual) {
+        throw new MemoryConflictError(namespace, scope, row.key, options.expectedVersion, actual);
+      }
+
+      if (!current) {
+        this.db.prepare(`
+          INSERT INTO memory_entries
+          (namespace, scope, key, value, content, tags, version, writer, source, created_at, updated_at, expires_at)
+          VALUES (@namespace, @scope, @key, @value, @content, @tags, 1, @writer, @source, @now, @now, @expires_at)
+        `).run(row);
+        return 1;
+      }
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO memory_versions (namespace, scope, key, version, value, writer, written_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(namespace, scope, row.key, current.version, current.value, current.writer, current.updated_at);
+
+      this.db.prepare(`
+        UPDATE memory_entries SET
+          value = @value, content = @content, tags = @tags, version = @version,
+          writer = @writer, source = @source, updated_at = @now, expires_at = @expires_at
+        WHERE id = @id
+      `).run({ ...row, version: current.version + 1, id: current.id });
+
+      this.db.prepare(`
+        DELETE FROM memory_versions
+        WHERE namespace = ? AND scope = ? AND key = ? AND version <= ?
+      `).run(namespace, scope, row.key, current.version - this.config.maxVersions);
+      return current.version + 1;
+    });
+
+    const version = write();
+    this.emit('memory:written', { namespace, scope, key: row.key, version });
+
+    if (++this.writes % PURGE_EVERY === 0) {
+      this.purgeExpired();
+    }
+
+    return toEntry(this.selectRow(namespace, scope, row.key));
+  }
+
+  /**
+   * The live entry for a key, or null. A past version can be asked for while
+   * it is still kept. Naming a reader records the read
+   * @param {Object} options
+   * @param {string} options.scope
+   * @param {number} options.version - A specific version instead of the current one
+   * @param {string} options.reader - Who is reading, for the read audit
+   * @param {string} options.via - Which view or command read it
+   */
+  get(namespace, key, options = {}) {
+    this.assertNamespace(namespace);
+    const scope = options.scope || DEFAULT_SCOPE;
+    const row = this.selectRow(namespace, scope, String(key));
+
+    if (!row) {
+      return null;
+    }
+    if (isExpired(row)) {
+      this.removeRow(row);
+      return null;
+    }
+
+    let entry = toEntry(row);
+    if (options.version !== undefined && options.version !== row.version) {
+      const past = this.db.prepare(`
+        SELECT * FROM memory_versions
+        WHERE namespace = ? AND scope = ? AND key = ? AND version = ?
+      `).get(namespace, scope, String(key), options.version);
+      if (!past) {
+        return null;
+      }
+      entry = { ...entry, value: JSON.parse(past.value), version: past.version, writer: past.writer, updatedAt: past.written_at };
+    }
+
+    this.recordRead(entry, options);
+    return entry;
+  }
+
+  /**
+   * The current version of a key, 0 when absent. Not recorded as a read
+   */
+  versionOf(namespace, key, options = {}) {
+    const row = this.selectRow(namespace, options.scope || DEFAULT_SCOPE, String(key));
+    return row && !isExpired(row) ? row.version : 0;
+  }
+
+  delete(namespace, key, options = {}) {
+    this.assertNamespace(namespace);
+    const row = this.selectRow(namespace, options.scope || DEFAULT_SCOPE, String(key));
+    if (!row) {
+      return false;
+    }
+
+    this.removeRow(row);
+    this.emit('memory:deleted', { namespace, scope: row.scope, key: row.key });
+    return true;
+  }
+
+  /**
+   * Pin an entry so it never expires, or unpin it, which starts the
+   * namespace's default TTL again. Returns the entry, or null when absent
+   */
+  pin(namespace, key, options = {}) {
+    this.assertNamespace(namespace);
+    const pinned = options.pinned !== false;
+    const row = this.selectRow(namespace, options.scope || DEFAULT_SCOPE, String(key));
+    if (!row || isExpired(row)) {
+      return null;
+    }
+
+    const ttl = this.config.ttl[namespace];
+    this.db.prepare('UPDATE memory_entries SET pinned = ?, expires_at = ? WHERE id = ?')
+      .run(pinned ? 1 : 0, pinned || !ttl ? null : Date.now() + ttl, row.id);
+    this.emit('memory:pinned', { namespace, scope: row.scope, key: row.key, pinned });
+
+    return toEntry(this.selectRow(namespace, row.scope, row.key));
+  }
+
+  /**
+   * Live entries in a namespace, ordered by key
+   * @param {Object} options
+   * @param {string} options.scope - Only this scope; every scope when omitted
+   * @param {string} options.prefix - Only keys starting with this
+   * @param {string} options.tag - Only entries carrying this tag
+   * @param {boolean} options.pinned - Only pinned (true) or unpinned (false) entries
+   * @param {number} options.limit
+   */
+  list(namespace, options = {}) {
+    this.assertNamespace(namespace);
+    const { clause, params } = this.filterClause({ ...options, namespace });
+    const limit = options.limit || -1;
+
+    return this.db.prepare(`
+      SELECT * FROM memory_entries WHERE ${clause}
+      ORDER BY scope, key LIMIT ?
+    `).all(...params, limit).map(toEntry);
+  }
+
+  /**
+   * Number of live entries, optionally within a namespace and scope
+   */
+  count(options = {}) {
+    const { clause, params } = this.filterClause(options);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM memory_entries WHERE ${clause}`).get(...params).count;
+  }
+
+  /**
+   * Scopes holding live entries in a namespace
+   */
+  scopes(namespace) {
+    this.assertNamespace(namespace);
+    return this.db.prepare(`
+      SELECT DISTINCT scope FROM memory_entries
+      WHERE namespace = ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY scope
+    `).all(namespace, Date.now()).map(row => row.scope);
+  }
+
+  /**
+   * Full-text search, best match first. Any of the query's words may match;
+   * entries matching more of them, and rarer ones, rank higher
+   * @param {string} query
+   * @param {Object} options - namespace, scope, tag and limit as for list(), plus reader and via for the read audit
+   * @returns {Array<Object>} Entries with a score
+   */
+  search(query, options = {}) {
+    if (options.namespace) {
+      this.assertNamespace(options.namespace);
+    }
+    const match = toMatchQuery(query);
+    if (!match) {
+      return [];
+    }
+
+    const { clause, params } = this.filterClause(options, 'e');
+    const rows = this.db.prepare(`
+      SELECT e.*, bm25(memory_fts) AS rank
+      FROM memory_fts JOIN memory_entries e ON e.id = memory_fts.rowid
+      WHERE memory_fts MATCH ? AND ${clause}
+      ORDER BY rank LIMIT ?
+    `).all(match, ...params, options.limit || 10);
+
+    return rows.map(row => {
+      const entry = { ...toEntry(row), score: -row.rank };
+      this.recordRead(entry, { ...options, via: options.via ? `${options.via}:search` : 'search' });
+      return entry;
+    });
+  }
+
+  /**
+   * Past versions of a key, newest first; the current one is not included
+   */
+  history(namespace, key, options = {}) {
+    this.assertNamespace(namespace);
+    return this.db.prepare(`
+      SELECT * FROM memory_versions
+      WHERE namespace = ? AND scope = ? AND key = ?
+      ORDER BY version DESC
+    `).all(namespace, options.scope || DEFAULT_SCOPE, String(key)).map(row => ({
+      version: row.version,
+      value: JSON.parse(row.value),
+      writer: row.writer,
+      writtenAt: row.written_at
+    }));
+  }
+
+  /**
+   * Recorded reads, newest first
+   * @param {Object} filter - reader, namespace, scope, key, since (ms) and limit (default 100)
+   */
+  getReads(filter = {}) {
+    const conditions = [];
+    const params = [];
+    for (const column of ['reader', 'namespace', 'scope', 'key']) {
+      if (filter[column] !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(filter[column]);
+      }
+    }
+    if (filter.since) {
+      conditions.push('read_at >= ?');
+      params.push(filter.since);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM memory_reads
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY read_at DESC, id DESC LIMIT ?
+    `).all(...params, filter.limit || 100).map(row => ({
+      namespace: row.namespace,
+      scope: row.scope,
+      key: row.key,
+      version: row.version,
+      reader: row.reader,
+      via: row.via,
+      readAt: row.read_at
+    }));
+  }
+
+  /**
+   * A view bound to one namespace and scope
+   */
+  view(namespace, scope = DEFAULT_SCOPE, options = {}) {
+    this.assertNamespace(namespace);
+    return new MemoryView(this, namespace, scope, options);
+  }
+
+  /**
+   * Run an import from an older format once. The importer runs in a
+   * transaction and returns how many entries it brought over; the source is
+   * recorded so later calls are no-ops
+   * @returns {{migrated: boolean, entries: number}}
+   */
+  migrateOnce(source, importer) {
+    if (this.hasMigrated(source)) {
+      return { migrated: false, entries: 0 };
+    }
+
+    const migrate = this.db.transaction(() => {
+      const entries = importer(this) || 0;
+      this.db.prepare(`
+        INSERT INTO memory_migrations (source, entries, migrated_at) VALUES (?, ?, ?)
+      `).run(source, entries, Date.now());
+      return entries;
+    });
+
+    const entries = migrate();
+    if (entries > 0) {
+      logger.info(`🧠 Migrated ${entries} memory entries from ${source}`);
+    }
+    return { migrated: true, entries };
+  }
+
+  hasMigrated(source) {
+    return Boolean(this.db.prepare('SELECT source FROM memory_migrations WHERE source = ?').get(source));
+  }
+
+  getMigrations() {
+    return this.db.prepare('SELECT * FROM memory_migrations ORDER BY migrated_at').all().map(row => ({
+      source: row.source,
+      entries: row.entries,
+      migratedAt: row.migrated_at
+    }));
+  }
+
+  /**
+   * Drop expired entries and read records past their retention
+   * @returns {number} Entries removed
+   */
+  purgeExpired() {
+    const now = Date.now();
+    const expired = this.db.prepare(`
+      SELECT * FROM memory_entries WHERE expires_at IS NOT NULL AND expires_at <= ?
+    `).all(now);
+
+    const purge = this.db.transaction(() => {
+      expired.forEach(row => this.removeRow(row));
+      this.db.prepare('DELETE FROM memory_reads WHERE read_at < ?').run(now - this.config.readRetentionDays * DAY);
+    });
+    purge();
+
+    return expired.length;
+  }
+
+  getStats() {
+    const namespaces = {};
+    for (const namespace of NAMESPACES) {
+      namespaces[namespace] = this.count({ namespace });
+    }
+
+    return {
+      dbPath: this.config.dbPath,
+      entries: Object.values(namespaces).reduce((sum, count) => sum + count, 0),
+      namespaces,
+      pinned: this.count({ pinned: true }),
+      versions: this.db.prepare('SELECT COUNT(*) AS count FROM memory_versions').get().count,
+      reads: this.db.prepare('SELECT COUNT(*) AS count FROM memory_reads').get().count,
+      migrations: this.getMigrations().map(migration => migration.source)
+    };
+  }
+
+  /**
+   * Release one consumer's hold; the database closes with the last one
+   */
+  close() {
+    this.references = Math.max(0, this.references - 1);
+    if (this.references > 0) {
+      return;
+    }
+
+    releaseStore(this);
+    if (this.db.open) {
+      this.db.close();
+    }
+    this.removeAllListeners();
+  }
+
+  assertNamespace(namespace) {
+    if (!NAMESPACES.has(namespace)) {
+      throw new Error(`Unknown memory namespace: ${namespace}`);
+    }
+  }
+
+  selectRow(namespace, scope, key) {
+    return this.db.prepare(`
+      SELECT * FROM memory_entries WHERE namespace = ? AND scope = ? AND key = ?
+    `).get(namespace, scope, key);
+  }
+
+  removeRow(row) {
+    this.db.prepare('DELETE FROM memory_entries WHERE id = ?').run(row.id);
+    this.db.prepare(`
+      DELETE FROM memory_versions WHERE namespace = ? AND scope = ? AND key = ?
+    `).run(row.namespace, row.scope, row.key);
+  }
+
+  recordRead(entry, options) {
+    if (!options.reader) {
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO memory_reads (namespace, scope, key, version, reader, via, read_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(entry.namespace, entry.scope, entry.key, entry.version, options.reader, options.via || 'get', Date.now());
+  }
+
+  /**
+   * WHERE clause for live entries matching namespace, scope, prefix and tag
+   */
+  filterClause(options, alias = null) {
+    const column = name => (alias ? `${alias}.${name}` : name);
+    const conditions = [`(${column('expires_at')} IS NULL OR ${column('expires_at')} > ?)`];
+    const params = [Date.now()];
+
+    if (options.namespace) {
+      conditions.push(`${column('namespace')} = ?`);
+      params.push(options.namespace);
+    }
+    if (options.scope) {
+      conditions.push(`${column('scope')} = ?`);
+      params.push(options.scope);
+    }
+    if (options.prefix) {
+      conditions.push(`substr(${column('key')}, 1, ?) = ?`);
+      params.push(options.prefix.length, options.prefix);
+    }
+    if (options.tag) {
+      conditions.push(`EXISTS (SELECT 1 FROM json_each(${column('tags')}) WHERE json_each.value = ?)`);
+      params.push(options.tag);
+    }
+    if (options.pinned !== undefined) {
+      conditions.push(`${column('pinned')} = ?`);
+      params.push(options.pinned ? 1 : 0);
+    }
+
+    return { clause: conditions.join(' AND '), params };
+  }
+}
+
+/**
+ * One namespace and scope of a MemoryStore, with an optional default reader
+ * so every read through the view is audited
+ */
+class MemoryView {
+  constructor(store, namespace, scope, options = {}) {
+    this.memoryStore = store;
+    this.namespace = namespace;
+    this.scope = scope;
+    this.reader = options.reader || null;
+    this.via = options.via || null;
+    this.defaults = { ttl: options.ttl, writer: options.writer };
+  }
+
+  /**
+   * The value stored under a key, or null
+   */
+  get(key, options = {}) {
+    const entry = this.getEntry(key, options);
+    return entry ? entry.value : null;
+  }
+
+  getEntry(key, options = {}) {
+    return this.memoryStore.get(this.namespace, key, this.withScope(options));
+  }
+
+  /**
+   * Write through the view. The view's default writer gives way to the agent
+   * named by memory-provenance
+   */
+  set(key, value, options = {}) {
+    const defaults = Object.fromEntries(Object.entries(this.defaults).filter(([, setting]) => setting !== undefined));
+    return this.memoryStore.set(this.namespace, key, value, {
+      ...defaults,
+      ...currentMemoryProvenance(),
+      ...options,
+      scope: this.scope
+    });
+  }
+
+  delete(key) {
+    return this.memoryStore.delete(this.namespace, key, { scope: this.scope });
+  }
+
+  has(key) {
+    return this.memoryStore.versionOf(this.namespace, key, { scope: this.scope }) > 0;
+  }
+
+  list(options = {}) {
+    return this.memoryStore.list(this.namespace, { ...options, scope: this.scope });
+  }
+
+  count() {
+    return this.memoryStore.count({ namespace: this.namespace, scope: this.scope });
+  }
+
+  search(query, options = {}) {
+    return this.memoryStore.search(query, this.withScope({ ...options, namespace: this.namespace }));
+  }
+
+  history(key) {
+    return this.memoryStore.history(this.namespace, key, { scope: this.scope });
+  }
+
+  withScope(options) {
+    return {
+      reader: this.reader || undefined,
+      via: this.via || undefined,
+      ...options,
+      scope: this.scope
+    };
+  }
+}
+
+function isExpired(row) {
+  return row.expires_at !== null && row.expires_at !== undefined && row.expires_at <= Date.now();
+}
+
+function toEntry(row) {
+  return {
+    namespace: row.namespace,
+    scope: row.scope,
+    key: row.key,
+    value: JSON.parse(row.value),
+    version: row.version,
+    tags: JSON.parse(row.tags),
+    writer: row.writer,
+    source: row.source,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+    pinned: Boolean(row.pinned)
+  };
+}
+
+/**
+ * Quote each word so user text cannot inject FTS5 syntax, and OR them
+ */
+function toMatchQuery(query) {
+  const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return Array.from(new Set(terms)).map(term => `"${term}"`).join(' OR ');
+}
+
+// Shared stores, one per database file
+const stores = new Map();
+
+/**
+ * The shared store for a database file (.bumba/memory.db by default)
+ */
+function getMemoryStore(config = {}) {
+  if (config.dbPath === ':memory:') {
+    return new MemoryStore(config);
+  }
+
+  const dbPath = path.resolve(config.dbPath || path.join(process.cwd(), '.bumba', 'memory.db'));
+  if (!stores.has(dbPath)) {
+    stores.set(dbPath, new MemoryStore({ ...config, dbPath }));
+    return stores.get(dbPath);
+  }
+
+  const store = stores.get(dbPath);
+  store.references++;
+  return store;
+}
+
+function releaseStore(store) {
+  for (const [dbPath, shared] of stores) {
+    if (shared === store) {
+      stores.delete(dbPath);
+    }
+  }
+}
+
+/**
+ * Close every shared store, whoever still holds it
+ */
+function closeMemoryStores() {
+  for (const store of Array.from(stores.values())) {
+    store.references = 0;
+    store.close();
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  MemoryView,
+  MemoryNamespace,
+  MemoryConflictError,
+  getMemoryStore,
+  closeMemoryStores
+};
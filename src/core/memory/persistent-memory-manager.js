@@ -1,6 +1,9 @@
 /**
  * BUMBA Persistent Memory Manager
  * Advanced persistence with versioning, merging, and long-term storage
+ *
+ * Each hierarchy is a scope of the project namespace in the memory store.
+ * Memories written as JSON files under basePath are imported once.
  */
 
 const fs = require('fs').promises;
@@ -8,6 +11,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
+const { extractText } = require('../knowledge/semantic-index');
 
 class PersistentMemoryManager extends EventEmitter {
   constructor(config = {}) {
@@ -24,12 +29,14 @@ class PersistentMemoryManager extends EventEmitter {
     };
 
     // Memory hierarchies
+    this.memoryStore = config.memoryStore || null;
+    const store = () => this.getStore();
     this.hierarchies = {
-      immediate: new MemoryHierarchy('immediate', { ttl: 86400000 }), // 1 day
-      working: new MemoryHierarchy('working', { ttl: 604800000 }), // 1 week
-      episodic: new MemoryHierarchy('episodic', { ttl: 2592000000 }), // 30 days
-      semantic: new MemoryHierarchy('semantic', { ttl: null }), // No expiry
-      procedural: new MemoryHierarchy('procedural', { ttl: null }) // No expiry
+      immediate: new MemoryHierarchy('immediate', { ttl: 86400000, store }), // 1 day
+      working: new MemoryHierarchy('working', { ttl: 604800000, store }), // 1 week
+      episodic: new MemoryHierarchy('episodic', { ttl: 2592000000, store }), // 30 days
+      semantic: new MemoryHierarchy('semantic', { ttl: null, store }), // No expiry
+      procedural: new MemoryHierarchy('procedural', { ttl: null, store }) // No expiry
     };
 
     // Version control
@@ -54,9 +61,6 @@ class PersistentMemoryManager extends EventEmitter {
   }
 
   async initialize() {
-    // Ensure directory structure
-    await this.ensureDirectoryStructure();
-    
     // Load existing memories
     await this.loadMemories();
     
@@ -116,9 +120,6 @@ class PersistentMemoryManager extends EventEmitter {
     // Update indices
     await this.updateIndices(memory);
     
-    // Persist to disk
-    await this.persistMemory(memory);
-    
     this.emit('memory-stored', { key, hierarchy: memory.hierarchy, version: memory.version });
     
     return memory.version;
@@ -409,80 +410,59 @@ class PersistentMemoryManager extends EventEmitter {
     return `v${timestamp}-${random}`;
   }
 
+  /**
+   * Previous values are kept (and pruned) by the memory store; the tree
+   * only records lineage for merges
+   */
   async createVersion(newMemory, oldMemory) {
     const version = {
       id: newMemory.version,
+      key: newMemory.key,
       parent: oldMemory.version,
       timestamp: newMemory.timestamp,
-      changes: this.diffMemories(oldMemory, newMemory),
       author: process.env.USER || 'system'
     };
     
     this.versions.set(version.id, version);
     this.versionTree.addVersion(version);
-    
-    // Prune old versions
-    await this.pruneVersions(newMemory.key);
-  }
-
-  async pruneVersions(key) {
-    const versions = this.versionTree.getVersionsForKey(key);
-    
-    if (versions.length > this.config.maxVersions) {
-      // Keep important versions
-      const toKeep = this.selectVersionsToKeep(versions);
-      const toRemove = versions.filter(v => !toKeep.includes(v));
-      
-      for (const version of toRemove) {
-        await this.removeVersion(version);
-      }
-    }
   }
 
   /**
    * Persistence operations
    */
-  async persistMemory(memory) {
-    const filepath = this.getMemoryPath(memory);
-    await fs.mkdir(path.dirname(filepath), { recursive: true });
-    
-    const persistData = {
-      ...memory,
-      persisted_at: Date.now()
-    };
-    
-    await fs.writeFile(filepath, JSON.stringify(persistData, null, 2));
+  getStore() {
+    if (!this.memoryStore) {
+      this.memoryStore = getMemoryStore();
+    }
+    return this.memoryStore;
   }
 
   async loadMemories() {
     try {
-      // Load each hierarchy
-      for (const [name, hierarchy] of Object.entries(this.hierarchies)) {
-        const hierarchyPath = path.join(this.config.basePath, name);
+      const store = this.getStore();
+      const source = `persistent-memory-manager:${this.config.basePath}`;
+      
+      if (!store.hasMigrated(source)) {
+        const legacy = await this.readLegacyMemories();
         
-        try {
-          const files = await fs.readdir(hierarchyPath);
-          
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filepath = path.join(hierarchyPath, file);
-              const data = await fs.readFile(filepath, 'utf8');
-              const memory = JSON.parse(data);
-              
-              await hierarchy.set(memory.key, memory);
-              await this.updateIndices(memory);
-            }
-          }
-        } catch (error) {
-          // Directory might not exist yet
-          if (error.code !== 'ENOENT') {
-            logger.error(`Failed to load ${name} hierarchy:`, error);
+        // Oldest first, so each key's files become its version history
+        legacy.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        store.migrateOnce(source, () => {
+          for (const memory of legacy) {
+            this.hierarchies[memory.hierarchy].write(memory.key, memory, {
+              timestamp: memory.timestamp,
+              writer: 'migration'
+            });
           }
-        }
+          return legacy.length;
+        });
       }
       
-      // Load version tree
-      await this.loadVersionTree();
+      for (const hierarchy of Object.values(this.hierarchies)) {
+        for (const memory of await hierarchy.getAll()) {
+          await this.updateIndices(memory);
+        }
+      }
       
     } catch (error) {
       logger.error('Failed to load memories:', error);
@@ -490,17 +470,65 @@ class PersistentMemoryManager extends EventEmitter {
   }
 
   /**
-   * Utility methods
+   * Memories written as JSON files before the memory store, one file per version
    */
-  getMemoryPath(memory) {
-    const safeKey = memory.key.replace(/[^a-z0-9]/gi, '_');
-    return path.join(
-      this.config.basePath,
-      memory.hierarchy,
-      `${safeKey}_${memory.version}.json`
-    );
+  async readLegacyMemories() {
+    const memories = [];
+    
+    for (const name of Object.keys(this.hierarchies)) {
+      const hierarchyPath = path.join(this.config.basePath, name);
+      let files;
+      
+      try {
+        files = await fs.readdir(hierarchyPath);
+      } catch (error) {
+        // Directory might not exist
+        if (error.code !== 'ENOENT') {
+          logger.error(`Failed to load ${name} hierarchy:`, error);
+        }
+        continue;
+      }
+      
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+          const memory = JSON.parse(await fs.readFile(path.join(hierarchyPath, file), 'utf8'));
+          memories.push({ ...memory, hierarchy: name });
+        } catch (error) {
+          logger.warn(`Skipping unreadable memory file ${file}: ${error.message}`);
+        }
+      }
+    }
+    
+    return memories;
+  }
+
+  /**
+   * A memory as it was at one of its versions, from any hierarchy
+   */
+  async retrieveVersion(key, version) {
+    for (const hierarchy of Object.values(this.hierarchies)) {
+      const current = hierarchy.view.get(key);
+      if (current && current.version === version) {
+        return current;
+      }
+      
+      const past = hierarchy.view.history(key).find(item => item.value.version === version);
+      if (past) {
+        return past.value;
+      }
+    }
+    return null;
+  }
+
+  async updateIndices(memory) {
+    this.indices.temporal.add(memory);
+    this.indices.semantic.add(memory);
+    this.indices.relational.add(memory);
   }
 
+  /**
+   * Utility methods
+   */
   getTTL(hierarchy) {
     const ttls = {
       immediate: 86400000, // 1 day
@@ -522,19 +550,6 @@ class PersistentMemoryManager extends EventEmitter {
     return size > this.config.compressionThreshold;
   }
 
-  async ensureDirectoryStructure() {
-    const dirs = [
-      this.config.basePath,
-      ...Object.keys(this.hierarchies).map(h => path.join(this.config.basePath, h)),
-      path.join(this.config.basePath, 'archive'),
-      path.join(this.config.basePath, 'versions')
-    ];
-    
-    for (const dir of dirs) {
-      await fs.mkdir(dir, { recursive: true });
-    }
-  }
-
   startSnapshotTimer() {
     const snapshotInterval = setInterval(async () => {
       await this.createSnapshot();
@@ -584,17 +599,39 @@ class MemoryHierarchy {
   constructor(name, options = {}) {
     this.name = name;
     this.options = options;
-    this.memories = new Map();
     this.accessCounts = new Map();
+    this.memoryView = null;
+  }
+
+  /**
+   * This hierarchy's scope of the project namespace
+   */
+  get view() {
+    if (!this.memoryView) {
+      this.memoryView = this.options.store().view(MemoryNamespace.PROJECT, this.name, {
+        via: 'persistent-memory-manager',
+        writer: 'persistent-memory-manager'
+      });
+    }
+    return this.memoryView;
+  }
+
+  write(key, memory, options = {}) {
+    this.view.set(key, memory, {
+      ttl: memory.metadata.ttl || null,
+      tags: memory.metadata.tags,
+      text: memory.metadata.compressed ? '' : extractText(memory.data),
+      ...options
+    });
   }
 
   async set(key, memory) {
-    this.memories.set(key, memory);
+    this.write(key, memory);
     this.accessCounts.set(key, (this.accessCounts.get(key) || 0) + 1);
   }
 
   async get(key) {
-    const memory = this.memories.get(key);
+    const memory = this.view.get(key);
     if (memory) {
       this.accessCounts.set(key, (this.accessCounts.get(key) || 0) + 1);
       memory.accessCount = this.accessCounts.get(key);
@@ -603,13 +640,13 @@ class MemoryHierarchy {
   }
 
   async delete(key) {
-    this.memories.delete(key);
+    this.view.delete(key);
     this.accessCounts.delete(key);
   }
 
   async update(key, memory) {
-    if (this.memories.has(key)) {
-      this.memories.set(key, memory);
+    if (this.view.has(key)) {
+      this.write(key, memory);
     }
   }
 
@@ -618,11 +655,11 @@ class MemoryHierarchy {
   }
 
   async getAll() {
-    return Array.from(this.memories.values());
+    return this.view.list().map(entry => entry.value);
   }
 
   async count() {
-    return this.memories.size;
+    return this.view.count();
   }
 }
 
@@ -12,6 +12,8 @@ const { BumbaTeamMemory } = require('../../utils/teamMemory');
 const MemoryManager = require('../resource-management/memory-manager');
 const { mcpServerManager } = require('../mcp/mcp-resilience-system');
 const { logger } = require('../logging/bumba-logger');
+const { VectorIndex, extractText } = require('../knowledge/semantic-index');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
 
 const gzipAsync = promisify(zlib.gzip);
 const gunzipAsync = promisify(zlib.gunzip);
@@ -45,11 +47,16 @@ class UnifiedMemoryLayer extends EventEmitter {
         enabled: config.pooling?.enabled ?? true,
         maxPoolSize: config.pooling?.maxPoolSize ?? 100,
         objectTypes: config.pooling?.objectTypes ?? ['context', 'handoff', 'knowledge']
+      },
+      semanticIndex: {
+        enabled: config.semanticIndex?.enabled ?? true,
+        path: config.semanticIndex?.path ?? null // log file to keep the index across restarts
       }
     };
 
     // Initialize subsystems
-    this.teamMemory = new BumbaTeamMemory();
+    this.memoryStore = config.memoryStore || null;
+    this.teamMemory = config.teamMemory || new BumbaTeamMemory({ memoryStore: this.memoryStore });
     this.resourceManager = MemoryManager.getInstance();
     this.mcpManager = mcpServerManager;
     
@@ -61,6 +68,11 @@ class UnifiedMemoryLayer extends EventEmitter {
       ['mcp', new MCPMemoryStore(this)]
     ]);
     
+    // Local vector index over stored data, for retrieve(query, { semantic: true })
+    this.vectorIndex = this.config.semanticIndex.enabled
+      ? new VectorIndex({ path: this.config.semanticIndex.path })
+      : null;
+    
     // Caching layers
     this.l1Cache = new Map(); // In-memory cache
     this.l2Cache = null; // Distributed cache (Redis/etc)
@@ -120,8 +132,18 @@ class UnifiedMemoryLayer extends EventEmitter {
       tags: options.tags || [],
       priority: options.priority || 'normal'
     };
+    // Encrypted data stays out of the index unless asked for
+    storeOptions.searchable = options.searchable ?? !storeOptions.encrypted;
 
     try {
+      if (this.vectorIndex) {
+        if (storeOptions.searchable) {
+          this.vectorIndex.upsert(key, options.text || extractText(data), { tags: storeOptions.tags });
+        } else {
+          this.vectorIndex.remove(key);
+        }
+      }
+      
       // Prepare data
       let processedData = data;
       
@@ -186,8 +208,14 @@ class UnifiedMemoryLayer extends EventEmitter {
 
   /**
    * Retrieve data with automatic fallback through memory hierarchy
+   * With options.semantic, key is free text and the result is a list of the
+   * stored entries most related to it (see search)
    */
   async retrieve(key, options = {}) {
+    if (options.semantic) {
+      return this.search(key, options);
+    }
+    
     try {
       // Check L1 cache first
       if (this.l1Cache.has(key)) {
@@ -236,6 +264,37 @@ class UnifiedMemoryLayer extends EventEmitter {
     }
   }
 
+  /**
+   * Find stored entries related to some text, best first, without any
+   * external service
+   * @returns {Array<{key, data, metadata, score}>}
+   */
+  async search(query, options = {}) {
+    if (!this.vectorIndex) {
+      return [];
+    }
+    
+    const { limit = 10, minScore, tags = null } = options;
+    const matches = this.vectorIndex.search(query, {
+      limit,
+      minScore,
+      filter: tags ? metadata => tags.some(tag => (metadata.tags || []).includes(tag)) : null
+    });
+    
+    const results = [];
+    for (const match of matches) {
+      const entry = await this.retrieve(match.id, { searchOrder: options.searchOrder });
+      if (entry) {
+        results.push({ ...entry, score: match.score });
+      } else {
+        // Gone from every store; stop matching it
+        this.vectorIndex.remove(match.id);
+      }
+    }
+    
+    return results;
+  }
+
   /**
    * Process retrieved data (decrypt, decompress)
    */
@@ -271,6 +330,9 @@ class UnifiedMemoryLayer extends EventEmitter {
   async delete(key) {
     // Remove from caches
     this.l1Cache.delete(key);
+    if (this.vectorIndex) {
+      this.vectorIndex.remove(key);
+    }
     if (this.l2Cache) {
       await this.l2Cache.delete(key);
     }
@@ -635,6 +697,7 @@ class UnifiedMemoryLayer extends EventEmitter {
       stores_active: Array.from(this.stores.keys()),
       sync_queue_length: this.syncQueue.length,
       pools_active: this.objectPools.size,
+      semantic_index_size: this.vectorIndex ? this.vectorIndex.size : 0,
       resource_manager_stats: this.resourceManager.getStats(),
       mcp_health: this.mcpManager.getSystemHealth()
     };
@@ -667,34 +730,49 @@ class PersistentMemoryStore {
   constructor(memoryLayer) {
     this.memoryLayer = memoryLayer;
     this.teamMemory = memoryLayer.teamMemory;
+    this.memoryView = null;
+  }
+
+  /**
+   * The layer's scope of the project namespace in the memory store. Entries
+   * it used to park in the team context are moved there on first use
+   */
+  view() {
+    if (!this.memoryView) {
+      const store = this.memoryLayer.memoryStore || getMemoryStore();
+      store.migrateOnce('unified-memory-layer:team-context', () => {
+        const parked = this.teamMemory.takeSharedContext('unified_memory');
+        for (const [key, item] of Object.entries(parked)) {
+          store.set(MemoryNamespace.PROJECT, key, item.entry, {
+            scope: 'unified',
+            timestamp: item.stored_at,
+            writer: 'migration'
+          });
+        }
+        return Object.keys(parked).length;
+      });
+      this.memoryView = store.view(MemoryNamespace.PROJECT, 'unified', { via: 'unified-memory-layer', writer: 'unified-memory-layer' });
+    }
+    return this.memoryView;
   }
 
   async set(key, entry) {
-    const context = this.teamMemory.getTeamContext();
-    if (!context) {return false;}
-    
-    context.sharedContext[key] = {
-      type: 'unified_memory',
-      entry: entry,
-      stored_at: Date.now()
-    };
-    
-    return this.teamMemory.saveContext(context);
+    // Compressed or encrypted data has nothing readable to index
+    const readable = entry.options.searchable && !entry.metadata.compressed && !entry.metadata.encrypted;
+    this.view().set(key, entry, {
+      tags: entry.metadata.tags,
+      ttl: entry.options.ttl || undefined,
+      text: readable ? extractText(entry.data) : ''
+    });
+    return true;
   }
 
   async get(key) {
-    const context = this.teamMemory.getTeamContext();
-    if (!context || !context.sharedContext[key]) {return null;}
-    
-    return context.sharedContext[key].entry;
+    return this.view().get(key);
   }
 
   async delete(key) {
-    const context = this.teamMemory.getTeamContext();
-    if (!context) {return false;}
-    
-    delete context.sharedContext[key];
-    return this.teamMemory.saveContext(context);
+    return this.view().delete(key);
   }
 }
 
@@ -7,6 +7,8 @@
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { BumbaTeamMemory } = require('../../utils/teamMemory');
+const { getMemoryStore, MemoryNamespace } = require('./memory-store');
+const { extractText } = require('../knowledge/semantic-index');
 const MemoryManager = require('../resource-management/memory-manager');
 const { mcpServerManager } = require('../mcp/mcp-resilience-system');
 const { logger } = require('../logging/bumba-logger');
@@ -504,7 +506,9 @@ class LongTermMemory extends EventEmitter {
       patterns: 0
     };
 
-    // Integration with team memory
+    // Long-term entries live in the memory store; team memory is kept for callers
+    this.memoryStore = config.memoryStore || null;
+    this.memoryView = null;
     this.teamMemory = null;
     this.mcpMemory = null;
     
@@ -513,7 +517,8 @@ class LongTermMemory extends EventEmitter {
 
   async initializeIntegrations() {
     try {
-      this.teamMemory = await BumbaTeamMemory.create();
+      this.teamMemory = await BumbaTeamMemory.create({ memoryStore: this.memoryStore });
+      this.memoryView = this.openMemoryView();
       this.mcpMemory = mcpServerManager;
     } catch (error) {
       logger.warn('Long-term memory integration warning:', error);
@@ -544,9 +549,9 @@ class LongTermMemory extends EventEmitter {
       this.accessFrequency.set(key, 0);
       this.stats.totalEntries++;
 
-      // Store in team memory for persistence
-      if (this.teamMemory) {
-        await this.storeInTeamMemory(key, entry);
+      // Store in the memory store for persistence
+      if (this.memoryView) {
+        await this.storeInMemoryStore(key, entry);
       }
 
       // Store in MCP memory for cross-session persistence
@@ -573,9 +578,9 @@ class LongTermMemory extends EventEmitter {
     try {
       let entry = this.knowledgeBase.get(key);
 
-      // Fallback to team memory
-      if (!entry && this.teamMemory) {
-        entry = await this.retrieveFromTeamMemory(key);
+      // Fallback to the memory store
+      if (!entry && this.memoryView) {
+        entry = await this.retrieveFromMemoryStore(key);
       }
 
       // Fallback to MCP memory
@@ -684,8 +689,8 @@ class LongTermMemory extends EventEmitter {
     entry.metadata.consolidatedAt = Date.now();
     
     // Store in persistent systems
-    if (this.teamMemory) {
-      await this.storeInTeamMemory(`consolidated_${key}`, entry);
+    if (this.memoryView) {
+      await this.storeInMemoryStore(`consolidated_${key}`, entry);
     }
     
     return true;
@@ -761,28 +766,41 @@ class LongTermMemory extends EventEmitter {
     return str.toLowerCase().match(/\w+/g) || [];
   }
 
-  async storeInTeamMemory(key, entry) {
-    if (this.teamMemory) {
-      const context = await this.teamMemory.getTeamContext();
-      if (context) {
-        context.sharedContext[`ltm_${key}`] = {
-          type: 'long_term_memory',
-          entry: entry,
-          stored_at: Date.now()
-        };
-        await this.teamMemory.saveContext(context);
+  /**
+   * The long-term scope of the project namespace. Entries that used to be
+   * kept in the team context as ltm_<key> are moved there on first use
+   */
+  openMemoryView() {
+    const store = this.memoryStore || getMemoryStore();
+    store.migrateOnce('long-term-memory:team-context', () => {
+      const parked = this.teamMemory.takeSharedContext('long_term_memory');
+      for (const [id, item] of Object.entries(parked)) {
+        store.set(MemoryNamespace.PROJECT, id.replace(/^ltm_/, ''), item.entry, {
+          scope: 'long-term',
+          tags: item.entry?.metadata?.tags,
+          text: extractText(item.entry?.knowledge),
+          timestamp: item.stored_at,
+          writer: 'migration'
+        });
       }
-    }
+      return Object.keys(parked).length;
+    });
+    return store.view(MemoryNamespace.PROJECT, 'long-term', { via: 'long-term-memory', writer: 'long-term-memory' });
   }
 
-  async retrieveFromTeamMemory(key) {
-    if (this.teamMemory) {
-      const context = await this.teamMemory.getTeamContext();
-      if (context && context.sharedContext[`ltm_${key}`]) {
-        return context.sharedContext[`ltm_${key}`].entry;
-      }
+  async storeInMemoryStore(key, entry) {
+    this.memoryView.set(key, entry, {
+      tags: entry.metadata.tags,
+      text: extractText(entry.knowledge)
+    });
+  }
+
+  async retrieveFromMemoryStore(key) {
+    const entry = this.memoryView.get(key);
+    if (entry) {
+      this.knowledgeBase.set(key, entry);
     }
-    return null;
+    return entry;
   }
 
   async storeInMCPMemory(key, entry) {
@@ -1269,7 +1287,7 @@ class UnifiedMemorySystem extends EventEmitter {
     // Initialize memory subsystems
     this.shortTermMemory = new ShortTermMemory(config.shortTerm);
     this.workingMemory = new WorkingMemory(config.working);
-    this.longTermMemory = new LongTermMemory(config.longTerm);
+    this.longTermMemory = new LongTermMemory({ memoryStore: config.memoryStore, ...config.longTerm });
     this.semanticMemory = new SemanticMemory(config.semantic);
 
     // Integration with existing BUMBA systems
@@ -1299,7 +1317,7 @@ class UnifiedMemorySystem extends EventEmitter {
 
     try {
       // Initialize team memory integration
-      this.teamMemory = await BumbaTeamMemory.create();
+      this.teamMemory = await BumbaTeamMemory.create({ memoryStore: this.config.memoryStore });
       
       // Initialize consciousness layer if enabled
       if (this.config.consciousness) {
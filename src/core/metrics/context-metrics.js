@@ -9,14 +9,15 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { getTokenizer } = require('../context/tokenizer');
 
 /**
  * TokenCounter class for estimating token usage
  */
 class TokenCounter {
-  constructor() {
-    // Rough estimation: 1 token ≈ 4 characters (OpenAI/Claude approximation)
-    this.CHARS_PER_TOKEN = 4;
+  constructor(tokenizer = getTokenizer()) {
+    // Same counts as the context budget, so metrics and packing agree
+    this.tokenizer = tokenizer;
   }
 
   /**
@@ -27,21 +28,7 @@ class TokenCounter {
   estimate(data) {
     if (!data) return 0;
     
-    let text;
-    if (typeof data === 'string') {
-      text = data;
-    } else if (typeof data === 'object') {
-      try {
-        text = JSON.stringify(data, null, 2);
-      } catch (error) {
-        // Handle circular references
-        text = '[Complex Object]';
-      }
-    } else {
-      text = String(data);
-    }
-    
-    return Math.ceil(text.length / this.CHARS_PER_TOKEN);
+    return this.tokenizer.count(data);
   }
   
   /**
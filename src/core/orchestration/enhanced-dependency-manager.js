@@ -5,6 +5,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { GraphExporter } = require('../workflow/graph-exporter');
 
 /**
  * Dependency Types
@@ -874,6 +875,26 @@ class EnhancedDependencyManager extends EventEmitter {
     };
   }
   
+  /**
+   * Render the task graph as Mermaid, DOT or ASCII with live status and critical path
+   */
+  exportGraph(format = 'mermaid', options = {}) {
+    const graph = {
+      name: options.name || 'Task dependencies',
+      nodes: Array.from(this.tasks.values()).map(task => ({
+        id: task.id,
+        label: task.name,
+        status: task.status,
+        duration: task.estimatedDuration
+      })),
+      edges: Array.from(this.dependencies.entries()).flatMap(([taskId, deps]) =>
+        deps.map(dep => ({ from: dep.taskId, to: taskId, type: dep.type }))
+      )
+    };
+    
+    return new GraphExporter(graph, this.calculateExecutionPlan()).export(format, options);
+  }
+  
   /**
    * Get comprehensive status report
    */
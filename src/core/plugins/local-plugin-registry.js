@@ -0,0 +1,364 @@
+/**
+ * BUMBA Local Plugin Registry
+ * Self-hostable plugin registry: a static directory (on disk or served over
+ * HTTP) or a single tarball holding an index.json and signed packages
+ *
+ *   index.json
+ *   packages/<name>-<version>.tgz
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { logger } = require('../logging/bumba-logger');
+const {
+  PluginVerificationError,
+  readTarball,
+  packDirectory,
+  extractPackage,
+  computeIntegrity,
+  signPackage,
+  verifyPackage,
+  writeReceipt,
+  compareVersions
+} = require('./plugin-package');
+const { maxSatisfying, isValidVersion } = require('./plugin-semver');
+const { normalizeDependencies } = require('./plugin-dependencies');
+
+const INDEX_FILE = 'index.json';
+const INDEX_FORMAT = 'bumba-plugin-registry';
+
+class LocalPluginRegistry {
+  constructor(options = {}) {
+    if (!options.location) {
+      throw new Error('Plugin registry location is required');
+    }
+
+    this.location = options.location;
+    this.cacheDir = path.resolve(options.cacheDir || path.join('.bumba', 'plugin-cache'));
+    this.trustedKeys = options.trustedKeys || {};
+    this.index = null;
+    this.root = null;
+  }
+
+  /**
+   * Registry kind, from its location
+   */
+  get kind() {
+    if (/^https?:\/\//.test(this.location)) {
+      return 'http';
+    }
+    if (/\.(tgz|tar\.gz)$/.test(this.location)) {
+      return 'tarball';
+    }
+    return 'directory';
+  }
+
+  /**
+   * Load (and cache) the registry index
+   */
+  async loadIndex(options = {}) {
+    if (this.index && !options.refresh) {
+      return this.index;
+    }
+
+    if (this.kind === 'tarball') {
+      this.root = await this.unpackRegistryTarball();
+    }
+
+    let index;
+    try {
+      index = JSON.parse((await this.readFile(INDEX_FILE)).toString('utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' && options.allowMissing) {
+        index = { format: INDEX_FORMAT, formatVersion: 1, plugins: {} };
+      } else {
+        throw new Error(`Failed to read plugin registry index from ${this.location}: ${error.message}`);
+      }
+    }
+
+    if (index.format !== INDEX_FORMAT) {
+      throw new Error(`${this.location} is not a BUMBA plugin registry`);
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * Search plugins by name, description or keyword
+   */
+  async search(query = '', options = {}) {
+    const index = await this.loadIndex();
+    const term = query.toLowerCase();
+
+    const results = Object.entries(index.plugins)
+      .filter(([name, plugin]) => !term ||
+        name.toLowerCase().includes(term) ||
+        (plugin.description || '').toLowerCase().includes(term) ||
+        (plugin.keywords || []).some(keyword => keyword.toLowerCase().includes(term)))
+      .filter(([, plugin]) => !options.capability || (plugin.capabilities || []).includes(options.capability))
+      .filter(([, plugin]) => !options.author || plugin.author === options.author)
+      .map(([name, plugin]) => {
+        const latest = plugin.versions[plugin.latest];
+        return {
+          name,
+          version: plugin.latest,
+          author: plugin.author,
+          description: plugin.description,
+          capabilities: plugin.capabilities || [],
+          verified: Boolean(latest.signature && this.trustedKeys[latest.keyId]),
+          keyId: latest.keyId
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * Plugin metadata with all published versions, newest first
+   */
+  async getPluginDetails(name) {
+    const index = await this.loadIndex();
+    const plugin = index.plugins[name];
+    if (!plugin) {
+      throw new Error(`Plugin ${name} not found in registry ${this.location}`);
+    }
+
+    return {
+      name,
+      ...plugin,
+      versions: Object.keys(plugin.versions).sort(compareVersions).reverse()
+    };
+  }
+
+  /**
+   * Index entry of a version or the newest one in a semver range (latest if not given)
+   */
+  async resolve(name, version = null) {
+    const plugin = await this.getPluginDetails(name);
+    let resolved = version || plugin.latest;
+    if (!isValidVersion(resolved)) {
+      resolved = maxSatisfying(plugin.versions, resolved) || resolved;
+    }
+    const entry = (await this.loadIndex()).plugins[name].versions[resolved];
+    if (!entry) {
+      throw new Error(`Plugin ${name}@${resolved} not found (available: ${plugin.versions.join(', ')})`);
+    }
+
+    return { name, version: resolved, ...entry };
+  }
+
+  /**
+   * Download, verify and extract a package into destDir/<name>-<version>.
+   * The archive is kept in the cache so the install can be verified later.
+   */
+  async downloadPlugin(name, options = {}) {
+    const entry = await this.resolve(name, options.version);
+    const archive = await this.readFile(entry.file);
+
+    // Integrity and signature are checked before anything touches the plugins directory
+    const integrity = computeIntegrity(archive);
+    if (integrity !== entry.integrity) {
+      throw new PluginVerificationError(name, `integrity mismatch (expected ${entry.integrity}, got ${integrity})`);
+    }
+    if (options.verify !== false) {
+      verifyPackage(entry, archive, this.trustedKeys);
+    }
+
+    const archivePath = path.join(this.cacheDir, path.basename(entry.file));
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(archivePath, archive);
+
+    const pluginPath = path.resolve(options.destDir || 'plugins', `${packageBaseName(name)}-${entry.version}`);
+    await fs.rm(pluginPath, { recursive: true, force: true });
+    await extractPackage(archive, pluginPath);
+    await writeReceipt(pluginPath, {
+      name,
+      version: entry.version,
+      registry: this.location,
+      integrity: entry.integrity,
+      signature: entry.signature,
+      keyId: entry.keyId,
+      archive: archivePath,
+      installedAt: new Date().toISOString()
+    });
+
+    logger.info(`🟢 Downloaded ${name}@${entry.version} from ${this.location}`);
+    return pluginPath;
+  }
+
+  /**
+   * Newer version than currentVersion, if any
+   */
+  async checkUpdate(name, currentVersion) {
+    const latest = await this.resolve(name);
+    const hasUpdate = compareVersions(latest.version, currentVersion) > 0;
+
+    return {
+      hasUpdate,
+      version: hasUpdate ? latest.version : currentVersion,
+      changelog: hasUpdate ? latest.changelog || '' : '',
+      source: `bumba:${name}@${latest.version}`
+    };
+  }
+
+  /**
+   * Pack, sign and add a plugin directory to a directory registry
+   */
+  async publish(pluginDir, options = {}) {
+    if (this.kind !== 'directory') {
+      throw new Error('Plugins can only be published to a directory registry');
+    }
+    if (!options.privateKey || !options.keyId) {
+      throw new Error('Publishing needs a private signing key and its key ID');
+    }
+
+    const manifest = await readManifest(pluginDir);
+    const index = await this.loadIndex({ refresh: true, allowMissing: true });
+    const existing = index.plugins[manifest.name];
+    if (existing && existing.versions[manifest.version]) {
+      throw new Error(`${manifest.name}@${manifest.version} is already published`);
+    }
+
+    const archive = await packDirectory(pluginDir);
+    const file = `packages/${packageBaseName(manifest.name)}-${manifest.version}.tgz`;
+    const integrity = computeIntegrity(archive);
+    const entry = {
+      file,
+      integrity,
+      signature: signPackage({ name: manifest.name, version: manifest.version, integrity }, options.privateKey),
+      keyId: options.keyId,
+      dependencies: normalizeDependencies(manifest.pluginDependencies),
+      engines: manifest.engines && manifest.engines.bumba ? { bumba: manifest.engines.bumba } : {},
+      publishedAt: new Date().toISOString()
+    };
+    if (options.changelog) {
+      entry.changelog = options.changelog;
+    }
+
+    await fs.mkdir(path.join(this.location, 'packages'), { recursive: true });
+    await fs.writeFile(path.join(this.location, file), archive);
+
+    const plugin = existing || { versions: {} };
+    plugin.versions[manifest.version] = entry;
+    plugin.description = manifest.description;
+    plugin.author = manifest.author;
+    plugin.capabilities = manifest.capabilities || [];
+    plugin.keywords = manifest.keywords || [];
+    plugin.latest = Object.keys(plugin.versions).sort(compareVersions).pop();
+    index.plugins[manifest.name] = plugin;
+    index.updatedAt = new Date().toISOString();
+
+    const indexPath = path.join(this.location, INDEX_FILE);
+    await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index, null, 2));
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+
+    logger.info(`🟢 Published ${manifest.name}@${manifest.version} to ${this.location}`);
+    return { name: manifest.name, version: manifest.version, ...entry };
+  }
+
+  /**
+   * Read a file relative to the registry root
+   */
+  async readFile(relativePath) {
+    if (this.kind === 'http') {
+      const url = new URL(relativePath, this.location.endsWith('/') ? this.location : `${this.location}/`);
+      return httpGet(url);
+    }
+
+    const root = this.kind === 'tarball' ? this.root : this.location;
+    const resolved = path.resolve(root, relativePath);
+    if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Registry path escapes the registry: ${relativePath}`);
+    }
+    return fs.readFile(resolved);
+  }
+
+  /**
+   * Unpack a tarball registry into the cache, keyed by its content
+   */
+  async unpackRegistryTarball() {
+    const buffer = await fs.readFile(this.location);
+    const digest = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+    const root = path.join(this.cacheDir, `registry-${digest}`);
+
+    const files = readTarball(buffer);
+    for (const file of files) {
+      const target = path.join(root, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.data);
+    }
+
+    // The index may sit inside a top-level directory (tar czf registry.tgz registry/)
+    const index = files
+      .map(file => file.path)
+      .filter(filePath => path.posix.basename(filePath) === INDEX_FILE)
+      .sort((a, b) => a.length - b.length)[0];
+    return index ? path.join(root, path.posix.dirname(index)) : root;
+  }
+}
+
+/**
+ * GET a URL into a Buffer
+ */
+function httpGet(url) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    client.get(url, response => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        const error = new Error(`GET ${url} returned ${response.statusCode}`);
+        error.code = response.statusCode === 404 ? 'ENOENT' : 'EHTTP';
+        reject(error);
+        return;
+      }
+
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Name and version from a plugin's bumba.json/plugin.json and package.json.
+ * Plugin dependencies only come from bumba.json/plugin.json, as package.json
+ * dependencies are npm packages.
+ */
+async function readManifest(pluginDir) {
+  let manifest = {};
+  for (const file of ['package.json', 'plugin.json', 'bumba.json']) {
+    try {
+      const contents = JSON.parse(await fs.readFile(path.join(pluginDir, file), 'utf-8'));
+      manifest = { ...manifest, ...contents };
+      if (file !== 'package.json' && contents.dependencies) {
+        manifest.pluginDependencies = contents.dependencies;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  if (!manifest.name || !manifest.version) {
+    throw new Error(`${pluginDir} is not a plugin: name and version are required`);
+  }
+  return manifest;
+}
+
+/**
+ * File-safe form of a (possibly scoped) package name
+ */
+function packageBaseName(name) {
+  return name.replace(/^@/, '').replace(/\//g, '-');
+}
+
+module.exports = { LocalPluginRegistry };
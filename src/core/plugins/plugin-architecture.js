@@ -1,16 +1,39 @@
 /**
  * BUMBA Plugin Architecture
  * Modular extension system for third-party integrations
+ *
+ * Plugins run isolated on worker threads (see plugin-isolate.js). The API
+ * injected into them is their only way to reach files, the network, the
+ * shell, memory or hooks, and it enforces the capabilities declared in the
+ * plugin manifest (see plugin-capabilities.js). Denied calls are audited.
  */
 
 const EventEmitter = require('events');
 const path = require('path');
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { execFile } = require('child_process');
 const { logger } = require('../logging/bumba-logger');
 const { ConsciousnessLayer } = require('../consciousness/consciousness-layer');
-const { secureRequire } = require('../security/secure-executor');
+const auditLog = require('../security/audit-logger');
+const { PluginIsolate } = require('./plugin-isolate');
+const {
+  PluginPermissionError,
+  CapabilityGuard,
+  validateCapabilities,
+  resolveCapabilities
+} = require('./plugin-capabilities');
+const { satisfies, isValidVersion } = require('./plugin-semver');
+const { normalizeDependencies, validateDependencyRanges } = require('./plugin-dependencies');
+const { version: BUMBA_VERSION } = require('../../../package.json');
+
+// Largest response body or command output handed back to a plugin
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
 
 class BumbaPluginArchitecture extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.plugins = new Map();
     this.hooks = new Map();
@@ -18,6 +41,9 @@ class BumbaPluginArchitecture extends EventEmitter {
     this.dependencies = new Map();
     this.lifecycles = new Map();
     this.apiVersions = new Map();
+    this.pluginMemory = new Map();
+    this.auditLogger = options.auditLogger || null;
+    this.bumbaVersion = options.bumbaVersion || BUMBA_VERSION;
     this.consciousnessLayer = new ConsciousnessLayer();
     
     this.initializeHooks();
@@ -71,9 +97,14 @@ class BumbaPluginArchitecture extends EventEmitter {
       purpose: pluginConfig.purpose,
       capabilities: pluginConfig.capabilities || [],
       permissions: pluginConfig.permissions || {},
-      dependencies: pluginConfig.dependencies || [],
+      dependencies: normalizeDependencies(pluginConfig.dependencies),
+      engines: pluginConfig.engines || {},
       apiVersion: pluginConfig.apiVersion || '1.0',
       hooks: pluginConfig.hooks || {},
+      policy: resolveCapabilities(pluginConfig),
+      main: pluginConfig.main || 'index.js',
+      path: null,
+      config: pluginConfig.config || {},
       exports: {},
       state: 'registered',
       sandbox: null,
@@ -88,9 +119,6 @@ class BumbaPluginArchitecture extends EventEmitter {
     // Validate dependencies
     await this.validateDependencies(plugin);
     
-    // Create secure sandbox
-    plugin.sandbox = await this.createPluginSandbox(plugin);
-    
     // Store plugin
     this.plugins.set(pluginId, plugin);
     this.lifecycles.set(pluginId, new PluginLifecycle(plugin));
@@ -116,15 +144,17 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
 
     try {
-      // Load plugin code in sandbox
-      const pluginCode = await this.loadPluginCode(pluginPath);
-      
-      // Initialize plugin in sandbox
-      const pluginExports = await plugin.sandbox.execute(pluginCode, {
-        bumbaAPI: this.createPluginAPI(plugin),
-        logger: this.createPluginLogger(plugin),
-        config: plugin.config || {}
-      });
+      // Validate path
+      const resolvedPath = path.resolve(pluginPath);
+      if (!this.isPathAllowed(resolvedPath)) {
+        throw new Error('Plugin path not allowed');
+      }
+      plugin.path = await fs.realpath(resolvedPath);
+
+      // Load plugin code in its isolate
+      plugin.sandbox = await this.createPluginSandbox(plugin);
+      const functions = await plugin.sandbox.start();
+      const pluginExports = this.createPluginExports(plugin, functions);
 
       // Validate exports
       await this.validatePluginExports(pluginExports, plugin);
@@ -142,6 +172,9 @@ class BumbaPluginArchitecture extends EventEmitter {
     } catch (error) {
       plugin.state = 'error';
       plugin.metrics.errors++;
+      if (plugin.sandbox) {
+        await plugin.sandbox.terminate();
+      }
       logger.error(`Failed to load plugin ${plugin.name}:`, error);
       throw error;
     }
@@ -168,9 +201,7 @@ class BumbaPluginArchitecture extends EventEmitter {
       
       // Call plugin's onActivate if available
       if (plugin.exports.onActivate) {
-        await plugin.sandbox.execute(async () => {
-          await plugin.exports.onActivate();
-        });
+        await plugin.exports.onActivate();
       }
 
       plugin.state = 'active';
@@ -207,9 +238,7 @@ class BumbaPluginArchitecture extends EventEmitter {
     try {
       // Call plugin's onDeactivate if available
       if (plugin.exports.onDeactivate) {
-        await plugin.sandbox.execute(async () => {
-          await plugin.exports.onDeactivate();
-        });
+        await plugin.exports.onDeactivate();
       }
 
       // Run deactivation lifecycle
@@ -246,13 +275,16 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
 
     try {
-      // Cleanup sandbox
-      await plugin.sandbox.cleanup();
+      // Stop the plugin's isolate
+      if (plugin.sandbox) {
+        await plugin.sandbox.terminate();
+      }
       
       // Remove from registries
       this.plugins.delete(pluginId);
       this.lifecycles.delete(pluginId);
       this.sandboxes.delete(pluginId);
+      this.dependencies.delete(pluginId);
       
       logger.info(`🟢 Plugin unloaded: ${plugin.name}`);
       
@@ -264,6 +296,35 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
   }
 
+  /**
+   * Hand state from one loaded version of a plugin to another: the old
+   * version's getState() result is passed to the new version's migrate()
+   */
+  async migratePluginState(fromPluginId, toPluginId) {
+    const from = this.plugins.get(fromPluginId);
+    const to = this.plugins.get(toPluginId);
+    if (!from || !to) {
+      throw new Error(`Plugin ${from ? toPluginId : fromPluginId} not found`);
+    }
+
+    let migrated = false;
+    if (to.exports.migrate) {
+      const oldState = from.exports.getState ? await from.exports.getState() : null;
+      await to.exports.migrate(oldState);
+      migrated = true;
+      logger.info(`🟢 Migrated ${from.name} state from v${from.version} to v${to.version}`);
+    }
+
+    // Dependents now depend on the new version
+    for (const dependencies of this.dependencies.values()) {
+      if (dependencies.delete(fromPluginId)) {
+        dependencies.add(toPluginId);
+      }
+    }
+
+    return migrated;
+  }
+
   /**
    * Execute a hook with all registered plugins
    */
@@ -286,15 +347,8 @@ class BumbaPluginArchitecture extends EventEmitter {
       try {
         const startTime = Date.now();
         
-        // Execute in plugin sandbox with timeout
-        const result = await Promise.race([
-          plugin.sandbox.execute(async () => {
-            return await handler(context);
-          }),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Hook execution timeout')), 5000)
-          )
-        ]);
+        // Runs in the plugin's isolate, which is stopped if the handler overruns
+        const result = await handler(context, { timeout: 5000 });
 
         const executionTime = Date.now() - startTime;
         plugin.metrics.totalExecutionTime += executionTime;
@@ -338,72 +392,134 @@ class BumbaPluginArchitecture extends EventEmitter {
    * Create secure sandbox for plugin execution
    */
   async createPluginSandbox(plugin) {
-    const sandbox = new PluginSandbox({
-      pluginId: plugin.id,
-      permissions: plugin.permissions,
-      resourceLimits: {
-        memory: plugin.permissions.maxMemory || 50 * 1024 * 1024, // 50MB default
-        cpu: plugin.permissions.maxCpu || 0.5, // 50% CPU default
-        timeout: plugin.permissions.timeout || 30000 // 30s default
+    const sandbox = new PluginIsolate({
+      name: `plugin-${plugin.name}`,
+      pluginDir: plugin.path,
+      main: plugin.main,
+      api: this.createPluginAPI(plugin),
+      globals: { config: plugin.config },
+      memoryLimitMb: Math.ceil((plugin.permissions.maxMemory || 50 * 1024 * 1024) / (1024 * 1024)), // 50MB default
+      timeout: plugin.permissions.timeout || 30000, // 30s default
+      onDenied: ({ capability, target }) => {
+        this.auditDenial(plugin, capability, 'load', target, 'plugins can only reach the host through the injected api');
       }
     });
 
-    await sandbox.initialize();
-    
     this.sandboxes.set(plugin.id, sandbox);
     
     return sandbox;
   }
 
+  /**
+   * Host-side exports of an isolated plugin: each exported function forwards
+   * to the isolate and takes one cloneable argument
+   */
+  createPluginExports(plugin, functions) {
+    const exports = {};
+
+    for (const name of functions) {
+      const call = (input, options) => plugin.sandbox.invoke(name, input, options);
+      const [first, second] = name.split('.');
+      if (second === undefined) {
+        exports[first] = call;
+      } else {
+        exports[first] = exports[first] || {};
+        exports[first][second] = call;
+      }
+    }
+
+    return exports;
+  }
+
   /**
    * Create API interface for plugins
+   * Plugins see these as api.<namespace>.<name>; every call is checked
+   * against the plugin's declared capabilities
    */
   createPluginAPI(plugin) {
+    const guard = () => new CapabilityGuard(plugin.policy, plugin.path);
     const api = {
-      version: plugin.apiVersion,
-      
-      // Agent management
-      agents: {
-        spawn: this.createSandboxedFunction(plugin, 'spawnAgent'),
-        list: this.createSandboxedFunction(plugin, 'listAgents'),
-        communicate: this.createSandboxedFunction(plugin, 'communicateWithAgent')
+      // Files, limited to the declared fs globs
+      'fs.readFile': async (file, encoding = 'utf-8') => {
+        const target = await this.authorizePath(plugin, guard(), 'read', file);
+        return fs.readFile(target, encoding);
       },
-      
-      // Memory access
-      memory: {
-        store: this.createSandboxedFunction(plugin, 'storeMemory'),
-        retrieve: this.createSandboxedFunction(plugin, 'retrieveMemory'),
-        search: this.createSandboxedFunction(plugin, 'searchMemory')
+      'fs.writeFile': async (file, data) => {
+        const target = await this.authorizePath(plugin, guard(), 'write', file);
+        await fs.writeFile(target, data);
+        return true;
       },
-      
-      // Collaboration
-      collaboration: {
-        createSession: this.createSandboxedFunction(plugin, 'createCollaborationSession'),
-        joinSession: this.createSandboxedFunction(plugin, 'joinCollaborationSession'),
-        sendMessage: this.createSandboxedFunction(plugin, 'sendCollaborationMessage')
+      'fs.readdir': async (dir = '.') => {
+        return fs.readdir(await this.authorizePath(plugin, guard(), 'read', dir));
       },
-      
+      'fs.exists': async (file) => {
+        const target = await this.authorizePath(plugin, guard(), 'read', file);
+        return fs.access(target).then(() => true, () => false);
+      },
+      'fs.mkdir': async (dir) => {
+        await fs.mkdir(await this.authorizePath(plugin, guard(), 'write', dir), { recursive: true });
+        return true;
+      },
+
+      // HTTP(S) to the declared hosts; redirects are not followed
+      'net.fetch': async (url, options = {}) => {
+        await this.authorize(plugin, 'network', 'fetch', url, guard().checkHost(url));
+        return this.fetchForPlugin(url, options);
+      },
+
+      // Declared commands only, run without a shell from the plugin directory
+      'shell.exec': async (command, args = [], options = {}) => {
+        await this.authorize(plugin, 'shell', 'exec', command, guard().checkCommand(command));
+        return this.execForPlugin(plugin, command, args, options);
+      },
+
+      // Memory, namespaced per plugin
+      'memory.store': async (key, value) => {
+        await this.authorize(plugin, 'memory', 'write', key, guard().checkMemory('write'));
+        this.pluginMemory.set(`${plugin.name}:${key}`, value);
+        return true;
+      },
+      'memory.retrieve': async (key) => {
+        await this.authorize(plugin, 'memory', 'read', key, guard().checkMemory('read'));
+        const value = this.pluginMemory.get(`${plugin.name}:${key}`);
+        return value === undefined ? null : value;
+      },
+      'memory.search': async (query = '') => {
+        await this.authorize(plugin, 'memory', 'read', query, guard().checkMemory('read'));
+        const prefix = `${plugin.name}:`;
+        return Array.from(this.pluginMemory.entries())
+          .filter(([key]) => key.startsWith(prefix) && key.slice(prefix.length).includes(query))
+          .map(([key, value]) => ({ key: key.slice(prefix.length), value }));
+      },
+
+      // Hooks declared by the plugin
+      'hooks.execute': async (hookName, context = {}) => {
+        await this.authorize(plugin, 'hooks', 'execute', hookName, guard().checkHook(hookName));
+        return this.executeHook(hookName, context);
+      },
+
       // Events
-      events: {
-        emit: this.createSandboxedFunction(plugin, 'emitEvent'),
-        on: this.createSandboxedFunction(plugin, 'addEventListener'),
-        off: this.createSandboxedFunction(plugin, 'removeEventListener')
+      'events.emit': async (event, data) => {
+        this.emit('plugin_event', { pluginId: plugin.id, event, data });
+        return true;
       },
-      
+
       // Utilities
-      utils: {
-        generateId: () => this.generateId(),
-        hash: (data) => this.hashData(data),
-        sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
-      }
+      'utils.generateId': async () => this.generateId(),
+      'utils.hash': async (data) => this.hashData(data)
     };
 
-    // Add version-specific features
-    if (plugin.apiVersion >= '2.0') {
-      api.advanced = {
-        consciousness: {
-          validateIntent: this.createSandboxedFunction(plugin, 'validateIntent'),
-          getMetrics: this.createSandboxedFunction(plugin, 'getConsciousnessMetrics')
+    // Track usage of every call
+    for (const [name, fn] of Object.entries(api)) {
+      api[name] = async (...args) => {
+        const startTime = Date.now();
+        try {
+          return await fn(...args);
+        } catch (error) {
+          plugin.metrics.errors++;
+          throw error;
+        } finally {
+          this.trackAPIUsage(plugin.id, name, Date.now() - startTime);
         }
       };
     }
@@ -412,44 +528,148 @@ class BumbaPluginArchitecture extends EventEmitter {
   }
 
   /**
-   * Create sandboxed function with permission checking
+   * Throw and audit when a guard check returned a denial reason
    */
-  createSandboxedFunction(plugin, functionName) {
-    return async (...args) => {
-      // Check if plugin has permission
-      if (!this.hasPermission(plugin, functionName)) {
-        throw new Error(`Plugin ${plugin.name} lacks permission for ${functionName}`);
-      }
+  async authorize(plugin, capability, operation, target, reason) {
+    if (reason) {
+      this.auditDenial(plugin, capability, operation, target, reason);
+      throw new PluginPermissionError(plugin.name, capability, operation, target, reason);
+    }
+  }
 
-      // Execute with monitoring
-      const startTime = Date.now();
-      
-      try {
-        const result = await this[functionName](plugin, ...args);
-        
-        // Track metrics
-        const executionTime = Date.now() - startTime;
-        this.trackAPIUsage(plugin.id, functionName, executionTime);
-        
-        return result;
-        
-      } catch (error) {
-        plugin.metrics.errors++;
-        throw error;
-      }
+  /**
+   * Resolve a plugin-supplied path (relative to the plugin directory, with
+   * symlinks followed) and check it against the fs globs
+   */
+  async authorizePath(plugin, guard, operation, file) {
+    if (typeof file !== 'string' || file === '') {
+      throw new TypeError('Path must be a non-empty string');
+    }
+
+    const target = await realPath(path.resolve(plugin.path, file));
+    await this.authorize(plugin, 'fs', operation, target, guard.checkPath(operation, target));
+    return target;
+  }
+
+  /**
+   * Record a denied plugin call in the audit log
+   */
+  auditDenial(plugin, capability, operation, target, reason) {
+    const denial = {
+      pluginId: plugin.id,
+      pluginName: plugin.name,
+      capability,
+      operation,
+      target,
+      reason
     };
+
+    logger.warn(`🟡 Plugin ${plugin.name} denied ${capability}.${operation} ${target}: ${reason}`);
+    this.emit('plugin_permission_denied', denial);
+
+    try {
+      this.getAuditLogger().log({
+        type: 'PLUGIN_PERMISSION_DENIED',
+        severity: 'WARNING',
+        user: `plugin:${plugin.name}`,
+        resource: String(target),
+        action: `${capability}.${operation}`,
+        result: 'DENIED',
+        reason,
+        metadata: { pluginId: plugin.id, version: plugin.version }
+      }).catch(error => logger.debug(`Failed to audit plugin denial: ${error.message}`));
+    } catch (error) {
+      logger.debug(`Failed to audit plugin denial: ${error.message}`);
+    }
+  }
+
+  getAuditLogger() {
+    if (!this.auditLogger) {
+      this.auditLogger = auditLog.getInstance();
+    }
+    return this.auditLogger;
+  }
+
+  /**
+   * HTTP(S) request on behalf of a plugin
+   */
+  fetchForPlugin(url, options) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        timeout: options.timeout || 30000
+      }, response => {
+        const chunks = [];
+        let size = 0;
+        response.on('data', chunk => {
+          size += chunk.length;
+          if (size > MAX_OUTPUT_BYTES) {
+            request.destroy(new Error(`Response from ${target.host} exceeds ${MAX_OUTPUT_BYTES} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve({
+          status: response.statusCode,
+          headers: response.headers,
+          body: Buffer.concat(chunks).toString('utf-8')
+        }));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Request to ${target.host} timed out`)));
+      request.on('error', reject);
+      request.end(options.body);
+    });
+  }
+
+  /**
+   * Run a command on behalf of a plugin
+   */
+  execForPlugin(plugin, command, args, options) {
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      return Promise.reject(new TypeError('Command arguments must be an array of strings'));
+    }
+
+    return new Promise(resolve => {
+      execFile(command, args, {
+        cwd: plugin.path,
+        env: { PATH: process.env.PATH },
+        timeout: options.timeout || 30000,
+        maxBuffer: MAX_OUTPUT_BYTES,
+        shell: false
+      }, (error, stdout, stderr) => {
+        resolve({
+          code: error ? (typeof error.code === 'number' ? error.code : 1) : 0,
+          stdout: String(stdout),
+          stderr: String(stderr) || (error && typeof error.code !== 'number' ? error.message : '')
+        });
+      });
+    });
   }
 
   /**
    * Register plugin hooks
    */
   async registerPluginHooks(plugin) {
-    for (const [hookName, handler] of Object.entries(plugin.hooks)) {
+    const guard = new CapabilityGuard(plugin.policy, plugin.path);
+
+    for (const [hookName, handler] of Object.entries(plugin.exports.hooks || {})) {
       if (!this.hooks.has(hookName)) {
         logger.warn(`Unknown hook ${hookName} for plugin ${plugin.name}`);
         continue;
       }
 
+      const reason = guard.checkHook(hookName);
+      if (reason) {
+        this.auditDenial(plugin, 'hooks', 'register', hookName, reason);
+        continue;
+      }
+
       this.hooks.get(hookName).add({
         pluginId: plugin.id,
         handler
@@ -463,13 +683,10 @@ class BumbaPluginArchitecture extends EventEmitter {
    * Unregister plugin hooks
    */
   async unregisterPluginHooks(plugin) {
-    for (const hookName of Object.keys(plugin.hooks)) {
-      const hookHandlers = this.hooks.get(hookName);
-      if (hookHandlers) {
-        // Remove handlers for this plugin
-        const toRemove = Array.from(hookHandlers).filter(h => h.pluginId === plugin.id);
-        toRemove.forEach(handler => hookHandlers.delete(handler));
-      }
+    for (const hookHandlers of this.hooks.values()) {
+      // Remove handlers for this plugin
+      const toRemove = Array.from(hookHandlers).filter(h => h.pluginId === plugin.id);
+      toRemove.forEach(handler => hookHandlers.delete(handler));
     }
   }
 
@@ -486,26 +703,20 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
 
     // Validate version format
-    if (!/^\d+\.\d+\.\d+$/.test(pluginConfig.version)) {
+    if (!isValidVersion(pluginConfig.version)) {
       throw new Error('Invalid plugin version format. Use semver (e.g., 1.0.0)');
     }
 
+    // Validate version ranges and the BUMBA versions the plugin runs on
+    validateDependencyRanges(pluginConfig);
+    const engine = pluginConfig.engines && pluginConfig.engines.bumba;
+    if (engine && !satisfies(this.bumbaVersion, engine)) {
+      throw new Error(`Plugin ${pluginConfig.name} requires BUMBA ${engine} (running ${this.bumbaVersion})`);
+    }
+
     // Validate capabilities
     if (pluginConfig.capabilities) {
-      const validCapabilities = [
-        'agent_management',
-        'memory_access',
-        'collaboration',
-        'file_system',
-        'network',
-        'ui_extension'
-      ];
-      
-      for (const capability of pluginConfig.capabilities) {
-        if (!validCapabilities.includes(capability)) {
-          throw new Error(`Invalid capability: ${capability}`);
-        }
-      }
+      validateCapabilities(pluginConfig.capabilities);
     }
 
     // Validate permissions
@@ -547,16 +758,17 @@ class BumbaPluginArchitecture extends EventEmitter {
    * Validate plugin dependencies
    */
   async validateDependencies(plugin) {
-    for (const dep of plugin.dependencies) {
-      const [depName, depVersion] = dep.split('@');
-      
-      // Check if dependency is loaded
+    for (const [depName, range] of Object.entries(plugin.dependencies)) {
+      // Check if dependency is registered; during an upgrade both versions may be
       const depPlugin = Array.from(this.plugins.values()).find(p => 
-        p.name === depName && this.satisfiesVersion(p.version, depVersion)
+        p.name === depName && p.state !== 'error' && this.satisfiesVersion(p.version, range)
       );
 
       if (!depPlugin) {
-        throw new Error(`Missing dependency: ${dep}`);
+        const present = Array.from(this.plugins.values()).find(p => p.name === depName);
+        throw new Error(present
+          ? `Dependency ${depName}@${present.version} does not satisfy ${range} required by ${plugin.name}`
+          : `Missing dependency: ${depName}@${range}`);
       }
 
       // Track dependency
@@ -567,24 +779,6 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
   }
 
-  /**
-   * Load plugin code securely
-   */
-  async loadPluginCode(pluginPath) {
-    // Validate path
-    const resolvedPath = path.resolve(pluginPath);
-    
-    // Security check
-    if (!this.isPathAllowed(resolvedPath)) {
-      throw new Error('Plugin path not allowed');
-    }
-
-    // Load and validate code
-    const code = await secureRequire(resolvedPath);
-    
-    return code;
-  }
-
   /**
    * Validate plugin exports
    */
@@ -603,7 +797,7 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
 
     // Validate lifecycle methods
-    const lifecycleMethods = ['onActivate', 'onDeactivate', 'onError'];
+    const lifecycleMethods = ['onActivate', 'onDeactivate', 'onError', 'getState', 'migrate'];
     for (const method of lifecycleMethods) {
       if (exports[method] && typeof exports[method] !== 'function') {
         throw new Error(`${method} must be a function`);
@@ -611,24 +805,6 @@ class BumbaPluginArchitecture extends EventEmitter {
     }
   }
 
-  /**
-   * Check if plugin has permission
-   */
-  hasPermission(plugin, operation) {
-    const permissionMap = {
-      spawnAgent: 'agent_spawn',
-      communicateWithAgent: 'agent_communicate',
-      storeMemory: 'memory_write',
-      retrieveMemory: 'memory_read',
-      searchMemory: 'memory_read'
-    };
-
-    const permission = permissionMap[operation];
-    if (!permission) {return true;} // No permission required
-
-    return plugin.permissions[permission] === true;
-  }
-
   /**
    * Track API usage metrics
    */
@@ -694,8 +870,7 @@ class BumbaPluginArchitecture extends EventEmitter {
   }
 
   satisfiesVersion(version, requirement) {
-    // Simple version check - would use semver in production
-    return version === requirement || requirement === '*';
+    return satisfies(version, requirement || '*');
   }
 
   isPathAllowed(pluginPath) {
@@ -762,89 +937,19 @@ class PluginLifecycle {
 }
 
 /**
- * Plugin Sandbox for secure execution
+ * Real path of a file that may not exist yet: symlinks in the part that
+ * does exist are resolved, so they cannot point a plugin outside its globs
  */
-class PluginSandbox {
-  constructor(config) {
-    this.pluginId = config.pluginId;
-    this.permissions = config.permissions;
-    this.resourceLimits = config.resourceLimits;
-    this.context = null;
-  }
-
-  async initialize() {
-    // Create isolated context
-    this.context = {
-      global: {},
-      console: this.createSafeConsole(),
-      setTimeout: this.createSafeTimer('setTimeout'),
-      setInterval: this.createSafeTimer('setInterval'),
-      Promise: Promise,
-      Array: Array,
-      Object: Object,
-      String: String,
-      Number: Number,
-      Boolean: Boolean,
-      Date: Date,
-      Math: Math,
-      JSON: JSON
-    };
-  }
-
-  async execute(code, additionalContext = {}) {
-    // Merge contexts
-    const executionContext = {
-      ...this.context,
-      ...additionalContext
-    };
-
-    // Execute with resource limits
-    try {
-      if (typeof code === 'function') {
-        return await code.call(executionContext);
-      } else {
-        // Create function from code string
-        const fn = new Function(...Object.keys(executionContext), code);
-        return await fn.call(null, ...Object.values(executionContext));
-      }
-    } catch (error) {
-      logger.error(`Sandbox execution error for plugin ${this.pluginId}:`, error);
+async function realPath(file) {
+  try {
+    return await fs.realpath(file);
+  } catch (error) {
+    const parent = path.dirname(file);
+    if (error.code !== 'ENOENT' || parent === file) {
       throw error;
     }
-  }
-
-  createSafeConsole() {
-    return {
-      log: (...args) => logger.info(`[Plugin ${this.pluginId}]`, ...args),
-      error: (...args) => logger.error(`[Plugin ${this.pluginId}]`, ...args),
-      warn: (...args) => logger.warn(`[Plugin ${this.pluginId}]`, ...args),
-      debug: (...args) => logger.debug(`[Plugin ${this.pluginId}]`, ...args)
-    };
-  }
-
-  createSafeTimer(type) {
-    const timers = new Set();
-    
-    return (fn, delay, ...args) => {
-      if (delay > this.resourceLimits.timeout) {
-        throw new Error(`Timer delay exceeds limit: ${delay}ms`);
-      }
-
-      const timer = global[type](() => {
-        timers.delete(timer);
-        fn(...args);
-      }, delay);
-
-      timers.add(timer);
-      
-      return timer;
-    };
-  }
-
-  async cleanup() {
-    // Cleanup resources
-    this.context = null;
+    return path.join(await realPath(parent), path.basename(file));
   }
 }
 
-module.exports = { BumbaPluginArchitecture, PluginLifecycle, PluginSandbox };
\ No newline at end of file
+module.exports = { BumbaPluginArchitecture, PluginLifecycle };
@@ -0,0 +1,264 @@
+/**
+ * BUMBA Plugin Capabilities
+ * Turns a plugin manifest's capability declarations into the policy its
+ * injected API enforces. Manifests declare scoped capabilities:
+ *
+ *   "capabilities": {
+ *     "fs": { "read": ["data/**"], "write": ["data/out/**"] },
+ *     "network": { "hosts": ["api.github.com", "*.acme.internal"] },
+ *     "shell": { "commands": ["git"] },
+ *     "memory": { "read": true, "write": false },
+ *     "hooks": ["beforeTaskExecution"]
+ *   }
+ *
+ * Relative fs globs are resolved against the plugin directory. The older
+ * array form (["file_system", "network"]) and boolean permissions are still
+ * accepted and map to the plugin directory and any host respectively.
+ */
+
+const path = require('path');
+const { URL } = require('url');
+
+const LEGACY_CAPABILITIES = [
+  'agent_management',
+  'memory_access',
+  'collaboration',
+  'file_system',
+  'network',
+  'ui_extension'
+];
+
+const CAPABILITY_SCHEMA = {
+  fs: { read: 'strings', write: 'strings' },
+  network: { hosts: 'strings' },
+  shell: { commands: 'strings' },
+  memory: { read: 'boolean', write: 'boolean' },
+  hooks: 'strings'
+};
+
+class PluginPermissionError extends Error {
+  constructor(pluginName, capability, operation, target, reason) {
+    super(`Plugin ${pluginName} may not ${capability}.${operation} ${target}: ${reason}`);
+    this.name = 'PluginPermissionError';
+    this.pluginName = pluginName;
+    this.capability = capability;
+    this.operation = operation;
+    this.target = target;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Throw on capability declarations the policy cannot express
+ */
+function validateCapabilities(capabilities) {
+  if (Array.isArray(capabilities)) {
+    for (const capability of capabilities) {
+      if (!LEGACY_CAPABILITIES.includes(capability)) {
+        throw new Error(`Invalid capability: ${capability}`);
+      }
+    }
+    return;
+  }
+
+  if (capabilities === null || typeof capabilities !== 'object') {
+    throw new Error('Plugin capabilities must be an object or an array');
+  }
+
+  for (const [capability, value] of Object.entries(capabilities)) {
+    const schema = CAPABILITY_SCHEMA[capability];
+    if (!schema) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+
+    if (schema === 'strings') {
+      checkField(capability, value, 'strings');
+      continue;
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Capability ${capability} must be an object`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (!schema[field]) {
+        throw new Error(`Invalid capability field: ${capability}.${field}`);
+      }
+      checkField(`${capability}.${field}`, fieldValue, schema[field]);
+    }
+  }
+}
+
+/**
+ * Policy for a plugin config: { fs, network, shell, memory, hooks }
+ */
+function resolveCapabilities(pluginConfig) {
+  const declared = pluginConfig.capabilities || [];
+  const permissions = pluginConfig.permissions || {};
+  const legacy = Array.isArray(declared) ? declared : [];
+  const scoped = Array.isArray(declared) ? {} : declared;
+  const everything = ['**'];
+
+  const policy = {
+    fs: {
+      read: scoped.fs?.read || (legacy.includes('file_system') || permissions.file_read ? everything : []),
+      write: scoped.fs?.write || (legacy.includes('file_system') || permissions.file_write ? everything : [])
+    },
+    network: {
+      hosts: scoped.network?.hosts || (legacy.includes('network') || permissions.network_access ? ['*'] : [])
+    },
+    shell: {
+      commands: scoped.shell?.commands || []
+    },
+    memory: {
+      read: scoped.memory?.read ?? (legacy.includes('memory_access') || permissions.memory_read === true),
+      write: scoped.memory?.write ?? (legacy.includes('memory_access') || permissions.memory_write === true)
+    },
+    // Hooks named in the manifest were always the ones a plugin could register
+    hooks: scoped.hooks || hookNames(pluginConfig.hooks)
+  };
+
+  return policy;
+}
+
+/**
+ * Checks calls against a plugin's policy; each check returns the reason a
+ * call is denied, or null when it is allowed
+ */
+class CapabilityGuard {
+  constructor(policy, pluginDir) {
+    this.policy = policy;
+    this.pluginDir = path.resolve(pluginDir || '.');
+    this.fsPatterns = {
+      read: policy.fs.read.map(glob => globToRegExp(path.resolve(this.pluginDir, glob))),
+      write: policy.fs.write.map(glob => globToRegExp(path.resolve(this.pluginDir, glob)))
+    };
+  }
+
+  /**
+   * Absolute file path against the fs read or write globs
+   */
+  checkPath(operation, filePath) {
+    const patterns = this.fsPatterns[operation] || [];
+    if (patterns.length === 0) {
+      return `no fs.${operation} capability declared`;
+    }
+    const target = path.resolve(filePath).split(path.sep).join('/');
+    if (!patterns.some(pattern => pattern.test(target))) {
+      return `outside the declared fs.${operation} paths`;
+    }
+    return null;
+  }
+
+  /**
+   * URL host against the network allowlist
+   */
+  checkHost(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'not a valid URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return `protocol ${parsed.protocol} is not allowed`;
+    }
+
+    const hosts = this.policy.network.hosts;
+    if (hosts.length === 0) {
+      return 'no network capability declared';
+    }
+    if (!hosts.some(pattern => hostMatches(pattern, parsed))) {
+      return `host ${parsed.host} is not in the network allowlist`;
+    }
+    return null;
+  }
+
+  /**
+   * Command name against the shell allowlist
+   */
+  checkCommand(command) {
+    const commands = this.policy.shell.commands;
+    if (commands.length === 0) {
+      return 'no shell capability declared';
+    }
+    if (!commands.includes(command)) {
+      return `command ${command} is not in the shell allowlist`;
+    }
+    return null;
+  }
+
+  checkMemory(operation) {
+    return this.policy.memory[operation] ? null : `no memory.${operation} capability declared`;
+  }
+
+  checkHook(hookName) {
+    const hooks = this.policy.hooks;
+    return hooks.includes('*') || hooks.includes(hookName) ? null : `hook ${hookName} is not declared`;
+  }
+}
+
+/**
+ * Glob with **, * and ? to an anchored RegExp
+ */
+function globToRegExp(glob) {
+  const pattern = glob.split(path.sep).join('/');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (pattern.slice(i) === '/**') {
+      // "dir/**" also matches "dir" itself
+      source += '(?:/.*)?';
+      break;
+    } else if (pattern.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (pattern.startsWith('**', i)) {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function hostMatches(pattern, url) {
+  if (pattern === '*') {
+    return true;
+  }
+  const host = pattern.includes(':') ? url.host : url.hostname;
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.slice(1));
+  }
+  return host === pattern;
+}
+
+function hookNames(hooks) {
+  if (Array.isArray(hooks)) {
+    return hooks;
+  }
+  return hooks ? Object.keys(hooks) : [];
+}
+
+function checkField(name, value, type) {
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    throw new Error(`Capability ${name} must be boolean`);
+  }
+  if (type === 'strings' && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+    throw new Error(`Capability ${name} must be an array of strings`);
+  }
+}
+
+module.exports = {
+  PluginPermissionError,
+  CapabilityGuard,
+  LEGACY_CAPABILITIES,
+  validateCapabilities,
+  resolveCapabilities,
+  globToRegExp
+};
@@ -0,0 +1,261 @@
+/**
+ * BUMBA Plugin Dependencies
+ * Resolves a consistent set of plugin versions. Plugins declare the BUMBA
+ * versions they run on and the plugins they need as semver ranges:
+ *
+ *   "engines": { "bumba": "^1.3.0" },
+ *   "dependencies": { "acme-notes": "^1.2.0" }
+ *
+ * The array form (["acme-notes@^1.2.0"]) is accepted too. Installed plugins
+ * stay at their version unless the resolution is replacing them.
+ */
+
+const { compareVersions, satisfies, isValidRange } = require('./plugin-semver');
+
+class PluginDependencyError extends Error {
+  constructor(message, conflicts = []) {
+    super(conflicts.length > 0 ? `${message}: ${conflicts.join('; ')}` : message);
+    this.name = 'PluginDependencyError';
+    this.conflicts = conflicts;
+  }
+}
+
+/**
+ * Dependencies as { name: range }, from either manifest form
+ */
+function normalizeDependencies(dependencies) {
+  if (!dependencies) {
+    return {};
+  }
+  if (!Array.isArray(dependencies)) {
+    return { ...dependencies };
+  }
+
+  const normalized = {};
+  for (const dependency of dependencies) {
+    // Scoped names start with @, so only a later @ separates the range
+    const at = dependency.lastIndexOf('@');
+    if (at > 0) {
+      normalized[dependency.slice(0, at)] = dependency.slice(at + 1) || '*';
+    } else {
+      normalized[dependency] = '*';
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Throw on dependency or engine ranges that cannot be parsed
+ */
+function validateDependencyRanges(manifest) {
+  for (const [name, range] of Object.entries(normalizeDependencies(manifest.dependencies))) {
+    if (!isValidRange(range)) {
+      throw new Error(`Invalid version range for dependency ${name}: ${range}`);
+    }
+  }
+  const engine = manifest.engines && manifest.engines.bumba;
+  if (engine !== undefined && !isValidRange(engine)) {
+    throw new Error(`Invalid BUMBA version range: ${engine}`);
+  }
+}
+
+class PluginDependencyResolver {
+  /**
+   * @param {Object} options
+   * @param {string} options.bumbaVersion - Version engine ranges are checked against
+   * @param {Array} options.installed - Installed plugins as { name, version, dependencies, engines }
+   * @param {Object} options.registry - LocalPluginRegistry to find versions in, if any
+   */
+  constructor(options = {}) {
+    this.bumbaVersion = options.bumbaVersion;
+    this.installed = new Map((options.installed || []).map(plugin => [plugin.name, plugin]));
+    this.registry = options.registry || null;
+    this.candidateCache = new Map();
+    this.failures = [];
+  }
+
+  /**
+   * Pick a version for every requested plugin and everything it needs.
+   * Requests are { name, range } or { name, manifest } for a plugin that is
+   * already on disk. Names in `replaces` are installed plugins that may move.
+   * Returns the plan in install order, dependencies first:
+   *   [{ name, version, action: 'keep' | 'install', manifest }]
+   */
+  async resolve(requests, options = {}) {
+    const replaced = new Set([...(options.replaces || []), ...requests.map(request => request.name)]);
+    const constraints = new Map();
+    const fixed = new Map();
+    this.failures = [];
+
+    // Plugins that stay installed keep their requirements
+    for (const plugin of this.installed.values()) {
+      if (!replaced.has(plugin.name)) {
+        addConstraints(constraints, plugin);
+      }
+    }
+
+    for (const request of requests) {
+      if (request.manifest) {
+        fixed.set(request.name, request.manifest);
+      }
+      if (request.range) {
+        addConstraint(constraints, request.name, request.range, 'the install request');
+      }
+    }
+
+    const selected = await this.search(requests.map(request => request.name), new Map(), constraints, replaced, fixed);
+    if (!selected) {
+      throw new PluginDependencyError('Cannot resolve plugin dependencies', [...new Set(this.failures)]);
+    }
+
+    return this.order(selected);
+  }
+
+  /**
+   * Depth-first search with backtracking over candidate versions, newest first
+   */
+  async search(pending, selected, constraints, replaced, fixed) {
+    if (pending.length === 0) {
+      return selected;
+    }
+
+    const [name, ...rest] = pending;
+    const required = constraints.get(name) || [];
+
+    if (selected.has(name)) {
+      const chosen = selected.get(name);
+      const unmet = required.find(({ range }) => !satisfies(chosen.version, range));
+      if (unmet) {
+        this.failures.push(`${name}@${chosen.version} does not satisfy ${unmet.range} required by ${unmet.by}`);
+        return null;
+      }
+      return this.search(rest, selected, constraints, replaced, fixed);
+    }
+
+    const candidates = await this.candidates(name, replaced, fixed);
+    if (candidates.length === 0) {
+      this.failures.push(`${name} is not installed and not available from the plugin registry`);
+      return null;
+    }
+
+    for (const candidate of candidates) {
+      const unmet = required.find(({ range }) => !satisfies(candidate.version, range));
+      if (unmet) {
+        continue;
+      }
+
+      const engine = candidate.manifest.engines && candidate.manifest.engines.bumba;
+      if (engine && this.bumbaVersion && !satisfies(this.bumbaVersion, engine)) {
+        this.failures.push(`${name}@${candidate.version} requires BUMBA ${engine} (running ${this.bumbaVersion})`);
+        continue;
+      }
+
+      const nextConstraints = new Map(Array.from(constraints, ([key, list]) => [key, [...list]]));
+      addConstraints(nextConstraints, { name, version: candidate.version, dependencies: candidate.manifest.dependencies });
+
+      const nextSelected = new Map(selected);
+      nextSelected.set(name, candidate);
+
+      const dependencies = Object.keys(normalizeDependencies(candidate.manifest.dependencies));
+      const result = await this.search([...rest, ...dependencies], nextSelected, nextConstraints, replaced, fixed);
+      if (result) {
+        return result;
+      }
+    }
+
+    if (required.length > 0) {
+      const ranges = required.map(({ range, by }) => `${range} (required by ${by})`).join(', ');
+      this.failures.push(`no version of ${name} satisfies ${ranges}; available: ${candidates.map(candidate => candidate.version).join(', ')}`);
+    }
+    return null;
+  }
+
+  /**
+   * Versions a plugin may resolve to, preferred first
+   */
+  async candidates(name, replaced, fixed) {
+    if (fixed.has(name)) {
+      const manifest = fixed.get(name);
+      return [{ name, version: manifest.version, action: 'install', manifest }];
+    }
+
+    const installed = this.installed.get(name);
+    if (installed && !replaced.has(name)) {
+      return [{ name, version: installed.version, action: 'keep', manifest: installed }];
+    }
+
+    if (!this.candidateCache.has(name)) {
+      this.candidateCache.set(name, await this.registryCandidates(name));
+    }
+    return this.candidateCache.get(name);
+  }
+
+  async registryCandidates(name) {
+    if (!this.registry) {
+      return [];
+    }
+
+    let details;
+    try {
+      details = await this.registry.getPluginDetails(name);
+    } catch {
+      return [];
+    }
+
+    const candidates = [];
+    for (const version of details.versions) {
+      const entry = await this.registry.resolve(name, version);
+      candidates.push({
+        name,
+        version,
+        action: 'install',
+        manifest: { name, version, dependencies: entry.dependencies || {}, engines: entry.engines || {} }
+      });
+    }
+    return candidates.sort((a, b) => compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Selected plugins with every dependency before its dependents
+   */
+  order(selected) {
+    const plan = [];
+    const visited = new Set();
+
+    const visit = name => {
+      if (visited.has(name) || !selected.has(name)) {
+        return;
+      }
+      visited.add(name);
+      for (const dependency of Object.keys(normalizeDependencies(selected.get(name).manifest.dependencies))) {
+        visit(dependency);
+      }
+      plan.push(selected.get(name));
+    };
+
+    for (const name of selected.keys()) {
+      visit(name);
+    }
+    return plan;
+  }
+}
+
+function addConstraints(constraints, plugin) {
+  for (const [name, range] of Object.entries(normalizeDependencies(plugin.dependencies))) {
+    addConstraint(constraints, name, range, `${plugin.name}@${plugin.version}`);
+  }
+}
+
+function addConstraint(constraints, name, range, by) {
+  if (!constraints.has(name)) {
+    constraints.set(name, []);
+  }
+  constraints.get(name).push({ range, by });
+}
+
+module.exports = {
+  PluginDependencyError,
+  PluginDependencyResolver,
+  normalizeDependencies,
+  validateDependencyRanges
+};
@@ -0,0 +1,170 @@
+/**
+ * BUMBA Plugin Isolate Worker
+ * Loads one plugin into a vm context on its own worker thread. Plugin
+ * modules can require each other and the packages under the plugin's own
+ * node_modules; Node builtins are denied, so the injected `api` is the only
+ * way to reach the filesystem, network, shell, memory or hooks.
+ */
+
+'use strict';
+
+const vm = require('vm');
+const path = require('path');
+const fs = require('fs');
+const { builtinModules } = require('module');
+const { parentPort, workerData } = require('worker_threads');
+const { bootstrap, moduleRuntime, describeError, parseError } = require('../workflow/sandbox-bootstrap');
+
+const { pluginDir, main, globals, apiNames, filename } = workerData;
+const root = fs.realpathSync(pluginDir);
+const timers = new Map();
+const EXTENSIONS = ['', '.js', '.json'];
+
+const context = vm.createContext(Object.create(null), {
+  name: filename,
+  codeGeneration: { strings: false, wasm: false }
+});
+
+const bridge = vm.runInContext(`(${bootstrap})`, context, { filename: 'sandbox-bootstrap.js' })({
+  send: message => parentPort.postMessage(message),
+  schedule: (id, delay) => {
+    timers.set(id, setTimeout(() => {
+      timers.delete(id);
+      bridge.fire(id);
+    }, delay));
+  },
+  cancel: id => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+}, apiNames, globals);
+
+const modules = vm.runInContext(`(${moduleRuntime})`, context, { filename: 'sandbox-modules.js' })({
+  resolve: (fromId, specifier) => resolveModule(path.dirname(fromId), specifier),
+  compile: id => compileModule(id),
+  describe: bridge.describe
+});
+
+/**
+ * Module id (real path) for a require inside the plugin
+ */
+function resolveModule(fromDir, specifier) {
+  const bare = specifier.replace(/^node:/, '');
+  if (specifier.startsWith('node:') || builtinModules.includes(bare) || builtinModules.includes(bare.split('/')[0])) {
+    parentPort.postMessage({ type: 'denied', capability: 'require', target: bare });
+    throw new Error(`Plugins may not require '${bare}'; use the injected api (api.fs, api.net, api.shell) instead`);
+  }
+
+  let resolved = null;
+  if (specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier)) {
+    resolved = resolveFile(path.resolve(fromDir, specifier));
+  } else {
+    for (let dir = fromDir; !resolved && isInside(dir); dir = path.dirname(dir)) {
+      resolved = resolveFile(path.join(dir, 'node_modules', specifier));
+    }
+  }
+
+  if (!resolved) {
+    throw new Error(`Cannot find module '${specifier}' from ${path.relative(root, fromDir) || '.'}`);
+  }
+  if (!isInside(resolved)) {
+    parentPort.postMessage({ type: 'denied', capability: 'require', target: resolved });
+    throw new Error(`Module '${specifier}' resolves outside the plugin directory`);
+  }
+  return resolved;
+}
+
+function resolveFile(candidate) {
+  for (const extension of EXTENSIONS) {
+    const file = existing(candidate + extension);
+    if (file) {
+      return file;
+    }
+  }
+
+  let entry = 'index.js';
+  try {
+    entry = JSON.parse(fs.readFileSync(path.join(candidate, 'package.json'), 'utf-8')).main || entry;
+  } catch {
+    // Directories without a package.json use index.js
+  }
+  return existing(path.join(candidate, entry)) || existing(path.join(candidate, entry, 'index.js'));
+}
+
+function existing(file) {
+  try {
+    return fs.statSync(file).isFile() ? fs.realpathSync(file) : null;
+  } catch {
+    return null;
+  }
+}
+
+function isInside(file) {
+  return file === root || file.startsWith(root + path.sep);
+}
+
+/**
+ * CommonJS wrapper for a module, compiled inside the context without running it
+ */
+function compileModule(id) {
+  let source = fs.readFileSync(id, 'utf-8');
+  if (id.endsWith('.json')) {
+    JSON.parse(source);
+    source = `module.exports = ${source};`;
+  }
+  return vm.compileFunction(source.replace(/^#!.*/, ''), ['exports', 'require', 'module', '__filename', '__dirname'], {
+    filename: id,
+    parsingContext: context
+  });
+}
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'reply':
+      bridge.deliver(message.id, message.ok, message.ok ? message.value : message.error);
+      break;
+
+    case 'invoke':
+      invoke(message);
+      break;
+  }
+});
+
+function invoke({ id, name, input }) {
+  const done = (ok, value) => {
+    if (!ok) {
+      parentPort.postMessage({ type: 'invoked', id, ok, error: parseError(value) });
+      return;
+    }
+    try {
+      parentPort.postMessage({ type: 'invoked', id, ok, value });
+    } catch (error) {
+      parentPort.postMessage({
+        type: 'invoked',
+        id,
+        ok: false,
+        error: { name: error.name, message: `Result of ${name} is not cloneable: ${error.message}` }
+      });
+    }
+  };
+
+  const fn = modules.lookup(name);
+  if (!fn) {
+    const error = new TypeError(`Plugin does not export a function ${name}`);
+    parentPort.postMessage({ type: 'invoked', id, ok: false, error: describeError(error) });
+    return;
+  }
+  bridge.invoke(fn, input, done);
+}
+
+const entry = resolveFile(path.resolve(root, main));
+if (entry && isInside(entry)) {
+  modules.main(entry, (ok, value) => {
+    parentPort.postMessage(ok
+      ? { type: 'loaded', functions: JSON.parse(value) }
+      : { type: 'error', code: 'EXECUTION_FAILED', error: parseError(value) });
+  });
+} else {
+  const error = new Error(`Plugin entry point ${main} not found`);
+  parentPort.postMessage({ type: 'error', code: 'EXECUTION_FAILED', error: describeError(error) });
+}
@@ -0,0 +1,255 @@
+/**
+ * BUMBA Plugin Isolate
+ * Keeps a plugin loaded in a vm context on a worker thread for its whole
+ * lifetime. The host calls the plugin's exported functions by name; the
+ * plugin reaches the host only through the `api` functions given here.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../logging/bumba-logger');
+const { SandboxError } = require('../workflow/function-sandbox');
+
+const WORKER_PATH = path.join(__dirname, 'plugin-isolate-worker.js');
+
+const LOG_LEVELS = ['info', 'warn', 'error', 'debug'];
+
+class PluginIsolate {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Used in log lines and error messages
+   * @param {string} options.pluginDir - Plugin root; modules cannot be loaded from outside it
+   * @param {string} options.main - Entry point, relative to the plugin root
+   * @param {Object} options.api - Host functions exposed as `api.<name>` (dotted names nest)
+   * @param {Object} options.globals - Cloneable values defined as globals
+   * @param {number} options.timeout - Limit for loading and for each call, in ms
+   * @param {number} options.memoryLimitMb - Heap limit of the worker
+   * @param {Function} options.onDenied - Called with { capability, target } when a require is refused
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'plugin';
+    this.pluginDir = options.pluginDir;
+    this.main = options.main || 'index.js';
+    this.api = options.api || {};
+    this.globals = options.globals || {};
+    this.timeout = options.timeout || 30000;
+    this.memoryLimitMb = options.memoryLimitMb || 50;
+    this.onDenied = options.onDenied || null;
+
+    this.worker = null;
+    this.functions = [];
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Start the worker and load the plugin; resolves to its exported function names
+   */
+  start() {
+    if (this.worker) {
+      throw new Error(`${this.name} is already started`);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.worker = new Worker(WORKER_PATH, {
+        workerData: {
+          pluginDir: this.pluginDir,
+          main: this.main,
+          globals: this.globals,
+          apiNames: Object.keys(this.api),
+          filename: `${this.name}.js`
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.memoryLimitMb,
+          maxYoungGenerationSizeMb: Math.max(1, Math.ceil(this.memoryLimitMb / 8)),
+          stackSizeMb: 4
+        },
+        // Nothing from the orchestrator environment, such as credentials
+        env: {}
+      });
+
+      const worker = this.worker;
+      const timer = setTimeout(() => {
+        this.fail(new SandboxError('TIMEOUT', `${this.name} did not load within ${this.timeout}ms`));
+      }, this.timeout);
+      this.pending.set('load', {
+        resolve: functions => {
+          clearTimeout(timer);
+          resolve(functions);
+        },
+        reject: error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      worker.on('message', message => this.handleMessage(worker, message));
+
+      worker.on('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          this.fail(new SandboxError('MEMORY_LIMIT', `${this.name} exceeded its memory limit of ${this.memoryLimitMb}MB`));
+          return;
+        }
+        this.fail(new SandboxError('EXECUTION_FAILED', `${this.name} failed: ${error.message}`, {
+          name: error.name,
+          message: error.message,
+          stack: error.stack
+        }));
+      });
+
+      worker.on('exit', exitCode => {
+        if (this.worker === worker) {
+          this.fail(new SandboxError('EXECUTION_FAILED', `${this.name} exited with code ${exitCode}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether the plugin exports a function under this dotted name
+   */
+  has(name) {
+    return this.functions.includes(name);
+  }
+
+  /**
+   * Call an exported function with one cloneable argument
+   */
+  invoke(name, input, options = {}) {
+    if (!this.worker) {
+      return Promise.reject(new SandboxError('EXECUTION_FAILED', `${this.name} is not running`));
+    }
+
+    const timeout = options.timeout || this.timeout;
+    const id = ++this.nextId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        // A call that never returns may be spinning; only killing the worker stops it
+        this.fail(new SandboxError('TIMEOUT', `${this.name} ${name} timed out after ${timeout}ms`));
+      }, timeout);
+
+      this.pending.set(id, {
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+
+      try {
+        this.worker.postMessage({ type: 'invoke', id, name, input });
+      } catch (error) {
+        this.pending.delete(id);
+        clearTimeout(timer);
+        reject(error.name === 'DataCloneError'
+          ? new SandboxError('UNCLONEABLE', `${this.name} ${name}: input is not cloneable: ${error.message}`)
+          : error);
+      }
+    });
+  }
+
+  handleMessage(worker, message) {
+    switch (message.type) {
+      case 'loaded':
+        this.functions = message.functions;
+        this.settle('load', true, message.functions);
+        break;
+
+      case 'invoked':
+        this.settle(message.id, message.ok, message.ok
+          ? message.value
+          : new SandboxError('EXECUTION_FAILED', `${this.name} failed: ${message.error.message}`, message.error));
+        break;
+
+      case 'error':
+        this.fail(new SandboxError(message.code, `${this.name} failed: ${message.error.message}`, message.error));
+        break;
+
+      case 'denied':
+        if (this.onDenied) {
+          this.onDenied({ capability: message.capability, target: message.target });
+        }
+        break;
+
+      case 'log':
+        logger[LOG_LEVELS.includes(message.level) ? message.level : 'info'](`[${this.name}] ${message.args.join(' ')}`);
+        break;
+
+      case 'call':
+        this.answerCall(worker, message);
+        break;
+    }
+  }
+
+  /**
+   * Run an api function for the plugin and send back the outcome
+   */
+  async answerCall(worker, { id, name, args }) {
+    let reply;
+    try {
+      if (!Object.prototype.hasOwnProperty.call(this.api, name)) {
+        throw new Error(`Unknown plugin api: ${name}`);
+      }
+      reply = { type: 'reply', id, ok: true, value: await this.api[name](...args) };
+    } catch (error) {
+      reply = { type: 'reply', id, ok: false, error: { name: error.name, message: error.message } };
+    }
+
+    if (this.worker !== worker) {
+      return;
+    }
+    try {
+      worker.postMessage(reply);
+    } catch (error) {
+      worker.postMessage({
+        type: 'reply',
+        id,
+        ok: false,
+        error: { name: error.name, message: `Result of api.${name} is not cloneable: ${error.message}` }
+      });
+    }
+  }
+
+  settle(id, ok, value) {
+    const call = this.pending.get(id);
+    if (!call) {
+      return;
+    }
+    this.pending.delete(id);
+    if (ok) {
+      call.resolve(value);
+    } else {
+      call.reject(value);
+    }
+  }
+
+  /**
+   * Stop the worker and reject everything still waiting on it
+   */
+  fail(error) {
+    const worker = this.worker;
+    this.worker = null;
+    if (worker) {
+      worker.terminate();
+    }
+
+    for (const call of this.pending.values()) {
+      call.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  async terminate() {
+    const worker = this.worker;
+    this.fail(new SandboxError('EXECUTION_FAILED', `${this.name} was unloaded`));
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+}
+
+module.exports = { PluginIsolate };
@@ -6,6 +6,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { logger } = require('../logging/bumba-logger');
+const { LocalPluginRegistry } = require('./local-plugin-registry');
 
 class PluginLoader {
   constructor(architecture) {
@@ -52,6 +53,7 @@ class PluginLoader {
         main: bumbaConfig.main || packageJson.main || 'index.js',
         ...bumbaConfig,
         dependencies: bumbaConfig.dependencies || [],
+        engines: bumbaConfig.engines || packageJson.engines || {},
         path: pluginPath
       };
 
@@ -260,29 +262,32 @@ class PluginRegistry {
 
 /**
  * Plugin Marketplace
- * Interface to BUMBA plugin marketplace
+ * Interface to a BUMBA plugin registry (see local-plugin-registry.js)
  */
 class PluginMarketplace {
   constructor() {
-    this.baseUrl = process.env.BUMBA_MARKETPLACE_URL || 'https://plugins.bumba.ai';
+    this.location = process.env.BUMBA_PLUGIN_REGISTRY || process.env.BUMBA_MARKETPLACE_URL || null;
+    this.registry = null;
     this.cache = new Map();
     this.isEnabled = false;
   }
 
-  async initialize(enabled = true) {
+  async initialize(enabled = true, options = {}) {
     this.isEnabled = enabled;
-    
-    if (this.isEnabled) {
-      logger.info('🟢 Plugin marketplace enabled');
-      // Could perform marketplace health check here
+    this.location = options.registry || this.location;
+
+    if (this.isEnabled && this.location) {
+      this.registry = new LocalPluginRegistry({
+        location: this.location,
+        cacheDir: options.cacheDir,
+        trustedKeys: options.trustedKeys
+      });
+      logger.info(`🟢 Plugin marketplace enabled (${this.location})`);
     }
   }
 
   async search(query, options = {}) {
-    if (!this.isEnabled) {
-      throw new Error('Marketplace is disabled');
-    }
-
+    const registry = this.getRegistry();
     const cacheKey = `search:${query}:${JSON.stringify(options)}`;
     
     // Check cache
@@ -294,9 +299,7 @@ class PluginMarketplace {
     }
 
     try {
-      // In production, this would make an API call
-      // For now, return mock data
-      const results = this.getMockSearchResults(query, options);
+      const results = await registry.search(query, options);
       
       // Cache results
       this.cache.set(cacheKey, {
@@ -313,75 +316,33 @@ class PluginMarketplace {
   }
 
   async getPluginDetails(pluginName) {
-    if (!this.isEnabled) {
-      throw new Error('Marketplace is disabled');
-    }
-
-    // In production, this would fetch from API
-    return {
-      name: pluginName,
-      version: '1.0.0',
-      author: 'BUMBA Community',
-      description: 'A sample plugin',
-      downloads: 1000,
-      rating: 4.5,
-      verified: true
-    };
+    return await this.getRegistry().getPluginDetails(pluginName);
   }
 
-  async downloadPlugin(pluginName) {
-    if (!this.isEnabled) {
-      throw new Error('Marketplace is disabled');
-    }
+  async downloadPlugin(pluginName, options = {}) {
+    const registry = this.getRegistry();
 
     logger.info(`Downloading plugin ${pluginName} from marketplace...`);
     
-    // In production, this would download the plugin
-    // For now, throw not implemented
-    throw new Error('Marketplace download not implemented');
+    return await registry.downloadPlugin(pluginName, options);
   }
 
   async checkUpdate(pluginName, currentVersion) {
-    if (!this.isEnabled) {
+    if (!this.isEnabled || !this.registry) {
       return null;
     }
 
-    // In production, check for updates via API
-    // Mock implementation
-    return {
-      hasUpdate: false,
-      version: currentVersion,
-      changelog: ''
-    };
+    return await this.registry.checkUpdate(pluginName, currentVersion);
   }
 
-  getMockSearchResults(query, options) {
-    // Mock search results for development
-    return [
-      {
-        name: 'bumba-git-integration',
-        version: '1.2.0',
-        author: 'BUMBA Team',
-        description: 'Git integration for BUMBA agents',
-        downloads: 5000,
-        rating: 4.8,
-        verified: true,
-        capabilities: ['file_system', 'agent_management']
-      },
-      {
-        name: 'bumba-slack-connector',
-        version: '2.0.1',
-        author: 'Community',
-        description: 'Connect BUMBA to Slack workspaces',
-        downloads: 3000,
-        rating: 4.5,
-        verified: false,
-        capabilities: ['network', 'agent_communicate']
-      }
-    ].filter(p => 
-      p.name.includes(query.toLowerCase()) || 
-      p.description.toLowerCase().includes(query.toLowerCase())
-    );
+  getRegistry() {
+    if (!this.isEnabled) {
+      throw new Error('Marketplace is disabled');
+    }
+    if (!this.registry) {
+      throw new Error('No plugin registry configured (set BUMBA_PLUGIN_REGISTRY or the registry option)');
+    }
+    return this.registry;
   }
 }
 
@@ -8,9 +8,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const { logger } = require('../logging/bumba-logger');
 const { BumbaPluginArchitecture } = require('./plugin-architecture');
-const { PluginRegistry } = require('./plugin-registry');
-const { PluginLoader } = require('./plugin-loader');
-const { PluginMarketplace } = require('./plugin-marketplace');
+const { PluginLoader, PluginRegistry, PluginMarketplace } = require('./plugin-loader');
+const { verifyInstalledPlugin, readReceipt, loadTrustedKeys } = require('./plugin-package');
+const { PluginDependencyResolver, normalizeDependencies } = require('./plugin-dependencies');
 
 class BumbaPluginManager extends EventEmitter {
   constructor() {
@@ -23,6 +23,11 @@ class BumbaPluginManager extends EventEmitter {
       autoLoad: true,
       pluginsDir: './plugins',
       marketplaceEnabled: true,
+      registry: null, // directory, index tarball or URL of a plugin registry
+      cacheDir: path.join('.bumba', 'plugin-cache'),
+      trustedKeysDir: path.join('.bumba', 'trusted-keys'),
+      trustedKeys: {},
+      requireSignedPlugins: false,
       updateCheckInterval: 86400000 // 24 hours
     };
     this.isInitialized = false;
@@ -39,7 +44,7 @@ class BumbaPluginManager extends EventEmitter {
     
     // Initialize components
     await this.registry.initialize();
-    await this.marketplace.initialize(this.config.marketplaceEnabled);
+    await this.initializeMarketplace();
     
     // Set up event forwarding
     this.setupEventForwarding();
@@ -61,40 +66,75 @@ class BumbaPluginManager extends EventEmitter {
     this.emit('initialized');
   }
 
+  /**
+   * Connect the marketplace to the configured registry and trusted keys
+   */
+  async initializeMarketplace() {
+    await this.marketplace.initialize(this.config.marketplaceEnabled, {
+      registry: this.config.registry,
+      cacheDir: this.config.cacheDir,
+      trustedKeys: await this.getTrustedKeys()
+    });
+  }
+
   /**
    * Install a plugin from various sources
+   * Dependencies missing from the installed set are resolved against the
+   * plugin registry and installed first; conflicting requirements are refused.
+   * `replaces` names the installed plugin ID an upgrade is replacing.
    */
   async installPlugin(source, options = {}) {
     logger.info(`🟢 Installing plugin from: ${source}`);
     
     let pluginPath;
     let pluginConfig;
+    let pluginId;
+    let downloaded = false;
+    const replaced = options.replaces ? await this.registry.getPlugin(options.replaces) : null;
+    const replaces = replaced ? [replaced.name] : [];
     
     try {
       // Determine source type
       if (source.startsWith('http')) {
         // Download from URL
         pluginPath = await this.downloadPlugin(source);
+        downloaded = true;
       } else if (source.startsWith('bumba:')) {
-        // Install from marketplace
-        const pluginName = source.replace('bumba:', '');
-        pluginPath = await this.marketplace.downloadPlugin(pluginName);
+        // Install from marketplace: bumba:<name> or bumba:<name>@<version or range>
+        const { name, version } = parseRegistrySource(source);
+        await this.assertNotInstalled(name, options.replaces);
+        const plan = await this.resolveDependencies([{ name, range: version || '*' }], { replaces });
+        await this.installDependencies(plan, name, options);
+        pluginPath = await this.marketplace.downloadPlugin(name, {
+          version: plan.find(step => step.name === name).version,
+          destDir: this.config.pluginsDir
+        });
+        downloaded = true;
       } else if (source.startsWith('/') || source.startsWith('./')) {
         // Local path
         pluginPath = path.resolve(source);
       } else {
         // NPM package
         pluginPath = await this.installFromNpm(source);
+        downloaded = true;
       }
 
       // Load plugin configuration
       pluginConfig = await this.loader.loadPluginConfig(pluginPath);
+
+      if (!source.startsWith('bumba:')) {
+        await this.assertNotInstalled(pluginConfig.name, options.replaces);
+        const plan = await this.resolveDependencies([{ name: pluginConfig.name, manifest: pluginConfig }], { replaces });
+        await this.installDependencies(plan, pluginConfig.name, options);
+      }
       
       // Validate plugin
       await this.validatePluginSafety(pluginConfig, pluginPath);
       
-      // Register plugin
-      const pluginId = await this.architecture.registerPlugin(pluginConfig);
+      // Register plugin (the CLI only installs; the framework registers installed plugins when it loads them)
+      pluginId = options.register === false
+        ? this.architecture.generatePluginId(pluginConfig.name)
+        : await this.architecture.registerPlugin(pluginConfig);
       
       // Store in registry
       await this.registry.addPlugin({
@@ -103,6 +143,8 @@ class BumbaPluginManager extends EventEmitter {
         version: pluginConfig.version,
         path: pluginPath,
         source,
+        dependencies: normalizeDependencies(pluginConfig.dependencies),
+        engines: pluginConfig.engines || {},
         installedAt: Date.now(),
         autoLoad: options.autoLoad !== false
       });
@@ -130,8 +172,11 @@ class BumbaPluginManager extends EventEmitter {
     } catch (error) {
       logger.error('Failed to install plugin:', error);
       
-      // Cleanup on failure
-      if (pluginPath && options.cleanup !== false) {
+      // Cleanup on failure; local plugin directories are the user's own
+      if (pluginId) {
+        await this.discardPlugin(pluginId);
+      }
+      if (pluginPath && downloaded && options.cleanup !== false && pluginPath !== replaced?.path) {
         await this.cleanupFailedInstall(pluginPath);
       }
       
@@ -139,6 +184,81 @@ class BumbaPluginManager extends EventEmitter {
     }
   }
 
+  /**
+   * Resolve versions for the requested plugins against what is installed
+   * and what the registry offers; returns the plan, dependencies first
+   */
+  async resolveDependencies(requests, options = {}) {
+    const installed = [];
+    for (const plugin of await this.registry.listPlugins()) {
+      if (plugin.dependencies) {
+        installed.push(plugin);
+        continue;
+      }
+      // Plugins installed before dependencies were recorded
+      const config = await this.loader.loadPluginConfig(plugin.path).catch(() => ({}));
+      installed.push({ ...plugin, dependencies: config.dependencies || {}, engines: config.engines || {} });
+    }
+
+    let registry = null;
+    try {
+      registry = this.marketplace.getRegistry();
+    } catch {
+      // Without a registry only installed plugins can satisfy dependencies
+    }
+
+    const resolver = new PluginDependencyResolver({
+      bumbaVersion: this.architecture.bumbaVersion,
+      installed,
+      registry
+    });
+    return resolver.resolve(requests, options);
+  }
+
+  /**
+   * Install the plan's missing dependencies of a plugin, in order
+   */
+  async installDependencies(plan, pluginName, options) {
+    for (const step of plan) {
+      if (step.action !== 'install' || step.name === pluginName) {
+        continue;
+      }
+
+      logger.info(`🟢 Installing dependency ${step.name}@${step.version} of ${pluginName}`);
+      await this.installPlugin(`bumba:${step.name}@${step.version}`, {
+        load: options.load,
+        register: options.register,
+        activate: options.activate,
+        autoLoad: options.autoLoad
+      });
+    }
+  }
+
+  /**
+   * Only one version of a plugin is installed at a time, outside upgrades
+   */
+  async assertNotInstalled(name, replacesId) {
+    const existing = (await this.registry.listPlugins())
+      .find(plugin => plugin.name === name && plugin.id !== replacesId);
+    if (existing) {
+      throw new Error(`Plugin ${name} is already installed (v${existing.version}); update it instead`);
+    }
+  }
+
+  /**
+   * Drop a plugin from the architecture and the registry, keeping its files
+   */
+  async discardPlugin(pluginId) {
+    try {
+      if (this.architecture.getPlugin(pluginId)) {
+        await this.architecture.unloadPlugin(pluginId);
+      }
+    } catch (error) {
+      logger.error(`Failed to unload plugin ${pluginId}:`, error);
+    }
+    await this.registry.removePlugin(pluginId);
+  }
+
   /**
    * Uninstall a plugin
    */
@@ -228,7 +348,10 @@ class BumbaPluginManager extends EventEmitter {
   }
 
   /**
-   * Update a plugin
+   * Update a plugin to the newest version its dependents allow
+   * The new version is installed and activated next to the old one, takes
+   * over its state through migrate(oldState), and only then is the old
+   * version deactivated. Any failure rolls back to the old version.
    */
   async updatePlugin(pluginId, options = {}) {
     const pluginInfo = await this.registry.getPlugin(pluginId);
@@ -238,61 +361,115 @@ class BumbaPluginManager extends EventEmitter {
 
     logger.info(`🟢 Updating plugin: ${pluginInfo.name}`);
     
+    // Check for updates
+    const updateInfo = await this.checkForUpdate(pluginInfo);
+    if (!updateInfo || !updateInfo.hasUpdate) {
+      logger.info('Plugin is already up to date');
+      return false;
+    }
+
+    // Pick the newest version the installed plugins are compatible with
+    const { name } = parseRegistrySource(pluginInfo.source);
+    const plan = await this.resolveDependencies(
+      [{ name, range: `>${pluginInfo.version}` }],
+      { replaces: [pluginInfo.name] }
+    );
+    const target = plan.find(step => step.name === name);
+
+    // Backup current version
+    const backupPath = options.backup !== false ? await this.backupPlugin(pluginInfo) : null;
+
+    const oldPlugin = this.architecture.getPlugin(pluginId);
+    const previousState = oldPlugin ? oldPlugin.state : null;
+    const wasLoaded = previousState === 'loaded' || previousState === 'active';
+    let newPluginId = null;
+
     try {
-      // Check for updates
-      const updateInfo = await this.checkForUpdate(pluginInfo);
-      if (!updateInfo || !updateInfo.hasUpdate) {
-        logger.info('Plugin is already up to date');
-        return false;
-      }
+      // Install and activate the new version alongside the old one
+      newPluginId = await this.installPlugin(`bumba:${name}@${target.version}`, {
+        load: wasLoaded && options.load !== false,
+        register: options.register,
+        activate: previousState === 'active',
+        autoLoad: pluginInfo.autoLoad,
+        replaces: pluginId
+      });
 
-      // Backup current version
-      if (options.backup !== false) {
-        await this.backupPlugin(pluginInfo);
+      const newPlugin = this.architecture.getPlugin(newPluginId);
+      if (wasLoaded && newPlugin && newPlugin.state !== 'registered') {
+        await this.architecture.migratePluginState(pluginId, newPluginId);
       }
 
-      // Deactivate current version
-      const plugin = this.architecture.getPlugin(pluginId);
-      const wasActive = plugin && plugin.state === 'active';
-      if (wasActive) {
-        await this.deactivatePlugin(pluginId);
+      // Retire the old version
+      if (oldPlugin) {
+        await this.architecture.unloadPlugin(pluginId);
       }
+      await this.registry.removePlugin(pluginId);
 
-      // Unload current version
-      if (plugin) {
-        await this.architecture.unloadPlugin(pluginId);
+      // Registry packages are installed per version, so the old files can go
+      const newPluginInfo = await this.registry.getPlugin(newPluginId);
+      if (pluginInfo.source.startsWith('bumba:') && newPluginInfo && newPluginInfo.path !== pluginInfo.path) {
+        await this.removePluginFiles(pluginInfo.path);
       }
 
-      // Install new version
-      const newPluginId = await this.installPlugin(updateInfo.source, {
-        load: true,
-        activate: wasActive
-      });
+    } catch (error) {
+      logger.error('Failed to update plugin:', error);
+      await this.rollbackUpdate(pluginInfo, newPluginId, backupPath, previousState);
+      throw error;
+    }
 
-      // Remove old version from registry
-      await this.registry.removePlugin(pluginId);
+    if (backupPath) {
+      await this.removePluginFiles(backupPath);
+    }
 
-      logger.info(`🟢 Plugin updated: ${pluginInfo.name} v${updateInfo.version}`);
-      
-      this.emit('plugin_updated', {
-        oldPluginId: pluginId,
-        newPluginId,
-        oldVersion: pluginInfo.version,
-        newVersion: updateInfo.version
-      });
+    logger.info(`🟢 Plugin updated: ${pluginInfo.name} v${target.version}`);
+    
+    this.emit('plugin_updated', {
+      oldPluginId: pluginId,
+      newPluginId,
+      oldVersion: pluginInfo.version,
+      newVersion: target.version
+    });
 
-      return true;
+    return true;
+  }
 
-    } catch (error) {
-      logger.error('Failed to update plugin:', error);
-      
-      // Restore from backup if available
-      if (options.backup !== false) {
-        await this.restorePlugin(pluginInfo);
+  /**
+   * Undo a failed update: drop the new version, restore the old one's
+   * files and registry entry, and bring it back to the state it was in
+   */
+  async rollbackUpdate(pluginInfo, newPluginId, backupPath, previousState) {
+    if (newPluginId) {
+      const newPluginInfo = await this.registry.getPlugin(newPluginId);
+      await this.discardPlugin(newPluginId);
+      if (newPluginInfo && newPluginInfo.path !== pluginInfo.path) {
+        await this.removePluginFiles(newPluginInfo.path);
       }
-      
-      throw error;
     }
+
+    if (backupPath) {
+      await this.restorePlugin(pluginInfo, backupPath);
+    }
+    if (!await this.registry.getPlugin(pluginInfo.id)) {
+      await this.registry.addPlugin(pluginInfo);
+    }
+
+    try {
+      if (previousState && !this.architecture.getPlugin(pluginInfo.id)) {
+        const config = await this.loader.loadPluginConfig(pluginInfo.path);
+        await this.architecture.registerPlugin({ ...config, id: pluginInfo.id });
+      }
+      const oldPlugin = this.architecture.getPlugin(pluginInfo.id);
+      if ((previousState === 'loaded' || previousState === 'active') && oldPlugin.state === 'registered') {
+        await this.architecture.loadPlugin(pluginInfo.id, pluginInfo.path);
+      }
+      if (previousState === 'active' && oldPlugin.state !== 'active') {
+        await this.architecture.activatePlugin(pluginInfo.id);
+      }
+    } catch (error) {
+      logger.error(`Failed to reactivate ${pluginInfo.name} v${pluginInfo.version} after a failed update:`, error);
+    }
+
+    logger.warn(`🟡 Rolled back ${pluginInfo.name} to v${pluginInfo.version}`);
   }
 
   /**
@@ -481,16 +658,14 @@ class BumbaPluginManager extends EventEmitter {
       }
     }
 
-    // Verify plugin signature if available
-    if (pluginConfig.signature) {
-      const isValid = await this.verifyPluginSignature(
-        pluginConfig, 
-        pluginPath
-      );
-      
-      if (!isValid) {
-        throw new Error('Plugin signature verification failed');
-      }
+    // Verify the package signature, and that the installed files are the signed ones
+    const isValid = await this.verifyPluginSignature(
+      pluginConfig, 
+      pluginPath
+    );
+    
+    if (!isValid) {
+      throw new Error('Plugin signature verification failed');
     }
   }
 
@@ -500,8 +675,8 @@ class BumbaPluginManager extends EventEmitter {
   async checkForUpdate(pluginInfo) {
     if (pluginInfo.source.startsWith('bumba:')) {
       // Check marketplace for updates
-      const pluginName = pluginInfo.source.replace('bumba:', '');
-      return await this.marketplace.checkUpdate(pluginName, pluginInfo.version);
+      const { name } = parseRegistrySource(pluginInfo.source);
+      return await this.marketplace.checkUpdate(name, pluginInfo.version);
     }
     
     // For other sources, implement update checking logic
@@ -564,20 +739,43 @@ class BumbaPluginManager extends EventEmitter {
     throw new Error('NPM installation not implemented');
   }
 
+  /**
+   * Copy a plugin's files aside; returns the backup path
+   */
   async backupPlugin(pluginInfo) {
-    // Implementation for backing up plugin
-    const backupPath = `${pluginInfo.path}.backup-${Date.now()}`;
-    // Copy plugin files to backup location
+    const backupPath = path.resolve(
+      this.config.cacheDir,
+      'backups',
+      `${path.basename(pluginInfo.path)}-${Date.now()}`
+    );
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.cp(pluginInfo.path, backupPath, { recursive: true });
+    return backupPath;
   }
 
-  async restorePlugin(pluginInfo) {
-    // Implementation for restoring plugin from backup
+  /**
+   * Put a plugin's files and registry entry back from a backup
+   */
+  async restorePlugin(pluginInfo, backupPath) {
+    try {
+      await fs.rm(pluginInfo.path, { recursive: true, force: true });
+      await fs.cp(backupPath, pluginInfo.path, { recursive: true });
+      await this.removePluginFiles(backupPath);
+      this.loader.configCache.delete(pluginInfo.path);
+    } catch (error) {
+      logger.error(`Failed to restore ${pluginInfo.name} from ${backupPath}:`, error);
+      throw error;
+    }
+
+    if (!await this.registry.getPlugin(pluginInfo.id)) {
+      await this.registry.addPlugin(pluginInfo);
+    }
   }
 
   async removePluginFiles(pluginPath) {
     // Implementation for removing plugin files
     try {
-      await fs.rmdir(pluginPath, { recursive: true });
+      await fs.rm(pluginPath, { recursive: true, force: true });
     } catch (error) {
       logger.error('Failed to remove plugin files:', error);
     }
@@ -589,9 +787,42 @@ class BumbaPluginManager extends EventEmitter {
   }
 
   async verifyPluginSignature(pluginConfig, pluginPath) {
-    // Implementation for signature verification
-    return true; // Placeholder
+    const receipt = await readReceipt(pluginPath);
+
+    if (!receipt) {
+      if (this.config.requireSignedPlugins) {
+        throw new Error(`Plugin ${pluginConfig.name} is not a signed package`);
+      }
+      // A signature declared in the plugin's own config cannot be checked without its package
+      return !pluginConfig.signature;
+    }
+
+    if (receipt.name !== pluginConfig.name || receipt.version !== pluginConfig.version) {
+      throw new Error(`Plugin ${pluginConfig.name}@${pluginConfig.version} does not match its package ${receipt.name}@${receipt.version}`);
+    }
+
+    await verifyInstalledPlugin(pluginPath, await this.getTrustedKeys());
+    return true;
+  }
+
+  async getTrustedKeys() {
+    return {
+      ...await loadTrustedKeys(this.config.trustedKeysDir),
+      ...this.config.trustedKeys
+    };
+  }
+}
+
+/**
+ * Split bumba:<name>[@<version>], allowing scoped names
+ */
+function parseRegistrySource(source) {
+  const spec = source.replace('bumba:', '');
+  const at = spec.lastIndexOf('@');
+  if (at > 0) {
+    return { name: spec.slice(0, at), version: spec.slice(at + 1) };
   }
+  return { name: spec, version: null };
 }
 
 module.exports = { BumbaPluginManager };
\ No newline at end of file
@@ -0,0 +1,335 @@
+/**
+ * BUMBA Plugin Packages
+ * Gzipped tarballs with SHA-256 integrity and ed25519 signatures, as served by
+ * a plugin registry and verified before a plugin is installed
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { compareVersions } = require('./plugin-semver');
+
+const BLOCK_SIZE = 512;
+const PACKAGE_ROOT = 'package';
+const RECEIPT_FILE = '.bumba-package.json';
+
+class PluginVerificationError extends Error {
+  constructor(pluginName, reason) {
+    super(`Plugin ${pluginName} failed verification: ${reason}`);
+    this.name = 'PluginVerificationError';
+    this.pluginName = pluginName;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Build a gzipped ustar archive from [{ path, data }]
+ */
+function createTarball(files) {
+  const blocks = [];
+
+  for (const file of files) {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data);
+    blocks.push(createHeader(file.path, data.length));
+    blocks.push(data);
+
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Read the regular files of a gzipped tarball as [{ path, data }]
+ */
+function readTarball(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const files = [];
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156]);
+    const entryPath = prefix ? `${prefix}/${name}` : name;
+    offset += BLOCK_SIZE;
+
+    if (type === '0' || type === '\0') {
+      files.push({ path: safeEntryPath(entryPath), data: Buffer.from(tar.subarray(offset, offset + size)) });
+    } else if (type !== '5') {
+      throw new Error(`Unsupported tarball entry ${entryPath}: only files and directories are allowed`);
+    }
+
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return files;
+}
+
+/**
+ * Pack a plugin directory; files live under package/ as in npm tarballs
+ */
+async function packDirectory(pluginDir) {
+  const relativePaths = await listFiles(pluginDir);
+  const files = [];
+
+  for (const relativePath of relativePaths) {
+    files.push({
+      path: `${PACKAGE_ROOT}/${relativePath}`,
+      data: await fs.readFile(path.join(pluginDir, relativePath))
+    });
+  }
+
+  return createTarball(files);
+}
+
+/**
+ * Extract a plugin package into destDir
+ */
+async function extractPackage(buffer, destDir) {
+  const files = packageFiles(buffer);
+
+  for (const file of files) {
+    const target = path.join(destDir, file.path);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.data);
+  }
+
+  return files.map(file => file.path);
+}
+
+/**
+ * Subresource-integrity style SHA-256 digest
+ */
+function computeIntegrity(buffer) {
+  return `sha256-${crypto.createHash('sha256').update(buffer).digest('base64')}`;
+}
+
+/**
+ * Sign a package version. The signature covers name, version and integrity,
+ * so a signed archive cannot be republished under another name or version.
+ */
+function signPackage({ name, version, integrity }, privateKey) {
+  return crypto.sign(null, signedPayload(name, version, integrity), privateKey).toString('base64');
+}
+
+/**
+ * Check a package archive against its index entry and the trusted keys
+ */
+function verifyPackage(entry, buffer, trustedKeys = {}) {
+  const integrity = computeIntegrity(buffer);
+  if (integrity !== entry.integrity) {
+    throw new PluginVerificationError(entry.name, `integrity mismatch (expected ${entry.integrity}, got ${integrity})`);
+  }
+
+  if (!entry.signature || !entry.keyId) {
+    throw new PluginVerificationError(entry.name, 'package is not signed');
+  }
+
+  const publicKey = trustedKeys[entry.keyId];
+  if (!publicKey) {
+    throw new PluginVerificationError(entry.name, `signing key '${entry.keyId}' is not trusted`);
+  }
+
+  const valid = crypto.verify(
+    null,
+    signedPayload(entry.name, entry.version, entry.integrity),
+    publicKey,
+    Buffer.from(entry.signature, 'base64')
+  );
+  if (!valid) {
+    throw new PluginVerificationError(entry.name, `signature does not match key '${entry.keyId}'`);
+  }
+
+  return true;
+}
+
+/**
+ * Verify an installed registry package: its archive, signature, and that
+ * the files on disk are still the ones in the signed archive
+ */
+async function verifyInstalledPlugin(pluginPath, trustedKeys = {}) {
+  const receipt = await readReceipt(pluginPath);
+  if (!receipt) {
+    return null;
+  }
+
+  let archive;
+  try {
+    archive = await fs.readFile(receipt.archive);
+  } catch {
+    throw new PluginVerificationError(receipt.name, `package archive is missing (${receipt.archive})`);
+  }
+
+  verifyPackage(receipt, archive, trustedKeys);
+
+  for (const file of packageFiles(archive)) {
+    let installed;
+    try {
+      installed = await fs.readFile(path.join(pluginPath, file.path));
+    } catch {
+      throw new PluginVerificationError(receipt.name, `${file.path} is missing`);
+    }
+    if (!installed.equals(file.data)) {
+      throw new PluginVerificationError(receipt.name, `${file.path} was modified after install`);
+    }
+  }
+
+  return receipt;
+}
+
+/**
+ * Read the install receipt written next to an extracted package
+ */
+async function readReceipt(pluginPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(pluginPath, RECEIPT_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeReceipt(pluginPath, receipt) {
+  await fs.writeFile(path.join(pluginPath, RECEIPT_FILE), JSON.stringify(receipt, null, 2));
+}
+
+/**
+ * Trusted public keys from a directory of <keyId>.pem files
+ */
+async function loadTrustedKeys(keysDir) {
+  const keys = {};
+  let files;
+  try {
+    files = await fs.readdir(keysDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return keys;
+    }
+    throw error;
+  }
+
+  for (const file of files.filter(name => name.endsWith('.pem')).sort()) {
+    keys[path.basename(file, '.pem')] = await fs.readFile(path.join(keysDir, file), 'utf-8');
+  }
+  return keys;
+}
+
+/**
+ * New ed25519 signing key pair as PEM strings
+ */
+function generateSigningKeys() {
+  return crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+function signedPayload(name, version, integrity) {
+  return Buffer.from(`bumba-plugin:${name}@${version}:${integrity}`);
+}
+
+function packageFiles(buffer) {
+  return readTarball(buffer)
+    .filter(file => file.path.startsWith(`${PACKAGE_ROOT}/`))
+    .map(file => ({ path: file.path.slice(PACKAGE_ROOT.length + 1), data: file.data }));
+}
+
+async function listFiles(root, relativeDir = '') {
+  const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.name === RECEIPT_FILE || entry.name === 'node_modules' || entry.name === '.git') {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(root, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+function createHeader(entryPath, size) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  let name = entryPath;
+  let prefix = '';
+
+  if (Buffer.byteLength(name) > 100) {
+    const split = entryPath.lastIndexOf('/', 155);
+    prefix = entryPath.slice(0, split);
+    name = entryPath.slice(split + 1);
+    if (split < 0 || Buffer.byteLength(name) > 100 || Buffer.byteLength(prefix) > 155) {
+      throw new Error(`Path too long for a plugin package: ${entryPath}`);
+    }
+  }
+
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+  return header;
+}
+
+function readString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf-8');
+}
+
+function safeEntryPath(entryPath) {
+  const normalized = path.posix.normalize(entryPath);
+  if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+    throw new Error(`Unsafe path in tarball: ${entryPath}`);
+  }
+  return normalized;
+}
+
+module.exports = {
+  PluginVerificationError,
+  RECEIPT_FILE,
+  createTarball,
+  readTarball,
+  packDirectory,
+  extractPackage,
+  computeIntegrity,
+  signPackage,
+  verifyPackage,
+  verifyInstalledPlugin,
+  readReceipt,
+  writeReceipt,
+  loadTrustedKeys,
+  generateSigningKeys,
+  compareVersions
+};
@@ -0,0 +1,229 @@
+/**
+ * BUMBA Plugin Versions
+ * Semantic versions and the npm range syntax plugins use to declare what
+ * they need: 1.2.3, =1.2.3, >=1.2.0 <2.0.0, ^1.2.0, ~1.2.0, 1.x, 1.2.0 - 1.4.0,
+ * * and unions joined with ||
+ */
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * { major, minor, patch, prerelease } of a full version, or null
+ */
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+/**
+ * Semver precedence; a prerelease sorts before its release
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a) || looseVersion(a);
+  const right = parseVersion(b) || looseVersion(b);
+
+  for (const field of ['major', 'minor', 'patch']) {
+    if (left[field] !== right[field]) {
+      return left[field] - right[field];
+    }
+  }
+
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+    const diff = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Whether a version satisfies a range. Prereleases only match comparators
+ * on the same major.minor.patch that are prereleases themselves, as in npm.
+ */
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return false;
+  }
+
+  return parseRange(range).some(comparators => {
+    if (!comparators.every(({ operator, version: bound }) => test(version, operator, bound))) {
+      return false;
+    }
+    if (parsed.prerelease.length === 0) {
+      return true;
+    }
+    return comparators.some(({ version: bound }) => {
+      const other = parseVersion(bound);
+      return other.prerelease.length > 0 &&
+        other.major === parsed.major && other.minor === parsed.minor && other.patch === parsed.patch;
+    });
+  });
+}
+
+/**
+ * Highest version in the list that satisfies the range, or null
+ */
+function maxSatisfying(versions, range) {
+  return versions
+    .filter(version => satisfies(version, range))
+    .sort(compareVersions)
+    .pop() || null;
+}
+
+/**
+ * Whether a range can be parsed
+ */
+function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A range as alternatives ([[comparator]] joined by ||) of comparator sets
+ */
+function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  return range.split('||').map(part => {
+    const text = part.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+    if (text === '' || text === '*' || text === 'latest') {
+      return [{ operator: '>=', version: '0.0.0' }];
+    }
+
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+    if (hyphen) {
+      return [...desugar('>=', hyphen[1]), ...desugar('<=', hyphen[2])];
+    }
+
+    return text.split(/\s+/).flatMap(token => {
+      const match = /^(>=|<=|>|<|=|\^|~)?(.+)$/.exec(token);
+      return desugar(match[1] || '=', match[2]);
+    });
+  });
+}
+
+/**
+ * Comparators for one operator applied to a possibly partial version
+ */
+function desugar(operator, text) {
+  const match = PARTIAL_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Invalid version in range: ${text}`);
+  }
+
+  const wildcard = value => value === undefined || /^[xX*]$/.test(value);
+  const [major, minor, patch] = [match[1], match[2], match[3]].map(value => (wildcard(value) ? null : Number(value)));
+  const pre = match[4] ? `-${match[4]}` : '';
+  const full = (a, b, c) => `${a}.${b}.${c}`;
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [{ operator: '<', version: '0.0.0' }] : [{ operator: '>=', version: '0.0.0' }];
+  }
+
+  if (operator === '^') {
+    const lower = full(major, minor || 0, patch || 0) + pre;
+    let upper;
+    if (major > 0 || minor === null) {
+      upper = full(major + 1, 0, 0);
+    } else if (minor > 0 || patch === null) {
+      upper = full(0, minor + 1, 0);
+    } else {
+      upper = full(0, 0, patch + 1);
+    }
+    return [{ operator: '>=', version: lower }, { operator: '<', version: `${upper}-0` }];
+  }
+
+  if (operator === '~') {
+    const lower = full(major, minor || 0, patch || 0) + pre;
+    const upper = minor === null ? full(major + 1, 0, 0) : full(major, minor + 1, 0);
+    return [{ operator: '>=', version: lower }, { operator: '<', version: `${upper}-0` }];
+  }
+
+  // Partial versions (1, 1.2, 1.x) cover everything they leave open
+  if (minor === null || patch === null) {
+    const lower = full(major, minor || 0, 0);
+    const upper = minor === null ? full(major + 1, 0, 0) : full(major, minor + 1, 0);
+    switch (operator) {
+      case '>': return [{ operator: '>=', version: upper }];
+      case '>=': return [{ operator: '>=', version: lower }];
+      case '<': return [{ operator: '<', version: `${lower}-0` }];
+      case '<=': return [{ operator: '<', version: `${upper}-0` }];
+      default: return [{ operator: '>=', version: lower }, { operator: '<', version: `${upper}-0` }];
+    }
+  }
+
+  return [{ operator, version: full(major, minor, patch) + pre }];
+}
+
+function test(version, operator, bound) {
+  const diff = compareVersions(version, bound);
+  switch (operator) {
+    case '>': return diff > 0;
+    case '>=': return diff >= 0;
+    case '<': return diff < 0;
+    case '<=': return diff <= 0;
+    default: return diff === 0;
+  }
+}
+
+function compareIdentifiers(a, b) {
+  if (a === undefined || b === undefined) {
+    return a === undefined ? -1 : 1;
+  }
+  const numeric = /^\d+$/;
+  if (numeric.test(a) && numeric.test(b)) {
+    return Number(a) - Number(b);
+  }
+  if (numeric.test(a) !== numeric.test(b)) {
+    return numeric.test(a) ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Best-effort reading of versions that are not valid semver (1.2, 2)
+ */
+function looseVersion(version) {
+  const [core, ...rest] = String(version).split('-');
+  const parts = core.replace(/^v/, '').split('.');
+  return {
+    major: parseInt(parts[0], 10) || 0,
+    minor: parseInt(parts[1], 10) || 0,
+    patch: parseInt(parts[2], 10) || 0,
+    prerelease: rest.length > 0 ? rest.join('-').split('.') : []
+  };
+}
+
+module.exports = {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  satisfies,
+  maxSatisfying,
+  isValidRange,
+  parseRange
+};
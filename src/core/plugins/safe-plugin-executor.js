@@ -4,19 +4,26 @@
  * Sprint 2 - Security Fix
  */
 
-const vm = require('vm');
 const { logger } = require('../logging/bumba-logger');
+const { FunctionSandbox } = require('../workflow/function-sandbox');
 
 class SafePluginExecutor {
   constructor(pluginId, options = {}) {
     this.pluginId = pluginId;
     this.timeout = options.timeout || 5000; // 5 second timeout
     this.memoryLimit = options.memoryLimit || 50 * 1024 * 1024; // 50MB
+    
+    // String code runs on a worker thread with these limits enforced
+    this.sandbox = new FunctionSandbox({
+      name: `plugin-${pluginId}`,
+      timeout: this.timeout,
+      memoryLimitMb: Math.ceil(this.memoryLimit / (1024 * 1024))
+    });
   }
 
   /**
    * Safely execute plugin code without eval/new Function
-   * Uses Node.js VM module for sandboxed execution
+   * String code runs in the worker-thread FunctionSandbox
    */
   async execute(code, executionContext = {}) {
     // If already a function, execute with limited context
@@ -24,7 +31,7 @@ class SafePluginExecutor {
       return this.executeSafeFunction(code, executionContext);
     }
     
-    // For string code, use VM sandbox
+    // For string code, use the worker sandbox
     return this.executeInSandbox(code, executionContext);
   }
 
@@ -65,36 +72,24 @@ class SafePluginExecutor {
   }
 
   /**
-   * Execute string code in VM sandbox
+   * Execute string code in the worker sandbox
+   * Context values become globals; context functions are reached through
+   * `api.<name>()` and return promises, since they run in this process
    */
-  executeInSandbox(code, executionContext) {
+  async executeInSandbox(code, executionContext = {}) {
+    const globals = {};
+    const api = {};
+    
+    for (const [key, value] of Object.entries(executionContext)) {
+      if (typeof value === 'function') {
+        api[key] = value;
+      } else {
+        globals[key] = value;
+      }
+    }
+    
     try {
-      // Create safe context
-      const sandbox = this.createSafeContext(executionContext);
-      
-      // Add safe console
-      sandbox.console = this.createSafeConsole();
-      
-      // Wrap code to return result
-      const wrappedCode = `
-        (function() {
-          ${code}
-        })()
-      `;
-      
-      // Create VM options
-      const vmOptions = {
-        timeout: this.timeout,
-        displayErrors: true,
-        filename: `plugin-${this.pluginId}.js`
-      };
-      
-      // Run in sandbox
-      const script = new vm.Script(wrappedCode, vmOptions);
-      const context = vm.createContext(sandbox);
-      const result = script.runInContext(context, vmOptions);
-      
-      return result;
+      return await this.sandbox.run(`async function () {\n${code}\n}`, undefined, { globals, api });
     } catch (error) {
       logger.error(`Safe execution error for plugin ${this.pluginId}:`, error.message);
       throw new Error(`Plugin execution failed: ${error.message}`);
@@ -181,47 +176,6 @@ class SafePluginExecutor {
       return timerId;
     }.bind(this);
   }
-
-  /**
-   * Create safe console for plugin logging
-   */
-  createSafeConsole() {
-    return {
-      log: (...args) => logger.info(`[Plugin ${this.pluginId}]`, ...this.sanitizeArgs(args)),
-      info: (...args) => logger.info(`[Plugin ${this.pluginId}]`, ...this.sanitizeArgs(args)),
-      warn: (...args) => logger.warn(`[Plugin ${this.pluginId}]`, ...this.sanitizeArgs(args)),
-      error: (...args) => logger.error(`[Plugin ${this.pluginId}]`, ...this.sanitizeArgs(args)),
-      debug: (...args) => {
-        if (process.env.LOG_LEVEL === 'DEBUG') {
-          logger.debug(`[Plugin ${this.pluginId}]`, ...this.sanitizeArgs(args));
-        }
-      }
-    };
-  }
-
-  /**
-   * Sanitize console arguments to prevent leaks
-   */
-  sanitizeArgs(args) {
-    return args.map(arg => {
-      // Prevent logging sensitive data
-      if (typeof arg === 'object' && arg !== null) {
-        const sanitized = {};
-        for (const [key, value] of Object.entries(arg)) {
-          if (key.toLowerCase().includes('password') || 
-              key.toLowerCase().includes('secret') ||
-              key.toLowerCase().includes('token') ||
-              key.toLowerCase().includes('key')) {
-            sanitized[key] = '[REDACTED]';
-          } else {
-            sanitized[key] = value;
-          }
-        }
-        return sanitized;
-      }
-      return arg;
-    });
-  }
 }
 
 module.exports = SafePluginExecutor;
\ No newline at end of file
@@ -725,7 +725,7 @@ module.exports = {
   // Get singleton instance
   getInstance(options) {
     if (!instance) {
-      instance = new SecurityAuditLogger(options);
+      instance = new AuditLogger(options);
     }
     return instance;
   }
@@ -5,6 +5,7 @@
  */
 
 const { logger } = require('../logging/bumba-logger');
+const { countTokens } = require('../context/tokenizer');
 
 /**
  * Base Summarizer Interface
@@ -44,6 +45,13 @@ class BaseSummarizer {
   getTokenBudget(used = 0) {
     return Math.max(0, this.maxTokens - used);
   }
+  
+  /**
+   * Count tokens the way the context budget does
+   */
+  estimateTokens(data) {
+    return countTokens(data);
+  }
 }
 
 /**
@@ -208,11 +216,6 @@ class ObjectSummarizer extends BaseSummarizer {
     
     return summary;
   }
-  
-  estimateTokens(data) {
-    const text = typeof data === 'string' ? data : JSON.stringify(data);
-    return Math.ceil(text.length / 4);
-  }
 }
 
 /**
@@ -11,6 +11,7 @@ const { getInstance: getSelector } = require('./command-intelligence/specialist-
 const { getInstance: getGenerator } = require('./command-intelligence/intelligent-output-generator');
 const { getInstance: getCollaborator } = require('./command-intelligence/multi-agent-collaborator');
 const { getInstance: getChainExecutor } = require('./command-intelligence/command-chain-executor');
+const { getInstance: getChainParser } = require('./command-intelligence/chain-parser');
 
 // Performance Components
 const { getInstance: getCacheManager } = require('./command-intelligence/cache-manager');
@@ -277,9 +278,7 @@ class SystemOrchestrator {
    * Check if input is a command chain
    */
   isCommandChain(command) {
-    return typeof command === 'string' && 
-           (command.includes('&&') || command.includes('||') || 
-            command.includes('|') || command.includes('->'));
+    return getChainParser().isChain(command);
   }
 
   /**
@@ -0,0 +1,303 @@
+/**
+ * BUMBA Cron Expression
+ * Standard 5-field cron syntax, with an optional leading seconds field,
+ * evaluated in an IANA timezone
+ *
+ *   ┌──────────── second (0-59, optional)
+ *   │ ┌────────── minute (0-59)
+ *   │ │ ┌──────── hour (0-23)
+ *   │ │ │ ┌────── day of month (1-31)
+ *   │ │ │ │ ┌──── month (1-12 or JAN-DEC)
+ *   │ │ │ │ │ ┌── day of week (0-7 or SUN-SAT, 0 and 7 are Sunday)
+ *   * * * * * *
+ *
+ * Fields accept lists (1,15), ranges (9-17), steps (*\/5, 10-40/10) and '?'
+ * for either day field. When both day fields are restricted a time matches
+ * if either one does, as in Vixie cron.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Give up on expressions that can never fire (e.g. 30 February)
+const SEARCH_YEARS = 8;
+
+const formatters = new Map();
+
+class CronExpression {
+  constructor(expression, options = {}) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+
+    this.source = expression.trim();
+    this.timezone = options.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.formatter = getFormatter(this.timezone);
+
+    const expanded = MACROS[this.source.toLowerCase()] || this.source;
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length !== 5 && parts.length !== 6) {
+      throw new Error(`Invalid cron expression '${this.source}': expected 5 or 6 fields, got ${parts.length}`);
+    }
+    if (parts.length === 5) {
+      parts.unshift('0');
+    }
+
+    this.fields = {};
+    FIELDS.forEach((field, index) => {
+      this.fields[field.name] = this.parseField(parts[index], field);
+    });
+
+    // Sunday may be written as 7
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.add(0);
+    }
+
+    this.restrictsDayOfMonth = !/^[*?]/.test(parts[3]);
+    this.restrictsDayOfWeek = !/^[*?]/.test(parts[5]);
+  }
+
+  /**
+   * Expand one field into the set of values it allows
+   */
+  parseField(text, field) {
+    const values = new Set();
+
+    for (const item of text.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw this.fieldError(field, `invalid step '${stepText}'`);
+      }
+
+      let start;
+      let end;
+
+      if (range === '*' || range === '?') {
+        if (range === '?' && !['dayOfMonth', 'dayOfWeek'].includes(field.name)) {
+          throw this.fieldError(field, "'?' is only allowed in the day fields");
+        }
+        start = field.min;
+        end = field.name === 'dayOfWeek' ? 6 : field.max;
+      } else if (range.includes('-')) {
+        const [from, to] = range.split('-');
+        start = this.parseValue(from, field);
+        end = this.parseValue(to, field);
+      } else {
+        start = this.parseValue(range, field);
+        // "5/15" runs from 5 to the end of the range
+        end = stepText === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw this.fieldError(field, `range ${start}-${end} is backwards`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse a number or a month/day name
+   */
+  parseValue(text, field) {
+    const upper = String(text).toUpperCase();
+    const named = field.names ? field.names.indexOf(upper) : -1;
+
+    if (named !== -1) {
+      return field.name === 'month' ? named + 1 : named;
+    }
+
+    if (!/^\d+$/.test(upper)) {
+      throw this.fieldError(field, `invalid value '${text}'`);
+    }
+
+    const value = Number(upper);
+    if (value < field.min || value > field.max) {
+      throw this.fieldError(field, `${value} is outside ${field.min}-${field.max}`);
+    }
+
+    return value;
+  }
+
+  fieldError(field, message) {
+    return new Error(`Invalid cron expression '${this.source}': ${field.name} ${message}`);
+  }
+
+  /**
+   * Next fire time strictly after the given time, or null if there is none
+   */
+  next(after = Date.now()) {
+    const afterMs = after instanceof Date ? after.getTime() : after;
+    // Wall-clock time in the schedule's timezone, held in a UTC Date
+    const wall = new Date(this.toWallClock(afterMs));
+    wall.setUTCMilliseconds(0);
+    wall.setUTCSeconds(wall.getUTCSeconds() + 1);
+
+    const limit = wall.getUTCFullYear() + SEARCH_YEARS;
+
+    while (wall.getUTCFullYear() <= limit) {
+      if (!this.fields.month.has(wall.getUTCMonth() + 1)) {
+        wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+        wall.setUTCHours(0, 0, 0);
+        continue;
+      }
+      if (!this.matchesDay(wall)) {
+        wall.setUTCDate(wall.getUTCDate() + 1);
+        wall.setUTCHours(0, 0, 0);
+        continue;
+      }
+      if (!this.fields.hour.has(wall.getUTCHours())) {
+        wall.setUTCHours(wall.getUTCHours() + 1, 0, 0);
+        continue;
+      }
+      if (!this.fields.minute.has(wall.getUTCMinutes())) {
+        wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0);
+        continue;
+      }
+      if (!this.fields.second.has(wall.getUTCSeconds())) {
+        wall.setUTCSeconds(wall.getUTCSeconds() + 1);
+        continue;
+      }
+
+      const instant = this.fromWallClock(wall.getTime());
+
+      // Repeated wall-clock times after a DST change can map to the past
+      if (instant > afterMs) {
+        return instant;
+      }
+      wall.setUTCSeconds(wall.getUTCSeconds() + 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Fire times in (from, to], oldest first, at most `limit` of them
+   */
+  between(from, to, limit = Infinity) {
+    const end = to instanceof Date ? to.getTime() : to;
+    const times = [];
+    let time = this.next(from);
+
+    while (time !== null && time <= end && times.length < limit) {
+      times.push(time);
+      time = this.next(time);
+    }
+
+    return times;
+  }
+
+  /**
+   * The newest `limit` fire times in (from, to], oldest first
+   * Searches back from `to` in doubling windows, so a long gap costs about
+   * as much as the times returned rather than every fire time in it
+   */
+  latest(from, to, limit = Infinity) {
+    const start = from instanceof Date ? from.getTime() : from;
+    const end = to instanceof Date ? to.getTime() : to;
+
+    if (limit === Infinity) {
+      return this.between(start, end);
+    }
+
+    for (let span = 60000; ; span *= 2) {
+      const windowStart = Math.max(start, end - span);
+      const times = this.between(windowStart, end);
+      if (times.length >= limit || windowStart === start) {
+        return times.slice(-limit);
+      }
+    }
+  }
+
+  matchesDay(wall) {
+    const dayOfMonth = this.fields.dayOfMonth.has(wall.getUTCDate());
+    const dayOfWeek = this.fields.dayOfWeek.has(wall.getUTCDay());
+
+    if (this.restrictsDayOfMonth && this.restrictsDayOfWeek) {
+      return dayOfMonth || dayOfWeek;
+    }
+
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * Wall-clock time in the schedule's timezone, as if it were UTC
+   */
+  toWallClock(instant) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(instant))) {
+      parts[type] = Number(value);
+    }
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, instant % 1000);
+  }
+
+  /**
+   * Instant for a wall-clock time. Times skipped by a DST change run at the
+   * equivalent time after it; repeated times use their first occurrence.
+   */
+  fromWallClock(wall) {
+    const offset = this.toWallClock(wall) - wall;
+    const guess = wall - offset;
+    const actualOffset = this.toWallClock(guess) - guess;
+
+    if (actualOffset === offset) {
+      return guess;
+    }
+
+    const adjusted = wall - actualOffset;
+    return this.toWallClock(adjusted) - adjusted === actualOffset ? adjusted : guess;
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch {
+      throw new Error(`Unknown timezone '${timezone}'`);
+    }
+    formatters.set(timezone, formatter);
+  }
+
+  return formatters.get(timezone);
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,311 @@
+/**
+ * BUMBA Execution Store
+ * Durable record of workflow, saga and task executions in SQLite
+ * Each step's input, output and status is written as it happens so a
+ * restarted process can find interrupted executions and resume or compensate them
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { logger } = require('../logging/bumba-logger');
+
+// Executions in these states had not finished when they were last written
+const INCOMPLETE_STATUSES = ['running', 'compensating'];
+
+class ExecutionStore {
+  constructor(config = {}) {
+    this.config = {
+      dbPath: path.join(process.cwd(), '.bumba', 'workflow-executions.db'),
+      ...config
+    };
+
+    if (this.config.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.config.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.config.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.initializeTables();
+  }
+
+  /**
+   * Initialize database tables
+   */
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS executions (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        owner_id TEXT,
+        status TEXT NOT NULL,
+        input TEXT,
+        state TEXT,
+        definition TEXT,
+        error TEXT,
+        pid INTEGER,
+        recoveries INTEGER DEFAULT 0,
+        started_at INTEGER,
+        updated_at INTEGER,
+        completed_at INTEGER
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS execution_steps (
+        execution_id TEXT NOT NULL,
+        step_id TEXT NOT NULL,
+        position INTEGER,
+        status TEXT NOT NULL,
+        input TEXT,
+        output TEXT,
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        started_at INTEGER,
+        completed_at INTEGER,
+        PRIMARY KEY (execution_id, step_id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_executions_status ON executions(status, kind);
+      CREATE INDEX IF NOT EXISTS idx_executions_owner ON executions(owner_id);
+    `);
+  }
+
+  /**
+   * Record a new execution as running
+   */
+  startExecution({ id, kind, ownerId, input, state, definition }) {
+    const now = Date.now();
+
+    this.db.prepare(`
+      INSERT INTO executions
+      (id, kind, owner_id, status, input, state, definition, pid, started_at, updated_at)
+      VALUES (?, ?, ?, 'running', ?, ?, ?, ?, ?, ?)
+    `).run(id, kind, ownerId || null, serialize(input), serialize(state), serialize(definition), process.pid, now, now);
+
+    return this.getExecution(id);
+  }
+
+  /**
+   * Update the status and/or state of an execution
+   */
+  updateExecution(id, { status, state, error } = {}) {
+    const now = Date.now();
+    const finished = status && !INCOMPLETE_STATUSES.includes(status);
+
+    this.db.prepare(`
+      UPDATE executions SET
+        status = COALESCE(?, status),
+        state = COALESCE(?, state),
+        error = COALESCE(?, error),
+        updated_at = ?,
+        completed_at = CASE WHEN ? THEN ? ELSE completed_at END
+      WHERE id = ?
+    `).run(status || null, state === undefined ? null : serialize(state), error || null, now, finished ? 1 : 0, now, id);
+  }
+
+  /**
+   * Take over an interrupted execution in this process
+   */
+  claimExecution(id, status = 'running') {
+    this.db.prepare(`
+      UPDATE executions SET
+        status = ?, pid = ?, recoveries = recoveries + 1, error = NULL, updated_at = ?, completed_at = NULL
+      WHERE id = ?
+    `).run(status, process.pid, Date.now(), id);
+  }
+
+  /**
+   * Record that a step started, with the input it ran against
+   */
+  recordStepStart(executionId, stepId, { position, input } = {}) {
+    this.db.prepare(`
+      INSERT INTO execution_steps (execution_id, step_id, position, status, input, attempts, started_at)
+      VALUES (?, ?, ?, 'running', ?, 1, ?)
+      ON CONFLICT (execution_id, step_id) DO UPDATE SET
+        status = 'running',
+        input = excluded.input,
+        error = NULL,
+        attempts = attempts + 1,
+        started_at = excluded.started_at,
+        completed_at = NULL
+    `).run(executionId, String(stepId), position === undefined ? null : position, serialize(input), Date.now());
+  }
+
+  /**
+   * Record a step's outcome: completed, failed, skipped or compensated
+   */
+  recordStepResult(executionId, stepId, { status, output, error } = {}) {
+    this.db.prepare(`
+      INSERT INTO execution_steps (execution_id, step_id, status, output, error, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (execution_id, step_id) DO UPDATE SET
+        status = excluded.status,
+        output = COALESCE(excluded.output, output),
+        error = excluded.error,
+        completed_at = excluded.completed_at
+    `).run(executionId, String(stepId), status, serialize(output), error || null, Date.now());
+  }
+
+  /**
+   * Load an execution with its steps in the order they ran
+   */
+  getExecution(id) {
+    const row = this.db.prepare('SELECT * FROM executions WHERE id = ?').get(id);
+
+    if (!row) {
+      return null;
+    }
+
+    const steps = this.db.prepare(`
+      SELECT * FROM execution_steps WHERE execution_id = ?
+      ORDER BY COALESCE(started_at, completed_at), position
+    `).all(id);
+
+    return {
+      ...toExecution(row),
+      steps: steps.map(step => ({
+        stepId: step.step_id,
+        position: step.position,
+        status: step.status,
+        input: parse(step.input),
+        output: parse(step.output),
+        error: step.error,
+        attempts: step.attempts,
+        startedAt: step.started_at,
+        completedAt: step.completed_at
+      }))
+    };
+  }
+
+  /**
+   * List executions, newest first
+   */
+  listExecutions({ kind, status, ownerId, limit = 50 } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (kind) {
+      clauses.push('kind = ?');
+      params.push(kind);
+    }
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (ownerId) {
+      clauses.push('owner_id = ?');
+      params.push(ownerId);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    return this.db.prepare(`SELECT * FROM executions ${where} ORDER BY started_at DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(toExecution);
+  }
+
+  /**
+   * Executions that were still running when their process went away
+   * An execution owned by this process is only interrupted if the caller
+   * no longer tracks it (e.g. the engine was rebuilt in the same process)
+   */
+  findInterrupted({ kind, isActive = () => false } = {}) {
+    return this.listExecutions({ kind, status: INCOMPLETE_STATUSES, limit: -1 })
+      .filter(execution => !isActive(execution.id))
+      .filter(execution => execution.pid === process.pid || !isProcessAlive(execution.pid))
+      .reverse();
+  }
+
+  /**
+   * Delete finished executions older than the given age
+   */
+  prune(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    const ids = this.db.prepare(`
+      SELECT id FROM executions WHERE completed_at IS NOT NULL AND completed_at < ?
+    `).all(cutoff).map(row => row.id);
+
+    const remove = this.db.transaction(() => {
+      for (const id of ids) {
+        this.db.prepare('DELETE FROM execution_steps WHERE execution_id = ?').run(id);
+        this.db.prepare('DELETE FROM executions WHERE id = ?').run(id);
+      }
+    });
+    remove();
+
+    return ids.length;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    this.db.close();
+    logger.info('💾 Execution store closed');
+  }
+}
+
+function toExecution(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    ownerId: row.owner_id,
+    status: row.status,
+    input: parse(row.input),
+    state: parse(row.state),
+    definition: parse(row.definition),
+    error: row.error,
+    pid: row.pid,
+    recoveries: row.recoveries,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * JSON for storage - functions are dropped and repeated references cut
+ */
+function serialize(value) {
+  if (value === undefined) {
+    return null;
+  }
+
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, item) => {
+    if (typeof item === 'function') {
+      return undefined;
+    }
+    if (item && typeof item === 'object') {
+      if (seen.has(item)) {
+        return '[Circular]';
+      }
+      seen.add(item);
+    }
+    return item;
+  });
+}
+
+function parse(text) {
+  return text === null || text === undefined ? null : JSON.parse(text);
+}
+
+function isProcessAlive(pid) {
+  if (!pid) {
+    return false;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = ExecutionStore;
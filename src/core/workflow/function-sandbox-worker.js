@@ -0,0 +1,76 @@
+/**
+ * BUMBA Function Sandbox Worker
+ * Runs one user-provided function inside a vm context on its own worker
+ * thread. Only primitives and context-side copies cross into the context,
+ * so sandboxed code never holds an object from this realm.
+ */
+
+'use strict';
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+const { bootstrap, describeError, parseError } = require('./sandbox-bootstrap');
+
+const { source, input, globals, apiNames, filename } = workerData;
+const timers = new Map();
+let settled = false;
+
+/**
+ * Post an error already reduced to plain fields
+ */
+function report(code, error) {
+  settled = true;
+  parentPort.postMessage({ type: 'error', code, error });
+}
+
+function finish(ok, value) {
+  if (settled) {
+    return;
+  }
+  if (!ok) {
+    report('EXECUTION_FAILED', parseError(value));
+    return;
+  }
+  try {
+    parentPort.postMessage({ type: 'result', value });
+    settled = true;
+  } catch (error) {
+    report('UNCLONEABLE', { name: error.name, message: `Result is not cloneable: ${error.message}` });
+  }
+}
+
+const context = vm.createContext(Object.create(null), {
+  name: filename,
+  codeGeneration: { strings: false, wasm: false }
+});
+
+const bridge = vm.runInContext(`(${bootstrap})`, context, { filename: 'sandbox-bootstrap.js' })({
+  send: message => parentPort.postMessage(message),
+  schedule: (id, delay) => {
+    timers.set(id, setTimeout(() => {
+      timers.delete(id);
+      bridge.fire(id);
+    }, delay));
+  },
+  cancel: id => {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+  }
+}, apiNames, globals);
+
+parentPort.on('message', message => {
+  if (message.type === 'reply') {
+    bridge.deliver(message.id, message.ok, message.ok ? message.value : message.error);
+  }
+});
+
+// Compiling runs no user code, so only the compiler's own errors land here
+let load;
+try {
+  load = vm.compileFunction(`return (${source}\n);`, [], { filename, parsingContext: context });
+} catch (error) {
+  report('EXECUTION_FAILED', describeError(error));
+}
+if (load) {
+  bridge.run(load, input, finish);
+}
@@ -0,0 +1,255 @@
+/**
+ * BUMBA Function Sandbox
+ * Runs user-provided JavaScript functions on a worker thread with memory
+ * and CPU-time limits, so contributed workflow code cannot take down or
+ * reach into the orchestrator process
+ *
+ * Sandboxed code sees the JavaScript builtins plus a whitelisted surface:
+ *   - input     first argument, a structured clone of what the caller passed
+ *   - api       host functions registered with the sandbox, each returning a promise
+ *   - console   forwarded to the BUMBA logger
+ *   - setTimeout / clearTimeout
+ * There is no require, process, filesystem or network access, and eval and
+ * new Function are disabled. The return value is structured-cloned back.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { logger } = require('../logging/bumba-logger');
+
+const WORKER_PATH = path.join(__dirname, 'function-sandbox-worker.js');
+
+// How often the worker's CPU time is sampled
+const CPU_CHECK_INTERVAL = 25;
+
+const LOG_LEVELS = ['info', 'warn', 'error', 'debug'];
+
+/**
+ * Raised when sandboxed code fails or breaks a limit
+ * `code` is TIMEOUT, CPU_LIMIT, MEMORY_LIMIT, UNCLONEABLE, INVALID_SOURCE
+ * or EXECUTION_FAILED; `remote` describes the error thrown inside the sandbox
+ */
+class SandboxError extends Error {
+  constructor(code, message, remote = null) {
+    super(message);
+    this.name = 'SandboxError';
+    this.code = code;
+    this.remote = remote;
+  }
+}
+
+class FunctionSandbox {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Used in log lines and error messages
+   * @param {number} options.timeout - Wall-clock limit in ms, the worker is killed after it
+   * @param {number} options.cpuTimeLimit - CPU time limit in ms (defaults to half the timeout, so
+   *   busy code is stopped as a CPU overrun while code waiting on api calls or timers gets the full timeout)
+   * @param {number} options.memoryLimitMb - Heap limit of the worker
+   * @param {number} options.maxWorkers - Runs allowed at once, the rest wait their turn
+   * @param {Object} options.api - Host functions exposed to sandboxed code as `api.<name>`
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'sandbox';
+    this.timeout = options.timeout || 5000;
+    this.cpuTimeLimit = options.cpuTimeLimit || null;
+    this.memoryLimitMb = options.memoryLimitMb || 64;
+    this.maxWorkers = options.maxWorkers || 4;
+    this.api = options.api || {};
+
+    this.active = 0;
+    this.waiting = [];
+    this.workers = new Set();
+  }
+
+  /**
+   * Run a function source (or a self-contained function) with the given input
+   * Options override the sandbox limits and add `api` functions and `globals`
+   * (cloneable values defined as globals) for this run only
+   */
+  async run(source, input, options = {}) {
+    const code = typeof source === 'function' ? source.toString() : source;
+
+    if (typeof code !== 'string' || code.trim() === '') {
+      throw new SandboxError('INVALID_SOURCE', `${options.name || this.name}: function source must be a non-empty string`);
+    }
+
+    await this.acquire();
+    try {
+      return await this.spawn(code, input, options);
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Start one worker and settle when it answers, fails or breaks a limit
+   */
+  spawn(code, input, options) {
+    const name = options.name || this.name;
+    const timeout = options.timeout || this.timeout;
+    const cpuTimeLimit = options.cpuTimeLimit || this.cpuTimeLimit || Math.ceil(timeout / 2);
+    const memoryLimitMb = options.memoryLimitMb || this.memoryLimitMb;
+    const api = { ...this.api, ...options.api };
+
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(WORKER_PATH, {
+          workerData: {
+            source: code,
+            input,
+            globals: options.globals || {},
+            apiNames: Object.keys(api),
+            filename: `${name}.js`
+          },
+          resourceLimits: {
+            maxOldGenerationSizeMb: memoryLimitMb,
+            maxYoungGenerationSizeMb: Math.max(1, Math.ceil(memoryLimitMb / 8)),
+            stackSizeMb: 4
+          },
+          // Nothing from the orchestrator environment, such as credentials
+          env: {}
+        });
+      } catch (error) {
+        if (error.name === 'DataCloneError') {
+          reject(new SandboxError('UNCLONEABLE', `${name}: input is not cloneable: ${error.message}`));
+          return;
+        }
+        reject(error);
+        return;
+      }
+
+      this.workers.add(worker);
+      let settled = false;
+
+      const settle = (error, value) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        clearInterval(monitor);
+        this.workers.delete(worker);
+        worker.terminate();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        settle(new SandboxError('TIMEOUT', `${name} timed out after ${timeout}ms`));
+      }, timeout);
+
+      // Time the worker's event loop spent busy is the CPU time it used. It
+      // includes the iteration in progress, so a synchronous busy loop counts;
+      // process.cpuUsage() inside a worker would measure the whole process
+      const monitor = setInterval(() => {
+        if (worker.performance.eventLoopUtilization().active > cpuTimeLimit) {
+          settle(new SandboxError('CPU_LIMIT', `${name} exceeded its CPU time limit of ${cpuTimeLimit}ms`));
+        }
+      }, CPU_CHECK_INTERVAL);
+
+      worker.on('message', message => {
+        switch (message.type) {
+          case 'result':
+            settle(null, message.value);
+            break;
+
+          case 'error':
+            settle(new SandboxError(
+              message.code,
+              `${name} failed: ${message.error.message}`,
+              message.error
+            ));
+            break;
+
+          case 'log':
+            logger[LOG_LEVELS.includes(message.level) ? message.level : 'info'](`[${name}] ${message.args.join(' ')}`);
+            break;
+
+          case 'call':
+            this.answerCall(worker, api, message);
+            break;
+        }
+      });
+
+      worker.on('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          settle(new SandboxError('MEMORY_LIMIT', `${name} exceeded its memory limit of ${memoryLimitMb}MB`));
+          return;
+        }
+        settle(new SandboxError('EXECUTION_FAILED', `${name} failed: ${error.message}`, {
+          name: error.name,
+          message: error.message,
+          stack: error.stack
+        }));
+      });
+
+      worker.on('exit', exitCode => {
+        settle(new SandboxError('EXECUTION_FAILED', `${name} exited with code ${exitCode} before returning a result`));
+      });
+    });
+  }
+
+  /**
+   * Run a whitelisted host function for sandboxed code and send back the outcome
+   */
+  async answerCall(worker, api, { id, name, args }) {
+    let reply;
+    try {
+      if (!Object.prototype.hasOwnProperty.call(api, name)) {
+        throw new Error(`Unknown sandbox api: ${name}`);
+      }
+      reply = { type: 'reply', id, ok: true, value: await api[name](...args) };
+    } catch (error) {
+      reply = { type: 'reply', id, ok: false, error: { name: error.name, message: error.message } };
+    }
+
+    if (!this.workers.has(worker)) {
+      return;
+    }
+    try {
+      worker.postMessage(reply);
+    } catch (error) {
+      worker.postMessage({
+        type: 'reply',
+        id,
+        ok: false,
+        error: { name: error.name, message: `Result of api.${name} is not cloneable: ${error.message}` }
+      });
+    }
+  }
+
+  acquire() {
+    if (this.active < this.maxWorkers) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Kill every running worker
+   */
+  async terminate() {
+    await Promise.all(Array.from(this.workers, worker => worker.terminate()));
+  }
+}
+
+module.exports = {
+  FunctionSandbox,
+  SandboxError
+};
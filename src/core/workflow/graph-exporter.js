@@ -0,0 +1,279 @@
+/**
+ * BUMBA Graph Exporter
+ * Renders workflow, pipeline and task dependency graphs as Mermaid,
+ * Graphviz DOT or a terminal ASCII DAG, annotated with live status and
+ * the critical path from EnhancedDependencyManager.calculateExecutionPlan
+ */
+
+const chalk = require('chalk');
+
+const FORMATS = ['mermaid', 'dot', 'ascii'];
+
+// Fill, border and terminal colour per status
+const STATUS_STYLES = {
+  pending: { fill: '#eeeeee', stroke: '#9e9e9e', color: 'gray' },
+  blocked: { fill: '#fff3e0', stroke: '#ef6c00', color: 'yellow' },
+  ready: { fill: '#e3f2fd', stroke: '#1565c0', color: 'blue' },
+  running: { fill: '#bbdefb', stroke: '#0d47a1', color: 'cyan' },
+  completed: { fill: '#c8e6c9', stroke: '#2e7d32', color: 'green' },
+  failed: { fill: '#ffcdd2', stroke: '#c62828', color: 'red' },
+  skipped: { fill: '#f5f5f5', stroke: '#bdbdbd', color: 'gray' },
+  compensated: { fill: '#e1bee7', stroke: '#6a1b9a', color: 'magenta' }
+};
+
+const CRITICAL_COLOR = '#d32f2f';
+
+class GraphExporter {
+  /**
+   * @param {Object} graph - { name, nodes: [{ id, label, status, duration }],
+   *   edges: [{ from, to, type }] } where `from` has to finish before `to`
+   * @param {Object} plan - Optional { stages, criticalPath } to use instead of planning here
+   */
+  constructor(graph, plan = null) {
+    this.name = graph.name || 'graph';
+    this.nodes = graph.nodes.map(node => ({
+      ...node,
+      label: node.label || node.id,
+      status: STATUS_STYLES[node.status] ? node.status : 'pending'
+    }));
+    this.edges = graph.edges.filter(edge => this.hasNode(edge.from) && this.hasNode(edge.to));
+    this.executionPlan = plan;
+  }
+
+  /**
+   * Graph of a workflow's top-level steps
+   * Steps run in order unless the workflow is parallel or declares dependencies
+   */
+  static fromWorkflow(workflow, { statuses = {} } = {}) {
+    const steps = workflow.steps || [];
+    const ids = steps.map((step, index) => String(step.id || step.name || `step_${index + 1}`));
+    const usesDependencies = workflow.config?.parallel || steps.some(step => step.dependencies?.length > 0);
+
+    const edges = usesDependencies
+      ? steps.flatMap((step, index) => (step.dependencies || []).map(dep => ({ from: dep, to: ids[index] })))
+      : ids.slice(1).map((id, index) => ({ from: ids[index], to: id }));
+
+    return new GraphExporter({
+      name: workflow.name || workflow.id,
+      nodes: steps.map((step, index) => ({
+        id: ids[index],
+        label: step.type ? `${ids[index]} (${step.type})` : ids[index],
+        status: statuses[ids[index]],
+        duration: step.estimatedDuration
+      })),
+      edges
+    });
+  }
+
+  /**
+   * Graph of an orchestration's pipelines and their connections
+   */
+  static fromOrchestration(orchestration, { statuses = {} } = {}) {
+    const pipelines = orchestration.pipelines || [];
+    const ids = pipelines.map((pipeline, index) => String(pipeline.id || `pipeline_${index}`));
+    const connections = orchestration.connections || [];
+
+    const edges = connections.length > 0 || orchestration.config?.parallel
+      ? connections.map(connection => ({ from: connection.from, to: connection.to }))
+      : ids.slice(1).map((id, index) => ({ from: ids[index], to: id }));
+
+    return new GraphExporter({
+      name: orchestration.name || orchestration.id,
+      nodes: pipelines.map((pipeline, index) => ({
+        id: ids[index],
+        label: pipeline.name && pipeline.name !== ids[index] ? `${ids[index]} (${pipeline.name})` : ids[index],
+        status: statuses[ids[index]],
+        duration: pipeline.estimatedDuration
+      })),
+      edges
+    });
+  }
+
+  /**
+   * Stages and critical path, planned by EnhancedDependencyManager
+   */
+  plan() {
+    if (!this.executionPlan) {
+      // Required here because the dependency manager requires this module
+      const { EnhancedDependencyManager } = require('../orchestration/enhanced-dependency-manager');
+      const manager = new EnhancedDependencyManager({ cycleDetection: false });
+
+      for (const node of this.nodes) {
+        manager.addTask(node.id, {
+          name: node.label,
+          estimatedDuration: node.duration || null,
+          dependencies: this.edges.filter(edge => edge.to === node.id && !isSoft(edge)).map(edge => edge.from)
+        });
+      }
+
+      this.executionPlan = manager.calculateExecutionPlan();
+    }
+
+    return this.executionPlan;
+  }
+
+  /**
+   * Nodes grouped into stages that can run together
+   * Nodes the planner could not place (cycles) go in a final stage
+   */
+  getStages() {
+    const stages = (this.plan().stages || []).filter(Boolean).map(stage => stage.filter(id => this.hasNode(id)));
+    const placed = new Set(stages.flat());
+    const unplaced = this.nodes.map(node => node.id).filter(id => !placed.has(id));
+
+    return unplaced.length > 0 ? [...stages, unplaced] : stages;
+  }
+
+  getCriticalPath() {
+    return (this.plan().criticalPath || []).filter(id => this.hasNode(id));
+  }
+
+  /**
+   * Render in one of the supported formats
+   */
+  export(format = 'mermaid', options = {}) {
+    switch (format) {
+      case 'mermaid':
+        return this.toMermaid(options);
+      case 'dot':
+        return this.toDot(options);
+      case 'ascii':
+        return this.toAscii(options);
+      default:
+        throw new Error(`Unsupported graph format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Mermaid flowchart; critical path edges are drawn thick
+   */
+  toMermaid({ direction = 'TD' } = {}) {
+    const ids = new Map(this.nodes.map((node, index) => [node.id, `n${index}`]));
+    const critical = this.getCriticalPath();
+    const lines = [`flowchart ${direction}`];
+
+    for (const node of this.nodes) {
+      lines.push(`  ${ids.get(node.id)}["${escapeMermaid(node.label)}<br/><i>${node.status}</i>"]`);
+    }
+
+    for (const edge of this.edges) {
+      const arrow = isCriticalEdge(critical, edge) ? '==>' : isSoft(edge) ? '-.->' : '-->';
+      lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+    }
+
+    for (const [status, style] of Object.entries(STATUS_STYLES)) {
+      const members = this.nodes.filter(node => node.status === status).map(node => ids.get(node.id));
+      if (members.length > 0) {
+        lines.push(`  classDef ${status} fill:${style.fill},stroke:${style.stroke}`);
+        lines.push(`  class ${members.join(',')} ${status}`);
+      }
+    }
+
+    if (critical.length > 0) {
+      lines.push(`  classDef critical stroke:${CRITICAL_COLOR},stroke-width:3px`);
+      lines.push(`  class ${critical.map(id => ids.get(id)).join(',')} critical`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz DOT digraph; critical path nodes and edges are outlined in red
+   */
+  toDot({ rankdir = 'TB' } = {}) {
+    const critical = this.getCriticalPath();
+    const onPath = new Set(critical);
+    const lines = [
+      `digraph ${quoteDot(this.name)} {`,
+      `  rankdir=${rankdir};`,
+      '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+    ];
+
+    for (const node of this.nodes) {
+      const style = STATUS_STYLES[node.status];
+      const attributes = [
+        `label=${quoteDot(`${node.label}\n${node.status}`)}`,
+        `fillcolor="${style.fill}"`,
+        `color="${onPath.has(node.id) ? CRITICAL_COLOR : style.stroke}"`
+      ];
+      if (onPath.has(node.id)) {
+        attributes.push('penwidth=2.5');
+      }
+      lines.push(`  ${quoteDot(node.id)} [${attributes.join(', ')}];`);
+    }
+
+    for (const edge of this.edges) {
+      const attributes = [];
+      if (isCriticalEdge(critical, edge)) {
+        attributes.push(`color="${CRITICAL_COLOR}"`, 'penwidth=2.5');
+      }
+      if (isSoft(edge)) {
+        attributes.push('style=dashed');
+      }
+      const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+      lines.push(`  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)}${suffix};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Terminal DAG: one block per stage, each node with its status and
+   * what it waits on; critical path nodes are starred
+   */
+  toAscii({ color = false } = {}) {
+    const critical = this.getCriticalPath();
+    const onPath = new Set(critical);
+    const width = Math.max(...Object.keys(STATUS_STYLES).map(status => status.length));
+    const paint = (text, colour) => (color ? chalk[colour](text) : text);
+    const lines = [`${this.name} (${this.nodes.length} nodes)`];
+
+    if (critical.length > 0) {
+      lines.push(`critical path: ${critical.join(' -> ')}`);
+    }
+
+    this.getStages().forEach((stage, index) => {
+      lines.push(index === 0 ? '' : '   |');
+      lines.push(`stage ${index + 1}`);
+
+      for (const id of stage) {
+        const node = this.nodes.find(candidate => candidate.id === id);
+        const waitsOn = this.edges.filter(edge => edge.to === id).map(edge => edge.from);
+        const status = paint(`[${node.status.padEnd(width)}]`, STATUS_STYLES[node.status].color);
+        const marker = onPath.has(id) ? paint(' *', 'red') : '';
+        const after = waitsOn.length > 0 ? ` <- ${waitsOn.join(', ')}` : '';
+
+        lines.push(`  ${status} ${node.label}${marker}${after}`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  hasNode(id) {
+    return this.nodes.some(node => node.id === id);
+  }
+}
+
+function isSoft(edge) {
+  return Boolean(edge.type) && edge.type !== 'hard';
+}
+
+function isCriticalEdge(critical, edge) {
+  const index = critical.indexOf(edge.from);
+  return index !== -1 && critical[index + 1] === edge.to;
+}
+
+function escapeMermaid(text) {
+  return String(text).replace(/"/g, '#quot;');
+}
+
+function quoteDot(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+module.exports = {
+  GraphExporter,
+  GRAPH_FORMATS: FORMATS
+};
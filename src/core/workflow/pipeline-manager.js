@@ -30,6 +30,7 @@ class PipelineManager extends EventEmitter {
       orchestrationEnabled: config.orchestrationEnabled !== false,
       optimizationEnabled: config.optimizationEnabled !== false,
       analyticsEnabled: config.analyticsEnabled !== false,
+      schedulePersistence: config.schedulePersistence || false,
       
       ...config
     };
@@ -83,7 +84,8 @@ class PipelineManager extends EventEmitter {
         maxConcurrentPipelines: this.config.maxConcurrentPipelines,
         schedulingInterval: this.config.schedulingInterval,
         resourceAware: this.config.resourceAware,
-        timeSlicing: this.config.timeSlicing
+        timeSlicing: this.config.timeSlicing,
+        persistence: this.config.schedulePersistence
       });
       
       this.setupSchedulerIntegration();
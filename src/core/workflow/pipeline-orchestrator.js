@@ -6,6 +6,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const { GraphExporter } = require('./graph-exporter');
 
 /**
  * Orchestrator for complex pipeline workflows
@@ -172,6 +173,7 @@ class PipelineOrchestrator extends EventEmitter {
         phase: 'initializing',
         dataContext: { input },
         results: {},
+        pipelineStatus: {},
         errors: [],
         checkpoints: []
       }
@@ -232,6 +234,7 @@ class PipelineOrchestrator extends EventEmitter {
       try {
         // Check conditionals
         if (!await this.evaluateConditionals(pipeline, state)) {
+          this.setPipelineStatus(state, pipeline, 'skipped');
           continue;
         }
         
@@ -244,6 +247,7 @@ class PipelineOrchestrator extends EventEmitter {
         const inputData = await this.resolveInputData(pipeline, state, orchestration.dataFlow);
         
         // Execute pipeline
+        this.setPipelineStatus(state, pipeline, 'running');
         const result = await this.executePipeline(pipeline, inputData, execution);
         
         // Transform output if needed
@@ -252,6 +256,7 @@ class PipelineOrchestrator extends EventEmitter {
         // Store result
         state.dataContext[pipeline.id || `pipeline_${i}`] = outputData;
         results.push(outputData);
+        this.setPipelineStatus(state, pipeline, 'completed');
         
         // Check for branching
         const branch = await this.checkBranching(pipeline, outputData, orchestration);
@@ -267,6 +272,7 @@ class PipelineOrchestrator extends EventEmitter {
         }
         
       } catch (error) {
+        this.setPipelineStatus(state, pipeline, 'failed');
         await this.handlePipelineError(pipeline, error, execution);
         
         if (orchestration.controlFlow.errorHandling === 'fail-fast') {
@@ -296,6 +302,7 @@ class PipelineOrchestrator extends EventEmitter {
         try {
           // Check conditionals
           if (!await this.evaluateConditionals(pipeline, state)) {
+            this.setPipelineStatus(state, pipeline, 'skipped');
             return null;
           }
           
@@ -303,6 +310,7 @@ class PipelineOrchestrator extends EventEmitter {
           const inputData = await this.resolveInputData(pipeline, state, orchestration.dataFlow);
           
           // Execute pipeline
+          this.setPipelineStatus(state, pipeline, 'running');
           const result = await this.executePipeline(pipeline, inputData, execution);
           
           // Transform output
@@ -310,10 +318,12 @@ class PipelineOrchestrator extends EventEmitter {
           
           // Store result
           state.dataContext[pipeline.id] = outputData;
+          this.setPipelineStatus(state, pipeline, 'completed');
           
           return outputData;
           
         } catch (error) {
+          this.setPipelineStatus(state, pipeline, 'failed');
           await this.handlePipelineError(pipeline, error, execution);
           
           if (orchestration.controlFlow.errorHandling === 'fail-fast') {
@@ -1118,6 +1128,29 @@ class PipelineOrchestrator extends EventEmitter {
     return `chkpt_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
   
+  /**
+   * Render an orchestration's pipeline graph as Mermaid, DOT or ASCII
+   * With `executionId`, pipelines are annotated with that running execution's status
+   */
+  exportOrchestrationGraph(orchestrationId, format = 'mermaid', options = {}) {
+    const orchestration = this.workflows.get(orchestrationId);
+    
+    if (!orchestration) {
+      throw new Error(`Orchestration not found: ${orchestrationId}`);
+    }
+    
+    const state = options.executionId ? this.orchestrationState.get(options.executionId) : null;
+    const statuses = options.statuses || (state ? state.pipelineStatus : {});
+    
+    return GraphExporter.fromOrchestration(orchestration, { statuses }).export(format, options);
+  }
+  
+  setPipelineStatus(state, pipeline, status) {
+    if (state.pipelineStatus && pipeline.id) {
+      state.pipelineStatus[pipeline.id] = status;
+    }
+  }
+  
   /**
    * Get metrics
    */
@@ -6,6 +6,11 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const CronExpression = require('./cron-expression');
+const { ScheduleStore, resolveCatchUp, CATCH_UP_POLICIES } = require('./schedule-store');
+
+// Longest delay setTimeout accepts; later runs are reached in several hops
+const MAX_TIMEOUT = 2147483647;
 
 /**
  * Scheduler for pipeline operations
@@ -21,6 +26,9 @@ class PipelineScheduler extends EventEmitter {
       priorityLevels: config.priorityLevels || 5,
       timeSlicing: config.timeSlicing !== false,
       resourceAware: config.resourceAware !== false,
+      catchUp: config.catchUp || 'skip', // skip, once, all
+      catchUpTolerance: config.catchUpTolerance || 60000,
+      maxCatchUpRuns: config.maxCatchUpRuns || 100,
       ...config
     };
     
@@ -60,6 +68,8 @@ class PipelineScheduler extends EventEmitter {
       resourceUtilization: 0
     };
     
+    this.store = this.createScheduleStore();
+    
     this.initialize();
   }
   
@@ -71,6 +81,11 @@ class PipelineScheduler extends EventEmitter {
     this.initializeResourcePool();
     this.setupTimeWindows();
     
+    // Bring back recurring pipelines saved by a previous process
+    if (this.store) {
+      this.restoreRecurringPipelines();
+    }
+    
     logger.info('📅 Pipeline Scheduler initialized');
   }
   
@@ -124,20 +139,26 @@ class PipelineScheduler extends EventEmitter {
   
   /**
    * Schedule recurring pipeline
+   * The pattern is an interval in ms or a 5/6-field cron expression.
+   * Options: timezone for cron patterns, catchUp ('skip', 'once' or 'all')
+   * for runs missed while stopped, and id. Scheduling the same pipeline
+   * and pattern again reuses the persisted schedule.
    */
   scheduleRecurringPipeline(pipeline, pattern, options = {}) {
-    const recurring = {
-      id: this.generateRecurringId(),
-      pipelineId: pipeline.id,
-      pipeline: pipeline,
-      pattern: pattern, // cron expression or interval
-      options: options,
-      nextRun: this.calculateNextRun(pattern),
-      executions: [],
-      state: 'active'
-    };
+    const existing = this.findRecurringPipeline(pipeline, pattern, options);
+    
+    if (existing) {
+      existing.pipeline = pipeline;
+      existing.options = options;
+      existing.catchUp = options.catchUp || existing.catchUp;
+      this.persistRecurring(existing);
+      return existing;
+    }
+    
+    const recurring = this.createRecurring(pipeline, pattern, options);
     
     this.recurringPipelines.set(recurring.id, recurring);
+    this.persistRecurring(recurring);
     
     // Schedule first execution
     this.scheduleNextRecurring(recurring);
@@ -147,6 +168,28 @@ class PipelineScheduler extends EventEmitter {
     return recurring;
   }
   
+  /**
+   * Stop a recurring pipeline and forget it
+   */
+  cancelRecurringPipeline(recurringId) {
+    const recurring = this.recurringPipelines.get(recurringId);
+    
+    if (recurring) {
+      recurring.state = 'cancelled';
+      clearTimeout(recurring.timer);
+      this.recurringPipelines.delete(recurringId);
+    }
+    
+    const removed = this.store ? this.store.remove(recurringId) : false;
+    
+    if (recurring || removed) {
+      this.emit('pipeline:recurring:cancelled', { recurringId });
+      return true;
+    }
+    
+    return false;
+  }
+  
   /**
    * Schedule delayed pipeline
    */
@@ -634,54 +677,230 @@ class PipelineScheduler extends EventEmitter {
     }
   }
   
-  calculateNextRun(pattern) {
+  calculateNextRun(pattern, options = {}, after = Date.now()) {
     // Simple interval pattern
     if (typeof pattern === 'number') {
-      return Date.now() + pattern;
+      return after + pattern;
     }
     
-    // Cron pattern (simplified)
-    const now = Date.now();
-    const parts = pattern.split(' ');
-    
-    if (parts.length === 5) {
-      // Parse cron expression
-      // For simplicity, just use daily at specified hour
-      const hour = parseInt(parts[1]) || 0;
-      const next = new Date();
-      next.setHours(hour, 0, 0, 0);
-      
-      if (next.getTime() <= now) {
-        next.setDate(next.getDate() + 1);
+    return new CronExpression(pattern, { timezone: options.timezone }).next(after);
+  }
+  
+  createRecurring(pipeline, pattern, options = {}, saved = {}) {
+    const cron = typeof pattern === 'number' ? null : new CronExpression(pattern, { timezone: options.timezone });
+    const catchUp = options.catchUp || this.config.catchUp;
+    
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Unknown catch-up policy '${catchUp}' (expected ${CATCH_UP_POLICIES.join(', ')})`);
+    }
+    
+    return {
+      id: options.id || this.generateRecurringId(),
+      pipelineId: pipeline.id,
+      pipeline: pipeline,
+      pattern: pattern, // cron expression or interval
+      options: options,
+      timezone: cron ? cron.timezone : null,
+      catchUp,
+      lastRun: saved.lastRun || null,
+      // A restored schedule keeps its pending run, so anything missed is due at once
+      nextRun: saved.nextRun || (cron ? cron.next() : Date.now() + pattern),
+      createdAt: saved.createdAt || Date.now(),
+      executions: [],
+      state: saved.state || 'active',
+      cron
+    };
+  }
+  
+  findRecurringPipeline(pipeline, pattern, options) {
+    if (options.id) {
+      return this.recurringPipelines.get(options.id) || null;
+    }
+    
+    const timezone = typeof pattern === 'number' ? null : new CronExpression(pattern, { timezone: options.timezone }).timezone;
+    
+    for (const recurring of this.recurringPipelines.values()) {
+      if (recurring.pipelineId === pipeline.id &&
+          recurring.pattern === pattern &&
+          recurring.timezone === timezone) {
+        return recurring;
       }
-      
-      return next.getTime();
     }
     
-    return now + 3600000; // Default to 1 hour
+    return null;
   }
   
   scheduleNextRecurring(recurring) {
-    const delay = recurring.nextRun - Date.now();
+    clearTimeout(recurring.timer);
+    recurring.timer = null;
     
-    if (delay > 0) {
-      setTimeout(async () => {
-        // Execute pipeline
-        const scheduled = await this.schedulePipeline(recurring.pipeline, recurring.options);
-        
-        recurring.executions.push({
-          scheduledId: scheduled.id,
-          timestamp: Date.now()
-        });
-        
-        // Calculate next run
-        recurring.nextRun = this.calculateNextRun(recurring.pattern);
+    if (recurring.state !== 'active' || !recurring.nextRun) {
+      return;
+    }
+    
+    const delay = Math.max(recurring.nextRun - Date.now(), 0);
+    
+    recurring.timer = setTimeout(() => {
+      this.fireRecurring(recurring);
+    }, Math.min(delay, MAX_TIMEOUT));
+  }
+  
+  /**
+   * Fire times from the pending run up to now, oldest first
+   * After a long gap only the newest maxCatchUpRuns are returned
+   */
+  getDueRuns(recurring, now) {
+    const limit = this.config.maxCatchUpRuns;
+    
+    if (!recurring.cron) {
+      const count = Math.floor((now - recurring.nextRun) / recurring.pattern) + 1;
+      const skipped = Math.max(count - limit, 0);
+      return Array.from({ length: count - skipped }, (_, i) => recurring.nextRun + (skipped + i) * recurring.pattern);
+    }
+    
+    return recurring.cron.latest(recurring.nextRun - 1, now, limit);
+  }
+  
+  /**
+   * Run a recurring pipeline that has come due, applying its catch-up
+   * policy to runs that were missed
+   */
+  async fireRecurring(recurring) {
+    const now = Date.now();
+    
+    if (now < recurring.nextRun) {
+      // Woken early by a capped timeout
+      this.scheduleNextRecurring(recurring);
+      return;
+    }
+    
+    const due = this.getDueRuns(recurring, now);
+    const { run, missed } = resolveCatchUp(due, {
+      policy: recurring.catchUp,
+      now,
+      tolerance: this.config.catchUpTolerance
+    });
+    // Older fire times beyond the limit were dropped without being listed
+    const truncated = due.length >= this.config.maxCatchUpRuns;
+    
+    if (missed.length > 0) {
+      logger.warn(`📅 Recurring pipeline ${recurring.id} missed ${missed.length}${truncated ? '+' : ''} run(s), catch-up policy '${recurring.catchUp}'`);
+      this.emit('pipeline:recurring:missed', { recurring, missed, truncated, policy: recurring.catchUp });
+    }
+    
+    // Intervals stay anchored to their first run instead of drifting
+    recurring.lastRun = now;
+    recurring.nextRun = recurring.cron
+      ? recurring.cron.next(now)
+      : recurring.nextRun + recurring.pattern * (Math.floor((now - recurring.nextRun) / recurring.pattern) + 1);
+    this.persistRecurring(recurring);
+    this.scheduleNextRecurring(recurring);
+    
+    for (const scheduledFor of run) {
+      try {
+        await this.executeRecurring(recurring, scheduledFor);
+      } catch (error) {
+        logger.error(`Recurring pipeline ${recurring.id} failed to schedule: ${error.message}`);
+        this.emit('pipeline:recurring:failed', { recurring, scheduledFor, error });
+      }
+    }
+  }
+  
+  async executeRecurring(recurring, scheduledFor) {
+    const scheduled = await this.schedulePipeline(recurring.pipeline, {
+      ...recurring.options,
+      metadata: { ...recurring.options.metadata, recurringId: recurring.id, scheduledFor }
+    });
+    
+    recurring.executions.push({
+      scheduledId: scheduled.id,
+      scheduledFor,
+      timestamp: Date.now()
+    });
+  }
+  
+  /**
+   * Open the schedule store when persistence is enabled
+   * `persistence` may be true, store options ({ filePath }) or a ScheduleStore
+   */
+  createScheduleStore() {
+    const { persistence } = this.config;
+    
+    if (!persistence) {
+      return null;
+    }
+    
+    if (persistence instanceof ScheduleStore) {
+      return persistence;
+    }
+    
+    return new ScheduleStore(typeof persistence === 'object' ? persistence : {});
+  }
+  
+  persistRecurring(recurring) {
+    if (!this.store) {
+      return;
+    }
+    
+    this.store.save({
+      id: recurring.id,
+      kind: 'pipeline',
+      name: recurring.pipeline.name || recurring.pipelineId,
+      expression: recurring.pattern,
+      timezone: recurring.timezone,
+      catchUp: recurring.catchUp,
+      enabled: recurring.state === 'active',
+      lastRun: recurring.lastRun,
+      nextRun: recurring.nextRun,
+      createdAt: recurring.createdAt,
+      options: recurring.options,
+      pipeline: recurring.pipeline
+    });
+  }
+  
+  restoreRecurringPipelines() {
+    const restored = [];
+    
+    for (const saved of this.store.list({ kind: 'pipeline' })) {
+      if (this.recurringPipelines.has(saved.id)) {
+        continue;
+      }
+      
+      try {
+        const recurring = this.createRecurring(saved.pipeline, saved.expression, {
+          ...saved.options,
+          id: saved.id,
+          timezone: saved.timezone || undefined,
+          catchUp: saved.catchUp
+        }, { ...saved, state: saved.enabled === false ? 'paused' : 'active' });
         
-        // Schedule next execution
-        if (recurring.state === 'active') {
-          this.scheduleNextRecurring(recurring);
-        }
-      }, delay);
+        this.recurringPipelines.set(recurring.id, recurring);
+        this.scheduleNextRecurring(recurring);
+        restored.push(recurring);
+      } catch (error) {
+        logger.warn(`Could not restore recurring pipeline ${saved.id}: ${error.message}`);
+      }
+    }
+    
+    if (restored.length > 0) {
+      logger.info(`📅 Restored ${restored.length} recurring pipeline(s)`);
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * Stop the scheduling loop and recurring timers
+   */
+  stop() {
+    if (this.schedulingInterval) {
+      clearInterval(this.schedulingInterval);
+      this.schedulingInterval = null;
+    }
+    
+    for (const recurring of this.recurringPipelines.values()) {
+      clearTimeout(recurring.timer);
+      recurring.timer = null;
     }
   }
   
@@ -0,0 +1,430 @@
+/**
+ * BUMBA Sandbox Bootstrap
+ * Context-side runtime shared by the sandbox workers (workflow functions and
+ * plugins). `bootstrap` is evaluated inside a vm context, so it must stay
+ * self-contained: it cannot close over anything in this module.
+ *
+ * Values the sandbox controls are never read in a host frame: results leave
+ * the context as plain copies and errors as JSON strings. Host modules that
+ * run in the worker are strict, so a stack trace captured by sandboxed code
+ * cannot hand it a host function.
+ */
+
+'use strict';
+
+/**
+ * Evaluated inside the context, before any user code runs. Builtins are
+ * captured up front so later tampering by user code cannot intercept the
+ * host values passing through here.
+ */
+function bootstrap(host, names, hostGlobals) {
+  const { send, schedule, cancel } = host;
+  const { apply, defineProperty } = Reflect;
+  const ContextMap = Map;
+  const ContextSet = Set;
+  const ContextDate = Date;
+  const ContextRegExp = RegExp;
+  const ContextError = Error;
+  const ContextTypeError = TypeError;
+  const ContextPromise = Promise;
+  const objectKeys = Object.keys;
+  const freeze = Object.freeze;
+  const stringify = JSON.stringify;
+  const toTag = Object.prototype.toString;
+  const stringSlice = String.prototype.slice;
+  const stringSplit = String.prototype.split;
+  const getTime = Date.prototype.getTime;
+  const mapGet = Map.prototype.get;
+  const mapSet = Map.prototype.set;
+  const mapHas = Map.prototype.has;
+  const mapDelete = Map.prototype.delete;
+  const mapForEach = Map.prototype.forEach;
+  const setAdd = Set.prototype.add;
+  const setForEach = Set.prototype.forEach;
+  const arrayPush = Array.prototype.push;
+  const promiseThen = Promise.prototype.then;
+  const promiseResolve = Promise.resolve;
+  const typedArrays = {
+    __proto__: null,
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+  };
+
+  const pending = new ContextMap();
+  const callbacks = new ContextMap();
+  let nextCall = 0;
+  let nextTimer = 0;
+
+  // Host errors are rethrown as context errors
+  const callHost = (fn, ...args) => {
+    try {
+      return apply(fn, undefined, args);
+    } catch (error) {
+      throw new ContextError(`${error && error.message}`);
+    }
+  };
+
+  const define = (target, key, value) => {
+    defineProperty(target, key, { __proto__: null, value, enumerable: true, writable: true, configurable: true });
+  };
+
+  // Deep copy of a structured-clone value into this context
+  const importValue = (value, seen = new ContextMap()) => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (apply(mapHas, seen, [value])) {
+      return apply(mapGet, seen, [value]);
+    }
+
+    const tag = apply(stringSlice, apply(toTag, value, []), [8, -1]);
+    let copy;
+
+    if (tag === 'Array') {
+      copy = [];
+      apply(mapSet, seen, [value, copy]);
+      for (let i = 0; i < value.length; i++) {
+        apply(arrayPush, copy, [importValue(value[i], seen)]);
+      }
+      return copy;
+    }
+    if (tag === 'Date') {
+      copy = new ContextDate(apply(getTime, value, []));
+    } else if (tag === 'RegExp') {
+      copy = new ContextRegExp(`${value.source}`, `${value.flags}`);
+    } else if (tag === 'Map') {
+      copy = new ContextMap();
+      apply(mapSet, seen, [value, copy]);
+      apply(mapForEach, value, [(item, key) => apply(mapSet, copy, [importValue(key, seen), importValue(item, seen)])]);
+      return copy;
+    } else if (tag === 'Set') {
+      copy = new ContextSet();
+      apply(mapSet, seen, [value, copy]);
+      apply(setForEach, value, [item => apply(setAdd, copy, [importValue(item, seen)])]);
+      return copy;
+    } else if (tag === 'Error') {
+      copy = new ContextError(`${value.message}`);
+      copy.name = `${value.name}`;
+    } else if (typedArrays[tag]) {
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        apply(arrayPush, items, [value[i]]);
+      }
+      copy = new typedArrays[tag](items);
+    } else {
+      copy = {};
+      apply(mapSet, seen, [value, copy]);
+      const keys = objectKeys(value);
+      for (let i = 0; i < keys.length; i++) {
+        define(copy, keys[i], importValue(value[keys[i]], seen));
+      }
+      return copy;
+    }
+
+    apply(mapSet, seen, [value, copy]);
+    return copy;
+  };
+
+  // Anything thrown by sandboxed code, as a JSON string of plain fields
+  const describe = error => {
+    let name = 'Error';
+    let message;
+    let stack;
+    try {
+      if (error !== null && typeof error === 'object') {
+        const errorName = error.name;
+        const errorStack = error.stack;
+        name = `${errorName || 'Error'}`;
+        message = `${error.message}`;
+        stack = typeof errorStack === 'string' ? errorStack : undefined;
+      } else {
+        message = `${error}`;
+      }
+    } catch {
+      name = 'Error';
+      message = 'Unreadable error thrown by sandboxed code';
+      stack = undefined;
+    }
+    return stringify({ name, message, stack });
+  };
+
+  const format = arg => {
+    if (typeof arg === 'string') {
+      return arg;
+    }
+    try {
+      const json = stringify(arg);
+      return json === undefined ? `${arg}` : json;
+    } catch {
+      return `${arg}`;
+    }
+  };
+
+  const log = level => (...args) => {
+    const text = [];
+    for (let i = 0; i < args.length; i++) {
+      apply(arrayPush, text, [format(args[i])]);
+    }
+    callHost(send, { __proto__: null, type: 'log', level, args: text });
+  };
+
+  // Host functions, called by name and answered asynchronously.
+  // Dotted names (fs.readFile) are grouped into namespaces.
+  const api = {};
+  const namespaces = [];
+  for (let i = 0; i < names.length; i++) {
+    const name = `${names[i]}`;
+    const parts = apply(stringSplit, name, ['.']);
+    let target = api;
+    for (let j = 0; j < parts.length - 1; j++) {
+      if (!target[parts[j]]) {
+        define(target, parts[j], {});
+        apply(arrayPush, namespaces, [target[parts[j]]]);
+      }
+      target = target[parts[j]];
+    }
+    define(target, parts[parts.length - 1], (...args) => new ContextPromise((resolve, reject) => {
+      const id = ++nextCall;
+      apply(mapSet, pending, [id, { resolve, reject }]);
+      try {
+        callHost(send, { __proto__: null, type: 'call', id, name, args: importValue(args) });
+      } catch (error) {
+        apply(mapDelete, pending, [id]);
+        reject(error);
+      }
+    }));
+  }
+
+  const hostGlobalKeys = objectKeys(hostGlobals);
+  for (let i = 0; i < hostGlobalKeys.length; i++) {
+    define(globalThis, hostGlobalKeys[i], importValue(hostGlobals[hostGlobalKeys[i]]));
+  }
+
+  for (let i = 0; i < namespaces.length; i++) {
+    freeze(namespaces[i]);
+  }
+  define(globalThis, 'api', freeze(api));
+  define(globalThis, 'console', freeze({
+    log: log('info'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    debug: log('debug')
+  }));
+  define(globalThis, 'setTimeout', (callback, delay, ...args) => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('setTimeout callback must be a function');
+    }
+    const id = ++nextTimer;
+    apply(mapSet, callbacks, [id, () => apply(callback, undefined, args)]);
+    callHost(schedule, id, Number(delay) || 0);
+    return id;
+  });
+  define(globalThis, 'clearTimeout', id => {
+    if (apply(mapDelete, callbacks, [id])) {
+      callHost(cancel, id);
+    }
+  });
+
+  // done(true, copy) with a plain copy of the result, or done(false, json)
+  const settle = (done, ok, value) => {
+    if (ok) {
+      try {
+        value = importValue(value);
+      } catch (error) {
+        ok = false;
+        value = error;
+      }
+    }
+    done(ok, ok ? value : describe(value));
+  };
+
+  const invoke = (fn, hostInput, done) => {
+    let result;
+    try {
+      result = apply(fn, undefined, [importValue(hostInput), api]);
+    } catch (error) {
+      settle(done, false, error);
+      return;
+    }
+    apply(promiseThen, apply(promiseResolve, ContextPromise, [result]), [
+      value => settle(done, true, value),
+      error => settle(done, false, error)
+    ]);
+  };
+
+  return {
+    describe,
+    invoke,
+
+    /**
+     * Evaluate compiled source to the sandboxed function, then invoke it
+     */
+    run(load, hostInput, done) {
+      let fn;
+      try {
+        fn = apply(load, undefined, []);
+      } catch (error) {
+        settle(done, false, error);
+        return;
+      }
+      if (typeof fn !== 'function') {
+        settle(done, false, new ContextTypeError('Sandboxed source must evaluate to a function'));
+        return;
+      }
+      invoke(fn, hostInput, done);
+    },
+
+    deliver(id, ok, value) {
+      const call = apply(mapGet, pending, [id]);
+      if (!call) {
+        return;
+      }
+      apply(mapDelete, pending, [id]);
+      if (ok) {
+        call.resolve(importValue(value));
+      } else {
+        const error = new ContextError(`${value.message}`);
+        error.name = `${value.name}`;
+        call.reject(error);
+      }
+    },
+
+    fire(id) {
+      const callback = apply(mapGet, callbacks, [id]);
+      if (callback) {
+        apply(mapDelete, callbacks, [id]);
+        callback();
+      }
+    }
+  };
+}
+
+/**
+ * Evaluated inside the context after `bootstrap`: a CommonJS module system
+ * over host-side resolution. `host.resolve(fromId, specifier)` returns a
+ * module id and `host.compile(id)` a wrapper function compiled in the
+ * context, so modules never receive an object from the host realm.
+ */
+function moduleRuntime(host) {
+  const { resolve, compile, describe } = host;
+  const { apply, ownKeys } = Reflect;
+  const ContextMap = Map;
+  const ContextError = Error;
+  const stringify = JSON.stringify;
+  const arrayPush = Array.prototype.push;
+  const stringSlice = String.prototype.slice;
+  const stringSplit = String.prototype.split;
+  const lastIndexOf = String.prototype.lastIndexOf;
+  const mapGet = Map.prototype.get;
+  const mapSet = Map.prototype.set;
+  const mapHas = Map.prototype.has;
+
+  const cache = new ContextMap();
+  let main;
+
+  const callHost = (fn, ...args) => {
+    try {
+      return apply(fn, undefined, args);
+    } catch (error) {
+      throw new ContextError(`${error && error.message}`);
+    }
+  };
+
+  const load = id => {
+    if (apply(mapHas, cache, [id])) {
+      return apply(mapGet, cache, [id]).exports;
+    }
+
+    const module = { id, exports: {}, loaded: false };
+    apply(mapSet, cache, [id, module]);
+    const wrapper = callHost(compile, id);
+    const require = specifier => load(callHost(resolve, id, `${specifier}`));
+    const dirname = apply(stringSlice, id, [0, apply(lastIndexOf, id, ['/'])]);
+    apply(wrapper, module.exports, [module.exports, require, module, id, dirname]);
+    module.loaded = true;
+    return module.exports;
+  };
+
+  // Exported functions by dotted name: onActivate, hooks.beforeTaskExecution
+  const collect = (value, prefix, names, depth) => {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      return;
+    }
+    const keys = ownKeys(value);
+    for (let i = 0; i < keys.length; i++) {
+      if (typeof keys[i] !== 'string') {
+        continue;
+      }
+      const item = value[keys[i]];
+      if (typeof item === 'function') {
+        apply(arrayPush, names, [`${prefix}${keys[i]}`]);
+      } else if (depth > 0) {
+        collect(item, `${prefix}${keys[i]}.`, names, depth - 1);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Load the entry module: done(true, json of function names) or done(false, json)
+     */
+    main(id, done) {
+      const names = [];
+      try {
+        main = load(id);
+        collect(main, '', names, 1);
+      } catch (error) {
+        done(false, describe(error));
+        return;
+      }
+      done(true, stringify(names));
+    },
+
+    lookup(name) {
+      try {
+        let target = main;
+        let owner = main;
+        const parts = apply(stringSplit, `${name}`, ['.']);
+        for (let i = 0; i < parts.length; i++) {
+          owner = target;
+          target = target[parts[i]];
+        }
+        return typeof target === 'function' ? (...args) => apply(target, owner, args) : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Plain description of an error raised in this realm, e.g. by the compiler.
+ * Never pass it a value the sandbox controls
+ */
+function describeError(error) {
+  return {
+    name: `${(error && error.name) || 'Error'}`,
+    message: `${error && error.message}`,
+    stack: error && typeof error.stack === 'string' ? error.stack : undefined
+  };
+}
+
+/**
+ * Read back the JSON string `describe` produced inside the context
+ */
+function parseError(description) {
+  try {
+    const { name, message, stack } = JSON.parse(typeof description === 'string' ? description : '');
+    return { name: `${name}`, message: `${message}`, stack: typeof stack === 'string' ? stack : undefined };
+  } catch {
+    return { name: 'Error', message: 'Unreadable error thrown by sandboxed code' };
+  }
+}
+
+module.exports = {
+  bootstrap,
+  moduleRuntime,
+  describeError,
+  parseError
+};
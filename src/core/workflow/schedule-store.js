@@ -0,0 +1,134 @@
+/**
+ * BUMBA Schedule Store
+ * Recurring schedules kept in a JSON file so they survive restarts,
+ * plus the catch-up policy for runs missed while nothing was running
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logging/bumba-logger');
+
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+class ScheduleStore {
+  constructor(config = {}) {
+    this.config = {
+      filePath: path.join(process.cwd(), '.bumba', 'schedules.json'),
+      ...config
+    };
+  }
+
+  /**
+   * List schedules, optionally only those of one kind (workflow, pipeline)
+   */
+  list({ kind } = {}) {
+    const schedules = Object.values(this.read());
+    return kind ? schedules.filter(schedule => schedule.kind === kind) : schedules;
+  }
+
+  /**
+   * Get a schedule by id
+   */
+  get(id) {
+    return this.read()[id] || null;
+  }
+
+  /**
+   * Insert or replace a schedule
+   * The file is re-read first so schedules written by other processes are kept
+   */
+  save(schedule) {
+    const schedules = this.read();
+    schedules[schedule.id] = { ...schedules[schedule.id], ...schedule, updatedAt: Date.now() };
+    this.write(schedules);
+
+    return schedules[schedule.id];
+  }
+
+  /**
+   * Remove a schedule, returning whether it existed
+   */
+  remove(id) {
+    const schedules = this.read();
+
+    if (!schedules[id]) {
+      return false;
+    }
+
+    delete schedules[id];
+    this.write(schedules);
+    return true;
+  }
+
+  read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+      return data.schedules || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read schedules from ${this.config.filePath}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  write(schedules) {
+    fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated file
+    const tempPath = `${this.config.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: 1, schedules }, dropUnserializable(), 2));
+    fs.renameSync(tempPath, this.config.filePath);
+  }
+}
+
+/**
+ * JSON replacer that drops functions and cuts repeated references,
+ * since schedules hold live workflow and pipeline objects
+ */
+function dropUnserializable() {
+  const seen = new WeakSet();
+
+  return (key, value) => {
+    if (typeof value === 'function') {
+      return undefined;
+    }
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) {
+        return undefined;
+      }
+      seen.add(value);
+    }
+    return value;
+  };
+}
+
+/**
+ * Decide which due fire times to run
+ * Times within `tolerance` of now are on time and always run; older ones were
+ * missed and follow the policy: 'skip' drops them, 'once' runs a single
+ * catch-up (only if nothing is on time) and 'all' runs every one of them
+ */
+function resolveCatchUp(dueTimes, { policy = 'skip', now = Date.now(), tolerance = 60000 } = {}) {
+  if (!CATCH_UP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown catch-up policy '${policy}' (expected ${CATCH_UP_POLICIES.join(', ')})`);
+  }
+
+  const missed = dueTimes.filter(time => now - time > tolerance);
+  const onTime = dueTimes.filter(time => now - time <= tolerance);
+
+  if (policy === 'all') {
+    return { run: dueTimes, missed };
+  }
+  if (policy === 'once' && onTime.length === 0 && missed.length > 0) {
+    return { run: [missed[missed.length - 1]], missed };
+  }
+
+  return { run: onTime.slice(-1), missed };
+}
+
+module.exports = {
+  ScheduleStore,
+  resolveCatchUp,
+  CATCH_UP_POLICIES
+};
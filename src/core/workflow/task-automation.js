@@ -7,6 +7,7 @@ const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
 const { WorkflowEngine, getInstance: getWorkflowEngine } = require('./workflow-engine');
 const { PipelineManager, getInstance: getPipelineManager } = require('./pipeline-manager');
+const { FunctionSandbox } = require('./function-sandbox');
 
 class TaskAutomation extends EventEmitter {
   constructor(config = {}) {
@@ -22,6 +23,8 @@ class TaskAutomation extends EventEmitter {
       enableRules: config.enableRules !== false,
       enableMLOptimization: config.enableMLOptimization !== false,
       enablePredictiveScheduling: config.enablePredictiveScheduling !== false,
+      persistence: config.persistence || false,
+      sandbox: config.sandbox || {}, // FunctionSandbox options for function tasks
       ...config
     };
     
@@ -73,6 +76,12 @@ class TaskAutomation extends EventEmitter {
     this.workflowEngine = null;
     this.pipelineManager = null;
     
+    // Durable task runs (opt-in) so a restart does not drop work in progress
+    this.store = this.createExecutionStore();
+    
+    // Worker sandbox for function tasks, see getFunctionSandbox()
+    this.functionSandbox = null;
+    
     this.initializeApiFallbacks();
     this.initializeMLFramework();
     this.initialize();
@@ -486,6 +495,9 @@ class TaskAutomation extends EventEmitter {
       // Store task
       this.tasks.set(task.id, task);
       
+      // Re-queue runs of this task that a previous process never finished
+      this.requeueInterruptedRuns(task);
+      
       // Setup automation if enabled
       if (task.automation.enabled) {
         await this.setupTaskAutomation(task);
@@ -534,13 +546,31 @@ class TaskAutomation extends EventEmitter {
       // Store running task
       this.runningTasks.set(execution.id, execution);
       
+      if (this.store) {
+        this.store.startExecution({
+          id: execution.id,
+          kind: 'task',
+          ownerId: taskId,
+          input: context,
+          definition: task
+        });
+      }
+      
       // Update task state
       task.state.status = 'running';
       task.state.executions++;
       task.state.lastExecution = execution.id;
       
       // Execute task
-      const result = await this.runTask(execution);
+      let result;
+      try {
+        result = await this.runTask(execution);
+      } catch (error) {
+        if (this.store) {
+          this.store.updateExecution(execution.id, { status: 'failed', error: error.message });
+        }
+        throw error;
+      }
       
       // Complete execution
       this.completeTaskExecution(execution, result);
@@ -673,16 +703,29 @@ class TaskAutomation extends EventEmitter {
    * Execute function task
    */
   async executeFunctionTask(task, context) {
-    const { function: fn, params } = task.action;
+    const { function: fn, params, sandbox } = task.action;
     
-    // Get function from registry or evaluate
-    const func = typeof fn === 'function' ? fn : this.evaluateFunction(fn);
+    // Source strings, and functions that opt in, run isolated in a worker
+    if (typeof fn !== 'function' || sandbox) {
+      return await this.getFunctionSandbox().run(fn, { ...params, ...context }, { name: `task-${task.id}` });
+    }
     
-    const result = await func({ ...params, ...context });
+    const result = await fn({ ...params, ...context });
     
     return result;
   }
   
+  /**
+   * Sandbox shared by function tasks, created on first use
+   */
+  getFunctionSandbox() {
+    if (!this.functionSandbox) {
+      this.functionSandbox = new FunctionSandbox({ name: 'task-function', ...this.config.sandbox });
+    }
+    
+    return this.functionSandbox;
+  }
+  
   /**
    * Execute webhook task
    */
@@ -1021,6 +1064,52 @@ class TaskAutomation extends EventEmitter {
     }
   }
   
+  /**
+   * Open the execution store when persistence is enabled
+   * `persistence` may be true, store options ({ dbPath }) or an ExecutionStore
+   */
+  createExecutionStore() {
+    const { persistence } = this.config;
+    this.ownsStore = false;
+    
+    if (!persistence) {
+      return null;
+    }
+    
+    const ExecutionStore = require('./execution-store');
+    if (persistence instanceof ExecutionStore) {
+      return persistence;
+    }
+    
+    this.ownsStore = true;
+    return new ExecutionStore(typeof persistence === 'object' ? persistence : {});
+  }
+  
+  /**
+   * Queue runs of a task that were interrupted by a restart
+   * Tasks are code-defined, so recovery happens once the task is registered again
+   */
+  requeueInterruptedRuns(task) {
+    if (!this.store) {
+      return [];
+    }
+    
+    const interrupted = this.store.findInterrupted({
+      kind: 'task',
+      isActive: id => this.runningTasks.has(id)
+    }).filter(record => record.ownerId === task.id);
+    
+    for (const record of interrupted) {
+      this.store.updateExecution(record.id, { status: 'requeued', error: 'interrupted by restart' });
+      this.queueTask(task, record.input || {});
+      
+      logger.warn(`🔁 Re-queued interrupted run ${record.id} of task ${task.name}`);
+      this.emit('task:recovered', { task, execution: record });
+    }
+    
+    return interrupted;
+  }
+  
   /**
    * Helper methods
    */
@@ -1083,6 +1172,13 @@ class TaskAutomation extends EventEmitter {
     // Clean up
     this.runningTasks.delete(execution.id);
     
+    if (this.store) {
+      this.store.updateExecution(execution.id, {
+        status: result.success ? 'completed' : 'failed',
+        state: { result }
+      });
+    }
+    
     // Store completed
     this.completedTasks.set(execution.id, {
       ...execution,
@@ -1159,6 +1255,15 @@ class TaskAutomation extends EventEmitter {
     this.runningTasks.clear();
     this.completedTasks.clear();
     
+    if (this.functionSandbox) {
+      this.functionSandbox.terminate();
+    }
+    
+    // Only close a store this instance opened
+    if (this.store && this.ownsStore) {
+      this.store.close();
+    }
+    
     logger.info('💥 Task Automation destroyed');
   }
 
@@ -13,6 +13,9 @@ const WorkflowScheduler = require('./workflow-scheduler');
 const WorkflowOrchestrator = require('./workflow-orchestrator');
 const WorkflowOptimizer = require('./workflow-optimizer');
 const WorkflowAnalytics = require('./workflow-analytics');
+const { WorkflowValidator, WorkflowValidationError } = require('./workflow-validator');
+const { GraphExporter } = require('./graph-exporter');
+const { FunctionSandbox } = require('./function-sandbox');
 
 class WorkflowEngine extends EventEmitter {
   constructor(config = {}) {
@@ -30,6 +33,10 @@ class WorkflowEngine extends EventEmitter {
       orchestrationEnabled: config.orchestrationEnabled !== false,
       optimizationEnabled: config.optimizationEnabled !== false,
       analyticsEnabled: config.analyticsEnabled !== false,
+      persistence: config.persistence || false,
+      recoveryPolicy: config.recoveryPolicy || 'manual', // manual | resume | compensate
+      schedulePersistence: config.schedulePersistence || false,
+      sandbox: config.sandbox || {}, // FunctionSandbox options for function steps
       ...config
     };
     
@@ -75,6 +82,17 @@ class WorkflowEngine extends EventEmitter {
     this.optimizer = null;
     this.analytics = null;
     
+    // Declarative definition validation
+    this.validator = new WorkflowValidator(this);
+    this.executionLoop = null;
+    this.destroyed = false;
+    
+    // Durable execution state (opt-in)
+    this.store = this.createExecutionStore();
+    
+    // Worker sandbox for function steps, see getFunctionSandbox()
+    this.functionSandbox = null;
+    
     this.initialize();
   }
   
@@ -100,6 +118,11 @@ class WorkflowEngine extends EventEmitter {
       // Start execution loop
       this.startExecutionLoop();
       
+      // Find executions a previous process left unfinished
+      if (this.store) {
+        await this.recoverExecutions();
+      }
+      
       logger.info('🔄 Workflow Engine initialized' + 
         (this.config.enhancedMode ? ' (Enhanced Mode)' : ''));
       this.emit('initialized');
@@ -149,7 +172,8 @@ class WorkflowEngine extends EventEmitter {
           created: new Date().toISOString(),
           updated: new Date().toISOString(),
           author: definition.author || 'system',
-          tags: definition.tags || []
+          tags: definition.tags || [],
+          source: definition.source || null
         },
         
         // Triggers and conditions
@@ -184,6 +208,29 @@ class WorkflowEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Validate a declarative workflow definition (parsed YAML/JSON)
+   * Returns { valid, errors } with every problem and its path
+   */
+  validateDefinition(definition) {
+    return this.validator.validate(definition);
+  }
+  
+  /**
+   * Load, validate and create a workflow from a YAML or JSON file
+   */
+  async createWorkflowFromFile(filePath) {
+    const definition = this.validator.loadFile(filePath);
+    const { errors } = this.validateDefinition(definition);
+    
+    if (errors.length > 0) {
+      const name = (definition && definition.name) || filePath;
+      throw new WorkflowValidationError(name, errors);
+    }
+    
+    return await this.createWorkflow({ ...definition, source: filePath });
+  }
+  
   /**
    * Initialize enhanced components
    */
@@ -192,7 +239,8 @@ class WorkflowEngine extends EventEmitter {
     if (this.config.schedulingEnabled) {
       this.scheduler = new WorkflowScheduler({
         maxConcurrent: this.config.maxConcurrentWorkflows,
-        schedulingAlgorithm: this.config.schedulingAlgorithm || 'weighted-fair'
+        schedulingAlgorithm: this.config.schedulingAlgorithm || 'weighted-fair',
+        persistence: this.config.schedulePersistence
       });
       
       // Connect scheduler events
@@ -209,7 +257,8 @@ class WorkflowEngine extends EventEmitter {
     if (this.config.orchestrationEnabled) {
       this.orchestrator = new WorkflowOrchestrator({
         intelligentRouting: true,
-        adaptiveExecution: true
+        adaptiveExecution: true,
+        executionStore: this.store
       });
       
       // Connect orchestrator events
@@ -304,27 +353,18 @@ class WorkflowEngine extends EventEmitter {
         }
       };
       
-      // Store active execution
-      this.activeWorkflows.set(execution.id, execution);
-      this.runningWorkflows.add(execution.id);
-      
-      // Start analytics tracking if available
-      if (this.analytics && this.config.analyticsEnabled) {
-        this.analytics.trackWorkflowStart(workflow, execution);
-      }
-      
-      // Execute workflow
-      const result = await this.runWorkflow(execution);
-      
-      // Complete execution
-      this.completeExecution(execution, result);
-      
-      // Track completion in analytics
-      if (this.analytics && this.config.analyticsEnabled) {
-        this.analytics.trackWorkflowComplete(execution, result);
+      // Persist before the first step runs so a crash is detectable
+      if (this.store) {
+        this.store.startExecution({
+          id: execution.id,
+          kind: 'workflow',
+          ownerId: workflowId,
+          input,
+          definition: workflow
+        });
       }
       
-      return result;
+      return await this.runExecution(execution);
       
     } catch (error) {
       logger.error(`Failed to execute workflow ${workflowId}:`, error);
@@ -332,6 +372,41 @@ class WorkflowEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Track, run and complete an execution instance
+   */
+  async runExecution(execution) {
+    // Store active execution
+    this.activeWorkflows.set(execution.id, execution);
+    this.runningWorkflows.add(execution.id);
+    
+    // Start analytics tracking if available
+    if (this.analytics && this.config.analyticsEnabled) {
+      this.analytics.trackWorkflowStart(execution.workflow, execution);
+    }
+    
+    let result;
+    try {
+      // Execute workflow
+      result = await this.runWorkflow(execution);
+    } catch (error) {
+      if (this.store) {
+        this.store.updateExecution(execution.id, { status: 'failed', state: execution.state, error: error.message });
+      }
+      throw error;
+    }
+    
+    // Complete execution
+    this.completeExecution(execution, result);
+    
+    // Track completion in analytics
+    if (this.analytics && this.config.analyticsEnabled) {
+      this.analytics.trackWorkflowComplete(execution, result);
+    }
+    
+    return result;
+  }
+  
   /**
    * Run workflow execution
    */
@@ -402,9 +477,15 @@ class WorkflowEngine extends EventEmitter {
       const step = workflow.steps[i];
       state.currentStep = i;
       
+      // Completed before the execution was interrupted
+      if (this.isRecoveredStep(execution, step)) {
+        continue;
+      }
+      
       // Check conditions
       if (!await this.checkStepConditions(step, state)) {
         logger.info(`Skipping step ${step.name}: conditions not met`);
+        this.persistStep(execution, step, { status: 'skipped' });
         continue;
       }
       
@@ -448,9 +529,11 @@ class WorkflowEngine extends EventEmitter {
     const stepGroups = this.groupStepsByDependencies(workflow.steps);
     
     for (const group of stepGroups) {
-      const promises = group.map(async (step) => {
+      const pending = group.filter(step => !this.isRecoveredStep(execution, step));
+      const promises = pending.map(async (step) => {
         // Check conditions
         if (!await this.checkStepConditions(step, state)) {
+          this.persistStep(execution, step, { status: 'skipped' });
           return { skipped: true, step: step.name };
         }
         
@@ -516,10 +599,16 @@ class WorkflowEngine extends EventEmitter {
         step
       };
       
+      this.persistStep(execution, step, {
+        status: 'running',
+        input: { variables: state.variables }
+      });
+      
       // Execute step handler
       const result = await definition.handler(step, context);
       
       this.metrics.stepExecutions++;
+      this.persistStep(execution, step, { status: 'completed', output: result });
       
       this.emit('step:completed', {
         step,
@@ -537,6 +626,7 @@ class WorkflowEngine extends EventEmitter {
       
     } catch (error) {
       this.metrics.stepFailures++;
+      this.persistStep(execution, step, { status: 'failed', error: error.message });
       
       this.emit('step:failed', {
         step,
@@ -562,6 +652,12 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('task', {
       name: 'Task',
       description: 'Execute a task',
+      schema: {
+        properties: {
+          specialist: { type: 'string' },
+          task: { type: 'object' }
+        }
+      },
       handler: async (step, context) => {
         const specialist = await this.getSpecialist(step.specialist);
         
@@ -580,6 +676,14 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('condition', {
       name: 'Condition',
       description: 'Conditional branching',
+      schema: {
+        required: ['expression'],
+        properties: {
+          condition: { type: 'string' },
+          ifTrue: { type: 'string' },
+          ifFalse: { type: 'string' }
+        }
+      },
       handler: async (step, context) => {
         const condition = this.conditions.get(step.condition) ||
                          this.evaluateCondition;
@@ -598,6 +702,13 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('loop', {
       name: 'Loop',
       description: 'Loop over items',
+      schema: {
+        required: ['items', 'body'],
+        properties: {
+          itemVar: { type: 'string', pattern: '^[A-Za-z_]\\w*$' },
+          body: { type: 'array', minItems: 1 }
+        }
+      },
       handler: async (step, context) => {
         const items = this.resolveValue(step.items, context);
         const results = [];
@@ -622,6 +733,12 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('parallel', {
       name: 'Parallel',
       description: 'Execute steps in parallel',
+      schema: {
+        required: ['steps'],
+        properties: {
+          steps: { type: 'array', minItems: 1 }
+        }
+      },
       handler: async (step, context) => {
         const promises = step.steps.map(s => 
           this.executeStep(s, context.variables, { workflow: context.workflow })
@@ -637,6 +754,11 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('wait', {
       name: 'Wait',
       description: 'Wait for duration or condition',
+      schema: {
+        properties: {
+          duration: { type: 'integer', minimum: 0 }
+        }
+      },
       handler: async (step, context) => {
         if (step.duration) {
           await new Promise(resolve => setTimeout(resolve, step.duration));
@@ -654,6 +776,13 @@ class WorkflowEngine extends EventEmitter {
     this.registerStep('transform', {
       name: 'Transform',
       description: 'Transform data',
+      schema: {
+        required: ['transformation'],
+        properties: {
+          transformation: { type: ['string', 'object'], format: 'expression' },
+          output: { type: 'string' }
+        }
+      },
       handler: async (step, context) => {
         const input = this.resolveValue(step.input, context);
         const transformed = await this.applyTransformation(
@@ -669,10 +798,50 @@ class WorkflowEngine extends EventEmitter {
       }
     });
     
+    // Function step: user-provided JavaScript, run isolated in a worker
+    this.registerStep('function', {
+      name: 'Function',
+      description: 'Run a JavaScript function in the sandbox',
+      schema: {
+        required: ['source'],
+        properties: {
+          source: { type: 'string', minLength: 1 },
+          output: { type: 'string' },
+          timeout: { type: 'integer', minimum: 1 }
+        }
+      },
+      handler: async (step, context) => {
+        const sandbox = this.getFunctionSandbox();
+        const input = step.input !== undefined
+          ? this.resolveValue(step.input, context)
+          : context.variables;
+        
+        // A step may tighten the engine's time limit but not loosen it
+        const result = await sandbox.run(step.source, input, {
+          name: `step-${step.id || step.name || 'function'}`,
+          timeout: step.timeout ? Math.min(step.timeout, sandbox.timeout) : undefined
+        });
+        
+        return {
+          success: true,
+          result,
+          variables: { [step.output || 'result']: result }
+        };
+      }
+    });
+    
     // API call step
     this.registerStep('api', {
       name: 'API Call',
       description: 'Make an API request',
+      schema: {
+        required: ['url'],
+        properties: {
+          method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'] },
+          headers: { type: 'object' },
+          output: { type: 'string' }
+        }
+      },
       handler: async (step, context) => {
         const url = this.resolveValue(step.url, context);
         const options = {
@@ -696,6 +865,17 @@ class WorkflowEngine extends EventEmitter {
     });
   }
   
+  /**
+   * Sandbox shared by function steps, created on first use
+   */
+  getFunctionSandbox() {
+    if (!this.functionSandbox) {
+      this.functionSandbox = new FunctionSandbox({ name: 'workflow-function', ...this.config.sandbox });
+    }
+    
+    return this.functionSandbox;
+  }
+  
   /**
    * Register a custom step type
    */
@@ -807,6 +987,16 @@ class WorkflowEngine extends EventEmitter {
    * Resolve a value (variable reference or literal)
    */
   resolveValue(value, context) {
+    if (value && typeof value === 'object' && typeof value.$expr === 'string') {
+      // Expression value, evaluated against the workflow variables
+      const safeEvaluator = require('./safe-expression-evaluator');
+      return safeEvaluator.evaluate(value.$expr, context.variables || {});
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, context));
+    }
+    
     if (typeof value === 'string' && value.startsWith('$')) {
       // Variable reference
       const path = value.substring(1).split('.');
@@ -913,6 +1103,13 @@ class WorkflowEngine extends EventEmitter {
       this.metrics.workflowsFailed++;
     }
     
+    if (this.store) {
+      this.store.updateExecution(execution.id, {
+        status: result.success ? 'completed' : 'failed',
+        state: execution.state
+      });
+    }
+    
     // Update average execution time
     this.metrics.averageExecutionTime = 
       (this.metrics.averageExecutionTime * (this.metrics.workflowsExecuted - 1) + duration) /
@@ -951,11 +1148,254 @@ class WorkflowEngine extends EventEmitter {
    * Start execution loop
    */
   startExecutionLoop() {
-    setInterval(() => {
+    // initialize() is async, so the engine may already be destroyed
+    if (this.destroyed) {
+      return;
+    }
+    
+    this.executionLoop = setInterval(() => {
       this.processQueue();
     }, 1000);
   }
   
+  /**
+   * Open the execution store when persistence is enabled
+   * `persistence` may be true, store options ({ dbPath }) or an ExecutionStore
+   */
+  createExecutionStore() {
+    const { persistence } = this.config;
+    this.ownsStore = false;
+    
+    if (!persistence) {
+      return null;
+    }
+    
+    const ExecutionStore = require('./execution-store');
+    if (persistence instanceof ExecutionStore) {
+      return persistence;
+    }
+    
+    this.ownsStore = true;
+    return new ExecutionStore(typeof persistence === 'object' ? persistence : {});
+  }
+  
+  /**
+   * Record a step's status on the execution and, if persisted, in the store
+   */
+  persistStep(execution, step, { status, input, output, error }) {
+    const stepId = step.id || step.name;
+    if (stepId) {
+      execution.stepStatus = execution.stepStatus || {};
+      execution.stepStatus[stepId] = status;
+    }
+    
+    if (!this.store || !execution.id || !stepId) {
+      return;
+    }
+    
+    if (status === 'running') {
+      const position = execution.workflow.steps.indexOf(step);
+      this.store.recordStepStart(execution.id, stepId, {
+        position: position >= 0 ? position : undefined,
+        input
+      });
+    } else {
+      this.store.recordStepResult(execution.id, stepId, { status, output, error });
+    }
+  }
+  
+  /**
+   * Whether a step completed before this execution was interrupted
+   * Each recorded completion is consumed once so goto loops still re-run steps
+   */
+  isRecoveredStep(execution, step) {
+    const stepId = step.id || step.name;
+    if (!execution.recovered || !execution.recovered.has(stepId)) {
+      return false;
+    }
+    
+    execution.recovered.delete(stepId);
+    return true;
+  }
+  
+  /**
+   * Detect workflow executions interrupted by a restart and apply the
+   * recovery policy: 'manual' only reports them, 'resume' continues from
+   * the last completed step, 'compensate' undoes the completed steps.
+   * Interrupted sagas are compensated unless the policy is 'manual'
+   */
+  async recoverExecutions(policy = this.config.recoveryPolicy) {
+    if (!this.store) {
+      return [];
+    }
+    
+    const interrupted = this.store.findInterrupted({
+      kind: 'workflow',
+      isActive: id => this.activeWorkflows.has(id)
+    });
+    
+    if (interrupted.length > 0) {
+      logger.warn(`⚠️ Found ${interrupted.length} interrupted workflow execution(s) (policy: ${policy})`);
+    }
+    
+    const outcomes = [];
+    
+    for (const record of interrupted) {
+      this.emit('execution:interrupted', record);
+      
+      // A crash mid-compensation can only be finished, never resumed
+      const action = record.status === 'compensating' && policy === 'resume' ? 'compensate' : policy;
+      const outcome = { executionId: record.id, workflowId: record.ownerId, action };
+      
+      if (action !== 'resume' && action !== 'compensate') {
+        outcomes.push({ ...outcome, action: 'detected' });
+        continue;
+      }
+      
+      try {
+        const result = action === 'resume' ?
+          await this.resumeExecution(record.id) :
+          await this.compensateExecution(record.id);
+        outcomes.push({ ...outcome, success: result.success, result });
+      } catch (error) {
+        logger.error(`Failed to recover execution ${record.id}:`, error);
+        outcomes.push({ ...outcome, success: false, error: error.message });
+      }
+    }
+    
+    // Sagas share the store and are compensated (or reported) by the orchestrator
+    if (this.orchestrator) {
+      await this.orchestrator.recoverSagas(policy);
+    }
+    
+    return outcomes;
+  }
+  
+  /**
+   * Resume an interrupted execution after its last completed step
+   * Uses the registered workflow when available, otherwise the stored definition
+   */
+  async resumeExecution(executionId) {
+    const record = this.loadExecutionRecord(executionId, ['running']);
+    const workflow = this.workflows.get(record.ownerId) || record.definition;
+    const completed = record.steps.filter(step => step.status === 'completed');
+    
+    const execution = {
+      id: record.id,
+      workflowId: record.ownerId,
+      workflow: { ...workflow },
+      input: record.input || {},
+      options: {},
+      startTime: Date.now(),
+      recovered: new Set(completed.map(step => step.stepId)),
+      state: this.restoreState(record, completed)
+    };
+    
+    this.store.claimExecution(record.id);
+    
+    logger.info(`🔁 Resuming execution ${record.id} after ${completed.length} completed step(s)`);
+    this.emit('workflow:resumed', { execution, completedSteps: execution.state.completedSteps });
+    
+    return await this.runExecution(execution);
+  }
+  
+  /**
+   * Undo the completed steps of an interrupted or failed execution, newest
+   * first, by running each step's `compensation` step
+   */
+  async compensateExecution(executionId) {
+    const record = this.loadExecutionRecord(executionId, ['running', 'compensating', 'failed']);
+    const workflow = this.workflows.get(record.ownerId) || record.definition;
+    const completed = record.steps.filter(step => step.status === 'completed');
+    const state = this.restoreState(record, completed);
+    const compensated = [];
+    const failed = [];
+    
+    this.store.claimExecution(record.id, 'compensating');
+    
+    for (const entry of [...completed].reverse()) {
+      const step = workflow.steps.find(candidate => (candidate.id || candidate.name) === entry.stepId);
+      if (!step || !step.compensation) {
+        continue;
+      }
+      
+      try {
+        await this.executeStep(step.compensation, {
+          variables: { ...state.variables, result: entry.output },
+          results: state.results
+        }, { workflow });
+        this.store.recordStepResult(record.id, entry.stepId, { status: 'compensated' });
+        compensated.push(entry.stepId);
+      } catch (error) {
+        logger.error(`Compensation failed for step ${entry.stepId}:`, error);
+        this.store.recordStepResult(record.id, entry.stepId, {
+          status: 'completed',
+          error: `compensation failed: ${error.message}`
+        });
+        failed.push({ step: entry.stepId, error: error.message });
+      }
+    }
+    
+    const success = failed.length === 0;
+    this.store.updateExecution(record.id, {
+      status: success ? 'compensated' : 'failed',
+      error: success ? undefined : `${failed.length} compensation(s) failed`
+    });
+    
+    this.emit('workflow:compensated', { executionId: record.id, compensated, failed });
+    
+    return { success, executionId: record.id, compensated, failed };
+  }
+  
+  /**
+   * Load a persisted execution that is in one of the given states
+   */
+  loadExecutionRecord(executionId, statuses) {
+    if (!this.store) {
+      throw new Error('Execution store not initialized. Enable persistence in config.');
+    }
+    
+    const record = this.store.getExecution(executionId);
+    if (!record) {
+      throw new Error(`Execution not found: ${executionId}`);
+    }
+    
+    if (!statuses.includes(record.status) || this.activeWorkflows.has(executionId)) {
+      throw new Error(`Execution ${executionId} cannot be recovered (status: ${record.status})`);
+    }
+    
+    if (!this.workflows.has(record.ownerId) && !record.definition) {
+      throw new Error(`Workflow not found: ${record.ownerId}`);
+    }
+    
+    return record;
+  }
+  
+  /**
+   * Rebuild execution state from the steps that completed
+   */
+  restoreState(record, completed) {
+    const state = {
+      status: 'running',
+      currentStep: 0,
+      completedSteps: [],
+      variables: { ...(record.input || {}) },
+      results: {},
+      errors: []
+    };
+    
+    for (const step of completed) {
+      state.results[step.stepId] = step.output;
+      state.completedSteps.push(step.stepId);
+      
+      if (step.output && step.output.variables) {
+        Object.assign(state.variables, step.output.variables);
+      }
+    }
+    
+    return state;
+  }
+  
   /**
    * Helper methods
    */
@@ -982,12 +1422,10 @@ class WorkflowEngine extends EventEmitter {
       throw new Error('Workflow must have at least one step');
     }
     
-    // Validate step types
-    for (const step of workflow.steps) {
-      if (!this.stepDefinitions.has(step.type) && 
-          !this.customSteps.has(step.type)) {
-        throw new Error(`Unknown step type: ${step.type}`);
-      }
+    // Step types, conditions, ids, dependencies and expressions - all errors at once
+    const errors = this.validator.validateReferences(workflow);
+    if (errors.length > 0) {
+      throw new WorkflowValidationError(workflow.name, errors);
     }
     
     return true;
@@ -1087,6 +1525,38 @@ class WorkflowEngine extends EventEmitter {
     return Array.from(this.workflows.values());
   }
   
+  /**
+   * Render a workflow's step graph as Mermaid, DOT or ASCII
+   * With `executionId`, steps are annotated with that execution's status
+   */
+  exportWorkflowGraph(workflowId, format = 'mermaid', options = {}) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+    
+    const statuses = options.executionId ? this.getStepStatuses(options.executionId) : {};
+    
+    return GraphExporter.fromWorkflow(workflow, { statuses }).export(format, options);
+  }
+  
+  /**
+   * Step statuses of a running, completed or persisted execution
+   */
+  getStepStatuses(executionId) {
+    const execution = this.activeWorkflows.get(executionId) || this.completedWorkflows.get(executionId);
+    if (execution) {
+      return { ...execution.stepStatus };
+    }
+    
+    const record = this.store ? this.store.getExecution(executionId) : null;
+    if (!record) {
+      throw new Error(`Execution not found: ${executionId}`);
+    }
+    
+    return Object.fromEntries(record.steps.map(step => [step.stepId, step.status]));
+  }
+  
   /**
    * Schedule a recurring workflow
    */
@@ -1241,6 +1711,12 @@ class WorkflowEngine extends EventEmitter {
    */
   destroy() {
     this.removeAllListeners();
+    this.destroyed = true;
+    
+    if (this.executionLoop) {
+      clearInterval(this.executionLoop);
+      this.executionLoop = null;
+    }
     
     // Clean up specialists
     for (const specialist of this.specialists.values()) {
@@ -1256,6 +1732,15 @@ class WorkflowEngine extends EventEmitter {
       this.analytics.destroy();
     }
     
+    if (this.functionSandbox) {
+      this.functionSandbox.terminate();
+    }
+    
+    // Only close a store this engine opened
+    if (this.store && this.ownsStore) {
+      this.store.close();
+    }
+    
     this.workflows.clear();
     this.activeWorkflows.clear();
     this.completedWorkflows.clear();
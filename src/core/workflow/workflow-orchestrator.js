@@ -23,10 +23,14 @@ class WorkflowOrchestrator extends EventEmitter {
       ...config
     };
     
+    // Durable saga state, shared with the workflow engine when persistence is on
+    this.store = this.config.executionStore || null;
+    
     // Orchestration patterns
     this.patterns = new Map();
     this.compositions = new Map();
     this.sagas = new Map();
+    this.sagaDefinitions = new Map();
     this.choreographies = new Map();
     
     // Execution context
@@ -490,15 +494,37 @@ class WorkflowOrchestrator extends EventEmitter {
     
     this.sagas.set(sagaExecution.id, sagaExecution);
     
+    if (this.store) {
+      this.store.startExecution({
+        id: sagaExecution.id,
+        kind: 'saga',
+        ownerId: saga.id || saga.name,
+        input: context,
+        // Function handlers do not survive JSON, so such sagas must be registered to recover
+        state: { portable: !containsFunction(saga.steps) },
+        definition: saga
+      });
+    }
+    
     try {
-      for (const step of saga.steps) {
+      for (const [index, step] of saga.steps.entries()) {
+        const stepId = this.getSagaStepId(step, index);
+        
         // Execute step
+        if (this.store) {
+          this.store.recordStepStart(sagaExecution.id, stepId, { position: index, input: context });
+        }
         const result = await this.executeStep(step, context);
         sagaExecution.steps.push({ step, result });
         
+        if (this.store) {
+          this.store.recordStepResult(sagaExecution.id, stepId, { status: 'completed', output: result });
+        }
+        
         // Register compensation if provided
         if (step.compensation) {
           sagaExecution.compensations.unshift({
+            stepId,
             step: step.compensation,
             context: { ...context, result }
           });
@@ -511,25 +537,107 @@ class WorkflowOrchestrator extends EventEmitter {
       }
       
       sagaExecution.state = 'completed';
+      if (this.store) {
+        this.store.updateExecution(sagaExecution.id, { status: 'completed' });
+      }
       return sagaExecution;
       
     } catch (error) {
       sagaExecution.state = 'compensating';
+      if (this.store) {
+        this.store.updateExecution(sagaExecution.id, { status: 'compensating', error: error.message });
+      }
       
       // Execute compensations in reverse order
-      for (const compensation of sagaExecution.compensations) {
-        try {
-          await this.executeStep(compensation.step, compensation.context);
-        } catch (compError) {
-          logger.error('Compensation failed:', compError);
-        }
-      }
+      await this.runSagaCompensations(sagaExecution.id, sagaExecution.compensations);
       
       sagaExecution.state = 'compensated';
+      if (this.store) {
+        this.store.updateExecution(sagaExecution.id, { status: 'compensated' });
+      }
       throw error;
     }
   }
   
+  /**
+   * Run saga compensations in the order given, recording each one
+   */
+  async runSagaCompensations(sagaId, compensations) {
+    for (const compensation of compensations) {
+      try {
+        await this.executeStep(compensation.step, compensation.context);
+        if (this.store) {
+          this.store.recordStepResult(sagaId, compensation.stepId, { status: 'compensated' });
+        }
+      } catch (compError) {
+        logger.error('Compensation failed:', compError);
+      }
+    }
+  }
+  
+  /**
+   * Compensate sagas a previous process left running or compensating
+   * A saga cannot safely continue forward after a crash, so every
+   * completed step that has a compensation is undone, newest first.
+   * The 'manual' policy only reports them. Steps come from the saga
+   * registered under the same id or name; the stored definition is only
+   * used when it had no function handlers to lose
+   */
+  async recoverSagas(policy = 'compensate') {
+    if (!this.store) {
+      return [];
+    }
+    
+    const interrupted = this.store.findInterrupted({
+      kind: 'saga',
+      isActive: id => this.sagas.has(id)
+    });
+    const recovered = [];
+    
+    for (const { id } of interrupted) {
+      const record = this.store.getExecution(id);
+      const saga = this.sagaDefinitions.get(record.ownerId) ||
+        (record.state && record.state.portable ? record.definition : null);
+      
+      if (policy === 'manual' || !saga) {
+        const reason = saga ? 'recovery policy is manual' :
+          `saga ${record.ownerId} has function handlers and is not registered; call registerSaga() before recovery`;
+        logger.warn(`⚠️ Interrupted saga ${record.id} left as is: ${reason}`);
+        this.emit('saga:interrupted', { sagaId: record.id, reason });
+        recovered.push({ sagaId: record.id, recovered: false, reason });
+        continue;
+      }
+      
+      const steps = saga.steps || [];
+      const compensations = record.steps
+        .filter(entry => entry.status === 'completed')
+        .reverse()
+        .map(entry => {
+          const step = steps.find((candidate, index) => this.getSagaStepId(candidate, index) === entry.stepId);
+          return step && step.compensation && {
+            stepId: entry.stepId,
+            step: step.compensation,
+            context: { ...record.input, result: entry.output }
+          };
+        })
+        .filter(Boolean);
+      
+      this.store.claimExecution(record.id, 'compensating');
+      await this.runSagaCompensations(record.id, compensations);
+      this.store.updateExecution(record.id, { status: 'compensated', error: 'interrupted by restart' });
+      
+      this.metrics.compensations++;
+      this.emit('saga:recovered', { sagaId: record.id, compensated: compensations.map(c => c.stepId) });
+      recovered.push({ sagaId: record.id, recovered: true, compensated: compensations.map(c => c.stepId) });
+    }
+    
+    return recovered;
+  }
+  
+  getSagaStepId(step, index) {
+    return step.id || step.name || `step_${index}`;
+  }
+  
   /**
    * Choreography Pattern Implementation
    */
@@ -934,6 +1042,14 @@ class WorkflowOrchestrator extends EventEmitter {
     this.metrics.patterns++;
   }
   
+  /**
+   * Register a saga by id or name so interrupted runs can be recovered
+   * with its step and compensation handlers
+   */
+  registerSaga(saga) {
+    this.sagaDefinitions.set(saga.id || saga.name, saga);
+  }
+  
   registerGateway(type, definition) {
     this.gateways.set(type, definition);
   }
@@ -969,4 +1085,18 @@ class WorkflowOrchestrator extends EventEmitter {
   }
 }
 
+/**
+ * Whether a value holds a function anywhere, which JSON would drop
+ */
+function containsFunction(value, seen = new Set()) {
+  if (typeof value === 'function') {
+    return true;
+  }
+  if (!value || typeof value !== 'object' || seen.has(value)) {
+    return false;
+  }
+  seen.add(value);
+  return Object.values(value).some(item => containsFunction(item, seen));
+}
+
 module.exports = WorkflowOrchestrator;
\ No newline at end of file
@@ -6,6 +6,11 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../logging/bumba-logger');
+const CronExpression = require('./cron-expression');
+const { ScheduleStore, resolveCatchUp, CATCH_UP_POLICIES } = require('./schedule-store');
+
+// Longest delay setTimeout accepts; later runs are reached in several hops
+const MAX_TIMEOUT = 2147483647;
 
 /**
  * Advanced scheduler for workflow execution
@@ -21,6 +26,9 @@ class WorkflowScheduler extends EventEmitter {
       resourceLimit: config.resourceLimit || 100,
       timeSliceMs: config.timeSliceMs || 100,
       preemptive: config.preemptive !== false,
+      catchUp: config.catchUp || 'skip', // skip, once, all
+      catchUpTolerance: config.catchUpTolerance || 60000,
+      maxCatchUpRuns: config.maxCatchUpRuns || 100,
       ...config
     };
     
@@ -62,6 +70,7 @@ class WorkflowScheduler extends EventEmitter {
     // Cron scheduling
     this.cronJobs = new Map();
     this.recurringWorkflows = new Map();
+    this.store = this.createScheduleStore();
     
     this.initialize();
   }
@@ -78,6 +87,11 @@ class WorkflowScheduler extends EventEmitter {
     // Start scheduling loop
     this.startScheduler();
     
+    // Bring back cron jobs saved by a previous process
+    if (this.store) {
+      this.restoreCronJobs();
+    }
+    
     logger.info('⏰ Workflow Scheduler initialized');
   }
   
@@ -152,28 +166,55 @@ class WorkflowScheduler extends EventEmitter {
   
   /**
    * Schedule with cron expression
+   * Options: timezone (IANA name, default local), catchUp ('skip', 'once'
+   * or 'all' for runs missed while stopped) and id. Scheduling the same
+   * workflow and expression again reuses the persisted job.
    */
   scheduleCron(workflow, cronExpression, options = {}) {
-    const cronJob = {
-      id: this.generateScheduleId(),
-      workflow,
-      expression: cronExpression,
-      options,
-      enabled: true,
-      lastRun: null,
-      nextRun: this.parseCronExpression(cronExpression)
-    };
+    const existing = this.findCronJob(workflow, cronExpression, options);
+    
+    if (existing) {
+      existing.workflow = workflow;
+      existing.options = options;
+      existing.catchUp = options.catchUp || existing.catchUp;
+      this.persistCronJob(existing);
+      return existing;
+    }
+    
+    const cronJob = this.createCronJob(workflow, cronExpression, options);
     
     this.cronJobs.set(cronJob.id, cronJob);
+    this.persistCronJob(cronJob);
     
     // Set up cron timer
     this.setupCronTimer(cronJob);
     
-    logger.info(`⏰ Scheduled cron workflow ${cronJob.id}: ${cronExpression}`);
+    logger.info(`⏰ Scheduled cron workflow ${cronJob.id}: ${cronExpression} (${cronJob.timezone})`);
     
     return cronJob;
   }
   
+  /**
+   * Stop a cron job and forget it
+   */
+  cancelCron(cronJobId) {
+    const cronJob = this.cronJobs.get(cronJobId);
+    
+    if (cronJob) {
+      clearTimeout(cronJob.timer);
+      this.cronJobs.delete(cronJobId);
+    }
+    
+    const removed = this.store ? this.store.remove(cronJobId) : false;
+    
+    if (cronJob || removed) {
+      this.emit('cron:cancelled', { cronJobId });
+      return true;
+    }
+    
+    return false;
+  }
+  
   /**
    * Enqueue workflow to priority queue
    */
@@ -764,72 +805,200 @@ class WorkflowScheduler extends EventEmitter {
    * Cron Scheduling
    */
   
-  parseCronExpression(expression) {
-    // Simplified cron parsing
-    // Format: "minute hour day month weekday"
-    const parts = expression.split(' ');
-    const now = new Date();
-    
-    // This is a simplified implementation
-    // In production, use a proper cron parser
-    const next = new Date(now);
+  parseCronExpression(expression, options = {}) {
+    return new CronExpression(expression, options).next();
+  }
+  
+  createCronJob(workflow, expression, options = {}, saved = {}) {
+    const cron = new CronExpression(expression, { timezone: options.timezone });
+    const catchUp = options.catchUp || this.config.catchUp;
     
-    if (parts[0] !== '*') {
-      next.setMinutes(parseInt(parts[0]));
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Unknown catch-up policy '${catchUp}' (expected ${CATCH_UP_POLICIES.join(', ')})`);
     }
     
-    if (parts[1] !== '*') {
-      next.setHours(parseInt(parts[1]));
+    return {
+      id: options.id || this.generateScheduleId(),
+      workflow,
+      expression,
+      timezone: cron.timezone,
+      catchUp,
+      options,
+      enabled: saved.enabled !== false,
+      lastRun: saved.lastRun || null,
+      // A restored job keeps its pending run, so anything missed is due at once
+      nextRun: saved.nextRun || cron.next(),
+      createdAt: saved.createdAt || Date.now(),
+      cron
+    };
+  }
+  
+  findCronJob(workflow, expression, options) {
+    if (options.id) {
+      return this.cronJobs.get(options.id) || null;
     }
     
-    // If next time is in the past, add a day
-    if (next <= now) {
-      next.setDate(next.getDate() + 1);
+    const timezone = new CronExpression(expression, { timezone: options.timezone }).timezone;
+    
+    for (const cronJob of this.cronJobs.values()) {
+      if (cronJob.workflow.id === workflow.id &&
+          cronJob.expression === expression &&
+          cronJob.timezone === timezone) {
+        return cronJob;
+      }
     }
     
-    return next.getTime();
+    return null;
   }
   
   setupCronTimer(cronJob) {
-    const scheduleNextCron = () => {
-      const delay = cronJob.nextRun - Date.now();
-      
-      if (delay <= 0) {
-        // Execute immediately
-        this.executeCronJob(cronJob);
-        
-        // Calculate next run
-        cronJob.lastRun = Date.now();
-        cronJob.nextRun = this.parseCronExpression(cronJob.expression);
-        
-        // Schedule next
-        scheduleNextCron();
-      } else {
-        // Schedule for future
-        setTimeout(() => {
-          if (cronJob.enabled) {
-            this.executeCronJob(cronJob);
-            
-            cronJob.lastRun = Date.now();
-            cronJob.nextRun = this.parseCronExpression(cronJob.expression);
-            
-            scheduleNextCron();
-          }
-        }, Math.min(delay, 2147483647)); // Max timeout value
-      }
-    };
+    clearTimeout(cronJob.timer);
+    cronJob.timer = null;
+    
+    if (!cronJob.enabled || !cronJob.nextRun) {
+      return;
+    }
+    
+    const delay = Math.max(cronJob.nextRun - Date.now(), 0);
+    
+    cronJob.timer = setTimeout(() => {
+      this.fireCronJob(cronJob);
+    }, Math.min(delay, MAX_TIMEOUT));
+  }
+  
+  /**
+   * Run a cron job that has come due
+   * Every fire time since the pending one is due; those older than the
+   * catch-up tolerance were missed and are handled by the job's policy.
+   * After a long gap only the newest maxCatchUpRuns are considered
+   */
+  async fireCronJob(cronJob) {
+    const now = Date.now();
+    
+    if (now < cronJob.nextRun) {
+      // Woken early by a capped timeout
+      this.setupCronTimer(cronJob);
+      return;
+    }
+    
+    const due = cronJob.cron.latest(cronJob.nextRun - 1, now, this.config.maxCatchUpRuns);
+    const { run, missed } = resolveCatchUp(due, {
+      policy: cronJob.catchUp,
+      now,
+      tolerance: this.config.catchUpTolerance
+    });
+    // Older fire times beyond the limit were dropped without being listed
+    const truncated = due.length >= this.config.maxCatchUpRuns;
+    
+    if (missed.length > 0) {
+      logger.warn(`⏰ Cron job ${cronJob.id} missed ${missed.length}${truncated ? '+' : ''} run(s), catch-up policy '${cronJob.catchUp}'`);
+      this.emit('cron:missed', { cronJob, missed, truncated, policy: cronJob.catchUp });
+    }
     
-    scheduleNextCron();
+    cronJob.lastRun = now;
+    cronJob.nextRun = cronJob.cron.next(now);
+    this.persistCronJob(cronJob);
+    this.setupCronTimer(cronJob);
+    
+    for (const scheduledFor of run) {
+      try {
+        await this.executeCronJob(cronJob, scheduledFor);
+      } catch (error) {
+        logger.error(`Cron job ${cronJob.id} failed to schedule: ${error.message}`);
+        this.emit('cron:failed', { cronJob, scheduledFor, error });
+      }
+    }
   }
   
-  async executeCronJob(cronJob) {
+  async executeCronJob(cronJob, scheduledFor = Date.now()) {
     if (!cronJob.enabled) return;
     
-    await this.scheduleWorkflow(cronJob.workflow, cronJob.options);
+    await this.scheduleWorkflow(cronJob.workflow, {
+      ...cronJob.options,
+      metadata: { ...cronJob.options.metadata, cronJobId: cronJob.id, scheduledFor }
+    });
     
     this.emit('cron:executed', cronJob);
   }
   
+  /**
+   * Cron Persistence
+   */
+  
+  /**
+   * Open the schedule store when persistence is enabled
+   * `persistence` may be true, store options ({ filePath }) or a ScheduleStore
+   */
+  createScheduleStore() {
+    const { persistence } = this.config;
+    
+    if (!persistence) {
+      return null;
+    }
+    
+    if (persistence instanceof ScheduleStore) {
+      return persistence;
+    }
+    
+    return new ScheduleStore(typeof persistence === 'object' ? persistence : {});
+  }
+  
+  persistCronJob(cronJob) {
+    if (!this.store) {
+      return;
+    }
+    
+    this.store.save({
+      id: cronJob.id,
+      kind: 'workflow',
+      name: cronJob.workflow.name || cronJob.workflow.id,
+      expression: cronJob.expression,
+      timezone: cronJob.timezone,
+      catchUp: cronJob.catchUp,
+      enabled: cronJob.enabled,
+      lastRun: cronJob.lastRun,
+      nextRun: cronJob.nextRun,
+      createdAt: cronJob.createdAt,
+      options: cronJob.options,
+      workflow: cronJob.workflow
+    });
+  }
+  
+  restoreCronJobs() {
+    const restored = [];
+    
+    for (const saved of this.store.list({ kind: 'workflow' })) {
+      if (this.cronJobs.has(saved.id)) {
+        continue;
+      }
+      
+      try {
+        const cronJob = this.createCronJob(saved.workflow, saved.expression, {
+          ...saved.options,
+          id: saved.id,
+          timezone: saved.timezone,
+          catchUp: saved.catchUp
+        }, saved);
+        
+        this.cronJobs.set(cronJob.id, cronJob);
+        this.setupCronTimer(cronJob);
+        restored.push(cronJob);
+      } catch (error) {
+        logger.warn(`Could not restore cron job ${saved.id}: ${error.message}`);
+      }
+    }
+    
+    if (restored.length > 0) {
+      logger.info(`⏰ Restored ${restored.length} cron job(s)`);
+    }
+    
+    return restored;
+  }
+  
+  getCronJobs() {
+    return Array.from(this.cronJobs.values());
+  }
+  
   /**
    * Metrics and Monitoring
    */
@@ -904,6 +1073,11 @@ class WorkflowScheduler extends EventEmitter {
       this.schedulingInterval = null;
     }
     
+    for (const cronJob of this.cronJobs.values()) {
+      clearTimeout(cronJob.timer);
+      cronJob.timer = null;
+    }
+    
     logger.info('⏰ Scheduler stopped');
   }
   
@@ -0,0 +1,412 @@
+/**
+ * BUMBA Workflow Validator
+ * Loads declarative workflow definitions (YAML/JSON) and validates them
+ * against the published schema (workflow.schema.json) and the step types
+ * and conditions registered with a WorkflowEngine
+ * Every problem is reported with the path of the offending value
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const safeEvaluator = require('./safe-expression-evaluator');
+const WORKFLOW_SCHEMA = require('./workflow.schema.json');
+
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Raised when a workflow definition fails validation
+ * `errors` holds every problem as { path, message }
+ */
+class WorkflowValidationError extends Error {
+  constructor(workflowName, errors) {
+    super(`Invalid workflow '${workflowName}':\n${formatErrors(errors).map(line => `  - ${line}`).join('\n')}`);
+    this.name = 'WorkflowValidationError';
+    this.errors = errors;
+  }
+}
+
+class WorkflowValidator {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.schema = options.schema || WORKFLOW_SCHEMA;
+  }
+
+  /**
+   * Read a workflow definition from a YAML or JSON file
+   */
+  loadFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (!WORKFLOW_EXTENSIONS.includes(extension)) {
+      throw new Error(`Unsupported workflow file type '${extension}' (expected ${WORKFLOW_EXTENSIONS.join(', ')})`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    try {
+      return extension === '.json' ? JSON.parse(content) : yaml.safeLoad(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a declarative definition: schema, then engine references
+   * Returns { valid, errors } - callers decide whether errors are fatal
+   */
+  validate(definition) {
+    const errors = [];
+
+    this.checkSchema(definition, this.schema, '', errors);
+
+    if (definition && Array.isArray(definition.steps)) {
+      this.forEachStep(definition.steps, 'steps', (step, stepPath) => {
+        const stepType = this.getStepDefinition(step.type);
+        if (stepType && stepType.schema) {
+          this.checkSchema(step, stepType.schema, stepPath, errors);
+        }
+      });
+      errors.push(...this.validateReferences(definition));
+    }
+
+    return { valid: errors.length === 0, errors: sortByPath(errors) };
+  }
+
+  /**
+   * Check step types, conditions, step ids, dependencies and expressions
+   * against the engine. Also used for workflows created from JS objects
+   */
+  validateReferences(workflow) {
+    const errors = [];
+    const ids = new Map();
+
+    this.forEachStep(workflow.steps, 'steps', (step, stepPath) => {
+      if (typeof step.type === 'string' && !this.getStepDefinition(step.type)) {
+        errors.push({
+          path: `${stepPath}.type`,
+          message: `unknown step type '${step.type}' (registered: ${this.getStepTypes().join(', ')})`
+        });
+      }
+
+      if (step.id !== undefined) {
+        if (ids.has(step.id)) {
+          errors.push({ path: `${stepPath}.id`, message: `duplicate step id '${step.id}' (first used at ${ids.get(step.id)})` });
+        } else {
+          ids.set(step.id, stepPath);
+        }
+      }
+
+      if (typeof step.condition === 'string' && !this.engine.conditions.has(step.condition)) {
+        errors.push({ path: `${stepPath}.condition`, message: this.unknownCondition(step.condition) });
+      }
+
+      (Array.isArray(step.conditions) ? step.conditions : []).forEach((condition, index) => {
+        if (condition && typeof condition.type === 'string' && !this.engine.conditions.has(condition.type)) {
+          errors.push({ path: `${stepPath}.conditions[${index}].type`, message: this.unknownCondition(condition.type) });
+        }
+      });
+
+      this.checkExpressions(step, stepPath, errors);
+    });
+
+    errors.push(...this.validateDependencies(workflow.steps));
+
+    return errors;
+  }
+
+  /**
+   * Dependencies must name top-level steps and must not form a cycle
+   */
+  validateDependencies(steps) {
+    const errors = [];
+    if (!Array.isArray(steps)) {
+      return errors;
+    }
+
+    const topLevel = steps.filter(step => step && typeof step === 'object');
+    const known = new Set(topLevel.map(step => step.id));
+
+    steps.forEach((step, index) => {
+      const dependencies = step && Array.isArray(step.dependencies) ? step.dependencies : [];
+      dependencies.forEach((dependency, position) => {
+        if (!known.has(dependency)) {
+          errors.push({ path: `steps[${index}].dependencies[${position}]`, message: `unknown step '${dependency}'` });
+        } else if (dependency === step.id) {
+          errors.push({ path: `steps[${index}].dependencies[${position}]`, message: 'step cannot depend on itself' });
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    // Peel off steps whose dependencies are satisfied; whatever remains is a cycle
+    const remaining = new Set(topLevel);
+    const completed = new Set();
+    let progressed = true;
+
+    while (remaining.size > 0 && progressed) {
+      progressed = false;
+      for (const step of remaining) {
+        if ((step.dependencies || []).every(dependency => completed.has(dependency))) {
+          remaining.delete(step);
+          completed.add(step.id);
+          progressed = true;
+        }
+      }
+    }
+
+    if (remaining.size > 0) {
+      const cycle = Array.from(remaining).map(step => `'${step.id}'`).join(', ');
+      errors.push({ path: 'steps', message: `dependency cycle between ${cycle}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate every { $expr } value under a step without evaluating it
+   * Nested steps are visited by forEachStep, so they are skipped here
+   */
+  checkExpressions(value, valuePath, errors, isStep = true) {
+    if (!value || typeof value !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => this.checkExpressions(item, `${valuePath}[${index}]`, errors, false));
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(value, '$expr')) {
+      const problem = Object.keys(value).length > 1 ?
+        'expression objects must only contain $expr' :
+        this.checkExpression(value.$expr);
+      if (problem) {
+        errors.push({ path: valuePath, message: problem });
+      }
+      return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (isStep && ['body', 'steps', 'onError', 'compensation'].includes(key)) {
+        continue;
+      }
+      this.checkExpressions(child, `${valuePath}.${key}`, errors, false);
+    }
+  }
+
+  /**
+   * Problem description for an expression string, or null if it is allowed
+   */
+  checkExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      return 'expression must be a non-empty string';
+    }
+
+    try {
+      safeEvaluator.validateExpression(expression);
+      return null;
+    } catch (error) {
+      return `invalid expression: ${error.message}`;
+    }
+  }
+
+  /**
+   * Visit every step, including loop bodies, parallel branches, error handlers
+   * and compensations
+   */
+  forEachStep(steps, stepsPath, visit) {
+    if (!Array.isArray(steps)) {
+      return;
+    }
+
+    steps.forEach((step, index) => this.visitStep(step, `${stepsPath}[${index}]`, visit));
+  }
+
+  visitStep(step, stepPath, visit) {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return;
+    }
+
+    visit(step, stepPath);
+
+    this.forEachStep(step.body, `${stepPath}.body`, visit);
+    this.forEachStep(step.steps, `${stepPath}.steps`, visit);
+    this.visitStep(step.onError, `${stepPath}.onError`, visit);
+    this.visitStep(step.compensation, `${stepPath}.compensation`, visit);
+  }
+
+  /**
+   * Check a value against the JSON Schema keywords the workflow schema uses
+   */
+  checkSchema(value, schema, valuePath, errors) {
+    if (schema.$ref) {
+      return this.checkSchema(value, this.resolveRef(schema.$ref), valuePath, errors);
+    }
+
+    const at = valuePath || '(root)';
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+      return;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+        return;
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: at, message: `must match /${schema.pattern}/ (got ${JSON.stringify(value)})` });
+      }
+      if (schema.format === 'expression') {
+        const problem = this.checkExpression(value);
+        if (problem) {
+          errors.push({ path: at, message: problem });
+        }
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.checkSchema(item, schema.items, `${valuePath}[${index}]`, errors));
+      }
+      return;
+    }
+
+    if (value && typeof value === 'object') {
+      const childPath = key => (valuePath ? `${valuePath}.${key}` : key);
+      const properties = schema.properties || {};
+
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push({ path: childPath(key), message: 'is required' });
+        }
+      }
+
+      for (const [key, child] of Object.entries(value)) {
+        if (properties[key]) {
+          this.checkSchema(child, properties[key], childPath(key), errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath(key), message: 'unknown property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.checkSchema(child, schema.additionalProperties, childPath(key), errors);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve a local "#/definitions/name" reference
+   */
+  resolveRef(ref) {
+    const name = ref.replace(/^#\/definitions\//, '');
+    const schema = this.schema.definitions && this.schema.definitions[name];
+
+    if (!schema) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+
+    return schema;
+  }
+
+  getStepDefinition(type) {
+    return this.engine.stepDefinitions.get(type) || this.engine.customSteps.get(type);
+  }
+
+  getStepTypes() {
+    return [...this.engine.stepDefinitions.keys(), ...this.engine.customSteps.keys()];
+  }
+
+  unknownCondition(name) {
+    return `unknown condition '${name}' (registered: ${Array.from(this.engine.conditions.keys()).join(', ')})`;
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Order errors as their values appear in the document (steps[2] before steps[10])
+ */
+function sortByPath(errors) {
+  const segments = error => error.path.split(/[.[\]]+/).filter(Boolean);
+
+  return errors
+    .map((error, index) => ({ error, index, segments: segments(error) }))
+    .sort((a, b) => {
+      for (let i = 0; i < Math.min(a.segments.length, b.segments.length); i++) {
+        const [left, right] = [a.segments[i], b.segments[i]];
+        if (left !== right) {
+          return /^\d+$/.test(left) && /^\d+$/.test(right) ? left - right : a.index - b.index;
+        }
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.error);
+}
+
+/**
+ * Render errors as "path: message" lines
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+module.exports = {
+  WorkflowValidator,
+  WorkflowValidationError,
+  WORKFLOW_SCHEMA,
+  formatErrors
+};
@@ -6,13 +6,21 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../../core/logging/bumba-logger');
+const { MemoryView } = require('../../core/memory/memory-store');
 
 class MemoryAdapter extends EventEmitter {
-  constructor(memorySystem) {
+  /**
+   * @param {Object} memorySystem - Memory system to wrap, e.g. a memory store view
+   * @param {Object} options
+   * @param {Object} options.memoryStore - Store whose writes invalidate the cache; taken from a wrapped view
+   */
+  constructor(memorySystem, options = {}) {
     super();
     
     // Wrap existing memory system WITHOUT modifying it
     this.wrapped = memorySystem;
+    this.memoryStore = options.memoryStore || (memorySystem instanceof MemoryView ? memorySystem.memoryStore : null);
+    this.storeListener = null;
     this.adapterVersion = '1.0.0';
     this.enabled = false; // Start disabled for safety
     
@@ -52,6 +60,7 @@ class MemoryAdapter extends EventEmitter {
     if (!this.enabled) return;
     
     this.enabled = false;
+    this.unwatchStore();
     this.removeAllListeners();
     logger.info('🔌 MemoryAdapter disabled');
     this.emit('adapter:disabled');
@@ -61,6 +70,8 @@ class MemoryAdapter extends EventEmitter {
    * Attach listeners to wrapped memory system
    */
   attachListeners() {
+    this.watchStore();
+    
     if (this.wrapped.on && typeof this.wrapped.on === 'function') {
       this.wrapped.on('memory:stored', (data) => {
         if (this.enabled) {
@@ -85,7 +96,7 @@ class MemoryAdapter extends EventEmitter {
     if (this.wrapped.store) {
       result = await this.wrapped.store(key, value, options);
     } else if (this.wrapped.set) {
-      result = await this.wrapped.set(key, value);
+      result = await this.wrapped.set(key, value, options);
     }
     
     // Add unified tracking if enabled
@@ -116,8 +127,9 @@ class MemoryAdapter extends EventEmitter {
    * Retrieve memory with unified tracking
    */
   async retrieve(key, options = {}) {
-    // Check unified cache first if enabled
-    if (this.enabled && this.unifiedCache.has(key)) {
+    // Check unified cache first if enabled; reads naming a reader go to the
+    // wrapped system so the memory store can record them
+    if (this.enabled && !options.reader && this.unifiedCache.has(key)) {
       this.metrics.cacheHits++;
       const cached = this.unifiedCache.get(key);
       
@@ -133,7 +145,7 @@ class MemoryAdapter extends EventEmitter {
     if (this.wrapped.retrieve) {
       result = await this.wrapped.retrieve(key, options);
     } else if (this.wrapped.get) {
-      result = await this.wrapped.get(key);
+      result = await this.wrapped.get(key, options);
     }
     
     // Track if enabled
@@ -165,6 +177,29 @@ class MemoryAdapter extends EventEmitter {
     return result;
   }
   
+  /**
+   * Drop cached keys whenever the memory store changes them, through any view
+   */
+  watchStore() {
+    if (!this.memoryStore || this.storeListener) {
+      return;
+    }
+    
+    this.storeListener = ({ key }) => this.unifiedCache.delete(key);
+    this.memoryStore.on('memory:written', this.storeListener);
+    this.memoryStore.on('memory:deleted', this.storeListener);
+  }
+  
+  unwatchStore() {
+    if (!this.storeListener) {
+      return;
+    }
+    
+    this.memoryStore.off('memory:written', this.storeListener);
+    this.memoryStore.off('memory:deleted', this.storeListener);
+    this.storeListener = null;
+  }
+  
   /**
    * Create scoped memory context (for agent handoffs)
    */
@@ -9,6 +9,7 @@
 
 const { EventEmitter } = require('events');
 const { logger } = require('../../core/logging/bumba-logger');
+const { currentCorrelationId } = require('../../core/events/correlation-context');
 
 class UnifiedBus extends EventEmitter {
   constructor() {
@@ -179,7 +180,8 @@ class UnifiedBus extends EventEmitter {
       source: systemId,
       event: eventName,
       data,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      correlationId: data?.correlationId || currentCorrelationId()
     };
     
     // Add to history
@@ -5,12 +5,13 @@
  * command sequences for maximum team collaboration efficiency.
  */
 
-const fs = require('fs');
 const path = require('path');
+const { BumbaTeamMemory, TEAM_KEYS } = require('./teamMemory');
 
 class BumbaCommandOptimizer {
   constructor() {
     this.teamDir = path.join(process.env.HOME, '.claude', 'team');
+    this.teamMemory = new BumbaTeamMemory({ teamDir: this.teamDir });
     this.agentSpecializations = {
       'Product-Strategist': {
         primaryCommands: ['prd', 'requirements', 'roadmap', 'research-market', 'docs-business', 'analyze-business', 'improve-strategy'],
@@ -642,11 +643,7 @@ class BumbaCommandOptimizer {
   }
 
   _loadTeamHistory() {
-    const historyFile = path.join(this.teamDir, 'agent-history.json');
-    if (fs.existsSync(historyFile)) {
-      return JSON.parse(fs.readFileSync(historyFile, 'utf8'));
-    }
-    return { sessions: [] };
+    return this.teamMemory.view().get(TEAM_KEYS.agentHistory) || { sessions: [] };
   }
 
   _analyzeCommandUsage(history) {
@@ -707,11 +704,7 @@ class BumbaCommandOptimizer {
   }
 
   _getTeamStatus() {
-    const contextFile = path.join(this.teamDir, 'context.json');
-    if (fs.existsSync(contextFile)) {
-      return JSON.parse(fs.readFileSync(contextFile, 'utf8'));
-    }
-    return {};
+    return this.teamMemory.view().get(TEAM_KEYS.context) || {};
   }
 
   _explainRouting(command, agent) {
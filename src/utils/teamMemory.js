@@ -1,60 +1,148 @@
 /**
  * BUMBA Team Memory System
  * Enables seamless agent coordination and context sharing
+ *
+ * A view over the team namespace of the memory store. The team context,
+ * agent history and collaboration state used to be JSON files under
+ * ~/.claude/team; they are imported into the store the first time it is used.
+ *
+ * Team memory is shared by every project, as the JSON files were, so its
+ * store lives in the BUMBA home directory ($BUMBA_HOME, ~/.bumba by default)
+ * rather than in the project's .bumba/memory.db.
  */
 
 const fs = require('fs');
 const { logger } = require('../core/logging/bumba-logger');
+const { getMemoryStore, MemoryNamespace } = require('../core/memory/memory-store');
 
 const path = require('path');
 const os = require('os');
 
+/**
+ * The team memory database shared across projects
+ */
+function defaultTeamDbPath() {
+  return path.join(process.env.BUMBA_HOME || path.join(os.homedir(), '.bumba'), 'team-memory.db');
+}
+
+// Store keys for the three team documents, named after the files they replace
+const TEAM_KEYS = {
+  context: 'context',
+  agentHistory: 'agent-history',
+  collaboration: 'collaboration'
+};
+
 class BumbaTeamMemory {
-  constructor() {
-    this.teamDir = path.join(os.homedir(), '.claude', 'team');
+  /**
+   * @param {Object} options
+   * @param {Object} options.memoryStore - Store to use; the shared team store by default
+   * @param {string} options.dbPath - Team store file when no store is passed (~/.bumba/team-memory.db)
+   * @param {string} options.teamDir - Where the pre-store JSON files live
+   * @param {string} options.scope - Team scope in the store
+   * @param {string} options.reader - Recorded against every read
+   */
+  constructor(options = {}) {
+    this.teamDir = options.teamDir || path.join(os.homedir(), '.claude', 'team');
     this.contextFile = path.join(this.teamDir, 'context.json');
     this.agentHistoryFile = path.join(this.teamDir, 'agent-history.json');
     this.collaborationFile = path.join(this.teamDir, 'collaboration.json');
 
-    // Directory will be created during initialization
-    // Remove sync initialization from constructor
+    this.memoryStore = options.memoryStore || null;
+    this.dbPath = options.dbPath || defaultTeamDbPath();
+    this.scope = options.scope || 'default';
+    this.reader = options.reader || null;
+    this.teamView = null;
+
+    // The store is opened on first use
     // Call initializeTeamMemory() separately after construction
   }
 
   /**
    * Static factory method to create and initialize BumbaTeamMemory
    */
-  static async create() {
-    const instance = new BumbaTeamMemory();
+  static async create(options = {}) {
+    const instance = new BumbaTeamMemory(options);
     await instance.initializeTeamMemory();
     return instance;
   }
 
   /**
-   * Ensure team memory directory exists
+   * The team namespace of the store, importing the old JSON files first
    */
-  async ensureTeamDirectory() {
-    try {
-      await fs.promises.mkdir(this.teamDir, { recursive: true });
-    } catch (error) {
-      // Directory might already exist, which is fine
-      if (error.code !== 'EEXIST') {
-        throw error;
+  view() {
+    if (!this.teamView) {
+      const store = this.memoryStore || getMemoryStore({ dbPath: this.dbPath });
+      this.migrateTeamFiles(store);
+      this.teamView = store.view(MemoryNamespace.TEAM, this.scope, {
+        reader: this.reader,
+        via: 'team-memory',
+        writer: 'team-memory'
+      });
+    }
+    return this.teamView;
+  }
+
+  /**
+   * One-time import of the JSON files from the team directory
+   */
+  migrateTeamFiles(store) {
+    return store.migrateOnce(`team-memory:${this.teamDir}`, () => {
+      let entries = 0;
+      const files = {
+        [TEAM_KEYS.context]: this.contextFile,
+        [TEAM_KEYS.agentHistory]: this.agentHistoryFile,
+        [TEAM_KEYS.collaboration]: this.collaborationFile
+      };
+
+      for (const [key, file] of Object.entries(files)) {
+        if (!fs.existsSync(file)) {
+          continue;
+        }
+        try {
+          const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+          store.set(MemoryNamespace.TEAM, key, document, { scope: this.scope, source: file, writer: 'migration' });
+          entries++;
+        } catch (error) {
+          logger.warn(`Skipping unreadable team memory file ${file}: ${error.message}`);
+        }
+      }
+      return entries;
+    });
+  }
+
+  /**
+   * Remove and return the sharedContext items of one type. Other memory
+   * classes used to park their entries in the team context; they take them
+   * back when migrating to their own part of the store
+   */
+  takeSharedContext(type) {
+    const team = this.view();
+    const context = team.get(TEAM_KEYS.context);
+    const taken = {};
+    if (!context || !context.sharedContext) {
+      return taken;
+    }
+
+    for (const [id, item] of Object.entries(context.sharedContext)) {
+      if (item && item.type === type) {
+        taken[id] = item;
+        delete context.sharedContext[id];
       }
     }
+
+    if (Object.keys(taken).length > 0) {
+      team.set(TEAM_KEYS.context, context);
+    }
+    return taken;
   }
 
   /**
    * Initialize team memory if it doesn't exist
    */
   async initializeTeamMemory() {
-    // Ensure directory exists first
-    await this.ensureTeamDirectory();
+    const team = this.view();
 
-    try {
-      await fs.promises.access(this.contextFile);
-    } catch (error) {
-      // File doesn't exist, create it
+    if (!team.has(TEAM_KEYS.context)) {
       const initialContext = {
         version: '1.0.0',
         initialized: new Date().toISOString(),
@@ -79,10 +167,7 @@ class BumbaTeamMemory {
       await this.saveContext(initialContext);
     }
 
-    try {
-      await fs.promises.access(this.agentHistoryFile);
-    } catch (error) {
-      // File doesn't exist, create it
+    if (!team.has(TEAM_KEYS.agentHistory)) {
       const initialHistory = {
         sessions: [],
         handoffs: [],
@@ -91,10 +176,7 @@ class BumbaTeamMemory {
       await this.saveAgentHistory(initialHistory);
     }
 
-    try {
-      await fs.promises.access(this.collaborationFile);
-    } catch (error) {
-      // File doesn't exist, create it
+    if (!team.has(TEAM_KEYS.collaboration)) {
       const initialCollaboration = {
         currentWorkflow: null,
         pendingHandoffs: [],
@@ -110,8 +192,7 @@ class BumbaTeamMemory {
    */
   async getTeamContext() {
     try {
-      const data = await fs.promises.readFile(this.contextFile, 'utf8');
-      return JSON.parse(data);
+      return this.view().get(TEAM_KEYS.context);
     } catch (error) {
       logger.error('Error reading team context:', error);
       return null;
@@ -124,7 +205,7 @@ class BumbaTeamMemory {
   async saveContext(context) {
     try {
       context.lastUpdated = new Date().toISOString();
-      await fs.promises.writeFile(this.contextFile, JSON.stringify(context, null, 2));
+      this.view().set(TEAM_KEYS.context, context);
       return true;
     } catch (error) {
       logger.error('Error saving team context:', error);
@@ -358,8 +439,7 @@ class BumbaTeamMemory {
    */
   async getAgentHistory() {
     try {
-      const data = await fs.promises.readFile(this.agentHistoryFile, 'utf8');
-      return JSON.parse(data);
+      return this.view().get(TEAM_KEYS.agentHistory);
     } catch (error) {
       logger.error('Error reading agent history:', error);
       return null;
@@ -371,7 +451,7 @@ class BumbaTeamMemory {
    */
   async saveAgentHistory(history) {
     try {
-      await fs.promises.writeFile(this.agentHistoryFile, JSON.stringify(history, null, 2));
+      this.view().set(TEAM_KEYS.agentHistory, history);
       return true;
     } catch (error) {
       logger.error('Error saving agent history:', error);
@@ -401,8 +481,7 @@ class BumbaTeamMemory {
    */
   async getCollaboration() {
     try {
-      const data = await fs.promises.readFile(this.collaborationFile, 'utf8');
-      return JSON.parse(data);
+      return this.view().get(TEAM_KEYS.collaboration);
     } catch (error) {
       logger.error('Error reading collaboration:', error);
       return null;
@@ -415,7 +494,7 @@ class BumbaTeamMemory {
   async saveCollaboration(collaboration) {
     try {
       collaboration.lastUpdated = new Date().toISOString();
-      await fs.promises.writeFile(this.collaborationFile, JSON.stringify(collaboration, null, 2));
+      this.view().set(TEAM_KEYS.collaboration, collaboration);
       return true;
     } catch (error) {
       logger.error('Error saving collaboration:', error);
@@ -541,4 +620,4 @@ class BumbaTeamMemory {
   }
 }
 
-module.exports = { BumbaTeamMemory };
+module.exports = { BumbaTeamMemory, TEAM_KEYS, defaultTeamDbPath };
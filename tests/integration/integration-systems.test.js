@@ -387,7 +387,7 @@ describe('Integration Systems Test Suite', () => {
     
     test('should estimate tokens correctly', () => {
       const tokens = contextMCP.estimateTokens('This is a test message');
-      expect(tokens).toBe(6); // ~22 chars / 4 = 5.5, rounded up to 6
+      expect(tokens).toBe(5); // One token per word
     });
     
     test('should calculate message importance', () => {
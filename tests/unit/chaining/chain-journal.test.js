@@ -0,0 +1,165 @@
+/**
+ * BUMBA Chain Journal Tests
+ * Persisted, resumable chain executions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandChaining } = require('../../../src/core/chaining');
+const ChainJournal = require('../../../src/core/chaining/chain-journal');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Chain journal', () => {
+  let directory;
+  let calls;
+  let failDeploy;
+  let handler;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-chains-'));
+    calls = [];
+    failDeploy = true;
+    handler = {
+      async execute({ command, args }) {
+        calls.push(command);
+        if (command === '/bumba:deploy' && failDeploy) {
+          throw new Error('deploy target offline');
+        }
+        if (command === '/bumba:api') {
+          return { endpoints: ['/users'] };
+        }
+        return { command, args };
+      }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should journal every node of a run', async () => {
+    const chaining = new CommandChaining(handler, { journalDir: directory, learnDurations: false });
+
+    await chaining.execute('/bumba:api as spec >> /bumba:test');
+
+    const [run] = chaining.getRuns();
+    expect(run.status).toBe('completed');
+    expect(run.ast.root.type).toBe('sequential');
+    expect(Object.values(run.nodes).every(n => n.status === 'completed')).toBe(true);
+    expect(run.variables.spec).toEqual({ endpoints: ['/users'] });
+  });
+
+  it('should keep command output named context or node and drop only the runtime objects', async () => {
+    const chaining = new CommandChaining(handler, { journalDir: directory, learnDurations: false });
+    const execute = handler.execute;
+    handler.execute = async (input) => {
+      if (input.command === '/bumba:env') {
+        return { context: 'staging', node: { version: 18 } };
+      }
+      return execute(input);
+    };
+
+    await chaining.execute('/bumba:env >> /bumba:test');
+
+    const [run] = chaining.getRuns();
+    const [env] = run.result.results;
+    expect(run.result.context).toBeUndefined();
+    expect(env.node).toBeUndefined();
+    expect(env.result.output).toEqual({ context: 'staging', node: { version: 18 } });
+    expect(Object.values(run.nodes).map(n => n.result.output)).toContainEqual({ context: 'staging', node: { version: 18 } });
+  });
+
+  it('should keep objects referenced twice and drop only circular references', () => {
+    const journal = new ChainJournal({ directory });
+    const options = { region: 'eu', replicas: 2 };
+    const result = { build: { options }, deploy: { options }, list: [options, options] };
+    result.deploy.self = result;
+
+    expect(journal.serialize(result)).toEqual({
+      build: { options: { region: 'eu', replicas: 2 } },
+      deploy: { options: { region: 'eu', replicas: 2 } },
+      list: [{ region: 'eu', replicas: 2 }, { region: 'eu', replicas: 2 }]
+    });
+  });
+
+  it('should resume from the last completed node', async () => {
+    const chaining = new CommandChaining(handler, { journalDir: directory, learnDurations: false });
+
+    await expect(chaining.execute('/bumba:api as spec >> /bumba:build $spec.endpoints >> /bumba:deploy'))
+      .rejects.toThrow('deploy target offline');
+
+    const [failed] = chaining.getRuns();
+    expect(failed.status).toBe('failed');
+
+    calls = [];
+    failDeploy = false;
+    const result = await chaining.resume(failed.id);
+
+    expect(calls).toEqual(['/bumba:deploy']);
+    expect(result.summary.successful).toBe(3);
+    expect(chaining.getRuns()[0].status).toBe('completed');
+  });
+
+  it('should restore captured variables when resuming', async () => {
+    const chaining = new CommandChaining(handler, { journalDir: directory, learnDurations: false });
+    let deployArgs = null;
+    const execute = handler.execute;
+    handler.execute = async (input) => {
+      if (input.command === '/bumba:deploy') {
+        deployArgs = input.args;
+      }
+      return execute(input);
+    };
+
+    await expect(chaining.execute('/bumba:api as spec >> /bumba:deploy $spec.endpoints'))
+      .rejects.toThrow();
+
+    failDeploy = false;
+    await chaining.resume(chaining.getRuns()[0].id);
+
+    expect(deployArgs).toEqual([['/users']]);
+  });
+
+  it('should refuse to resume a completed run', async () => {
+    const chaining = new CommandChaining(handler, { journalDir: directory, learnDurations: false });
+
+    await chaining.execute('/bumba:test');
+
+    await expect(chaining.resume(chaining.getRuns()[0].id)).rejects.toThrow('already completed');
+  });
+
+  it('should report runs abandoned by a dead process as interrupted', () => {
+    const journal = new ChainJournal({ directory });
+    const entry = journal.create('chain-crashed', {
+      input: '/bumba:test',
+      ast: { type: 'chain', root: { type: 'command', name: '/bumba:test', args: [] } }
+    });
+    fs.writeFileSync(
+      path.join(directory, 'chain-crashed.json'),
+      JSON.stringify({ ...entry, pid: 999999999 })
+    );
+
+    const loaded = journal.load('chain-crashed');
+
+    expect(loaded.status).toBe('interrupted');
+    expect(journal.getResumable().map(r => r.id)).toEqual(['chain-crashed']);
+  });
+
+  it('should not write a journal when disabled', async () => {
+    const chaining = new CommandChaining(handler, { journal: false, journalDir: directory, learnDurations: false });
+
+    await chaining.execute('/bumba:test');
+
+    expect(fs.readdirSync(directory)).toEqual([]);
+    expect(chaining.getRuns()).toEqual([]);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * BUMBA Chain Language Tests
+ * Named variables, retry/timeout modifiers and catch handlers
+ */
+
+const ChainParser = require('../../../src/core/chaining/chain-parser');
+const ChainExecutor = require('../../../src/core/chaining/chain-executor');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+function createHandler(behaviours = {}) {
+  const calls = [];
+  return {
+    calls,
+    async execute({ command, args }) {
+      calls.push({ command, args });
+      const behaviour = behaviours[command];
+      if (behaviour) {
+        return behaviour(calls.filter(c => c.command === command).length, args);
+      }
+      return { command, args };
+    }
+  };
+}
+
+describe('Chain language', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ChainParser();
+  });
+
+  describe('Parsing', () => {
+    it('should parse variable capture and step modifiers', () => {
+      const ast = parser.parse('/bumba:api as spec >> /bumba:impl $spec.endpoints retry(3) timeout(30s)');
+      const [api, impl] = ast.root.nodes;
+
+      expect(api.modifiers).toEqual({ as: 'spec' });
+      expect(impl.args).toEqual(['$spec.endpoints']);
+      expect(impl.modifiers).toEqual({ retry: 3, timeout: 30000 });
+    });
+
+    it('should parse catch with lowest precedence', () => {
+      const ast = parser.parse('/bumba:a >> /bumba:b catch /bumba:rollback');
+
+      expect(ast.root.type).toBe('catch');
+      expect(ast.root.body.type).toBe('sequential');
+      expect(ast.root.handler.name).toBe('/bumba:rollback');
+    });
+
+    it('should attach modifiers to groups without flattening them', () => {
+      const ast = parser.parse('(/bumba:a >> /bumba:b) retry(2) >> /bumba:c');
+
+      expect(ast.root.nodes).toHaveLength(2);
+      expect(ast.root.nodes[0].modifiers).toEqual({ retry: 2 });
+    });
+
+    it('should accept variables as conditions', () => {
+      const ast = parser.parse('$spec.ready ? /bumba:deploy : /bumba:fix');
+
+      expect(ast.root.condition).toEqual({ type: 'variable', name: 'spec', path: 'ready' });
+    });
+
+    it('should reject invalid modifiers', () => {
+      expect(() => parser.parse('/bumba:a retry(99)')).toThrow('Invalid retry count');
+      expect(() => parser.parse('/bumba:a as error')).toThrow('reserved');
+      expect(() => parser.parse('/bumba:a as x as y')).toThrow('Duplicate modifier');
+    });
+
+    it('should render modifiers back into chain syntax', () => {
+      const input = '/bumba:api as spec >> /bumba:impl $spec.endpoints retry(3) timeout(30s)';
+      const again = parser.parse(parser.toString(parser.parse(input)));
+
+      expect(again).toEqual(parser.parse(input));
+    });
+  });
+
+  describe('Execution', () => {
+    it('should pass captured outputs to later steps', async () => {
+      const handler = createHandler({
+        '/bumba:api': () => ({ endpoints: ['/users', '/orders'] })
+      });
+      const executor = new ChainExecutor(handler);
+
+      await executor.execute(parser.parse('/bumba:api as spec >> /bumba:impl $spec.endpoints --count=$spec.endpoints.length').root);
+
+      expect(handler.calls[1].args).toEqual([['/users', '/orders'], '--count=2']);
+    });
+
+    it('should retry failing steps', async () => {
+      const handler = createHandler({
+        '/bumba:flaky': (attempt) => {
+          if (attempt < 3) {
+            throw new Error('flaky');
+          }
+          return 'ok';
+        }
+      });
+      const executor = new ChainExecutor(handler);
+
+      const result = await executor.execute(parser.parse('/bumba:flaky retry(2)').root);
+
+      expect(result.output).toBe('ok');
+      expect(handler.calls).toHaveLength(3);
+    });
+
+    it('should fail a step that exceeds its timeout', async () => {
+      jest.useRealTimers();
+      const handler = createHandler({
+        '/bumba:slow': () => new Promise(resolve => setTimeout(resolve, 200))
+      });
+      const executor = new ChainExecutor(handler);
+
+      await expect(executor.execute(parser.parse('/bumba:slow timeout(20ms)').root))
+        .rejects.toThrow('timed out after 20ms');
+    });
+
+    it('should abort a timed-out attempt and let it settle before retrying', async () => {
+      jest.useRealTimers();
+      const events = [];
+      const signals = [];
+      const handler = {
+        async execute({ command, context }) {
+          const attempt = signals.push(context.chainSignal);
+          events.push(`${command} start ${attempt}`);
+          if (command === '/bumba:deploy' && attempt === 1) {
+            // Ignores the signal, as a step with side effects might
+            await new Promise(resolve => setTimeout(resolve, 60));
+          }
+          events.push(`${command} end ${attempt}`);
+          return 'deployed';
+        }
+      };
+      const executor = new ChainExecutor(handler);
+
+      const result = await executor.execute(parser.parse('/bumba:deploy timeout(20ms) retry(1)').root);
+
+      expect(result.output).toBe('deployed');
+      expect(events).toEqual(['/bumba:deploy start 1', '/bumba:deploy end 1', '/bumba:deploy start 2', '/bumba:deploy end 2']);
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[0].reason.message).toBe('/bumba:deploy timed out after 20ms');
+      expect(signals[1].aborted).toBe(false);
+
+      // Later steps of an aborted group do not start
+      events.length = 0;
+      signals.length = 0;
+      await expect(executor.execute(parser.parse('(/bumba:deploy >> /bumba:notify) timeout(20ms)').root))
+        .rejects.toThrow('timed out after 20ms');
+      await new Promise(resolve => setTimeout(resolve, 80));
+      expect(events).toEqual(['/bumba:deploy start 1', '/bumba:deploy end 1']);
+    });
+
+    it('should run the catch handler when the subgraph fails', async () => {
+      const handler = createHandler({
+        '/bumba:fail': () => {
+          throw new Error('boom');
+        }
+      });
+      const executor = new ChainExecutor(handler);
+
+      const result = await executor.execute(
+        parser.parse('(/bumba:ok >> /bumba:fail >> /bumba:never) catch /bumba:rollback $error.message').root
+      );
+
+      expect(result.recovered).toBe(true);
+      expect(handler.calls.map(c => c.command)).toEqual(['/bumba:ok', '/bumba:fail', '/bumba:rollback']);
+      expect(handler.calls[2].args[0]).toContain('boom');
+    });
+
+    it('should skip the catch handler when the subgraph succeeds', async () => {
+      const handler = createHandler();
+      const executor = new ChainExecutor(handler);
+
+      await executor.execute(parser.parse('/bumba:ok catch /bumba:rollback').root);
+
+      expect(handler.calls.map(c => c.command)).toEqual(['/bumba:ok']);
+    });
+
+    it('should branch on captured variables', async () => {
+      const handler = createHandler({
+        '/bumba:check': () => ({ ready: false })
+      });
+      const executor = new ChainExecutor(handler);
+
+      await executor.execute(
+        parser.parse('/bumba:check as status >> ($status.ready ? /bumba:deploy : /bumba:fix)').root
+      );
+
+      expect(handler.calls.map(c => c.command)).toEqual(['/bumba:check', '/bumba:fix']);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * BUMBA Chain Parser Tests
+ * One parser and AST for /bumba:chain and the intelligence router
+ */
+
+const ChainParser = require('../../../src/core/chaining/chain-parser');
+const { ChainSyntaxError } = require('../../../src/core/chaining/chain-parser');
+const { getInstance: getIntelligenceParser } = require('../../../src/core/command-intelligence/chain-parser');
+const { SequentialExecutor } = require('../../../src/core/command-intelligence/sequential-executor');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const CHAINS = [
+  '/bumba:a >> /bumba:b >> /bumba:c',
+  '(/bumba:a >> /bumba:b) || /bumba:c',
+  '/bumba:a || /bumba:b >> /bumba:c',
+  '/bumba:test ? (/bumba:deploy >> /bumba:notify) : /bumba:fix',
+  '/bumba:a ? /bumba:b : /bumba:c ? /bumba:d : /bumba:e',
+  '/bumba:a |> (/bumba:b |> /bumba:c)',
+  '/bumba:a & /bumba:b >> /bumba:c catch /bumba:rollback',
+  '/bumba:a catch (/bumba:b catch /bumba:c)',
+  '(/bumba:a >> /bumba:b) retry(2) timeout(30s) >> /bumba:c',
+  '(/bumba:a ? /bumba:b : /bumba:c) as picked >> /bumba:log $picked',
+  '/bumba:prd "checkout flow" "retry(3)" "a|b" \'say "hi"\''
+];
+
+describe('Chain parser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ChainParser();
+  });
+
+  it('should round-trip every construct through the formatter', () => {
+    for (const chain of CHAINS) {
+      const ast = parser.parse(chain);
+      expect(parser.parse(parser.format(ast))).toEqual(ast);
+    }
+  });
+
+  it('should only add the parentheses precedence requires', () => {
+    expect(parser.format(parser.parse('((/bumba:a >> /bumba:b)) >> (/bumba:c)')))
+      .toBe('/bumba:a >> /bumba:b >> /bumba:c');
+    expect(parser.format(parser.parse('(/bumba:a >> /bumba:b) || /bumba:c')))
+      .toBe('(/bumba:a >> /bumba:b) || /bumba:c');
+  });
+
+  it('should accept the intelligence router spellings', () => {
+    const ast = parser.parse('prd checkout && api "orders service" | test');
+
+    expect(parser.format(ast)).toBe('/bumba:prd checkout >> /bumba:api "orders service" |> /bumba:test');
+    expect(ast.root.nodes[1].from.args).toEqual(['orders service']);
+  });
+
+  it('should report the exact position of syntax errors', () => {
+    const cases = [
+      ['/bumba:a >> ', 'Unexpected end of input, expected a command at column 13'],
+      ['/bumba:a ; /bumba:b', 'Unsupported operator \';\''],
+      ['(/bumba:a >> /bumba:b', 'Expected \')\' to close the group opened at column 1 but found end of input at column 22'],
+      ['/bumba:a ? /bumba:b', 'Expected \':\' after \'?\' but found end of input'],
+      ['/bumba:a retry(99)', 'Invalid retry count: 99 (expected 0-10) at column 10'],
+      ['/bumba:a >>\n  /bumba:b "open', 'Unterminated quoted argument at line 2, column 12']
+    ];
+
+    for (const [input, message] of cases) {
+      expect(() => parser.parse(input)).toThrow(ChainSyntaxError);
+      expect(() => parser.parse(input)).toThrow(message);
+    }
+  });
+
+  it('should point a snippet at the offending token', () => {
+    let error;
+    try {
+      parser.parse('/bumba:a >> /bumba:b )');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.position).toBe(21);
+    expect(error.snippet).toBe('/bumba:a >> /bumba:b )\n                     ^');
+  });
+
+  it('should keep \'as\' and \'catch\' inside argument text', () => {
+    const login = parser.parse('/bumba:implement login as admin');
+    expect(login.root.args).toEqual(['login', 'as', 'admin']);
+    expect(login.root.modifiers).toBeUndefined();
+    expect(parser.parse(parser.format(login))).toEqual(login);
+
+    expect(parser.parse('/bumba:implement catch-all handler').root.args).toEqual(['catch-all', 'handler']);
+    expect(parser.parse('/bumba:fix the catch block').root.args).toEqual(['the', 'catch', 'block']);
+
+    // Right after a command, a variable or a group they are still syntax
+    expect(parser.parse('/bumba:api as spec').root.modifiers).toEqual({ as: 'spec' });
+    expect(parser.parse('(/bumba:api users) as spec').root.modifiers).toEqual({ as: 'spec' });
+    expect(parser.parse('/bumba:deploy prod catch /bumba:rollback').root.type).toBe('catch');
+    expect(parser.parse('/bumba:impl $spec catch rollback').root.type).toBe('catch');
+  });
+
+  it('should keep \':\', \'?\' and \'&\' inside arguments', () => {
+    const ast = parser.parse('/bumba:fix bug: crash >> /bumba:fetch https://example.com/a?b=1&c=2 & /bumba:notify R&D');
+
+    expect(parser.collectCommands(ast).map(node => node.args)).toEqual([
+      ['bug:', 'crash'],
+      ['https://example.com/a?b=1&c=2'],
+      ['R&D']
+    ]);
+    expect(parser.parse(parser.format(ast))).toEqual(ast);
+    expect(parser.format(parser.parse('/bumba:a "? x" ":"'))).toBe('/bumba:a "? x" ":"');
+    expect(parser.parse('/bumba:a ? /bumba:b : /bumba:c').root.type).toBe('conditional');
+  });
+
+  describe('Intelligence router', () => {
+    it('should produce the same AST as /bumba:chain', () => {
+      const chain = '/bumba:api as spec >> /bumba:impl $spec catch /bumba:rollback';
+
+      expect(getIntelligenceParser().parseChain(chain)).toEqual(parser.parse(chain));
+      expect(getIntelligenceParser().isChain('/bumba:api >> /bumba:test')).toBe(true);
+      expect(getIntelligenceParser().isChain('/bumba:api orders')).toBe(false);
+    });
+
+    it('should only treat real operators as a chain', () => {
+      const router = getIntelligenceParser();
+
+      expect(router.isChain('/bumba:implement fix bug: crash')).toBe(false);
+      expect(router.isChain('/bumba:fetch https://example.com/a?b=1&c=2')).toBe(false);
+      expect(router.isChain('/bumba:ask is it ready ?')).toBe(false);
+      expect(router.isChain('/bumba:a ? /bumba:b : /bumba:c')).toBe(true);
+      expect(router.isChain('/bumba:a & /bumba:b')).toBe(true);
+      // Malformed chains still reach parseChain for a positioned error
+      expect(router.isChain('/bumba:a >> ')).toBe(true);
+    });
+
+    it('should refuse \'||\' instead of silently changing fallback into parallel', () => {
+      const router = getIntelligenceParser();
+
+      expect(() => router.parseChain('/bumba:deploy || /bumba:rollback')).toThrow(ChainSyntaxError);
+      expect(() => router.parseChain('/bumba:deploy || /bumba:rollback'))
+        .toThrow('for a fallback write \'/bumba:a catch /bumba:b\' at column 15');
+      expect(router.parseChain('/bumba:deploy catch /bumba:rollback').root.type).toBe('catch');
+    });
+
+    it('should execute the unified AST through the router', async () => {
+      const executor = new SequentialExecutor();
+      const routed = [];
+      executor.router = {
+        initialized: true,
+        route: jest.fn(async (command, args) => {
+          routed.push([command, ...args].join(' '));
+          if (command === 'deploy') {
+            return { success: false, error: 'offline' };
+          }
+          return { success: true, command, endpoints: ['/users'] };
+        })
+      };
+
+      const result = await executor.executeSequence(
+        'api as spec >> (deploy $spec.endpoints catch rollback) >> test'
+      );
+
+      expect(routed).toEqual(['api', 'deploy /users', 'rollback', 'test']);
+      expect(result.totalCommands).toBe(4);
+      expect(result.finalContext.chainVariables.error.message).toBe('command subgraph failed');
+    });
+
+    it('should stop a sequence at the first failure', async () => {
+      const executor = new SequentialExecutor();
+      executor.router = {
+        initialized: true,
+        route: jest.fn(async (command) => ({ success: command !== 'build' }))
+      };
+
+      const result = await executor.executeSequence('lint && build && deploy');
+
+      expect(executor.router.route).toHaveBeenCalledTimes(2);
+      expect(result.success).toBe(false);
+      expect(result.executedCommands).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * BUMBA Chain Planner Tests
+ * Dry-run planning with token, cost and time estimates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChainParser = require('../../../src/core/chaining/chain-parser');
+const ChainPlanner = require('../../../src/core/chaining/chain-planner');
+const { CommandChaining } = require('../../../src/core/chaining');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const pricing = {
+  anthropic: { input: 0.00001, output: 0.00002 }
+};
+
+describe('ChainPlanner', () => {
+  let parser;
+  let planner;
+
+  beforeEach(() => {
+    parser = new ChainParser();
+    planner = new ChainPlanner({ pricing, persistHistory: false });
+  });
+
+  afterEach(() => {
+    planner.shutdown();
+  });
+
+  it('should resolve departments and specialists for each command', async () => {
+    const plan = await planner.plan(parser.parse('/bumba:prd checkout >> /bumba:api orders'));
+
+    expect(plan.steps.map(s => s.command)).toEqual(['/bumba:prd', '/bumba:api']);
+    expect(plan.steps[0].departments).toEqual(['product']);
+    expect(plan.steps[1].departments).toEqual(['backend']);
+    expect(plan.steps[1].specialists).toContain('api-designer');
+    expect(plan.departments).toEqual(['product', 'backend']);
+  });
+
+  it('should price tokens with the configured pricing', async () => {
+    const plan = await planner.plan(parser.parse('/bumba:api orders'));
+    const [step] = plan.steps;
+
+    const perSpecialist = Math.ceil('/bumba:api orders'.length / 4);
+    const expected = step.specialists.length * (perSpecialist * 0.00001 + 2000 * 0.00002);
+
+    expect(step.tokens).toBe(step.specialists.length * (perSpecialist + 2000));
+    expect(plan.totals.cost).toBeCloseTo(expected, 4);
+  });
+
+  it('should sum sequential time and take the max of parallel time', async () => {
+    const sequential = await planner.plan(parser.parse('/bumba:api a >> /bumba:api b'));
+    const parallel = await planner.plan(parser.parse('/bumba:api a || /bumba:api b'));
+
+    expect(sequential.totals.tokens).toBe(parallel.totals.tokens);
+    expect(sequential.totals.duration).toBe(parallel.totals.duration * 2);
+  });
+
+  it('should include retries and catch handlers in the worst case only', async () => {
+    const plain = await planner.plan(parser.parse('/bumba:api a'));
+    const guarded = await planner.plan(parser.parse('/bumba:api a retry(2) catch /bumba:api rollback'));
+
+    expect(guarded.totals.cost).toBeCloseTo(plain.totals.cost, 6);
+    expect(guarded.totals.maxTokens).toBeGreaterThan(plain.totals.tokens * 3);
+  });
+
+  it('should use recorded history for duration estimates', async () => {
+    const node = parser.parse('/bumba:api orders').root;
+
+    for (let i = 0; i < 6; i++) {
+      await planner.recordExecution(node, 1234, true);
+    }
+
+    const plan = await planner.plan(parser.parse('/bumba:api orders'));
+
+    expect(plan.steps[0].basis).toBe('statistical');
+    expect(plan.steps[0].duration).toBe(1234);
+  });
+
+  describe('CommandChaining integration', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = { execute: jest.fn(async ({ command }) => ({ command })) };
+    });
+
+    it('should return a plan without executing on dry run', async () => {
+      const chaining = new CommandChaining(handler, {
+        journal: false,
+        planner: { pricing, persistHistory: false }
+      });
+
+      const result = await chaining.execute('/bumba:api a >> /bumba:ui b', { dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.plan.totals.commands).toBe(2);
+      expect(result.summary).toContain('Estimated cost');
+      expect(handler.execute).not.toHaveBeenCalled();
+      chaining.getPlanner().shutdown();
+    });
+
+    it('should require approval for chains above the cost limit', async () => {
+      const chaining = new CommandChaining(handler, {
+        journal: false,
+        learnDurations: false,
+        maxCost: 0.0001,
+        planner: { pricing, persistHistory: false }
+      });
+
+      await expect(chaining.execute('/bumba:api a')).rejects.toThrow('exceeds the $0.0001 limit');
+      expect(handler.execute).not.toHaveBeenCalled();
+
+      await chaining.execute('/bumba:api a', { approved: true });
+      expect(handler.execute).toHaveBeenCalledTimes(1);
+      chaining.getPlanner().shutdown();
+    });
+
+    it('should learn durations only when asked, into the BUMBA home directory', async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-durations-'));
+      const home = path.join(root, 'home');
+      const project = path.join(root, 'project');
+      fs.mkdirSync(project);
+      const cwd = jest.spyOn(process, 'cwd').mockReturnValue(project);
+      const previousHome = process.env.BUMBA_HOME;
+      process.env.BUMBA_HOME = home;
+
+      try {
+        const quiet = new CommandChaining(handler, { journal: false });
+        await quiet.execute('/bumba:api a >> /bumba:api b');
+        expect(quiet.options.learnDurations).toBe(false);
+        expect(quiet.planner).toBeNull();
+
+        const learning = new CommandChaining(handler, { journal: false, learnDurations: true, planner: { pricing } });
+        await learning.execute('/bumba:api a >> /bumba:api b');
+        learning.getPlanner().saveHistory();
+        learning.getPlanner().shutdown();
+
+        expect(fs.existsSync(path.join(home, 'chain-performance.json'))).toBe(true);
+        expect(fs.readdirSync(project)).toEqual([]);
+      } finally {
+        cwd.mockRestore();
+        if (previousHome === undefined) {
+          delete process.env.BUMBA_HOME;
+        } else {
+          process.env.BUMBA_HOME = previousHome;
+        }
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
+});
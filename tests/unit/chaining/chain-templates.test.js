@@ -0,0 +1,189 @@
+/**
+ * BUMBA Chain Templates Tests
+ * User-defined templates with typed parameter schemas
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChainTemplates } = require('../../../src/core/chaining/templates/chain-templates');
+const TemplateExecutor = require('../../../src/core/chaining/template-executor');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const RELEASE = `
+name: Release
+description: Tag and ship a release
+parameters:
+  version:
+    type: string
+    required: true
+    pattern: ^\\d+\\.\\d+\\.\\d+$
+  environment:
+    enum: [staging, production]
+    default: staging
+  replicas: integer
+chain: /bumba:build >> /bumba:deploy \${environment} \${version} \${replicas}
+`;
+
+describe('Chain templates', () => {
+  let root;
+  let projectDir;
+  let userDir;
+
+  const createTemplates = () => new ChainTemplates({ projectDir, userDir });
+
+  const createExecutor = (templates) => {
+    const executor = new TemplateExecutor(null);
+    executor.templates = templates;
+    return executor;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-templates-'));
+    projectDir = path.join(root, 'project');
+    userDir = path.join(root, 'home');
+    fs.mkdirSync(projectDir);
+    fs.mkdirSync(userDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should discover YAML and JSON templates next to the built-ins', () => {
+    fs.writeFileSync(path.join(projectDir, 'release.yaml'), RELEASE);
+    fs.writeFileSync(path.join(userDir, 'nightly.json'), JSON.stringify({
+      description: 'Nightly checks',
+      chain: '/bumba:test || /bumba:secure'
+    }));
+
+    const templates = createTemplates();
+
+    expect(templates.get('hotfix').source).toBe('builtin');
+    expect(templates.get('release').parameters.environment).toEqual({
+      type: 'string',
+      description: '',
+      required: false,
+      enum: ['staging', 'production'],
+      default: 'staging'
+    });
+    expect(templates.get('nightly').source).toBe(path.join(userDir, 'nightly.json'));
+  });
+
+  it('should read user templates from the BUMBA home directory', () => {
+    const previousHome = process.env.BUMBA_HOME;
+    process.env.BUMBA_HOME = userDir;
+    fs.mkdirSync(path.join(userDir, 'chains'));
+    fs.writeFileSync(path.join(userDir, 'chains', 'nightly.yaml'), 'chain: /bumba:test');
+
+    try {
+      expect(new ChainTemplates({ projectDir }).get('nightly').source).toBe(path.join(userDir, 'chains', 'nightly.yaml'));
+    } finally {
+      if (previousHome === undefined) {
+        delete process.env.BUMBA_HOME;
+      } else {
+        process.env.BUMBA_HOME = previousHome;
+      }
+    }
+  });
+
+  it('should let project templates override user and built-in templates', () => {
+    fs.writeFileSync(path.join(userDir, 'hotfix.yaml'), 'chain: /bumba:fix');
+    fs.writeFileSync(path.join(projectDir, 'hotfix.yaml'), 'chain: /bumba:fix >> /bumba:test');
+
+    expect(createTemplates().get('hotfix').chain).toBe('/bumba:fix >> /bumba:test');
+  });
+
+  it('should skip invalid template files and report them', () => {
+    fs.writeFileSync(path.join(projectDir, 'broken.yaml'), 'parameters:\n  count: float\nchain: /bumba:test');
+    fs.writeFileSync(path.join(projectDir, 'empty.json'), '{}');
+
+    const templates = createTemplates();
+
+    expect(templates.get('broken')).toBeUndefined();
+    expect(templates.loadErrors.map(e => e.error)).toEqual([
+      "broken: parameter 'count' has unknown type 'float' (expected string, number, integer, boolean, list)",
+      'empty: template must have a chain string'
+    ]);
+  });
+
+  it('should validate and coerce parameters before execution', () => {
+    fs.writeFileSync(path.join(projectDir, 'release.yaml'), RELEASE);
+    const executor = createExecutor(createTemplates());
+
+    const { chain, context } = executor.prepareTemplate('release', { version: '1.2.0', replicas: '3' });
+
+    expect(chain).toBe('/bumba:build >> /bumba:deploy staging 1.2.0 3');
+    expect(context.variables).toEqual({ version: '1.2.0', environment: 'staging', replicas: 3 });
+  });
+
+  it('should reject missing, mistyped and unknown parameters', () => {
+    fs.writeFileSync(path.join(projectDir, 'release.yaml'), RELEASE);
+    const executor = createExecutor(createTemplates());
+
+    let error;
+    try {
+      executor.prepareTemplate('release', { environment: 'qa', replicas: 'two', region: 'eu' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.errors).toEqual([
+      "unknown parameter 'region'",
+      "missing required parameter 'version'",
+      'parameter \'environment\' must be one of: staging, production (got "qa")',
+      'parameter \'replicas\' expects integer, got "two"'
+    ]);
+  });
+
+  it('should substitute values as plain arguments whatever chain syntax they contain', () => {
+    fs.writeFileSync(path.join(projectDir, 'release.yaml'), RELEASE.replace(/\n\s+pattern: .*/, ''));
+    const executor = createExecutor(createTemplates());
+    const commands = version => {
+      const { chain } = executor.prepareTemplate('release', { version });
+      return executor.parser.collectCommands(executor.parser.parse(chain)).map(node => [node.name, ...node.args]);
+    };
+
+    const injections = [
+      '1.0.0 >> /bumba:wipe',
+      '1.0.0 || /bumba:wipe',
+      '1.0.0 |> /bumba:wipe',
+      '1.0.0 | /bumba:wipe',
+      '1.0.0 && /bumba:wipe',
+      '1.0.0 & /bumba:wipe',
+      '1.0.0 catch /bumba:wipe',
+      '1.0.0 ? /bumba:wipe : /bumba:wipe',
+      '1.0.0 : /bumba:wipe',
+      '(/bumba:wipe)',
+      '1.0.0" >> /bumba:wipe "',
+      "1.0.0' >> /bumba:wipe '",
+      '1.0.0 as wiped retry(3)',
+      '$environment'
+    ];
+    for (const version of injections) {
+      expect(commands(version)).toEqual([['/bumba:build'], ['/bumba:deploy', 'staging', version]]);
+    }
+
+    expect(commands('https://releases.example.com/app?tag=1.0.0&channel=stable'))
+      .toEqual([['/bumba:build'], ['/bumba:deploy', 'staging', 'https://releases.example.com/app?tag=1.0.0&channel=stable']]);
+  });
+
+  it('should scaffold a new template that loads cleanly', () => {
+    const templates = createTemplates();
+
+    const file = templates.loader.scaffold('release');
+    templates.reload();
+
+    expect(file).toBe(path.join(projectDir, 'release.yaml'));
+    expect(templates.get('release').parameters.version.required).toBe(true);
+    expect(() => templates.loader.scaffold('release')).toThrow('already exists');
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * BUMBA Agent RPC Tests
+ * Typed agent-to-agent calls with deadlines, cancellation and streamed
+ * results over in-process, Unix socket and WebSocket transports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { AgentRpc, RpcError } = require('../../../src/core/communication/agent-rpc');
+const {
+  InProcessTransport,
+  UnixSocketTransport,
+  WebSocketTransport
+} = require('../../../src/core/communication/rpc-transports');
+const { WebSocketManager } = require('../../../src/core/collaboration/websocket-manager');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const aborted = signal => new Promise(resolve => signal.addEventListener('abort', () => resolve(signal.reason), { once: true }));
+
+const REVIEWER_METHODS = {
+  'review.score': {
+    params: { required: ['file'], properties: { file: { type: 'string' } } },
+    result: { required: ['score'], properties: { score: { type: 'number' } } },
+    handler: ({ file }) => ({ score: file.length })
+  },
+  'review.findings': {
+    stream: true,
+    params: { required: ['files'], properties: { files: { type: 'array' } } },
+    item: { required: ['file', 'severity'], properties: { severity: { type: 'string', enum: ['info', 'warning', 'error'] } } },
+    handler: async function* ({ files }) {
+      for (const file of files) {
+        yield { file, severity: file.endsWith('.sql') ? 'error' : 'info' };
+      }
+      return { reviewed: files.length };
+    }
+  }
+};
+
+describe('AgentRpc', () => {
+  let transport;
+  let endpoints;
+
+  const endpoint = (agentId, methods = {}, options = {}) => {
+    const rpc = new AgentRpc(agentId, { transport, ...options }).define(methods);
+    endpoints.push(rpc);
+    return rpc;
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    transport = new InProcessTransport();
+    endpoints = [];
+  });
+
+  afterEach(() => {
+    for (const rpc of endpoints) {
+      rpc.close();
+    }
+  });
+
+  it('should call typed methods and check params and results', async () => {
+    const manager = endpoint('backend-manager');
+    endpoint('code-reviewer', {
+      ...REVIEWER_METHODS,
+      'review.broken': { result: { required: ['score'] }, handler: () => ({ verdict: 'ok' }) }
+    });
+
+    expect(await manager.call('code-reviewer', 'review.score', { file: 'api.js' })).toEqual({ score: 6 });
+
+    await expect(manager.call('code-reviewer', 'review.score', { file: 42 })).rejects.toMatchObject({
+      code: 'INVALID_PARAMS',
+      message: 'review.score params invalid: file must be string, got number'
+    });
+    await expect(manager.call('code-reviewer', 'review.broken')).rejects.toMatchObject({ code: 'INVALID_RESULT' });
+    await expect(manager.call('code-reviewer', 'review.approve')).rejects.toMatchObject({ code: 'METHOD_NOT_FOUND' });
+    await expect(manager.call('nobody', 'review.score', { file: 'a' })).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+
+    const methods = await manager.call('code-reviewer', 'rpc.describe');
+    expect(methods.find(method => method.name === 'review.findings')).toMatchObject({ stream: true, item: { required: ['file', 'severity'] } });
+  });
+
+  it('should stream partial results as the callee produces them', async () => {
+    const manager = endpoint('backend-manager');
+    const reviewer = endpoint('code-reviewer', REVIEWER_METHODS);
+
+    const stream = manager.stream('code-reviewer', 'review.findings', { files: ['api.js', 'schema.sql'] });
+    const findings = [];
+    for await (const finding of stream) {
+      findings.push(finding);
+    }
+
+    expect(findings).toEqual([{ file: 'api.js', severity: 'info' }, { file: 'schema.sql', severity: 'error' }]);
+    expect(await stream.result).toEqual({ reviewed: 2 });
+    expect(reviewer.getStats()).toMatchObject({ callsServed: 1, itemsStreamed: 2, serving: 0 });
+
+    // Items are checked against the method's item schema too
+    reviewer.define({
+      'review.sloppy': {
+        stream: true,
+        item: { properties: { severity: { type: 'string', enum: ['info'] } } },
+        handler: async (params, context) => {
+          await context.emit({ severity: 'info' });
+          await context.emit({ severity: 'catastrophic' });
+        }
+      }
+    });
+    const sloppy = manager.stream('code-reviewer', 'review.sloppy');
+    await expect(sloppy.next()).resolves.toEqual({ value: { severity: 'info' }, done: false });
+    await expect(sloppy.next()).rejects.toMatchObject({ code: 'INVALID_RESULT' });
+    await expect(manager.call('code-reviewer', 'review.findings', { files: [] })).rejects.toThrow('is a streaming method');
+  });
+
+  it('should enforce deadlines on both sides', async () => {
+    const manager = endpoint('backend-manager');
+    let handlerSignal;
+    endpoint('code-reviewer', {
+      'review.slow': {
+        handler: (params, context) => {
+          handlerSignal = context.signal;
+          return aborted(context.signal).then(() => 'too late');
+        }
+      }
+    });
+
+    const error = await manager.call('code-reviewer', 'review.slow', {}, { timeout: 50 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RpcError);
+    expect(error.code).toBe('DEADLINE_EXCEEDED');
+    await delay(20);
+    expect(handlerSignal.aborted).toBe(true);
+    expect(manager.getStats()).toMatchObject({ deadlinesExceeded: 1, openCalls: 0 });
+
+    // Calls that cannot start are refused without reaching the callee
+    const late = manager.stream('code-reviewer', 'review.findings', {}, { deadline: Date.now() - 1 });
+    await expect(late.next()).rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+    await expect(manager.call('code-reviewer', 'review.slow', {}, { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ code: 'CANCELLED' });
+    expect(manager.getStats()).toMatchObject({ callsSent: 1, deadlinesExceeded: 2, cancelled: 1 });
+  });
+
+  it('should propagate cancellation and deadlines to nested calls', async () => {
+    const manager = endpoint('product-manager');
+    const seen = {};
+
+    endpoint('backend-manager', {
+      'plan.review': {
+        stream: true,
+        handler: async function* (params, context) {
+          seen.deadline = context.deadline;
+          for await (const finding of context.stream('code-reviewer', 'review.all')) {
+            yield finding;
+          }
+        }
+      }
+    });
+    endpoint('code-reviewer', {
+      'review.all': {
+        stream: true,
+        handler: async (params, context) => {
+          seen.nestedDeadline = context.deadline;
+          await context.emit({ file: 'api.js' });
+          seen.reason = await aborted(context.signal);
+        }
+      }
+    });
+
+    const controller = new AbortController();
+    const stream = manager.stream('backend-manager', 'plan.review', {}, { timeout: 5000, signal: controller.signal });
+
+    expect(await stream.next()).toEqual({ value: { file: 'api.js' }, done: false });
+    controller.abort();
+
+    await expect(stream.result).rejects.toMatchObject({ code: 'CANCELLED' });
+    await delay(20);
+    expect(seen.reason).toMatchObject({ code: 'CANCELLED' });
+    expect(seen.nestedDeadline).toBe(seen.deadline);
+    expect(endpoints.map(rpc => rpc.getStats().serving)).toEqual([0, 0, 0]);
+  });
+
+  it('should cancel a stream the caller stops reading', async () => {
+    const manager = endpoint('backend-manager');
+    let stopped;
+    endpoint('code-reviewer', {
+      'review.forever': {
+        stream: true,
+        handler: async function* (params, context) {
+          try {
+            for (let i = 0; ; i++) {
+              yield { i };
+              await delay(5);
+            }
+          } finally {
+            stopped = context.signal.aborted;
+          }
+        }
+      }
+    });
+
+    for await (const item of manager.stream('code-reviewer', 'review.forever')) {
+      if (item.i === 2) {
+        break;
+      }
+    }
+    await delay(30);
+    expect(stopped).toBe(true);
+  });
+
+  it('should connect processes through a Unix socket hub', async () => {
+    const socketPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-rpc-')), 'rpc.sock');
+    const hub = new UnixSocketTransport({ path: socketPath, listen: true });
+    const workerA = new UnixSocketTransport({ path: socketPath });
+    const workerB = new UnixSocketTransport({ path: socketPath });
+    await hub.start();
+    await workerA.start();
+    await workerB.start();
+
+    try {
+      const manager = new AgentRpc('backend-manager', { transport: hub });
+      const reviewer = new AgentRpc('code-reviewer', { transport: workerA }).define(REVIEWER_METHODS);
+      const tester = new AgentRpc('test-engineer', { transport: workerB }).define({
+        'tests.hang': { handler: (params, context) => aborted(context.signal) }
+      });
+      await delay(30);
+
+      expect(await manager.call('code-reviewer', 'review.score', { file: 'api.js' })).toEqual({ score: 6 });
+
+      // Worker to worker, relayed by the hub
+      const findings = [];
+      const stream = tester.stream('code-reviewer', 'review.findings', { files: ['a.sql'] });
+      for await (const finding of stream) {
+        findings.push(finding);
+      }
+      expect(findings).toEqual([{ file: 'a.sql', severity: 'error' }]);
+
+      // A process going away fails the calls waiting on it
+      const hanging = manager.call('test-engineer', 'tests.hang');
+      await delay(30);
+      await workerB.close();
+      await expect(hanging).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+
+      reviewer.close();
+      await delay(30);
+      await expect(manager.call('code-reviewer', 'review.score', { file: 'a' })).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+      manager.close();
+    } finally {
+      await workerA.close();
+      await workerB.close();
+      await hub.close();
+      fs.rmSync(path.dirname(socketPath), { recursive: true, force: true });
+    }
+  });
+
+  it('should serve calls over the collaboration WebSocketManager', async () => {
+    const manager = new WebSocketManager();
+    await manager.initialize({ port: 0, heartbeatInterval: 60000 });
+    const server = new WebSocketTransport({ manager });
+    await server.start();
+    const client = new WebSocketTransport({ url: `ws://127.0.0.1:${manager.httpServer.address().port}/bumba-collaboration` });
+    await client.start();
+
+    try {
+      const reviewer = new AgentRpc('code-reviewer', { transport: server }).define(REVIEWER_METHODS);
+      const remote = new AgentRpc('design-manager', { transport: client });
+      await delay(30);
+
+      expect(await remote.call('code-reviewer', 'review.score', { file: 'ui.jsx' })).toEqual({ score: 6 });
+      const stream = remote.stream('code-reviewer', 'review.findings', { files: ['ui.jsx', 'db.sql'] });
+      const findings = [];
+      for await (const finding of stream) {
+        findings.push(finding.severity);
+      }
+      expect(findings).toEqual(['info', 'error']);
+      expect(await stream.result).toEqual({ reviewed: 2 });
+
+      remote.close();
+      reviewer.close();
+    } finally {
+      await client.close();
+      await server.close();
+      await manager.shutdown();
+    }
+  });
+});
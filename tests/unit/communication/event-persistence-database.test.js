@@ -0,0 +1,171 @@
+/**
+ * BUMBA Event Persistence Database Backend Tests
+ * SQLite event store with indexed replays, snapshots, retention and compaction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EventPersistenceManager,
+  StorageBackend,
+  OrderingStrategy,
+  RetentionPolicy,
+  DatabaseEventStore
+} = require('../../../src/core/communication/event-persistence');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('EventPersistenceManager database backend', () => {
+  let root;
+  let managers;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-events-'));
+    managers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(managers.map(manager => manager.shutdown()));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  // The constructor starts loading stored topics without waiting for it
+  const openManager = async (config = {}) => {
+    const manager = new EventPersistenceManager({
+      storageBackend: StorageBackend.DATABASE,
+      baseDirectory: root,
+      orderingStrategy: OrderingStrategy.VECTOR_CLOCK,
+      ...config
+    });
+    managers.push(manager);
+    await new Promise(resolve => setImmediate(resolve));
+    return manager;
+  };
+
+  const store = (manager, topic, event) => manager.storeEvent(topic, event, { immediate: true });
+
+  it('should store events with ordering columns and replay them by type, correlation and time range', async () => {
+    const manager = await openManager();
+    await store(manager, 'agents', { id: 'e1', type: 'task.started', correlationId: 'c1', timestamp: 1 });
+    await store(manager, 'agents', { id: 'e2', type: 'task.progress', metadata: { correlationId: 'c1' } });
+    await store(manager, 'agents', { id: 'e3', type: 'task.started', correlationId: 'c2' });
+    await store(manager, 'agents', { id: 'e4', type: 'task.finished', correlationId: 'c1' });
+
+    expect(fs.existsSync(path.join(root, 'events.db'))).toBe(true);
+
+    const started = await manager.replayEvents('agents', { filters: { type: 'task.started' } });
+    expect(started.events.map(event => event.id)).toEqual(['e1', 'e3']);
+    expect(started).toMatchObject({ totalCount: 2, fromSequence: 1, toSequence: 3 });
+
+    const correlated = await manager.replayEvents('agents', {
+      filters: { correlationId: 'c1', type: ['task.progress', 'task.finished'] },
+      ordering: 'descending'
+    });
+    expect(correlated.events.map(event => event.id)).toEqual(['e4', 'e2']);
+
+    const window = await manager.replayEvents('agents', { fromSequence: 2, toSequence: 3, limit: 1 });
+    expect(window.events.map(event => event.id)).toEqual(['e2']);
+
+    const later = await manager.replayEvents('agents', { fromTimestamp: Date.now() + 60000 });
+    expect(later.events).toEqual([]);
+
+    const event = await manager.getEventById('agents', 'e4');
+    expect(event.ordering).toMatchObject({ strategy: OrderingStrategy.VECTOR_CLOCK, sequence: 4, vectorClock: { agents: 4 } });
+    expect(event.persistence.storageBackend).toBe(StorageBackend.DATABASE);
+    expect(await manager.getEventById('agents', 'missing')).toBeNull();
+  });
+
+  it('should resume topics, sequences and vector clocks after a restart', async () => {
+    const first = await openManager();
+    await store(first, 'agents', { id: 'a1', type: 'spawned' });
+    await store(first, 'agents', { id: 'a2', type: 'spawned' });
+    await store(first, 'handoffs', { id: 'h1', type: 'handoff' });
+    await first.shutdown();
+    managers = [];
+
+    const restarted = await openManager();
+    expect(Array.from(restarted.eventStores.keys())).toEqual(['agents', 'handoffs']);
+    expect(restarted.eventStores.get('agents')).toBeInstanceOf(DatabaseEventStore);
+
+    const next = await store(restarted, 'agents', { id: 'a3', type: 'retired' });
+    expect(next.sequence).toBe(3);
+    expect((await restarted.getEventById('agents', 'a3')).ordering.vectorClock).toEqual({ agents: 3, handoffs: 1 });
+
+    const stats = await restarted.getStorageStats();
+    expect(stats.topics.agents).toMatchObject({ eventCount: 3, fileCount: 1 });
+    expect(stats.globalStats.totalEvents).toBe(4);
+  });
+
+  it('should flush batched events in one transaction', async () => {
+    const manager = await openManager({ batchSize: 3 });
+    await manager.storeEvent('metrics', { id: 'm1', type: 'tick' });
+    await manager.storeEvent('metrics', { id: 'm2', type: 'tick' });
+
+    expect((await manager.replayEvents('metrics')).events).toHaveLength(0);
+
+    await manager.storeEvent('metrics', { id: 'm3', type: 'tick' });
+    expect((await manager.replayEvents('metrics')).events.map(event => event.id)).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  it('should record snapshots with type counts and the vector clock reached', async () => {
+    const manager = await openManager();
+    for (const type of ['build', 'build', 'test', 'deploy']) {
+      await store(manager, 'pipeline', { type });
+    }
+
+    const snapshot = await manager.createSnapshot('pipeline', 3);
+    expect(snapshot).toMatchObject({
+      topic: 'pipeline',
+      sequenceNumber: 3,
+      eventCount: 3,
+      typeCounts: { build: 2, test: 1 },
+      vectorClock: { pipeline: 3 }
+    });
+
+    await manager.createSnapshot('pipeline');
+    const latest = await manager.eventStores.get('pipeline').getLatestSnapshot();
+    expect(latest).toMatchObject({ sequenceNumber: 4, eventCount: 4, typeCounts: { build: 2, test: 1, deploy: 1 } });
+  });
+
+  it('should apply count, size, time and importance retention policies and compact', async () => {
+    const manager = await openManager({
+      retentionPolicies: {
+        default: { type: RetentionPolicy.TIME_BASED, maxAge: 60000 },
+        counted: { type: RetentionPolicy.COUNT_BASED, maxCount: 2 },
+        sized: { type: RetentionPolicy.SIZE_BASED, maxSize: 1 },
+        important: { type: RetentionPolicy.IMPORTANCE_BASED, minImportance: 5 }
+      }
+    });
+
+    for (let i = 1; i <= 5; i++) {
+      await store(manager, 'counted', { id: `c${i}`, payload: 'x'.repeat(5000) });
+    }
+    await store(manager, 'sized', { id: 's1' });
+    await store(manager, 'important', { id: 'i1', importance: 9 });
+    await store(manager, 'important', { id: 'i2', metadata: { importance: 1 } });
+    await store(manager, 'important', { id: 'i3' });
+    await store(manager, 'recent', { id: 'r1' });
+
+    const results = await manager.applyRetentionPolicies();
+
+    expect(results).toMatchObject({ totalTopics: 4, topicsProcessed: 4, eventsRemoved: 6, errors: [] });
+    expect(results.spaceSaved).toBeGreaterThan(15000);
+    expect((await manager.replayEvents('counted')).events.map(event => event.id)).toEqual(['c4', 'c5']);
+    expect((await manager.replayEvents('sized')).events).toEqual([]);
+    expect((await manager.replayEvents('important')).events.map(event => event.id)).toEqual(['i1']);
+    expect((await manager.replayEvents('recent')).events.map(event => event.id)).toEqual(['r1']);
+
+    const compacted = await manager.compactStorage();
+    expect(compacted).toMatchObject({ topicsCompacted: 4, errors: [] });
+    expect(compacted.spaceSaved).toBeGreaterThan(0);
+  });
+});
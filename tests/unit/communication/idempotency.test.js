@@ -0,0 +1,244 @@
+/**
+ * BUMBA Idempotency Tests
+ * Idempotency keys, the queue's deduplication window and consumer-side
+ * processed ledgers keeping redelivered work from running twice
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { IdempotencyStore, ProcessedLedger } = require('../../../src/core/communication/idempotency');
+const { MessageQueue } = require('../../../src/core/communication/message-queue');
+const { CommunicationReliabilityManager } = require('../../../src/core/communication/reliability-manager');
+const { EnhancedAgentCommunication } = require('../../../src/core/communication/enhanced-agent-communication');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// These start monitoring intervals they never clear; creating them under
+// fake timers keeps those from outliving the test
+const withFakeIntervals = create => {
+  jest.useFakeTimers();
+  try {
+    return create();
+  } finally {
+    jest.useRealTimers();
+  }
+};
+
+describe('Idempotency', () => {
+  let root;
+  let queues;
+
+  const persistence = () => ({ backend: 'file', dir: root });
+
+  const openQueue = (config = {}) => {
+    const queue = new MessageQueue('handoffs', {
+      enablePersistence: true,
+      persistence: persistence(),
+      ...config
+    });
+    queues.push(queue);
+    return queue;
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-idempotency-'));
+    queues = [];
+  });
+
+  afterEach(async () => {
+    for (const queue of queues) {
+      await queue.shutdown();
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should expire keys and keep them across a restart', async () => {
+    const store = new IdempotencyStore('reviews', { ttl: 30, persistence: persistence() });
+    store.set('review-1', { messageId: 'msg-1' });
+
+    const reopened = new IdempotencyStore('reviews', { ttl: 30, persistence: persistence() });
+    expect(reopened.get('review-1')).toMatchObject({ key: 'review-1', messageId: 'msg-1' });
+
+    await delay(40);
+    expect(reopened.has('review-1')).toBe(false);
+    expect(new IdempotencyStore('reviews', { persistence: persistence() }).size).toBe(0);
+  });
+
+  it('should suppress repeated enqueues within the deduplication window', async () => {
+    const queue = openQueue();
+    const first = await queue.enqueue({ task: 'review' }, { idempotencyKey: 'review-api' });
+
+    expect(await queue.enqueue({ task: 'review' }, { idempotencyKey: 'review-api' })).toBe(first);
+    expect(queue.getTotalSize()).toBe(1);
+    expect(queue.stats.duplicatesSuppressed).toBe(1);
+
+    // The window is stored with the queue, so a restart still recognises the key
+    await queue.shutdown();
+    const restarted = openQueue();
+    expect(await restarted.enqueue({ task: 'review' }, { idempotencyKey: 'review-api' })).toBe(first);
+    expect(restarted.getTotalSize()).toBe(1);
+
+    // A rolled-back batch releases its keys but leaves earlier messages alone
+    await expect(restarted.enqueueBatch([
+      { payload: { task: 'review' }, options: { idempotencyKey: 'review-api' } },
+      { payload: { task: 'lint' }, options: { idempotencyKey: 'lint-api' } },
+      { payload: { task: 'bad' }, priority: 99 }
+    ])).rejects.toThrow('rolled back');
+    expect(restarted.getTotalSize()).toBe(1);
+    expect(restarted.findDuplicate('review-api')).toBe(first);
+    expect(restarted.findDuplicate('lint-api')).toBeNull();
+  });
+
+  it('should ack a redelivered task without running it again', async () => {
+    const queue = openQueue({ processingTimeout: 40, retryDelay: 10 });
+    const ledger = new ProcessedLedger('database-specialist', { persistence: persistence() });
+    await queue.enqueue({ task: 'migrate' }, { idempotencyKey: 'migrate-users' });
+
+    let runs = 0;
+    let finish;
+    const handler = () => {
+      runs++;
+      return new Promise(resolve => {
+        finish = resolve;
+      });
+    };
+
+    // The specialist times out right as it finishes: the task is redelivered
+    // while the first run is still going
+    const firstRun = queue.processNext(handler, ledger);
+    await delay(80);
+    expect(queue.getQueueStats().totalSize).toBe(1);
+    const redelivery = queue.processNext(handler, ledger);
+    finish({ migrated: 120 });
+
+    expect(await firstRun).toMatchObject({ result: { migrated: 120 }, duplicate: false });
+    expect(await redelivery).toMatchObject({ result: { migrated: 120 }, duplicate: true });
+    expect(runs).toBe(1);
+    expect(queue.stats.redeliveriesAcked).toBe(1);
+    expect(queue.messages.size).toBe(0);
+
+    // The ledger outlives the consumer, and covers tasks arriving by another queue
+    const restarted = new ProcessedLedger('database-specialist', { persistence: persistence() });
+    expect(restarted.isProcessed('migrate-users')).toBe(true);
+    const replay = new MessageQueue('replays');
+    queues.push(replay);
+    await replay.enqueue({ task: 'migrate' }, { idempotencyKey: 'migrate-users' });
+    expect(await replay.processNext(handler, restarted)).toMatchObject({ result: { migrated: 120 }, duplicate: true });
+    expect(runs).toBe(1);
+  });
+
+  it('should let a late ack cancel the pending retry', async () => {
+    const queue = openQueue({ processingTimeout: 30, retryDelay: 500 });
+    const id = await queue.enqueue({ task: 'lint' });
+    await queue.dequeue();
+    await delay(50);
+
+    expect(queue.retryTimers.has(id)).toBe(true);
+    expect(await queue.ackMessage(id, { clean: true })).toBe(true);
+    expect(queue.retryTimers.size).toBe(0);
+    expect(queue.stats).toMatchObject({ lateAcks: 1, totalProcessed: 1 });
+
+    // Also once the retry has already put it back on the queue
+    const fast = openQueue({ processingTimeout: 30, retryDelay: 5 });
+    const requeuedId = await fast.enqueue({ task: 'format' });
+    await fast.dequeue();
+    await delay(60);
+    expect(fast.getTotalSize()).toBe(1);
+    expect(await fast.ackMessage(requeuedId)).toBe(true);
+    expect(fast.getTotalSize()).toBe(0);
+    expect(await fast.dequeue()).toBeNull();
+  });
+
+  it('should not re-run a keyed request that timed out', async () => {
+    const manager = withFakeIntervals(() => {
+      const created = new CommunicationReliabilityManager({
+        failover: { maxRetries: 2, retryDelay: 5, enableAutoRecovery: false }
+      });
+      created.registerService('deploy-specialist');
+      return created;
+    });
+
+    const contexts = [];
+    let finish;
+    const deploy = (connection, context) => {
+      contexts.push(context);
+      return new Promise(resolve => {
+        finish = resolve;
+      });
+    };
+
+    const request = manager.executeRequest('deploy-specialist', deploy, {
+      timeout: 100,
+      idempotencyKey: 'deploy-7',
+      enableFailover: false
+    });
+    await delay(150);
+    finish({ deployed: 'v7' });
+
+    expect(await request).toEqual({ deployed: 'v7' });
+    expect(contexts).toEqual([{ idempotencyKey: 'deploy-7', attempt: 0, serviceId: 'deploy-specialist' }]);
+
+    expect(await manager.executeRequest('deploy-specialist', deploy, { idempotencyKey: 'deploy-7' })).toEqual({ deployed: 'v7' });
+    expect(contexts).toHaveLength(1);
+    expect(manager.globalMetrics).toMatchObject({ duplicateRequests: 1, reusedExecutions: 1 });
+
+    // A keyed request that fails outright is retried for real
+    let attempts = 0;
+    const flaky = () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new Error('connection reset');
+      }
+      return 'ok';
+    };
+    expect(await manager.executeRequest('deploy-specialist', flaky, { idempotencyKey: 'deploy-8', enableFailover: false })).toBe('ok');
+    expect(attempts).toBe(2);
+    await manager.shutdown();
+  });
+
+  it('should fill in the idempotency defaults a partial config leaves out', async () => {
+    const create = idempotency => withFakeIntervals(() => new CommunicationReliabilityManager({ idempotency }));
+
+    const shortLived = create({ ttl: 1000 });
+    expect(shortLived.config.idempotency).toEqual({ ttl: 1000, persistence: null });
+    await shortLived.shutdown();
+
+    const persisted = create({ persistence: persistence() });
+    expect(persisted.config.idempotency).toEqual({ ttl: 600000, persistence: persistence() });
+    expect(persisted.processedRequests.store.ttl).toBe(600000);
+    await persisted.shutdown();
+  });
+
+  it('should deliver each agent message once', async () => {
+    const comms = withFakeIntervals(() => new EnhancedAgentCommunication());
+
+    // The priority processor runs while the first delivery is still in progress
+    const sending = comms.sendMessage('backend-manager', 'db-specialist', { task: 'index' }, { idempotencyKey: 'index-orders' });
+    comms.processPriorityQueues();
+    const sent = await sending;
+    await delay(10);
+    expect(comms.messageQueue.get('db-specialist')).toHaveLength(1);
+
+    const resent = await comms.sendMessage('backend-manager', 'db-specialist', { task: 'index' }, { idempotencyKey: 'index-orders' });
+    expect(resent).toMatchObject({ success: true, duplicate: true, messageId: sent.messageId });
+    expect(comms.messageQueue.get('db-specialist')).toHaveLength(1);
+
+    // A copy of a message the recipient already processed is dropped
+    const received = await comms.receiveMessage('db-specialist');
+    comms.messageQueue.get('db-specialist').push({ ...received });
+    expect(await comms.receiveMessage('db-specialist')).toBeNull();
+    expect(comms.getStatistics()).toMatchObject({ received: 1, duplicates: 2 });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * BUMBA Message Queue Persistence Tests
+ * Append-only file log and SQLite backends, restored after a restart
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageQueue, MessagePriority, MessageState } = require('../../../src/core/communication/message-queue');
+const { QueueManager, QueueType } = require('../../../src/core/communication/queue-manager');
+const { FileQueueBackend } = require('../../../src/core/communication/queue-persistence');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Message queue persistence', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-queues-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const openQueue = (config = {}) => new MessageQueue('handoffs', {
+    enablePersistence: true,
+    persistence: { backend: 'file', dir: root },
+    maxRetries: 2,
+    ...config
+  });
+
+  /**
+   * Leave one message queued, one in flight, one dead and one acked,
+   * then drop the queue without shutting it down, as a crash would
+   */
+  const crashWithMixedStates = async config => {
+    const queue = openQueue(config);
+    await queue.enqueue({ task: 'review' }, { priority: MessagePriority.HIGH });
+    await queue.enqueue({ task: 'deploy' });
+    await queue.enqueue({ task: 'notify' }, { priority: MessagePriority.LOW });
+    await queue.enqueue({ task: 'cleanup' }, { priority: MessagePriority.BACKGROUND });
+
+    const acked = await queue.dequeue();
+    await queue.ackMessage(acked.id, { ok: true });
+    const inFlight = await queue.dequeue();
+    const failed = await queue.dequeue();
+    await queue.nackMessage(failed.id, new Error('bad payload'), false);
+
+    clearInterval(queue.processingInterval);
+    return { inFlight, failed };
+  };
+
+  it('should restore queued, in-flight and dead-letter messages from the file log', async () => {
+    const { inFlight, failed } = await crashWithMixedStates();
+
+    const restarted = openQueue();
+
+    expect(restarted.getQueueStats()).toMatchObject({ totalSize: 2, deadLetterCount: 1 });
+    expect(restarted.getDeadLetterMessages().messages[0]).toMatchObject({
+      id: failed.id,
+      state: MessageState.DEAD,
+      deadLetterReason: 'bad payload'
+    });
+
+    // The unacked delivery counts as a failed attempt and is delivered again
+    const redelivered = await restarted.dequeue();
+    expect(redelivered).toMatchObject({ id: inFlight.id, payload: { task: 'deploy' }, retryCount: 1, redelivered: true });
+    expect(redelivered.attempts[0].error).toBe('Interrupted by a restart before it was acknowledged');
+
+    await restarted.ackMessage(redelivered.id);
+    await restarted.shutdown();
+
+    const again = openQueue();
+    expect((await again.dequeue()).payload).toEqual({ task: 'cleanup' });
+    expect(await again.dequeue()).toBeNull();
+    await again.shutdown();
+  });
+
+  it('should dead-letter in-flight messages that run out of retries across restarts', async () => {
+    const queue = openQueue({ maxRetries: 1 });
+    const id = await queue.enqueue({ task: 'crashes the consumer' });
+    await queue.dequeue();
+    clearInterval(queue.processingInterval);
+
+    const restarted = openQueue({ maxRetries: 1 });
+
+    expect(await restarted.dequeue()).toBeNull();
+    expect(restarted.getDeadLetterMessages().messages.map(message => message.id)).toEqual([id]);
+    await restarted.shutdown();
+  });
+
+  it('should restore payloads that reference the same object twice', async () => {
+    const queue = openQueue();
+    const reviewer = { id: 'agent-7', role: 'reviewer' };
+    const payload = { task: 'review', assignee: reviewer, notify: [reviewer] };
+    payload.self = payload;
+    await queue.enqueue(payload);
+    clearInterval(queue.processingInterval);
+
+    const restarted = openQueue();
+
+    expect((await restarted.dequeue()).payload).toEqual({
+      task: 'review',
+      assignee: { id: 'agent-7', role: 'reviewer' },
+      notify: [{ id: 'agent-7', role: 'reviewer' }]
+    });
+    await restarted.shutdown();
+  });
+
+  it('should keep retry state of nacked messages across a restart', async () => {
+    const queue = openQueue();
+    const id = await queue.enqueue({ task: 'flaky' });
+    await queue.dequeue();
+    await queue.nackMessage(id, new Error('timeout upstream'));
+    clearInterval(queue.processingInterval);
+
+    // Restarted during the retry delay: the message is queued, not in flight
+    const restarted = openQueue();
+    const retried = await restarted.dequeue();
+
+    expect(retried).toMatchObject({ id, retryCount: 1, lastError: 'timeout upstream' });
+    expect(retried.redelivered).toBeUndefined();
+    await restarted.shutdown();
+  });
+
+  it('should skip a torn final record and compact the log', async () => {
+    const queue = openQueue({ persistence: { backend: 'file', dir: root, compactThreshold: 10 } });
+    // Each round trip writes three records: queued, in flight, deleted
+    for (let i = 0; i < 4; i++) {
+      await queue.enqueue({ i });
+      await queue.ackMessage((await queue.dequeue()).id);
+    }
+    await queue.enqueue({ keep: true });
+
+    const logPath = path.join(root, 'handoffs.log');
+    expect(fs.readFileSync(logPath, 'utf8').trim().split('\n')).toHaveLength(4);
+    clearInterval(queue.processingInterval);
+
+    fs.appendFileSync(logPath, '{"op":"put","message":{"id":"to');
+    const backend = new FileQueueBackend({ dir: root });
+
+    expect(backend.load('handoffs').map(message => message.payload)).toEqual([{ keep: true }]);
+  });
+
+  it('should restore QueueManager handoffs from a shared SQLite backend', async () => {
+    const dbPath = path.join(root, 'queues.db');
+    const createManager = () => new QueueManager({
+      persistence: { backend: 'sqlite', dbPath },
+      healthMonitoring: { enabled: false }
+    });
+
+    const manager = createManager();
+    const handoffs = await manager.createQueue('handoffs', QueueType.INTER_AGENT);
+    const tasks = await manager.createQueue('tasks', QueueType.AGENT_TASKS);
+    await handoffs.enqueue({ from: 'backend-engineer', to: 'qa' });
+    await tasks.enqueue({ spec: 'login page' });
+    await tasks.enqueue({ spec: 'signup page' });
+    await tasks.dequeue();
+    await manager.shutdown();
+
+    const restarted = createManager();
+    const restoredHandoffs = await restarted.createQueue('handoffs', QueueType.INTER_AGENT);
+    const restoredTasks = await restarted.createQueue('tasks', QueueType.AGENT_TASKS);
+
+    expect((await restoredHandoffs.dequeue()).payload).toEqual({ from: 'backend-engineer', to: 'qa' });
+    expect((await restoredTasks.dequeue()).payload).toEqual({ spec: 'login page' });
+    expect((await restoredTasks.dequeue()).payload).toEqual({ spec: 'signup page' });
+    await restarted.shutdown();
+  });
+});
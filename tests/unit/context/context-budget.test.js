@@ -0,0 +1,189 @@
+/**
+ * BUMBA Context Budget Tests
+ * Shared token counts and packing prioritized context under model limits
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { Tokenizer, countTokens } = require('../../../src/core/context/tokenizer');
+const {
+  ContextBudgetManager,
+  ContextBudgetError,
+  ContextKind
+} = require('../../../src/core/context/context-budget');
+const { TokenCounter } = require('../../../src/core/metrics/context-metrics');
+const { ObjectSummarizer } = require('../../../src/core/summarization/base-summarizer');
+
+const sourceFile = lines => Array.from({ length: lines }, (_, index) => index % 10 === 0
+  ? `function handler${index}(request, response) {`
+  : `  response.write('line ${index} of the orders handler');`).join('\n');
+
+describe('Context budget', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    manager = new ContextBudgetManager({ reserveTokens: 0, minItemTokens: 20 });
+  });
+
+  it('should count tokens one way everywhere', () => {
+    expect(countTokens('This is a test message')).toBe(5);
+    expect(countTokens('findRelevantFiles')).toBeGreaterThan(countTokens('files'));
+    expect(countTokens({ a: 1 })).toBe(countTokens(JSON.stringify({ a: 1 }, null, 2)));
+    expect(countTokens(null)).toBe(0);
+
+    const text = 'The orders service writes every order exactly once';
+    expect(new TokenCounter().estimate(text)).toBe(countTokens(text));
+    expect(new ObjectSummarizer().estimateTokens(text)).toBe(countTokens(text));
+
+    const words = new Tokenizer({ encoder: { encode: value => value.split(/\s+/).filter(Boolean) } });
+    expect(words.count('one two three')).toBe(3);
+    expect(words.truncate('one two three', 2).trim()).toBe('one two');
+  });
+
+  it('should look up context windows by model id', () => {
+    expect(manager.getContextLimit('claude-3-opus-20240229')).toBe(200000);
+    expect(manager.getContextLimit('anthropic/claude-3.5-sonnet')).toBe(200000);
+    expect(manager.getContextLimit('gpt-4-0613')).toBe(8192);
+    expect(manager.getContextLimit('gpt-4o-mini')).toBe(128000);
+    expect(manager.getContextLimit('deepseek/deepseek-r1:free')).toBe(128000);
+    expect(manager.getContextLimit('unknown-model')).toBe(200000);
+    expect(new ContextBudgetManager({ limits: { local: 4096 } }).getBudget({ model: 'local-llama' })).toMatchObject({
+      limit: 4096,
+      reserved: 4096,
+      available: 0
+    });
+  });
+
+  it('should keep everything when it fits', () => {
+    const packed = manager.pack([
+      manager.taskItem('Add pagination to the orders API'),
+      { kind: ContextKind.NOTE, title: 'Style', content: 'Use cursor pagination' }
+    ], { model: 'claude-3-opus' });
+
+    expect(packed.prompt).toBe('### Task\nAdd pagination to the orders API\n\n### Style\nUse cursor pagination');
+    expect(packed.tokens).toBe(countTokens(packed.prompt));
+    expect(packed.items.map(item => item.action)).toEqual(['kept', 'kept']);
+    expect(packed.dropped).toEqual([]);
+  });
+
+  it('should summarize, truncate and drop the lowest priority items first', () => {
+    const items = [
+      manager.taskItem('Add pagination to the orders API'),
+      ...manager.resultItems([{ agent: 'product-strategist', result: 'Cursor pagination, 50 per page. '.repeat(20) }]),
+      { id: 'file:src/orders.js', kind: ContextKind.FILE, title: 'src/orders.js', content: sourceFile(60), summarize: text => text.split('\n').filter(line => line.startsWith('function')).join('\n') },
+      ...manager.memoryItems([
+        { namespace: 'project', scope: 'decisions', key: 'database', value: { engine: 'postgres', reason: 'load test '.repeat(30) } },
+        { namespace: 'team', key: 'charter', value: 'ship weekly '.repeat(30) }
+      ])
+    ];
+    const before = manager.pack(items, { limit: 1000000 });
+    const packed = manager.pack(items, { limit: 280 });
+
+    expect(packed.tokens).toBeLessThanOrEqual(280);
+    expect(packed.tokens).toBe(countTokens(packed.prompt));
+    expect(packed.dropped).toEqual([{
+      id: 'memory:team/default/charter',
+      kind: 'memory',
+      title: 'Memory team/default/charter',
+      priority: before.items[4].priority,
+      tokens: before.items[4].tokens,
+      reason: expect.stringMatching(/^only \d+ of its \d+ tokens would fit$/)
+    }]);
+
+    const actions = Object.fromEntries(packed.items.map(item => [item.id, item.action]));
+    expect(actions).toEqual({
+      task: 'kept',
+      'result:0': 'kept',
+      'file:src/orders.js': 'summarized',
+      'memory:project/decisions/database': 'truncated'
+    });
+    expect(packed.prompt).toContain('function handler50(request, response) {');
+    expect(packed.prompt).not.toContain('line 1 of the orders handler');
+    expect(packed.prompt).toContain('[truncated to fit the context budget]');
+
+    // Tighter still, the result is the last thing cut before the task
+    const tight = manager.pack(items, { limit: 120 });
+    expect(tight.dropped.map(item => item.id)).toEqual([
+      'memory:team/default/charter',
+      'memory:project/decisions/database',
+      'file:src/orders.js'
+    ]);
+    expect(tight.items.map(item => [item.id, item.action])).toEqual([['task', 'kept'], ['result:0', 'truncated']]);
+  });
+
+  it('should cut the task before failing and fail only when it cannot fit', () => {
+    const task = manager.taskItem('Migrate every order table to the new schema. '.repeat(40));
+
+    const packed = manager.pack([task, { kind: ContextKind.NOTE, content: 'nice to have' }], { limit: 60 });
+    expect(packed.items).toEqual([expect.objectContaining({ id: 'task', action: 'truncated' })]);
+    expect(packed.dropped.map(item => item.id)).toEqual(['note:1']);
+    expect(packed.tokens).toBeLessThanOrEqual(60);
+
+    expect(() => manager.pack([task], { model: 'tiny', limit: 5 })).toThrow(ContextBudgetError);
+    try {
+      manager.pack([task], { model: 'tiny', limit: 5 });
+    } catch (error) {
+      expect(error.code).toBe('CONTEXT_BUDGET_EXCEEDED');
+      expect(error.message).toMatch(/tiny has 5 available$/);
+    }
+  });
+
+  it('should collect files, memory hits and results for a task', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-context-budget-'));
+    const originalCwd = process.cwd();
+    process.chdir(root);
+
+    try {
+      fs.mkdirSync('src');
+      fs.writeFileSync('src/orders-api.js', 'module.exports = { listOrders };\n');
+      fs.writeFileSync('src/billing.js', 'module.exports = { charge };\n');
+      fs.writeFileSync('src/bundle.js', 'x'.repeat(2048));
+      const analyzer = { findRelevantFiles: jest.fn().mockResolvedValue(['src/billing.js', 'src/orders-api.js', 'src/bundle.js', 'src/gone.js']) };
+      const memoryStore = { search: jest.fn().mockReturnValue([{ namespace: 'project', scope: 'semantic', key: 'api-style', value: 'REST' }]) };
+
+      const packed = await new ContextBudgetManager({ maxFileBytes: 1024 }).prepare({
+        task: 'Add pagination to the orders API',
+        analyzer,
+        memoryStore,
+        results: ['first draft', { agent: 'backend-engineer', result: { endpoints: ['/orders'] } }],
+        model: 'claude-3-opus'
+      });
+
+      expect(analyzer.findRelevantFiles).toHaveBeenCalledWith(root);
+      expect(memoryStore.search).toHaveBeenCalledWith('Add pagination to the orders API', expect.objectContaining({ via: 'context-budget' }));
+      expect(packed.items.map(item => item.title)).toEqual([
+        'Task',
+        'src/billing.js',
+        'src/orders-api.js',
+        'Memory project/semantic/api-style',
+        'Result 1',
+        'Result from backend-engineer'
+      ]);
+
+      const priority = Object.fromEntries(packed.items.map(item => [item.title, item.priority]));
+      expect(priority['src/orders-api.js']).toBeGreaterThan(priority['src/billing.js']);
+      expect(priority['Result from backend-engineer']).toBeGreaterThan(priority['Result 1']);
+
+      expect(packed.dropped).toEqual([
+        expect.objectContaining({ id: 'file:src/bundle.js', reason: 'file is 2048 bytes, over the 1024 byte limit' }),
+        expect.objectContaining({ id: 'file:src/gone.js', reason: expect.stringMatching(/^could not be read/) })
+      ]);
+      expect(packed.prompt).toContain('### src/orders-api.js\nmodule.exports = { listOrders };');
+    } finally {
+      process.chdir(originalCwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * BUMBA Event Hub Tests
+ * One subscription API across EventBus, EventBroadcaster, EventAggregator,
+ * EventStore and UnifiedBus, with schemas, wildcards and durable subscriptions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// The event-sourcing singleton creates its store directory under the working directory
+const sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-event-hub-'));
+const cwd = jest.spyOn(process, 'cwd').mockReturnValue(sandboxDir);
+const { EventHub, EventSchemaError } = require('../../../src/core/events/event-hub');
+const { EventBus } = require('../../../src/core/events/event-bus');
+const { EventAggregator } = require('../../../src/core/events/event-aggregator');
+const { EventStore } = require('../../../src/core/events/event-sourcing');
+const { EventBroadcaster } = require('../../../src/core/communication/event-broadcaster');
+const UnifiedBus = require('../../../src/unification/integration/unified-bus');
+cwd.mockRestore();
+
+describe('EventHub', () => {
+  let hub;
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-hub-'));
+    hub = new EventHub();
+  });
+
+  afterEach(() => {
+    hub.destroy();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(sandboxDir, { recursive: true, force: true });
+  });
+
+  it('should match single-segment, multi-segment and global wildcards', () => {
+    const seen = { star: [], globstar: [], all: [] };
+    hub.subscribe('task.*', event => seen.star.push(event.type));
+    hub.subscribe('**.completed', event => seen.globstar.push(event.type));
+    hub.subscribe('*', event => seen.all.push(event.type));
+
+    hub.publish('task.completed', {});
+    hub.publish('task:started', {});
+    hub.publish('workflow.step.completed', {});
+
+    expect(seen.star).toEqual(['task.completed', 'task.started']);
+    expect(seen.globstar).toEqual(['task.completed', 'workflow.step.completed']);
+    expect(seen.all).toHaveLength(3);
+  });
+
+  it('should validate payloads against event schemas', () => {
+    hub.defineEvent('task.completed', {
+      required: ['taskId'],
+      properties: {
+        taskId: { type: 'string' },
+        status: { type: 'string', enum: ['success', 'failure'] },
+        result: { type: 'object', required: ['summary'] }
+      }
+    });
+
+    expect(() => hub.publish('task.completed', { taskId: 't1', status: 'success', result: { summary: 'ok' } })).not.toThrow();
+
+    let error;
+    try {
+      hub.publish('task.completed', { taskId: 7, status: 'maybe', result: {} });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(EventSchemaError);
+    expect(error.errors).toEqual(['taskId must be string, got number', 'status must be one of success, failure', 'result.summary is required']);
+
+    const strict = new EventHub({ strictSchemas: true });
+    expect(() => strict.publish('undeclared.event', {})).toThrow('event type is not defined');
+  });
+
+  it('should deliver task completions from every connected system to one subscription', async () => {
+    const bus = new EventBus({ enableMetrics: false });
+    const broadcaster = new EventBroadcaster();
+    const aggregator = new EventAggregator();
+    aggregator.registerDomain('task', ['completed']);
+    const eventStore = new EventStore({ enablePersistence: false });
+    const unifiedBus = new UnifiedBus();
+    const legacyEmitter = new (require('events'))();
+    unifiedBus.connectToExisting('legacy', legacyEmitter, ['task:completed']);
+    unifiedBus.enable();
+
+    hub.connectAll({ eventBus: bus, broadcaster, aggregator, eventStore, unifiedBus });
+
+    const completions = [];
+    hub.subscribe('task.completed', event => completions.push(event.source));
+
+    bus.emit('task:completed', { taskId: 'a' });
+    await broadcaster.broadcast({ taskId: 'b' }, { topic: 'task.completed' });
+    aggregator.publish('task', 'completed', { taskId: 'c' });
+    await eventStore.appendEvent({ aggregateId: 'task-d', type: 'task.completed', data: { taskId: 'd' } });
+    legacyEmitter.emit('task:completed', { taskId: 'e' });
+
+    expect(completions).toEqual(['event-bus', 'event-broadcaster', 'event-aggregator', 'event-store', 'unified-bus']);
+
+    hub.destroy();
+    bus.emit('task:completed', { taskId: 'f' });
+    expect(completions).toHaveLength(5);
+
+    unifiedBus.disable();
+    bus.destroy();
+    await broadcaster.shutdown();
+  });
+
+  it('should carry correlation IDs from a handled event into every system it triggers', async () => {
+    const aggregator = new EventAggregator();
+    aggregator.registerDomain('review', ['assigned']);
+    const eventStore = new EventStore({ enablePersistence: false });
+    const broadcaster = new EventBroadcaster();
+    hub.connectAll({ aggregator, eventStore, broadcaster });
+
+    hub.subscribe('review.requested', async event => {
+      aggregator.publish('review', 'assigned', { reviewer: 'qa' });
+      await eventStore.appendEvent({ aggregateId: event.payload.prId, type: 'review.logged', data: { by: 'qa' } });
+      await broadcaster.broadcast({ prId: event.payload.prId }, { topic: 'review.notified' });
+    });
+
+    const request = hub.publish('review.requested', { prId: 'pr-1' }, { correlationId: 'cor-review-1' });
+    await hub.drain();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const chain = hub.getEvents({ correlationId: 'cor-review-1' });
+    expect(chain.map(event => event.type)).toEqual(['review.requested', 'review.assigned', 'review.logged', 'review.notified']);
+    expect(chain.slice(1).every(event => event.causationId === request.id)).toBe(true);
+    expect(aggregator.getCorrelationChain('cor-review-1').events).toHaveLength(1);
+
+    await broadcaster.shutdown();
+  });
+
+  it('should deliver missed events to durable subscriptions in order and survive restarts', async () => {
+    const persistent = new EventHub({ persistence: { dir: root } });
+    const received = [];
+    const subscription = persistent.subscribe('deploy.*', event => {
+      received.push(event.payload.n);
+    }, { durable: 'release-notes' });
+
+    persistent.publish('deploy.started', { n: 1 });
+    await persistent.drain();
+    subscription.unsubscribe();
+
+    persistent.publish('deploy.finished', { n: 2 });
+    persistent.publish('build.finished', { n: 3 });
+    expect(() => persistent.subscribe('deploy.*', () => {}, { durable: 'release-notes' }).unsubscribe()).not.toThrow();
+    persistent.publish('deploy.rolledBack', { n: 4 });
+    persistent.destroy();
+
+    // A new process picks up where the durable subscription left off
+    const restarted = new EventHub({ persistence: { dir: root } });
+    restarted.subscribe('deploy.*', event => {
+      received.push(event.payload.n);
+    }, { durable: 'release-notes' });
+    restarted.publish('deploy.started', { n: 5 });
+    await restarted.drain();
+
+    expect(received).toEqual([1, 2, 4, 5]);
+    expect(restarted.getMetrics()).toMatchObject({ lastSequence: 5, durableSubscriptions: 1 });
+    restarted.destroy();
+  });
+
+  it('should stall a failing durable subscription until it is resumed', async () => {
+    let failures = 1;
+    const handled = [];
+    const subscription = hub.subscribe('job.*', event => {
+      if (event.payload.n === 2 && failures-- > 0) {
+        throw new Error('transient');
+      }
+      handled.push(event.payload.n);
+    }, { durable: 'jobs' });
+
+    hub.publish('job.run', { n: 1 });
+    hub.publish('job.run', { n: 2 });
+    hub.publish('job.run', { n: 3 });
+    await hub.drain();
+
+    expect(handled).toEqual([1]);
+    expect(subscription.stalled).toBe(true);
+    expect(hub.getMetrics().handlerErrors).toBe(1);
+
+    subscription.resume();
+    await hub.drain();
+    await hub.drain();
+    expect(handled).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * BUMBA Event Replay Export Tests
+ * Recordings exported as Jest regression tests, which are loaded and run here
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// The replay system's event store persists under the working directory
+const sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-replay-'));
+const cwd = jest.spyOn(process, 'cwd').mockReturnValue(sandboxDir);
+const { EventReplaySystem } = require('../../../src/core/events/event-replay');
+const { eventBus } = require('../../../src/core/events/event-bus');
+const replay = new EventReplaySystem();
+cwd.mockRestore();
+
+// A component reacting to events on the shared bus, as application components do
+const componentPath = path.join(sandboxDir, 'ticket-desk.js');
+fs.writeFileSync(componentPath, `
+const { eventBus } = require(${JSON.stringify(require.resolve('../../../src/core/events/event-bus'))});
+
+class TicketDesk {
+  constructor(options) {
+    this.prefix = options.prefix;
+    this.open = [];
+    eventBus.on('ticket.opened', ticket => {
+      this.open.push(ticket.id);
+      eventBus.emit('ticket.triaged', { id: ticket.id, queue: this.prefix + '-' + ticket.priority, timestamp: Date.now() });
+    });
+    eventBus.on('ticket.closed', ticket => {
+      this.open = this.open.filter(id => id !== ticket.id);
+    });
+  }
+
+  getState() {
+    return { prefix: this.prefix, open: this.open, updatedAt: Date.now() };
+  }
+}
+
+module.exports = { TicketDesk };
+`);
+
+const { TicketDesk } = require(componentPath);
+replay.registerComponent('desk', {
+  instance: new TicketDesk({ prefix: 'support' }),
+  module: componentPath,
+  exportName: 'TicketDesk',
+  args: [{ prefix: 'support' }]
+});
+
+replay.startRecording('ticket-session');
+eventBus.emit('ticket.opened', { id: 'T-1', priority: 'high' });
+eventBus.emit('ticket.opened', { id: 'T-2', priority: 'low' });
+eventBus.emit('ticket.closed', { id: 'T-1' });
+replay.stopRecording();
+
+const outputPath = replay.writeTestCase('ticket-session', 'Ticket desk regression', {
+  outputPath: path.join(sandboxDir, 'regression', 'ticket-session.test.js')
+});
+const generated = fs.readFileSync(outputPath, 'utf8');
+
+afterAll(() => {
+  eventBus.destroy();
+  fs.rmSync(sandboxDir, { recursive: true, force: true });
+});
+
+describe('EventReplaySystem test export', () => {
+  it('should record which events were inputs and the final component state', () => {
+    const recording = replay.recordings.get('ticket-session');
+
+    expect(recording.events.map(event => `${event.cause}:${event.event}`)).toEqual([
+      'input:ticket.opened',
+      'reaction:ticket.triaged',
+      'input:ticket.opened',
+      'reaction:ticket.triaged',
+      'input:ticket.closed'
+    ]);
+    expect(recording.finalState.desk).toMatchObject({ prefix: 'support', open: ['T-2'] });
+    expect(eventBus.hasOwnProperty('emit')).toBe(false);
+  });
+
+  it('should put back an emit wrapper installed before recording', () => {
+    const seen = [];
+    const wrapper = (event, ...args) => {
+      seen.push(event);
+      return Object.getPrototypeOf(eventBus).emit.call(eventBus, event, ...args);
+    };
+    eventBus.emit = wrapper;
+
+    try {
+      replay.startRecording('wrapped');
+      eventBus.emit('ticket.closed', { id: 'T-2' });
+      replay.stopRecording();
+
+      expect(eventBus.emit).toBe(wrapper);
+      expect(seen).toEqual(['ticket.closed']);
+      expect(replay.recordings.get('wrapped').events.map(event => event.event)).toEqual(['ticket.closed']);
+    } finally {
+      delete eventBus.emit;
+    }
+  });
+
+  it('should stub external integrations with the shared mocks', () => {
+    const mocksDir = path.relative(path.dirname(outputPath), path.resolve(__dirname, '../../__mocks__'));
+
+    expect(generated).toContain(`jest.mock('@anthropic-ai/sdk', () => require('${mocksDir}/llm-api').Anthropic, { virtual: true });`);
+    expect(generated).toContain(`() => require('${mocksDir}/bumba-logger'));`);
+    expect(generated).toContain(`() => require('${mocksDir}/notion-api'), { virtual: true });`);
+  });
+
+  it('should let callers choose the input events', () => {
+    const code = replay.exportAsTestCase('ticket-session', 'Inputs', { inputs: ['ticket.closed'] });
+
+    expect(code).toContain('5 events, 1 of them inputs');
+    expect(() => replay.exportAsTestCase('missing')).toThrow('Recording not found: missing');
+  });
+});
+
+// Run the generated regression test as part of this suite
+require(outputPath);
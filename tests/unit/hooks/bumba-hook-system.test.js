@@ -0,0 +1,136 @@
+/**
+ * BUMBA Hook System Tests
+ * Hook contracts, handler timeouts and failure policies
+ */
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/core/monitoring/performance-metrics', () => ({
+  performanceMetrics: {
+    startTimer: jest.fn(() => jest.fn()),
+    incrementCounter: jest.fn()
+  }
+}));
+
+const {
+  BumbaHookSystem,
+  FailurePolicy,
+  ValidationMode,
+  HookContractError,
+  HookTimeoutError
+} = require('../../../src/core/hooks/bumba-hook-system');
+
+describe('BumbaHookSystem contracts and timeouts', () => {
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should declare contracts for the built-in hook points', () => {
+    const hooks = new BumbaHookSystem();
+
+    expect(hooks.getContract('command:pre-execute').input.required).toEqual(['command']);
+    expect(hooks.getContract('model:select').output.properties.model).toEqual({ type: 'string' });
+    expect(hooks.getHookInfo('budget:exceed').contract).toBeDefined();
+    expect(hooks.getContract('unknown:hook')).toBeNull();
+  });
+
+  it('should reject contexts and handler results that break the contract when enforcing', async () => {
+    const hooks = new BumbaHookSystem({ validation: ValidationMode.ENFORCE });
+
+    await expect(hooks.executeHook('command:pre-execute', { args: 'build' })).rejects.toMatchObject({
+      name: 'HookContractError',
+      direction: 'input',
+      errors: ['command is required', 'args must be array, got string']
+    });
+
+    hooks.registerHandler('model:select', context => ({ ...context, model: 42 }), { name: 'picker', onFailure: FailurePolicy.ABORT });
+    const error = await hooks.executeHook('model:select', { task: {} }).catch(caught => caught);
+    expect(error).toBeInstanceOf(HookContractError);
+    expect(error.message).toBe("Hook model:select output from handler 'picker' violates its contract: model must be string, got number");
+  });
+
+  it('should only report violations in warn mode', async () => {
+    const hooks = new BumbaHookSystem();
+    const violations = [];
+    hooks.on('contract-violation', violation => violations.push(violation.direction));
+    hooks.registerHandler('budget:check', context => ({ ...context, allowed: 'yes' }));
+
+    const result = await hooks.executeHook('budget:check', { budget: '100' });
+
+    expect(violations).toEqual(['input', 'output']);
+    expect(result.allowed).toBe('yes');
+    expect(result._contractViolations.map(violation => violation.errors)).toEqual([
+      ['budget must be number, got string'],
+      ['allowed must be boolean, got string']
+    ]);
+  });
+
+  it('should let plugins declare contracts for their own hooks', async () => {
+    const hooks = new BumbaHookSystem({ validation: ValidationMode.ENFORCE });
+    hooks.defineContract('plugin:render', {
+      input: { required: ['template'], properties: { template: { type: 'string' } } },
+      output: { required: ['html'] }
+    });
+    hooks.registerHandler('plugin:render', context => {
+      context.html = `<p>${context.template}</p>`;
+    });
+
+    const result = await hooks.executeHook('plugin:render', { template: 'hi' });
+    expect(result.html).toBe('<p>hi</p>');
+  });
+
+  it('should time out slow handlers and apply their failure policy', async () => {
+    const hooks = new BumbaHookSystem({ defaultTimeout: 20 });
+    const failures = [];
+    hooks.on('handler-failed', failure => failures.push(`${failure.handler}:${failure.policy}`));
+    const never = () => new Promise(() => {});
+
+    hooks.registerHandler('cache:miss', never, { name: 'slow-skip', priority: 90 });
+    hooks.registerHandler('cache:miss', never, {
+      name: 'slow-fallback',
+      priority: 80,
+      timeout: 10,
+      onFailure: FailurePolicy.FALLBACK,
+      fallback: (context, error) => ({ ...context, source: 'default', reason: error.name })
+    });
+    hooks.registerHandler('cache:miss', context => ({ ...context, loaded: true }), { name: 'loader', priority: 70 });
+
+    const result = await hooks.executeHook('cache:miss', { key: 'user:1' });
+
+    expect(result).toMatchObject({ key: 'user:1', source: 'default', reason: 'HookTimeoutError', loaded: true });
+    expect(result._errors).toEqual([
+      { handler: 'slow-skip', error: "Handler 'slow-skip' for hook cache:miss timed out after 20ms", policy: 'skip' },
+      { handler: 'slow-fallback', error: "Handler 'slow-fallback' for hook cache:miss timed out after 10ms", policy: 'fallback' }
+    ]);
+    expect(failures).toEqual(['slow-skip:skip', 'slow-fallback:fallback']);
+    expect(hooks.getHookInfo('cache:miss')).toMatchObject({ failureCount: 2, timeoutCount: 2 });
+  });
+
+  it('should abort the hook when an abort handler fails', async () => {
+    const hooks = new BumbaHookSystem();
+    const ran = [];
+    hooks.registerHandler('security:audit', () => new Promise(() => {}), {
+      name: 'auditor',
+      priority: 90,
+      timeout: 10,
+      onFailure: FailurePolicy.ABORT
+    });
+    hooks.registerHandler('security:audit', context => {
+      ran.push('reporter');
+      return context;
+    }, { name: 'reporter' });
+
+    await expect(hooks.executeHook('security:audit', {})).rejects.toBeInstanceOf(HookTimeoutError);
+    expect(ran).toEqual([]);
+
+    expect(() => hooks.registerHandler('security:audit', () => {}, { onFailure: 'retry' })).toThrow("Unknown failure policy 'retry'");
+    expect(() => hooks.registerHandler('security:audit', () => {}, { onFailure: FailurePolicy.FALLBACK })).toThrow('needs a fallback');
+  });
+});
@@ -27,6 +27,13 @@ describe('KnowledgeBase', () => {
   let knowledgeBase;
   let mockFs;
   
+  // fs.promises is shared with suites that run later in the same process
+  const originalFs = { ...fs };
+  
+  afterAll(() => {
+    Object.assign(fs, originalFs);
+  });
+  
   beforeEach(() => {
     jest.clearAllMocks();
     
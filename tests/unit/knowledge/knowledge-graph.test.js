@@ -0,0 +1,123 @@
+/**
+ * BUMBA Knowledge Graph Tests
+ * Queries over KnowledgeTransferProtocol relationships and their exports
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { KnowledgeTransferProtocol, KnowledgeType, RelationType } = require('../../../src/core/knowledge/knowledge-transfer-protocol');
+
+const labels = items => items.map(item => item.node.label);
+
+describe('Knowledge graph', () => {
+  let root;
+  let protocol;
+  let ids;
+
+  const store = (agentId, type, content, extra = {}) => protocol.storeKnowledge(agentId, { type, content, ...extra });
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-knowledge-graph-'));
+    protocol = new KnowledgeTransferProtocol({ persistencePath: root });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    ids = {};
+    ids.spec = await store('product-strategist', KnowledgeType.CONTEXT, { title: 'Orders spec: every order is written exactly once' }, { tags: ['orders'] });
+    ids.benchmark = await store('database-specialist', KnowledgeType.LEARNING, { title: 'Postgres handled 5k orders/s in the load test' }, { tags: ['orders', 'benchmark'] });
+    ids.loadTest = await store('qa-engineer', KnowledgeType.CONTEXT, { title: 'Load test plan for the orders service' });
+    ids.postgres = await store('backend-engineer-manager', KnowledgeType.DECISION, { title: 'Use Postgres for the orders database' }, {
+      tags: ['orders'],
+      relationships: [
+        { target: ids.spec, type: RelationType.DEPENDS_ON },
+        { target: ids.benchmark, type: RelationType.SUPPORTED_BY }
+      ]
+    });
+    ids.replicas = await store('backend-engineer-manager', KnowledgeType.DECISION, { title: 'Serve order history from read replicas' }, {
+      relationships: [{ target: ids.postgres, type: RelationType.DEPENDS_ON }]
+    });
+    protocol.createRelationship(ids.benchmark, ids.loadTest, RelationType.DERIVED_FROM);
+    protocol.createRelationship(ids.postgres, 'frontend-engineer', RelationType.TRANSFERRED_TO);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should answer neighbour, path and dependency queries', () => {
+    const graph = protocol.getKnowledgeGraph();
+
+    expect(labels(graph.neighbors(ids.postgres, { relations: [RelationType.SUPPORTED_BY] }))).toEqual([
+      'Postgres handled 5k orders/s in the load test'
+    ]);
+    expect(graph.neighbors(ids.spec, { direction: 'in' }).map(item => item.node.id)).toEqual([ids.postgres]);
+
+    // Decisions that rest on the spec, directly or through another decision
+    expect(graph.dependents(ids.spec).map(item => [item.node.id, item.depth])).toEqual([[ids.postgres, 1], [ids.replicas, 2]]);
+    expect(graph.dependents(ids.benchmark)).toEqual([]);
+
+    const route = graph.shortestPath(ids.replicas, ids.loadTest);
+    expect(route.nodes.map(node => node.id)).toEqual([ids.replicas, ids.postgres, ids.benchmark, ids.loadTest]);
+    expect(route.edges.map(edge => edge.type)).toEqual(['depends_on', 'supported_by', 'derived_from']);
+    expect(graph.shortestPath(ids.loadTest, ids.replicas, { direction: 'out' })).toBeNull();
+    expect(graph.getNode('frontend-engineer')).toMatchObject({ type: 'external' });
+
+    const orders = graph.subgraph({ tag: 'orders' });
+    expect(orders.size).toBe(3);
+    expect(orders.toJSON().edges.map(edge => edge.type).sort()).toEqual(['depends_on', 'supported_by']);
+  });
+
+  it('should explain a decision by walking its evidence', () => {
+    const graph = protocol.getKnowledgeGraph();
+    const [decision] = graph.find({ type: 'decision', source: 'backend-engineer-manager', text: 'postgres' });
+
+    const why = graph.explain(decision.id);
+    expect(why.node.label).toBe('Use Postgres for the orders database');
+    expect(why.reasons.map(reason => [reason.relation, reason.node.label])).toEqual([
+      ['depends_on', 'Orders spec: every order is written exactly once'],
+      ['supported_by', 'Postgres handled 5k orders/s in the load test']
+    ]);
+    expect(why.reasons[1].reasons.map(reason => reason.node.label)).toEqual(['Load test plan for the orders service']);
+  });
+
+  it('should export Mermaid and JSON-LD', () => {
+    const graph = protocol.getKnowledgeGraph().neighborhood(ids.postgres);
+
+    const mermaid = graph.export('mermaid');
+    expect(mermaid.split('\n')[0]).toBe('flowchart LR');
+    expect(mermaid).toContain('-->|supported_by|');
+    expect(mermaid).toMatch(/class k\d+(,k\d+)* decision/);
+
+    const document = graph.toJsonLd();
+    const decision = document['@graph'].find(resource => resource.label === 'Use Postgres for the orders database');
+    expect(document['@context']['@vocab']).toMatch(/^urn:bumba:/);
+    expect(decision).toMatchObject({ '@type': 'decision', source: 'backend-engineer-manager', tags: ['orders'] });
+    expect(decision.depends_on).toEqual([{ '@id': `urn:bumba:knowledge:${ids.spec}` }]);
+    expect(decision.transferred_to).toEqual([{ '@id': 'urn:bumba:external:frontend-engineer' }]);
+    expect(() => graph.export('graphml')).toThrow('Unsupported knowledge graph format');
+  });
+
+  it('should keep relationships created later across a restart', async () => {
+    // Persisted writes are not awaited by createRelationship
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const restarted = new KnowledgeTransferProtocol({ persistencePath: root });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const graph = restarted.getKnowledgeGraph();
+    expect(labels(graph.neighbors(ids.benchmark))).toEqual(['Load test plan for the orders service']);
+    protocol.createRelationship(ids.benchmark, ids.loadTest, RelationType.DERIVED_FROM);
+    expect(protocol.getKnowledgeGraph().neighbors(ids.benchmark)).toHaveLength(1);
+  });
+});
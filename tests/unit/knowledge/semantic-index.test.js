@@ -0,0 +1,185 @@
+/**
+ * BUMBA Semantic Index Tests
+ * Offline "find related" search over the knowledge base, references,
+ * unified memory and the Pinecone fallback
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../../src/core/mcp/mcp-resilience-system', () => ({
+  mcpServerManager: {
+    getServer: jest.fn(async () => ({
+      fallbackType: 'local-vector-search',
+      execute: jest.fn(async () => ({ success: false }))
+    })),
+    getSystemHealth: jest.fn(() => ({ essential_health: 0 }))
+  }
+}));
+
+const { HashingEmbedder, VectorIndex, tokenize } = require('../../../src/core/knowledge/semantic-index');
+const { KnowledgeBase } = require('../../../src/core/knowledge/knowledge-base');
+const { ReferenceSystem } = require('../../../src/core/knowledge/reference-system');
+const { UnifiedMemoryLayer } = require('../../../src/core/memory/unified-memory-layer');
+const { PineconeIntegration } = require('../../../src/core/integrations/pinecone-integration');
+
+const DECISIONS = {
+  database: 'Decision: use PostgreSQL for the orders database because we need transactional guarantees',
+  auth: 'Decided to move authentication to OAuth2 with short-lived access tokens and refresh tokens',
+  layout: 'Spec: checkout page layout, button colours and spacing for the design system',
+  migration: 'Migration plan for moving the orders tables from MySQL to Postgres'
+};
+
+const initialized = emitter => new Promise(resolve => emitter.once('initialized', resolve));
+
+describe('Semantic index', () => {
+  let root;
+  let originalCwd;
+
+  beforeEach(() => {
+    originalCwd = process.cwd();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-semantic-'));
+    process.chdir(root);
+  });
+
+  afterEach(() => {
+    process.chdir(originalCwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should embed deterministically and rank related text first', () => {
+    expect(tokenize('The Decisions were DECIDED quickly')).toEqual(['decision', 'decid', 'quick']);
+
+    const embedder = new HashingEmbedder({ dimensions: 256 });
+    expect(Array.from(embedder.embed('orders database'))).toEqual(Array.from(new HashingEmbedder({ dimensions: 256 }).embed('orders database')));
+    expect(Array.from(embedder.embed('')).every(value => value === 0)).toBe(true);
+
+    const index = new VectorIndex();
+    for (const [id, text] of Object.entries(DECISIONS)) {
+      index.upsert(id, text, { kind: id === 'layout' ? 'spec' : 'decision' });
+    }
+
+    expect(index.search('which database did we choose for orders?').map(match => match.id).sort()).toEqual(['database', 'migration']);
+    expect(index.search('refresh token expiry')[0].id).toBe('auth');
+    expect(index.search('orders', { filter: metadata => metadata.kind === 'spec' })).toEqual([]);
+    expect(index.similarTo('database').map(match => match.id)).toEqual(['migration']);
+  });
+
+  it('should keep the index on disk and skip unchanged text', () => {
+    const logPath = path.join(root, 'index', 'vectors.log');
+    const index = new VectorIndex({ path: logPath });
+    Object.entries(DECISIONS).forEach(([id, text]) => index.upsert(id, text));
+    index.remove('layout');
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n').length;
+
+    const reopened = new VectorIndex({ path: logPath });
+    expect(reopened.size).toBe(3);
+    expect(reopened.search('Postgres orders tables')[0].id).toBe('migration');
+    expect(reopened.upsert('auth', DECISIONS.auth)).toBe(false);
+    expect(fs.readFileSync(logPath, 'utf8').split('\n').length).toBe(lines);
+
+    // Vectors from another embedder are not comparable, so they are dropped
+    const resized = new VectorIndex({ path: logPath, dimensions: 128 });
+    expect(resized.size).toBe(0);
+  });
+
+  it('should find related knowledge base entries offline', async () => {
+    const basePath = path.join(root, 'knowledge');
+    const kb = new KnowledgeBase({ basePath });
+    await initialized(kb);
+
+    const entries = {};
+    for (const [id, content] of Object.entries(DECISIONS)) {
+      entries[id] = await kb.add({ title: `${id} record`, content, category: id === 'layout' ? 'specs' : 'decisions' });
+    }
+
+    const related = kb.findSimilar('what did we decide about the orders database?');
+    expect(related.map(match => match.entry.id)).toEqual([entries.database.id, entries.migration.id]);
+    expect(kb.findSimilar(entries.database.id).map(match => match.entry.id)).toEqual([entries.migration.id]);
+    expect(kb.findSimilar('checkout colours', { category: 'decisions' })).toEqual([]);
+
+    // query() combines semantic ranking with the usual filters
+    expect(kb.query({ semantic: 'access tokens', category: 'decisions' }).map(entry => entry.id)).toEqual([entries.auth.id]);
+    kb.destroy();
+
+    // Reloaded entries reuse the stored vectors
+    const reloaded = new KnowledgeBase({ basePath });
+    await initialized(reloaded);
+    expect(reloaded.getStats().index.semantic).toBe(4);
+    expect(reloaded.findSimilar('Postgres migration')[0].entry.id).toBe(entries.migration.id);
+    reloaded.destroy();
+  });
+
+  it('should search references semantically', async () => {
+    const references = new ReferenceSystem({ referencePath: path.join(root, 'references'), autoIndex: false });
+    await initialized(references);
+
+    const auth = await references.createSpecification({
+      name: 'Session handling',
+      description: 'How access tokens are issued and refreshed',
+      requirements: ['Refresh tokens expire after 30 days']
+    });
+    await references.createSpecification({ name: 'Checkout layout', description: 'Button colours and spacing' });
+    await references.createApiReference({
+      name: 'Orders API',
+      description: 'Create and list orders',
+      endpoints: [{ method: 'POST', path: '/orders', description: 'Place an order' }]
+    });
+
+    // Substring search finds nothing for a paraphrase; semantic search does
+    expect(references.search('token expiry')).toEqual([]);
+    expect(references.search('token expiry', { semantic: true }).map(ref => ref.id)).toEqual([auth.id]);
+    expect(references.search('placing orders', { semantic: true, type: 'api' })[0].name).toBe('Orders API');
+    references.destroy();
+  });
+
+  it('should retrieve related memories through the unified memory layer', async () => {
+    const memory = new UnifiedMemoryLayer({ synchronization: { enabled: false } });
+    await memory.store('decision:db', { title: 'Use PostgreSQL for orders', rationale: 'transactions' }, { type: 'runtime' });
+    await memory.store('decision:auth', { title: 'Sign-in goes through OAuth2 single sign-on' }, { type: 'runtime', tags: ['security'] });
+    await memory.store('credentials', { password: 'orders database admin' }, { type: 'runtime' });
+
+    const related = await memory.retrieve('which database holds orders', { semantic: true });
+    expect(related).toHaveLength(1);
+    expect(related[0]).toMatchObject({ key: 'decision:db', data: { title: 'Use PostgreSQL for orders' } });
+    expect(await memory.retrieve('single sign-on', { semantic: true, tags: ['security'] })).toHaveLength(1);
+    expect(await memory.retrieve('single sign-on', { semantic: true, tags: ['billing'] })).toEqual([]);
+
+    // Entries that have left every store drop out of the index
+    memory.l1Cache.delete('decision:db');
+    await memory.stores.get('runtime').delete('decision:db');
+    expect(await memory.search('PostgreSQL orders')).toEqual([]);
+    expect(memory.vectorIndex.has('decision:db')).toBe(false);
+    await memory.cleanup();
+  });
+
+  it('should stand in for Pinecone when it is unavailable', async () => {
+    const pinecone = new PineconeIntegration();
+    const upserted = await pinecone.upsertRecords('design-docs', [
+      { id: 'doc-1', text: DECISIONS.layout, metadata: { team: 'design' } },
+      { id: 'doc-2', chunk_text: DECISIONS.auth, metadata: { team: 'backend' } }
+    ], 'specs');
+
+    expect(upserted).toEqual({ upsertedCount: 2, fallback: true });
+
+    const result = await pinecone.searchRecords('design-docs', 'button spacing', { namespace: 'specs' });
+    expect(result.fallback).toBe(true);
+    expect(result.matches.map(match => match.id)).toEqual(['doc-1']);
+    expect((await pinecone.searchRecords('design-docs', 'refresh tokens', { filter: { team: { $eq: 'design' } } })).matches).toEqual([]);
+
+    // Kept on disk for the next session
+    const next = new PineconeIntegration();
+    await next.initialize();
+    expect((await next.searchRecords('design-docs', 'OAuth2 refresh tokens')).matches[0].id).toBe('doc-2');
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * BUMBA Memory Console Tests
+ * Listing, provenance, diffs, pinning, forgetting and JSONL round trips
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { MemoryStore, MemoryNamespace, getMemoryStore, closeMemoryStores } = require('../../../src/core/memory/memory-store');
+const { MemoryConsole, parseRef, diffValues } = require('../../../src/core/memory/memory-console');
+const { runWithMemoryProvenance } = require('../../../src/core/memory/memory-provenance');
+const { PersistentMemoryManager } = require('../../../src/core/memory/persistent-memory-manager');
+
+describe('Memory console', () => {
+  let root;
+  let store;
+  let memory;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-memory-console-'));
+    store = new MemoryStore({ dbPath: path.join(root, 'memory.db') });
+    memory = new MemoryConsole({ memoryStore: store, writer: 'alex' });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should parse entry names', () => {
+    expect(parseRef('project/semantic/api/v2')).toEqual({ namespace: 'project', scope: 'semantic', key: 'api/v2' });
+    expect(parseRef('team/charter')).toEqual({ namespace: 'team', scope: undefined, key: 'charter' });
+    expect(() => parseRef('scratch/notes')).toThrow('Expected namespace/scope/key');
+    expect(() => memory.run('rewind')).toThrow('Unknown memory action: rewind');
+    expect(() => memory.run('show')).toThrow('Usage: bumba memory show');
+  });
+
+  it('should show which agent and command wrote an entry and who read it', async () => {
+    await runWithMemoryProvenance({ writer: 'backend-engineer', source: 'command:implement' }, async () => {
+      // The view's own default writer gives way to the agent doing the work
+      store.view(MemoryNamespace.PROJECT, 'decisions', { writer: 'unified-memory-layer' }).set('database', { engine: 'mysql' });
+    });
+    runWithMemoryProvenance({ writer: 'database-specialist', source: 'command:database' }, () => {
+      store.set(MemoryNamespace.PROJECT, 'database', { engine: 'postgres' }, { scope: 'decisions' });
+    });
+    store.get(MemoryNamespace.PROJECT, 'database', { scope: 'decisions', reader: 'frontend-engineer', via: 'handoff' });
+    store.set(MemoryNamespace.SESSION, 'database', 'ask about replicas', { scope: 'session-1' });
+
+    expect(memory.list().map(entry => `${entry.namespace}/${entry.scope}`)).toEqual(['session/session-1', 'project/decisions']);
+    expect(memory.search('postgres').map(entry => entry.key)).toEqual(['database']);
+
+    const { entry, versions, reads } = memory.run('show', ['project/decisions/database']);
+    expect(entry).toMatchObject({ writer: 'database-specialist', source: 'command:database', version: 2 });
+    expect(versions.map(version => [version.version, version.writer])).toEqual([
+      [2, 'database-specialist'],
+      [1, 'backend-engineer']
+    ]);
+    expect(reads).toMatchObject([{ reader: 'frontend-engineer', version: 2, via: 'handoff' }]);
+    expect(memory.run('reads', ['frontend-engineer']).reads).toHaveLength(1);
+  });
+
+  it('should diff versions written by the persistent memory manager', async () => {
+    jest.useFakeTimers();
+    const manager = new PersistentMemoryManager({ basePath: path.join(root, 'legacy'), memoryStore: store });
+    jest.useRealTimers();
+    await manager.loadMemories();
+
+    const first = await manager.store('api-style', { style: 'REST', pagination: 'offset' }, { hierarchy: 'semantic' });
+    await manager.store('api-style', { style: 'REST', pagination: 'cursor', versioned: true }, { hierarchy: 'semantic' });
+
+    const latest = memory.diff('project/semantic/api-style');
+    expect([latest.from.version, latest.to.version]).toEqual([1, 2]);
+    expect(latest.changes).toEqual(expect.arrayContaining([
+      { path: 'data.pagination', change: 'changed', before: 'offset', after: 'cursor' },
+      { path: 'data.versioned', change: 'added', after: true }
+    ]));
+
+    // Version ids from createVersion name the same versions
+    const byId = memory.diff('project/semantic/api-style', first);
+    expect(byId.from).toMatchObject({ version: 1, label: first });
+    expect(() => memory.diff('project/semantic/api-style', 'v0-missing')).toThrow('no kept version v0-missing');
+
+    expect(diffValues(['a', 'b'], ['a'])).toEqual([{ path: '[1]', change: 'removed', before: 'b' }]);
+    expect(diffValues('old', { value: 'new' })).toMatchObject([{ path: '(value)', change: 'changed' }]);
+    await manager.cleanup();
+  });
+
+  it('should keep pinned entries past their TTL and forget stale ones', () => {
+    store.set(MemoryNamespace.SESSION, 'goal', 'ship the orders API', { scope: 'session-1', ttl: 1000 });
+    store.set(MemoryNamespace.SESSION, 'stale-decision', 'use MySQL', { scope: 'session-1', ttl: 1000 });
+
+    const [pinned] = memory.run('pin', ['session/session-1/goal']).entries;
+    expect(pinned).toMatchObject({ pinned: true, expiresAt: null });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+
+    expect(memory.list({ namespace: MemoryNamespace.SESSION }).map(entry => entry.key)).toEqual(['goal']);
+    expect(store.set(MemoryNamespace.SESSION, 'goal', 'ship it today', { scope: 'session-1', ttl: 40 }).expiresAt).toBeNull();
+    expect(memory.list({ pinned: true })).toHaveLength(1);
+
+    const [unpinned] = memory.run('unpin', ['session/session-1/goal']).entries;
+    expect(unpinned.pinned).toBe(false);
+    expect(unpinned.expiresAt).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    expect(memory.run('forget', ['session/session-1/goal']).forgotten).toEqual(['session/session-1/goal']);
+    expect(store.get(MemoryNamespace.SESSION, 'goal', { scope: 'session-1' })).toBeNull();
+    expect(() => memory.forget('session/session-1/goal')).toThrow('Memory not found');
+    Date.now.mockRestore();
+  });
+
+  it('should export and import entries as JSONL', () => {
+    store.set(MemoryNamespace.TEAM, 'charter', 'ship weekly', { writer: 'product-strategist', tags: ['process'] });
+    store.set(MemoryNamespace.AGENT, 'context', { focus: 'orders' }, { scope: 'backend-engineer' });
+    store.pin(MemoryNamespace.TEAM, 'charter');
+
+    const file = path.join(root, 'export', 'memory.jsonl');
+    expect(memory.run('export', [file])).toMatchObject({ exported: 2 });
+
+    const restored = new MemoryStore({ dbPath: path.join(root, 'restored.db') });
+    const target = new MemoryConsole({ memoryStore: restored, writer: 'alex' });
+    fs.appendFileSync(file, 'not json\n{"namespace":"scratch","key":"x"}\n');
+
+    const result = target.run('import', [file]);
+    expect(result).toMatchObject({ imported: 2, unchanged: 0 });
+    expect(result.errors.map(error => error.line)).toEqual([3, 4]);
+    expect(restored.get(MemoryNamespace.TEAM, 'charter')).toMatchObject({
+      value: 'ship weekly',
+      writer: 'product-strategist',
+      source: 'import:memory.jsonl',
+      pinned: true,
+      tags: ['process']
+    });
+    expect(restored.search('orders')[0].scope).toBe('backend-engineer');
+
+    // A second import of the same file leaves versions alone
+    expect(target.importFrom(file)).toMatchObject({ imported: 0, unchanged: 2 });
+    expect(restored.get(MemoryNamespace.TEAM, 'charter').version).toBe(1);
+    restored.close();
+  });
+
+  it('should run from the memory command without going through the router', async () => {
+    const { BumbaCommandHandler } = require('../../../src/core/command-handler');
+    const originalCwd = process.cwd();
+    process.chdir(root);
+
+    try {
+      getMemoryStore().set(MemoryNamespace.PROJECT, 'deadline', 'Friday');
+      const handler = new BumbaCommandHandler();
+      handler.commandRouter.route = jest.fn();
+
+      const result = await handler.handleCommand('memory', ['search', 'Friday']);
+      expect(result).toMatchObject({ type: 'memory', action: 'search', success: true });
+      expect(result.entries.map(entry => entry.key)).toEqual(['deadline']);
+      expect(handler.commandRouter.route).not.toHaveBeenCalled();
+      expect(await handler.handleCommand('memory', ['show', 'project/nothing'])).toMatchObject({
+        success: false,
+        error: 'Memory not found: project/nothing'
+      });
+    } finally {
+      closeMemoryStores();
+      process.chdir(originalCwd);
+    }
+  });
+});
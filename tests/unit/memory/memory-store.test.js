@@ -0,0 +1,282 @@
+/**
+ * BUMBA Memory Store Tests
+ * The canonical store and the memory classes that are now views over it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { MemoryStore, MemoryConflictError, MemoryNamespace, getMemoryStore, closeMemoryStores } = require('../../../src/core/memory/memory-store');
+const { BumbaTeamMemory, TEAM_KEYS } = require('../../../src/utils/teamMemory');
+const { UnifiedMemoryLayer } = require('../../../src/core/memory/unified-memory-layer');
+const { PersistentMemoryManager } = require('../../../src/core/memory/persistent-memory-manager');
+const { BumbaMemorySystem } = require('../../../src/core/memory/bumba-memory-system');
+const MemoryAdapter = require('../../../src/unification/adapters/memory-adapter');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+};
+
+describe('Memory store', () => {
+  let root;
+  let store;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-memory-'));
+    store = new MemoryStore({ dbPath: path.join(root, 'memory.db') });
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should version entries per namespace and scope', () => {
+    expect(store.set(MemoryNamespace.PROJECT, 'db', { engine: 'mysql' }, { writer: 'backend' }).version).toBe(1);
+    expect(store.set(MemoryNamespace.PROJECT, 'db', { engine: 'postgres' }, { writer: 'database-specialist' }).version).toBe(2);
+    store.set(MemoryNamespace.AGENT, 'db', { engine: 'sqlite' }, { scope: 'mobile-specialist' });
+
+    expect(store.get(MemoryNamespace.PROJECT, 'db')).toMatchObject({ value: { engine: 'postgres' }, version: 2, writer: 'database-specialist' });
+    expect(store.get(MemoryNamespace.PROJECT, 'db', { version: 1 }).value).toEqual({ engine: 'mysql' });
+    expect(store.history(MemoryNamespace.PROJECT, 'db')).toMatchObject([{ version: 1, writer: 'backend' }]);
+    expect(store.get(MemoryNamespace.AGENT, 'db', { scope: 'mobile-specialist' }).value).toEqual({ engine: 'sqlite' });
+    expect(store.get(MemoryNamespace.AGENT, 'db')).toBeNull();
+
+    // A writer working from an old version is told instead of overwriting
+    expect(() => store.set(MemoryNamespace.PROJECT, 'db', { engine: 'mongo' }, { expectedVersion: 1 })).toThrow(MemoryConflictError);
+    expect(store.set(MemoryNamespace.PROJECT, 'db', { engine: 'mongo' }, { expectedVersion: 2 }).version).toBe(3);
+    expect(() => store.set('scratch', 'db', {})).toThrow('Unknown memory namespace');
+  });
+
+  it('should expire entries and keep them across a restart', async () => {
+    store.set(MemoryNamespace.SESSION, 'draft', 'half-written plan', { scope: 'session-1', ttl: 30 });
+    store.set(MemoryNamespace.TEAM, 'charter', 'ship weekly');
+    await delay(40);
+
+    expect(store.get(MemoryNamespace.SESSION, 'draft', { scope: 'session-1' })).toBeNull();
+    expect(store.set(MemoryNamespace.SESSION, 'draft', 'new plan', { scope: 'session-1' }).version).toBe(1);
+
+    store.close();
+    store = new MemoryStore({ dbPath: path.join(root, 'memory.db') });
+    expect(store.get(MemoryNamespace.TEAM, 'charter').value).toBe('ship weekly');
+    expect(store.scopes(MemoryNamespace.SESSION)).toEqual(['session-1']);
+  });
+
+  it('should search entry text with FTS5', () => {
+    store.set(MemoryNamespace.PROJECT, 'decision:db', { title: 'Use PostgreSQL for the orders database' }, { tags: ['decision'] });
+    store.set(MemoryNamespace.PROJECT, 'decision:auth', { title: 'OAuth2 with refresh tokens' }, { tags: ['decision'] });
+    store.set(MemoryNamespace.PROJECT, 'spec:orders', 'Orders API pagination', { scope: 'specs' });
+    store.set(MemoryNamespace.SESSION, 'note', 'orders databases are slow today', { scope: 'session-1' });
+
+    // Entries matching both words outrank the one matching only "orders"
+    expect(store.search('orders database').map(entry => entry.key)).toEqual([
+      expect.stringMatching(/^(decision:db|note)$/),
+      expect.stringMatching(/^(decision:db|note)$/),
+      'spec:orders'
+    ]);
+    expect(store.search('orders', { namespace: MemoryNamespace.PROJECT, scope: 'specs' }).map(entry => entry.key)).toEqual(['spec:orders']);
+    expect(store.search('orders', { tag: 'decision' }).map(entry => entry.key)).toEqual(['decision:db']);
+
+    // Query syntax is quoted away rather than interpreted
+    expect(store.search('tokens" OR NEAR(')[0].key).toBe('decision:auth');
+    expect(store.search('  ')).toEqual([]);
+
+    store.delete(MemoryNamespace.PROJECT, 'decision:db');
+    expect(store.search('PostgreSQL')).toEqual([]);
+  });
+
+  it('should record which memory a specialist read', () => {
+    store.set(MemoryNamespace.PROJECT, 'schema', { tables: ['orders'] });
+    const specialist = store.view(MemoryNamespace.PROJECT, 'default', { reader: 'database-specialist', via: 'handoff' });
+
+    expect(specialist.get('schema')).toEqual({ tables: ['orders'] });
+    store.set(MemoryNamespace.PROJECT, 'schema', { tables: ['orders', 'users'] });
+    specialist.search('orders users');
+    store.get(MemoryNamespace.PROJECT, 'schema');
+
+    expect(store.getReads({ reader: 'database-specialist' })).toMatchObject([
+      { key: 'schema', version: 2, via: 'handoff:search' },
+      { key: 'schema', version: 1, via: 'handoff' }
+    ]);
+    expect(store.getReads({ key: 'schema' })).toHaveLength(2);
+  });
+
+  it('should import team memory files once and share them with the other views', async () => {
+    const teamDir = path.join(root, 'team');
+    writeJson(path.join(teamDir, 'context.json'), {
+      agents: {},
+      sharedContext: {
+        decision_1: { type: 'team_decision', decision: 'Adopt PostgreSQL' },
+        'release-plan': {
+          type: 'unified_memory',
+          entry: { key: 'release-plan', data: { date: 'Friday' }, metadata: { tags: [] }, options: {} },
+          stored_at: 1000
+        }
+      }
+    });
+    writeJson(path.join(teamDir, 'collaboration.json'), { pendingHandoffs: [], qualityCheckpoints: [], teamDecisions: [] });
+
+    const team = await BumbaTeamMemory.create({ memoryStore: store, teamDir });
+    expect(team.view().get(TEAM_KEYS.collaboration)).toMatchObject({ pendingHandoffs: [] });
+    expect(await team.getAgentHistory()).toEqual({ sessions: [], handoffs: [], collaborations: [] });
+
+    // Edits after the import are not overwritten by the old files
+    await team.recordTeamDecision('Ship on Fridays', ['Backend-Engineer'], 'cadence');
+    await BumbaTeamMemory.create({ memoryStore: store, teamDir });
+    expect((await team.getCollaboration()).teamDecisions).toHaveLength(1);
+
+    // The unified layer takes back the entries it parked in the team context
+    const layer = new UnifiedMemoryLayer({ memoryStore: store, teamMemory: team, synchronization: { enabled: false } });
+    const plan = await layer.retrieve('release-plan', { searchOrder: ['persistent'] });
+    expect(plan.data).toEqual({ date: 'Friday' });
+    expect((await team.getTeamContext()).sharedContext['release-plan']).toBeUndefined();
+
+    await layer.store('rollback-plan', { steps: 'revert the orders migration' }, { type: 'persistent' });
+    expect(store.search('orders migration').map(entry => [entry.scope, entry.key])).toEqual([['unified', 'rollback-plan']]);
+    expect(store.getMigrations().map(migration => migration.source)).toEqual([
+      `team-memory:${teamDir}`,
+      'unified-memory-layer:team-context'
+    ]);
+    await layer.cleanup();
+  });
+
+  it('should share team memory across projects from the BUMBA home directory', async () => {
+    const originalHome = process.env.BUMBA_HOME;
+    const originalCwd = process.cwd();
+    process.env.BUMBA_HOME = path.join(root, 'home');
+    fs.mkdirSync(path.join(root, 'shop'));
+    fs.mkdirSync(path.join(root, 'billing'));
+
+    try {
+      process.chdir(path.join(root, 'shop'));
+      const shop = await BumbaTeamMemory.create({ teamDir: path.join(root, 'no-legacy-files') });
+      await shop.recordTeamDecision('Adopt PostgreSQL', ['Backend-Engineer'], 'database');
+
+      process.chdir(path.join(root, 'billing'));
+      const billing = await BumbaTeamMemory.create({ teamDir: path.join(root, 'no-legacy-files') });
+      expect((await billing.getCollaboration()).teamDecisions.map(decision => decision.decision)).toEqual(['Adopt PostgreSQL']);
+
+      expect(billing.dbPath).toBe(path.join(root, 'home', 'team-memory.db'));
+      expect(fs.existsSync(path.join(root, 'shop', '.bumba'))).toBe(false);
+      expect(fs.existsSync(path.join(root, 'billing', '.bumba'))).toBe(false);
+    } finally {
+      process.chdir(originalCwd);
+      closeMemoryStores();
+      if (originalHome === undefined) {
+        delete process.env.BUMBA_HOME;
+      } else {
+        process.env.BUMBA_HOME = originalHome;
+      }
+    }
+  });
+
+  it('should keep persistent memory hierarchies in the store', async () => {
+    const basePath = path.join(root, 'legacy');
+    const memory = (version, timestamp, note) => ({
+      key: 'api-style',
+      data: { note },
+      timestamp,
+      version,
+      hierarchy: 'semantic',
+      metadata: { tags: ['api'], relations: [], importance: 0.5, ttl: null, compressed: false }
+    });
+    writeJson(path.join(basePath, 'semantic', 'api_style_v2.json'), memory('v2', 2000, 'REST with cursors'));
+    writeJson(path.join(basePath, 'semantic', 'api_style_v1.json'), memory('v1', 1000, 'REST'));
+
+    jest.useFakeTimers();
+    const manager = new PersistentMemoryManager({ basePath, memoryStore: store });
+    jest.useRealTimers();
+    await manager.loadMemories();
+
+    expect((await manager.retrieve('api-style')).data).toEqual({ note: 'REST with cursors' });
+    expect((await manager.retrieveVersion('api-style', 'v1')).data).toEqual({ note: 'REST' });
+
+    const version = await manager.store('api-style', { note: 'GraphQL' }, { hierarchy: 'semantic' });
+    expect(store.get(MemoryNamespace.PROJECT, 'api-style', { scope: 'semantic' })).toMatchObject({ version: 3, value: { version } });
+    expect(await manager.hierarchies.semantic.count()).toBe(1);
+
+    // Reloading does not import the files a second time
+    await manager.loadMemories();
+    expect(store.get(MemoryNamespace.PROJECT, 'api-style', { scope: 'semantic' }).version).toBe(3);
+    await manager.cleanup();
+  });
+
+  it('should keep conversation context in the session namespace', async () => {
+    const dbPath = path.join(root, 'memory.db');
+    store.db.exec(`
+      CREATE TABLE conversation_context (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, session_id TEXT, context_type TEXT,
+        key TEXT, value TEXT, importance INTEGER, timestamp INTEGER
+      )
+    `);
+    store.db.prepare(`
+      INSERT INTO conversation_context (session_id, context_type, key, value, importance, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run('session-old', 'conversation', 'goal', JSON.stringify('migrate orders'), 8, Date.now());
+
+    const memory = new BumbaMemorySystem({ dbPath, memoryStore: store });
+    expect(await memory.getContext('session-old')).toMatchObject([{ key: 'goal', value: '"migrate orders"', importance: 8 }]);
+    // The old rows stay behind in a backup table
+    expect(store.db.prepare('SELECT key FROM conversation_context_legacy').all()).toEqual([{ key: 'goal' }]);
+
+    await memory.storeContext('constraint', { downtime: 'none' }, 3);
+    await memory.storeContext('goal', 'migrate orders and users', 9);
+    const context = await memory.getContext(null, 'product-strategist');
+    expect(context.map(row => [row.key, row.version])).toEqual([['goal', 1], ['constraint', 1]]);
+    expect(store.getReads({ reader: 'product-strategist' })).toHaveLength(2);
+    expect(store.search('users', { namespace: MemoryNamespace.SESSION })[0].scope).toBe(memory.getCurrentSessionId());
+  });
+
+  it('should keep a shared store open until its last consumer closes', async () => {
+    const dbPath = path.join(root, 'shared.db');
+    const memory = new BumbaMemorySystem({ dbPath });
+    const shared = getMemoryStore({ dbPath });
+    expect(shared).toBe(memory.store);
+
+    memory.close();
+    shared.view(MemoryNamespace.PROJECT).set('stack', 'node');
+    const reopened = getMemoryStore({ dbPath });
+    expect(reopened.view(MemoryNamespace.PROJECT).get('stack')).toBe('node');
+
+    shared.close();
+    expect(reopened.db.open).toBe(true);
+    reopened.close();
+    expect(reopened.db.open).toBe(false);
+
+    // A store handed in by the caller stays the caller's to close
+    const owned = new BumbaMemorySystem({ dbPath, memoryStore: store });
+    owned.close();
+    expect(store.db.open).toBe(true);
+    closeMemoryStores();
+  });
+
+  it('should not serve a stale cached value through the memory adapter', async () => {
+    const adapter = new MemoryAdapter(store.view(MemoryNamespace.PROJECT));
+    adapter.enable();
+
+    await adapter.store('theme', 'dark');
+    expect(await adapter.retrieve('theme')).toBe('dark');
+
+    // Written by another view behind the adapter's back
+    store.view(MemoryNamespace.PROJECT).set('theme', 'light');
+    expect(await adapter.retrieve('theme')).toBe('light');
+
+    expect(await adapter.retrieve('theme', { reader: 'design-specialist' })).toBe('light');
+    expect(store.getReads({ reader: 'design-specialist' })).toHaveLength(1);
+    adapter.rollback();
+  });
+});
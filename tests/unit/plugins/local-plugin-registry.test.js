@@ -0,0 +1,205 @@
+/**
+ * BUMBA Local Plugin Registry Tests
+ * Self-hosted registries with signed packages, verified before install
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { LocalPluginRegistry } = require('../../../src/core/plugins/local-plugin-registry');
+const { PluginMarketplace } = require('../../../src/core/plugins/plugin-loader');
+const { BumbaPluginManager } = require('../../../src/core/plugins/plugin-manager');
+const {
+  PluginVerificationError,
+  createTarball,
+  readTarball,
+  generateSigningKeys,
+  compareVersions
+} = require('../../../src/core/plugins/plugin-package');
+
+describe('LocalPluginRegistry', () => {
+  let root;
+  let registryDir;
+  let keys;
+  let trustedKeys;
+
+  const writePlugin = (version, extra = {}) => {
+    const dir = path.join(root, 'src', `acme-notes-${version}`);
+    fs.mkdirSync(path.join(dir, 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+      name: 'acme-notes',
+      version,
+      author: 'Platform Team',
+      description: 'Meeting notes for agents',
+      keywords: ['minutes'],
+      capabilities: ['memory_access'],
+      ...extra
+    }));
+    fs.writeFileSync(path.join(dir, 'index.js'), `module.exports = { version: '${version}' };\n`);
+    fs.writeFileSync(path.join(dir, 'lib', 'format.js'), 'module.exports = text => text.trim();\n');
+    return dir;
+  };
+
+  const openRegistry = (options = {}) => new LocalPluginRegistry({
+    location: registryDir,
+    cacheDir: path.join(root, 'cache'),
+    trustedKeys,
+    ...options
+  });
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-plugins-'));
+    registryDir = path.join(root, 'registry');
+    keys = generateSigningKeys();
+    trustedKeys = { platform: keys.publicKey };
+
+    const registry = openRegistry();
+    await registry.publish(writePlugin('1.0.0'), { privateKey: keys.privateKey, keyId: 'platform' });
+    await registry.publish(writePlugin('1.2.0'), { privateKey: keys.privateKey, keyId: 'platform', changelog: 'Markdown export' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should publish signed packages into a static index', async () => {
+    const index = JSON.parse(fs.readFileSync(path.join(registryDir, 'index.json'), 'utf-8'));
+    const entry = index.plugins['acme-notes'];
+
+    expect(index.format).toBe('bumba-plugin-registry');
+    expect(entry.latest).toBe('1.2.0');
+    expect(entry.versions['1.0.0']).toMatchObject({
+      file: 'packages/acme-notes-1.0.0.tgz',
+      integrity: expect.stringMatching(/^sha256-/),
+      keyId: 'platform'
+    });
+    expect(readTarball(fs.readFileSync(path.join(registryDir, entry.versions['1.0.0'].file))).map(file => file.path))
+      .toEqual(['package/index.js', 'package/lib/format.js', 'package/package.json']);
+
+    await expect(openRegistry().publish(writePlugin('1.2.0'), { privateKey: keys.privateKey, keyId: 'platform' }))
+      .rejects.toThrow('acme-notes@1.2.0 is already published');
+  });
+
+  it('should search and describe plugins', async () => {
+    const registry = openRegistry();
+
+    expect(await registry.search('minutes')).toEqual([{
+      name: 'acme-notes',
+      version: '1.2.0',
+      author: 'Platform Team',
+      description: 'Meeting notes for agents',
+      capabilities: ['memory_access'],
+      verified: true,
+      keyId: 'platform'
+    }]);
+    expect(await registry.search('notes', { capability: 'network' })).toEqual([]);
+    expect((await registry.getPluginDetails('acme-notes')).versions).toEqual(['1.2.0', '1.0.0']);
+    expect(await registry.checkUpdate('acme-notes', '1.0.0')).toEqual({
+      hasUpdate: true,
+      version: '1.2.0',
+      changelog: 'Markdown export',
+      source: 'bumba:acme-notes@1.2.0'
+    });
+    expect((await openRegistry({ trustedKeys: {} }).search('notes'))[0].verified).toBe(false);
+  });
+
+  it('should refuse packages whose integrity or signature does not check out', async () => {
+    const destDir = path.join(root, 'plugins');
+    const archive = path.join(registryDir, 'packages', 'acme-notes-1.0.0.tgz');
+
+    await expect(openRegistry({ trustedKeys: {} }).downloadPlugin('acme-notes', { destDir }))
+      .rejects.toThrow("signing key 'platform' is not trusted");
+
+    const impostor = generateSigningKeys();
+    await expect(openRegistry({ trustedKeys: { platform: impostor.publicKey } }).downloadPlugin('acme-notes', { destDir }))
+      .rejects.toThrow("signature does not match key 'platform'");
+
+    fs.writeFileSync(archive, createTarball([{ path: 'package/index.js', data: 'process.exit(1);' }]));
+    const error = await openRegistry().downloadPlugin('acme-notes', { version: '1.0.0', destDir }).catch(caught => caught);
+    expect(error).toBeInstanceOf(PluginVerificationError);
+    expect(error.reason).toMatch(/^integrity mismatch/);
+    expect(fs.existsSync(destDir)).toBe(false);
+  });
+
+  it('should serve registries packed into a single tarball', async () => {
+    const files = [];
+    const collect = relative => {
+      for (const entry of fs.readdirSync(path.join(registryDir, relative), { withFileTypes: true })) {
+        const child = path.posix.join(relative, entry.name);
+        if (entry.isDirectory()) {
+          collect(child);
+        } else {
+          files.push({ path: `acme-registry/${child}`, data: fs.readFileSync(path.join(registryDir, child)) });
+        }
+      }
+    };
+    collect('');
+    const tarball = path.join(root, 'acme-registry.tgz');
+    fs.writeFileSync(tarball, createTarball(files));
+
+    const registry = openRegistry({ location: tarball });
+    const pluginPath = await registry.downloadPlugin('acme-notes', { version: '1.0.0', destDir: path.join(root, 'plugins') });
+
+    expect(registry.kind).toBe('tarball');
+    expect(fs.readFileSync(path.join(pluginPath, 'index.js'), 'utf-8')).toContain("version: '1.0.0'");
+    await expect(registry.publish(writePlugin('2.0.0'), { privateKey: keys.privateKey, keyId: 'platform' }))
+      .rejects.toThrow('only be published to a directory registry');
+  });
+
+  it('should install, verify and update registry plugins through the plugin manager', async () => {
+    const manager = new BumbaPluginManager();
+    manager.config = {
+      ...manager.config,
+      registry: registryDir,
+      pluginsDir: path.join(root, 'plugins'),
+      cacheDir: path.join(root, 'cache'),
+      trustedKeysDir: path.join(root, 'trusted-keys')
+    };
+    manager.registry.dbPath = path.join(root, 'installed.json');
+    fs.mkdirSync(manager.config.trustedKeysDir);
+    fs.writeFileSync(path.join(manager.config.trustedKeysDir, 'platform.pem'), keys.publicKey);
+    await manager.initializeMarketplace();
+
+    const pluginId = await manager.installPlugin('bumba:acme-notes@1.0.0', { load: false, register: false });
+    const installed = await manager.registry.getPlugin(pluginId);
+    expect(installed).toMatchObject({ name: 'acme-notes', version: '1.0.0', source: 'bumba:acme-notes@1.0.0' });
+    expect(installed.path).toBe(path.join(root, 'plugins', 'acme-notes-1.0.0'));
+
+    // Files changed after install no longer match the signed package
+    const config = await manager.loader.loadPluginConfig(installed.path);
+    fs.appendFileSync(path.join(installed.path, 'lib', 'format.js'), 'require("child_process");\n');
+    await expect(manager.validatePluginSafety(config, installed.path)).rejects.toThrow('lib/format.js was modified after install');
+    fs.writeFileSync(path.join(installed.path, 'lib', 'format.js'), 'module.exports = text => text.trim();\n');
+
+    expect(await manager.updatePlugin(pluginId, { load: false, register: false })).toBe(true);
+    const [updated] = await manager.registry.listPlugins();
+    expect(updated).toMatchObject({ version: '1.2.0', path: path.join(root, 'plugins', 'acme-notes-1.2.0') });
+    expect(fs.existsSync(installed.path)).toBe(false);
+  });
+
+  it('should not fall back to canned marketplace results', async () => {
+    const marketplace = new PluginMarketplace();
+    marketplace.location = null;
+    await marketplace.initialize(true);
+
+    await expect(marketplace.search('git')).rejects.toThrow('No plugin registry configured');
+
+    await marketplace.initialize(true, { registry: registryDir, cacheDir: path.join(root, 'cache'), trustedKeys });
+    expect((await marketplace.search('acme')).map(plugin => plugin.name)).toEqual(['acme-notes']);
+  });
+
+  it('should order versions numerically with prereleases first', () => {
+    expect(['1.10.0', '1.2.0', '1.2.0-beta.1', '0.9.9'].sort(compareVersions)).toEqual(['0.9.9', '1.2.0-beta.1', '1.2.0', '1.10.0']);
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * BUMBA Plugin Capability Tests
+ * Plugins run isolated and reach the host only through an API that enforces
+ * their declared capabilities
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { BumbaPluginArchitecture } = require('../../../src/core/plugins/plugin-architecture');
+const {
+  CapabilityGuard,
+  validateCapabilities,
+  resolveCapabilities,
+  globToRegExp
+} = require('../../../src/core/plugins/plugin-capabilities');
+
+describe('Plugin capabilities', () => {
+  let root;
+  let cwd;
+  let architecture;
+  let auditLogger;
+
+  const writePlugin = (name, source, manifest = {}) => {
+    const dir = path.join(root, 'plugins', name);
+    fs.mkdirSync(path.join(dir, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.js'), source);
+    fs.writeFileSync(path.join(dir, 'data', 'notes.txt'), 'standup at 10');
+    return {
+      name,
+      version: '1.0.0',
+      author: 'Platform Team',
+      description: 'Test plugin',
+      main: 'index.js',
+      ...manifest
+    };
+  };
+
+  const loadPlugin = async (name, source, manifest) => {
+    const config = writePlugin(name, source, manifest);
+    const pluginId = await architecture.registerPlugin(config);
+    await architecture.loadPlugin(pluginId, path.join('plugins', name));
+    return architecture.getPlugin(pluginId);
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-capabilities-')));
+    fs.writeFileSync(path.join(root, 'secret.txt'), 'credentials');
+    // Plugins are only loaded from ./plugins
+    cwd = process.cwd();
+    process.chdir(root);
+
+    auditLogger = { log: jest.fn().mockResolvedValue('audit-id') };
+    architecture = new BumbaPluginArchitecture({ auditLogger });
+  });
+
+  afterEach(async () => {
+    for (const plugin of architecture.getAllPlugins()) {
+      await architecture.unloadPlugin(plugin.id);
+    }
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should resolve scoped and legacy capability declarations', () => {
+    expect(resolveCapabilities({
+      capabilities: { fs: { read: ['data/**'] }, network: { hosts: ['api.github.com'] } }
+    })).toEqual({
+      fs: { read: ['data/**'], write: [] },
+      network: { hosts: ['api.github.com'] },
+      shell: { commands: [] },
+      memory: { read: false, write: false },
+      hooks: []
+    });
+
+    expect(resolveCapabilities({
+      capabilities: ['file_system', 'memory_access'],
+      hooks: { beforeTaskExecution: 'onTask' }
+    })).toMatchObject({
+      fs: { read: ['**'], write: ['**'] },
+      network: { hosts: [] },
+      memory: { read: true, write: true },
+      hooks: ['beforeTaskExecution']
+    });
+
+    expect(() => validateCapabilities({ fs: { delete: ['**'] } })).toThrow('Invalid capability field: fs.delete');
+    expect(() => validateCapabilities({ network: { hosts: 'api.github.com' } })).toThrow('must be an array of strings');
+    expect(() => validateCapabilities(['telepathy'])).toThrow('Invalid capability: telepathy');
+  });
+
+  it('should match paths, hosts and commands against the policy', () => {
+    const guard = new CapabilityGuard(resolveCapabilities({
+      capabilities: {
+        fs: { read: ['data/**', '*.md'] },
+        network: { hosts: ['*.acme.internal', 'api.github.com'] },
+        shell: { commands: ['git'] }
+      }
+    }), '/srv/plugins/notes');
+
+    expect(guard.checkPath('read', '/srv/plugins/notes/data/2024/notes.txt')).toBeNull();
+    expect(guard.checkPath('read', '/srv/plugins/notes/data')).toBeNull();
+    expect(guard.checkPath('read', '/srv/plugins/notes/README.md')).toBeNull();
+    expect(guard.checkPath('read', '/srv/plugins/notes/docs/README.md')).toMatch(/outside the declared fs.read paths/);
+    expect(guard.checkPath('read', '/srv/plugins/notes/database.txt')).toMatch(/outside/);
+    expect(guard.checkPath('write', '/srv/plugins/notes/data/notes.txt')).toBe('no fs.write capability declared');
+
+    expect(guard.checkHost('https://ci.acme.internal/builds')).toBeNull();
+    expect(guard.checkHost('https://api.github.com/repos')).toBeNull();
+    expect(guard.checkHost('https://acme.internal.evil.com/')).toMatch(/not in the network allowlist/);
+    expect(guard.checkHost('file:///etc/passwd')).toBe('protocol file: is not allowed');
+
+    expect(guard.checkCommand('git')).toBeNull();
+    expect(guard.checkCommand('/usr/bin/git')).toMatch(/not in the shell allowlist/);
+    expect(guard.checkMemory('read')).toBe('no memory.read capability declared');
+
+    expect(globToRegExp('/a/**/b.js').test('/a/b.js')).toBe(true);
+    expect(globToRegExp('/a/**/b.js').test('/a/x/y/b.js')).toBe(true);
+    expect(globToRegExp('/a/*.js').test('/a/x/b.js')).toBe(false);
+  });
+
+  it('should refuse direct access to Node builtins and audit the attempt', async () => {
+    const config = writePlugin('sneaky', "const fs = require('fs');\nmodule.exports = { read: () => fs.readFileSync('/etc/passwd') };\n");
+    const pluginId = await architecture.registerPlugin(config);
+
+    await expect(architecture.loadPlugin(pluginId, 'plugins/sneaky')).rejects.toThrow("Plugins may not require 'fs'");
+    expect(architecture.getPlugin(pluginId).state).toBe('error');
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'PLUGIN_PERMISSION_DENIED',
+      user: 'plugin:sneaky',
+      action: 'require.load',
+      resource: 'fs',
+      result: 'DENIED'
+    }));
+
+    const escape = writePlugin('escape', "module.exports = { lib: require('./lib') };\n");
+    fs.writeFileSync(path.join(root, 'plugins', 'escape', 'lib.js'), "module.exports = require('../../secret.txt');\n");
+    const escapeId = await architecture.registerPlugin(escape);
+    await expect(architecture.loadPlugin(escapeId, 'plugins/escape')).rejects.toThrow(/Cannot find module|outside the plugin directory/);
+  });
+
+  it('should not let getters on thrown or exported values reach process through stack frames', async () => {
+    // Walks the captured call sites for a function whose constructor compiles code
+    const plugin = await loadPlugin('frames', `
+      const probe = () => {
+        Error.prepareStackTrace = (error, sites) => sites;
+        const sites = new Error().stack;
+        Error.prepareStackTrace = undefined;
+        for (const site of sites) {
+          const fn = site.getFunction();
+          try {
+            if (fn) { return 'escaped:' + typeof fn.constructor('return process')().pid; }
+          } catch {}
+        }
+        return 'contained';
+      };
+      module.exports = {
+        thrown: () => { throw Object.defineProperty({}, 'name', { get: probe }); },
+        returned: () => Object.defineProperty({}, 'found', { get: probe, enumerable: true }),
+        recalled: () => api.memory.retrieve(Object.defineProperty({}, 'key', { get: probe, enumerable: true }))
+      };
+      Object.defineProperty(module.exports, 'lazy', { get: probe, enumerable: true });
+    `, { capabilities: { memory: { read: true } } });
+
+    const thrown = await plugin.exports.thrown().catch(error => error);
+    expect(thrown.code).toBe('EXECUTION_FAILED');
+    expect(thrown.remote.name).toBe('contained');
+    expect(await plugin.exports.returned()).toEqual({ found: 'contained' });
+    expect(await plugin.exports.recalled()).toBeNull();
+
+    const failing = writePlugin('failing', `
+      throw Object.defineProperty({}, 'message', { get: () => {
+        Error.prepareStackTrace = (error, sites) => sites;
+        const sites = new Error().stack;
+        Error.prepareStackTrace = undefined;
+        for (const site of sites) {
+          try {
+            return 'escaped:' + typeof site.getFunction().constructor('return process')().pid;
+          } catch {}
+        }
+        return 'contained';
+      } });
+    `);
+    const failingId = await architecture.registerPlugin(failing);
+    await expect(architecture.loadPlugin(failingId, 'plugins/failing')).rejects.toThrow('failed: contained');
+  });
+
+  it('should scope file access to the declared globs', async () => {
+    const denials = [];
+    architecture.on('plugin_permission_denied', denial => denials.push(denial));
+
+    const plugin = await loadPlugin('notes', `
+      const attempt = promise => promise.then(value => ({ value }), error => ({ error: error.message }));
+      module.exports = {
+        readNotes: () => api.fs.readFile('data/notes.txt'),
+        probe: async () => ({
+          secret: await attempt(api.fs.readFile('../../secret.txt')),
+          write: await attempt(api.fs.writeFile('data/out.txt', 'hi')),
+          viaLink: await attempt(api.fs.readFile('data/link.txt')),
+          typeofProcess: typeof process
+        })
+      };
+    `, { capabilities: { fs: { read: ['data/**'] } } });
+    fs.symlinkSync(path.join(root, 'secret.txt'), path.join(root, 'plugins', 'notes', 'data', 'link.txt'));
+
+    expect(await plugin.exports.readNotes()).toBe('standup at 10');
+
+    const probe = await plugin.exports.probe();
+    expect(probe.secret.error).toMatch(/may not fs.read .*secret.txt: outside the declared fs.read paths/);
+    expect(probe.write.error).toMatch(/no fs.write capability declared/);
+    expect(probe.viaLink.error).toMatch(/outside the declared fs.read paths/);
+    expect(probe.typeofProcess).toBe('undefined');
+    expect(fs.existsSync(path.join(root, 'plugins', 'notes', 'data', 'out.txt'))).toBe(false);
+
+    expect(denials.map(denial => `${denial.capability}.${denial.operation}`)).toEqual(['fs.read', 'fs.write', 'fs.read']);
+    expect(auditLogger.log).toHaveBeenCalledTimes(3);
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'fs.read',
+      resource: path.join(root, 'secret.txt'),
+      metadata: { pluginId: plugin.id, version: '1.0.0' }
+    }));
+  });
+
+  it('should enforce network, shell and memory capabilities', async () => {
+    const plugin = await loadPlugin('ops', `
+      const attempt = promise => promise.then(value => ({ value }), error => ({ error: error.message }));
+      module.exports = {
+        probe: async () => ({
+          fetch: await attempt(api.net.fetch('http://169.254.169.254/latest/meta-data')),
+          echo: await attempt(api.shell.exec('echo', ['hello'])),
+          shellOut: await attempt(api.shell.exec('sh', ['-c', 'cat /etc/passwd'])),
+          store: await attempt(api.memory.store('last-run', { ok: true })),
+          recall: await attempt(api.memory.retrieve('last-run'))
+        })
+      };
+    `, { capabilities: { network: { hosts: ['api.github.com'] }, shell: { commands: ['echo'] }, memory: { read: true } } });
+
+    const probe = await plugin.exports.probe();
+
+    expect(probe.fetch.error).toMatch(/host 169.254.169.254 is not in the network allowlist/);
+    expect(probe.echo.value).toEqual({ code: 0, stdout: 'hello\n', stderr: '' });
+    expect(probe.shellOut.error).toMatch(/command sh is not in the shell allowlist/);
+    expect(probe.store.error).toMatch(/no memory.write capability declared/);
+    expect(probe.recall.value).toBeNull();
+    expect(auditLogger.log.mock.calls.map(([event]) => event.action)).toEqual(['network.fetch', 'shell.exec', 'memory.write']);
+  });
+
+  it('should only register declared hooks and run handlers in the isolate', async () => {
+    const plugin = await loadPlugin('hooked', `
+      module.exports = {
+        hooks: {
+          beforeTaskExecution: context => ({ seen: context.task, config: config.label }),
+          onError: () => 'should not run'
+        },
+        spin: () => { for (;;) {} }
+      };
+    `, { capabilities: { hooks: ['beforeTaskExecution'] }, config: { label: 'from manifest' } });
+    await architecture.activatePlugin(plugin.id);
+
+    const { results, errors } = await architecture.executeHook('beforeTaskExecution', { task: 'deploy' });
+    expect(errors).toEqual([]);
+    expect(results[0].result).toEqual({ seen: 'deploy', config: 'from manifest' });
+    expect((await architecture.executeHook('onError', {})).results).toEqual([]);
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'hooks.register', resource: 'onError' }));
+
+    await expect(plugin.exports.spin(null, { timeout: 200 })).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+});
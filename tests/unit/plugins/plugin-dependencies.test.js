@@ -0,0 +1,293 @@
+/**
+ * BUMBA Plugin Dependency Tests
+ * Semver ranges for BUMBA and other plugins, consistent installs and
+ * hot-swapped upgrades with state migration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const { LocalPluginRegistry } = require('../../../src/core/plugins/local-plugin-registry');
+const { BumbaPluginArchitecture } = require('../../../src/core/plugins/plugin-architecture');
+const { BumbaPluginManager } = require('../../../src/core/plugins/plugin-manager');
+const { generateSigningKeys } = require('../../../src/core/plugins/plugin-package');
+const { satisfies, maxSatisfying, isValidRange } = require('../../../src/core/plugins/plugin-semver');
+const {
+  PluginDependencyError,
+  PluginDependencyResolver,
+  normalizeDependencies
+} = require('../../../src/core/plugins/plugin-dependencies');
+
+const NOTES_V1 = `
+  let notes = [];
+  module.exports = {
+    add: text => { notes.push(text); return notes.length; },
+    list: () => notes,
+    getState: () => ({ notes })
+  };
+`;
+
+const NOTES_V2 = `
+  let notes = [];
+  module.exports = {
+    add: text => { notes.push({ text }); return notes.length; },
+    list: () => notes,
+    getState: () => ({ notes }),
+    migrate: old => { notes = old.notes.map(text => ({ text })); }
+  };
+`;
+
+describe('Plugin dependencies', () => {
+  describe('semver ranges', () => {
+    it('should match caret, tilde, x-range, hyphen and union ranges', () => {
+      expect(satisfies('1.4.2', '^1.2.0')).toBe(true);
+      expect(satisfies('2.0.0', '^1.2.0')).toBe(false);
+      expect(satisfies('0.2.5', '^0.2.1')).toBe(true);
+      expect(satisfies('0.3.0', '^0.2.1')).toBe(false);
+      expect(satisfies('1.2.9', '~1.2.3')).toBe(true);
+      expect(satisfies('1.3.0', '~1.2.3')).toBe(false);
+      expect(satisfies('1.9.0', '1.x')).toBe(true);
+      expect(satisfies('1.3.0', '1.0.0 - 1.4.0')).toBe(true);
+      expect(satisfies('3.1.0', '^1.0.0 || >=3.0.0 <4.0.0')).toBe(true);
+      expect(satisfies('1.3.0', '>= 1.2.0 < 2.0.0')).toBe(true);
+    });
+
+    it('should only match prereleases when the range asks for them', () => {
+      expect(satisfies('2.0.0-beta.1', '^1.0.0 || ^2.0.0')).toBe(false);
+      expect(satisfies('2.0.0-beta.2', '>=2.0.0-beta.1')).toBe(true);
+      expect(maxSatisfying(['1.0.0', '1.2.0', '1.10.0', '2.0.0'], '^1.0.0')).toBe('1.10.0');
+      expect(isValidRange('^1.2')).toBe(true);
+      expect(isValidRange('one-point-oh')).toBe(false);
+    });
+
+    it('should read dependency lists in either manifest form', () => {
+      expect(normalizeDependencies(['acme-base@^1.1.0', '@acme/charts', '@acme/theme@~2.0.0'])).toEqual({
+        'acme-base': '^1.1.0',
+        '@acme/charts': '*',
+        '@acme/theme': '~2.0.0'
+      });
+      expect(normalizeDependencies({ 'acme-base': '^1.1.0' })).toEqual({ 'acme-base': '^1.1.0' });
+    });
+  });
+
+  describe('PluginDependencyResolver', () => {
+    const registry = versions => ({
+      getPluginDetails: async name => {
+        if (!versions[name]) {
+          throw new Error(`Plugin ${name} not found`);
+        }
+        return { name, versions: Object.keys(versions[name]) };
+      },
+      resolve: async (name, version) => versions[name][version]
+    });
+
+    const catalog = {
+      'acme-notes': {
+        '1.0.0': { dependencies: {} },
+        '2.0.0': { dependencies: { 'acme-base': '^1.1.0' } },
+        '3.0.0': { dependencies: { 'acme-base': '^2.0.0' }, engines: { bumba: '>=9.0.0' } }
+      },
+      'acme-base': {
+        '1.0.0': {},
+        '1.1.0': {},
+        '1.4.0': { dependencies: { 'acme-utils': '^1.0.0' } },
+        '2.0.0': {}
+      },
+      'acme-utils': {
+        '1.0.0': {}
+      }
+    };
+
+    it('should pick the newest compatible versions, dependencies first', async () => {
+      const resolver = new PluginDependencyResolver({ bumbaVersion: '1.3.0', registry: registry(catalog) });
+
+      const plan = await resolver.resolve([{ name: 'acme-notes', range: '*' }]);
+
+      // 3.0.0 needs a newer BUMBA, so 2.0.0 is the newest that runs here
+      expect(plan.map(step => `${step.name}@${step.version}`)).toEqual(['acme-utils@1.0.0', 'acme-base@1.4.0', 'acme-notes@2.0.0']);
+      expect(plan.every(step => step.action === 'install')).toBe(true);
+    });
+
+    it('should keep installed plugins and backtrack around their requirements', async () => {
+      const resolver = new PluginDependencyResolver({
+        bumbaVersion: '1.3.0',
+        registry: registry(catalog),
+        installed: [
+          { name: 'acme-base', version: '1.1.0', dependencies: {} },
+          { name: 'acme-dash', version: '1.0.0', dependencies: { 'acme-notes': '<3.0.0' } }
+        ]
+      });
+
+      const plan = await resolver.resolve([{ name: 'acme-notes', range: '>=1.0.0' }]);
+
+      expect(plan.map(step => `${step.name}@${step.version}:${step.action}`)).toEqual(['acme-base@1.1.0:keep', 'acme-notes@2.0.0:install']);
+    });
+
+    it('should refuse installs that conflict with installed plugins', async () => {
+      const resolver = new PluginDependencyResolver({
+        bumbaVersion: '1.3.0',
+        registry: registry(catalog),
+        installed: [
+          { name: 'acme-notes', version: '1.0.0', dependencies: {} },
+          { name: 'acme-dash', version: '1.0.0', dependencies: { 'acme-notes': '^1.0.0' } }
+        ]
+      });
+
+      const error = await resolver.resolve([{ name: 'acme-notes', range: '>1.0.0' }], { replaces: ['acme-notes'] }).catch(e => e);
+
+      expect(error).toBeInstanceOf(PluginDependencyError);
+      expect(error.message).toBe('Cannot resolve plugin dependencies: no version of acme-notes satisfies ' +
+        '^1.0.0 (required by acme-dash@1.0.0), >1.0.0 (required by the install request); available: 3.0.0, 2.0.0, 1.0.0');
+      expect(error.conflicts).toHaveLength(1);
+
+      await expect(resolver.resolve([{ name: 'acme-missing', range: '*' }])).rejects.toThrow('acme-missing is not installed and not available');
+    });
+  });
+
+  describe('BumbaPluginArchitecture', () => {
+    it('should check BUMBA engine and plugin dependency ranges', async () => {
+      const architecture = new BumbaPluginArchitecture({ bumbaVersion: '1.3.0' });
+      const manifest = { version: '1.0.0', author: 'Platform Team', description: 'Test plugin' };
+
+      await expect(architecture.registerPlugin({ ...manifest, name: 'future', engines: { bumba: '^2.0.0' } }))
+        .rejects.toThrow('Plugin future requires BUMBA ^2.0.0 (running 1.3.0)');
+      await expect(architecture.registerPlugin({ ...manifest, name: 'typo', dependencies: { 'acme-base': 'latest-ish' } }))
+        .rejects.toThrow('Invalid version range for dependency acme-base: latest-ish');
+
+      await expect(architecture.registerPlugin({ ...manifest, name: 'acme-notes', dependencies: ['acme-base@^1.2.0'] }))
+        .rejects.toThrow('Missing dependency: acme-base@^1.2.0');
+
+      const baseId = await architecture.registerPlugin({ ...manifest, name: 'acme-base', version: '1.1.0' });
+      await expect(architecture.registerPlugin({ ...manifest, name: 'acme-notes', dependencies: ['acme-base@^1.2.0'] }))
+        .rejects.toThrow('Dependency acme-base@1.1.0 does not satisfy ^1.2.0 required by acme-notes');
+
+      architecture.getPlugin(baseId).version = '1.2.3';
+      const notesId = await architecture.registerPlugin({ ...manifest, name: 'acme-notes', dependencies: ['acme-base@^1.2.0'] });
+      expect(architecture.dependencies.get(notesId)).toEqual(new Set([baseId]));
+    });
+  });
+
+  describe('hot upgrades', () => {
+    let root;
+    let cwd;
+    let keys;
+    let manager;
+
+    const publish = async (name, version, source, manifest = {}) => {
+      const dir = path.join(root, 'src', `${name}-${version}`);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+        name,
+        version,
+        author: 'Platform Team',
+        description: 'Test plugin'
+      }));
+      fs.writeFileSync(path.join(dir, 'bumba.json'), JSON.stringify(manifest));
+      fs.writeFileSync(path.join(dir, 'index.js'), source);
+
+      const registry = new LocalPluginRegistry({ location: path.join(root, 'registry'), cacheDir: path.join(root, 'cache') });
+      await registry.publish(dir, { privateKey: keys.privateKey, keyId: 'platform' });
+    };
+
+    beforeEach(async () => {
+      jest.useRealTimers();
+      root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-dependencies-')));
+      keys = generateSigningKeys();
+      // Plugins are only loaded from ./plugins
+      cwd = process.cwd();
+      process.chdir(root);
+
+      await publish('acme-base', '1.0.0', 'module.exports = {};\n');
+      await publish('acme-base', '1.1.0', 'module.exports = {};\n');
+      await publish('acme-notes', '1.0.0', NOTES_V1);
+
+      manager = new BumbaPluginManager();
+      manager.config = {
+        ...manager.config,
+        registry: path.join(root, 'registry'),
+        pluginsDir: path.join(root, 'plugins'),
+        cacheDir: path.join(root, 'cache'),
+        trustedKeysDir: path.join(root, 'trusted-keys')
+      };
+      manager.registry.dbPath = path.join(root, 'installed.json');
+      fs.mkdirSync(manager.config.trustedKeysDir);
+      fs.writeFileSync(path.join(manager.config.trustedKeysDir, 'platform.pem'), keys.publicKey);
+      await manager.initializeMarketplace();
+    });
+
+    afterEach(async () => {
+      for (const plugin of manager.architecture.getAllPlugins()) {
+        await manager.architecture.unloadPlugin(plugin.id);
+      }
+      process.chdir(cwd);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should install the new version and its dependencies, migrate state and retire the old one', async () => {
+      await publish('acme-notes', '2.0.0', NOTES_V2, { dependencies: { 'acme-base': '^1.1.0' }, engines: { bumba: '>=1.0.0' } });
+
+      const pluginId = await manager.installPlugin('bumba:acme-notes@^1.0.0', { activate: true });
+      const oldPlugin = manager.architecture.getPlugin(pluginId);
+      await oldPlugin.exports.add('standup at 10');
+      await oldPlugin.exports.add('retro at 4');
+
+      const updated = jest.fn();
+      manager.on('plugin_updated', updated);
+      expect(await manager.updatePlugin(pluginId)).toBe(true);
+
+      const [base, notes] = (await manager.registry.listPlugins()).sort((a, b) => a.name.localeCompare(b.name));
+      expect(base).toMatchObject({ name: 'acme-base', version: '1.1.0' });
+      expect(notes).toMatchObject({ name: 'acme-notes', version: '2.0.0', dependencies: { 'acme-base': '^1.1.0' } });
+
+      const newPlugin = manager.architecture.getPlugin(notes.id);
+      expect(newPlugin.state).toBe('active');
+      expect(await newPlugin.exports.list()).toEqual([{ text: 'standup at 10' }, { text: 'retro at 4' }]);
+
+      expect(manager.architecture.getPlugin(pluginId)).toBeUndefined();
+      expect(fs.existsSync(path.join(root, 'plugins', 'acme-notes-1.0.0'))).toBe(false);
+      expect(fs.readdirSync(path.join(root, 'cache', 'backups'))).toEqual([]);
+      expect(updated).toHaveBeenCalledWith(expect.objectContaining({ oldVersion: '1.0.0', newVersion: '2.0.0', newPluginId: notes.id }));
+    });
+
+    it('should roll back to the old version when the upgrade fails', async () => {
+      await publish('acme-notes', '1.1.0', NOTES_V1.replace('getState:', "migrate: () => { throw new Error('bad schema'); },\n    getState:"));
+
+      const pluginId = await manager.installPlugin('bumba:acme-notes@1.0.0', { activate: true });
+      await manager.architecture.getPlugin(pluginId).exports.add('standup at 10');
+
+      await expect(manager.updatePlugin(pluginId)).rejects.toThrow('bad schema');
+
+      const installed = await manager.registry.listPlugins();
+      expect(installed).toEqual([expect.objectContaining({ id: pluginId, version: '1.0.0' })]);
+      expect(fs.existsSync(path.join(root, 'plugins', 'acme-notes-1.1.0'))).toBe(false);
+      expect(fs.readFileSync(path.join(root, 'plugins', 'acme-notes-1.0.0', 'index.js'), 'utf-8')).toBe(NOTES_V1);
+
+      const oldPlugin = manager.architecture.getPlugin(pluginId);
+      expect(oldPlugin.state).toBe('active');
+      expect(await oldPlugin.exports.list()).toEqual(['standup at 10']);
+      expect(manager.architecture.getAllPlugins()).toHaveLength(1);
+    });
+
+    it('should refuse an upgrade that breaks an installed dependent', async () => {
+      await publish('acme-notes', '2.0.0', NOTES_V2);
+      await publish('acme-dash', '1.0.0', 'module.exports = {};\n', { dependencies: ['acme-notes@^1.0.0'] });
+
+      const pluginId = await manager.installPlugin('bumba:acme-notes@1.0.0', { load: false, register: false });
+      await manager.installPlugin('bumba:acme-dash', { load: false, register: false });
+
+      await expect(manager.updatePlugin(pluginId)).rejects.toThrow(PluginDependencyError);
+      expect((await manager.registry.getPlugin(pluginId)).version).toBe('1.0.0');
+      await expect(manager.installPlugin('bumba:acme-notes@2.0.0')).rejects.toThrow('Plugin acme-notes is already installed (v1.0.0)');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * BUMBA Function Sandbox Tests
+ * Worker-thread isolation, limits and structured-clone I/O for user functions
+ */
+
+const { FunctionSandbox, SandboxError } = require('../../../src/core/workflow/function-sandbox');
+const { WorkflowEngine } = require('../../../src/core/workflow/workflow-engine');
+const { TaskAutomation } = require('../../../src/core/workflow/task-automation');
+const SafePluginExecutor = require('../../../src/core/plugins/safe-plugin-executor');
+const { logger } = require('../../../src/core/logging/bumba-logger');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('FunctionSandbox', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    sandbox = new FunctionSandbox({
+      name: 'test',
+      timeout: 2000,
+      cpuTimeLimit: 300,
+      memoryLimitMb: 32,
+      api: { lookup: async key => ({ key, found: new Date(0) }) }
+    });
+  });
+
+  afterEach(async () => {
+    await sandbox.terminate();
+  });
+
+  const failure = promise => promise.then(
+    () => {
+      throw new Error('expected the sandboxed run to fail');
+    },
+    error => error
+  );
+
+  it('should pass input and output by structured clone and call whitelisted api functions', async () => {
+    const result = await sandbox.run(
+      `async (input, api) => {
+        const entry = await api.lookup(input.key);
+        return { total: input.values.reduce((a, b) => a + b, 0), entry, seen: input.seen.has('a') };
+      }`,
+      { key: 'k1', values: [1, 2, 3], seen: new Set(['a']) }
+    );
+
+    expect(result).toEqual({ total: 6, entry: { key: 'k1', found: new Date(0) }, seen: true });
+  });
+
+  it('should expose no host globals and refuse code generation', async () => {
+    await expect(sandbox.run('() => [typeof require, typeof process, typeof module, typeof Buffer]'))
+      .resolves.toEqual(['undefined', 'undefined', 'undefined', 'undefined']);
+
+    const escape = await failure(sandbox.run('input => input.constructor.constructor("return process")()', {}));
+    expect(escape).toBeInstanceOf(SandboxError);
+    expect(escape.code).toBe('EXECUTION_FAILED');
+    expect(escape.message).toContain('Code generation from strings disallowed');
+
+    // Errors raised by host functions are recreated inside the sandbox
+    const viaApi = await failure(sandbox.run(
+      `async (input, api) => {
+        try { await api.missing(); } catch (error) { return error.constructor.constructor('return process')(); }
+      }`,
+      undefined,
+      { api: { missing: () => { throw new Error('nope'); } } }
+    ));
+    expect(viaApi.message).toContain('Code generation from strings disallowed');
+  });
+
+  it('should give getters on thrown, returned and api values no host frames to reach process', async () => {
+    // Walks the captured call sites for a function whose constructor compiles code
+    const probe = `const probe = () => {
+      Error.prepareStackTrace = (error, sites) => sites;
+      const sites = new Error().stack;
+      Error.prepareStackTrace = undefined;
+      for (const site of sites) {
+        const fn = site.getFunction();
+        try {
+          if (fn) { return \`escaped:\${typeof fn.constructor('return process')().pid}\`; }
+        } catch {}
+      }
+      return 'contained';
+    };`;
+
+    const thrown = await failure(sandbox.run(`() => {
+      ${probe}
+      throw Object.defineProperty({}, 'name', { get: probe });
+    }`));
+    expect(thrown.code).toBe('EXECUTION_FAILED');
+    expect(thrown.remote.name).toBe('contained');
+
+    await expect(sandbox.run(`() => {
+      ${probe}
+      return Object.defineProperty({}, 'found', { get: probe, enumerable: true });
+    }`)).resolves.toEqual({ found: 'contained' });
+
+    const record = jest.fn(value => value);
+    await expect(sandbox.run(`async (input, api) => {
+      ${probe}
+      return api.record(Object.defineProperty({}, 'found', { get: probe, enumerable: true }));
+    }`, undefined, { api: { record } })).resolves.toEqual({ found: 'contained' });
+    expect(record).toHaveBeenCalledWith({ found: 'contained' });
+  });
+
+  it('should kill functions that exceed their CPU time', async () => {
+    const error = await failure(sandbox.run('() => { while (true) {} }'));
+
+    expect(error.code).toBe('CPU_LIMIT');
+    expect(error.message).toBe('test exceeded its CPU time limit of 300ms');
+  });
+
+  it('should stop busy code as a CPU overrun under the default limit', async () => {
+    const defaults = new FunctionSandbox({ name: 'defaults', timeout: 1000 });
+
+    try {
+      const busy = await failure(defaults.run('() => { while (true) {} }'));
+      expect(busy.code).toBe('CPU_LIMIT');
+      expect(busy.message).toBe('defaults exceeded its CPU time limit of 500ms');
+
+      // Waiting is not CPU time: idle code runs into the wall-clock limit
+      const idle = await failure(defaults.run('() => new Promise(resolve => setTimeout(resolve, 10000))'));
+      expect(idle.code).toBe('TIMEOUT');
+    } finally {
+      await defaults.terminate();
+    }
+  });
+
+  it('should kill functions that outlive the wall-clock timeout', async () => {
+    const error = await failure(sandbox.run('() => new Promise(resolve => setTimeout(resolve, 10000))', undefined, { timeout: 200 }));
+
+    expect(error.code).toBe('TIMEOUT');
+    expect(error.message).toBe('test timed out after 200ms');
+  });
+
+  it('should kill functions that exceed the memory limit', async () => {
+    const error = await failure(sandbox.run('() => { const chunks = []; while (true) { chunks.push(new Array(1e5).fill(1)); } }'));
+
+    expect(error.code).toBe('MEMORY_LIMIT');
+  });
+
+  it('should report thrown errors, uncloneable values and bad sources', async () => {
+    const thrown = await failure(sandbox.run('() => { throw new RangeError("out of range"); }'));
+    expect(thrown.message).toBe('test failed: out of range');
+    expect(thrown.remote).toMatchObject({ name: 'RangeError', message: 'out of range' });
+
+    expect((await failure(sandbox.run('() => () => 1'))).code).toBe('UNCLONEABLE');
+    expect((await failure(sandbox.run('input => input', { callback() {} }))).code).toBe('UNCLONEABLE');
+    expect((await failure(sandbox.run(''))).code).toBe('INVALID_SOURCE');
+    expect((await failure(sandbox.run('42'))).message).toBe('test failed: Sandboxed source must evaluate to a function');
+  });
+
+  it('should forward console output to the logger', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    await sandbox.run('() => { console.warn("low disk", { free: 1 }); }');
+
+    expect(warn).toHaveBeenCalledWith('[test] low disk {"free":1}');
+  });
+});
+
+describe('Sandboxed workflow code', () => {
+  it('should run function steps in the engine sandbox', async () => {
+    jest.useRealTimers();
+    const engine = new WorkflowEngine({ enhancedMode: false, autoRecover: false });
+    const workflow = await engine.createWorkflow({
+      name: 'Contributed',
+      steps: [
+        { id: 'score', type: 'function', source: 'vars => vars.points * 2', output: 'score' },
+        { id: 'grade', type: 'function', source: 'input => (input > 10 ? "A" : "B")', input: '$score', output: 'grade' }
+      ]
+    });
+
+    const result = await engine.executeWorkflow(workflow.id, { points: 7 });
+    engine.destroy();
+
+    expect(result.variables).toMatchObject({ score: 14, grade: 'A' });
+  });
+
+  it('should run function tasks given as source in the sandbox', async () => {
+    // Fake timers keep the pipeline scheduler loop idle; worker replies are not timers
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const automation = new TaskAutomation({ sandbox: { timeout: 1000 } });
+    const task = await automation.createTask({
+      name: 'Sandboxed',
+      action: { type: 'function', function: '({ value, factor }) => value * factor', params: { factor: 3 } }
+    });
+
+    const result = await automation.executeTask(task.id, { value: 5 });
+    automation.destroy();
+
+    expect(result.result).toBe(15);
+    expect(automation.functionSandbox.timeout).toBe(1000);
+  });
+
+  it('should run plugin code in a worker with context globals and api functions', async () => {
+    jest.useRealTimers();
+    const executor = new SafePluginExecutor('greeter', { timeout: 500 });
+    const audit = jest.fn(async () => 'logged');
+
+    await expect(executor.execute('return greeting + " " + (await audit(name))', {
+      greeting: 'hello',
+      name: 'bumba',
+      audit
+    })).rejects.toThrow('Plugin execution failed');
+
+    await expect(executor.execute('return greeting + " " + (await api.audit(name))', {
+      greeting: 'hello',
+      name: 'bumba',
+      audit
+    })).resolves.toBe('hello logged');
+    expect(audit).toHaveBeenCalledWith('bumba');
+
+    await expect(executor.execute('while (true) {}')).rejects.toThrow('Plugin execution failed: plugin-greeter exceeded its CPU time limit of 250ms');
+    await expect(executor.execute('await new Promise(resolve => setTimeout(resolve, 5000))'))
+      .rejects.toThrow('Plugin execution failed: plugin-greeter timed out after 500ms');
+  });
+});
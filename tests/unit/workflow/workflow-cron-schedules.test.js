@@ -0,0 +1,251 @@
+/**
+ * BUMBA Cron Schedule Tests
+ * Cron expressions, persisted schedules and missed-run catch-up
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CronExpression = require('../../../src/core/workflow/cron-expression');
+const WorkflowScheduler = require('../../../src/core/workflow/workflow-scheduler');
+const PipelineScheduler = require('../../../src/core/workflow/pipeline-scheduler');
+const { ScheduleStore } = require('../../../src/core/workflow/schedule-store');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const HOUR = 3600000;
+const iso = time => new Date(time).toISOString();
+
+describe('CronExpression', () => {
+  const nextTimes = (expression, from, count, timezone = 'UTC') => {
+    const cron = new CronExpression(expression, { timezone });
+    const times = [];
+    let time = Date.parse(from);
+
+    for (let i = 0; i < count; i++) {
+      time = cron.next(time);
+      times.push(iso(time));
+    }
+
+    return times;
+  };
+
+  it('should support ranges, steps, lists and names', () => {
+    expect(nextTimes('*/20 9-17 * * MON-FRI', '2026-10-16T17:30:00Z', 3)).toEqual([
+      '2026-10-16T17:40:00.000Z',
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-19T09:20:00.000Z'
+    ]);
+    expect(nextTimes('0 12 1 jan,jul *', '2026-02-01T00:00:00Z', 2)).toEqual([
+      '2026-07-01T12:00:00.000Z',
+      '2027-01-01T12:00:00.000Z'
+    ]);
+    expect(nextTimes('@weekly', '2026-10-19T00:00:00Z', 1)).toEqual(['2026-10-25T00:00:00.000Z']);
+  });
+
+  it('should accept a leading seconds field', () => {
+    expect(nextTimes('15,45 * * * * *', '2026-10-19T08:00:50Z', 3)).toEqual([
+      '2026-10-19T08:01:15.000Z',
+      '2026-10-19T08:01:45.000Z',
+      '2026-10-19T08:02:15.000Z'
+    ]);
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // The 13th of the month or any Friday
+    expect(nextTimes('0 0 13 * 5', '2026-10-10T00:00:00Z', 3)).toEqual([
+      '2026-10-13T00:00:00.000Z',
+      '2026-10-16T00:00:00.000Z',
+      '2026-10-23T00:00:00.000Z'
+    ]);
+  });
+
+  it('should evaluate in the schedule timezone across DST changes', () => {
+    expect(nextTimes('0 9 * * *', '2026-03-07T15:00:00Z', 2, 'America/New_York')).toEqual([
+      '2026-03-08T13:00:00.000Z',
+      '2026-03-09T13:00:00.000Z'
+    ]);
+    // 02:30 does not exist on 8 March; it runs at 03:30 EDT instead
+    expect(nextTimes('30 2 * * *', '2026-03-07T12:00:00Z', 2, 'America/New_York')).toEqual([
+      '2026-03-08T07:30:00.000Z',
+      '2026-03-09T06:30:00.000Z'
+    ]);
+    // 01:30 happens twice on 1 November; only the first one fires
+    expect(nextTimes('30 1 * * *', '2026-10-31T12:00:00Z', 2, 'America/New_York')).toEqual([
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-02T06:30:00.000Z'
+    ]);
+  });
+
+  it('should reject malformed expressions and unknown timezones', () => {
+    expect(() => new CronExpression('* * *')).toThrow("Invalid cron expression '* * *': expected 5 or 6 fields, got 3");
+    expect(() => new CronExpression('0 24 * * *')).toThrow('hour 24 is outside 0-23');
+    expect(() => new CronExpression('*/0 * * * *')).toThrow("minute invalid step '0'");
+    expect(() => new CronExpression('0 0 * * FUNDAY')).toThrow("dayOfWeek invalid value 'FUNDAY'");
+    expect(() => new CronExpression('0 0 * * *', { timezone: 'Mars/Olympus' })).toThrow("Unknown timezone 'Mars/Olympus'");
+    expect(new CronExpression('0 0 30 2 *', { timezone: 'UTC' }).next()).toBeNull();
+  });
+});
+
+describe('Persisted schedules', () => {
+  const START = Date.parse('2026-10-19T08:30:00Z');
+  const NIGHTLY = { id: 'nightly', name: 'Nightly build', steps: [] };
+  let root;
+  let filePath;
+  let schedulers;
+
+  const createScheduler = (config = {}) => {
+    const scheduler = new WorkflowScheduler({ persistence: { filePath }, ...config });
+    // Only the cron timers are under test, not the 100ms queue loop
+    clearInterval(scheduler.schedulingInterval);
+    scheduler.scheduleWorkflow = jest.fn(async workflow => ({ id: workflow.id }));
+    schedulers.push(scheduler);
+    return scheduler;
+  };
+
+  const createPipelineScheduler = (config = {}) => {
+    const scheduler = new PipelineScheduler({ persistence: { filePath }, ...config });
+    clearInterval(scheduler.schedulingInterval);
+    scheduler.schedulePipeline = jest.fn(async pipeline => ({ id: `run_${pipeline.id}` }));
+    schedulers.push(scheduler);
+    return scheduler;
+  };
+
+  const scheduledFor = scheduler => scheduler.scheduleWorkflow.mock.calls.map(([, options]) => iso(options.metadata.scheduledFor));
+
+  /**
+   * Schedule the nightly job, let it run once, then stop as if the process exited
+   */
+  const runThenStop = async catchUp => {
+    const scheduler = createScheduler();
+    scheduler.scheduleCron(NIGHTLY, '0 2 * * *', { timezone: 'Europe/Berlin', catchUp });
+    await jest.advanceTimersByTimeAsync(16 * HOUR);
+    scheduler.stopScheduler();
+
+    return scheduler;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START, doNotFake: ['nextTick', 'setImmediate'] });
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-schedules-'));
+    filePath = path.join(root, 'schedules.json');
+    schedulers = [];
+  });
+
+  afterEach(() => {
+    schedulers.forEach(scheduler => (scheduler.stopScheduler ? scheduler.stopScheduler() : scheduler.stop()));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should fire cron jobs on time and persist their next run', async () => {
+    const scheduler = await runThenStop('skip');
+
+    // 02:00 in Berlin is midnight UTC during summer time
+    expect(scheduledFor(scheduler)).toEqual(['2026-10-20T00:00:00.000Z']);
+
+    const [saved] = new ScheduleStore({ filePath }).list();
+    expect(saved).toMatchObject({
+      kind: 'workflow',
+      name: 'Nightly build',
+      expression: '0 2 * * *',
+      timezone: 'Europe/Berlin',
+      catchUp: 'skip',
+      nextRun: Date.parse('2026-10-21T00:00:00Z'),
+      workflow: NIGHTLY
+    });
+  });
+
+  it.each([
+    ['skip', []],
+    ['once', ['2026-10-23T00:00:00.000Z']],
+    ['all', ['2026-10-21T00:00:00.000Z', '2026-10-22T00:00:00.000Z', '2026-10-23T00:00:00.000Z']]
+  ])('should apply the %s catch-up policy to runs missed while stopped', async (policy, expected) => {
+    await runThenStop(policy);
+    jest.setSystemTime(Date.parse('2026-10-23T09:00:00Z'));
+
+    const restarted = createScheduler();
+    const missed = jest.fn();
+    restarted.on('cron:missed', missed);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(missed).toHaveBeenCalledWith(expect.objectContaining({ policy, missed: expect.any(Array) }));
+    expect(missed.mock.calls[0][0].missed).toHaveLength(3);
+    expect(scheduledFor(restarted)).toEqual(expected);
+    expect(restarted.getCronJobs()[0].nextRun).toBe(Date.parse('2026-10-24T00:00:00Z'));
+  });
+
+  it('should keep the newest runs when more than maxCatchUpRuns were missed', async () => {
+    const scheduler = createScheduler({ maxCatchUpRuns: 5 });
+    scheduler.scheduleCron(NIGHTLY, '* * * * *', { catchUp: 'skip' });
+    scheduler.scheduleCron({ id: 'hourly', steps: [] }, '15 * * * *', { catchUp: 'once' });
+    scheduler.stopScheduler();
+
+    // Three days later, exactly on a minute
+    const now = START + 72 * HOUR;
+    jest.setSystemTime(now);
+    const restarted = createScheduler({ maxCatchUpRuns: 5 });
+    const missed = jest.fn();
+    restarted.on('cron:missed', missed);
+    await jest.advanceTimersByTimeAsync(0);
+
+    // 'skip' still runs the on-time minute, 'once' the most recent missed hour;
+    // 08:29 is within the one minute tolerance, so only 08:26-08:28 were missed
+    expect(scheduledFor(restarted).sort()).toEqual([iso(now - 15 * 60000), iso(now)]);
+    const [everyMinute] = missed.mock.calls.find(([event]) => event.cronJob.workflow.id === 'nightly');
+    expect(everyMinute.truncated).toBe(true);
+    expect(everyMinute.missed.map(iso)).toEqual([4, 3, 2].map(minutes => iso(now - minutes * 60000)));
+
+    const pipelines = createPipelineScheduler({ maxCatchUpRuns: 3 });
+    pipelines.scheduleRecurringPipeline({ id: 'etl', name: 'ETL' }, 10 * 60000, { catchUp: 'all' });
+    const due = Array.from(pipelines.recurringPipelines.values())[0].nextRun + 10 * HOUR;
+    pipelines.stop();
+
+    jest.setSystemTime(due);
+    const restartedPipelines = createPipelineScheduler({ maxCatchUpRuns: 3 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    const [etl] = Array.from(restartedPipelines.recurringPipelines.values());
+    expect(etl.executions.map(execution => execution.scheduledFor)).toEqual([due - 20 * 60000, due - 10 * 60000, due]);
+  });
+
+  it('should reuse a restored job when the same schedule is registered again', async () => {
+    const scheduler = await runThenStop('skip');
+    const restarted = createScheduler();
+
+    const cronJob = restarted.scheduleCron(NIGHTLY, '0 2 * * *', { timezone: 'Europe/Berlin' });
+
+    expect(cronJob.id).toBe(scheduler.getCronJobs()[0].id);
+    expect(restarted.getCronJobs()).toHaveLength(1);
+    expect(new ScheduleStore({ filePath }).list()).toHaveLength(1);
+
+    expect(restarted.cancelCron(cronJob.id)).toBe(true);
+    expect(new ScheduleStore({ filePath }).list()).toEqual([]);
+  });
+
+  it('should keep recurring pipelines anchored and catch up after a restart', async () => {
+    const scheduler = createPipelineScheduler();
+    scheduler.scheduleRecurringPipeline({ id: 'etl', name: 'ETL' }, 10 * 60000, { catchUp: 'once' });
+    scheduler.scheduleRecurringPipeline({ id: 'report' }, '0 9 * * MON', { timezone: 'Asia/Tokyo' });
+
+    await jest.advanceTimersByTimeAsync(25 * 60000);
+    expect(scheduler.schedulePipeline).toHaveBeenCalledTimes(2);
+    scheduler.stop();
+
+    jest.setSystemTime(START + 2 * HOUR);
+    const restarted = createPipelineScheduler();
+    await jest.advanceTimersByTimeAsync(0);
+
+    const [etl, report] = Array.from(restarted.recurringPipelines.values());
+    expect(restarted.schedulePipeline).toHaveBeenCalledTimes(1);
+    expect(etl.executions[0].scheduledFor).toBe(START + 2 * HOUR);
+    expect(etl.nextRun).toBe(START + 2 * HOUR + 10 * 60000);
+    expect(iso(report.nextRun)).toBe('2026-10-26T00:00:00.000Z');
+  });
+});
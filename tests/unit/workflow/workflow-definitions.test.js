@@ -0,0 +1,162 @@
+/**
+ * BUMBA Workflow Definition Tests
+ * Declarative YAML/JSON workflows validated against the published schema
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkflowEngine } = require('../../../src/core/workflow/workflow-engine');
+const { WorkflowValidationError } = require('../../../src/core/workflow/workflow-validator');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const SCALE = `
+schemaVersion: 1
+name: Scale
+version: 2.1.0
+steps:
+  - id: double
+    type: transform
+    input: $value
+    transformation: data * 2
+    output: doubled
+  - id: total
+    type: transform
+    dependencies: [double]
+    input: { $expr: "doubled + 1" }
+    transformation: data
+    output: total
+    conditions:
+      - type: greaterThan
+        left: $doubled
+        right: 5
+`;
+
+describe('Workflow definitions', () => {
+  let root;
+  let engine;
+
+  const write = (file, content) => {
+    const filePath = path.join(root, file);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-workflows-'));
+    engine = new WorkflowEngine({ enhancedMode: false, autoRecover: false });
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should create and run a workflow from a YAML file', async () => {
+    const workflow = await engine.createWorkflowFromFile(write('scale.yaml', SCALE));
+
+    expect(workflow.version).toBe('2.1.0');
+    expect(workflow.metadata.source).toBe(path.join(root, 'scale.yaml'));
+
+    const result = await engine.executeWorkflow(workflow.id, { value: 3 });
+
+    expect(result.success).toBe(true);
+    expect(result.variables).toEqual({ value: 3, doubled: 6, total: 7 });
+  });
+
+  it('should load JSON definitions', async () => {
+    const filePath = write('wait.json', JSON.stringify({
+      schemaVersion: 1,
+      name: 'Pause',
+      steps: [{ id: 'pause', type: 'wait', duration: 0 }]
+    }));
+
+    await expect(engine.createWorkflowFromFile(filePath)).resolves.toMatchObject({ name: 'Pause' });
+  });
+
+  it('should report every error with its path', () => {
+    const { valid, errors } = engine.validateDefinition({
+      schemaVersion: 2,
+      name: 'Broken',
+      colour: 'red',
+      config: { errorHandling: 'explode' },
+      steps: [
+        { id: 'a', type: 'teleport' },
+        {
+          id: 'a',
+          type: 'transform',
+          transformation: 'process.exit(1)',
+          retries: 99,
+          dependencies: ['missing'],
+          conditions: [{ type: 'isPrime' }]
+        },
+        { type: 'loop', items: { $expr: 'require("fs")' } }
+      ]
+    });
+
+    expect(valid).toBe(false);
+    expect(errors.map(error => `${error.path}: ${error.message.split(' (')[0]}`)).toEqual([
+      'schemaVersion: must be 1',
+      'colour: unknown property',
+      'config.errorHandling: must be one of: stop, continue',
+      "steps[0].type: unknown step type 'teleport'",
+      'steps[1].retries: must be at most 10',
+      'steps[1].transformation: invalid expression: Dangerous pattern detected: /process\\./',
+      "steps[1].id: duplicate step id 'a'",
+      "steps[1].conditions[0].type: unknown condition 'isPrime'",
+      "steps[1].dependencies[0]: unknown step 'missing'",
+      'steps[2].id: is required',
+      'steps[2].body: is required',
+      'steps[2].items: invalid expression: Dangerous pattern detected: /require\\s*\\(/'
+    ]);
+  });
+
+  it('should accept step types and conditions registered at runtime', () => {
+    const definition = {
+      schemaVersion: 1,
+      name: 'Custom',
+      steps: [{ id: 'notify', type: 'notify', conditions: [{ type: 'weekday' }] }]
+    };
+
+    expect(engine.validateDefinition(definition).valid).toBe(false);
+
+    engine.registerStep('notify', { handler: async () => ({ success: true }) });
+    engine.registerCondition('weekday', () => true);
+
+    expect(engine.validateDefinition(definition).valid).toBe(true);
+  });
+
+  it('should detect dependency cycles', () => {
+    const { errors } = engine.validateDefinition({
+      schemaVersion: 1,
+      name: 'Cycle',
+      steps: [
+        { id: 'build', type: 'wait', dependencies: ['deploy'] },
+        { id: 'deploy', type: 'wait', dependencies: ['build'] }
+      ]
+    });
+
+    expect(errors).toEqual([{ path: 'steps', message: "dependency cycle between 'build', 'deploy'" }]);
+  });
+
+  it('should refuse to create invalid workflows from files or objects', async () => {
+    const filePath = write('broken.yml', 'schemaVersion: 1\nname: Broken\nsteps:\n  - id: x\n    type: teleport\n');
+
+    await expect(engine.createWorkflowFromFile(filePath)).rejects.toThrow(WorkflowValidationError);
+    await expect(engine.createWorkflowFromFile(filePath))
+      .rejects.toThrow("Invalid workflow 'Broken':\n  - steps[0].type: unknown step type 'teleport'");
+    await expect(engine.createWorkflow({
+      name: 'Objects',
+      steps: [{ type: 'teleport' }, { type: 'task', conditions: [{ type: 'isPrime' }] }]
+    })).rejects.toMatchObject({ errors: [expect.any(Object), expect.any(Object)] });
+  });
+});
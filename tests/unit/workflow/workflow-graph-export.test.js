@@ -0,0 +1,189 @@
+/**
+ * BUMBA Graph Export Tests
+ * Mermaid, DOT and ASCII rendering of workflow, pipeline and task graphs
+ */
+
+const { WorkflowEngine } = require('../../../src/core/workflow/workflow-engine');
+const PipelineOrchestrator = require('../../../src/core/workflow/pipeline-orchestrator');
+const { EnhancedDependencyManager } = require('../../../src/core/orchestration/enhanced-dependency-manager');
+const { GraphExporter } = require('../../../src/core/workflow/graph-exporter');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const RELEASE = {
+  id: 'release',
+  name: 'Release',
+  config: { parallel: true },
+  steps: [
+    { id: 'checkout', type: 'ok' },
+    { id: 'build', type: 'ok', dependencies: ['checkout'] },
+    { id: 'lint', type: 'broken', dependencies: ['checkout'] },
+    { id: 'package', type: 'ok', dependencies: ['build'] },
+    { id: 'deploy', type: 'ok', dependencies: ['package', 'lint'] }
+  ]
+};
+
+describe('Graph export', () => {
+  let engine;
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    engine = new WorkflowEngine({ enhancedMode: false, autoRecover: false });
+    engine.registerStep('ok', { handler: async () => ({ success: true }) });
+    engine.registerStep('broken', {
+      handler: async () => {
+        throw new Error('lint failed');
+      }
+    });
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  it('should render a workflow as Mermaid with the critical path drawn thick', async () => {
+    const workflow = await engine.createWorkflow(RELEASE);
+
+    expect(engine.exportWorkflowGraph(workflow.id, 'mermaid')).toBe([
+      'flowchart TD',
+      '  n0["checkout (ok)<br/><i>pending</i>"]',
+      '  n1["build (ok)<br/><i>pending</i>"]',
+      '  n2["lint (broken)<br/><i>pending</i>"]',
+      '  n3["package (ok)<br/><i>pending</i>"]',
+      '  n4["deploy (ok)<br/><i>pending</i>"]',
+      '  n0 ==> n1',
+      '  n0 --> n2',
+      '  n1 ==> n3',
+      '  n3 ==> n4',
+      '  n2 --> n4',
+      '  classDef pending fill:#eeeeee,stroke:#9e9e9e',
+      '  class n0,n1,n2,n3,n4 pending',
+      '  classDef critical stroke:#d32f2f,stroke-width:3px',
+      '  class n0,n1,n3,n4 critical'
+    ].join('\n'));
+  });
+
+  it('should annotate steps with the status of an execution', async () => {
+    const workflow = await engine.createWorkflow({ ...RELEASE, config: { parallel: true, errorHandling: 'continue' } });
+    const { executionId } = await engine.executeWorkflow(workflow.id);
+
+    const dot = engine.exportWorkflowGraph(workflow.id, 'dot', { executionId });
+
+    expect(dot).toContain('"checkout" [label="checkout (ok)\\ncompleted", fillcolor="#c8e6c9", color="#d32f2f", penwidth=2.5];');
+    expect(dot).toContain('"lint" [label="lint (broken)\\nfailed", fillcolor="#ffcdd2", color="#c62828"];');
+    expect(dot).toContain('"build" -> "package" [color="#d32f2f", penwidth=2.5];');
+    expect(dot).toContain('"lint" -> "deploy";');
+  });
+
+  it('should draw a terminal DAG stage by stage', async () => {
+    const workflow = await engine.createWorkflow({
+      name: 'Steps',
+      steps: [{ id: 'fetch', type: 'ok' }, { id: 'parse', type: 'ok' }, { id: 'store', type: 'ok' }]
+    });
+
+    // Steps without dependencies run in order
+    expect(engine.exportWorkflowGraph(workflow.id, 'ascii')).toBe([
+      'Steps (3 nodes)',
+      'critical path: fetch -> parse -> store',
+      '',
+      'stage 1',
+      '  [pending    ] fetch (ok) *',
+      '   |',
+      'stage 2',
+      '  [pending    ] parse (ok) * <- fetch',
+      '   |',
+      'stage 3',
+      '  [pending    ] store (ok) * <- parse'
+    ].join('\n'));
+  });
+
+  it('should reject unknown formats and workflows', async () => {
+    const workflow = await engine.createWorkflow(RELEASE);
+
+    expect(() => engine.exportWorkflowGraph(workflow.id, 'svg'))
+      .toThrow('Unsupported graph format: svg (expected mermaid, dot, ascii)');
+    expect(() => engine.exportWorkflowGraph('missing')).toThrow('Workflow not found: missing');
+  });
+
+  it('should show live pipeline status while an orchestration runs', async () => {
+    const orchestrator = new PipelineOrchestrator();
+    const orchestration = await orchestrator.createOrchestration({
+      name: 'ETL',
+      parallel: true,
+      pipelines: [{ id: 'extract' }, { id: 'transform' }, { id: 'load', name: 'Warehouse load' }],
+      connections: [{ from: 'extract', to: 'transform' }, { from: 'transform', to: 'load' }]
+    });
+
+    let finishTransform;
+    let executionId;
+    const transforming = new Promise(resolve => {
+      orchestrator.executePipeline = jest.fn((pipeline, input, execution) => {
+        if (pipeline.id !== 'transform') {
+          return Promise.resolve({ output: pipeline.id });
+        }
+        executionId = execution.id;
+        resolve();
+        return new Promise(done => {
+          finishTransform = () => done({ output: 'transformed' });
+        });
+      });
+    });
+
+    const run = orchestrator.executeOrchestration(orchestration.id, {});
+    await transforming;
+
+    expect(orchestrator.exportOrchestrationGraph(orchestration.id, 'ascii', { executionId })).toBe([
+      'ETL (3 nodes)',
+      'critical path: extract -> transform -> load',
+      '',
+      'stage 1',
+      '  [completed  ] extract *',
+      '   |',
+      'stage 2',
+      '  [running    ] transform * <- extract',
+      '   |',
+      'stage 3',
+      '  [pending    ] load (Warehouse load) * <- transform'
+    ].join('\n'));
+
+    finishTransform();
+    await run;
+  });
+
+  it('should export the dependency manager graph with its own execution plan', async () => {
+    const manager = new EnhancedDependencyManager();
+    manager.addTask('design', { estimatedDuration: 2 });
+    manager.addTask('api', { estimatedDuration: 5, dependencies: ['design'] });
+    manager.addTask('ui', { estimatedDuration: 3, dependencies: ['design', { taskId: 'api', type: 'soft' }] });
+    manager.addTask('launch', { estimatedDuration: 1, dependencies: ['api', 'ui'] });
+    await manager.markTaskCompleted('design');
+
+    const mermaid = manager.exportGraph('mermaid');
+
+    expect(mermaid).toContain('  n1 -.-> n2');
+    expect(mermaid).toContain('  n1 ==> n3');
+    expect(mermaid).toContain('  class n0 completed');
+    expect(mermaid).toContain('  class n1,n2 ready');
+    expect(mermaid).toContain('  class n0,n1,n3 critical');
+    expect(manager.executionPlan.criticalPath).toEqual(['design', 'api', 'launch']);
+  });
+
+  it('should accept a precomputed plan and escape labels', () => {
+    const exporter = new GraphExporter({
+      name: 'Quote "test"',
+      nodes: [{ id: 'a', label: 'say "hi"', status: 'weird' }, { id: 'b' }],
+      edges: [{ from: 'a', to: 'b' }, { from: 'a', to: 'ghost' }]
+    }, { stages: [['a'], ['b']], criticalPath: [] });
+
+    expect(exporter.toMermaid()).toContain('n0["say #quot;hi#quot;<br/><i>pending</i>"]');
+    expect(exporter.toDot()).toContain('digraph "Quote \\"test\\"" {');
+    expect(exporter.edges).toEqual([{ from: 'a', to: 'b' }]);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * BUMBA Workflow Persistence Tests
+ * Durable execution state and recovery after a process restart
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkflowEngine } = require('../../../src/core/workflow/workflow-engine');
+const WorkflowOrchestrator = require('../../../src/core/workflow/workflow-orchestrator');
+const ExecutionStore = require('../../../src/core/workflow/execution-store');
+
+jest.mock('../../../src/core/logging/bumba-logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const ORDER = {
+  id: 'order',
+  name: 'Order',
+  steps: [
+    {
+      id: 'reserve',
+      type: 'count',
+      compensation: { id: 'release', type: 'release' }
+    },
+    { id: 'charge', type: 'gate' },
+    {
+      id: 'total',
+      type: 'transform',
+      input: { $expr: 'doubled + 1' },
+      transformation: 'data',
+      output: 'total'
+    }
+  ]
+};
+
+describe('Workflow persistence', () => {
+  let root;
+  let dbPath;
+  let engines;
+  let calls;
+
+  /**
+   * An engine whose 'gate' step either passes or never settles,
+   * standing in for a process that dies mid-step
+   */
+  const createEngine = ({ crash = false, ...config } = {}) => {
+    const engine = new WorkflowEngine({
+      enhancedMode: false,
+      autoRecover: false,
+      persistence: { dbPath },
+      ...config
+    });
+    engine.registerStep('count', {
+      handler: async (step, context) => {
+        calls.push(step.id);
+        return { success: true, variables: { doubled: context.variables.value * 2 } };
+      }
+    });
+    engine.registerStep('gate', {
+      handler: () => (crash ? new Promise(() => {}) : Promise.resolve({ success: true, variables: { charged: true } }))
+    });
+    engine.registerStep('release', {
+      handler: async (step, context) => {
+        calls.push(`release:${context.variables.result.variables.doubled}`);
+        return { success: true };
+      }
+    });
+    engines.push(engine);
+    return engine;
+  };
+
+  /**
+   * Start a workflow and abandon it once the gate step is running
+   */
+  const crashDuringGate = async () => {
+    const engine = createEngine({ crash: true });
+    const workflow = await engine.createWorkflow(ORDER);
+    const started = new Promise(resolve => engine.on('step:started', ({ step, execution }) => {
+      if (step.id === 'charge') {
+        resolve(execution.id);
+      }
+    }));
+
+    engine.executeWorkflow(workflow.id, { value: 3 });
+    const executionId = await started;
+    engine.destroy();
+
+    return executionId;
+  };
+
+  beforeEach(() => {
+    jest.useRealTimers();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-executions-'));
+    dbPath = path.join(root, 'executions.db');
+    engines = [];
+    calls = [];
+  });
+
+  afterEach(() => {
+    engines.forEach(engine => engine.destroy());
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should record each step with its input, output and status', async () => {
+    const engine = createEngine();
+    const workflow = await engine.createWorkflow(ORDER);
+
+    const result = await engine.executeWorkflow(workflow.id, { value: 3 });
+    const record = engine.store.getExecution(result.executionId);
+
+    expect(record.status).toBe('completed');
+    expect(record.input).toEqual({ value: 3 });
+    expect(record.steps.map(step => [step.stepId, step.status])).toEqual([
+      ['reserve', 'completed'],
+      ['charge', 'completed'],
+      ['total', 'completed']
+    ]);
+    expect(record.steps[1].input.variables).toEqual({ value: 3, doubled: 6 });
+    expect(record.steps[2].output.variables).toEqual({ total: 7 });
+  });
+
+  it('should detect executions interrupted by a restart', async () => {
+    const executionId = await crashDuringGate();
+    const engine = createEngine();
+    const interrupted = jest.fn();
+    engine.on('execution:interrupted', interrupted);
+
+    const outcomes = await engine.recoverExecutions();
+
+    expect(outcomes).toEqual([{ executionId, workflowId: 'order', action: 'detected' }]);
+    expect(interrupted).toHaveBeenCalledWith(expect.objectContaining({ id: executionId, status: 'running' }));
+  });
+
+  it('should resume after the last completed step', async () => {
+    const executionId = await crashDuringGate();
+    calls = [];
+    const engine = createEngine();
+
+    const [outcome] = await engine.recoverExecutions('resume');
+
+    expect(outcome.success).toBe(true);
+    expect(calls).toEqual([]);
+    expect(outcome.result.variables).toEqual({ value: 3, doubled: 6, charged: true, total: 7 });
+
+    const record = engine.store.getExecution(executionId);
+    expect(record.status).toBe('completed');
+    expect(record.recoveries).toBe(1);
+    expect(record.steps.find(step => step.stepId === 'charge').attempts).toBe(2);
+    expect(await engine.recoverExecutions()).toEqual([]);
+  });
+
+  it('should compensate completed steps instead of resuming', async () => {
+    const executionId = await crashDuringGate();
+    calls = [];
+    const engine = createEngine();
+
+    const result = await engine.compensateExecution(executionId);
+
+    expect(result).toEqual({ success: true, executionId, compensated: ['reserve'], failed: [] });
+    expect(calls).toEqual(['release:6']);
+
+    const record = engine.store.getExecution(executionId);
+    expect(record.status).toBe('compensated');
+    expect(record.steps.map(step => [step.stepId, step.status])).toEqual([
+      ['reserve', 'compensated'],
+      ['charge', 'running']
+    ]);
+  });
+
+  it('should compensate interrupted sagas on recovery', async () => {
+    const store = new ExecutionStore({ dbPath });
+    const saga = {
+      name: 'booking',
+      steps: [
+        { id: 'flight', compensation: { id: 'cancel-flight' } },
+        { id: 'hotel', compensation: { id: 'cancel-hotel' } }
+      ]
+    };
+
+    const crashed = new WorkflowOrchestrator({ executionStore: store });
+    crashed.executeStep = jest.fn(step => (step.id === 'hotel' ? new Promise(() => {}) : Promise.resolve({ success: true })));
+    crashed.executeSaga(saga, { customer: 'ada' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const restarted = new WorkflowOrchestrator({ executionStore: store });
+    restarted.executeStep = jest.fn(async () => ({ success: true }));
+
+    const [recovered] = await restarted.recoverSagas();
+
+    expect(recovered.compensated).toEqual(['flight']);
+    expect(restarted.executeStep).toHaveBeenCalledWith({ id: 'cancel-flight' }, { customer: 'ada', result: { success: true } });
+    expect(recovered.recovered).toBe(true);
+    expect(store.getExecution(recovered.sagaId).status).toBe('compensated');
+    store.close();
+  });
+
+  it('should recover sagas on engine start only when their handlers are known', async () => {
+    const store = new ExecutionStore({ dbPath });
+    const refund = jest.fn(async () => ({ success: true }));
+    const booking = {
+      name: 'booking',
+      steps: [{ id: 'flight', compensation: { id: 'cancel-flight' } }, { id: 'hotel' }]
+    };
+    const payment = {
+      name: 'payment',
+      steps: [{ id: 'charge', compensation: { id: 'refund', handler: refund } }, { id: 'hotel' }]
+    };
+
+    const crashed = new WorkflowOrchestrator({ executionStore: store });
+    crashed.executeStep = jest.fn(step => (step.id === 'hotel' ? new Promise(() => {}) : Promise.resolve({ success: true })));
+    crashed.executeSaga(booking, { customer: 'ada' });
+    crashed.executeSaga(payment, { customer: 'ada' });
+    await new Promise(resolve => setImmediate(resolve));
+    const [bookingId, paymentId] = crashed.sagas.keys();
+
+    const engine = createEngine({
+      enhancedMode: true,
+      schedulingEnabled: false,
+      optimizationEnabled: false,
+      analyticsEnabled: false,
+      recoveryPolicy: 'compensate'
+    });
+    await new Promise(resolve => engine.once('initialized', resolve));
+
+    // The stored booking saga is plain data; payment lost its refund handler to JSON
+    expect(store.getExecution(bookingId).status).toBe('compensated');
+    expect(store.getExecution(paymentId).status).toBe('running');
+
+    engine.orchestrator.registerSaga(payment);
+    engine.orchestrator.executeStep = jest.fn(async () => ({ success: true }));
+    expect(await engine.orchestrator.recoverSagas()).toEqual([
+      { sagaId: paymentId, recovered: true, compensated: ['charge'] }
+    ]);
+    expect(engine.orchestrator.executeStep).toHaveBeenCalledWith(
+      { id: 'refund', handler: refund },
+      { customer: 'ada', result: { success: true } }
+    );
+    expect(store.getExecution(paymentId).status).toBe('compensated');
+    store.close();
+  });
+});